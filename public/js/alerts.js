@@ -0,0 +1,551 @@
+// @ts-nocheck
+// Alerts page: server-side alert rules (webhook / email delivery) and alert history
+import {showToast} from './notifications.js';
+
+const REFRESH_ICON_ANIMATION_DURATION_MS = 700;
+const HISTORY_LIMIT = 50;
+
+let rules = [];
+let ruleTypes = [];
+let historyEntries = [];
+let historyTotal = 0;
+let editingRule = null;
+let isFormOpen = false;
+
+const INPUT_CLASS = 'block w-full rounded-md bg-white dark:bg-white/5 px-3 py-1.5 text-sm text-gray-900 dark:text-white outline-1 -outline-offset-1 outline-gray-300 dark:outline-white/10';
+const LABEL_CLASS = 'block text-sm font-medium text-gray-900 dark:text-white';
+
+function escapeHtml(text) {
+	if (text === null || text === undefined) {
+		return '';
+	}
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+function formatDate(value) {
+	if (!value) {
+		return '—';
+	}
+	const date = new Date(value);
+	return Number.isNaN(date.getTime()) ? '—' : date.toLocaleString();
+}
+
+// Get request headers with CSRF token
+async function getRequestHeaders(includeJson = true) {
+	const headers = includeJson ? {'Content-Type': 'application/json'} : {};
+
+	try {
+		if (window.getCsrfToken) {
+			const csrfToken = await window.getCsrfToken();
+			if (csrfToken) {
+				headers['X-CSRF-Token'] = csrfToken;
+			}
+		}
+	} catch (error) {
+		console.warn('Failed to get CSRF token:', error);
+	}
+
+	return headers;
+}
+
+// openConfirmModal is exposed by settings-modal.js
+async function confirmAction(options) {
+	if (typeof window.openConfirmModal !== 'function') {
+		return false;
+	}
+	return window.openConfirmModal(options);
+}
+
+async function requestJson(url, options = {}) {
+	const response = await fetch(url, {
+		credentials: 'same-origin',
+		...options,
+		headers: await getRequestHeaders(Boolean(options.body))
+	});
+	const data = await response.json().catch(() => ({}));
+	if (!response.ok) {
+		throw new Error(data.message || `HTTP ${response.status}`);
+	}
+	return data;
+}
+
+async function loadRules() {
+	const data = await requestJson('/api/alert-rules');
+	rules = data.rules || [];
+	ruleTypes = data.types || [];
+}
+
+async function loadHistory() {
+	const data = await requestJson(`/api/alert-history?limit=${HISTORY_LIMIT}`);
+	historyEntries = data.entries || [];
+	historyTotal = data.total || 0;
+}
+
+function getRuleTypeLabel(type) {
+	return ruleTypes.find(ruleType => ruleType.type === type)?.label || type;
+}
+
+function describeCondition(rule) {
+	const params = rule.params || {};
+	if (rule.type === 'error_rate') {
+		return `tool_error rate of ${params.tool || 'any tool'} > ${params.thresholdPercent}% over ${params.windowMinutes} min (min. ${params.minCalls} calls)`;
+	}
+	if (rule.type === 'org_silence') {
+		return `No events from org ${params.orgId} in ${params.hours} h`;
+	}
+	if (rule.type === 'new_error_fingerprint') {
+		return `New${params.includeReopened ? ' or reopened' : ''} error groups${params.tool ? ` for ${params.tool}` : ''}`;
+	}
+	return '';
+}
+
+function describeChannel(channel) {
+	if (channel.type === 'email') {
+		return `Email: ${channel.to.join(', ')}`;
+	}
+	return `Webhook (${channel.format}): ${channel.url}`;
+}
+
+function renderParamsFields(type, params = {}) {
+	if (type === 'error_rate') {
+		return `
+			<div>
+				<label class="${LABEL_CLASS}" for="alertParamTool">Tool</label>
+				<input id="alertParamTool" type="text" class="${INPUT_CLASS}" placeholder="Any tool" value="${escapeHtml(params.tool || '')}">
+			</div>
+			<div>
+				<label class="${LABEL_CLASS}" for="alertParamThreshold">Error rate above (%)</label>
+				<input id="alertParamThreshold" type="number" min="0" max="100" step="0.1" class="${INPUT_CLASS}" value="${escapeHtml(params.thresholdPercent ?? 10)}">
+			</div>
+			<div>
+				<label class="${LABEL_CLASS}" for="alertParamWindow">Window (minutes)</label>
+				<input id="alertParamWindow" type="number" min="1" class="${INPUT_CLASS}" value="${escapeHtml(params.windowMinutes ?? 15)}">
+			</div>
+			<div>
+				<label class="${LABEL_CLASS}" for="alertParamMinCalls">Minimum calls</label>
+				<input id="alertParamMinCalls" type="number" min="1" class="${INPUT_CLASS}" value="${escapeHtml(params.minCalls ?? 10)}">
+			</div>
+		`;
+	}
+	if (type === 'org_silence') {
+		return `
+			<div>
+				<label class="${LABEL_CLASS}" for="alertParamOrgId">Org ID</label>
+				<input id="alertParamOrgId" type="text" class="${INPUT_CLASS}" value="${escapeHtml(params.orgId || '')}">
+			</div>
+			<div>
+				<label class="${LABEL_CLASS}" for="alertParamHours">No events for (hours)</label>
+				<input id="alertParamHours" type="number" min="1" class="${INPUT_CLASS}" value="${escapeHtml(params.hours ?? 24)}">
+			</div>
+		`;
+	}
+	if (type === 'new_error_fingerprint') {
+		return `
+			<div>
+				<label class="${LABEL_CLASS}" for="alertParamTool">Tool</label>
+				<input id="alertParamTool" type="text" class="${INPUT_CLASS}" placeholder="Any tool" value="${escapeHtml(params.tool || '')}">
+			</div>
+			<div class="flex items-end gap-2 text-sm text-gray-900 dark:text-white">
+				<label><input id="alertParamIncludeReopened" type="checkbox"${params.includeReopened === false ? '' : ' checked'}> Include reopened groups</label>
+			</div>
+		`;
+	}
+	return '';
+}
+
+function renderForm() {
+	if (!isFormOpen) {
+		return '';
+	}
+	const rule = editingRule || {type: ruleTypes[0]?.type || 'error_rate', params: {}, channels: [], cooldownMinutes: 60, enabled: true};
+	const webhook = rule.channels.find(channel => channel.type === 'webhook');
+	const email = rule.channels.find(channel => channel.type === 'email');
+	const typeOptions = ruleTypes.map(ruleType => `<option value="${escapeHtml(ruleType.type)}"${ruleType.type === rule.type ? ' selected' : ''}>${escapeHtml(ruleType.label)}</option>`).join('');
+	const formatOptions = ['slack', 'teams', 'json'].map(format => `<option value="${format}"${webhook?.format === format ? ' selected' : ''}>${format === 'json' ? 'Generic JSON' : format[0].toUpperCase() + format.slice(1)}</option>`).join('');
+
+	return `
+		<form id="alertRuleForm" class="mb-8 rounded-md border border-gray-200 dark:border-white/10 p-4">
+			<h3 class="text-base font-semibold text-gray-900 dark:text-white">${editingRule ? 'Edit rule' : 'New rule'}</h3>
+			<div class="mt-4 grid grid-cols-1 gap-4 sm:grid-cols-2">
+				<div>
+					<label class="${LABEL_CLASS}" for="alertRuleName">Name</label>
+					<input id="alertRuleName" type="text" required class="${INPUT_CLASS}" value="${escapeHtml(rule.name || '')}">
+				</div>
+				<div>
+					<label class="${LABEL_CLASS}" for="alertRuleType">Condition</label>
+					<select id="alertRuleType" class="${INPUT_CLASS}">${typeOptions}</select>
+				</div>
+			</div>
+			<div id="alertRuleParams" class="mt-4 grid grid-cols-1 gap-4 sm:grid-cols-4">${renderParamsFields(rule.type, rule.params)}</div>
+			<div class="mt-4 grid grid-cols-1 gap-4 sm:grid-cols-4">
+				<div class="sm:col-span-2">
+					<label class="${LABEL_CLASS}" for="alertWebhookUrl">Webhook URL</label>
+					<input id="alertWebhookUrl" type="url" class="${INPUT_CLASS}" placeholder="https://hooks.slack.com/services/…" value="${escapeHtml(webhook?.url || '')}">
+				</div>
+				<div>
+					<label class="${LABEL_CLASS}" for="alertWebhookFormat">Webhook format</label>
+					<select id="alertWebhookFormat" class="${INPUT_CLASS}">${formatOptions}</select>
+				</div>
+				<div>
+					<label class="${LABEL_CLASS}" for="alertCooldown">Cooldown (minutes)</label>
+					<input id="alertCooldown" type="number" min="0" class="${INPUT_CLASS}" value="${escapeHtml(rule.cooldownMinutes ?? 60)}">
+				</div>
+				<div class="sm:col-span-2">
+					<label class="${LABEL_CLASS}" for="alertEmailTo">Email recipients</label>
+					<input id="alertEmailTo" type="text" class="${INPUT_CLASS}" placeholder="ops@example.com, oncall@example.com" value="${escapeHtml(email?.to.join(', ') || '')}">
+				</div>
+				<div class="flex items-end gap-2 text-sm text-gray-900 dark:text-white">
+					<label><input id="alertRuleEnabled" type="checkbox"${rule.enabled ? ' checked' : ''}> Enabled</label>
+				</div>
+			</div>
+			<div class="mt-4 flex justify-end gap-2">
+				<button type="button" class="btn" data-action="cancel-form">Cancel</button>
+				<button type="submit" class="btn">${editingRule ? 'Save rule' : 'Create rule'}</button>
+			</div>
+		</form>
+	`;
+}
+
+function renderRules() {
+	if (rules.length === 0) {
+		return `
+			<div class="px-8 py-10 text-center">
+				<h3 class="mt-3 text-base font-semibold text-gray-900 dark:text-white">No alert rules</h3>
+				<p class="mt-2 text-sm text-gray-500 dark:text-gray-400">Create a rule to be notified by webhook or email when a condition is met.</p>
+			</div>
+		`;
+	}
+
+	const cellClass = 'border-b border-gray-200 dark:border-white/10 px-3 py-3 text-sm';
+	const headerClass = 'border-b border-gray-300 dark:border-white/15 px-3 py-3.5 font-semibold text-gray-900 dark:text-white';
+	const rows = rules.map((rule, index) => `
+		<tr>
+			<td class="${cellClass} py-3 pl-4 pr-3 text-gray-900 dark:text-white">
+				${escapeHtml(rule.name)}
+				<div class="mt-1 text-xs ${rule.enabled ? 'text-green-600 dark:text-green-400' : 'text-gray-500'}">${rule.enabled ? 'Enabled' : 'Disabled'}</div>
+			</td>
+			<td class="${cellClass} text-gray-500 dark:text-gray-400">
+				<div class="text-gray-900 dark:text-white">${escapeHtml(getRuleTypeLabel(rule.type))}</div>
+				<div class="mt-1 text-xs">${escapeHtml(describeCondition(rule))}</div>
+			</td>
+			<td class="${cellClass} text-gray-500 dark:text-gray-400" style="max-width: 320px; word-break: break-all;">${rule.channels.map(channel => `<div>${escapeHtml(describeChannel(channel))}</div>`).join('')}</td>
+			<td class="${cellClass} text-gray-500 dark:text-gray-400 text-right">${rule.cooldownMinutes} min</td>
+			<td class="${cellClass} text-gray-500 dark:text-gray-400">${formatDate(rule.lastTriggeredAt)}</td>
+			<td class="${cellClass} text-right" style="white-space: nowrap;">
+				<button type="button" class="btn" data-action="toggle" data-rule-index="${index}">${rule.enabled ? 'Disable' : 'Enable'}</button>
+				<button type="button" class="btn" data-action="test" data-rule-index="${index}">Test</button>
+				<button type="button" class="btn" data-action="edit" data-rule-index="${index}">Edit</button>
+				<button type="button" class="btn" data-action="delete" data-rule-index="${index}">Delete</button>
+			</td>
+		</tr>
+	`).join('');
+
+	return `
+		<div class="overflow-x-auto">
+			<table class="min-w-full border-separate border-spacing-0" style="font-size: 13.5px;">
+				<thead class="bg-gray-50 dark:bg-gray-800/75">
+					<tr>
+						<th scope="col" class="${headerClass} py-3.5 pl-4 pr-3 text-left">Rule</th>
+						<th scope="col" class="${headerClass} text-left">Condition</th>
+						<th scope="col" class="${headerClass} text-left">Channels</th>
+						<th scope="col" class="${headerClass} text-right">Cooldown</th>
+						<th scope="col" class="${headerClass} text-left">Last triggered</th>
+						<th scope="col" class="${headerClass}"><span class="sr-only">Actions</span></th>
+					</tr>
+				</thead>
+				<tbody>${rows}</tbody>
+			</table>
+		</div>
+	`;
+}
+
+function renderHistory() {
+	if (historyEntries.length === 0) {
+		return '<p class="text-sm text-gray-500 dark:text-gray-400">No alerts have been sent yet.</p>';
+	}
+
+	const cellClass = 'border-b border-gray-200 dark:border-white/10 px-3 py-3 text-sm';
+	const headerClass = 'border-b border-gray-300 dark:border-white/15 px-3 py-3.5 font-semibold text-gray-900 dark:text-white';
+	const statusClasses = {
+		sent: 'text-green-600 dark:text-green-400',
+		partial: 'text-yellow-600 dark:text-yellow-400',
+		failed: 'text-red-600 dark:text-red-400'
+	};
+	const rows = historyEntries.map(entry => {
+		const lines = entry.details?.lines || [];
+		const deliveries = (entry.deliveries || []).map(delivery => `<div class="${delivery.ok ? '' : 'text-red-600 dark:text-red-400'}">${escapeHtml(`${delivery.type} ${delivery.target}`)}${delivery.ok ? '' : `: ${escapeHtml(delivery.error)}`}</div>`).join('');
+		return `
+			<tr>
+				<td class="${cellClass} py-3 pl-4 pr-3 text-gray-500 dark:text-gray-400" style="white-space: nowrap;">${formatDate(entry.triggeredAt)}</td>
+				<td class="${cellClass} text-gray-900 dark:text-white">${escapeHtml(entry.ruleName)}${entry.isTest ? ' <span class="text-xs text-gray-500">(test)</span>' : ''}</td>
+				<td class="${cellClass} text-gray-900 dark:text-white" style="max-width: 520px; word-break: break-word;">
+					${escapeHtml(entry.summary)}
+					${lines.length > 0 ? `<div class="mt-1 text-xs text-gray-500 dark:text-gray-400">${lines.map(line => escapeHtml(line)).join('<br>')}</div>` : ''}
+				</td>
+				<td class="${cellClass} text-xs text-gray-500 dark:text-gray-400" style="max-width: 280px; word-break: break-all;">${deliveries}</td>
+				<td class="${cellClass} ${statusClasses[entry.status] || ''}">${escapeHtml(entry.status)}</td>
+			</tr>
+		`;
+	}).join('');
+
+	return `
+		<div class="overflow-x-auto">
+			<table class="min-w-full border-separate border-spacing-0" style="font-size: 13.5px;">
+				<thead class="bg-gray-50 dark:bg-gray-800/75">
+					<tr>
+						<th scope="col" class="${headerClass} py-3.5 pl-4 pr-3 text-left">Triggered</th>
+						<th scope="col" class="${headerClass} text-left">Rule</th>
+						<th scope="col" class="${headerClass} text-left">Alert</th>
+						<th scope="col" class="${headerClass} text-left">Deliveries</th>
+						<th scope="col" class="${headerClass} text-left">Status</th>
+					</tr>
+				</thead>
+				<tbody>${rows}</tbody>
+			</table>
+			${historyTotal > historyEntries.length ? `<p class="mt-3 text-sm text-gray-500">Showing the ${historyEntries.length} most recent of ${historyTotal} alerts.</p>` : ''}
+		</div>
+	`;
+}
+
+function renderPage() {
+	const container = document.getElementById('alertsContent');
+	if (!container) {
+		return;
+	}
+	container.innerHTML = `
+		${renderForm()}
+		<h2 class="mb-3 text-base font-semibold text-gray-900 dark:text-white">Rules</h2>
+		${renderRules()}
+		<h2 class="mt-10 mb-3 text-base font-semibold text-gray-900 dark:text-white">History</h2>
+		${renderHistory()}
+	`;
+}
+
+function openForm(rule = null) {
+	editingRule = rule;
+	isFormOpen = true;
+	renderPage();
+	document.getElementById('alertRuleName')?.focus();
+}
+
+function closeForm() {
+	editingRule = null;
+	isFormOpen = false;
+	renderPage();
+}
+
+function readNumber(id) {
+	const value = document.getElementById(id)?.value;
+	return value === '' || value === undefined ? undefined : Number(value);
+}
+
+function readForm() {
+	const type = document.getElementById('alertRuleType').value;
+	const params = {};
+	if (type === 'error_rate') {
+		params.tool = document.getElementById('alertParamTool').value.trim();
+		params.thresholdPercent = readNumber('alertParamThreshold');
+		params.windowMinutes = readNumber('alertParamWindow');
+		params.minCalls = readNumber('alertParamMinCalls');
+	} else if (type === 'org_silence') {
+		params.orgId = document.getElementById('alertParamOrgId').value.trim();
+		params.hours = readNumber('alertParamHours');
+	} else if (type === 'new_error_fingerprint') {
+		params.tool = document.getElementById('alertParamTool').value.trim();
+		params.includeReopened = document.getElementById('alertParamIncludeReopened').checked;
+	}
+
+	const channels = [];
+	const webhookUrl = document.getElementById('alertWebhookUrl').value.trim();
+	if (webhookUrl) {
+		channels.push({type: 'webhook', url: webhookUrl, format: document.getElementById('alertWebhookFormat').value});
+	}
+	const emailTo = document.getElementById('alertEmailTo').value.trim();
+	if (emailTo) {
+		channels.push({type: 'email', to: emailTo.split(',').map(address => address.trim()).filter(Boolean)});
+	}
+
+	return {
+		name: document.getElementById('alertRuleName').value.trim(),
+		type,
+		params,
+		channels,
+		cooldownMinutes: readNumber('alertCooldown'),
+		enabled: document.getElementById('alertRuleEnabled').checked
+	};
+}
+
+function toRulePayload(rule, overrides = {}) {
+	return {
+		name: rule.name,
+		type: rule.type,
+		params: rule.params,
+		channels: rule.channels,
+		cooldownMinutes: rule.cooldownMinutes,
+		enabled: rule.enabled,
+		...overrides
+	};
+}
+
+async function saveRule(payload, ruleId = null) {
+	const url = ruleId ? `/api/alert-rules/${ruleId}` : '/api/alert-rules';
+	return requestJson(url, {method: ruleId ? 'PUT' : 'POST', body: JSON.stringify(payload)});
+}
+
+async function handleSubmit(event) {
+	if (event.target.id !== 'alertRuleForm') {
+		return;
+	}
+	event.preventDefault();
+	const submitButton = event.target.querySelector('button[type="submit"]');
+	submitButton.disabled = true;
+	try {
+		await saveRule(readForm(), editingRule?.id);
+		showToast(editingRule ? 'Alert rule saved' : 'Alert rule created', 'success');
+		editingRule = null;
+		isFormOpen = false;
+		await refreshAlerts();
+	} catch (error) {
+		console.error('Error saving alert rule:', error);
+		showToast(escapeHtml(error.message || 'Failed to save alert rule'), 'error');
+		submitButton.disabled = false;
+	}
+}
+
+function handleChange(event) {
+	if (event.target.id === 'alertRuleType') {
+		const paramsContainer = document.getElementById('alertRuleParams');
+		if (paramsContainer) {
+			paramsContainer.innerHTML = renderParamsFields(event.target.value);
+		}
+	}
+}
+
+async function runRuleAction(action, rule) {
+	if (action === 'edit') {
+		openForm(rule);
+		return;
+	}
+	if (action === 'toggle') {
+		await saveRule(toRulePayload(rule, {enabled: !rule.enabled}), rule.id);
+		showToast(rule.enabled ? 'Alert rule disabled' : 'Alert rule enabled', 'success');
+		await refreshAlerts();
+		return;
+	}
+	if (action === 'test') {
+		const data = await requestJson(`/api/alert-rules/${rule.id}/test`, {method: 'POST', body: JSON.stringify({})});
+		const failed = (data.deliveries || []).filter(delivery => !delivery.ok);
+		if (failed.length > 0) {
+			showToast(escapeHtml(`Test failed for ${failed.map(delivery => `${delivery.type} ${delivery.target}: ${delivery.error}`).join('; ')}`), 'error');
+		} else {
+			showToast('Test notification sent', 'success');
+		}
+		await refreshAlerts();
+		return;
+	}
+	if (action === 'delete') {
+		const confirmed = await confirmAction({
+			title: 'Delete alert rule',
+			message: `Delete the alert rule "${rule.name}"? Its history is kept.`,
+			confirmLabel: 'Delete',
+			destructive: true
+		});
+		if (!confirmed) {
+			return;
+		}
+		await requestJson(`/api/alert-rules/${rule.id}`, {method: 'DELETE'});
+		showToast('Alert rule deleted', 'success');
+		if (editingRule?.id === rule.id) {
+			editingRule = null;
+			isFormOpen = false;
+		}
+		await refreshAlerts();
+	}
+}
+
+async function handleContentClick(event) {
+	const actionButton = event.target.closest('button[data-action]');
+	if (!actionButton) {
+		return;
+	}
+	const {action} = actionButton.dataset;
+	if (action === 'cancel-form') {
+		closeForm();
+		return;
+	}
+
+	const rule = rules[Number(actionButton.dataset.ruleIndex)];
+	if (!rule) {
+		return;
+	}
+	actionButton.disabled = true;
+	try {
+		await runRuleAction(action, rule);
+	} catch (error) {
+		console.error(`Error running ${action}:`, error);
+		showToast(escapeHtml(error.message || 'Action failed'), 'error');
+	} finally {
+		actionButton.disabled = false;
+	}
+}
+
+async function refreshAlerts(event) {
+	if (event?.preventDefault) {
+		event.preventDefault();
+	}
+	const icon = event?.currentTarget?.querySelector?.('.refresh-icon');
+	if (icon) {
+		icon.classList.add('rotating');
+	}
+
+	try {
+		await Promise.all([loadRules(), loadHistory()]);
+		renderPage();
+	} catch (error) {
+		console.error('Error loading alerts:', error);
+		showToast('Failed to load alerts', 'error');
+	} finally {
+		if (icon) {
+			setTimeout(() => icon.classList.remove('rotating'), REFRESH_ICON_ANIMATION_DURATION_MS);
+		}
+	}
+}
+
+function initAlertsPage() {
+	const container = document.getElementById('alertsContent');
+	if (container && !container.dataset.listenerAttached) {
+		container.dataset.listenerAttached = 'true';
+		container.addEventListener('click', handleContentClick);
+		container.addEventListener('submit', handleSubmit);
+		container.addEventListener('change', handleChange);
+	}
+	const newRuleButton = document.getElementById('newAlertRuleButton');
+	if (newRuleButton && !newRuleButton.dataset.listenerAttached) {
+		newRuleButton.dataset.listenerAttached = 'true';
+		newRuleButton.addEventListener('click', () => openForm());
+	}
+	editingRule = null;
+	isFormOpen = false;
+	refreshAlerts();
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+	document.addEventListener('DOMContentLoaded', initAlertsPage);
+} else {
+	initAlertsPage();
+}
+
+// Handle soft navigation
+window.addEventListener('softNav:pageMounted', (event) => {
+	if (event.detail.path === '/alerts') {
+		initAlertsPage();
+	}
+});
+
+window.refreshAlerts = refreshAlerts;
@@ -118,6 +118,7 @@
 	let teamsData = [];
 	let peopleData = [];
 	let isDataLoaded = false;
+	let savedViewsData = [];
 
 	/**
 	 * Load teams and people data for global search
@@ -147,6 +148,31 @@
 		}
 	}
 
+	/**
+	 * Load the saved Event Log views (own and team ones); reloaded every time the palette opens
+	 */
+	async function loadSavedViews() {
+		try {
+			const response = await fetch('/api/saved-views', {credentials: 'include'});
+			// Basic users have no Event Log, so no views either
+			savedViewsData = response.ok ? (await response.json()).views || [] : [];
+		} catch (error) {
+			console.error('Error loading saved views:', error);
+			savedViewsData = [];
+		}
+	}
+
+	/**
+	 * Open a saved view: apply it in place on the Event Log, navigate there from other pages
+	 */
+	function openSavedView(view) {
+		if (window.location.pathname.startsWith('/logs') && typeof window.applyEventLogView === 'function') {
+			window.applyEventLogView(view.query);
+		} else {
+			navigateTo(view.query ? `/logs?${view.query}` : '/logs');
+		}
+	}
+
 	/**
 	 * Build command palette HTML
 	 */
@@ -156,7 +182,7 @@
         <div class="fixed inset-0 w-screen overflow-y-auto p-4 focus:outline-none sm:p-6 md:p-20 flex items-center justify-center" style="font-size: 14.9px;">
           <div class="w-full mx-auto block max-w-2xl overflow-hidden rounded-xl bg-white/70 dark:bg-gray-800/70 shadow-2xl outline-1 outline-black/5 dark:outline-white/10 backdrop-blur-lg backdrop-filter command-palette-panel-hidden -mt-32 sm:-mt-36">
             <div class="grid grid-cols-1 border-b border-gray-500/10 dark:border-gray-700/50">
-              <input type="text" placeholder="Search commands, teams, people..." class="col-start-1 row-start-1 h-12 w-full bg-transparent pr-4 pl-11 text-base text-gray-900 dark:text-white outline-hidden placeholder:text-gray-500 dark:placeholder:text-gray-400 sm:text-sm" id="commandPaletteInput" />
+              <input type="text" placeholder="Search commands, saved views, teams, people..." class="col-start-1 row-start-1 h-12 w-full bg-transparent pr-4 pl-11 text-base text-gray-900 dark:text-white outline-hidden placeholder:text-gray-500 dark:placeholder:text-gray-400 sm:text-sm" id="commandPaletteInput" />
               <svg viewBox="0 0 20 20" fill="currentColor" data-slot="icon" aria-hidden="true" class="pointer-events-none col-start-1 row-start-1 ml-4 size-5 self-center text-gray-900/40 dark:text-white/40">
                 <path d="M9 3.5a5.5 5.5 0 1 0 0 11 5.5 5.5 0 0 0 0-11ZM2 9a7 7 0 1 1 12.452 4.391l3.328 3.329a.75.75 0 1 1-1.06 1.06l-3.329-3.328A7 7 0 0 1 2 9Z" clip-rule="evenodd" fill-rule="evenodd" />
               </svg>
@@ -215,7 +241,8 @@
 			'bell': 'M5.85 3.5a.75.75 0 0 0-1.117-1 9.719 9.719 0 0 0-2.348 4.876.75.75 0 0 0 1.479.248A8.219 8.219 0 0 1 5.85 3.5ZM19.267 2.5a.75.75 0 1 0-1.118 1 8.22 8.22 0 0 1 1.987 4.124.75.75 0 0 0 1.48-.248A9.72 9.72 0 0 0 19.267 2.5Z M12 4.25A3.75 3.75 0 0 0 8.25 8v3.75a.75.75 0 0 1-.22.53l-2.25 2.25a.75.75 0 0 1-1.06-1.06l1.72-1.72A.25.25 0 0 0 6.75 12V8a2.25 2.25 0 0 1 4.5 0v3.75a.75.75 0 0 1-.22.53l-2.25 2.25a.75.75 0 0 1-1.06-1.06l1.72-1.72A.25.25 0 0 0 9.25 12V8A3.75 3.75 0 0 0 12 4.25Z',
 			'moon': 'M17.293 13.293A8 8 0 0 1 6.707 2.707a8.001 8.001 0 1 0 10.586 10.586Z',
 			'arrow-right-on-rectangle': 'M16.5 10.5V6.75a4.5 4.5 0 1 0-9 0v3.75m-.75 11.25h10.5a2.25 2.25 0 0 0 2.25-2.25v-6.75a2.25 2.25 0 0 0-2.25-2.25H6.75a2.25 2.25 0 0 0-2.25 2.25v6.75a2.25 2.25 0 0 0 2.25 2.25Z',
-			'arrows-pointing-out': 'M3.75 3.75v4.5m0-4.5h4.5m-4.5 0L9 9M3.75 20.25v-4.5m0 4.5h4.5m-4.5 0L9 15M20.25 3.75h-4.5m4.5 0v4.5m0-4.5L15 9m5.25 11.25h-4.5m4.5 0v-4.5m0 4.5L15 15'
+			'arrows-pointing-out': 'M3.75 3.75v4.5m0-4.5h4.5m-4.5 0L9 9M3.75 20.25v-4.5m0 4.5h4.5m-4.5 0L9 15M20.25 3.75h-4.5m4.5 0v4.5m0-4.5L15 9m5.25 11.25h-4.5m4.5 0v-4.5m0 4.5L15 15',
+			'bookmark': 'M17.593 3.322c1.1.128 1.907 1.077 1.907 2.185V21L12 17.25 4.5 21V5.507c0-1.108.806-2.057 1.907-2.185a48.507 48.507 0 0 1 11.186 0Z'
 		};
 		return icons[iconName] || icons['cog-6-tooth'];
 	}
@@ -346,6 +373,14 @@
 			loadGlobalSearchData().catch(error => {
 				console.error('Error loading global search data:', error);
 			});
+			loadSavedViews().then(() => {
+				if (isOpen) {
+					return filterCommands(searchInput.value);
+				}
+				return null;
+			}).catch(error => {
+				console.error('Error filtering commands:', error);
+			});
 
 			// Make element visible first
 			commandPaletteElement.style.display = 'block';
@@ -602,8 +637,22 @@
 			}));
 		}
 
+		// Saved views are listed even without a query
+		const filteredViews = savedViewsData.filter(view =>
+			view.name.toLowerCase().includes(lowerQuery) ||
+			(view.team_name && view.team_name.toLowerCase().includes(lowerQuery))
+		).map(view => ({
+			id: `view-${view.id}`,
+			type: 'view',
+			title: view.name,
+			description: view.team_id ? `Saved view · ${view.team_name || 'Team'}` : 'Saved view',
+			icon: 'bookmark',
+			action: () => openSavedView(view),
+			data: view
+		}));
+
 		// Combine all results
-		const allResults = [...filteredCommands, ...filteredTeams, ...filteredPeople];
+		const allResults = [...filteredCommands, ...filteredViews, ...filteredTeams, ...filteredPeople];
 
 		const commandItemsContainer = commandList.querySelector('#commandItems');
 		const noResultsElement = commandList.querySelector('#noResults');
@@ -679,6 +728,16 @@
 			return;
 		}
 
+		// Check if it's a saved view
+		if (commandId.startsWith('view-')) {
+			const view = savedViewsData.find(savedView => `view-${savedView.id}` === commandId);
+			if (view) {
+				openSavedView(view);
+			}
+			hideCommandPalette();
+			return;
+		}
+
 		// Check if it's a team result
 		if (commandId.startsWith('team-')) {
 			const teamId = commandId.replace('team-', '');
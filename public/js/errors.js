@@ -0,0 +1,288 @@
+// @ts-nocheck
+// Errors page: tool errors grouped by normalized message fingerprint
+import {showToast} from './notifications.js';
+
+const REFRESH_ICON_ANIMATION_DURATION_MS = 700;
+const SEARCH_DEBOUNCE_MS = 300;
+const TREND_DAYS = 14;
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 28;
+
+let groups = [];
+let total = 0;
+const expandedGroupIds = new Set();
+let searchTimer = null;
+
+function escapeHtml(text) {
+	if (text === null || text === undefined) {
+		return '';
+	}
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+function formatDate(value) {
+	if (!value) {
+		return '—';
+	}
+	const date = new Date(value);
+	return Number.isNaN(date.getTime()) ? '—' : date.toLocaleString();
+}
+
+// Get request headers with CSRF token
+async function getRequestHeaders(includeJson = true) {
+	const headers = includeJson ? {'Content-Type': 'application/json'} : {};
+
+	try {
+		if (window.getCsrfToken) {
+			const csrfToken = await window.getCsrfToken();
+			if (csrfToken) {
+				headers['X-CSRF-Token'] = csrfToken;
+			}
+		}
+	} catch (error) {
+		console.warn('Failed to get CSRF token:', error);
+	}
+
+	return headers;
+}
+
+function renderSparkline(trend = []) {
+	if (trend.length === 0) {
+		return '';
+	}
+	const max = Math.max(...trend, 1);
+	const step = trend.length > 1 ? SPARKLINE_WIDTH / (trend.length - 1) : 0;
+	const points = trend.map((count, index) => {
+		const x = (index * step).toFixed(1);
+		const y = (SPARKLINE_HEIGHT - 2 - ((count / max) * (SPARKLINE_HEIGHT - 4))).toFixed(1);
+		return `${x},${y}`;
+	}).join(' ');
+	const totalInTrend = trend.reduce((sum, count) => sum + count, 0);
+	return `
+		<svg width="${SPARKLINE_WIDTH}" height="${SPARKLINE_HEIGHT}" viewBox="0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}" role="img" aria-label="${totalInTrend} events in the last ${trend.length} days">
+			<title>${totalInTrend} events in the last ${trend.length} days</title>
+			<polyline points="${points}" fill="none" stroke="var(--level-error)" stroke-width="1.5" stroke-linejoin="round" stroke-linecap="round" />
+		</svg>
+	`;
+}
+
+async function loadGroups() {
+	const params = new URLSearchParams({trendDays: String(TREND_DAYS)});
+	const status = document.getElementById('errorsStatusSelect')?.value;
+	const search = document.getElementById('errorsSearchInput')?.value.trim();
+	if (status) {
+		params.set('status', status);
+	}
+	if (search) {
+		params.set('search', search);
+	}
+
+	const response = await fetch(`/api/error-groups?${params}`, {
+		headers: await getRequestHeaders(false),
+		credentials: 'same-origin'
+	});
+	if (!response.ok) {
+		throw new Error(`HTTP ${response.status}`);
+	}
+	const data = await response.json();
+	groups = data.groups || [];
+	total = data.total || 0;
+}
+
+function renderGroupDetail(group) {
+	let resolvedText = '';
+	if (group.status === 'resolved') {
+		resolvedText = `Resolved ${formatDate(group.resolvedAt)}${group.resolvedBy ? ` by ${escapeHtml(group.resolvedBy)}` : ''}${group.resolvedInVersion ? ` in version ${escapeHtml(group.resolvedInVersion)}` : ''}`;
+	}
+	const reopenedText = group.reopenedAt ? `Reopened ${formatDate(group.reopenedAt)} (${group.reopenCount} times)` : '';
+	return `
+		<div class="text-sm text-gray-700 dark:text-gray-300">
+			<div>First seen ${formatDate(group.firstSeen)} · Last seen ${formatDate(group.lastSeen)}</div>
+			${resolvedText ? `<div class="mt-1">${resolvedText}</div>` : ''}
+			${reopenedText ? `<div class="mt-1">${reopenedText}</div>` : ''}
+			<div class="mt-2 text-gray-500">Latest message</div>
+			<pre class="mt-1 text-xs" style="max-height: 240px; overflow: auto; white-space: pre-wrap; word-break: break-word;">${escapeHtml(group.sampleMessage || group.normalizedMessage)}</pre>
+		</div>
+	`;
+}
+
+function renderGroups() {
+	const container = document.getElementById('errorsContent');
+	if (!container) {
+		return;
+	}
+
+	if (groups.length === 0) {
+		container.innerHTML = `
+			<div class="px-8 py-10 text-center">
+				<h3 class="mt-3 text-base font-semibold text-gray-900 dark:text-white">No errors</h3>
+				<p class="mt-2 text-sm text-gray-500 dark:text-gray-400">Tool errors are grouped here by their normalized message.</p>
+			</div>
+		`;
+		return;
+	}
+
+	const cellClass = 'border-b border-gray-200 dark:border-white/10 px-3 py-3 text-sm';
+	const rows = groups.map((group, index) => {
+		const isExpanded = expandedGroupIds.has(group.id);
+		const isResolved = group.status === 'resolved';
+		const action = isResolved ? 'reopen' : 'resolve';
+		const actionButton = `<button type="button" class="btn" data-action="${action}" data-group-index="${index}">${isResolved ? 'Reopen' : 'Resolve'}</button>`;
+		let statusBadge = `<span class="text-xs text-red-600 dark:text-red-400">${group.reopenCount > 0 ? 'Reopened' : 'Open'}</span>`;
+		if (isResolved) {
+			statusBadge = '<span class="text-xs text-green-600 dark:text-green-400">Resolved</span>';
+		}
+		return `
+			<tr data-group-index="${index}" style="cursor: pointer;">
+				<td class="${cellClass} py-3 pl-4 pr-3 text-gray-900 dark:text-white" style="max-width: 520px; word-break: break-word;">
+					<i class="fa-solid ${isExpanded ? 'fa-chevron-down' : 'fa-chevron-right'} text-gray-400" style="width: 14px;"></i>
+					<code>${escapeHtml(group.normalizedMessage)}</code>
+					<div class="mt-1">${statusBadge}</div>
+				</td>
+				<td class="${cellClass} text-gray-500 dark:text-gray-400">${escapeHtml(group.toolName || '—')}</td>
+				<td class="${cellClass}">${renderSparkline(group.trend)}</td>
+				<td class="${cellClass} text-gray-900 dark:text-white text-right">${group.count.toLocaleString()}</td>
+				<td class="${cellClass} text-gray-500 dark:text-gray-400 text-right">${group.affectedUsers}</td>
+				<td class="${cellClass} text-gray-500 dark:text-gray-400 text-right">${group.affectedOrgs}</td>
+				<td class="${cellClass} text-gray-500 dark:text-gray-400">${escapeHtml(group.lastVersion || '—')}</td>
+				<td class="${cellClass} text-gray-500 dark:text-gray-400">${formatDate(group.lastSeen)}</td>
+				<td class="${cellClass} text-right" style="white-space: nowrap;">${actionButton}</td>
+			</tr>
+			${isExpanded ? `<tr><td colspan="9" class="border-b border-gray-200 dark:border-white/10 px-4 py-3 bg-gray-50 dark:bg-gray-800/40">${renderGroupDetail(group)}</td></tr>` : ''}
+		`;
+	}).join('');
+
+	const headerClass = 'border-b border-gray-300 dark:border-white/15 px-3 py-3.5 font-semibold text-gray-900 dark:text-white';
+	container.innerHTML = `
+		<div class="overflow-x-auto">
+			<table class="min-w-full border-separate border-spacing-0" style="font-size: 13.5px;">
+				<thead class="bg-gray-50 dark:bg-gray-800/75">
+					<tr>
+						<th scope="col" class="${headerClass} py-3.5 pl-4 pr-3 text-left">Error</th>
+						<th scope="col" class="${headerClass} text-left">Tool</th>
+						<th scope="col" class="${headerClass} text-left">Last ${TREND_DAYS} days</th>
+						<th scope="col" class="${headerClass} text-right">Events</th>
+						<th scope="col" class="${headerClass} text-right">Users</th>
+						<th scope="col" class="${headerClass} text-right">Orgs</th>
+						<th scope="col" class="${headerClass} text-left">Version</th>
+						<th scope="col" class="${headerClass} text-left">Last seen</th>
+						<th scope="col" class="${headerClass}"><span class="sr-only">Actions</span></th>
+					</tr>
+				</thead>
+				<tbody>${rows}</tbody>
+			</table>
+			${total > groups.length ? `<p class="mt-3 text-sm text-gray-500">Showing the ${groups.length} most recent of ${total} groups.</p>` : ''}
+		</div>
+	`;
+}
+
+async function setGroupStatus(group, action) {
+	const response = await fetch(`/api/error-groups/${group.id}/${action}`, {
+		method: 'POST',
+		headers: await getRequestHeaders(true),
+		credentials: 'same-origin',
+		body: JSON.stringify({})
+	});
+	const data = await response.json().catch(() => ({}));
+	if (!response.ok) {
+		throw new Error(data.message || `HTTP ${response.status}`);
+	}
+	return data.group;
+}
+
+async function handleContentClick(event) {
+	const actionButton = event.target.closest('button[data-action]');
+	if (actionButton) {
+		event.stopPropagation();
+		const {action} = actionButton.dataset;
+		const group = groups[Number(actionButton.dataset.groupIndex)];
+		actionButton.disabled = true;
+		try {
+			await setGroupStatus(group, action);
+			showToast(action === 'resolve' ? 'Error group resolved' : 'Error group reopened', 'success');
+			await refreshErrors();
+		} catch (error) {
+			console.error(`Error running ${action}:`, error);
+			showToast(escapeHtml(error.message || 'Action failed'), 'error');
+		} finally {
+			actionButton.disabled = false;
+		}
+		return;
+	}
+
+	const row = event.target.closest('tr[data-group-index]');
+	if (row) {
+		const group = groups[Number(row.dataset.groupIndex)];
+		if (expandedGroupIds.has(group.id)) {
+			expandedGroupIds.delete(group.id);
+		} else {
+			expandedGroupIds.add(group.id);
+		}
+		renderGroups();
+	}
+}
+
+async function refreshErrors(event) {
+	if (event?.preventDefault) {
+		event.preventDefault();
+	}
+	const icon = event?.currentTarget?.querySelector?.('.refresh-icon');
+	if (icon) {
+		icon.classList.add('rotating');
+	}
+
+	try {
+		await loadGroups();
+		renderGroups();
+	} catch (error) {
+		console.error('Error loading error groups:', error);
+		showToast('Failed to load errors', 'error');
+	} finally {
+		if (icon) {
+			setTimeout(() => icon.classList.remove('rotating'), REFRESH_ICON_ANIMATION_DURATION_MS);
+		}
+	}
+}
+
+function initErrorsPage() {
+	const container = document.getElementById('errorsContent');
+	if (container && !container.dataset.listenerAttached) {
+		container.dataset.listenerAttached = 'true';
+		container.addEventListener('click', handleContentClick);
+	}
+	const statusSelect = document.getElementById('errorsStatusSelect');
+	if (statusSelect && !statusSelect.dataset.listenerAttached) {
+		statusSelect.dataset.listenerAttached = 'true';
+		statusSelect.addEventListener('change', () => refreshErrors());
+	}
+	const searchInput = document.getElementById('errorsSearchInput');
+	if (searchInput && !searchInput.dataset.listenerAttached) {
+		searchInput.dataset.listenerAttached = 'true';
+		searchInput.addEventListener('input', () => {
+			clearTimeout(searchTimer);
+			searchTimer = setTimeout(() => refreshErrors(), SEARCH_DEBOUNCE_MS);
+		});
+	}
+	refreshErrors();
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+	document.addEventListener('DOMContentLoaded', initErrorsPage);
+} else {
+	initErrorsPage();
+}
+
+// Handle soft navigation
+window.addEventListener('softNav:pageMounted', (event) => {
+	if (event.detail.path === '/errors') {
+		initErrorsPage();
+	}
+});
+
+window.refreshErrors = refreshErrors;
@@ -1,6 +1,7 @@
 // @ts-nocheck
 import {toggleTheme, applyTheme} from './theme.js';
 import {timerRegistry} from './utils/timerRegistry.js';
+import {openEventStream} from './utils/eventStream.js';
 import {
 	mountSessionActivityChart,
 	renderSessionActivityChart,
@@ -233,7 +234,7 @@ function safeShowToast(message, type = 'info') {
 		}, 60000); // Update every minute
 	}
 
-	let currentOffset = 0;
+	let nextEventsCursor = null; // nextCursor of the last loaded page of events (keyset pagination)
 	let limit = 50;
 	let hasMoreEvents = true;
 	let isLoadingMore = false;
@@ -253,8 +254,10 @@ function safeShowToast(message, type = 'info') {
 	let sortOrder = 'DESC';
 	let startTime = performance.now();
 	let notificationModeEnabled = false;
-	let autoRefreshEnabledState = false;
-	const autoRefreshIntervalMinutes = '';
+	let liveTailEnabled = localStorage.getItem('eventLogLiveTail') === 'true';
+	let liveStream = null; // Open /api/events/stream subscription (live tail or notifications)
+	let liveStreamQuery = null; // Filters the open stream was opened with
+	let liveStreamStatus = 'closed';
 	let isRefreshInProgress = false;
 	let lastKnownEventTimestamp = null;
 	let lastFetchTime = null; // Track when events were last fetched
@@ -269,6 +272,9 @@ function safeShowToast(message, type = 'info') {
 
 	// Event listener references for cleanup
 	let sessionListDelegationHandler = null;
+	let sessionListScrollHandler = null;
+	let nextSessionsCursor = null; // X-Next-Cursor of the last loaded page of sessions
+	let isLoadingMoreSessions = false;
 	let peopleListDelegationHandler = null;
 	let teamsListDelegationHandler = null;
 	let tableRowDelegationHandler = null;
@@ -304,7 +310,7 @@ function safeShowToast(message, type = 'info') {
 	let activityResizeStartHeight = 0;
 
 	function resetEventLogState() {
-		currentOffset = 0;
+		nextEventsCursor = null;
 		limit = 50;
 		hasMoreEvents = true;
 		isLoadingMore = false;
@@ -320,6 +326,7 @@ function safeShowToast(message, type = 'info') {
 		sortOrder = 'DESC';
 		startTime = performance.now();
 		notificationModeEnabled = false;
+		closeLiveStream();
 		timerRegistry.clearAll();
 		lastKnownEventTimestamp = null;
 		lastFetchTime = null;
@@ -494,7 +501,7 @@ function safeShowToast(message, type = 'info') {
 			btn.addEventListener('click', (_e) => {
 				btn.classList.toggle('active');
 				updateButtonState();
-				currentOffset = 0;
+				nextEventsCursor = null;
 				loadEvents();
 			});
 
@@ -1132,7 +1139,7 @@ function safeShowToast(message, type = 'info') {
 				}
 			}
 
-			currentOffset = 0;
+			nextEventsCursor = null;
 			loadEvents();
 			loadEventTypeStats(selectedSession);
 		};
@@ -1225,7 +1232,7 @@ function safeShowToast(message, type = 'info') {
 			});
 
 			switchTab('teams');
-			currentOffset = 0;
+			nextEventsCursor = null;
 			loadEvents();
 			loadEventTypeStats(selectedSession);
 		};
@@ -1273,33 +1280,29 @@ function safeShowToast(message, type = 'info') {
 		logsTableScroll.addEventListener('click', tableRowDelegationHandler);
 	}
 
-	async function loadSessions() {
+	async function loadSessions({append = false} = {}) {
+		if (append && (isLoadingMoreSessions || !nextSessionsCursor)) {
+			return;
+		}
+		isLoadingMoreSessions = append;
 		try {
 			const params = new URLSearchParams();
-			// Apply user filters
-			// If people haven't been loaded yet (allPersonIds.size === 0), don't filter (show all)
-			// If no people are selected after loading, send a special marker to return no sessions
-			// If all people are selected, don't filter (show all)
-			// If some people are selected, filter by those people
-			if (allPersonIds.size === 0) {
-				// Users not loaded yet - don't filter (show all sessions)
-				// Don't add any userId param
-			} else if (selectedPersonIds.size === 0) {
-				// No people selected - send special marker to return no sessions
-				params.append('userId', '__none__');
-			} else if (selectedPersonIds.size > 0 && selectedPersonIds.size < allPersonIds.size) {
-				// Some people selected - filter by those people
-				Array.from(selectedPersonIds).forEach(userId => {
+			// Apply user filters (none when everyone is selected, '__none__' when nobody is)
+			const personFilter = getPersonFilter();
+			if (personFilter) {
+				personFilter.forEach(userId => {
 					params.append('userId', userId);
 				});
 			}
-			// If all people are selected (selectedPersonIds.size === allPersonIds.size), don't add any userId param
 
 			// Add limit for performance - load only recent sessions initially
 			params.append('limit', '50');
 
 			// Always include people without formal sessions
 			params.append('includeUsersWithoutSessions', 'true');
+			if (append) {
+				params.append('cursor', nextSessionsCursor);
+			}
 
 			const queryString = params.toString();
 			const cacheKey = `sessions_${queryString || 'default'}`;
@@ -1319,19 +1322,22 @@ function safeShowToast(message, type = 'info') {
 			}
 
 			// Show loading state while fetching sessions
-			sessionList.innerHTML = `
-				<li class="session-loading">
-					<div class="flex items-center justify-center py-4">
-						<div class="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
-						<span class="ml-2 text-sm text-gray-500 dark:text-gray-400">Loading sessions...</span>
-					</div>
-				</li>
-			`;
+			if (!append) {
+				sessionList.innerHTML = `
+					<li class="session-loading">
+						<div class="flex items-center justify-center py-4">
+							<div class="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
+							<span class="ml-2 text-sm text-gray-500 dark:text-gray-400">Loading sessions...</span>
+						</div>
+					</li>
+				`;
+			}
 
 			// Fetch sessions data
 			let sessions;
 			if (window.isCacheFresh(cacheKey) && params.toString() === '') {
 				sessions = window.__globalDataCache.sessions;
+				nextSessionsCursor = null;
 			} else {
 				const url = queryString ? `/api/sessions?${queryString}` : '/api/sessions';
 				const response = await fetch(url, {
@@ -1340,6 +1346,11 @@ function safeShowToast(message, type = 'info') {
 				const validResponse = await handleApiResponse(response);
 				if (!validResponse) {return;}
 				sessions = await validResponse.json();
+				if (append && params.get('cursor') !== nextSessionsCursor) {
+					// The list was reloaded while this page was loading
+					return;
+				}
+				nextSessionsCursor = validResponse.headers.get('X-Next-Cursor');
 
 				// Cache the data if no filters were applied
 				if (params.toString() === '') {
@@ -1348,11 +1359,13 @@ function safeShowToast(message, type = 'info') {
 			}
 
 			// Clear loading state and populate with sessions
-			sessionList.innerHTML = '';
+			if (!append) {
+				sessionList.innerHTML = '';
 
-			// Reset keyboard navigation for sessions when sessions are reloaded
-			if (keyboardNavigationMode === 'sessions') {
-				selectedSessionIndex = -1;
+				// Reset keyboard navigation for sessions when sessions are reloaded
+				if (keyboardNavigationMode === 'sessions') {
+					selectedSessionIndex = -1;
+				}
 			}
 
 			// Add each session
@@ -1443,8 +1456,9 @@ function safeShowToast(message, type = 'info') {
 				// Update total size only if not viewing "All Sessions"
 				// When viewing "All Sessions", loadEventTypeStats() provides the accurate total
 				if (selectedSession !== 'all') {
-					const total = sessions.reduce((sum, session) => sum + (session.count || 0), 0);
 					const totalSizeEl = document.getElementById('totalSize');
+					const previousTotal = append ? Number.parseInt(totalSizeEl?.textContent, 10) || 0 : 0;
+					const total = sessions.reduce((sum, session) => sum + (session.count || 0), previousTotal);
 					if (totalSizeEl) {
 						totalSizeEl.textContent = total;
 					}
@@ -1452,7 +1466,7 @@ function safeShowToast(message, type = 'info') {
 
 				// Update delete selected button
 				updateDeleteSelectedButton();
-			} else {
+			} else if (!append) {
 				// Update total size to 0 if no sessions and not viewing "All Sessions"
 				// When viewing "All Sessions", loadEventTypeStats() provides the accurate total
 				if (selectedSession !== 'all') {
@@ -1467,7 +1481,32 @@ function safeShowToast(message, type = 'info') {
 		} catch (error) {
 			console.error('Error loading sessions:', error);
 			// Show error in console but don't break the UI
+		} finally {
+			isLoadingMoreSessions = false;
+		}
+	}
+
+	// Load the next page of sessions when the session list is scrolled near its end
+	function setupSessionListScroll() {
+		const sessionList = document.getElementById('sessionList');
+		if (!sessionList) {
+			return;
+		}
+
+		if (sessionListScrollHandler) {
+			sessionList.removeEventListener('scroll', sessionListScrollHandler, {passive: true});
 		}
+
+		sessionListScrollHandler = () => {
+			if (!nextSessionsCursor || isLoadingMoreSessions) {
+				return;
+			}
+			const distanceFromBottom = sessionList.scrollHeight - (sessionList.scrollTop + sessionList.clientHeight);
+			if (distanceFromBottom < 200) {
+				loadSessions({append: true});
+			}
+		};
+		sessionList.addEventListener('scroll', sessionListScrollHandler, {passive: true});
 	}
 
 	function formatUserDisplay(user) {
@@ -1894,7 +1933,7 @@ function safeShowToast(message, type = 'info') {
 		if (append) {
 			isLoadingMore = true;
 		} else {
-			currentOffset = 0;
+			nextEventsCursor = null;
 			hasMoreEvents = true;
 			allLoadedEvents = [];
 		}
@@ -1919,10 +1958,12 @@ function safeShowToast(message, type = 'info') {
 		try {
 			const params = new URLSearchParams({
 				limit: limit.toString(),
-				offset: currentOffset.toString(),
 				orderBy: 'created_at',
 				order: sortOrder
 			});
+			if (append && nextEventsCursor) {
+				params.append('cursor', nextEventsCursor);
+			}
 
 			// Apply area filters
 			if (activeFilters.size > 0 && activeFilters.size < 3) {
@@ -1959,6 +2000,11 @@ function safeShowToast(message, type = 'info') {
 			// If all people are selected (selectedPersonIds.size === allPersonIds.size), don't add any userId param
 
 			const response = await fetch(`/api/events?${params}`);
+			if (response.status === 400) {
+				// Invalid search syntax
+				const body = await response.json().catch(() => ({}));
+				throw new Error(body.message || 'Invalid search');
+			}
 			const validResponse = await handleApiResponse(response);
 			if (!validResponse) {return;}
 			const data = await validResponse.json();
@@ -1982,28 +2028,34 @@ function safeShowToast(message, type = 'info') {
 			}
 
 			const hasEventsToShow = fetchedEvents.length > 0;
+			nextEventsCursor = data.nextCursor || null;
+			hasMoreEvents = Boolean(nextEventsCursor);
 
 			if (hasEventsToShow) {
 				displayEvents(fetchedEvents, append);
-				hasMoreEvents = data.hasMore || false;
-				currentOffset += fetchedEvents.length;
 				handleNotificationState(fetchedEvents, triggeredByNotification);
 				if (!append) {
 					updateSessionActivityChart({sessionId: selectedSession});
 				}
-			} else {
+			} else if (!append) {
 				hasMoreEvents = false;
-				if (!append) {
-					const emptyStateEl = document.getElementById('emptyState');
-					if (emptyStateEl) {
-						emptyStateEl.style.display = 'block';
-					}
-					hideSessionActivityCard();
-					allLoadedEvents = [];
-					updateTeamEventCounts(allLoadedEvents);
+				const emptyStateEl = document.getElementById('emptyState');
+				if (emptyStateEl) {
+					emptyStateEl.style.display = 'block';
 				}
+				hideSessionActivityCard();
+				allLoadedEvents = [];
+				updateTeamEventCounts(allLoadedEvents);
 			}
 			updateTeamEventCounts(allLoadedEvents);
+			if (!append) {
+				syncLiveStream();
+				syncFiltersToUrl();
+			}
+			if (hasMoreEvents) {
+				// Keep loading while the rows do not fill the viewport (e.g. a page hidden by the team filter)
+				requestAnimationFrame(() => handleScroll());
+			}
 		} catch (error) {
 			console.error('Error loading events:', error);
 			safeShowToast(`Error loading events: ${  error.message}`, 'error');
@@ -2037,39 +2089,6 @@ function safeShowToast(message, type = 'info') {
 	}
 
 	// Filter events based on search query
-	function filterEventsBySearch(events, query) {
-		if (!query || !query.trim()) {
-			return events;
-		}
-
-		const searchTerm = query.trim().toLowerCase();
-		return events.filter(event => {
-			const eventData = normalizeEventData(event.data);
-			const userLabel = extractUserLabelFromEvent(event, eventData);
-			const clientName = event.company_name || '';
-			const rawToolName = (event.event === 'tool_call' || event.event === 'tool_error')? (event.tool_name || event.toolName || ''): '';
-			const toolName = rawToolName || 'N/A';
-			const errorMessage = event.event === 'tool_error' ? (event.error_message || '') : '';
-			const area = event.area || 'N/A';
-			const eventType = event.event || 'N/A';
-
-			// Search in various fields
-			const searchableText = [
-				userLabel,
-				clientName,
-				toolName,
-				errorMessage,
-				area,
-				eventType,
-				event.timestamp ? formatDate(event.timestamp) : '',
-				JSON.stringify(eventData)
-			].join(' ').toLowerCase();
-
-			return searchableText.includes(searchTerm);
-		});
-	}
-
-
 	function normalizeOrgIdentifier(value) {
 		return typeof value === 'string' ? value.trim().toLowerCase() : '';
 	}
@@ -2477,19 +2496,16 @@ function safeShowToast(message, type = 'info') {
 	}
 
 	// Display events function for logs table
-	function displayEvents(events, append = false) {
+	function displayEvents(events, append = false, {prepend = false} = {}) {
 		const logsTableScroll = document.getElementById('logsTableScroll');
 		if (!logsTableScroll) {
 			return;
 		}
 
-		// Filter events by search query if present
-		const filteredEvents = filterEventsBySearch(events, searchQuery);
-
 		// If appending, find the tbody and add rows to it
 		// If not appending, replace the entire content
 		let tbody;
-		if (append) {
+		if (append || prepend) {
 			tbody = logsTableScroll.querySelector('tbody');
 			if (!tbody) {
 				return;
@@ -2502,7 +2518,7 @@ function safeShowToast(message, type = 'info') {
 		// Create rows as DOM elements instead of HTML strings
 		const rowElements = [];
 
-		filteredEvents.forEach((event) => {
+		events.forEach((event) => {
 			// When appending, we don't know if it's the last event overall, so always show border
 			const borderClass = 'border-b border-gray-200 dark:border-white/10';
 
@@ -2594,15 +2610,19 @@ function safeShowToast(message, type = 'info') {
 		});
 
 		// For non-append mode, we still need the HTML string
-		const rows = append ? null : rowElements.map(row => row.outerHTML).join('');
+		const rows = append || prepend ? null : rowElements.map(row => row.outerHTML).join('');
 
-		if (append) {
+		if (prepend) {
+			// Live tail: newest events go on top
+			tbody.prepend(...rowElements);
+			allLoadedEvents.unshift(...events);
+		} else if (append) {
 			// Append rows directly as DOM elements
 			rowElements.forEach(row => {
 				tbody.appendChild(row);
 			});
-			// Add filtered events to allLoadedEvents array
-			allLoadedEvents.push(...filteredEvents);
+			// Add events to allLoadedEvents array
+			allLoadedEvents.push(...events);
 		} else {
 			// Create new table structure
 			logsTableScroll.innerHTML = `
@@ -2639,8 +2659,8 @@ function safeShowToast(message, type = 'info') {
 					</div>
 				</div>
 			`;
-			// Store filtered events in allLoadedEvents array
-			allLoadedEvents = [...filteredEvents];
+			// Store events in allLoadedEvents array
+			allLoadedEvents = [...events];
 			// Get the tbody for adding event listeners
 			tbody = logsTableScroll.querySelector('tbody');
 
@@ -2711,7 +2731,7 @@ function safeShowToast(message, type = 'info') {
 			return;
 		}
 
-		if (!hasMoreEvents) {
+		if (!hasMoreEvents || !nextEventsCursor) {
 			return;
 		}
 
@@ -2736,7 +2756,7 @@ function safeShowToast(message, type = 'info') {
 		if (refreshIcon) {
 			refreshIcon.classList.add('rotating');
 		}
-		currentOffset = 0;
+		nextEventsCursor = null;
 
 		try {
 			// Wait for all refresh-related loads to complete
@@ -2767,7 +2787,7 @@ function safeShowToast(message, type = 'info') {
 	// Page-specific refresh callback for when events are deleted
 	window.onEventsDeleted = function() {
 		// Refresh the view
-		currentOffset = 0;
+		nextEventsCursor = null;
 		loadEventTypeStats(selectedSession);
 		loadSessions();
 		loadEvents();
@@ -2857,62 +2877,248 @@ function safeShowToast(message, type = 'info') {
 	}
 
 	function scheduleNotificationRefresh() {
-		clearNotificationInterval();
-		// No longer doing polling - notifications will be triggered by auto refresh
+		// New events come from the live event stream instead of polling
+		syncLiveStream();
 	}
 
 	function clearNotificationInterval() {
-		timerRegistry.clearInterval('eventLog.notificationRefresh');
+		syncLiveStream();
+	}
+
+	// Filters shared by the export and the live event stream (same meaning as in /api/events, search included)
+	function buildEventFilterParams() {
+		const params = new URLSearchParams();
+		if (activeFilters.size > 0 && activeFilters.size < 3) {
+			Array.from(activeFilters).forEach(area => {
+				params.append('area', area);
+			});
+		}
+		if (selectedSession !== 'all') {
+			params.append('sessionId', selectedSession);
+		}
+		const personFilter = getPersonFilter();
+		if (personFilter) {
+			personFilter.forEach(userId => {
+				params.append('userId', userId);
+			});
+		}
+		if (searchQuery.trim()) {
+			params.append('search', searchQuery.trim());
+		}
+		return params;
+	}
+
+	// People to filter by: null when everyone is selected, ['__none__'] when nobody is.
+	// People selected from the URL count before the people list has loaded (allPersonIds is empty).
+	function getPersonFilter() {
+		if (allPersonIds.size > 0 && selectedPersonIds.size === 0) {
+			return ['__none__'];
+		}
+		if (selectedPersonIds.size > 0 && (allPersonIds.size === 0 || selectedPersonIds.size < allPersonIds.size)) {
+			return Array.from(selectedPersonIds);
+		}
+		return null;
 	}
 
-	function updateAutoRefreshInterval() {
-		clearAutoRefreshInterval();
+	// Event Log filters as the /logs query string (shareable links and saved views, see src/storage/saved-views.js).
+	// Default values are left out, so an unfiltered Event Log is plain /logs.
+	const VIEW_AREAS = ['tool', 'session', 'general'];
+
+	function buildViewQuery() {
+		const params = new URLSearchParams();
+		if (activeFilters.size < VIEW_AREAS.length) {
+			params.append('area', VIEW_AREAS.filter(area => activeFilters.has(area)).join(','));
+		}
+		const personFilter = getPersonFilter();
+		if (personFilter && !personFilter.includes('__none__')) {
+			personFilter.forEach(personId => {
+				params.append('person', personId);
+			});
+		}
+		if (selectedTeamKey) {
+			params.append('team', selectedTeamKey);
+		}
+		if (selectedSession !== 'all') {
+			params.append('session', selectedSession);
+		}
+		if (sortOrder === 'ASC') {
+			params.append('order', 'asc');
+		}
+		if (searchQuery.trim()) {
+			params.append('q', searchQuery.trim());
+		}
+		return params;
+	}
 
-		const intervalMinutes = autoRefreshIntervalMinutes;
-		const enabled = intervalMinutes !== '';
-		autoRefreshEnabledState = enabled;
+	// Set the filters (and the controls showing them) from a /logs query string. Callers reload the data.
+	function applyViewQuery(query) {
+		const params = new URLSearchParams(query);
 
-		setRefreshButtonAutoState(enabled, intervalMinutes);
+		const areas = params.has('area') ? params.get('area').split(',') : VIEW_AREAS;
+		activeFilters = new Set(areas.filter(area => VIEW_AREAS.includes(area)));
+		document.querySelectorAll('.level-filter-btn').forEach(btn => {
+			btn.classList.toggle('active', activeFilters.has(btn.dataset.level));
+		});
 
-		if (enabled && intervalMinutes && intervalMinutes !== '') {
-			const intervalMs = Number.parseInt(intervalMinutes, 10) * 60 * 1000;
-			timerRegistry.setInterval('eventLog.autoRefresh', () => {
-				refreshLogs();
-			}, intervalMs);
+		const personIds = params.getAll('person').filter(Boolean);
+		selectedPersonIds = new Set(personIds.length > 0 ? personIds : allPersonIds);
+		const dropdownContent = document.getElementById('personFilterDropdownContent');
+		if (dropdownContent) {
+			dropdownContent.querySelectorAll('.person-filter-checkbox').forEach(checkbox => {
+				const checkboxUserId = checkbox.getAttribute('data-user-id');
+				if (checkboxUserId) {
+					checkbox.checked = selectedPersonIds.has(checkboxUserId);
+				}
+			});
 		}
+
+		selectedSession = params.get('session') || 'all';
+		document.querySelectorAll('.session-item[data-session]').forEach(item => {
+			item.classList.toggle('active', item.getAttribute('data-session') === selectedSession);
+		});
+
+		sortOrder = params.get('order') === 'asc' ? 'ASC' : 'DESC';
+		const sortIconEl = document.getElementById('sortIcon');
+		if (sortIconEl) {
+			sortIconEl.src = sortOrder === 'DESC' ? '/resources/sort-desc' : '/resources/sort-asc';
+			sortIconEl.alt = sortOrder === 'DESC' ? 'Sort descending' : 'Sort ascending';
+		}
+
+		searchQuery = params.get('q') || '';
+		const searchInputEl = document.getElementById('searchInput');
+		if (searchInputEl) {
+			searchInputEl.value = searchQuery;
+		}
+
+		selectedTeamKey = params.get('team') || null;
+		if (selectedTeamKey) {
+			switchTab('teams');
+		}
+		document.querySelectorAll('#teamList .session-item').forEach(item => {
+			item.classList.toggle('active', item.dataset.teamKey === selectedTeamKey);
+		});
+
+		nextEventsCursor = null;
 	}
 
-	function setRefreshButtonAutoState(enabled, intervalMinutes) {
-		const refreshButton = document.getElementById('refreshButton');
-		const badge = document.getElementById('autoRefreshBadge');
-		if (!refreshButton) {
+	// Mirror the filters in the address bar (replaceState, so filter changes don't pile up in the history)
+	function syncFiltersToUrl() {
+		if (!window.location.pathname.startsWith('/logs')) {
 			return;
 		}
+		const query = buildViewQuery().toString();
+		const url = `${window.location.pathname}${query ? `?${query}` : ''}`;
+		if (url !== `${window.location.pathname}${window.location.search}`) {
+			window.history.replaceState(window.history.state, '', url);
+		}
+	}
+
+	function restoreFiltersFromUrl() {
+		// During a soft navigation the address bar still shows the previous page
+		if (window.location.pathname.startsWith('/logs') && window.location.search) {
+			applyViewQuery(window.location.search);
+		}
+	}
 
-		const hasInterval = intervalMinutes && intervalMinutes !== '';
-		const shouldHighlight = enabled && hasInterval;
-		refreshButton.classList.toggle('auto-refresh-active', shouldHighlight);
+	// Used by the command palette to open a saved view without leaving the page
+	window.applyEventLogView = (query) => {
+		applyViewQuery(query);
+		loadSessions();
+		loadEvents();
+		loadEventTypeStats(selectedSession);
+	};
 
-		if (shouldHighlight) {
-			refreshButton.setAttribute('title', `Auto-refresh every ${intervalMinutes} min`);
-			refreshButton.setAttribute('aria-label', `Auto-refresh every ${intervalMinutes} minutes. Click to refresh now.`);
-			if (badge) {
-				badge.textContent = intervalMinutes;
-				badge.style.display = 'inline-flex';
+	// Open, reopen (after the filters change) or close the live event stream.
+	// It stays open while live tail or notification mode is on.
+	function syncLiveStream() {
+		// Settings can toggle live tail while another page is shown (this script stays loaded)
+		const onEventLogPage = window.location.pathname.startsWith('/logs');
+		if (!onEventLogPage || (!liveTailEnabled && !notificationModeEnabled)) {
+			closeLiveStream();
+			return;
+		}
+		const params = buildEventFilterParams();
+		const query = params.toString();
+		if (liveStream && liveStreamQuery === query) {
+			return;
+		}
+		closeLiveStream();
+		liveStreamQuery = query;
+		liveStream = openEventStream(params, {
+			onEvents: handleLiveEvents,
+			onStatus: (status) => {
+				liveStreamStatus = status;
+				updateLiveTailButtonState();
 			}
+		});
+	}
+
+	function closeLiveStream() {
+		const stream = liveStream;
+		liveStream = null;
+		liveStreamQuery = null;
+		if (stream) {
+			stream.close();
+		}
+	}
+
+	function handleLiveEvents(events) {
+		handleNotificationState(events, true);
+		if (!liveTailEnabled) {
 			return;
 		}
 
-		refreshButton.setAttribute('title', 'Refresh now');
-		refreshButton.setAttribute('aria-label', 'Refresh now');
-		if (badge) {
-			badge.textContent = '';
-			badge.style.display = 'none';
+		const loadedIds = new Set(allLoadedEvents.map(event => event.id));
+		const newEvents = events.filter(event => !loadedIds.has(event.id) && eventMatchesSelectedTeam(event));
+		if (newEvents.length === 0) {
+			return;
+		}
+		const hasTable = Boolean(document.querySelector('#logsTableScroll tbody'));
+
+		if (sortOrder === 'DESC') {
+			// Stream batches come oldest first
+			displayEvents([...newEvents].reverse(), false, {prepend: hasTable});
+		} else if (hasMoreEvents) {
+			// Oldest first: the new events will show up when scrolling reaches the end
+			return;
+		} else {
+			displayEvents(newEvents, hasTable);
+		}
+
+		const emptyStateEl = document.getElementById('emptyState');
+		if (emptyStateEl) {
+			emptyStateEl.style.display = 'none';
+		}
+		lastFetchTime = Date.now();
+		updateLastUpdatedText();
+		updateTeamEventCounts(allLoadedEvents);
+	}
+
+	const LIVE_TAIL_STATUS_LABELS = {
+		connecting: 'Live tail: connecting…',
+		live: 'Live tail: showing new events as they arrive',
+		reconnecting: 'Live tail: reconnecting…',
+		closed: 'Live tail: disconnected'
+	};
+
+	function updateLiveTailButtonState() {
+		const button = document.getElementById('liveTailBtn');
+		if (!button) {
+			return;
 		}
+		button.classList.toggle('live-tail-active', liveTailEnabled);
+		button.classList.toggle('live-tail-reconnecting', liveTailEnabled && liveStreamStatus !== 'live');
+		button.setAttribute('aria-pressed', String(liveTailEnabled));
+		const label = liveTailEnabled ? LIVE_TAIL_STATUS_LABELS[liveStreamStatus] : 'Live tail';
+		button.setAttribute('aria-label', label);
+		button.setAttribute('data-tooltip', label);
 	}
 
-	function clearAutoRefreshInterval() {
-		timerRegistry.clearInterval('eventLog.autoRefresh');
+	function setLiveTailEnabled(enabled) {
+		liveTailEnabled = Boolean(enabled);
+		localStorage.setItem('eventLogLiveTail', String(liveTailEnabled));
+		syncLiveStream();
+		updateLiveTailButtonState();
 	}
 
 	function handleNotificationState(events, _triggeredByNotification) {
@@ -3029,11 +3235,15 @@ function safeShowToast(message, type = 'info') {
 			return false;
 		}
 
+		if (searchQuery && !searchInputEl.value) {
+			// Search restored from the URL before the input existed
+			searchInputEl.value = searchQuery;
+		}
 		searchInputEl.addEventListener('input', (e) => {
 			timerRegistry.clearTimeout('eventLog.searchDebounce');
 			timerRegistry.setTimeout('eventLog.searchDebounce', () => {
 				searchQuery = e.target.value;
-				currentOffset = 0;
+				nextEventsCursor = null;
 				loadEvents();
 			}, 500);
 		});
@@ -3079,7 +3289,7 @@ function safeShowToast(message, type = 'info') {
 		sortBtnEl.addEventListener('click', (_e) => {
 			// Toggle sort order
 			sortOrder = sortOrder === 'DESC' ? 'ASC' : 'DESC';
-			currentOffset = 0;
+			nextEventsCursor = null;
 			updateSortIcon();
 			loadEvents();
 		});
@@ -3087,6 +3297,334 @@ function safeShowToast(message, type = 'info') {
 		return true;
 	}
 
+	// Download every event matching the current filters (streamed by the server, no row cap)
+	function buildExportUrl({format = 'jsonl', columns = []} = {}) {
+		const params = buildEventFilterParams();
+		if (selectedTeamKey) {
+			params.append('team', selectedTeamKey);
+		}
+		if (format !== 'jsonl') {
+			params.append('format', format);
+		}
+		if (columns.length > 0) {
+			params.append('columns', columns.join(','));
+		}
+		const query = params.toString();
+		return query ? `/api/export/logs?${query}` : '/api/export/logs';
+	}
+
+	let exportFormats = null;
+	let lastExportFormat = 'jsonl';
+	let lastExportColumns = null;
+
+	async function loadExportFormats() {
+		if (!exportFormats) {
+			const response = await fetch('/api/export/formats', {credentials: 'include'});
+			if (!response.ok) {
+				throw new Error(`Failed to load export formats (${response.status})`);
+			}
+			exportFormats = (await response.json()).formats;
+		}
+		return exportFormats;
+	}
+
+	async function openExportModal() {
+		let formats;
+		try {
+			formats = await loadExportFormats();
+		} catch (error) {
+			console.error('Error loading export formats:', error);
+			window.location.href = buildExportUrl();
+			return;
+		}
+
+		const existing = document.querySelector('.export-modal-backdrop');
+		if (existing) {
+			existing.remove();
+		}
+
+		const inputClass = 'block w-full rounded-md bg-white dark:bg-white/5 px-3 py-1.5 text-sm text-gray-900 dark:text-white outline-1 -outline-offset-1 outline-gray-300 dark:outline-white/10';
+		const backdrop = document.createElement('div');
+		backdrop.className = 'confirm-modal-backdrop confirm-dialog-backdrop export-modal-backdrop';
+
+		const modal = document.createElement('div');
+		modal.className = 'confirm-modal confirm-dialog';
+		modal.innerHTML = `
+			<div class="confirm-modal-title">Export events</div>
+			<div>Downloads every event that matches the current filters.</div>
+			<div class="mt-4">
+				<label class="block text-sm font-medium text-gray-900 dark:text-white mb-1" for="exportFormatSelect">Format</label>
+				<select id="exportFormatSelect" class="${inputClass}">
+					${formats.map(format => `<option value="${escapeHtml(format.id)}"${format.id === lastExportFormat ? ' selected' : ''}>${escapeHtml(format.label)} (.${escapeHtml(format.extension)})</option>`).join('')}
+				</select>
+			</div>
+			<fieldset id="exportColumns" class="mt-4 hidden">
+				<legend class="text-sm font-medium text-gray-900 dark:text-white mb-1">Columns</legend>
+				<div class="grid grid-cols-2 gap-x-4 gap-y-1 text-sm text-gray-900 dark:text-white sm:grid-cols-3"></div>
+			</fieldset>
+			<div class="confirm-dialog-actions">
+				<button type="button" class="btn" data-action="cancel">Cancel</button>
+				<button type="button" class="btn confirm-modal-btn-confirm" data-action="export">Export</button>
+			</div>
+		`;
+
+		backdrop.appendChild(modal);
+		document.body.appendChild(backdrop);
+		requestAnimationFrame(() => {
+			backdrop.classList.add('visible');
+		});
+
+		const formatSelect = modal.querySelector('#exportFormatSelect');
+		const columnsFieldset = modal.querySelector('#exportColumns');
+		const getSelectedFormat = () => formats.find(format => format.id === formatSelect.value);
+
+		const renderColumns = () => {
+			const format = getSelectedFormat();
+			columnsFieldset.classList.toggle('hidden', !format?.columns);
+			if (!format?.columns) {
+				return;
+			}
+			const checked = new Set(lastExportColumns || format.defaultColumns);
+			columnsFieldset.querySelector('div').innerHTML = format.columns.map(column => `
+				<label class="flex items-center gap-2"><input type="checkbox" value="${escapeHtml(column)}"${checked.has(column) ? ' checked' : ''}> ${escapeHtml(column)}</label>
+			`).join('');
+		};
+		renderColumns();
+		formatSelect.addEventListener('change', renderColumns);
+
+		const handleKeydown = (e) => {
+			if (e.key === 'Escape') {
+				e.stopImmediatePropagation();
+				e.preventDefault();
+				close();
+			}
+		};
+		function close() {
+			document.removeEventListener('keydown', handleKeydown);
+			backdrop.classList.remove('visible');
+			backdrop.classList.add('hiding');
+			setTimeout(() => {
+				backdrop.remove();
+			}, 220);
+		}
+		document.addEventListener('keydown', handleKeydown);
+		backdrop.addEventListener('click', (e) => {
+			if (e.target === backdrop) {
+				close();
+			}
+		});
+		modal.querySelector('[data-action="cancel"]').addEventListener('click', close);
+		modal.querySelector('[data-action="export"]').addEventListener('click', () => {
+			const format = getSelectedFormat();
+			let columns = [];
+			if (format?.columns) {
+				columns = Array.from(columnsFieldset.querySelectorAll('input:checked')).map(input => input.value);
+				if (columns.length === 0) {
+					safeShowToast('Select at least one column', 'error');
+					return;
+				}
+				lastExportColumns = columns;
+			}
+			lastExportFormat = formatSelect.value;
+			close();
+			// The response is an attachment, so the browser downloads it without leaving the page
+			window.location.href = buildExportUrl({format: formatSelect.value, columns});
+		});
+	}
+
+	// Save the current filters as a named view (listed in the command palette), private or shared with the team
+	async function openSaveViewModal() {
+		let ownViews = [];
+		let canShare = false;
+		try {
+			const response = await fetch('/api/saved-views', {credentials: 'include'});
+			const validResponse = await handleApiResponse(response);
+			if (!validResponse) {return;}
+			const data = await validResponse.json();
+			ownViews = (data.views || []).filter(view => view.owned);
+			canShare = data.canShare === true;
+		} catch (error) {
+			console.error('Error loading saved views:', error);
+			safeShowToast('Error loading saved views', 'error');
+			return;
+		}
+
+		const existing = document.querySelector('.save-view-modal-backdrop');
+		if (existing) {
+			existing.remove();
+		}
+
+		const inputClass = 'block w-full rounded-md bg-white dark:bg-white/5 px-3 py-1.5 text-sm text-gray-900 dark:text-white outline-1 -outline-offset-1 outline-gray-300 dark:outline-white/10';
+		const renderViewItem = view => `
+			<li class="flex items-center justify-between gap-2 py-1" data-view-id="${view.id}">
+				<span class="truncate">${escapeHtml(view.name)}${view.team_id ? ` <span class="text-xs text-gray-500 dark:text-gray-400">· ${escapeHtml(view.team_name || 'Team')}</span>` : ''}</span>
+				<button type="button" class="btn" data-action="delete-view">Delete</button>
+			</li>
+		`;
+		const renderViewOption = view => `<option value="${escapeHtml(view.name)}"></option>`;
+		const ownViewsHtml = ownViews.length > 0 ? `<div class="text-sm font-medium text-gray-900 dark:text-white mb-1">Your views</div><ul class="text-sm text-gray-900 dark:text-white">${ownViews.map(renderViewItem).join('')}</ul>` : '';
+		const backdrop = document.createElement('div');
+		backdrop.className = 'confirm-modal-backdrop confirm-dialog-backdrop save-view-modal-backdrop';
+
+		const modal = document.createElement('div');
+		modal.className = 'confirm-modal confirm-dialog';
+		modal.innerHTML = `
+			<div class="confirm-modal-title">Save view</div>
+			<div>Saves the current filters under a name. Saved views are listed in the command palette.</div>
+			<div class="mt-4">
+				<label class="block text-sm font-medium text-gray-900 dark:text-white mb-1" for="saveViewName">Name</label>
+				<input id="saveViewName" type="text" maxlength="80" autocomplete="off" list="saveViewNames" class="${inputClass}">
+				<datalist id="saveViewNames">${ownViews.map(renderViewOption).join('')}</datalist>
+			</div>
+			<label class="mt-3 flex items-center gap-2 text-sm text-gray-900 dark:text-white">
+				<input type="checkbox" id="saveViewShared"${canShare ? '' : ' disabled'}> Share with my team
+			</label>
+			${canShare ? '' : '<div class="mt-1 text-xs text-gray-500 dark:text-gray-400">You are not in a team, so your views are private.</div>'}
+			<div class="mt-4" id="saveViewList">${ownViewsHtml}</div>
+			<div class="confirm-dialog-actions">
+				<button type="button" class="btn" data-action="copy-link">Copy link</button>
+				<button type="button" class="btn" data-action="cancel">Cancel</button>
+				<button type="button" class="btn confirm-modal-btn-confirm" data-action="save">Save</button>
+			</div>
+		`;
+
+		backdrop.appendChild(modal);
+		document.body.appendChild(backdrop);
+		requestAnimationFrame(() => {
+			backdrop.classList.add('visible');
+		});
+
+		const nameInput = modal.querySelector('#saveViewName');
+		const sharedInput = modal.querySelector('#saveViewShared');
+		const findOwnView = () => ownViews.find(view => view.name === nameInput.value.trim());
+		nameInput.focus();
+		nameInput.addEventListener('input', () => {
+			// Saving under an existing name replaces that view; start from its sharing
+			const match = findOwnView();
+			if (match && canShare) {
+				sharedInput.checked = Boolean(match.team_id);
+			}
+		});
+
+		const handleKeydown = (e) => {
+			if (e.key === 'Escape') {
+				e.stopImmediatePropagation();
+				e.preventDefault();
+				close();
+			}
+		};
+		function close() {
+			document.removeEventListener('keydown', handleKeydown);
+			backdrop.classList.remove('visible');
+			backdrop.classList.add('hiding');
+			setTimeout(() => {
+				backdrop.remove();
+			}, 220);
+		}
+		document.addEventListener('keydown', handleKeydown);
+		backdrop.addEventListener('click', (e) => {
+			if (e.target === backdrop) {
+				close();
+			}
+		});
+		modal.querySelector('[data-action="cancel"]').addEventListener('click', close);
+
+		modal.querySelector('[data-action="copy-link"]').addEventListener('click', async () => {
+			const query = buildViewQuery().toString();
+			try {
+				await navigator.clipboard.writeText(`${window.location.origin}/logs${query ? `?${query}` : ''}`);
+				safeShowToast('Link copied to clipboard', 'success');
+			} catch (error) {
+				console.error('Error copying link:', error);
+				safeShowToast('Could not copy the link', 'error');
+			}
+		});
+
+		modal.querySelector('#saveViewList').addEventListener('click', async (e) => {
+			const deleteBtn = e.target.closest('[data-action="delete-view"]');
+			if (!deleteBtn) {
+				return;
+			}
+			const item = deleteBtn.closest('[data-view-id]');
+			const viewId = Number(item.dataset.viewId);
+			try {
+				const response = await fetch(`/api/saved-views/${viewId}`, {
+					method: 'DELETE',
+					headers: getCsrfHeaders(false),
+					credentials: 'include'
+				});
+				const validResponse = await handleApiResponse(response);
+				if (!validResponse) {return;}
+				ownViews = ownViews.filter(view => view.id !== viewId);
+				item.remove();
+				modal.querySelector('#saveViewNames').innerHTML = ownViews.map(renderViewOption).join('');
+				if (ownViews.length === 0) {
+					modal.querySelector('#saveViewList').innerHTML = '';
+				}
+			} catch (error) {
+				console.error('Error deleting saved view:', error);
+				safeShowToast('Error deleting view', 'error');
+			}
+		});
+
+		modal.querySelector('[data-action="save"]').addEventListener('click', async () => {
+			const name = nameInput.value.trim();
+			if (!name) {
+				safeShowToast('Enter a name for the view', 'error');
+				nameInput.focus();
+				return;
+			}
+			const existingView = findOwnView();
+			try {
+				const response = await fetch(existingView ? `/api/saved-views/${existingView.id}` : '/api/saved-views', {
+					method: existingView ? 'PUT' : 'POST',
+					headers: getCsrfHeaders(true),
+					credentials: 'include',
+					body: JSON.stringify({
+						name,
+						query: buildViewQuery().toString(),
+						shared: sharedInput.checked
+					})
+				});
+				if (response.status === 401) {
+					window.location.href = '/login';
+					return;
+				}
+				const body = await response.json().catch(() => ({}));
+				if (!response.ok) {
+					safeShowToast(body.message || 'Error saving view', 'error');
+					return;
+				}
+				close();
+				safeShowToast(`View "${name}" saved`, 'success');
+			} catch (error) {
+				console.error('Error saving view:', error);
+				safeShowToast('Error saving view', 'error');
+			}
+		});
+	}
+
+	const saveViewBtn = document.getElementById('saveViewBtn');
+	if (saveViewBtn) {
+		saveViewBtn.addEventListener('click', () => {
+			openSaveViewModal();
+		});
+	}
+
+	const exportEventsBtn = document.getElementById('exportEventsBtn');
+	if (exportEventsBtn) {
+		exportEventsBtn.addEventListener('click', () => {
+			openExportModal();
+		});
+	}
+
+	const liveTailBtn = document.getElementById('liveTailBtn');
+	if (liveTailBtn) {
+		liveTailBtn.addEventListener('click', () => {
+			setLiveTailEnabled(!liveTailEnabled);
+		});
+	}
+
 	if (!bindSortButton()) {
 		// Header builds the sort button on DOMContentLoaded; defer binding until it exists
 		window.addEventListener('DOMContentLoaded', () => {
@@ -3131,19 +3669,10 @@ function safeShowToast(message, type = 'info') {
 			}, 150);
 		};
 
-		// Check if logsTableScroll has its own scroll
-		const hasOwnScroll = logsTableScroll.scrollHeight > logsTableScroll.clientHeight;
-
-		if (hasOwnScroll) {
-			// Listen to logsTableScroll scroll
-			logsTableScroll.addEventListener('scroll', window._eventLogScrollHandler, {passive: true});
-		} else {
-			// Listen to page scroll
-			window.addEventListener('scroll', window._eventLogScrollHandler, {passive: true});
-		}
-
-		// Also listen to wheel events for better detection
-		logsTableScroll.addEventListener('wheel', window._eventLogScrollHandler, {passive: true});
+		// The table only gets its own scroll once rows are loaded, so listen to both;
+		// handleScroll requests the page after nextEventsCursor whichever one scrolled
+		logsTableScroll.addEventListener('scroll', window._eventLogScrollHandler, {passive: true});
+		window.addEventListener('scroll', window._eventLogScrollHandler, {passive: true});
 	}
 
 	// Function to clear all filters
@@ -3211,7 +3740,7 @@ function safeShowToast(message, type = 'info') {
 			}
 			// Clear all filters when clicking "All Sessions"
 			clearAllFilters();
-			currentOffset = 0;
+			nextEventsCursor = null;
 			loadEvents();
 			loadEventTypeStats(selectedSession);
 		});
@@ -4456,8 +4985,9 @@ function safeShowToast(message, type = 'info') {
 	}
 
 	function pauseEventLogPage() {
-		// Pause all intervals when leaving the page
+		// Pause all intervals and the live event stream when leaving the page
 		timerRegistry.clearAll();
+		closeLiveStream();
 
 		// Remove event delegation listeners
 		const sessionList = document.getElementById('sessionList');
@@ -4496,10 +5026,8 @@ function safeShowToast(message, type = 'info') {
 	async function resumeEventLogPage(fromCache = false) {
 		// Resume intervals if they were active before pausing
 		// Note: We don't re-fetch data here since the UI is preserved
-		// Only restart intervals that should be running
-		if (autoRefreshEnabledState && !timerRegistry.has('eventLog.autoRefresh')) {
-			updateAutoRefreshInterval();
-		}
+		// Only restart intervals (and the live event stream) that should be running
+		syncLiveStream();
 
 		// Only reload sessions if this is not a cache restoration
 		// When fromCache=true, the DOM is preserved so sessions are already there
@@ -4547,8 +5075,10 @@ function safeShowToast(message, type = 'info') {
 		runSafeInitStep('horizontal resizer setup', setupHorizontalResizer);
 		runSafeInitStep('session legend hover', setupSessionLegendHover);
 		runSafeInitStep('tabs setup', setupTabs);
+		runSafeInitStep('filters from URL', restoreFiltersFromUrl);
 		runSafeInitStep('user filter label', setupPersonFilterLabel);
 		runSafeInitStep('session list delegation', setupSessionListDelegation); // Event delegation for sessions
+		runSafeInitStep('session list scroll', setupSessionListScroll);
 		runSafeInitStep('people list delegation', setupPeopleListDelegation); // Event delegation for people
 		runSafeInitStep('teams list delegation', setupTeamsListDelegation); // Event delegation for teams
 		runSafeInitStep('table row delegation', setupTableRowDelegation); // Event delegation for table rows
@@ -4594,7 +5124,7 @@ function safeShowToast(message, type = 'info') {
 			}
 		});
 		runSafeAsyncInitStep('people for filter', () => loadPeople());
-		runSafeAsyncInitStep('auto refresh', () => updateAutoRefreshInterval());
+		runSafeInitStep('live tail', () => updateLiveTailButtonState());
 		runSafeInitStep('infinite scroll', () => setupInfiniteScroll());
 
 		// Listen for chart rendering completion
@@ -4641,6 +5171,8 @@ function safeShowToast(message, type = 'info') {
 			if (fromCache) {
 				// Page was restored from cache - resume intervals and restore chart
 				await resumeEventLogPage(true);
+				// Navigation has just set the address bar to plain /logs
+				syncFiltersToUrl();
 			} else {
 				// New page load - full initialization
 				window.initializeEventLogApp({resetState: true, forceLogsPage: true});
@@ -4770,6 +5302,7 @@ function safeShowToast(message, type = 'info') {
 	// Note: openSettingsModal is now exposed by settings-modal.js
 	window.refreshLogs = refreshLogs;
 	window.toggleNotificationMode = toggleNotificationMode;
+	window.onLiveTailChanged = setLiveTailEnabled;
 	window.toggleSelectionMode = toggleSelectionMode;
 	window.clearSelectedSessions = clearSelectedSessions;
 	// Load and display event payload in a modal
@@ -33,6 +33,21 @@
 			if (typeof window.refreshPeople === 'function') {
 				window.refreshPeople(event);
 			}
+		} else if (currentPath.startsWith('/errors')) {
+			// Errors page
+			if (typeof window.refreshErrors === 'function') {
+				window.refreshErrors(event);
+			}
+		} else if (currentPath.startsWith('/alerts')) {
+			// Alerts page
+			if (typeof window.refreshAlerts === 'function') {
+				window.refreshAlerts(event);
+			}
+		} else if (currentPath.startsWith('/rejected')) {
+			// Rejected payloads page
+			if (typeof window.refreshRejected === 'function') {
+				window.refreshRejected(event);
+			}
 		} else if (currentPath.startsWith('/test')) {
 			// Test page
 			if (typeof window.refreshTest === 'function') {
@@ -91,10 +106,9 @@
 	function buildHeaderHTML(userRole = null) {
 		// Auto-detect active page from current URL
 		const currentPath = window.location.pathname;
-		const activePage = currentPath === '/' ? '/' :currentPath.startsWith('/logs') ? '/logs' :currentPath.startsWith('/teams') ? '/teams' :currentPath.startsWith('/people') ? '/people' :currentPath.startsWith('/test') ? '/test' :currentPath.startsWith('/users') ? '/users' : '/';
+		const activePage = currentPath === '/' ? '/' :currentPath.startsWith('/logs') ? '/logs' :currentPath.startsWith('/teams') ? '/teams' :currentPath.startsWith('/people') ? '/people' :currentPath.startsWith('/errors') ? '/errors' :currentPath.startsWith('/alerts') ? '/alerts' :currentPath.startsWith('/rejected') ? '/rejected' :currentPath.startsWith('/test') ? '/test' :currentPath.startsWith('/users') ? '/users' : '/';
 
 		// Refresh button properties - use dynamic handler for all pages
-		const showBadge = currentPath.startsWith('/logs');
 		const refreshId = currentPath.startsWith('/logs') ? 'refreshButton' : '';
 		const refreshAriaLabel = 'Refresh';
 		const refreshTitle = 'Refresh';
@@ -104,11 +118,19 @@
 		const refreshOnClick = 'handleRefreshClick(event)';
 
 		const refreshButtonId = refreshId ? `id="${refreshId}"` : '';
-		const refreshBadge = showBadge? '<span class="refresh-badge" id="autoRefreshBadge" aria-hidden="true"></span>': '';
 
 		// Secondary button content (always settings)
 		const secondaryButtonHTML = ``;
 
+		// Only show Errors link to advanced users and above (same as the error groups API)
+		const errorsLinkHTML = ['advanced', 'administrator', 'god'].includes(userRole)? `<a href="/errors" class="top-nav-link${activePage === '/errors' ? ' active' : ''}">Errors</a>`: '';
+
+		// Only show Alerts link to administrators (alert rules can notify external channels)
+		const alertsLinkHTML = ['administrator', 'god'].includes(userRole)? `<a href="/alerts" class="top-nav-link${activePage === '/alerts' ? ' active' : ''}">Alerts</a>`: '';
+
+		// Only show Rejected payloads link to administrators
+		const rejectedLinkHTML = ['administrator', 'god'].includes(userRole)? `<a href="/rejected" class="top-nav-link${activePage === '/rejected' ? ' active' : ''}">Rejected</a>`: '';
+
 		// Only show Test link if user has "god" role
 		const testLinkHTML = userRole === 'god'? `<a href="/test" class="top-nav-link${activePage === '/test' ? ' active' : ''}">Test</a>`: '';
 
@@ -125,6 +147,9 @@
           <a href="/logs" class="top-nav-link${activePage === '/logs' ? ' active' : ''}">Logs</a>
           <a href="/teams" class="top-nav-link${activePage === '/teams' ? ' active' : ''}">Teams</a>
           <a href="/people" class="top-nav-link${activePage === '/people' ? ' active' : ''}">People</a>
+          ${errorsLinkHTML}
+          ${alertsLinkHTML}
+          ${rejectedLinkHTML}
           ${testLinkHTML}
           <div class="top-nav-animation"></div>
         </div>
@@ -138,7 +163,6 @@
             <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" class="refresh-icon" width="18" height="18" aria-hidden="true">
               <path stroke-linecap="round" stroke-linejoin="round" d="M19.5 12c0-1.232-.046-2.453-.138-3.662a4.006 4.006 0 0 0-3.7-3.7 48.678 48.678 0 0 0-7.324 0 4.006 4.006 0 0 0-3.7 3.7c-.017.22-.032.441-.046.662M19.5 12l3-3m-3 3-3-3m-12 3c0 1.232.046 2.453.138 3.662a4.006 4.006 0 0 0 3.7 3.7 48.656 48.656 0 0 0 7.324 0 4.006 4.006 0 0 0 3.7-3.7c.017-.22.032-.441.046-.662M4.5 12l3 3m-3-3-3 3" />
             </svg>
-            ${refreshBadge}
           </button>
           ${secondaryButtonHTML}
           <div class="inline-flex rounded-md shadow-xs mr-2 button-group">
@@ -2,6 +2,7 @@
 import {toggleTheme, initializeTheme} from './theme.js';
 import {timerRegistry} from './utils/timerRegistry.js';
 import {awaitECharts, safeInit, bindWindowResize} from './echarts-core.js';
+import {openEventStream} from './utils/eventStream.js';
 
 // Dashboard constants
 const SESSION_START_SERIES_COLOR = '#2195cfdd';
@@ -12,9 +13,16 @@ const TOP_TEAMS_LIMIT = 5;
 const SERVER_VERSION_LABEL = 'v1.0.0';
 const REFRESH_ICON_ANIMATION_DURATION_MS = 700;
 const DEFAULT_DASHBOARD_TIME_RANGE_DAYS = 30;
+const LIVE_REFRESH_DELAY_MS = 10_000; // Batch chart updates while events keep arriving
+const LIVE_ROLES = ['advanced', 'administrator', 'god']; // Roles allowed to follow /api/events/stream
 let serverStatsLastFetchTime = null;
 let currentDays = DEFAULT_DASHBOARD_TIME_RANGE_DAYS;
 
+// Live event stream
+let liveStream = null;
+let liveStreamAllowed = false;
+let liveEventsReceived = 0;
+
 // Chart configuration
 let chart = null;
 let chartUnbindResize = null; // Store unbind function to clean up resize handler
@@ -131,6 +139,8 @@ function resetServerStatsUi() {
 		dbSizeElement.textContent = '-';
 		dbSizeElement.style.color = '';
 	}
+	closeLiveStream();
+	liveEventsReceived = 0;
 }
 
 function recordServerStatsFetch(durationMs) {
@@ -252,6 +262,78 @@ async function loadHealthCheckData() {
 initializeDashboardPage();
 
 // Initialize dashboard; reused on first load and on soft navigation
+const LIVE_STATUS_DISPLAY = {
+	connecting: {label: 'Connecting…', textClass: 'text-amber-700 dark:text-amber-400', dotClass: 'bg-amber-500 dark:bg-amber-400'},
+	live: {label: 'Live', textClass: 'text-green-700 dark:text-green-400', dotClass: 'bg-green-500 dark:bg-green-400'},
+	reconnecting: {label: 'Reconnecting…', textClass: 'text-amber-700 dark:text-amber-400', dotClass: 'bg-amber-500 dark:bg-amber-400'},
+	closed: {label: 'Disconnected', textClass: 'text-gray-500 dark:text-gray-400', dotClass: 'bg-gray-400 dark:bg-gray-500'}
+};
+
+function setLiveStatus(status) {
+	const display = LIVE_STATUS_DISPLAY[status] || LIVE_STATUS_DISPLAY.closed;
+	const labelEl = document.getElementById('serverStatsConnection');
+	const dotEl = document.getElementById('serverStatsConnectionDot');
+	if (labelEl) {
+		labelEl.textContent = display.label;
+		labelEl.className = `text-xs font-medium ${display.textClass}`;
+	}
+	if (dotEl) {
+		dotEl.className = `h-2 w-2 rounded-full ${display.dotClass}`;
+	}
+}
+
+function updateLiveEventsCount() {
+	const row = document.getElementById('serverStatsLiveEventsRow');
+	const countEl = document.getElementById('serverStatsLiveEvents');
+	if (row) {
+		row.style.display = liveStreamAllowed ? '' : 'none';
+	}
+	if (countEl) {
+		countEl.textContent = liveEventsReceived.toLocaleString();
+	}
+}
+
+async function refreshLiveCounters() {
+	try {
+		await Promise.all([
+			loadChartData(currentDays),
+			loadTopUsersToday(),
+			loadTopTeamsToday()
+		]);
+	} catch (error) {
+		console.warn('Failed to refresh dashboard after new events:', error);
+	}
+}
+
+function handleLiveEvents(events) {
+	liveEventsReceived += events.length;
+	updateLiveEventsCount();
+	// Counters are aggregated server-side: reload them once the burst settles
+	if (!timerRegistry.has('dashboard.liveRefresh')) {
+		timerRegistry.setTimeout('dashboard.liveRefresh', refreshLiveCounters, LIVE_REFRESH_DELAY_MS);
+	}
+}
+
+// Follow newly stored events (instead of polling) while the dashboard is shown
+function openLiveStream() {
+	if (!liveStreamAllowed || liveStream) {
+		return;
+	}
+	liveStream = openEventStream(null, {
+		onEvents: handleLiveEvents,
+		onStatus: setLiveStatus
+	});
+	updateLiveEventsCount();
+}
+
+function closeLiveStream() {
+	const stream = liveStream;
+	liveStream = null;
+	if (stream) {
+		stream.close();
+	}
+}
+
 async function initializeDashboardPage({resetState = false} = {}) {
 	// Reset chart state when coming back from another page
 	if (resetState && chart) {
@@ -308,9 +390,10 @@ async function initializeDashboardPage({resetState = false} = {}) {
 			return;
 		}
 
+		liveStreamAllowed = LIVE_ROLES.includes(data.role);
 		const eventLogLink = document.getElementById('eventLogLink');
 		if (eventLogLink) {
-			if (data.role === 'advanced' || data.role === 'administrator' || data.role === 'god') {
+			if (liveStreamAllowed) {
 				eventLogLink.style.display = '';
 			} else {
 				eventLogLink.style.display = 'none';
@@ -353,6 +436,7 @@ async function initializeDashboardPage({resetState = false} = {}) {
 		}
 
 		bindTimeRangeSelector();
+		openLiveStream();
 	} catch (error) {
 		console.error('Auth check failed:', error);
 		window.location.href = '/login';
@@ -1940,6 +2024,7 @@ Object.assign(window, {
 // Pause/resume functions for soft navigation
 function pauseDashboardPage() {
 	timerRegistry.clearAll();
+	closeLiveStream();
 	if (chartResizeObserver) {
 		chartResizeObserver.disconnect();
 		chartResizeObserver = null;
@@ -2026,6 +2111,7 @@ async function resumeDashboardPage() {
 
 	// Rebind time range selector after cache restore (clone drops listeners)
 	bindTimeRangeSelector();
+	openLiveStream();
 }
 
 // Expose pause/resume hooks
@@ -9,7 +9,7 @@
 		};
 	};
 
-	const SUPPORTED_PATHS = ['/', '/logs', '/teams', '/people', '/test'];
+	const SUPPORTED_PATHS = ['/', '/logs', '/teams', '/people', '/errors', '/alerts', '/rejected', '/test'];
 	const SOFT_NAV_SELECTOR = [
 		'a.top-nav-link',
 		'a.top-nav-logo',
@@ -21,11 +21,15 @@
 		'/': [
 			{src: '/js/global-cache.js'},
 			{src: '/js/index.js', type: 'module'},
-			{src: '/js/tool-usage-chart.js', type: 'module'}
+			{src: '/js/tool-usage-chart.js', type: 'module'},
+			{src: '/js/tool-performance.js', type: 'module'}
 		],
 		'/logs': [{src: '/js/global-cache.js'}, {src: '/js/event-log.js', type: 'module'}],
 		'/teams': [{src: '/js/global-cache.js'}, {src: '/js/teams.js', type: 'module'}],
 		'/people': [{src: '/js/global-cache.js'}, {src: '/js/people.js', type: 'module'}],
+		'/errors': [{src: '/js/global-cache.js'}, {src: '/js/errors.js', type: 'module'}],
+		'/alerts': [{src: '/js/global-cache.js'}, {src: '/js/alerts.js', type: 'module'}],
+		'/rejected': [{src: '/js/global-cache.js'}, {src: '/js/rejected.js', type: 'module'}],
 		'/test': [{src: '/js/global-cache.js'}, {src: '/js/test.js', type: 'module'}]
 	};
 
@@ -502,7 +506,8 @@
 		primeInitialCache();
 		currentPath = window.location.pathname; // Initialize current path
 		document.addEventListener('click', handleSoftNavClick);
-		window.history.replaceState({softNav: true}, '', currentPath);
+		// Keep the query string: pages such as /logs keep their filters there
+		window.history.replaceState({softNav: true}, '', `${currentPath}${window.location.search}`);
 		window.addEventListener('popstate', () => {
 			// popstate updates window.location.pathname, so we need to use it directly
 			const targetPath = window.location.pathname;
@@ -0,0 +1,51 @@
+// @ts-nocheck
+// QR codes for two-factor enrollment (otpauth:// URIs), drawn with qrcode-generator loaded on demand
+
+const QR_LIBRARY_URL = 'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.min.js';
+
+/**
+ * Load the QR code library once
+ * @returns {Promise<boolean>} Whether window.qrcode is available
+ */
+function loadQrLibrary() {
+	if (typeof window.qrcode === 'function') {
+		return Promise.resolve(true);
+	}
+	if (!window.__qrcodeLoadingPromise) {
+		window.__qrcodeLoadingPromise = new Promise((resolve) => {
+			const script = document.createElement('script');
+			script.src = QR_LIBRARY_URL;
+			script.async = true;
+			script.addEventListener('load', () => resolve(typeof window.qrcode === 'function'));
+			script.addEventListener('error', () => {
+				console.warn('Failed to load QR code library');
+				window.__qrcodeLoadingPromise = null;
+				resolve(false);
+			});
+			document.head.appendChild(script);
+		});
+	}
+	return window.__qrcodeLoadingPromise;
+}
+
+/**
+ * Render text as a QR code (SVG) inside a container
+ * Callers always show the secret as text too, for when the library can't be loaded.
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} text - Text to encode
+ * @returns {Promise<boolean>} Whether the QR code was rendered
+ */
+export async function renderQrCode(container, text) {
+	if (!container) {
+		return false;
+	}
+	const loaded = await loadQrLibrary();
+	if (!loaded) {
+		return false;
+	}
+	const qr = window.qrcode(0, 'M');
+	qr.addData(text);
+	qr.make();
+	container.innerHTML = qr.createSvgTag(4, 8);
+	return true;
+}
@@ -0,0 +1,351 @@
+// @ts-nocheck
+// Rejected payloads page: quarantined /telemetry payloads grouped by error signature
+import {showToast} from './notifications.js';
+
+const REFRESH_ICON_ANIMATION_DURATION_MS = 700;
+const PAYLOADS_PER_GROUP = 20;
+const STAGE_LABELS = {
+	validation: 'Schema validation',
+	parse: 'Parse error',
+	unknown_event_type: 'Unknown event type',
+	archived_month: 'Archived month'
+};
+
+let groups = [];
+const expandedSignatures = new Set();
+
+function escapeHtml(text) {
+	if (text === null || text === undefined) {
+		return '';
+	}
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+function formatDate(value) {
+	if (!value) {
+		return '—';
+	}
+	const date = new Date(value);
+	return Number.isNaN(date.getTime()) ? '—' : date.toLocaleString();
+}
+
+function includePromoted() {
+	return Boolean(document.getElementById('rejectedIncludePromoted')?.checked);
+}
+
+// Get request headers with CSRF token
+async function getRequestHeaders(includeJson = true) {
+	const headers = includeJson ? {'Content-Type': 'application/json'} : {};
+
+	try {
+		if (window.getCsrfToken) {
+			const csrfToken = await window.getCsrfToken();
+			if (csrfToken) {
+				headers['X-CSRF-Token'] = csrfToken;
+			}
+		}
+	} catch (error) {
+		console.warn('Failed to get CSRF token:', error);
+	}
+
+	return headers;
+}
+
+// openConfirmModal is exposed by settings-modal.js
+async function confirmAction(options) {
+	if (typeof window.openConfirmModal !== 'function') {
+		return false;
+	}
+	return window.openConfirmModal(options);
+}
+
+async function loadGroups() {
+	const response = await fetch(`/api/rejected-events/groups?includePromoted=${includePromoted()}`, {
+		headers: await getRequestHeaders(false),
+		credentials: 'same-origin'
+	});
+	if (!response.ok) {
+		throw new Error(`HTTP ${response.status}`);
+	}
+	const data = await response.json();
+	groups = data.groups || [];
+}
+
+function renderGroups() {
+	const container = document.getElementById('rejectedContent');
+	if (!container) {
+		return;
+	}
+
+	if (groups.length === 0) {
+		container.innerHTML = `
+			<div class="px-8 py-10 text-center">
+				<h3 class="mt-3 text-base font-semibold text-gray-900 dark:text-white">No rejected payloads</h3>
+				<p class="mt-2 text-sm text-gray-500 dark:text-gray-400">Payloads that fail schema validation, parsing or have an unknown event type show up here.</p>
+			</div>
+		`;
+		return;
+	}
+
+	const rows = groups.map((group, index) => {
+		const versions = group.clientVersions.length > 0 ? group.clientVersions.map(escapeHtml).join(', ') : '—';
+		const isExpanded = expandedSignatures.has(group.signature);
+		return `
+			<tr class="cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800/50" data-group-index="${index}">
+				<td class="border-b border-gray-200 dark:border-white/10 py-3 pl-4 pr-3 text-sm text-gray-900 dark:text-white" style="max-width: 520px; word-break: break-word;">
+					<i class="fa-solid ${isExpanded ? 'fa-chevron-down' : 'fa-chevron-right'}" style="margin-right: 6px; opacity: 0.6;"></i>
+					<code>${escapeHtml(group.signature)}</code>
+				</td>
+				<td class="border-b border-gray-200 dark:border-white/10 px-3 py-3 text-sm text-gray-500 dark:text-gray-400">${escapeHtml(STAGE_LABELS[group.stage] || group.stage)}</td>
+				<td class="border-b border-gray-200 dark:border-white/10 px-3 py-3 text-sm text-gray-900 dark:text-white text-right">${group.count}${group.promotedCount > 0 ? ` <span class="text-gray-500">(${group.promotedCount} promoted)</span>` : ''}</td>
+				<td class="border-b border-gray-200 dark:border-white/10 px-3 py-3 text-sm text-gray-500 dark:text-gray-400 text-right">${group.clientCount}</td>
+				<td class="border-b border-gray-200 dark:border-white/10 px-3 py-3 text-sm text-gray-500 dark:text-gray-400">${versions}</td>
+				<td class="border-b border-gray-200 dark:border-white/10 px-3 py-3 text-sm text-gray-500 dark:text-gray-400">${formatDate(group.lastSeen)}</td>
+				<td class="border-b border-gray-200 dark:border-white/10 px-3 py-3 text-sm text-right" style="white-space: nowrap;">
+					<button type="button" class="btn" data-action="promote-group" data-group-index="${index}">Promote all</button>
+					<button type="button" class="btn" data-action="delete-group" data-group-index="${index}">Delete</button>
+				</td>
+			</tr>
+			${isExpanded ? `<tr data-group-detail="${index}"><td colspan="7" class="border-b border-gray-200 dark:border-white/10 px-4 py-3 bg-gray-50 dark:bg-gray-800/40"><div class="rejected-group-payloads text-sm text-gray-500">Loading payloads...</div></td></tr>` : ''}
+		`;
+	}).join('');
+
+	container.innerHTML = `
+		<div class="overflow-x-auto">
+			<table class="min-w-full border-separate border-spacing-0" style="font-size: 13.5px;">
+				<thead class="bg-gray-50 dark:bg-gray-800/75">
+					<tr>
+						<th scope="col" class="border-b border-gray-300 dark:border-white/15 py-3.5 pl-4 pr-3 text-left font-semibold text-gray-900 dark:text-white">Error signature</th>
+						<th scope="col" class="border-b border-gray-300 dark:border-white/15 px-3 py-3.5 text-left font-semibold text-gray-900 dark:text-white">Stage</th>
+						<th scope="col" class="border-b border-gray-300 dark:border-white/15 px-3 py-3.5 text-right font-semibold text-gray-900 dark:text-white">Payloads</th>
+						<th scope="col" class="border-b border-gray-300 dark:border-white/15 px-3 py-3.5 text-right font-semibold text-gray-900 dark:text-white">Clients</th>
+						<th scope="col" class="border-b border-gray-300 dark:border-white/15 px-3 py-3.5 text-left font-semibold text-gray-900 dark:text-white">Versions</th>
+						<th scope="col" class="border-b border-gray-300 dark:border-white/15 px-3 py-3.5 text-left font-semibold text-gray-900 dark:text-white">Last seen</th>
+						<th scope="col" class="border-b border-gray-300 dark:border-white/15 px-3 py-3.5"><span class="sr-only">Actions</span></th>
+					</tr>
+				</thead>
+				<tbody>${rows}</tbody>
+			</table>
+		</div>
+	`;
+
+	// Load payloads of expanded groups
+	container.querySelectorAll('tr[data-group-detail]').forEach(row => {
+		const group = groups[Number(row.dataset.groupDetail)];
+		loadGroupPayloads(group, row.querySelector('.rejected-group-payloads'));
+	});
+}
+
+async function loadGroupPayloads(group, target) {
+	try {
+		const params = new URLSearchParams({
+			signature: group.signature,
+			limit: String(PAYLOADS_PER_GROUP),
+			includePromoted: String(includePromoted())
+		});
+		const response = await fetch(`/api/rejected-events?${params}`, {
+			headers: await getRequestHeaders(false),
+			credentials: 'same-origin'
+		});
+		if (!response.ok) {
+			throw new Error(`HTTP ${response.status}`);
+		}
+		const data = await response.json();
+		target.innerHTML = renderPayloads(data.events || [], group);
+	} catch (error) {
+		console.error('Error loading rejected payloads:', error);
+		target.textContent = 'Failed to load payloads';
+	}
+}
+
+function renderPayloads(events, group) {
+	if (events.length === 0) {
+		return 'No payloads';
+	}
+
+	const more = group.count > events.length ? `<p class="mt-2">Showing the latest ${events.length} of ${group.count} payloads.</p>` : '';
+	return events.map(event => {
+		const errors = (event.errors || []).map(error => `<li><code>${escapeHtml(error.field || 'root')}</code> ${escapeHtml(error.message)}</li>`).join('');
+		return `
+			<div class="py-3" style="border-bottom: 1px solid var(--border-color);">
+				<div style="display: flex; justify-content: space-between; gap: 12px; align-items: flex-start;">
+					<div class="text-gray-700 dark:text-gray-300">
+						<div>#${event.id} · ${formatDate(event.received_at)} · IP ${escapeHtml(event.client_ip || '—')} · Version ${escapeHtml(event.client_version || '—')}</div>
+						<ul class="mt-1" style="list-style: disc; padding-left: 20px;">${errors}</ul>
+						${event.promoted_at ? `<div class="mt-1 text-green-600">Promoted ${formatDate(event.promoted_at)}${event.promoted_by ? ` by ${escapeHtml(event.promoted_by)}` : ''}</div>` : ''}
+					</div>
+					${event.promoted_at ? '' : `
+						<div style="white-space: nowrap;">
+							<button type="button" class="btn" data-action="reparse" data-event-id="${event.id}">Re-parse</button>
+							<button type="button" class="btn" data-action="promote" data-event-id="${event.id}">Promote</button>
+						</div>
+					`}
+				</div>
+				<pre class="mt-2 text-xs" style="max-height: 240px; overflow: auto; white-space: pre-wrap; word-break: break-word;">${escapeHtml(JSON.stringify(event.payload, null, 2))}</pre>
+			</div>
+		`;
+	}).join('') + more;
+}
+
+async function promoteEvent(eventId, dryRun) {
+	const response = await fetch(`/api/rejected-events/${eventId}/promote`, {
+		method: 'POST',
+		headers: await getRequestHeaders(true),
+		credentials: 'same-origin',
+		body: JSON.stringify({dryRun})
+	});
+	const data = await response.json().catch(() => ({}));
+	if (!response.ok) {
+		const detail = data.errors?.[0] ? `: ${data.errors[0].field || 'root'} ${data.errors[0].message}` : '';
+		throw new Error(`${data.message || `HTTP ${response.status}`}${detail}`);
+	}
+	return data;
+}
+
+async function promoteGroup(group) {
+	const confirmed = await confirmAction({
+		title: 'Promote payloads',
+		message: `Re-parse the ${group.count} payloads of this group and store the ones that now pass into telemetry events?`,
+		confirmLabel: 'Promote'
+	});
+	if (!confirmed) {
+		return;
+	}
+
+	const response = await fetch('/api/rejected-events/groups/promote', {
+		method: 'POST',
+		headers: await getRequestHeaders(true),
+		credentials: 'same-origin',
+		body: JSON.stringify({signature: group.signature})
+	});
+	const data = await response.json().catch(() => ({}));
+	if (!response.ok) {
+		throw new Error(data.message || `HTTP ${response.status}`);
+	}
+	const failedText = data.failed > 0 ? ` (${data.failed} still failing${data.lastError ? `: ${data.lastError}` : ''})` : '';
+	showToast(escapeHtml(`${data.message}${failedText}`), data.promoted > 0 ? 'success' : 'error');
+}
+
+async function deleteGroup(group) {
+	const confirmed = await confirmAction({
+		title: 'Delete rejected payloads',
+		message: `Delete the ${group.count} payloads of this group? This cannot be undone.`,
+		confirmLabel: 'Delete',
+		destructive: true
+	});
+	if (!confirmed) {
+		return;
+	}
+
+	const response = await fetch('/api/rejected-events/groups', {
+		method: 'DELETE',
+		headers: await getRequestHeaders(true),
+		credentials: 'same-origin',
+		body: JSON.stringify({signature: group.signature})
+	});
+	const data = await response.json().catch(() => ({}));
+	if (!response.ok) {
+		throw new Error(data.message || `HTTP ${response.status}`);
+	}
+	expandedSignatures.delete(group.signature);
+	showToast(data.message, 'success');
+}
+
+async function handleContentClick(event) {
+	const actionButton = event.target.closest('button[data-action]');
+	if (actionButton) {
+		event.stopPropagation();
+		const {action} = actionButton.dataset;
+		const group = groups[Number(actionButton.dataset.groupIndex)];
+		actionButton.disabled = true;
+		try {
+			if (action === 'reparse') {
+				const data = await promoteEvent(actionButton.dataset.eventId, true);
+				showToast(escapeHtml(`${data.message} (${data.event.area}/${data.event.event})`), 'success');
+				return;
+			}
+			if (action === 'promote') {
+				const data = await promoteEvent(actionButton.dataset.eventId, false);
+				showToast(data.message, 'success');
+			} else if (action === 'promote-group') {
+				await promoteGroup(group);
+			} else if (action === 'delete-group') {
+				await deleteGroup(group);
+			}
+			await refreshRejected();
+		} catch (error) {
+			console.error(`Error running ${action}:`, error);
+			showToast(escapeHtml(error.message || 'Action failed'), 'error');
+		} finally {
+			actionButton.disabled = false;
+		}
+		return;
+	}
+
+	const row = event.target.closest('tr[data-group-index]');
+	if (row) {
+		const group = groups[Number(row.dataset.groupIndex)];
+		if (expandedSignatures.has(group.signature)) {
+			expandedSignatures.delete(group.signature);
+		} else {
+			expandedSignatures.add(group.signature);
+		}
+		renderGroups();
+	}
+}
+
+async function refreshRejected(event) {
+	if (event?.preventDefault) {
+		event.preventDefault();
+	}
+	const icon = event?.currentTarget?.querySelector?.('.refresh-icon');
+	if (icon) {
+		icon.classList.add('rotating');
+	}
+	try {
+		await loadGroups();
+		renderGroups();
+	} catch (error) {
+		console.error('Error loading rejected payloads:', error);
+		showToast('Failed to load rejected payloads', 'error');
+	} finally {
+		if (icon) {
+			setTimeout(() => icon.classList.remove('rotating'), REFRESH_ICON_ANIMATION_DURATION_MS);
+		}
+	}
+}
+
+function initRejectedPage() {
+	const container = document.getElementById('rejectedContent');
+	if (container && !container.dataset.listenerAttached) {
+		container.dataset.listenerAttached = 'true';
+		container.addEventListener('click', handleContentClick);
+	}
+	const includePromotedInput = document.getElementById('rejectedIncludePromoted');
+	if (includePromotedInput && !includePromotedInput.dataset.listenerAttached) {
+		includePromotedInput.dataset.listenerAttached = 'true';
+		includePromotedInput.addEventListener('change', () => refreshRejected());
+	}
+	refreshRejected();
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+	document.addEventListener('DOMContentLoaded', initRejectedPage);
+} else {
+	initRejectedPage();
+}
+
+// Handle soft navigation
+window.addEventListener('softNav:pageMounted', (event) => {
+	if (event.detail.path === '/rejected') {
+		initRejectedPage();
+	}
+});
+
+window.refreshRejected = refreshRejected;
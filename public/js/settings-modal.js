@@ -6,6 +6,7 @@
 
 import {showToast} from './notifications.js';
 import {timerRegistry} from './utils/timerRegistry.js';
+import {renderQrCode} from './qr-code.js';
 
 /* Custom styles for settings modal */
 const settingsModalStyles = `
@@ -336,7 +337,14 @@ async function openSettingsModal() {
 	// Get current settings
 	const savedTheme = localStorage.getItem('theme') || 'light';
 	const isDarkTheme = savedTheme === 'dark';
-	const autoRefreshInterval = localStorage.getItem('autoRefreshIntervalMinutes') || '';
+	const liveTailEnabled = localStorage.getItem('eventLogLiveTail') === 'true';
+
+	const twoFactorRoleOptions = ['basic', 'advanced', 'administrator', ...(isGod ? ['god'] : [])].map(role => `
+		<label class="flex items-center gap-1.5 text-sm cursor-pointer">
+			<input type="checkbox" value="${role}">
+			<span>${role}</span>
+		</label>
+	`).join('');
 
 	const sidebarNav = `
     <a href="#settings-general" class="settings-sidebar-link flex items-center gap-2 rounded-md px-2 py-1.5 text-[color:var(--text-primary)] hover:text-[color:var(--text-primary)] hover:bg-(--bg-secondary)">
@@ -359,6 +367,14 @@ async function openSettingsModal() {
     </a>
     ` : ''}
     ${isAdministrator ? `
+    <a href="#settings-ingestion-keys" class="settings-sidebar-link flex items-center gap-2 rounded-md px-2 py-1.5 text-[color:var(--text-primary)] hover:text-(--text-primary) hover:bg-[color:var(--bg-secondary)]">
+      <span class="w-5 h-5 flex items-center justify-center">
+        <i class="fa-solid fa-key"></i>
+      </span>
+      <span>Ingestion keys</span>
+    </a>
+    ` : ''}
+    ${isAdministrator ? `
     <a href="#settings-import-export" class="settings-sidebar-link flex items-center gap-2 rounded-md px-2 py-1.5 text-[color:var(--text-primary)] hover:text-(--text-primary) hover:bg-[color:var(--bg-secondary)]">
       <span class="w-5 h-5 flex items-center justify-center">
         <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" class="size-4">
@@ -368,6 +384,22 @@ async function openSettingsModal() {
       <span>Database</span>
     </a>
     ` : ''}
+    ${isAdministrator ? `
+    <a href="#settings-retention" class="settings-sidebar-link flex items-center gap-2 rounded-md px-2 py-1.5 text-[color:var(--text-primary)] hover:text-(--text-primary) hover:bg-[color:var(--bg-secondary)]">
+      <span class="w-5 h-5 flex items-center justify-center">
+        <i class="fa-solid fa-hourglass-half"></i>
+      </span>
+      <span>Retention</span>
+    </a>
+    ` : ''}
+    ${isAdministrator ? `
+    <a href="#settings-forwarding" class="settings-sidebar-link flex items-center gap-2 rounded-md px-2 py-1.5 text-[color:var(--text-primary)] hover:text-(--text-primary) hover:bg-[color:var(--bg-secondary)]">
+      <span class="w-5 h-5 flex items-center justify-center">
+        <i class="fa-solid fa-share-from-square"></i>
+      </span>
+      <span>Forwarding</span>
+    </a>
+    ` : ''}
     ${isGod ? `
     <a href="#settings-login-history" class="settings-sidebar-link flex items-center gap-2 rounded-md px-2 py-1.5 text-[color:var(--text-primary)] hover:text-(--text-primary) hover:bg-[color:var(--bg-secondary)]">
       <span class="w-5 h-5 flex items-center justify-center">
@@ -377,6 +409,12 @@ async function openSettingsModal() {
       </span>
       <span>Login history</span>
     </a>
+    <a href="#settings-audit-log" class="settings-sidebar-link flex items-center gap-2 rounded-md px-2 py-1.5 text-[color:var(--text-primary)] hover:text-(--text-primary) hover:bg-[color:var(--bg-secondary)]">
+      <span class="w-5 h-5 flex items-center justify-center">
+        <i class="fa-solid fa-clipboard-list"></i>
+      </span>
+      <span>Audit log</span>
+    </a>
     ` : ''}
     <a href="#settings-danger" class="settings-sidebar-link flex items-center gap-2 rounded-md px-2 py-1.5 text-[color:var(--text-primary)] hover:text-(--text-primary) hover:bg-(--bg-secondary)">
       <span class="w-5 h-5 flex items-center justify-center">
@@ -410,31 +448,35 @@ async function openSettingsModal() {
 									<input type="checkbox" id="darkThemeToggle" ${isDarkTheme ? 'checked' : ''} aria-label="Dark theme" class="absolute inset-0 appearance-none focus:outline-hidden">
 								</div>
 							</label>
-							<div class="settings-toggle-row" style="margin-top: 16px;">
-								<div class="settings-toggle-text" style="flex: 1;">
-									<div class="settings-toggle-title">Automatic refresh</div>
-									<div class="settings-toggle-description">
-										Automatically refresh the events list at the specified interval.
-									</div>
+							<label class="flex items-center justify-between cursor-pointer py-2" style="margin-top: 8px;">
+								<div class="flex flex-col">
+									<span class="settings-toggle-title">Live tail</span>
+									<span class="text-xs text-(--text-primary)">Show new events in the Event Log as they arrive.</span>
 								</div>
-								<div style="display: flex; align-items: center; gap: 8px;">
-									<div class="relative">
-										<select id="autoRefreshInterval" name="autoRefreshInterval"
-											class="block w-full appearance-none rounded-md bg-white dark:bg-white/5 py-1.5 pr-12 pl-3 text-base text-gray-900 dark:text-white outline-1 -outline-offset-1 outline-gray-300 dark:outline-white/10 placeholder:text-gray-400 dark:placeholder:text-gray-500 focus:outline-2 focus:-outline-offset-2 focus:outline-indigo-600 dark:focus:outline-indigo-500 sm:text-sm/6">
-											<option value="" ${autoRefreshInterval === '' ? 'selected' : ''}>Off</option>
-											<option value="3" ${autoRefreshInterval === '3' ? 'selected' : ''}>3 minutes</option>
-											<option value="5" ${autoRefreshInterval === '5' ? 'selected' : ''}>5 minutes</option>
-											<option value="10" ${autoRefreshInterval === '10' ? 'selected' : ''}>10 minutes</option>
-											<option value="15" ${autoRefreshInterval === '15' ? 'selected' : ''}>15 minutes</option>
-										</select>
-										<div class="absolute inset-y-0 right-0 flex items-center pr-3 pointer-events-none">
-											<svg viewBox="0 0 20 20" fill="currentColor" aria-hidden="true" class="size-5 text-gray-400">
-												<path d="M5.22 8.22a.75.75 0 0 1 1.06 0L10 11.94l3.72-3.72a.75.75 0 1 1 1.06 1.06l-4.25 4.25a.75.75 0 0 1-1.06 0L5.22 9.28a.75.75 0 0 1 0-1.06Z" clip-rule="evenodd" fill-rule="evenodd" />
-											</svg>
-										</div>
+								<div class="group relative inline-flex w-11 shrink-0 rounded-full bg-gray-200 p-0.5 inset-ring inset-ring-gray-900/5 outline-offset-2 outline-indigo-600 transition-colors duration-200 ease-in-out has-checked:bg-indigo-600 has-focus-visible:outline-2">
+									<span class="size-5 rounded-full bg-white shadow-xs ring-1 ring-gray-900/5 transition-transform duration-200 ease-in-out group-has-checked:translate-x-5"></span>
+									<input type="checkbox" id="liveTailToggle" ${liveTailEnabled ? 'checked' : ''} aria-label="Live tail" class="absolute inset-0 appearance-none focus:outline-hidden">
+								</div>
+							</label>
+							<div class="settings-toggle-row" style="align-items: flex-start; margin-top: 16px;">
+								<div class="settings-toggle-text">
+									<div class="settings-toggle-title">Two-factor authentication</div>
+									<div class="settings-toggle-description" id="twoFactorStatus">Loading...</div>
+								</div>
+								<div class="settings-toggle-actions" id="twoFactorActions" style="display: flex; gap: 8px;"></div>
+							</div>
+							<div id="twoFactorPanel" class="settings-users-inline-form" style="display: none;"></div>
+							<div class="settings-toggle-row" style="align-items: flex-start; margin-top: 16px;">
+								<div class="settings-toggle-text">
+									<div class="settings-toggle-title">API tokens</div>
+									<div class="settings-toggle-description" id="apiTokensStatus">
+										Personal tokens for scripts and BI tools, sent as <code>Authorization: Bearer &lt;token&gt;</code>. They act as you, limited to their scopes.
 									</div>
 								</div>
+								<div class="settings-toggle-actions" id="apiTokensActions" style="display: flex; gap: 8px;"></div>
 							</div>
+							<div id="apiTokensPanel" class="settings-users-inline-form" style="display: none;"></div>
+							<ul id="apiTokensList" class="text-sm" style="list-style: none; margin: 8px 0 0; padding: 0; display: flex; flex-direction: column; gap: 6px;"></ul>
 							<div class="settings-toggle-row" style="align-items: flex-start; margin-top: 16px;">
 								<div class="settings-toggle-text">
 									<div class="settings-toggle-title">Clear local data</div>
@@ -464,6 +506,17 @@ async function openSettingsModal() {
 								</div>
 							</div>
 
+							<div class="settings-toggle-row" style="margin-bottom: 12px;">
+								<div class="settings-toggle-text" style="flex: 1;">
+									<div class="settings-toggle-title">Require two-factor authentication</div>
+									<div class="settings-toggle-description">
+										Users of these roles set up an authenticator app at their next login. The environment admin account can't, so it can't log in while administrators require it.
+									</div>
+								</div>
+								<div id="twoFactorRequiredRoles" style="display: flex; gap: 12px; flex-wrap: wrap;">
+									${twoFactorRoleOptions}
+								</div>
+							</div>
 							<div class="settings-users-table-wrapper">
 								<table id="usersTable" class="settings-users-table" style="min-width: 600px;">
 									<thead>
@@ -485,6 +538,59 @@ async function openSettingsModal() {
 						</section>
 						` : ''}
 						${isAdministrator ? `
+						<section id="settings-ingestion-keys" class="settings-section settings-users-section" style="display: none;">
+							<div class="settings-modal-placeholder-title">
+								<div style="display: flex; justify-content: space-between; align-items: center;">
+									<div>Ingestion keys</div>
+									<div>
+										<button type="button" class="btn" id="addIngestionKeyBtn">
+											<i class="fa-solid fa-plus"></i>
+											New key
+										</button>
+									</div>
+								</div>
+							</div>
+							<div class="settings-toggle-row" style="margin-bottom: 12px;">
+								<div class="settings-toggle-text" style="flex: 1;">
+									<div class="settings-toggle-title">Requests without a valid key</div>
+									<div class="settings-toggle-description">
+										What to do with events sent to /telemetry with a missing, revoked or out-of-scope X-API-Key header.
+									</div>
+								</div>
+								<div class="relative">
+									<select id="ingestionAuthMode" name="ingestionAuthMode"
+										class="block w-full appearance-none rounded-md bg-white dark:bg-white/5 py-1.5 pr-12 pl-3 text-base text-gray-900 dark:text-white outline-1 -outline-offset-1 outline-gray-300 dark:outline-white/10 focus:outline-2 focus:-outline-offset-2 focus:outline-indigo-600 dark:focus:outline-indigo-500 sm:text-sm/6">
+										<option value="off">Accept (keys optional)</option>
+										<option value="discard">Store as discarded</option>
+										<option value="reject">Reject</option>
+									</select>
+									<div class="absolute inset-y-0 right-0 flex items-center pr-3 pointer-events-none">
+										<svg viewBox="0 0 20 20" fill="currentColor" aria-hidden="true" class="size-5 text-gray-400">
+											<path d="M5.22 8.22a.75.75 0 0 1 1.06 0L10 11.94l3.72-3.72a.75.75 0 1 1 1.06 1.06l-4.25 4.25a.75.75 0 0 1-1.06 0L5.22 9.28a.75.75 0 0 1 0-1.06Z" clip-rule="evenodd" fill-rule="evenodd" />
+										</svg>
+									</div>
+								</div>
+							</div>
+							<div id="ingestionKeySecret" class="settings-users-inline-form" style="display: none;"></div>
+							<div class="settings-users-table-wrapper">
+								<table id="ingestionKeysTable" class="settings-users-table" style="min-width: 600px;">
+									<thead>
+										<tr>
+											<th>Name</th>
+											<th>Scope</th>
+											<th>Last Used</th>
+											<th class="settings-users-actions-column">Actions</th>
+										</tr>
+									</thead>
+									<tbody id="ingestionKeysTableBody">
+										${usersLoadingRow}
+									</tbody>
+								</table>
+							</div>
+							<div id="ingestionKeyFormContainer" class="settings-users-inline-form" style="display: none;"></div>
+						</section>
+						` : ''}
+						${isAdministrator ? `
 						<section id="settings-import-export" class="settings-section" style="display: none;">
 							<div class="settings-modal-placeholder-title">Database</div>
 							<div class="settings-modal-placeholder-text">
@@ -529,6 +635,77 @@ async function openSettingsModal() {
 							</div>
 						</section>
 						` : ''}
+						${isAdministrator ? `
+						<section id="settings-retention" class="settings-section settings-users-section" style="display: none;">
+							<div class="settings-modal-placeholder-title">
+								<div style="display: flex; justify-content: space-between; align-items: center;">
+									<div>Retention</div>
+									<div style="display: flex; gap: 8px;">
+										<button type="button" class="btn" id="runRetentionBtn">
+											<i class="fa-solid fa-broom"></i>
+											Purge now
+										</button>
+										<button type="button" class="btn" id="addRetentionPolicyBtn">
+											<i class="fa-solid fa-plus"></i>
+											New policy
+										</button>
+									</div>
+								</div>
+							</div>
+							<div class="settings-toggle-description" style="margin-bottom: 12px;">
+								Events older than the retention of the most specific matching policy are purged in the background. Events that match no policy are kept.
+								<span id="retentionJobStatus"></span>
+							</div>
+							<div class="settings-users-table-wrapper">
+								<table class="settings-users-table" style="min-width: 600px;">
+									<thead>
+										<tr>
+											<th>Policy</th>
+											<th>Keep</th>
+											<th>Rows to purge</th>
+											<th class="settings-users-actions-column">Actions</th>
+										</tr>
+									</thead>
+									<tbody id="retentionPoliciesTableBody">
+										${usersLoadingRow}
+									</tbody>
+								</table>
+							</div>
+							<div id="retentionPolicyFormContainer" class="settings-users-inline-form" style="display: none;"></div>
+						</section>
+						` : ''}
+						${isAdministrator ? `
+						<section id="settings-forwarding" class="settings-section settings-users-section" style="display: none;">
+							<div class="settings-modal-placeholder-title">
+								<div style="display: flex; justify-content: space-between; align-items: center;">
+									<div>Forwarding</div>
+									<button type="button" class="btn" id="addForwarderBtn">
+										<i class="fa-solid fa-plus"></i>
+										New forwarder
+									</button>
+								</div>
+							</div>
+							<div class="settings-toggle-description" style="margin-bottom: 12px;">
+								Stored events matching a forwarder's filters are relayed in batches to its webhook, OTLP collector or file. Failed deliveries are retried until the sink is back. Delivery metrics are shown on the <a href="/health" target="_blank" rel="noopener">health page</a>.
+							</div>
+							<div class="settings-users-table-wrapper">
+								<table class="settings-users-table" style="min-width: 600px;">
+									<thead>
+										<tr>
+											<th>Forwarder</th>
+											<th>Filters</th>
+											<th>Delivery</th>
+											<th class="settings-users-actions-column">Actions</th>
+										</tr>
+									</thead>
+									<tbody id="forwardersTableBody">
+										${usersLoadingRow}
+									</tbody>
+								</table>
+							</div>
+							<div id="forwarderFormContainer" class="settings-users-inline-form" style="display: none;"></div>
+						</section>
+						` : ''}
 						${isGod ? `
 						<section id="settings-login-history" class="settings-section" style="display: none;">
 							<div class="settings-modal-placeholder-title">Login history</div>
@@ -559,6 +736,61 @@ async function openSettingsModal() {
 										</div>
 									</div>
 						</section>
+						<section id="settings-audit-log" class="settings-section" style="display: none;">
+							<div class="settings-modal-placeholder-title">Audit log</div>
+							<div class="settings-modal-placeholder-text">Changes made through the dashboard and the API, with who made them and the values before and after.</div>
+							<form id="auditLogFilters" style="display: grid; grid-template-columns: repeat(5, minmax(0, 1fr)); gap: 8px; margin-top: 12px;">
+								<label style="font-size: 12px; color: var(--text-secondary);">User
+									<select name="actor" style="margin-top: 4px; width: 100%; padding: 6px 10px; border-radius: 6px; border: 1px solid var(--border-color); background: var(--bg-secondary); color: var(--text-primary); font-size: 13px;"><option value="">Everyone</option></select>
+								</label>
+								<label style="font-size: 12px; color: var(--text-secondary);">Action
+									<select name="action" style="margin-top: 4px; width: 100%; padding: 6px 10px; border-radius: 6px; border: 1px solid var(--border-color); background: var(--bg-secondary); color: var(--text-primary); font-size: 13px;"><option value="">All actions</option></select>
+								</label>
+								<label style="font-size: 12px; color: var(--text-secondary);">Target ID
+									<input type="text" name="targetId" style="margin-top: 4px; width: 100%; padding: 6px 10px; border-radius: 6px; border: 1px solid var(--border-color); background: var(--bg-secondary); color: var(--text-primary); font-size: 13px;" placeholder="e.g. jane.doe">
+								</label>
+								<label style="font-size: 12px; color: var(--text-secondary);">From
+									<input type="date" name="from" style="margin-top: 4px; width: 100%; padding: 6px 10px; border-radius: 6px; border: 1px solid var(--border-color); background: var(--bg-secondary); color: var(--text-primary); font-size: 13px;">
+								</label>
+								<label style="font-size: 12px; color: var(--text-secondary);">To
+									<input type="date" name="to" style="margin-top: 4px; width: 100%; padding: 6px 10px; border-radius: 6px; border: 1px solid var(--border-color); background: var(--bg-secondary); color: var(--text-primary); font-size: 13px;">
+								</label>
+							</form>
+							<div style="display: flex; justify-content: flex-end; gap: 8px; margin-top: 8px;">
+								<button type="button" class="btn" id="exportAuditLogBtn">
+									<i class="fa-solid fa-download"></i>
+									Export JSONL
+								</button>
+							</div>
+							<div class="mt-4">
+								<div class="overflow-x-auto overflow-y-auto max-h-96 border border-gray-300 rounded-md">
+									<table id="auditLogTable" class="border-separate border-spacing-0">
+										<thead>
+											<tr>
+												<th scope="col" class="sticky top-0 z-10 border-b border-gray-300 bg-white/75 py-3.5 pr-3 pl-4 text-left font-semibold text-gray-900 backdrop-blur-sm backdrop-filter dark:bg-gray-800/75 dark:text-gray-100">Time</th>
+												<th scope="col" class="sticky top-0 z-10 border-b border-gray-300 bg-white/75 px-3 py-3.5 text-left font-semibold text-gray-900 backdrop-blur-sm backdrop-filter dark:bg-gray-800/75 dark:text-gray-100">User</th>
+												<th scope="col" class="sticky top-0 z-10 border-b border-gray-300 bg-white/75 px-3 py-3.5 text-left font-semibold text-gray-900 backdrop-blur-sm backdrop-filter dark:bg-gray-800/75 dark:text-gray-100">Action</th>
+												<th scope="col" class="sticky top-0 z-10 border-b border-gray-300 bg-white/75 px-3 py-3.5 text-left font-semibold text-gray-900 backdrop-blur-sm backdrop-filter dark:bg-gray-800/75 dark:text-gray-100">Target</th>
+												<th scope="col" class="sticky top-0 z-10 border-b border-gray-300 bg-white/75 py-3.5 pr-4 pl-3 text-left font-semibold text-gray-900 backdrop-blur-sm backdrop-filter dark:bg-gray-800/75 dark:text-gray-100">Changes</th>
+											</tr>
+										</thead>
+										<tbody id="auditLogTableBody" class="text-sm">
+											<tr>
+												<td colspan="5" class="border-b border-gray-200 py-4 px-4 text-center text-gray-500">
+													<div class="settings-users-loading" role="status" aria-live="polite">
+														<span class="settings-users-spinner" aria-hidden="true"></span>
+														<span class="settings-users-loading-text">Loading audit log...</span>
+													</div>
+												</td>
+											</tr>
+										</tbody>
+									</table>
+								</div>
+								<div style="display: flex; justify-content: center; margin-top: 8px;">
+									<button type="button" class="btn" id="loadMoreAuditLogBtn" style="display: none;">Load more</button>
+								</div>
+							</div>
+						</section>
 						` : ''}
 						<section id="settings-danger" class="settings-danger-section">
 							<div class="settings-modal-placeholder-title">Danger zone</div>
@@ -697,30 +929,16 @@ async function openSettingsModal() {
 		});
 	}
 
-	const autoRefreshIntervalSelect = modal.querySelector('#autoRefreshInterval');
-	if (autoRefreshIntervalSelect) {
-		const handleAutoRefreshChange = (e) => {
-			const interval = (e.target.value || '').trim();
-
-			// Store in localStorage for persistence
-			localStorage.setItem('autoRefreshIntervalMinutes', interval);
-			localStorage.setItem('autoRefreshEnabledState', interval !== '' ? 'true' : 'false');
-
-			// Update global variables if they exist (for backward compatibility)
-			if (typeof window.autoRefreshIntervalMinutes !== 'undefined') {
-				window.autoRefreshIntervalMinutes = interval;
-			}
-			if (typeof window.autoRefreshEnabledState !== 'undefined') {
-				window.autoRefreshEnabledState = interval !== '';
-			}
-
-			// Notify page of auto-refresh change if callback exists
-			if (typeof window.onAutoRefreshChanged === 'function') {
-				window.onAutoRefreshChanged(interval !== '', interval);
+	const liveTailToggle = modal.querySelector('#liveTailToggle');
+	if (liveTailToggle) {
+		liveTailToggle.addEventListener('change', (e) => {
+			// The Event Log updates its toolbar button and stream when it's open
+			if (typeof window.onLiveTailChanged === 'function') {
+				window.onLiveTailChanged(e.target.checked);
+			} else {
+				localStorage.setItem('eventLogLiveTail', String(e.target.checked));
 			}
-		};
-
-		autoRefreshIntervalSelect.addEventListener('change', handleAutoRefreshChange);
+		});
 	}
 
 	// Navigation between settings sections
@@ -737,7 +955,7 @@ async function openSettingsModal() {
 		}
 
 		// Adjust modal size based on section
-		if (sectionId === '#settings-login-history') {
+		if (sectionId === '#settings-login-history' || sectionId === '#settings-audit-log') {
 			modal.className = 'settings-modal settings-modal-wide';
 		} else {
 			modal.className = 'settings-modal';
@@ -1092,6 +1310,57 @@ async function openSettingsModal() {
 				}
 			}
 
+			async function handleUnlockUser(username) {
+				try {
+					const response = await fetch(`/api/users/${encodeURIComponent(username)}/unlock`, {
+						method: 'POST',
+						headers: window.getRequestHeaders(false),
+						credentials: 'include'
+					});
+					const data = await response.json();
+					if (data.status === 'ok') {
+						showToast(`User "${username}" unlocked`, 'success');
+						await loadUsers();
+					} else {
+						throw new Error(data.message || 'Failed to unlock user');
+					}
+				} catch (error) {
+					console.error('Error unlocking user:', error);
+					showToast(`Error unlocking user: ${error.message}`, 'error');
+				}
+			}
+
+			async function handleResetTwoFactor(username) {
+				const confirmed = await window.openConfirmModal({
+					title: 'Reset Two-Factor Authentication',
+					message: `Turn off two-factor authentication for "${escapeHtml(username)}" and delete their recovery codes? If their role requires it, they will set it up again at their next login.`,
+					confirmLabel: 'Reset 2FA',
+					destructive: true
+				});
+
+				if (!confirmed) {
+					return;
+				}
+
+				try {
+					const response = await fetch(`/api/users/${encodeURIComponent(username)}/2fa`, {
+						method: 'DELETE',
+						headers: window.getRequestHeaders(false),
+						credentials: 'include'
+					});
+					const data = await response.json();
+					if (data.status === 'ok') {
+						showToast(`Two-factor authentication reset for "${username}"`, 'success');
+						await loadUsers();
+					} else {
+						throw new Error(data.message || 'Failed to reset two-factor authentication');
+					}
+				} catch (error) {
+					console.error('Error resetting two-factor authentication:', error);
+					showToast(`Error resetting two-factor authentication: ${error.message}`, 'error');
+				}
+			}
+
 			async function renderUsers(users) {
 				if (!usersTableBody) {return;}
 
@@ -1106,6 +1375,12 @@ async function openSettingsModal() {
 
 				usersTableBody.innerHTML = users.map(user => {
 					const roleBadgeClasses = getRoleBadgeClasses(user.role);
+					const lockedBadge = user.locked_until ? `<span class="${getRoleBadgeClasses('locked')}" style="width: fit-content;" title="Locked until ${escapeHtml(formatDate(user.locked_until))}"><i class="fa-solid fa-lock" style="margin-right: 4px;"></i>locked</span>` : '';
+					const unlockButton = user.locked_until ? `<button type="button" class="settings-users-action-btn" data-action="unlock" data-username="${escapeHtml(user.username)}" title="Unlock user"><i class="fa-solid fa-lock-open"></i></button>` : '';
+					const twoFactorBadge = user.two_factor_enabled ? `<span class="${getRoleBadgeClasses('2fa')}" style="width: fit-content;" title="Two-factor authentication enabled"><i class="fa-solid fa-shield-halved" style="margin-right: 4px;"></i>2FA</span>` : '';
+					const ssoTitle = user.email ? `Signs in with single sign-on (${escapeHtml(user.email)})` : 'Signs in with single sign-on';
+					const ssoBadge = user.auth_provider === 'oidc' ? `<span class="${getRoleBadgeClasses('sso')}" style="width: fit-content;" title="${ssoTitle}"><i class="fa-solid fa-building" style="margin-right: 4px;"></i>SSO</span>` : '';
+					const resetTwoFactorButton = user.two_factor_enabled ? `<button type="button" class="settings-users-action-btn" data-action="reset-2fa" data-username="${escapeHtml(user.username)}" title="Reset two-factor authentication"><i class="fa-solid fa-shield-halved"></i></button>` : '';
 					return `
             <tr>
               <td>
@@ -1114,12 +1389,17 @@ async function openSettingsModal() {
                   <span class="${roleBadgeClasses}" style="width: fit-content;">
                     ${escapeHtml(user.role)}
                   </span>
+                  ${lockedBadge}
+                  ${twoFactorBadge}
+                  ${ssoBadge}
                 </div>
               </td>
               <td>${formatDate(user.created_at)}</td>
               <td>${formatDate(user.last_login)}</td>
               <td class="settings-users-actions-cell">
                 <div class="settings-users-actions">
+                  ${unlockButton}
+                  ${resetTwoFactorButton}
                   <button type="button" class="settings-users-action-btn" data-action="edit-password" data-username="${escapeHtml(user.username)}" title="Change password">
                     <i class="fa-solid fa-key"></i>
                   </button>
@@ -1146,6 +1426,10 @@ async function openSettingsModal() {
 						} else if (action === 'edit-role') {
 							const currentRole = button.dataset.role;
 							openEditRoleForm(username, currentRole);
+						} else if (action === 'unlock') {
+							handleUnlockUser(username);
+						} else if (action === 'reset-2fa') {
+							handleResetTwoFactor(username);
 						} else if (action === 'delete') {
 							handleDeleteUser(username);
 						}
@@ -1159,65 +1443,1051 @@ async function openSettingsModal() {
 				});
 			}
 
+			// Roles that must use two-factor authentication
+			const requiredRolesContainer = modal.querySelector('#twoFactorRequiredRoles');
+			let requiredRoles = [];
+
+			async function loadRequiredRoles() {
+				try {
+					const response = await fetch('/api/settings/two-factor', {credentials: 'include'});
+					const data = await response.json();
+					if (!response.ok) {
+						throw new Error(data.message || 'Failed to load two-factor settings');
+					}
+					requiredRoles = data.requiredRoles || [];
+					requiredRolesContainer.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+						checkbox.checked = requiredRoles.includes(checkbox.value);
+					});
+				} catch (error) {
+					console.error('Error loading two-factor settings:', error);
+				}
+			}
+
+			if (requiredRolesContainer) {
+				requiredRolesContainer.addEventListener('change', async () => {
+					const checked = [...requiredRolesContainer.querySelectorAll('input[type="checkbox"]:checked')].map(checkbox => checkbox.value);
+					// Only god users see (and can change) the requirement for their own role
+					const roles = !isGod && requiredRoles.includes('god') ? [...checked, 'god'] : checked;
+					try {
+						const response = await fetch('/api/settings/two-factor', {
+							method: 'PUT',
+							headers: window.getRequestHeaders(true),
+							credentials: 'include',
+							body: JSON.stringify({requiredRoles: roles})
+						});
+						const data = await response.json();
+						if (!response.ok) {
+							throw new Error(data.message || 'Failed to update two-factor settings');
+						}
+						requiredRoles = data.requiredRoles;
+						showToast('Two-factor requirement updated', 'success');
+					} catch (error) {
+						console.error('Error updating two-factor settings:', error);
+						showToast(`Error updating two-factor requirement: ${error.message}`, 'error');
+						loadRequiredRoles();
+					}
+				});
+				loadRequiredRoles();
+			}
+
 			loadUsers();
 		}
 	}
 
-	// Login history functionality (God only)
-	if (isGod) {
-		function buildStatusIcon(isError) {
-			const statusClass = isError ? 'ko' : 'ok';
-			const statusLabel = isError ? 'KO' : 'OK';
-			const src = isError ? '/resources/ko.png' : '/resources/ok.png';
-			return `<img src="${src}" alt="${statusLabel}" class="status-indicator ${statusClass}" loading="lazy">`;
+	// Ingestion keys functionality
+	if (isAdministrator) {
+		const ingestionKeysTableBody = modal.querySelector('#ingestionKeysTableBody');
+		const ingestionKeyFormContainer = modal.querySelector('#ingestionKeyFormContainer');
+		const ingestionKeySecret = modal.querySelector('#ingestionKeySecret');
+		const ingestionAuthModeSelect = modal.querySelector('#ingestionAuthMode');
+		const addIngestionKeyBtn = modal.querySelector('#addIngestionKeyBtn');
+
+		function formatKeyDate(dateString) {
+			return dateString ? new Date(dateString).toLocaleString() : 'Never';
 		}
 
-		async function loadLoginHistory() {
-			const tableBody = modal.querySelector('#loginHistoryTableBody');
-			const refreshBtn = modal.querySelector('#refreshLoginHistoryBtn');
+		function formatKeyScope(apiKey) {
+			const scopes = [
+				...(apiKey.server_ids || []).map(id => `server: ${id}`),
+				...(apiKey.org_ids || []).map(id => `org: ${id}`)
+			];
+			return scopes.length > 0 ? scopes.map(scope => escapeHtml(scope)).join('<br>') : 'All servers';
+		}
 
-			if (!tableBody) {return;}
+		function showIngestionKeySecret(key) {
+			if (!ingestionKeySecret) {return;}
+			ingestionKeySecret.innerHTML = `
+            <div class="settings-toggle-title">Copy this key now</div>
+            <div class="settings-toggle-description">It will not be shown again. Send it in the X-API-Key header of POST /telemetry requests.</div>
+            <div style="display: flex; gap: 8px; margin-top: 8px;">
+              <input type="text" readonly value="${escapeHtml(key)}"
+                style="flex: 1; padding: 8px 12px; border-radius: 6px; border: 1px solid var(--border-color); background: var(--bg-secondary); color: var(--text-primary); font-family: monospace; font-size: 13px;">
+              <button type="button" class="btn" data-action="copy-ingestion-key">
+                <i class="fa-solid fa-copy"></i>
+                Copy
+              </button>
+            </div>
+          `;
+			ingestionKeySecret.style.display = 'block';
+			const copyBtn = ingestionKeySecret.querySelector('[data-action="copy-ingestion-key"]');
+			if (copyBtn) {
+				copyBtn.addEventListener('click', async () => {
+					try {
+						await navigator.clipboard.writeText(key);
+						showToast('Key copied to clipboard', 'success');
+					} catch {
+						showToast('Could not copy key', 'error');
+					}
+				});
+			}
+		}
 
+		async function loadIngestionKeys() {
+			if (!ingestionKeysTableBody) {return;}
 			try {
-				if (refreshBtn) {
-					refreshBtn.disabled = true;
-					refreshBtn.innerHTML = '<span class="settings-users-spinner" style="width: 14px; height: 14px; margin-right: 6px;"></span>Loading...';
-				}
-
-				const response = await fetch('/api/user-login-logs?limit=50', {
-					method: 'GET',
-					headers: {
-						'Content-Type': 'application/json',
-						'X-CSRF-Token': await window.getCsrfToken()
-					},
+				const response = await fetch('/api/ingestion-keys', {
 					credentials: 'include'
 				});
-
+				if (response.status === 401) {
+					window.location.href = '/login';
+					return;
+				}
 				if (!response.ok) {
-					const error = await response.json();
-					throw new Error(error.message || 'Failed to load login history');
+					throw new Error(`HTTP error! status: ${response.status}`);
 				}
-
 				const data = await response.json();
+				if (ingestionAuthModeSelect && data.mode) {
+					ingestionAuthModeSelect.value = data.mode;
+				}
+				renderIngestionKeys(data.keys || []);
+			} catch (error) {
+				console.error('Error loading ingestion keys:', error);
+				showToast(`Error loading ingestion keys: ${error.message}`, 'error');
+				renderIngestionKeys([]);
+			}
+		}
 
-				if (data.logs && data.logs.length > 0) {
-					const rows = data.logs.map(log => {
-						const timestamp = new Date(log.created_at).toLocaleString();
-						const isError = !log.successful;
-						const statusIcon = buildStatusIcon(isError);
-						const errorText = log.error_message ? escapeHtml(log.error_message) : '';
+		function renderIngestionKeys(keys) {
+			if (keys.length === 0) {
+				ingestionKeysTableBody.innerHTML = `
+            <tr>
+              <td colspan="4" class="settings-users-empty">No ingestion keys yet</td>
+            </tr>
+          `;
+				return;
+			}
 
-						return `
-							<tr class="hover:bg-gray-50 dark:hover:bg-gray-800/50">
-								<td class="border-b border-gray-200 py-4 pr-3 pl-4 font-medium whitespace-nowrap text-gray-900 dark:text-gray-100">${escapeHtml(log.username)}</td>
-								<td class="border-b border-gray-200 px-3 py-4 whitespace-nowrap text-gray-500 dark:text-gray-400 font-mono">${escapeHtml(log.ip_address || 'N/A')}</td>
-								<td class="border-b border-gray-200 px-3 py-4 text-gray-500 dark:text-gray-400 max-w-xs truncate" title="${escapeHtml(log.user_agent || '')}">${escapeHtml(log.user_agent || 'N/A')}</td>
-								<td class="border-b border-gray-200 px-3 py-4 text-center whitespace-nowrap">${statusIcon}</td>
-								<td class="border-b border-gray-200 px-3 py-4 whitespace-nowrap text-gray-500 dark:text-gray-400">${timestamp}</td>
-								<td class="border-b border-gray-200 py-4 pr-4 pl-3 whitespace-nowrap text-gray-500 dark:text-gray-400">${errorText}</td>
-							</tr>
-						`;
-					}).join('');
+			ingestionKeysTableBody.innerHTML = keys.map(apiKey => {
+				const isRevoked = Boolean(apiKey.revoked_at);
+				return `
+            <tr${isRevoked ? ' style="opacity: 0.55;"' : ''}>
+              <td>
+                <div style="display: flex; flex-direction: column; gap: 4px;">
+                  <span style="font-weight: 500;">${escapeHtml(apiKey.name)}</span>
+                  <span style="font-family: monospace; font-size: 12px;">${escapeHtml(apiKey.key_prefix)}…${isRevoked ? ' (revoked)' : ''}</span>
+                </div>
+              </td>
+              <td>${formatKeyScope(apiKey)}</td>
+              <td>${formatKeyDate(apiKey.last_used_at)}</td>
+              <td class="settings-users-actions-cell">
+                ${isRevoked ? '' : `
+                <div class="settings-users-actions">
+                  <button type="button" class="settings-users-action-btn" data-action="rotate" data-key-id="${apiKey.id}" data-key-name="${escapeHtml(apiKey.name)}" title="Rotate key">
+                    <i class="fa-solid fa-rotate"></i>
+                  </button>
+                  <button type="button" class="settings-users-action-btn settings-users-action-btn-danger" data-action="revoke" data-key-id="${apiKey.id}" data-key-name="${escapeHtml(apiKey.name)}" title="Revoke key">
+                    <i class="fa-solid fa-ban"></i>
+                  </button>
+                </div>
+                `}
+              </td>
+            </tr>
+          `;
+			}).join('');
+
+			ingestionKeysTableBody.querySelectorAll('.settings-users-action-btn').forEach(button => {
+				button.addEventListener('click', () => {
+					const {action, keyId, keyName} = button.dataset;
+					if (action === 'rotate') {
+						handleRotateIngestionKey(keyId, keyName);
+					} else if (action === 'revoke') {
+						handleRevokeIngestionKey(keyId, keyName);
+					}
+				});
+			});
+		}
+
+		async function handleRotateIngestionKey(keyId, keyName) {
+			const confirmed = await openConfirmModal({
+				title: 'Rotate key',
+				message: `Rotate "${keyName}"? The current key stops working immediately and a new one is issued with the same scope.`,
+				confirmLabel: 'Rotate key'
+			});
+			if (!confirmed) {
+				return;
+			}
+
+			try {
+				const response = await fetch(`/api/ingestion-keys/${encodeURIComponent(keyId)}/rotate`, {
+					method: 'POST',
+					headers: window.getRequestHeaders(false),
+					credentials: 'include'
+				});
+				const data = await response.json();
+				if (!response.ok) {
+					throw new Error(data.message || 'Failed to rotate key');
+				}
+				showIngestionKeySecret(data.key);
+				await loadIngestionKeys();
+			} catch (error) {
+				console.error('Error rotating ingestion key:', error);
+				showToast(`Error rotating key: ${error.message}`, 'error');
+			}
+		}
+
+		async function handleRevokeIngestionKey(keyId, keyName) {
+			const confirmed = await openConfirmModal({
+				title: 'Revoke key',
+				message: `Revoke "${keyName}"? Servers using it will no longer be able to send events.`,
+				confirmLabel: 'Revoke key',
+				destructive: true
+			});
+			if (!confirmed) {
+				return;
+			}
+
+			try {
+				const response = await fetch(`/api/ingestion-keys/${encodeURIComponent(keyId)}`, {
+					method: 'DELETE',
+					headers: window.getRequestHeaders(false),
+					credentials: 'include'
+				});
+				const data = await response.json();
+				if (!response.ok) {
+					throw new Error(data.message || 'Failed to revoke key');
+				}
+				await loadIngestionKeys();
+			} catch (error) {
+				console.error('Error revoking ingestion key:', error);
+				showToast(`Error revoking key: ${error.message}`, 'error');
+			}
+		}
+
+		function openCreateIngestionKeyForm() {
+			if (!ingestionKeyFormContainer) {return;}
+			const inputStyle = 'margin-top: 4px; width: 100%; padding: 8px 12px; border-radius: 6px; border: 1px solid var(--border-color); background: var(--bg-secondary); color: var(--text-primary); font-size: 14px;';
+			ingestionKeyFormContainer.innerHTML = `
+            <div class="settings-modal-placeholder-title" style="margin: 0;">New ingestion key</div>
+            <p class="settings-modal-placeholder-text" style="margin-top: 6px; margin-bottom: 4px;">Leave both scopes empty to allow any server.</p>
+            <form style="display: flex; flex-direction: column; gap: 12px; margin-top: 10px;">
+              <label class="settings-modal-placeholder-text" style="display: block;">
+                Name
+                <input type="text" name="name" required style="${inputStyle}" placeholder="e.g. Production MCP servers">
+              </label>
+              <label class="settings-modal-placeholder-text" style="display: block;">
+                Server IDs (comma separated)
+                <input type="text" name="serverIds" style="${inputStyle}">
+              </label>
+              <label class="settings-modal-placeholder-text" style="display: block;">
+                Org IDs (comma separated)
+                <input type="text" name="orgIds" style="${inputStyle}">
+              </label>
+              <div class="confirm-modal-actions">
+                <button type="button" class="btn" data-action="cancel-ingestion-key-form">Cancel</button>
+                <button type="submit" class="btn">Create key</button>
+              </div>
+            </form>
+          `;
+			ingestionKeyFormContainer.style.display = 'block';
+
+			const closeForm = () => {
+				ingestionKeyFormContainer.innerHTML = '';
+				ingestionKeyFormContainer.style.display = 'none';
+			};
+
+			ingestionKeyFormContainer.querySelector('[data-action="cancel-ingestion-key-form"]').addEventListener('click', closeForm);
+			ingestionKeyFormContainer.querySelector('form').addEventListener('submit', async (e) => {
+				e.preventDefault();
+				const formData = new window.FormData(e.target);
+				const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+				try {
+					const response = await fetch('/api/ingestion-keys', {
+						method: 'POST',
+						headers: window.getRequestHeaders(true),
+						credentials: 'include',
+						body: JSON.stringify({
+							name: (formData.get('name') || '').trim(),
+							serverIds: splitList(formData.get('serverIds')),
+							orgIds: splitList(formData.get('orgIds'))
+						})
+					});
+					const data = await response.json();
+					if (!response.ok) {
+						throw new Error(data.message || 'Failed to create key');
+					}
+					closeForm();
+					showIngestionKeySecret(data.key);
+					await loadIngestionKeys();
+				} catch (error) {
+					console.error('Error creating ingestion key:', error);
+					showToast(`Error creating key: ${error.message}`, 'error');
+				}
+			});
+
+			ingestionKeyFormContainer.scrollIntoView({behavior: 'smooth', block: 'start'});
+		}
+
+		if (ingestionAuthModeSelect) {
+			ingestionAuthModeSelect.addEventListener('change', async (e) => {
+				try {
+					const response = await fetch('/api/ingestion-keys/mode', {
+						method: 'PUT',
+						headers: window.getRequestHeaders(true),
+						credentials: 'include',
+						body: JSON.stringify({mode: e.target.value})
+					});
+					const data = await response.json();
+					if (!response.ok) {
+						throw new Error(data.message || 'Failed to update mode');
+					}
+					showToast('Ingestion key policy updated', 'success');
+				} catch (error) {
+					console.error('Error updating ingestion auth mode:', error);
+					showToast(`Error updating policy: ${error.message}`, 'error');
+					loadIngestionKeys();
+				}
+			});
+		}
+
+		if (addIngestionKeyBtn) {
+			addIngestionKeyBtn.addEventListener('click', () => {
+				openCreateIngestionKeyForm();
+			});
+		}
+
+		loadIngestionKeys();
+	}
+
+	// Retention policies functionality
+	if (isAdministrator) {
+		const retentionTableBody = modal.querySelector('#retentionPoliciesTableBody');
+		const retentionFormContainer = modal.querySelector('#retentionPolicyFormContainer');
+		const retentionJobStatus = modal.querySelector('#retentionJobStatus');
+		const addRetentionPolicyBtn = modal.querySelector('#addRetentionPolicyBtn');
+		const runRetentionBtn = modal.querySelector('#runRetentionBtn');
+		const retentionEventTypes = ['tool_call', 'tool_error', 'session_start', 'session_end', 'error', 'custom'];
+		const retentionPreviewDebounceMs = 400;
+		let retentionPolicies = [];
+		let retentionTeams = null;
+
+		function describeRetentionScope(policy) {
+			const scopes = [
+				policy.area ? `area: ${policy.area}` : null,
+				policy.event_type ? `event: ${policy.event_type}` : null,
+				policy.team_id ? `team: ${policy.team_name || policy.team_id}` : null
+			].filter(Boolean);
+			return scopes.length > 0 ? scopes.map(scope => escapeHtml(scope)).join('<br>') : 'All events';
+		}
+
+		async function loadRetentionTeams() {
+			if (retentionTeams) {
+				return retentionTeams;
+			}
+			try {
+				const response = await fetch('/api/teams', {
+					credentials: 'include'
+				});
+				const data = await response.json();
+				retentionTeams = response.ok ? data.teams || [] : [];
+			} catch (error) {
+				console.error('Error loading teams:', error);
+				retentionTeams = [];
+			}
+			return retentionTeams;
+		}
+
+		async function loadRetentionPolicies() {
+			if (!retentionTableBody) {return;}
+			try {
+				const response = await fetch('/api/retention-policies', {
+					credentials: 'include'
+				});
+				if (response.status === 401) {
+					window.location.href = '/login';
+					return;
+				}
+				if (!response.ok) {
+					throw new Error(`HTTP error! status: ${response.status}`);
+				}
+				const data = await response.json();
+				retentionPolicies = data.policies || [];
+				renderRetentionPolicies();
+				if (retentionJobStatus && data.job?.lastRun) {
+					const {lastRun} = data.job;
+					retentionJobStatus.textContent = lastRun.error ? `Last purge failed: ${lastRun.error}` : `Last purge ${new Date(lastRun.finishedAt).toLocaleString()} removed ${lastRun.deleted.toLocaleString()} events.`;
+				}
+			} catch (error) {
+				console.error('Error loading retention policies:', error);
+				showToast(`Error loading retention policies: ${escapeHtml(error.message)}`, 'error');
+				retentionPolicies = [];
+				renderRetentionPolicies();
+			}
+		}
+
+		function renderRetentionPolicies() {
+			if (retentionPolicies.length === 0) {
+				retentionTableBody.innerHTML = `
+            <tr>
+              <td colspan="4" class="settings-users-empty">No retention policies yet. All events are kept.</td>
+            </tr>
+          `;
+				return;
+			}
+
+			retentionTableBody.innerHTML = retentionPolicies.map(policy => `
+            <tr${policy.enabled ? '' : ' style="opacity: 0.55;"'}>
+              <td>
+                <div style="display: flex; flex-direction: column; gap: 4px;">
+                  <span style="font-weight: 500;">${escapeHtml(policy.name)}${policy.enabled ? '' : ' (disabled)'}</span>
+                  <span style="font-size: 12px;">${describeRetentionScope(policy)}</span>
+                </div>
+              </td>
+              <td>${policy.retention_days} days</td>
+              <td>
+                <div style="display: flex; flex-direction: column; gap: 4px;">
+                  <span>${Number(policy.pending_rows || 0).toLocaleString()}</span>
+                  ${policy.last_run_at ? `<span style="font-size: 12px;">${Number(policy.last_deleted_count || 0).toLocaleString()} purged ${new Date(policy.last_run_at).toLocaleString()}</span>` : ''}
+                </div>
+              </td>
+              <td class="settings-users-actions-cell">
+                <div class="settings-users-actions">
+                  <button type="button" class="settings-users-action-btn" data-action="edit" data-policy-id="${policy.id}" title="Edit policy">
+                    <i class="fa-solid fa-pen"></i>
+                  </button>
+                  <button type="button" class="settings-users-action-btn settings-users-action-btn-danger" data-action="delete" data-policy-id="${policy.id}" title="Delete policy">
+                    <i class="fa-solid fa-trash"></i>
+                  </button>
+                </div>
+              </td>
+            </tr>
+          `).join('');
+
+			retentionTableBody.querySelectorAll('.settings-users-action-btn').forEach(button => {
+				button.addEventListener('click', () => {
+					const policy = retentionPolicies.find(item => String(item.id) === button.dataset.policyId);
+					if (!policy) {
+						return;
+					}
+					if (button.dataset.action === 'edit') {
+						openRetentionPolicyForm(policy);
+					} else if (button.dataset.action === 'delete') {
+						handleDeleteRetentionPolicy(policy);
+					}
+				});
+			});
+		}
+
+		function readRetentionForm(form) {
+			const formData = new window.FormData(form);
+			return {
+				name: (formData.get('name') || '').trim(),
+				area: formData.get('area') || null,
+				eventType: formData.get('eventType') || null,
+				teamId: formData.get('teamId') || null,
+				retentionDays: formData.get('retentionDays'),
+				enabled: formData.get('enabled') === 'on'
+			};
+		}
+
+		async function openRetentionPolicyForm(policy = null) {
+			if (!retentionFormContainer) {return;}
+			const teams = await loadRetentionTeams();
+			const inputStyle = 'margin-top: 4px; width: 100%; padding: 8px 12px; border-radius: 6px; border: 1px solid var(--border-color); background: var(--bg-secondary); color: var(--text-primary); font-size: 14px;';
+			const option = (value, label, selected) => `<option value="${escapeHtml(value)}"${selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+			retentionFormContainer.innerHTML = `
+            <div class="settings-modal-placeholder-title" style="margin: 0;">${policy ? 'Edit retention policy' : 'New retention policy'}</div>
+            <p class="settings-modal-placeholder-text" style="margin-top: 6px; margin-bottom: 4px;">Leave a filter on "Any" to match all values.</p>
+            <form style="display: flex; flex-direction: column; gap: 12px; margin-top: 10px;">
+              <label class="settings-modal-placeholder-text" style="display: block;">
+                Name
+                <input type="text" name="name" required style="${inputStyle}" placeholder="e.g. Session events" value="${escapeHtml(policy?.name || '')}">
+              </label>
+              <label class="settings-modal-placeholder-text" style="display: block;">
+                Area
+                <select name="area" style="${inputStyle}">
+                  ${option('', 'Any', !policy?.area)}
+                  ${['tool', 'session', 'general'].map(area => option(area, area, policy?.area === area)).join('')}
+                </select>
+              </label>
+              <label class="settings-modal-placeholder-text" style="display: block;">
+                Event type
+                <select name="eventType" style="${inputStyle}">
+                  ${option('', 'Any', !policy?.event_type)}
+                  ${retentionEventTypes.map(eventType => option(eventType, eventType, policy?.event_type === eventType)).join('')}
+                </select>
+              </label>
+              <label class="settings-modal-placeholder-text" style="display: block;">
+                Team
+                <select name="teamId" style="${inputStyle}">
+                  ${option('', 'Any', !policy?.team_id)}
+                  ${teams.map(team => option(team.id, team.name, policy?.team_id === team.id)).join('')}
+                </select>
+              </label>
+              <label class="settings-modal-placeholder-text" style="display: block;">
+                Keep events for (days)
+                <input type="number" name="retentionDays" required min="1" max="3650" style="${inputStyle}" value="${escapeHtml(policy?.retention_days ?? 90)}">
+              </label>
+              <label class="settings-modal-placeholder-text" style="display: flex; align-items: center; gap: 8px;">
+                <input type="checkbox" name="enabled"${policy && !policy.enabled ? '' : ' checked'}>
+                Enabled
+              </label>
+              <div class="settings-toggle-description" data-role="retention-preview">Calculating rows to purge...</div>
+              <div class="confirm-modal-actions">
+                <button type="button" class="btn" data-action="cancel-retention-form">Cancel</button>
+                <button type="submit" class="btn">${policy ? 'Save policy' : 'Create policy'}</button>
+              </div>
+            </form>
+          `;
+			retentionFormContainer.style.display = 'block';
+
+			const form = retentionFormContainer.querySelector('form');
+			const previewLabel = retentionFormContainer.querySelector('[data-role="retention-preview"]');
+			let previewTimer = null;
+
+			const closeForm = () => {
+				clearTimeout(previewTimer);
+				retentionFormContainer.innerHTML = '';
+				retentionFormContainer.style.display = 'none';
+			};
+
+			const updatePreview = async () => {
+				const draft = readRetentionForm(form);
+				if (!draft.name) {
+					draft.name = 'Draft';
+				}
+				try {
+					const response = await fetch('/api/retention-policies/preview', {
+						method: 'POST',
+						headers: window.getRequestHeaders(true),
+						credentials: 'include',
+						body: JSON.stringify({...draft, id: policy?.id ?? null})
+					});
+					const data = await response.json();
+					if (!response.ok) {
+						throw new Error(data.message || 'Failed to preview policy');
+					}
+					previewLabel.textContent = `This policy would purge ${data.rows.toLocaleString()} events right now.`;
+				} catch (error) {
+					previewLabel.textContent = error.message;
+				}
+			};
+
+			form.addEventListener('input', () => {
+				clearTimeout(previewTimer);
+				previewTimer = setTimeout(updatePreview, retentionPreviewDebounceMs);
+			});
+			retentionFormContainer.querySelector('[data-action="cancel-retention-form"]').addEventListener('click', closeForm);
+			form.addEventListener('submit', async (e) => {
+				e.preventDefault();
+				try {
+					const response = await fetch(policy ? `/api/retention-policies/${encodeURIComponent(policy.id)}` : '/api/retention-policies', {
+						method: policy ? 'PUT' : 'POST',
+						headers: window.getRequestHeaders(true),
+						credentials: 'include',
+						body: JSON.stringify(readRetentionForm(form))
+					});
+					const data = await response.json();
+					if (!response.ok) {
+						throw new Error(data.message || 'Failed to save policy');
+					}
+					closeForm();
+					showToast(policy ? 'Retention policy updated' : 'Retention policy created', 'success');
+					await loadRetentionPolicies();
+				} catch (error) {
+					console.error('Error saving retention policy:', error);
+					showToast(`Error saving policy: ${escapeHtml(error.message)}`, 'error');
+				}
+			});
+
+			updatePreview();
+			retentionFormContainer.scrollIntoView({behavior: 'smooth', block: 'start'});
+		}
+
+		async function handleDeleteRetentionPolicy(policy) {
+			const confirmed = await openConfirmModal({
+				title: 'Delete policy',
+				message: `Delete "${policy.name}"? Events it would have purged are kept unless another policy matches them.`,
+				confirmLabel: 'Delete policy',
+				destructive: true
+			});
+			if (!confirmed) {
+				return;
+			}
+
+			try {
+				const response = await fetch(`/api/retention-policies/${encodeURIComponent(policy.id)}`, {
+					method: 'DELETE',
+					headers: window.getRequestHeaders(false),
+					credentials: 'include'
+				});
+				const data = await response.json();
+				if (!response.ok) {
+					throw new Error(data.message || 'Failed to delete policy');
+				}
+				await loadRetentionPolicies();
+			} catch (error) {
+				console.error('Error deleting retention policy:', error);
+				showToast(`Error deleting policy: ${escapeHtml(error.message)}`, 'error');
+			}
+		}
+
+		if (runRetentionBtn) {
+			runRetentionBtn.addEventListener('click', async () => {
+				const pendingRows = retentionPolicies
+					.filter(policy => policy.enabled)
+					.reduce((sum, policy) => sum + Number(policy.pending_rows || 0), 0);
+				const confirmed = await openConfirmModal({
+					title: 'Purge expired events',
+					message: `Permanently delete ${pendingRows.toLocaleString()} events expired by the enabled retention policies? This cannot be undone.`,
+					confirmLabel: 'Purge now',
+					destructive: true
+				});
+				if (!confirmed) {
+					return;
+				}
+
+				runRetentionBtn.disabled = true;
+				try {
+					const response = await fetch('/api/retention-policies/run', {
+						method: 'POST',
+						headers: window.getRequestHeaders(false),
+						credentials: 'include'
+					});
+					const data = await response.json();
+					if (!response.ok) {
+						throw new Error(data.message || 'Failed to purge events');
+					}
+					showToast(escapeHtml(data.message), 'success');
+					await loadRetentionPolicies();
+				} catch (error) {
+					console.error('Error running retention policies:', error);
+					showToast(`Error purging events: ${escapeHtml(error.message)}`, 'error');
+				} finally {
+					runRetentionBtn.disabled = false;
+				}
+			});
+		}
+
+		if (addRetentionPolicyBtn) {
+			addRetentionPolicyBtn.addEventListener('click', () => {
+				openRetentionPolicyForm();
+			});
+		}
+
+		loadRetentionPolicies();
+	}
+
+	// Event forwarders functionality
+	if (isAdministrator) {
+		const forwardersTableBody = modal.querySelector('#forwardersTableBody');
+		const forwarderFormContainer = modal.querySelector('#forwarderFormContainer');
+		const addForwarderBtn = modal.querySelector('#addForwarderBtn');
+		const forwarderEventTypes = ['tool_call', 'tool_error', 'session_start', 'session_end', 'error', 'custom'];
+		let forwarders = [];
+		let forwarderTypes = [];
+		let forwarderTeams = null;
+
+		function describeForwarderTarget(forwarder) {
+			return forwarder.type === 'file' ? forwarder.config?.file || '' : forwarder.config?.url || '';
+		}
+
+		function describeForwarderFilters(forwarder) {
+			const teamNames = (forwarder.team_ids || []).map(teamId => (forwarderTeams || []).find(team => team.id === teamId)?.name || teamId);
+			const filters = [
+				forwarder.areas?.length > 0 ? `areas: ${forwarder.areas.join(', ')}` : null,
+				forwarder.event_types?.length > 0 ? `events: ${forwarder.event_types.join(', ')}` : null,
+				teamNames.length > 0 ? `teams: ${teamNames.join(', ')}` : null
+			].filter(Boolean);
+			return filters.length > 0 ? filters.map(filter => escapeHtml(filter)).join('<br>') : 'All events';
+		}
+
+		async function loadForwarderTeams() {
+			if (forwarderTeams) {
+				return forwarderTeams;
+			}
+			try {
+				const response = await fetch('/api/teams', {
+					credentials: 'include'
+				});
+				const data = await response.json();
+				forwarderTeams = response.ok ? data.teams || [] : [];
+			} catch (error) {
+				console.error('Error loading teams:', error);
+				forwarderTeams = [];
+			}
+			return forwarderTeams;
+		}
+
+		async function loadForwarders() {
+			if (!forwardersTableBody) {return;}
+			try {
+				const [response] = await Promise.all([
+					fetch('/api/event-forwarders', {
+						credentials: 'include'
+					}),
+					loadForwarderTeams()
+				]);
+				if (response.status === 401) {
+					window.location.href = '/login';
+					return;
+				}
+				if (!response.ok) {
+					throw new Error(`HTTP error! status: ${response.status}`);
+				}
+				const data = await response.json();
+				forwarders = data.forwarders || [];
+				forwarderTypes = data.types || [];
+				renderForwarders();
+			} catch (error) {
+				console.error('Error loading event forwarders:', error);
+				showToast(`Error loading forwarders: ${escapeHtml(error.message)}`, 'error');
+				forwarders = [];
+				renderForwarders();
+			}
+		}
+
+		function renderForwarders() {
+			if (forwarders.length === 0) {
+				forwardersTableBody.innerHTML = `
+            <tr>
+              <td colspan="4" class="settings-users-empty">No forwarders yet. Events are only stored here.</td>
+            </tr>
+          `;
+				return;
+			}
+
+			forwardersTableBody.innerHTML = forwarders.map(forwarder => `
+            <tr${forwarder.enabled ? '' : ' style="opacity: 0.55;"'}>
+              <td>
+                <div style="display: flex; flex-direction: column; gap: 4px;">
+                  <span style="font-weight: 500;">${escapeHtml(forwarder.name)}${forwarder.enabled ? '' : ' (disabled)'}</span>
+                  <span style="font-size: 12px;">${escapeHtml(forwarder.type)} · ${escapeHtml(describeForwarderTarget(forwarder))}</span>
+                </div>
+              </td>
+              <td><span style="font-size: 12px;">${describeForwarderFilters(forwarder)}</span></td>
+              <td>
+                <div style="display: flex; flex-direction: column; gap: 4px;">
+                  <span>${Math.max(0, Number(forwarder.latest_event_id) - forwarder.last_event_id).toLocaleString()} pending</span>
+                  ${forwarder.last_delivered_at ? `<span style="font-size: 12px;">Last delivery ${new Date(forwarder.last_delivered_at).toLocaleString()}</span>` : ''}
+                  ${forwarder.last_error ? `<span style="font-size: 12px; color: #dc2626;">${escapeHtml(forwarder.last_error)}</span>` : ''}
+                </div>
+              </td>
+              <td class="settings-users-actions-cell">
+                <div class="settings-users-actions">
+                  <button type="button" class="settings-users-action-btn" data-action="test" data-forwarder-id="${forwarder.id}" title="Send test event">
+                    <i class="fa-solid fa-paper-plane"></i>
+                  </button>
+                  <button type="button" class="settings-users-action-btn" data-action="edit" data-forwarder-id="${forwarder.id}" title="Edit forwarder">
+                    <i class="fa-solid fa-pen"></i>
+                  </button>
+                  <button type="button" class="settings-users-action-btn settings-users-action-btn-danger" data-action="delete" data-forwarder-id="${forwarder.id}" title="Delete forwarder">
+                    <i class="fa-solid fa-trash"></i>
+                  </button>
+                </div>
+              </td>
+            </tr>
+          `).join('');
+
+			forwardersTableBody.querySelectorAll('.settings-users-action-btn').forEach(button => {
+				button.addEventListener('click', () => {
+					const forwarder = forwarders.find(item => String(item.id) === button.dataset.forwarderId);
+					if (!forwarder) {
+						return;
+					}
+					if (button.dataset.action === 'test') {
+						handleTestForwarder(forwarder, button);
+					} else if (button.dataset.action === 'edit') {
+						openForwarderForm(forwarder);
+					} else if (button.dataset.action === 'delete') {
+						handleDeleteForwarder(forwarder);
+					}
+				});
+			});
+		}
+
+		function parseForwarderHeaders(text) {
+			const headers = {};
+			for (const line of text.split('\n')) {
+				const separator = line.indexOf(':');
+				if (separator > 0) {
+					headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+				}
+			}
+			return headers;
+		}
+
+		function readForwarderForm(form) {
+			const formData = new window.FormData(form);
+			const type = formData.get('type');
+			return {
+				name: (formData.get('name') || '').trim(),
+				type,
+				config: type === 'file' ? {file: (formData.get('file') || '').trim()} : {
+					url: (formData.get('url') || '').trim(),
+					headers: parseForwarderHeaders(formData.get('headers') || '')
+				},
+				areas: formData.getAll('areas'),
+				eventTypes: formData.getAll('eventTypes'),
+				teamIds: formData.getAll('teamIds'),
+				batchSize: formData.get('batchSize'),
+				enabled: formData.get('enabled') === 'on'
+			};
+		}
+
+		async function openForwarderForm(forwarder = null) {
+			if (!forwarderFormContainer) {return;}
+			const teams = await loadForwarderTeams();
+			const inputStyle = 'margin-top: 4px; width: 100%; padding: 8px 12px; border-radius: 6px; border: 1px solid var(--border-color); background: var(--bg-secondary); color: var(--text-primary); font-size: 14px;';
+			const option = (value, label, selected) => `<option value="${escapeHtml(value)}"${selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+			const checkbox = (name, value, label, checked) => `
+                  <label style="display: inline-flex; align-items: center; gap: 6px; margin-right: 12px;">
+                    <input type="checkbox" name="${name}" value="${escapeHtml(value)}"${checked ? ' checked' : ''}>
+                    ${escapeHtml(label)}
+                  </label>`;
+			const headersText = Object.entries(forwarder?.config?.headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+			forwarderFormContainer.innerHTML = `
+            <div class="settings-modal-placeholder-title" style="margin: 0;">${forwarder ? 'Edit forwarder' : 'New forwarder'}</div>
+            <p class="settings-modal-placeholder-text" style="margin-top: 6px; margin-bottom: 4px;">Leave a filter empty to forward all values. New forwarders start with the next stored event.</p>
+            <form style="display: flex; flex-direction: column; gap: 12px; margin-top: 10px;">
+              <label class="settings-modal-placeholder-text" style="display: block;">
+                Name
+                <input type="text" name="name" required style="${inputStyle}" placeholder="e.g. SIEM webhook" value="${escapeHtml(forwarder?.name || '')}">
+              </label>
+              <label class="settings-modal-placeholder-text" style="display: block;">
+                Sink
+                <select name="type" style="${inputStyle}">
+                  ${forwarderTypes.map(({type, label}) => option(type, label, (forwarder?.type || 'webhook') === type)).join('')}
+                </select>
+              </label>
+              <label class="settings-modal-placeholder-text" style="display: block;" data-sink="http">
+                URL
+                <input type="url" name="url" style="${inputStyle}" placeholder="https://collector.example.com/v1/logs" value="${escapeHtml(forwarder?.config?.url || '')}">
+              </label>
+              <label class="settings-modal-placeholder-text" style="display: block;" data-sink="http">
+                Headers (one "Name: value" per line)
+                <textarea name="headers" rows="2" style="${inputStyle} font-family: monospace;" placeholder="Authorization: Bearer ...">${escapeHtml(headersText)}</textarea>
+              </label>
+              <label class="settings-modal-placeholder-text" style="display: block;" data-sink="file">
+                File name (in the server's forwarder directory)
+                <input type="text" name="file" style="${inputStyle}" placeholder="events.jsonl" value="${escapeHtml(forwarder?.config?.file || '')}">
+              </label>
+              <div class="settings-modal-placeholder-text">
+                Areas
+                <div style="margin-top: 4px;">${['tool', 'session', 'general'].map(area => checkbox('areas', area, area, forwarder?.areas?.includes(area))).join('')}</div>
+              </div>
+              <div class="settings-modal-placeholder-text">
+                Event types
+                <div style="margin-top: 4px;">${forwarderEventTypes.map(eventType => checkbox('eventTypes', eventType, eventType, forwarder?.event_types?.includes(eventType))).join('')}</div>
+              </div>
+              ${teams.length > 0 ? `
+              <div class="settings-modal-placeholder-text">
+                Teams
+                <div style="margin-top: 4px;">${teams.map(team => checkbox('teamIds', team.id, team.name, forwarder?.team_ids?.includes(team.id))).join('')}</div>
+              </div>` : ''}
+              <label class="settings-modal-placeholder-text" style="display: block;">
+                Batch size (events per delivery)
+                <input type="number" name="batchSize" required min="1" max="1000" style="${inputStyle}" value="${escapeHtml(forwarder?.batch_size ?? 100)}">
+              </label>
+              <label class="settings-modal-placeholder-text" style="display: flex; align-items: center; gap: 8px;">
+                <input type="checkbox" name="enabled"${forwarder && !forwarder.enabled ? '' : ' checked'}>
+                Enabled
+              </label>
+              <div class="confirm-modal-actions">
+                <button type="button" class="btn" data-action="cancel-forwarder-form">Cancel</button>
+                <button type="submit" class="btn">${forwarder ? 'Save forwarder' : 'Create forwarder'}</button>
+              </div>
+            </form>
+          `;
+			forwarderFormContainer.style.display = 'block';
+
+			const form = forwarderFormContainer.querySelector('form');
+			const typeSelect = form.querySelector('select[name="type"]');
+			const updateSinkFields = () => {
+				const isFile = typeSelect.value === 'file';
+				form.querySelectorAll('[data-sink="http"]').forEach(field => {
+					field.style.display = isFile ? 'none' : 'block';
+				});
+				form.querySelectorAll('[data-sink="file"]').forEach(field => {
+					field.style.display = isFile ? 'block' : 'none';
+				});
+			};
+			const closeForm = () => {
+				forwarderFormContainer.innerHTML = '';
+				forwarderFormContainer.style.display = 'none';
+			};
+
+			typeSelect.addEventListener('change', updateSinkFields);
+			forwarderFormContainer.querySelector('[data-action="cancel-forwarder-form"]').addEventListener('click', closeForm);
+			form.addEventListener('submit', async (e) => {
+				e.preventDefault();
+				try {
+					const response = await fetch(forwarder ? `/api/event-forwarders/${encodeURIComponent(forwarder.id)}` : '/api/event-forwarders', {
+						method: forwarder ? 'PUT' : 'POST',
+						headers: window.getRequestHeaders(true),
+						credentials: 'include',
+						body: JSON.stringify(readForwarderForm(form))
+					});
+					const data = await response.json();
+					if (!response.ok) {
+						throw new Error(data.message || 'Failed to save forwarder');
+					}
+					closeForm();
+					showToast(forwarder ? 'Forwarder updated' : 'Forwarder created', 'success');
+					await loadForwarders();
+				} catch (error) {
+					console.error('Error saving event forwarder:', error);
+					showToast(`Error saving forwarder: ${escapeHtml(error.message)}`, 'error');
+				}
+			});
+
+			updateSinkFields();
+			forwarderFormContainer.scrollIntoView({behavior: 'smooth', block: 'start'});
+		}
+
+		async function handleTestForwarder(forwarder, button) {
+			button.disabled = true;
+			try {
+				const response = await fetch(`/api/event-forwarders/${encodeURIComponent(forwarder.id)}/test`, {
+					method: 'POST',
+					headers: window.getRequestHeaders(false),
+					credentials: 'include'
+				});
+				const data = await response.json();
+				if (!response.ok) {
+					throw new Error(data.message || 'Failed to send test event');
+				}
+				if (data.delivery.ok) {
+					showToast(`Test event delivered in ${data.delivery.latencyMs} ms`, 'success');
+				} else {
+					showToast(`Test delivery failed: ${escapeHtml(data.delivery.error)}`, 'error');
+				}
+			} catch (error) {
+				console.error('Error testing event forwarder:', error);
+				showToast(`Error sending test event: ${escapeHtml(error.message)}`, 'error');
+			} finally {
+				button.disabled = false;
+			}
+		}
+
+		async function handleDeleteForwarder(forwarder) {
+			const confirmed = await openConfirmModal({
+				title: 'Delete forwarder',
+				message: `Delete "${forwarder.name}"? Events not yet delivered to it won't be sent.`,
+				confirmLabel: 'Delete forwarder',
+				destructive: true
+			});
+			if (!confirmed) {
+				return;
+			}
+
+			try {
+				const response = await fetch(`/api/event-forwarders/${encodeURIComponent(forwarder.id)}`, {
+					method: 'DELETE',
+					headers: window.getRequestHeaders(false),
+					credentials: 'include'
+				});
+				const data = await response.json();
+				if (!response.ok) {
+					throw new Error(data.message || 'Failed to delete forwarder');
+				}
+				await loadForwarders();
+			} catch (error) {
+				console.error('Error deleting event forwarder:', error);
+				showToast(`Error deleting forwarder: ${escapeHtml(error.message)}`, 'error');
+			}
+		}
+
+		if (addForwarderBtn) {
+			addForwarderBtn.addEventListener('click', () => {
+				openForwarderForm();
+			});
+		}
+
+		loadForwarders();
+	}
+
+	// Login history functionality (God only)
+	if (isGod) {
+		function buildStatusIcon(isError) {
+			const statusClass = isError ? 'ko' : 'ok';
+			const statusLabel = isError ? 'KO' : 'OK';
+			const src = isError ? '/resources/ko.png' : '/resources/ok.png';
+			return `<img src="${src}" alt="${statusLabel}" class="status-indicator ${statusClass}" loading="lazy">`;
+		}
+
+		// Lockout rows of the login log (see src/auth/login-throttle.js); plain attempts show OK/KO
+		const LOGIN_EVENT_LABELS = {
+			lockout: {icon: 'fa-lock', label: 'Locked'},
+			ip_lockout: {icon: 'fa-ban', label: 'IP locked'},
+			unlock: {icon: 'fa-lock-open', label: 'Unlocked'},
+			ip_unlock: {icon: 'fa-lock-open', label: 'IP unlocked'}
+		};
+
+		async function loadLoginHistory() {
+			const tableBody = modal.querySelector('#loginHistoryTableBody');
+			const refreshBtn = modal.querySelector('#refreshLoginHistoryBtn');
+
+			if (!tableBody) {return;}
+
+			try {
+				if (refreshBtn) {
+					refreshBtn.disabled = true;
+					refreshBtn.innerHTML = '<span class="settings-users-spinner" style="width: 14px; height: 14px; margin-right: 6px;"></span>Loading...';
+				}
+
+				const response = await fetch('/api/user-login-logs?limit=50', {
+					method: 'GET',
+					headers: {
+						'Content-Type': 'application/json',
+						'X-CSRF-Token': await window.getCsrfToken()
+					},
+					credentials: 'include'
+				});
+
+				if (!response.ok) {
+					const error = await response.json();
+					throw new Error(error.message || 'Failed to load login history');
+				}
+
+				const data = await response.json();
+
+				if (data.logs && data.logs.length > 0) {
+					// Newest first: an IP lockout followed by an IP unlock is no longer active
+					const unlockedIps = new Set();
+					const rows = data.logs.map(log => {
+						const timestamp = new Date(log.created_at).toLocaleString();
+						const isError = !log.successful;
+						const eventLabel = LOGIN_EVENT_LABELS[log.event];
+						const statusIcon = eventLabel ? `<span class="whitespace-nowrap ${isError ? 'text-red-600 dark:text-red-400' : 'text-gray-600 dark:text-gray-300'}"><i class="fa-solid ${eventLabel.icon}"></i> ${eventLabel.label}</span>` : buildStatusIcon(isError);
+						const lockedUntilText = log.locked_until ? ` (until ${new Date(log.locked_until).toLocaleString()})` : '';
+						const errorText = log.error_message ? escapeHtml(log.error_message + lockedUntilText) : '';
+						if (log.event === 'ip_unlock') {
+							unlockedIps.add(log.ip_address);
+						}
+						const ipLocked = log.event === 'ip_lockout' && !unlockedIps.has(log.ip_address) && new Date(log.locked_until) > new Date();
+						const unlockIpButton = ipLocked ? ` <button type="button" class="settings-users-action-btn" data-action="unlock-ip" data-ip-address="${escapeHtml(log.ip_address)}" title="Unlock IP address"><i class="fa-solid fa-lock-open"></i></button>` : '';
+
+						return `
+							<tr class="hover:bg-gray-50 dark:hover:bg-gray-800/50">
+								<td class="border-b border-gray-200 py-4 pr-3 pl-4 font-medium whitespace-nowrap text-gray-900 dark:text-gray-100">${escapeHtml(log.username)}</td>
+								<td class="border-b border-gray-200 px-3 py-4 whitespace-nowrap text-gray-500 dark:text-gray-400 font-mono">${escapeHtml(log.ip_address || 'N/A')}</td>
+								<td class="border-b border-gray-200 px-3 py-4 text-gray-500 dark:text-gray-400 max-w-xs truncate" title="${escapeHtml(log.user_agent || '')}">${escapeHtml(log.user_agent || 'N/A')}</td>
+								<td class="border-b border-gray-200 px-3 py-4 text-center whitespace-nowrap">${statusIcon}</td>
+								<td class="border-b border-gray-200 px-3 py-4 whitespace-nowrap text-gray-500 dark:text-gray-400">${timestamp}</td>
+								<td class="border-b border-gray-200 py-4 pr-4 pl-3 whitespace-nowrap text-gray-500 dark:text-gray-400">${errorText}${unlockIpButton}</td>
+							</tr>
+						`;
+					}).join('');
 
 					tableBody.innerHTML = rows;
 				} else {
@@ -1265,7 +2535,201 @@ async function openSettingsModal() {
 			});
 		}
 
+		async function handleUnlockIpAddress(ipAddress) {
+			try {
+				const response = await fetch(`/api/ip-addresses/${encodeURIComponent(ipAddress)}/unlock`, {
+					method: 'POST',
+					headers: window.getRequestHeaders(false),
+					credentials: 'include'
+				});
+				const data = await response.json();
+				if (data.status === 'ok') {
+					showToast(`IP address ${ipAddress} unlocked`, 'success');
+					await loadLoginHistory();
+				} else {
+					throw new Error(data.message || 'Failed to unlock IP address');
+				}
+			} catch (error) {
+				console.error('Error unlocking IP address:', error);
+				showToast(`Error unlocking IP address: ${error.message}`, 'error');
+			}
+		}
+
+		const loginHistoryTableBody = modal.querySelector('#loginHistoryTableBody');
+		if (loginHistoryTableBody) {
+			loginHistoryTableBody.addEventListener('click', event => {
+				const button = event.target.closest('[data-action="unlock-ip"]');
+				if (button) {
+					handleUnlockIpAddress(button.dataset.ipAddress);
+				}
+			});
+		}
+
 		loadLoginHistory();
+
+		// Audit log of changes made through the API (see src/auth/audit-log.js)
+		const auditLogFilters = modal.querySelector('#auditLogFilters');
+		const auditLogTableBody = modal.querySelector('#auditLogTableBody');
+		const loadMoreAuditLogBtn = modal.querySelector('#loadMoreAuditLogBtn');
+		const exportAuditLogBtn = modal.querySelector('#exportAuditLogBtn');
+		let auditLogCursor = null;
+
+		function getAuditLogQuery() {
+			const form = new FormData(auditLogFilters);
+			const params = new URLSearchParams();
+			for (const field of ['actor', 'action', 'targetId']) {
+				const value = String(form.get(field) || '').trim();
+				if (value) {
+					params.set(field, value);
+				}
+			}
+			// Date inputs are local days: from the start of the first one to the end of the last one
+			if (form.get('from')) {
+				params.set('from', new Date(`${form.get('from')}T00:00:00`).toISOString());
+			}
+			if (form.get('to')) {
+				params.set('to', new Date(`${form.get('to')}T23:59:59.999`).toISOString());
+			}
+			return params;
+		}
+
+		function fillAuditLogSelect(name, values, allLabel) {
+			const select = auditLogFilters.elements[name];
+			const selected = select.value;
+			select.innerHTML = `<option value="">${allLabel}</option>${values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('')}`;
+			select.value = values.includes(selected) ? selected : '';
+		}
+
+		function formatAuditLogValue(value) {
+			if (value === null || value === undefined) {
+				return '<span class="text-gray-400">—</span>';
+			}
+			return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+		}
+
+		function formatAuditLogChanges(entry) {
+			const before = entry.before || {};
+			const after = entry.after || {};
+			const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+			if (fields.length > 0) {
+				return fields.map(field => `<div><span class="font-mono">${escapeHtml(field)}</span>: ${formatAuditLogValue(before[field])} → ${formatAuditLogValue(after[field])}</div>`).join('');
+			}
+			const {deletedCount, body} = entry.details || {};
+			if (deletedCount !== undefined) {
+				return `${escapeHtml(String(deletedCount))} deleted`;
+			}
+			if (!body) {
+				return '';
+			}
+			const bodyText = JSON.stringify(body);
+			return `<span class="font-mono" title="${escapeHtml(bodyText)}">${escapeHtml(bodyText.length > 80 ? `${bodyText.slice(0, 80)}…` : bodyText)}</span>`;
+		}
+
+		function renderAuditLogEntry(entry) {
+			const target = [entry.target_type, entry.target_id].filter(Boolean).join(' / ');
+			const via = entry.via === 'api_token' ? ' <span class="text-gray-400" title="API token"><i class="fa-solid fa-key"></i></span>' : '';
+			return `
+				<tr class="hover:bg-gray-50 dark:hover:bg-gray-800/50 align-top">
+					<td class="border-b border-gray-200 py-4 pr-3 pl-4 whitespace-nowrap text-gray-500 dark:text-gray-400">${new Date(entry.created_at).toLocaleString()}</td>
+					<td class="border-b border-gray-200 px-3 py-4 whitespace-nowrap font-medium text-gray-900 dark:text-gray-100" title="${escapeHtml(entry.ip_address || '')}">${escapeHtml(entry.actor || 'N/A')}${via}</td>
+					<td class="border-b border-gray-200 px-3 py-4 whitespace-nowrap text-gray-500 dark:text-gray-400 font-mono">${escapeHtml(entry.action)}</td>
+					<td class="border-b border-gray-200 px-3 py-4 whitespace-nowrap text-gray-500 dark:text-gray-400">${escapeHtml(target)}</td>
+					<td class="border-b border-gray-200 py-4 pr-4 pl-3 text-gray-500 dark:text-gray-400">${formatAuditLogChanges(entry)}</td>
+				</tr>
+			`;
+		}
+
+		async function loadAuditLog({append = false} = {}) {
+			if (!auditLogTableBody) {return;}
+
+			const params = getAuditLogQuery();
+			if (append && auditLogCursor) {
+				params.set('cursor', auditLogCursor);
+			}
+
+			try {
+				loadMoreAuditLogBtn.disabled = true;
+				const response = await fetch(`/api/audit-log?${params.toString()}`, {credentials: 'include'});
+				const data = await response.json();
+				if (!response.ok) {
+					throw new Error(data.message || 'Failed to load audit log');
+				}
+
+				fillAuditLogSelect('actor', data.actors, 'Everyone');
+				fillAuditLogSelect('action', data.actions, 'All actions');
+				auditLogCursor = data.nextCursor;
+				loadMoreAuditLogBtn.style.display = auditLogCursor ? '' : 'none';
+
+				const rows = data.entries.map(renderAuditLogEntry).join('');
+				if (append) {
+					auditLogTableBody.insertAdjacentHTML('beforeend', rows);
+				} else if (rows) {
+					auditLogTableBody.innerHTML = rows;
+				} else {
+					auditLogTableBody.innerHTML = `
+						<tr>
+							<td colspan="5" class="border-b border-gray-200 py-8 px-4 text-center text-gray-500">
+								<div class="settings-users-empty-content">
+									<i class="fa-solid fa-clipboard-list settings-users-empty-icon"></i>
+									<div class="settings-users-empty-title">No audit log entries</div>
+									<div class="settings-users-empty-subtitle">Changes matching the filters will appear here</div>
+								</div>
+							</td>
+						</tr>
+					`;
+				}
+			} catch (error) {
+				console.error('Error loading audit log:', error);
+				if (typeof window.showToast === 'function') {
+					window.showToast(`Failed to load audit log: ${error.message}`, 'error');
+				}
+			} finally {
+				loadMoreAuditLogBtn.disabled = false;
+			}
+		}
+
+		if (auditLogFilters) {
+			auditLogFilters.addEventListener('change', () => {
+				loadAuditLog();
+			});
+			auditLogFilters.addEventListener('submit', (event) => {
+				event.preventDefault();
+				loadAuditLog();
+			});
+			loadMoreAuditLogBtn.addEventListener('click', () => {
+				loadAuditLog({append: true});
+			});
+
+			exportAuditLogBtn.addEventListener('click', async () => {
+				try {
+					exportAuditLogBtn.disabled = true;
+					const response = await fetch(`/api/audit-log/export?${getAuditLogQuery().toString()}`, {credentials: 'include'});
+					if (!response.ok) {
+						const error = await response.json();
+						throw new Error(error.message || 'Failed to export audit log');
+					}
+
+					const blob = await response.blob();
+					const url = window.URL.createObjectURL(blob);
+					const a = document.createElement('a');
+					a.href = url;
+					a.download = `audit-log-${new Date().toISOString().split('T')[0]}.jsonl`;
+					document.body.appendChild(a);
+					a.click();
+					window.URL.revokeObjectURL(url);
+					document.body.removeChild(a);
+				} catch (error) {
+					console.error('Error exporting audit log:', error);
+					if (typeof window.showToast === 'function') {
+						window.showToast(`Failed to export audit log: ${error.message}`, 'error');
+					}
+				} finally {
+					exportAuditLogBtn.disabled = false;
+				}
+			});
+
+			loadAuditLog();
+		}
 	}
 
 	// Import/Export functionality
@@ -1412,6 +2876,392 @@ async function openSettingsModal() {
 		}
 	}
 
+	// Two-factor authentication of the current user
+	const twoFactorStatus = modal.querySelector('#twoFactorStatus');
+	const twoFactorActions = modal.querySelector('#twoFactorActions');
+	const twoFactorPanel = modal.querySelector('#twoFactorPanel');
+
+	function closeTwoFactorPanel() {
+		twoFactorPanel.innerHTML = '';
+		twoFactorPanel.style.display = 'none';
+	}
+
+	async function postTwoFactor(endpoint, body = {}) {
+		const response = await fetch(endpoint, {
+			method: 'POST',
+			headers: window.getRequestHeaders(true),
+			credentials: 'include',
+			body: JSON.stringify(body)
+		});
+		const data = await response.json();
+		if (!response.ok) {
+			throw new Error(data.message || 'Request failed');
+		}
+		return data;
+	}
+
+	function showRecoveryCodes(codes) {
+		const items = codes.map(code => `<li>${escapeHtml(code)}</li>`).join('');
+		twoFactorPanel.innerHTML = `
+			<div class="settings-modal-placeholder-title" style="margin: 0;">Recovery codes</div>
+			<p class="settings-modal-placeholder-text" style="margin-top: 6px;">
+				Save these codes somewhere safe. Each one signs you in once if you lose your authenticator app. They won't be shown again.
+			</p>
+			<ul class="font-mono text-sm" style="display: grid; grid-template-columns: 1fr 1fr; gap: 4px 16px; margin: 10px 0; list-style: none;">${items}</ul>
+			<div class="confirm-modal-actions">
+				<button type="button" class="btn" data-action="copy-recovery-codes">
+					<i class="fa-solid fa-copy"></i>
+					Copy
+				</button>
+				<button type="button" class="btn" data-action="close-two-factor">Done</button>
+			</div>
+		`;
+		twoFactorPanel.style.display = 'block';
+		twoFactorPanel.querySelector('[data-action="copy-recovery-codes"]').addEventListener('click', async () => {
+			try {
+				await navigator.clipboard.writeText(codes.join('\n'));
+				showToast('Recovery codes copied', 'success');
+			} catch (error) {
+				showToast(`Error copying recovery codes: ${error.message}`, 'error');
+			}
+		});
+		twoFactorPanel.querySelector('[data-action="close-two-factor"]').addEventListener('click', closeTwoFactorPanel);
+	}
+
+	function openTwoFactorCodeForm({title, description, extraHtml = '', submitLabel, onSubmit}) {
+		twoFactorPanel.innerHTML = `
+			<div class="settings-modal-placeholder-title" style="margin: 0;">${title}</div>
+			<p class="settings-modal-placeholder-text" style="margin-top: 6px;">${description}</p>
+			${extraHtml}
+			<form style="display: flex; flex-direction: column; gap: 12px; margin-top: 10px;">
+				<input type="text" name="code" required autocomplete="one-time-code" inputmode="numeric"
+					style="width: 100%; padding: 8px 12px; border-radius: 6px; border: 1px solid var(--border-color); background: var(--bg-secondary); color: var(--text-primary); font-size: 14px;"
+					placeholder="Authentication code">
+				<div class="confirm-modal-actions">
+					<button type="button" class="btn" data-action="close-two-factor">Cancel</button>
+					<button type="submit" class="btn">${submitLabel}</button>
+				</div>
+			</form>
+		`;
+		twoFactorPanel.style.display = 'block';
+		twoFactorPanel.querySelector('[data-action="close-two-factor"]').addEventListener('click', closeTwoFactorPanel);
+		const form = twoFactorPanel.querySelector('form');
+		form.addEventListener('submit', async (e) => {
+			e.preventDefault();
+			const submitButton = form.querySelector('button[type="submit"]');
+			submitButton.disabled = true;
+			try {
+				await onSubmit(new window.FormData(form).get('code'));
+			} catch (error) {
+				showToast(error.message, 'error');
+				submitButton.disabled = false;
+			}
+		});
+		form.querySelector('input[name="code"]').focus();
+	}
+
+	async function startTwoFactorSetup() {
+		try {
+			const setup = await postTwoFactor('/api/account/2fa/setup');
+			const formattedSecret = setup.secret.replace(/.{4}(?!$)/g, '$& ');
+			openTwoFactorCodeForm({
+				title: 'Set up two-factor authentication',
+				description: 'Scan the QR code with an authenticator app (or enter the key by hand), then type the 6-digit code it shows.',
+				extraHtml: `
+					<div id="twoFactorQr" style="width: 176px; background: #ffffff; border-radius: 8px; margin-top: 10px;"></div>
+					<code class="font-mono text-sm" style="display: block; margin-top: 8px; word-break: break-all;">${escapeHtml(formattedSecret)}</code>
+				`,
+				submitLabel: 'Turn on',
+				onSubmit: async (code) => {
+					const data = await postTwoFactor('/api/account/2fa/enable', {code});
+					showToast('Two-factor authentication enabled', 'success');
+					showRecoveryCodes(data.recoveryCodes);
+					loadTwoFactorStatus();
+				}
+			});
+			await renderQrCode(twoFactorPanel.querySelector('#twoFactorQr'), setup.otpauthUri);
+		} catch (error) {
+			console.error('Error starting two-factor setup:', error);
+			showToast(`Error starting two-factor setup: ${error.message}`, 'error');
+		}
+	}
+
+	function renderTwoFactorActions(buttons) {
+		twoFactorActions.innerHTML = buttons.map(({action, icon, label}) => `
+			<button type="button" class="btn" data-action="${action}">
+				<i class="fa-solid ${icon}"></i>
+				${label}
+			</button>
+		`).join('');
+	}
+
+	async function loadTwoFactorStatus() {
+		try {
+			const response = await fetch('/api/account/2fa', {credentials: 'include'});
+			const data = await response.json();
+			if (!response.ok) {
+				throw new Error(data.message || 'Failed to load two-factor status');
+			}
+
+			const requiredText = data.required ? ' Required for your role.' : '';
+			if (!data.available) {
+				twoFactorStatus.textContent = 'Not available for the administrator account configured in the environment.';
+				renderTwoFactorActions([]);
+			} else if (data.enabled) {
+				twoFactorStatus.textContent = `On since ${new Date(data.enabledAt).toLocaleDateString()}. ${data.recoveryCodesLeft} recovery code${data.recoveryCodesLeft === 1 ? '' : 's'} left.${requiredText}`;
+				const buttons = [{action: 'regenerate-recovery-codes', icon: 'fa-rotate', label: 'New recovery codes'}];
+				if (!data.required) {
+					buttons.push({action: 'disable-two-factor', icon: 'fa-shield', label: 'Turn off'});
+				}
+				renderTwoFactorActions(buttons);
+			} else {
+				twoFactorStatus.textContent = `Ask for a code from an authenticator app when you sign in.${requiredText}`;
+				renderTwoFactorActions([{action: 'enable-two-factor', icon: 'fa-shield-halved', label: 'Turn on'}]);
+			}
+		} catch (error) {
+			console.error('Error loading two-factor status:', error);
+			twoFactorStatus.textContent = 'Could not load the two-factor authentication status.';
+		}
+	}
+
+	if (twoFactorStatus && twoFactorActions && twoFactorPanel) {
+		twoFactorActions.addEventListener('click', (e) => {
+			const button = e.target.closest('button[data-action]');
+			if (!button) {
+				return;
+			}
+			if (button.dataset.action === 'enable-two-factor') {
+				startTwoFactorSetup();
+			} else if (button.dataset.action === 'regenerate-recovery-codes') {
+				openTwoFactorCodeForm({
+					title: 'New recovery codes',
+					description: 'Enter a code from your authenticator app. Your current recovery codes will stop working.',
+					submitLabel: 'Generate',
+					onSubmit: async (code) => {
+						const data = await postTwoFactor('/api/account/2fa/recovery-codes', {code});
+						showRecoveryCodes(data.recoveryCodes);
+						loadTwoFactorStatus();
+					}
+				});
+			} else if (button.dataset.action === 'disable-two-factor') {
+				openTwoFactorCodeForm({
+					title: 'Turn off two-factor authentication',
+					description: 'Enter a code from your authenticator app or a recovery code.',
+					submitLabel: 'Turn off',
+					onSubmit: async (code) => {
+						await postTwoFactor('/api/account/2fa/disable', {code});
+						showToast('Two-factor authentication disabled', 'success');
+						closeTwoFactorPanel();
+						loadTwoFactorStatus();
+					}
+				});
+			}
+		});
+		loadTwoFactorStatus();
+	}
+
+	// Personal API tokens of the current user
+	const apiTokensStatus = modal.querySelector('#apiTokensStatus');
+	const apiTokensActions = modal.querySelector('#apiTokensActions');
+	const apiTokensPanel = modal.querySelector('#apiTokensPanel');
+	const apiTokensList = modal.querySelector('#apiTokensList');
+	const API_TOKEN_SCOPE_LABELS = {
+		'events:read': 'Read events',
+		'stats:read': 'Read stats',
+		export: 'Export',
+		admin: 'Admin'
+	};
+	const API_TOKEN_EXPIRY_OPTIONS = [7, 30, 90, 365];
+	let apiTokenScopes = [];
+
+	function closeApiTokensPanel() {
+		apiTokensPanel.innerHTML = '';
+		apiTokensPanel.style.display = 'none';
+	}
+
+	function getApiTokenState(token) {
+		if (token.revoked_at) {
+			return 'revoked';
+		}
+		return new Date(token.expires_at) <= new Date() ? 'expired' : 'active';
+	}
+
+	function renderApiTokens(tokens) {
+		if (tokens.length === 0) {
+			apiTokensList.innerHTML = '';
+			return;
+		}
+		apiTokensList.innerHTML = tokens.map(token => {
+			const state = getApiTokenState(token);
+			const scopes = token.scopes.map(scope => API_TOKEN_SCOPE_LABELS[scope] || scope).join(', ');
+			const lastUsed = token.last_used_at ? `last used ${new Date(token.last_used_at).toLocaleString()}` : 'never used';
+			const expiry = state === 'active' ? `expires ${new Date(token.expires_at).toLocaleDateString()}` : state;
+			const revokeButton = state === 'active' ? `<button type="button" class="settings-users-action-btn settings-users-action-btn-danger" data-action="revoke-api-token" data-token-id="${token.id}" data-token-name="${escapeHtml(token.name)}" title="Revoke token"><i class="fa-solid fa-ban"></i></button>` : '';
+			return `
+				<li style="display: flex; align-items: center; justify-content: space-between; gap: 8px;${state === 'active' ? '' : ' opacity: 0.6;'}">
+					<div style="display: flex; flex-direction: column;">
+						<span><strong>${escapeHtml(token.name)}</strong> <code class="font-mono">${escapeHtml(token.token_prefix)}…</code></span>
+						<span class="text-xs text-(--text-secondary)">${escapeHtml(scopes)} · ${escapeHtml(expiry)} · ${escapeHtml(lastUsed)}</span>
+					</div>
+					${revokeButton}
+				</li>
+			`;
+		}).join('');
+	}
+
+	async function loadApiTokens() {
+		try {
+			const response = await fetch('/api/account/tokens', {credentials: 'include'});
+			const data = await response.json();
+			if (!response.ok) {
+				throw new Error(data.message || 'Failed to load API tokens');
+			}
+			apiTokenScopes = data.scopes;
+			if (data.available) {
+				apiTokensActions.innerHTML = `
+					<button type="button" class="btn" data-action="new-api-token">
+						<i class="fa-solid fa-plus"></i>
+						New token
+					</button>
+				`;
+			} else {
+				apiTokensStatus.textContent = 'Not available for the administrator account configured in the environment.';
+				apiTokensActions.innerHTML = '';
+			}
+			renderApiTokens(data.tokens);
+		} catch (error) {
+			console.error('Error loading API tokens:', error);
+			apiTokensStatus.textContent = 'Could not load your API tokens.';
+		}
+	}
+
+	function showNewApiToken(token) {
+		apiTokensPanel.innerHTML = `
+			<div class="settings-modal-placeholder-title" style="margin: 0;">New API token</div>
+			<p class="settings-modal-placeholder-text" style="margin-top: 6px;">Copy the token now. It won't be shown again.</p>
+			<code class="font-mono text-sm" style="display: block; margin: 10px 0; word-break: break-all;">${escapeHtml(token)}</code>
+			<div class="confirm-modal-actions">
+				<button type="button" class="btn" data-action="copy-api-token">
+					<i class="fa-solid fa-copy"></i>
+					Copy
+				</button>
+				<button type="button" class="btn" data-action="close-api-tokens">Done</button>
+			</div>
+		`;
+		apiTokensPanel.style.display = 'block';
+		apiTokensPanel.querySelector('[data-action="copy-api-token"]').addEventListener('click', async () => {
+			try {
+				await navigator.clipboard.writeText(token);
+				showToast('API token copied', 'success');
+			} catch (error) {
+				showToast(`Error copying API token: ${error.message}`, 'error');
+			}
+		});
+		apiTokensPanel.querySelector('[data-action="close-api-tokens"]').addEventListener('click', closeApiTokensPanel);
+	}
+
+	function openNewApiTokenForm() {
+		const scopeOptions = apiTokenScopes.map(scope => `
+			<label style="display: inline-flex; align-items: center; gap: 6px;">
+				<input type="checkbox" name="scopes" value="${escapeHtml(scope)}" ${scope === 'admin' ? '' : 'checked'}>
+				${escapeHtml(API_TOKEN_SCOPE_LABELS[scope] || scope)}
+			</label>
+		`).join('');
+		const expiryOptions = API_TOKEN_EXPIRY_OPTIONS.map(days => `<option value="${days}" ${days === 30 ? 'selected' : ''}>${days} days</option>`).join('');
+		apiTokensPanel.innerHTML = `
+			<div class="settings-modal-placeholder-title" style="margin: 0;">New API token</div>
+			<form style="display: flex; flex-direction: column; gap: 12px; margin-top: 10px;">
+				<input type="text" name="name" required maxlength="80"
+					style="width: 100%; padding: 8px 12px; border-radius: 6px; border: 1px solid var(--border-color); background: var(--bg-secondary); color: var(--text-primary); font-size: 14px;"
+					placeholder="Token name (e.g. Weekly BI report)">
+				<div style="display: flex; gap: 12px; flex-wrap: wrap;">${scopeOptions}</div>
+				<label style="display: flex; align-items: center; gap: 8px;">
+					Expires in
+					<select name="expiresInDays" style="padding: 6px 10px; border-radius: 6px; border: 1px solid var(--border-color); background: var(--bg-secondary); color: var(--text-primary);">${expiryOptions}</select>
+				</label>
+				<div class="confirm-modal-actions">
+					<button type="button" class="btn" data-action="close-api-tokens">Cancel</button>
+					<button type="submit" class="btn">Create</button>
+				</div>
+			</form>
+		`;
+		apiTokensPanel.style.display = 'block';
+		apiTokensPanel.querySelector('[data-action="close-api-tokens"]').addEventListener('click', closeApiTokensPanel);
+		const form = apiTokensPanel.querySelector('form');
+		form.addEventListener('submit', async (e) => {
+			e.preventDefault();
+			const submitButton = form.querySelector('button[type="submit"]');
+			submitButton.disabled = true;
+			const formData = new window.FormData(form);
+			try {
+				const response = await fetch('/api/account/tokens', {
+					method: 'POST',
+					headers: window.getRequestHeaders(true),
+					credentials: 'include',
+					body: JSON.stringify({
+						name: formData.get('name'),
+						scopes: formData.getAll('scopes'),
+						expiresInDays: Number.parseInt(formData.get('expiresInDays'), 10)
+					})
+				});
+				const data = await response.json();
+				if (!response.ok) {
+					throw new Error(data.message || 'Failed to create API token');
+				}
+				showNewApiToken(data.token);
+				loadApiTokens();
+			} catch (error) {
+				showToast(error.message, 'error');
+				submitButton.disabled = false;
+			}
+		});
+		form.querySelector('input[name="name"]').focus();
+	}
+
+	async function handleRevokeApiToken(tokenId, tokenName) {
+		const confirmed = await window.openConfirmModal({
+			title: 'Revoke API Token',
+			message: `Revoke the API token "${escapeHtml(tokenName)}"? Scripts using it will stop working right away.`,
+			confirmLabel: 'Revoke',
+			destructive: true
+		});
+		if (!confirmed) {
+			return;
+		}
+
+		try {
+			const response = await fetch(`/api/account/tokens/${encodeURIComponent(tokenId)}`, {
+				method: 'DELETE',
+				headers: window.getRequestHeaders(false),
+				credentials: 'include'
+			});
+			const data = await response.json();
+			if (!response.ok) {
+				throw new Error(data.message || 'Failed to revoke API token');
+			}
+			showToast(`API token "${tokenName}" revoked`, 'success');
+			loadApiTokens();
+		} catch (error) {
+			console.error('Error revoking API token:', error);
+			showToast(`Error revoking API token: ${error.message}`, 'error');
+		}
+	}
+
+	if (apiTokensStatus && apiTokensActions && apiTokensPanel && apiTokensList) {
+		apiTokensActions.addEventListener('click', (e) => {
+			if (e.target.closest('button[data-action="new-api-token"]')) {
+				openNewApiTokenForm();
+			}
+		});
+		apiTokensList.addEventListener('click', (e) => {
+			const button = e.target.closest('button[data-action="revoke-api-token"]');
+			if (button) {
+				handleRevokeApiToken(button.dataset.tokenId, button.dataset.tokenName);
+			}
+		});
+		loadApiTokens();
+	}
+
 	// Danger zone functionality
 	const clearLocalDataBtn = modal.querySelector('#clearLocalDataBtn');
 	if (clearLocalDataBtn) {
@@ -0,0 +1,211 @@
+// @ts-nocheck
+// Tool performance panel: latency percentiles, call volume and error rate per tool and server version
+const TOOL_PERFORMANCE_DEFAULT_DAYS = 7;
+// A version whose p90 is this much slower than the previous release is highlighted
+const REGRESSION_THRESHOLD = 0.2;
+
+let currentStats = null;
+const expandedTools = new Set();
+
+function escapeHtml(text) {
+	if (text === null || text === undefined) {
+		return '';
+	}
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+function formatLatency(value) {
+	if (value === null || value === undefined) {
+		return '—';
+	}
+	return value >= 1000 ? `${(value / 1000).toFixed(value >= 10_000 ? 0 : 1)} s` : `${value} ms`;
+}
+
+function formatErrorRate(rate) {
+	return `${(rate * 100).toFixed(rate > 0 && rate < 0.01 ? 2 : 1)}%`;
+}
+
+function getSelectedDays() {
+	const select = document.getElementById('toolPerformanceRangeSelect');
+	const days = Number.parseInt(select?.value, 10);
+	return Number.isFinite(days) ? days : TOOL_PERFORMANCE_DEFAULT_DAYS;
+}
+
+function renderMessage(message) {
+	const container = document.getElementById('toolPerformanceTable');
+	if (container) {
+		container.innerHTML = `<p class="text-sm text-gray-500">${escapeHtml(message)}</p>`;
+	}
+}
+
+function renderStatCells(stat, firstCellContent) {
+	const cellClass = 'border-b border-gray-200 dark:border-white/10 px-3 py-2 text-sm text-right';
+	const errorClass = stat.errorRate > 0 ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400';
+	return `
+		<td class="border-b border-gray-200 dark:border-white/10 py-2 pl-4 pr-3 text-sm text-gray-900 dark:text-white text-left">${firstCellContent}</td>
+		<td class="${cellClass} text-gray-900 dark:text-white">${stat.calls.toLocaleString()}</td>
+		<td class="${cellClass} ${errorClass}">${formatErrorRate(stat.errorRate)}</td>
+		<td class="${cellClass} text-gray-500 dark:text-gray-400">${formatLatency(stat.p50)}</td>
+		<td class="${cellClass} text-gray-500 dark:text-gray-400">${formatLatency(stat.p90)}</td>
+		<td class="${cellClass} text-gray-500 dark:text-gray-400">${formatLatency(stat.p99)}</td>
+	`;
+}
+
+function renderVersionRows(tool, versions) {
+	if (versions.length === 0) {
+		return `<tr><td colspan="6" class="border-b border-gray-200 dark:border-white/10 py-2 pl-8 text-sm text-gray-500">No version breakdown available.</td></tr>`;
+	}
+
+	// Versions are sorted newest first: compare each one with the release right before it
+	return versions.map((stat, index) => {
+		const previous = versions[index + 1];
+		let regression = '';
+		if (previous && stat.p90 !== null && previous.p90 > 0) {
+			const change = (stat.p90 - previous.p90) / previous.p90;
+			if (change >= REGRESSION_THRESHOLD) {
+				regression = ` <span class="tool-performance-regression" title="p90 vs ${escapeHtml(previous.version || 'unknown')}">+${Math.round(change * 100)}% p90</span>`;
+			}
+		}
+		const label = `<span class="text-gray-500 dark:text-gray-400" style="padding-left: 16px;">${escapeHtml(stat.version || 'Unknown version')}</span>${regression}`;
+		return `<tr class="bg-gray-50 dark:bg-gray-800/40" data-version-of="${escapeHtml(tool)}">${renderStatCells(stat, label)}</tr>`;
+	}).join('');
+}
+
+function renderToolPerformance(stats) {
+	const container = document.getElementById('toolPerformanceTable');
+	if (!container) {
+		return;
+	}
+
+	currentStats = stats;
+	const tools = Array.isArray(stats?.tools) ? stats.tools : [];
+	if (tools.length === 0) {
+		renderMessage('No tool calls recorded in this window.');
+		return;
+	}
+
+	const versionsByTool = new Map();
+	for (const stat of stats.versions || []) {
+		if (!versionsByTool.has(stat.tool)) {
+			versionsByTool.set(stat.tool, []);
+		}
+		versionsByTool.get(stat.tool).push(stat);
+	}
+
+	const rows = tools.map(stat => {
+		const isExpanded = expandedTools.has(stat.tool);
+		const versions = versionsByTool.get(stat.tool) || [];
+		const chevron = `<i class="fa-solid ${isExpanded ? 'fa-chevron-down' : 'fa-chevron-right'} text-gray-400" style="width: 12px;"></i>`;
+		let untimed = '';
+		if (stat.timedCalls < stat.calls) {
+			untimed = ` <span class="text-xs text-gray-400" title="Calls without a reported duration are excluded from percentiles">(${stat.timedCalls.toLocaleString()} timed)</span>`;
+		}
+		const label = `${chevron} <span class="font-medium">${escapeHtml(stat.tool)}</span>${untimed}`;
+		return `
+			<tr class="tool-performance-row" data-tool="${escapeHtml(stat.tool)}" aria-expanded="${isExpanded}">${renderStatCells(stat, label)}</tr>
+			${isExpanded ? renderVersionRows(stat.tool, versions) : ''}
+		`;
+	}).join('');
+
+	const headerClass = 'border-b border-gray-300 dark:border-white/15 px-3 py-2.5 text-right font-semibold text-gray-900 dark:text-white';
+	container.innerHTML = `
+		<table class="min-w-full border-separate border-spacing-0" style="font-size: 13.5px;">
+			<thead class="bg-gray-50 dark:bg-gray-800/75">
+				<tr>
+					<th scope="col" class="border-b border-gray-300 dark:border-white/15 py-2.5 pl-4 pr-3 text-left font-semibold text-gray-900 dark:text-white">Tool</th>
+					<th scope="col" class="${headerClass}">Calls</th>
+					<th scope="col" class="${headerClass}">Error rate</th>
+					<th scope="col" class="${headerClass}">p50</th>
+					<th scope="col" class="${headerClass}">p90</th>
+					<th scope="col" class="${headerClass}">p99</th>
+				</tr>
+			</thead>
+			<tbody>${rows}</tbody>
+		</table>
+	`;
+
+	container.querySelectorAll('tr[data-tool]').forEach(row => {
+		row.addEventListener('click', () => {
+			const tool = row.getAttribute('data-tool');
+			if (expandedTools.has(tool)) {
+				expandedTools.delete(tool);
+			} else {
+				expandedTools.add(tool);
+			}
+			renderToolPerformance(currentStats);
+		});
+	});
+}
+
+async function loadToolPerformance(days = getSelectedDays()) {
+	const cacheKey = `toolPerformanceStats_${days}`;
+	const cachedData = window.getCachedData ? window.getCachedData(cacheKey) : null;
+	if (cachedData) {
+		renderToolPerformance(cachedData);
+		return;
+	}
+
+	if (!currentStats) {
+		renderMessage('Loading tool performance…');
+	}
+
+	try {
+		const response = await fetch(`/api/tool-performance-stats?days=${days}`, {credentials: 'include'});
+		if (response.status === 401) {
+			window.location.href = '/login';
+			return;
+		}
+		if (!response.ok) {
+			throw new Error(`HTTP ${response.status}`);
+		}
+
+		const payload = await response.json();
+		const stats = {
+			tools: Array.isArray(payload?.tools) ? payload.tools : [],
+			versions: Array.isArray(payload?.versions) ? payload.versions : []
+		};
+		if (window.updateCache) {
+			window.updateCache(cacheKey, stats);
+		}
+
+		// Ignore stale responses when the window changed while loading
+		if (days === getSelectedDays()) {
+			renderToolPerformance(stats);
+		}
+	} catch (error) {
+		console.error('Error fetching tool performance stats:', error);
+		renderMessage('Unable to load tool performance right now.');
+	}
+}
+
+function bindRangeSelect() {
+	const select = document.getElementById('toolPerformanceRangeSelect');
+	if (!select || select.dataset.bound === 'true') {
+		return;
+	}
+	select.dataset.bound = 'true';
+	select.addEventListener('change', () => {
+		currentStats = null;
+		loadToolPerformance();
+	});
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+	bindRangeSelect();
+	loadToolPerformance();
+});
+
+window.addEventListener('softNav:pageMounted', (event) => {
+	if (event?.detail?.path === '/') {
+		bindRangeSelect();
+		// Restored pages keep their rendered table
+		if (event.detail.fromCache !== true || !currentStats) {
+			loadToolPerformance();
+		}
+	}
+});
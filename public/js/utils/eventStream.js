@@ -0,0 +1,61 @@
+// @ts-nocheck
+/**
+ * Live event stream client for /api/events/stream (Server-Sent Events)
+ *
+ * EventSource reconnects by itself after network errors; the server tells it how long to wait.
+ * If the server refuses the stream (e.g. session expired) the status becomes 'closed'.
+ *
+ * @example
+ * import {openEventStream} from './utils/eventStream.js';
+ *
+ * const stream = openEventStream(params, {
+ *   onEvents: events => prependRows(events),
+ *   onStatus: status => updateLiveBadge(status)
+ * });
+ * stream.close();
+ */
+
+/**
+ * Subscribe to the events stored from now on
+ * @param {URLSearchParams} params - Same filters as /api/events (area, eventType, sessionId, userId...)
+ * @param {object} handlers
+ * @param {Function} handlers.onEvents - Called with each batch of new events (oldest first)
+ * @param {Function} [handlers.onStatus] - Called with 'connecting', 'live', 'reconnecting' or 'closed'
+ * @returns {{close: Function}}
+ */
+function openEventStream(params, {onEvents, onStatus}) {
+	const setStatus = status => onStatus?.(status);
+	const query = params ? params.toString() : '';
+	const source = new EventSource(`/api/events/stream${query ? `?${query}` : ''}`, {withCredentials: true});
+	setStatus('connecting');
+
+	source.addEventListener('ready', () => {
+		setStatus('live');
+	});
+	source.addEventListener('events', (message) => {
+		try {
+			const {events} = JSON.parse(message.data);
+			if (Array.isArray(events) && events.length > 0) {
+				onEvents(events);
+			}
+		} catch (error) {
+			console.error('Invalid event stream message:', error);
+		}
+	});
+	source.addEventListener('failure', () => {
+		source.close();
+		setStatus('closed');
+	});
+	source.addEventListener('error', () => {
+		setStatus(source.readyState === EventSource.CLOSED ? 'closed' : 'reconnecting');
+	});
+
+	return {
+		close() {
+			source.close();
+			setStatus('closed');
+		}
+	};
+}
+
+export {openEventStream};
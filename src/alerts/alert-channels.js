@@ -0,0 +1,159 @@
+/**
+ * Alert delivery channels
+ *
+ * - webhook: POSTs JSON to a URL. Formats: 'slack' ({text}), 'teams' (MessageCard) or 'json' (full alert)
+ * - email: sends through SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD, ALERT_EMAIL_FROM)
+ */
+
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const WEBHOOK_FORMATS = ['slack', 'teams', 'json'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let smtpTransport = null;
+
+/**
+ * Validate and normalize the channels of an alert rule
+ * @param {Array<object>} channels - Raw channels
+ * @returns {{channels: Array<object>, errors: Array<string>}} Normalized channels and validation errors
+ */
+function normalizeChannels(channels) {
+	const errors = [];
+	if (!Array.isArray(channels) || channels.length === 0) {
+		return {channels: [], errors: ['At least one delivery channel is required']};
+	}
+
+	const normalized = channels.map((channel, index) => {
+		if (channel?.type === 'webhook') {
+			let url = null;
+			try {
+				url = new URL(String(channel.url || ''));
+			} catch {
+				// Reported below
+			}
+			if (!url || !['http:', 'https:'].includes(url.protocol)) {
+				errors.push(`Channel ${index + 1}: webhook url must be an http(s) URL`);
+			}
+			const format = WEBHOOK_FORMATS.includes(channel.format) ? channel.format : 'json';
+			return {type: 'webhook', url: url ? url.toString() : null, format};
+		}
+		if (channel?.type === 'email') {
+			const recipients = (Array.isArray(channel.to) ? channel.to : String(channel.to || '').split(','))
+				.map(address => String(address).trim())
+				.filter(Boolean);
+			if (recipients.length === 0 || recipients.some(address => !EMAIL_PATTERN.test(address))) {
+				errors.push(`Channel ${index + 1}: email recipients must be valid email addresses`);
+			}
+			return {type: 'email', to: recipients};
+		}
+		errors.push(`Channel ${index + 1}: type must be 'webhook' or 'email'`);
+		return null;
+	}).filter(Boolean);
+
+	return {channels: normalized, errors};
+}
+
+/**
+ * Build the webhook body for a channel format
+ * @param {object} alert - Alert (rule, summary, details, triggeredAt, isTest)
+ * @param {string} format - 'slack', 'teams' or 'json'
+ * @returns {object} JSON body
+ */
+function buildWebhookBody(alert, format) {
+	const title = `${alert.isTest ? '[Test] ' : ''}Telemetry alert: ${alert.rule.name}`;
+	const lines = alert.lines || [];
+	if (format === 'slack') {
+		return {text: [`*${title}*`, alert.summary, ...lines].join('\n')};
+	}
+	if (format === 'teams') {
+		return {
+			'@type': 'MessageCard',
+			'@context': 'https://schema.org/extensions',
+			summary: title,
+			themeColor: 'D9534F',
+			title,
+			text: [alert.summary, ...lines].join('\n\n')
+		};
+	}
+	return {
+		rule: {id: alert.rule.id || null, name: alert.rule.name, type: alert.rule.type},
+		summary: alert.summary,
+		details: alert.details || null,
+		triggeredAt: alert.triggeredAt,
+		test: alert.isTest === true
+	};
+}
+
+async function deliverWebhook(channel, alert) {
+	const response = await fetch(channel.url, {
+		method: 'POST',
+		headers: {'Content-Type': 'application/json'},
+		body: JSON.stringify(buildWebhookBody(alert, channel.format)),
+		signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+	});
+	if (!response.ok) {
+		throw new Error(`Webhook responded with HTTP ${response.status}`);
+	}
+}
+
+async function getSmtpTransport() {
+	if (!process.env.SMTP_HOST) {
+		throw new Error('SMTP is not configured (SMTP_HOST is not set)');
+	}
+	if (!smtpTransport) {
+		const {default: nodemailer} = await import('nodemailer');
+		const port = Number.parseInt(process.env.SMTP_PORT, 10) || 587;
+		smtpTransport = nodemailer.createTransport({
+			host: process.env.SMTP_HOST,
+			port,
+			secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+			auth: process.env.SMTP_USER ? {user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD} : undefined
+		});
+	}
+	return smtpTransport;
+}
+
+async function deliverEmail(channel, alert) {
+	const transport = await getSmtpTransport();
+	const subject = `${alert.isTest ? '[Test] ' : ''}Telemetry alert: ${alert.rule.name}`;
+	await transport.sendMail({
+		from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+		to: channel.to.join(', '),
+		subject,
+		text: [alert.summary, '', ...(alert.lines || []), '', `Triggered at ${alert.triggeredAt}`].join('\n')
+	});
+}
+
+function getWebhookHost(url) {
+	try {
+		return new URL(url).host;
+	} catch {
+		return String(url);
+	}
+}
+
+/**
+ * Deliver an alert to every channel of its rule
+ * A failing channel doesn't stop delivery to the others.
+ * @param {object} alert - Alert (rule, summary, lines, details, triggeredAt, isTest)
+ * @returns {Promise<Array<{type: string, target: string, ok: boolean, error: string|null}>>} Result per channel
+ */
+async function deliverAlert(alert) {
+	return Promise.all((alert.rule.channels || []).map(async channel => {
+		const target = channel.type === 'email' ? (channel.to || []).join(', ') : getWebhookHost(channel.url);
+		try {
+			if (channel.type === 'webhook') {
+				await deliverWebhook(channel, alert);
+			} else if (channel.type === 'email') {
+				await deliverEmail(channel, alert);
+			} else {
+				throw new Error(`Unsupported channel type: ${channel.type}`);
+			}
+			return {type: channel.type, target, ok: true, error: null};
+		} catch (error) {
+			console.error(`Error delivering alert "${alert.rule.name}" to ${channel.type} ${target}:`, error.message);
+			return {type: channel.type, target, ok: false, error: error.message};
+		}
+	}));
+}
+
+export {normalizeChannels, buildWebhookBody, deliverAlert};
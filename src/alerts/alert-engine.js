@@ -0,0 +1,292 @@
+/**
+ * Alert engine
+ *
+ * Evaluates the enabled alert rules against telemetry_events on a fixed interval and
+ * delivers triggered alerts through their channels (see alert-channels.js).
+ * A rule that fired is not delivered again until its cooldown has elapsed.
+ *
+ * Rule types:
+ * - error_rate: tool_error rate of a tool (or any tool) above a threshold over a window
+ * - org_silence: no events from an org for a number of hours
+ * - new_error_fingerprint: error groups created (or reopened) since the rule last fired
+ */
+
+import * as db from '../storage/database.js';
+import {normalizeChannels, deliverAlert} from './alert-channels.js';
+
+const EVALUATION_INTERVAL_MS = Number.parseInt(process.env.ALERT_EVALUATION_INTERVAL_MS, 10) || 60_000;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+const MAX_ALERT_LINES = 20;
+
+let timer = null;
+let started = false;
+let evaluating = false;
+
+function clampInteger(value, min, max, fallback) {
+	const parsed = Number.parseInt(value, 10);
+	if (!Number.isFinite(parsed)) {
+		return fallback;
+	}
+	return Math.min(Math.max(parsed, min), max);
+}
+
+function optionalString(value) {
+	return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+}
+
+const RULE_TYPES = {
+	error_rate: {
+		label: 'Tool error rate',
+		validate(params = {}) {
+			const errors = [];
+			const thresholdPercent = Number(params.thresholdPercent);
+			if (!Number.isFinite(thresholdPercent) || thresholdPercent <= 0 || thresholdPercent > 100) {
+				errors.push('thresholdPercent must be a number between 0 and 100');
+			}
+			return {
+				params: {
+					tool: optionalString(params.tool),
+					thresholdPercent,
+					windowMinutes: clampInteger(params.windowMinutes, 1, 24 * 60, 15),
+					minCalls: clampInteger(params.minCalls, 1, 1_000_000, 10)
+				},
+				errors
+			};
+		},
+		async evaluate(rule) {
+			const {tool, thresholdPercent, windowMinutes, minCalls} = rule.params;
+			const counts = await db.getToolErrorCounts({tool, windowMinutes});
+			const offending = counts
+				.filter(count => count.calls >= minCalls && (count.errors / count.calls) * 100 > thresholdPercent)
+				.sort((a, b) => (b.errors / b.calls) - (a.errors / a.calls));
+			if (offending.length === 0) {
+				return {triggered: false};
+			}
+			const scope = tool ? `tool ${tool}` : `${offending.length} tool${offending.length === 1 ? '' : 's'}`;
+			return {
+				triggered: true,
+				summary: `tool_error rate above ${thresholdPercent}% over the last ${windowMinutes} minutes for ${scope}`,
+				lines: offending.map(count => `${count.tool}: ${count.errors} of ${count.calls} calls failed (${((count.errors / count.calls) * 100).toFixed(1)}%)`),
+				details: {tools: offending}
+			};
+		}
+	},
+	org_silence: {
+		label: 'No events from org',
+		validate(params = {}) {
+			const orgId = optionalString(params.orgId);
+			return {
+				params: {
+					orgId,
+					hours: clampInteger(params.hours, 1, 30 * 24, 24)
+				},
+				errors: orgId ? [] : ['orgId is required']
+			};
+		},
+		async evaluate(rule) {
+			const {orgId, hours} = rule.params;
+			const lastEventAt = await db.getOrgLastEventAt(orgId);
+			if (lastEventAt && Date.now() - lastEventAt.getTime() < hours * 60 * 60 * 1000) {
+				return {triggered: false};
+			}
+			return {
+				triggered: true,
+				summary: `No events from org ${orgId} in the last ${hours} hours`,
+				lines: [lastEventAt ? `Last event received ${lastEventAt.toISOString()}` : 'No events have ever been received from this org'],
+				details: {orgId, lastEventAt: lastEventAt ? lastEventAt.toISOString() : null}
+			};
+		}
+	},
+	new_error_fingerprint: {
+		label: 'New error fingerprint',
+		validate(params = {}) {
+			return {
+				params: {
+					tool: optionalString(params.tool),
+					includeReopened: params.includeReopened !== false
+				},
+				errors: []
+			};
+		},
+		async evaluate(rule) {
+			const {tool, includeReopened} = rule.params;
+			// Groups that appeared while the rule was in cooldown are reported once it can fire again
+			const since = rule.lastTriggeredAt || rule.createdAt;
+			const groups = (await db.getErrorGroupsChangedSince(since))
+				.filter(group => (!tool || group.toolName === tool) && (group.isNew || includeReopened));
+			if (groups.length === 0) {
+				return {triggered: false};
+			}
+			const newCount = groups.filter(group => group.isNew).length;
+			const reopenedCount = groups.length - newCount;
+			const parts = [];
+			if (newCount > 0) {
+				parts.push(`${newCount} new error fingerprint${newCount === 1 ? '' : 's'}`);
+			}
+			if (reopenedCount > 0) {
+				parts.push(`${reopenedCount} reopened`);
+			}
+			return {
+				triggered: true,
+				summary: `${parts.join(', ')}${tool ? ` for tool ${tool}` : ''}`,
+				lines: groups.map(group => `${group.isNew ? 'New' : 'Reopened'} · ${group.toolName || 'unknown tool'}: ${group.normalizedMessage} (${group.count} events, version ${group.lastVersion || 'unknown'})`),
+				details: {groups: groups.map(group => ({id: group.id, fingerprint: group.fingerprint, toolName: group.toolName, message: group.normalizedMessage, isNew: group.isNew}))}
+			};
+		}
+	}
+};
+
+/**
+ * Validate an alert rule from an API request
+ * @param {object} input - Raw rule (name, type, params, channels, cooldownMinutes, enabled)
+ * @returns {{rule: object, errors: Array<string>}} Normalized rule and validation errors
+ */
+function validateAlertRule(input = {}) {
+	const errors = [];
+	const name = optionalString(input.name);
+	if (!name) {
+		errors.push('name is required');
+	}
+
+	const ruleType = RULE_TYPES[input.type];
+	if (!ruleType) {
+		errors.push(`type must be one of: ${Object.keys(RULE_TYPES).join(', ')}`);
+	}
+	const paramsResult = ruleType ? ruleType.validate(input.params || {}) : {params: {}, errors: []};
+	const channelsResult = normalizeChannels(input.channels);
+
+	return {
+		rule: {
+			name,
+			type: input.type,
+			params: paramsResult.params,
+			channels: channelsResult.channels,
+			cooldownMinutes: clampInteger(input.cooldownMinutes, 0, MAX_COOLDOWN_MINUTES, 60),
+			enabled: input.enabled !== false
+		},
+		errors: [...errors, ...paramsResult.errors, ...channelsResult.errors]
+	};
+}
+
+/**
+ * Get the supported rule types for the UI
+ * @returns {Array<{type: string, label: string}>}
+ */
+function getRuleTypes() {
+	return Object.entries(RULE_TYPES).map(([type, {label}]) => ({type, label}));
+}
+
+function buildAlert(rule, result, isTest = false) {
+	let lines = result.lines || [];
+	if (lines.length > MAX_ALERT_LINES) {
+		lines = [...lines.slice(0, MAX_ALERT_LINES), `… and ${lines.length - MAX_ALERT_LINES} more`];
+	}
+	return {
+		rule,
+		summary: result.summary,
+		lines,
+		details: result.details || null,
+		triggeredAt: new Date().toISOString(),
+		isTest
+	};
+}
+
+/**
+ * Evaluate one rule and deliver it if it fired outside its cooldown
+ * @param {object} rule - Alert rule
+ * @returns {Promise<boolean>} True if an alert was delivered
+ */
+async function evaluateRule(rule) {
+	const ruleType = RULE_TYPES[rule.type];
+	if (!ruleType) {
+		console.warn(`Skipping alert rule ${rule.id} with unknown type ${rule.type}`);
+		return false;
+	}
+
+	const result = await ruleType.evaluate(rule);
+	const claimed = await db.markAlertRuleEvaluated(rule.id, result.triggered);
+	if (!claimed) {
+		return false;
+	}
+
+	const alert = buildAlert(rule, result);
+	const deliveries = await deliverAlert(alert);
+	await db.storeAlertHistory({rule, summary: alert.summary, details: {lines: alert.lines, ...alert.details}, deliveries});
+	return true;
+}
+
+/**
+ * Evaluate every enabled rule once
+ * @returns {Promise<number>} Number of alerts delivered
+ */
+async function runAlertChecks() {
+	if (evaluating) {
+		return 0;
+	}
+	evaluating = true;
+
+	let delivered = 0;
+	try {
+		const rules = await db.getAlertRules({enabledOnly: true});
+		for (const rule of rules) {
+			try {
+				if (await evaluateRule(rule)) {
+					delivered++;
+				}
+			} catch (error) {
+				console.error(`Error evaluating alert rule ${rule.id} (${rule.name}):`, error);
+			}
+		}
+	} catch (error) {
+		console.error('Error running alert checks:', error);
+	} finally {
+		evaluating = false;
+	}
+	return delivered;
+}
+
+/**
+ * Send a test notification for a rule through its channels (ignores the cooldown)
+ * @param {object} rule - Alert rule
+ * @returns {Promise<Array<object>>} Delivery result per channel
+ */
+async function sendTestAlert(rule) {
+	const alert = buildAlert(rule, {
+		summary: `Test notification for ${RULE_TYPES[rule.type]?.label || rule.type} rule "${rule.name}"`,
+		lines: ['This is a test. The rule condition was not evaluated.']
+	}, true);
+	const deliveries = await deliverAlert(alert);
+	await db.storeAlertHistory({rule, summary: alert.summary, details: {lines: alert.lines}, deliveries, isTest: true});
+	return deliveries;
+}
+
+function scheduleNextRun(delayMs) {
+	if (!started) {
+		return;
+	}
+	clearTimeout(timer);
+	timer = setTimeout(async () => {
+		await runAlertChecks();
+		scheduleNextRun(EVALUATION_INTERVAL_MS);
+	}, delayMs);
+	timer.unref?.();
+}
+
+/**
+ * Start evaluating alert rules on an interval (ALERT_EVALUATION_INTERVAL_MS, default 60s)
+ */
+function start() {
+	started = true;
+	scheduleNextRun(EVALUATION_INTERVAL_MS);
+}
+
+/**
+ * Stop evaluating alert rules
+ */
+function stop() {
+	started = false;
+	clearTimeout(timer);
+	timer = null;
+}
+
+export {validateAlertRule, getRuleTypes, runAlertChecks, sendTestAlert, start, stop};
@@ -0,0 +1,119 @@
+/**
+ * Ingestion API keys
+ *
+ * Authenticates POST /telemetry requests with per-server keys issued by administrators.
+ * Keys are sent in the X-API-Key header and are scoped to server_ids and/or orgs.
+ */
+
+import {Cache} from '../utils/performance.js';
+
+const API_KEY_HEADER = 'x-api-key';
+const INGESTION_AUTH_MODE_SETTING = 'ingestion_api_key_mode';
+const INGESTION_AUTH_MODES = ['off', 'discard', 'reject'];
+const DEFAULT_INGESTION_AUTH_MODE = 'off';
+
+// Settings are read on every ingestion request, keep them in memory for a short while
+const modeCache = new Cache(30000);
+
+// Database module (will be initialized later)
+let db = null;
+
+/**
+ * Initialize API keys module with database
+ * @param {object} databaseModule - Database module instance
+ */
+function init(databaseModule) {
+	db = databaseModule;
+}
+
+/**
+ * Get how /telemetry treats requests with a missing, unknown or revoked key
+ * - off: keys are optional (recorded when valid)
+ * - discard: events are stored through the discarded-event path
+ * - reject: events are rejected
+ * @returns {Promise<string>} - One of INGESTION_AUTH_MODES
+ */
+async function getIngestionAuthMode() {
+	const cached = modeCache.get(INGESTION_AUTH_MODE_SETTING);
+	if (cached) {
+		return cached;
+	}
+
+	const value = db ? await db.getSetting(INGESTION_AUTH_MODE_SETTING) : null;
+	const mode = INGESTION_AUTH_MODES.includes(value) ? value : DEFAULT_INGESTION_AUTH_MODE;
+	modeCache.set(INGESTION_AUTH_MODE_SETTING, mode);
+	return mode;
+}
+
+/**
+ * Persist the ingestion auth mode
+ * @param {string} mode - One of INGESTION_AUTH_MODES
+ */
+async function setIngestionAuthMode(mode) {
+	if (!INGESTION_AUTH_MODES.includes(mode)) {
+		throw new Error(`Invalid ingestion auth mode: ${mode}`);
+	}
+	await db.saveSetting(INGESTION_AUTH_MODE_SETTING, mode);
+	modeCache.clear();
+}
+
+/**
+ * Resolve the ingestion API key sent with a request
+ * @param {import('express').Request} req - Express request
+ * @returns {Promise<{apiKey: object|null, reason: string|null}>} - Active key, or the reason it could not be used
+ */
+async function authenticateIngestionRequest(req) {
+	const headerValue = req.headers[API_KEY_HEADER];
+	const key = typeof headerValue === 'string' ? headerValue.trim() : '';
+
+	if (!key) {
+		return {apiKey: null, reason: 'missing_api_key'};
+	}
+
+	const apiKey = await db.findIngestionApiKey(key);
+	if (!apiKey) {
+		return {apiKey: null, reason: 'invalid_api_key'};
+	}
+	if (apiKey.revoked_at) {
+		return {apiKey: null, reason: 'revoked_api_key'};
+	}
+
+	// Don't await to avoid blocking ingestion
+	db.touchIngestionApiKey(apiKey.id).catch(err => {
+		console.error('Error updating ingestion API key usage:', err);
+	});
+
+	return {apiKey, reason: null};
+}
+
+/**
+ * Check whether a key is allowed to send a given event
+ * A key without any server_id or org scope may send events for any server.
+ * @param {object} apiKey - Key record returned by authenticateIngestionRequest
+ * @param {import('../storage/telemetry-event.js').TelemetryEvent} telemetryEvent - Parsed event
+ * @returns {boolean}
+ */
+function isEventInKeyScope(apiKey, telemetryEvent) {
+	const serverIds = apiKey.server_ids || [];
+	const orgIds = apiKey.org_ids || [];
+
+	if (serverIds.length === 0 && orgIds.length === 0) {
+		return true;
+	}
+
+	const serverId = telemetryEvent.getServerId();
+	if (serverId && serverIds.includes(serverId)) {
+		return true;
+	}
+
+	return Boolean(telemetryEvent.orgId && orgIds.includes(telemetryEvent.orgId));
+}
+
+export {
+	init,
+	getIngestionAuthMode,
+	setIngestionAuthMode,
+	authenticateIngestionRequest,
+	isEventInKeyScope,
+	INGESTION_AUTH_MODES
+};
@@ -0,0 +1,186 @@
+/**
+ * Audit log of administrative actions
+ *
+ * Every successful POST, PUT, PATCH or DELETE on an /api route is recorded once the response is
+ * sent: who made it (user, role, session or API token, IP), the route (action), what it touched
+ * (target type and id) and the request parameters, with secrets redacted.
+ *
+ * Routes that change existing records add the values before and after the change with
+ * setAuditContext(), and only the fields that changed are stored. Failed requests (status 400 and
+ * above) change nothing and are not recorded. Only the god role can read the log.
+ */
+
+const AUDITED_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+// POST routes that only read (dry runs)
+const UNAUDITED_ROUTES = new Set(['/api/retention-policies/preview']);
+// Request fields never written to the log
+const REDACTED_FIELD_PATTERN = /password|secret|token|code|key/i;
+// Larger request bodies (database imports) are stored as their list of fields only
+const MAX_DETAILS_LENGTH = 4000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Database module (will be initialized later)
+let db = null;
+
+/**
+ * Initialize audit log module with database
+ * @param {object} databaseModule - Database module instance
+ */
+function init(databaseModule) {
+	db = databaseModule;
+}
+
+function redact(value) {
+	if (Array.isArray(value)) {
+		return value.map(redact);
+	}
+	if (!value || typeof value !== 'object') {
+		return value;
+	}
+	return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [
+		field,
+		REDACTED_FIELD_PATTERN.test(field) ? '[redacted]' : redact(fieldValue)
+	]));
+}
+
+function summarizeBody(body) {
+	if (!body || typeof body !== 'object' || Object.keys(body).length === 0) {
+		return null;
+	}
+	const redacted = redact(body);
+	return JSON.stringify(redacted).length > MAX_DETAILS_LENGTH ? {truncated: true, fields: Object.keys(body)} : redacted;
+}
+
+/**
+ * Keep only the fields that differ between two snapshots of a record
+ * A missing snapshot (record created or deleted) keeps the other one whole.
+ * @param {object|null} before - Record before the change
+ * @param {object|null} after - Record after the change
+ * @returns {{before: object|null, after: object|null}}
+ */
+function diffSnapshots(before, after) {
+	if (!before || !after) {
+		return {before: before ?? null, after: after ?? null};
+	}
+	const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+		.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+	return {
+		before: Object.fromEntries(changed.map(field => [field, before[field] ?? null])),
+		after: Object.fromEntries(changed.map(field => [field, after[field] ?? null]))
+	};
+}
+
+/**
+ * Describe the change a route made, for its audit log entry
+ * Calls add up: later values replace earlier ones.
+ * @param {object} req - Express request
+ * @param {object} context - targetType, targetId, before, after (record snapshots) and details
+ */
+function setAuditContext(req, context) {
+	req.auditContext = {...req.auditContext, ...context};
+}
+
+function buildEntry(req, res, requestInfo) {
+	const context = req.auditContext || {};
+	const params = {...req.params};
+	const [targetType = null] = req.path.slice('/api/'.length).split('/');
+	const targetId = context.targetId ?? Object.values(params)[0] ?? null;
+	const {before, after} = diffSnapshots(context.before, context.after);
+
+	const details = {};
+	if (Object.keys(params).length > 0) {
+		details.params = params;
+	}
+	if (Object.keys(req.query || {}).length > 0) {
+		details.query = redact(req.query);
+	}
+	const body = summarizeBody(req.body);
+	if (body) {
+		details.body = body;
+	}
+	if (req.apiToken) {
+		details.tokenId = req.apiToken.id;
+	}
+
+	return {
+		...requestInfo,
+		action: `${req.method} ${req.route?.path ?? req.path}`,
+		targetType: context.targetType ?? targetType,
+		targetId: targetId === null ? null : String(targetId),
+		before,
+		after,
+		details: {...details, ...context.details},
+		statusCode: res.statusCode
+	};
+}
+
+/**
+ * Middleware recording successful changes made through the /api routes
+ * Registered after the session and CSRF middleware, before the routes. The entry is written when
+ * the response finishes, without delaying it.
+ */
+function auditMiddleware(req, res, next) {
+	if (!AUDITED_METHODS.has(req.method) || !req.path.startsWith('/api/') || UNAUDITED_ROUTES.has(req.path)) {
+		return next();
+	}
+
+	// Taken now: the route may change the session (e.g. a user changing their own role)
+	const requestInfo = {
+		actor: req.session?.username || null,
+		actorRole: req.session?.role || null,
+		via: req.apiToken ? 'api_token' : 'session',
+		ipAddress: req.ip || req.connection.remoteAddress || req.socket.remoteAddress || null
+	};
+
+	res.on('finish', () => {
+		if (!db || res.statusCode >= 400) {
+			return;
+		}
+		db.insertAuditLogEntry(buildEntry(req, res, requestInfo)).catch(err => {
+			console.error('Error writing audit log entry:', err);
+		});
+	});
+	next();
+}
+
+/**
+ * Validate the filters of an audit log query
+ * @param {object} query - actor, action, targetType, targetId, from, to (dates) and limit
+ * @returns {{filters: object, errors: Array<string>}}
+ */
+function validateAuditLogFilters(query = {}) {
+	const errors = [];
+	const filters = {};
+	for (const field of ['actor', 'action', 'targetType', 'targetId']) {
+		if (typeof query[field] === 'string' && query[field].trim() !== '') {
+			filters[field] = query[field].trim();
+		}
+	}
+
+	for (const field of ['from', 'to']) {
+		if (query[field]) {
+			const date = new Date(query[field]);
+			if (Number.isNaN(date.getTime())) {
+				errors.push(`${field} must be a valid date`);
+			} else {
+				filters[field] = date;
+			}
+		}
+	}
+
+	const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+	if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+		errors.push(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+	}
+	filters.limit = limit;
+
+	return {filters, errors};
+}
+
+export {
+	init,
+	setAuditContext,
+	auditMiddleware,
+	validateAuditLogFilters
+};
@@ -220,6 +220,10 @@ async function authenticate(username, password) {
 		try {
 			const user = await db.getUserByUsername(username);
 			if (user) {
+				// Single sign-on users have no local password
+				if (!user.password_hash) {
+					return {success: false};
+				}
 				const isValid = await verifyPassword(password, user.password_hash);
 				if (isValid) {
 					const role = normalizeRole(user.role);
@@ -347,5 +351,7 @@ export {
 	init,
 	requireRole,
 	normalizeRole,
+	ROLE_HIERARCHY,
+	VALID_ROLES,
 	SESSION_SECRET
 };
@@ -24,8 +24,13 @@ function csrfProtection(req, res, next) {
 		return next();
 	}
 
-	// Skip CSRF for /telemetry endpoint (external API)
-	if (req.path === '/telemetry') {
+	// Skip CSRF for /telemetry and the OTLP receiver (external APIs)
+	if (['/telemetry', '/v1/logs', '/v1/traces'].includes(req.path)) {
+		return next();
+	}
+
+	// Skip CSRF for personal API token requests (the token is not an ambient cookie)
+	if (req.apiToken) {
 		return next();
 	}
 
@@ -0,0 +1,245 @@
+/**
+ * Login throttling and temporary lockout
+ *
+ * Driven by the failed attempts recorded in user_logins, counted per username and per IP address
+ * over LOGIN_FAILURE_WINDOW_MINUTES:
+ * - From LOGIN_THROTTLE_AFTER failures on, each new attempt has to wait 1, 2, 4... seconds (at most
+ *   LOGIN_MAX_THROTTLE_SECONDS) after the previous failure.
+ * - At LOGIN_MAX_FAILURES for a username the account is locked for LOGIN_LOCKOUT_MINUTES, and at
+ *   LOGIN_IP_MAX_FAILURES from an address the address is. Every earlier lockout in the last 24 hours
+ *   doubles the duration.
+ *
+ * Usernames are counted case-insensitively, and failures are recorded lowercased. Lockouts and
+ * administrator unlocks (of a username or an IP address) are user_logins rows too, with their own
+ * event type, so they show up in the login log without counting as logins. A successful login or an
+ * unlock resets the count of a username, and an IP unlock the count of an address.
+ */
+
+const DEFAULT_SETTINGS = {
+	throttleAfter: 3,
+	ipThrottleAfter: 10,
+	maxFailures: 5,
+	ipMaxFailures: 30,
+	failureWindowMinutes: 15,
+	lockoutMinutes: 15,
+	maxThrottleSeconds: 30
+};
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+function readSetting(name, fallback) {
+	const value = Number.parseInt(process.env[name], 10);
+	return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+const settings = {
+	throttleAfter: readSetting('LOGIN_THROTTLE_AFTER', DEFAULT_SETTINGS.throttleAfter),
+	ipThrottleAfter: readSetting('LOGIN_IP_THROTTLE_AFTER', DEFAULT_SETTINGS.ipThrottleAfter),
+	maxFailures: readSetting('LOGIN_MAX_FAILURES', DEFAULT_SETTINGS.maxFailures),
+	ipMaxFailures: readSetting('LOGIN_IP_MAX_FAILURES', DEFAULT_SETTINGS.ipMaxFailures),
+	failureWindowMinutes: readSetting('LOGIN_FAILURE_WINDOW_MINUTES', DEFAULT_SETTINGS.failureWindowMinutes),
+	lockoutMinutes: readSetting('LOGIN_LOCKOUT_MINUTES', DEFAULT_SETTINGS.lockoutMinutes),
+	maxThrottleSeconds: readSetting('LOGIN_MAX_THROTTLE_SECONDS', DEFAULT_SETTINGS.maxThrottleSeconds)
+};
+
+// Database module (will be initialized later)
+let db = null;
+
+/**
+ * Initialize login throttle module with database
+ * @param {object} databaseModule - Database module instance
+ */
+function init(databaseModule) {
+	db = databaseModule;
+}
+
+function normalizeUsername(username) {
+	return String(username ?? '').toLowerCase();
+}
+
+function secondsUntil(date, now) {
+	return Math.max(1, Math.ceil((new Date(date).getTime() - now) / 1000));
+}
+
+/**
+ * Seconds an attempt has to wait after the last failure
+ * @param {number} failures - Failures counted so far
+ * @param {number} throttleAfter - Failures allowed without delay
+ * @returns {number}
+ */
+function getThrottleDelaySeconds(failures, throttleAfter) {
+	if (failures < throttleAfter) {
+		return 0;
+	}
+	return Math.min(2 ** (failures - throttleAfter), settings.maxThrottleSeconds);
+}
+
+/**
+ * Lockout duration, doubled for every earlier lockout in the last 24 hours
+ * @param {number} recentLockouts - Lockouts in the last 24 hours
+ * @returns {number} Minutes
+ */
+function getLockoutMinutes(recentLockouts) {
+	return Math.min(settings.lockoutMinutes * (2 ** recentLockouts), MAX_LOCKOUT_MINUTES);
+}
+
+function formatWait(seconds) {
+	if (seconds < 60) {
+		return `${seconds} second${seconds === 1 ? '' : 's'}`;
+	}
+	const minutes = Math.ceil(seconds / 60);
+	return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Check whether a login attempt may go ahead
+ * Fails open: if the login log can't be read, the attempt is allowed.
+ * @param {string} username - Username of the attempt
+ * @param {string|null} ipAddress - IP address of the attempt
+ * @returns {Promise<{allowed: boolean, reason?: string, retryAfterSeconds?: number, message?: string}>}
+ * reason is 'locked' (account or address locked out) or 'throttled' (too soon after the last failure)
+ */
+async function checkLoginAllowed(username, ipAddress) {
+	if (!db) {
+		return {allowed: true};
+	}
+
+	let state;
+	try {
+		state = await db.getLoginThrottleState(username, ipAddress, settings.failureWindowMinutes);
+	} catch (error) {
+		console.error('Error reading login throttle state:', error);
+		return {allowed: true};
+	}
+
+	const now = Date.now();
+	const lockedUntil = [state.userLockedUntil, state.ipLockedUntil]
+		.filter(date => date && new Date(date).getTime() > now)
+		.sort((a, b) => new Date(b) - new Date(a))[0];
+	if (lockedUntil) {
+		const retryAfterSeconds = secondsUntil(lockedUntil, now);
+		return {
+			allowed: false,
+			reason: 'locked',
+			retryAfterSeconds,
+			message: `Too many failed login attempts. Try again in ${formatWait(retryAfterSeconds)}.`
+		};
+	}
+
+	const waits = [
+		{failures: state.userFailures, lastFailure: state.userLastFailure, throttleAfter: settings.throttleAfter},
+		{failures: state.ipFailures, lastFailure: state.ipLastFailure, throttleAfter: settings.ipThrottleAfter}
+	].map(({failures, lastFailure, throttleAfter}) => {
+		const delaySeconds = getThrottleDelaySeconds(failures, throttleAfter);
+		if (!delaySeconds || !lastFailure) {
+			return 0;
+		}
+		const allowedAt = new Date(lastFailure).getTime() + (delaySeconds * 1000);
+		return allowedAt > now ? secondsUntil(allowedAt, now) : 0;
+	});
+	const retryAfterSeconds = Math.max(...waits);
+	if (retryAfterSeconds > 0) {
+		return {
+			allowed: false,
+			reason: 'throttled',
+			retryAfterSeconds,
+			message: `Too many failed login attempts. Wait ${formatWait(retryAfterSeconds)} before trying again.`
+		};
+	}
+
+	return {allowed: true};
+}
+
+/**
+ * Record a failed login attempt, locking the username or the IP address when it reaches its limit
+ * @param {string} username - Username of the attempt
+ * @param {string|null} ipAddress - IP address of the attempt
+ * @param {string|null} userAgent - User agent of the attempt
+ * @param {string} errorMessage - Reason the attempt failed
+ * @returns {Promise<{locked: boolean, retryAfterSeconds?: number, message?: string}>}
+ */
+async function recordLoginFailure(username, ipAddress, userAgent, errorMessage) {
+	if (!db) {
+		return {locked: false};
+	}
+
+	try {
+		username = normalizeUsername(username);
+		await db.logUserLoginAttempt(username, ipAddress, userAgent, errorMessage);
+		const state = await db.getLoginThrottleState(username, ipAddress, settings.failureWindowMinutes);
+
+		const lockouts = [];
+		if (state.userFailures >= settings.maxFailures) {
+			lockouts.push({
+				event: 'lockout',
+				minutes: getLockoutMinutes(state.userRecentLockouts),
+				message: `Account locked after ${state.userFailures} failed attempts`
+			});
+		}
+		if (ipAddress && state.ipFailures >= settings.ipMaxFailures) {
+			lockouts.push({
+				event: 'ip_lockout',
+				minutes: getLockoutMinutes(state.ipRecentLockouts),
+				message: `IP address locked after ${state.ipFailures} failed attempts`
+			});
+		}
+		if (lockouts.length === 0) {
+			return {locked: false};
+		}
+
+		await Promise.all(lockouts.map(lockout => db.logUserLoginEvent({
+			event: lockout.event,
+			username,
+			ipAddress,
+			userAgent,
+			lockedUntil: new Date(Date.now() + (lockout.minutes * 60 * 1000)),
+			message: lockout.message
+		})));
+		const retryAfterSeconds = Math.max(...lockouts.map(lockout => lockout.minutes * 60));
+		return {
+			locked: true,
+			retryAfterSeconds,
+			message: `Too many failed login attempts. Try again in ${formatWait(retryAfterSeconds)}.`
+		};
+	} catch (error) {
+		// Don't fail login if logging fails
+		console.error('Error recording failed login attempt:', error);
+		return {locked: false};
+	}
+}
+
+/**
+ * Lift the lockout of a username and reset its failure count
+ * @param {string} username - Username to unlock
+ * @param {string} unlockedBy - Administrator that unlocked it
+ * @returns {Promise<void>}
+ */
+async function unlockAccount(username, unlockedBy) {
+	await db.logUserLoginEvent({
+		event: 'unlock',
+		username: normalizeUsername(username),
+		message: `Unlocked by ${unlockedBy}`
+	});
+}
+
+/**
+ * Lift the lockout of an IP address and reset its failure count
+ * @param {string} ipAddress - IP address to unlock
+ * @param {string} unlockedBy - Administrator that unlocked it
+ * @returns {Promise<void>}
+ */
+async function unlockIpAddress(ipAddress, unlockedBy) {
+	await db.logUserLoginEvent({
+		event: 'ip_unlock',
+		username: unlockedBy,
+		ipAddress,
+		message: `Unlocked by ${unlockedBy}`
+	});
+}
+
+export {
+	init,
+	checkLoginAllowed,
+	recordLoginFailure,
+	unlockAccount,
+	unlockIpAddress
+};
@@ -0,0 +1,409 @@
+/**
+ * OpenID Connect single sign-on
+ *
+ * Authorization code flow with PKCE against the identity provider at OIDC_ISSUER_URL:
+ * 1. GET /auth/oidc/login stores a state, a nonce and a PKCE verifier in the session and redirects
+ *    to the authorization endpoint of the provider.
+ * 2. GET /auth/oidc/callback exchanges the code for tokens, verifies the signature and the claims of
+ *    the ID token against the provider's JWKS, and maps the claims to a dashboard user.
+ *
+ * Users are provisioned just in time on their first login (see db.provisionSsoUser). Their role comes
+ * from the groups claim through OIDC_ROLE_MAPPING ('idp-group=role,...'); the highest mapped role wins.
+ * SAML identity providers can be used through an OIDC broker such as Keycloak or Dex.
+ */
+
+import crypto from 'node:crypto';
+import {VALID_ROLES, normalizeRole} from './auth.js';
+import {Cache} from '../utils/performance.js';
+
+const OIDC_ISSUER_URL = (process.env.OIDC_ISSUER_URL || '').replace(/\/+$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || '';
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || '';
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || '';
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid profile email groups';
+const OIDC_USERNAME_CLAIM = process.env.OIDC_USERNAME_CLAIM || 'preferred_username';
+const OIDC_GROUPS_CLAIM = process.env.OIDC_GROUPS_CLAIM || 'groups';
+const OIDC_DEFAULT_ROLE = (process.env.OIDC_DEFAULT_ROLE || 'basic').trim().toLowerCase();
+const OIDC_LINK_LOCAL_USERS = process.env.OIDC_LINK_LOCAL_USERS === 'true';
+const OIDC_BUTTON_LABEL = process.env.OIDC_BUTTON_LABEL || 'Sign in with SSO';
+
+const CALLBACK_PATH = '/auth/oidc/callback';
+const REQUEST_TIMEOUT_MS = 10000;
+// Accepted difference between our clock and the provider's when checking exp
+const CLOCK_SKEW_SECONDS = 60;
+const SIGNATURE_ALGORITHMS = {
+	RS256: {hash: 'sha256', kty: 'RSA'},
+	RS384: {hash: 'sha384', kty: 'RSA'},
+	RS512: {hash: 'sha512', kty: 'RSA'},
+	PS256: {hash: 'sha256', kty: 'RSA', pss: true},
+	PS384: {hash: 'sha384', kty: 'RSA', pss: true},
+	PS512: {hash: 'sha512', kty: 'RSA', pss: true},
+	ES256: {hash: 'sha256', kty: 'EC'},
+	ES384: {hash: 'sha384', kty: 'EC'},
+	ES512: {hash: 'sha512', kty: 'EC'}
+};
+
+// Discovery document and signing keys of the provider
+const providerCache = new Cache(60 * 60 * 1000);
+
+/**
+ * Error shown to the user as a login error code
+ * code is 'sso_failed' (the provider or the response is not valid) or 'sso_denied' (no role for the user)
+ */
+class OidcError extends Error {
+	constructor(message, code = 'sso_failed') {
+		super(message);
+		this.name = 'OidcError';
+		this.code = code;
+	}
+}
+
+/**
+ * Parse OIDC_ROLE_MAPPING ('group=role,group=role')
+ * @param {string} value - Mapping from the environment
+ * @returns {Map<string, string>} IdP group to dashboard role
+ */
+function parseRoleMapping(value) {
+	const mapping = new Map();
+	for (const entry of (value || '').split(',')) {
+		const separator = entry.lastIndexOf('=');
+		if (separator === -1) {
+			continue;
+		}
+		const group = entry.slice(0, separator).trim();
+		const role = entry.slice(separator + 1).trim().toLowerCase();
+		if (!group || !VALID_ROLES.includes(role)) {
+			console.warn(`Ignoring OIDC_ROLE_MAPPING entry "${entry.trim()}": expected group=${VALID_ROLES.join('|')}`);
+			continue;
+		}
+		mapping.set(group, role);
+	}
+	return mapping;
+}
+
+const roleMapping = parseRoleMapping(process.env.OIDC_ROLE_MAPPING);
+
+/**
+ * Check whether OpenID Connect login is configured
+ * @returns {boolean}
+ */
+function isEnabled() {
+	return Boolean(OIDC_ISSUER_URL && OIDC_CLIENT_ID);
+}
+
+/**
+ * Login option shown on the login page
+ * @returns {{enabled: boolean, label?: string}}
+ */
+function getLoginOption() {
+	return isEnabled() ? {enabled: true, label: OIDC_BUTTON_LABEL} : {enabled: false};
+}
+
+/**
+ * Whether roles are managed in the identity provider
+ * When OIDC_ROLE_MAPPING is empty, SSO users get OIDC_DEFAULT_ROLE once and administrators manage
+ * their role in the dashboard afterwards.
+ * @returns {boolean}
+ */
+function hasRoleMapping() {
+	return roleMapping.size > 0;
+}
+
+function base64UrlEncode(buffer) {
+	return buffer.toString('base64url');
+}
+
+function decodeJsonSegment(segment) {
+	try {
+		return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+	} catch {
+		throw new OidcError('Malformed ID token');
+	}
+}
+
+async function fetchJson(url, options = {}) {
+	let response;
+	try {
+		response = await fetch(url, {...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)});
+	} catch (error) {
+		throw new OidcError(`Identity provider request to ${url} failed: ${error.message}`);
+	}
+	const body = await response.json().catch(() => null);
+	if (!response.ok) {
+		const detail = body?.error_description || body?.error || response.statusText;
+		throw new OidcError(`Identity provider responded ${response.status} for ${url}: ${detail}`);
+	}
+	if (!body || typeof body !== 'object') {
+		throw new OidcError(`Identity provider returned an invalid response for ${url}`);
+	}
+	return body;
+}
+
+/**
+ * Get the discovery document of the provider
+ * @returns {Promise<object>}
+ */
+async function getProviderMetadata() {
+	const cached = providerCache.get('metadata');
+	if (cached) {
+		return cached;
+	}
+	const metadata = await fetchJson(`${OIDC_ISSUER_URL}/.well-known/openid-configuration`);
+	if ((metadata.issuer || '').replace(/\/+$/, '') !== OIDC_ISSUER_URL) {
+		throw new OidcError(`Discovery document issuer ${metadata.issuer} does not match OIDC_ISSUER_URL`);
+	}
+	if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+		throw new OidcError('Discovery document is missing the authorization, token or JWKS endpoint');
+	}
+	providerCache.set('metadata', metadata);
+	return metadata;
+}
+
+/**
+ * Find the signing key of an ID token, fetching the JWKS again once if the key is unknown (rotation)
+ * @param {object} header - Decoded JWT header
+ * @returns {Promise<object>} JWK
+ */
+async function getSigningKey(header) {
+	const {kty} = SIGNATURE_ALGORITHMS[header.alg];
+	const findKey = keys => keys.find(key => key.kty === kty && (!header.kid || key.kid === header.kid) && (!key.use || key.use === 'sig'));
+
+	let keys = providerCache.get('jwks');
+	let key = keys ? findKey(keys) : null;
+	if (!key) {
+		const metadata = await getProviderMetadata();
+		const jwks = await fetchJson(metadata.jwks_uri);
+		keys = Array.isArray(jwks.keys) ? jwks.keys : [];
+		providerCache.set('jwks', keys);
+		key = findKey(keys);
+	}
+	if (!key) {
+		throw new OidcError(`No signing key found for ID token (kid ${header.kid || 'none'})`);
+	}
+	return key;
+}
+
+/**
+ * Verify the signature and the claims of an ID token
+ * @param {string} idToken - Compact JWT
+ * @param {string} nonce - Nonce sent in the authorization request
+ * @returns {Promise<object>} Claims
+ */
+async function verifyIdToken(idToken, nonce) {
+	const parts = typeof idToken === 'string' ? idToken.split('.') : [];
+	if (parts.length !== 3) {
+		throw new OidcError('Malformed ID token');
+	}
+	const [headerSegment, payloadSegment, signatureSegment] = parts;
+	const header = decodeJsonSegment(headerSegment);
+	const claims = decodeJsonSegment(payloadSegment);
+
+	const algorithm = Object.hasOwn(SIGNATURE_ALGORITHMS, header.alg) ? SIGNATURE_ALGORITHMS[header.alg] : null;
+	if (!algorithm) {
+		throw new OidcError(`Unsupported ID token algorithm ${header.alg}`);
+	}
+	const jwk = await getSigningKey(header);
+	const key = {key: crypto.createPublicKey({key: jwk, format: 'jwk'})};
+	if (algorithm.pss) {
+		key.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+		key.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+	}
+	if (algorithm.kty === 'EC') {
+		key.dsaEncoding = 'ieee-p1363';
+	}
+	const signedData = Buffer.from(`${headerSegment}.${payloadSegment}`);
+	if (!crypto.verify(algorithm.hash, signedData, key, Buffer.from(signatureSegment, 'base64url'))) {
+		throw new OidcError('Invalid ID token signature');
+	}
+
+	const metadata = await getProviderMetadata();
+	const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+	const now = Math.floor(Date.now() / 1000);
+	if (claims.iss !== metadata.issuer) {
+		throw new OidcError(`Unexpected ID token issuer ${claims.iss}`);
+	}
+	if (!audiences.includes(OIDC_CLIENT_ID) || (claims.azp && claims.azp !== OIDC_CLIENT_ID)) {
+		throw new OidcError('ID token was not issued for this client');
+	}
+	if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+		throw new OidcError('ID token has expired');
+	}
+	if (!nonce || claims.nonce !== nonce) {
+		throw new OidcError('ID token nonce does not match');
+	}
+	if (!claims.sub) {
+		throw new OidcError('ID token has no subject');
+	}
+	return claims;
+}
+
+/**
+ * Callback URL registered with the provider
+ * @param {import('express').Request} req - Request, used when OIDC_REDIRECT_URI is not set
+ * @returns {string}
+ */
+function getRedirectUri(req) {
+	return OIDC_REDIRECT_URI || `${req.protocol}://${req.get('host')}${CALLBACK_PATH}`;
+}
+
+/**
+ * Start a login: build the authorization URL and the state to keep in the session until the callback
+ * @param {string} redirectUri - Callback URL
+ * @returns {Promise<{url: string, state: object}>}
+ */
+async function createAuthorizationRequest(redirectUri) {
+	const metadata = await getProviderMetadata();
+	const state = {
+		state: base64UrlEncode(crypto.randomBytes(24)),
+		nonce: base64UrlEncode(crypto.randomBytes(24)),
+		codeVerifier: base64UrlEncode(crypto.randomBytes(32)),
+		redirectUri,
+		createdAt: Date.now()
+	};
+	const url = new URL(metadata.authorization_endpoint);
+	url.searchParams.set('response_type', 'code');
+	url.searchParams.set('client_id', OIDC_CLIENT_ID);
+	url.searchParams.set('redirect_uri', redirectUri);
+	url.searchParams.set('scope', OIDC_SCOPES);
+	url.searchParams.set('state', state.state);
+	url.searchParams.set('nonce', state.nonce);
+	url.searchParams.set('code_challenge', base64UrlEncode(crypto.createHash('sha256').update(state.codeVerifier).digest()));
+	url.searchParams.set('code_challenge_method', 'S256');
+	return {url: url.toString(), state};
+}
+
+/**
+ * Exchange an authorization code for tokens
+ * The client authenticates with client_secret_basic unless the provider only supports
+ * client_secret_post; without OIDC_CLIENT_SECRET it is a public client (PKCE only).
+ * @param {object} metadata - Discovery document
+ * @param {string} code - Authorization code
+ * @param {object} pending - State stored by createAuthorizationRequest
+ * @returns {Promise<object>} Token response
+ */
+function exchangeCode(metadata, code, pending) {
+	const body = new URLSearchParams({
+		grant_type: 'authorization_code',
+		code,
+		redirect_uri: pending.redirectUri,
+		code_verifier: pending.codeVerifier
+	});
+	const headers = {'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json'};
+	const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+	if (OIDC_CLIENT_SECRET && authMethods.includes('client_secret_basic')) {
+		const credentials = `${encodeURIComponent(OIDC_CLIENT_ID)}:${encodeURIComponent(OIDC_CLIENT_SECRET)}`;
+		headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+	} else {
+		body.set('client_id', OIDC_CLIENT_ID);
+		if (OIDC_CLIENT_SECRET) {
+			body.set('client_secret', OIDC_CLIENT_SECRET);
+		}
+	}
+	return fetchJson(metadata.token_endpoint, {method: 'POST', headers, body});
+}
+
+/**
+ * Read a claim, following dots into nested objects (realm_access.roles)
+ * @param {object} claims - ID token or userinfo claims
+ * @param {string} path - Claim name
+ * @returns {*}
+ */
+function getClaim(claims, path) {
+	if (Object.hasOwn(claims, path)) {
+		return claims[path];
+	}
+	return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims);
+}
+
+function getGroups(claims) {
+	const value = getClaim(claims, OIDC_GROUPS_CLAIM);
+	if (Array.isArray(value)) {
+		return value.map(String);
+	}
+	return typeof value === 'string' ? value.split(/[\s,]+/).filter(Boolean) : [];
+}
+
+/**
+ * Role of a set of IdP groups: the highest mapped role, else OIDC_DEFAULT_ROLE
+ * @param {Array<string>} groups - IdP groups of the user
+ * @returns {string|null} Role, or null if the user may not sign in (OIDC_DEFAULT_ROLE=none)
+ */
+function getRoleForGroups(groups) {
+	const mapped = groups.map(group => roleMapping.get(group)).filter(Boolean);
+	if (mapped.length > 0) {
+		return VALID_ROLES.findLast(role => mapped.includes(role));
+	}
+	return OIDC_DEFAULT_ROLE === 'none' ? null : normalizeRole(OIDC_DEFAULT_ROLE);
+}
+
+/**
+ * Map verified claims to the dashboard user to provision
+ * @param {object} claims - ID token claims, merged with userinfo claims
+ * @returns {{externalSubject: string, username: string, email: string|null, name: string, groups: Array<string>, role: string}}
+ */
+function getProfileFromClaims(claims) {
+	const email = typeof claims.email === 'string' && claims.email ? claims.email.trim() : null;
+	const configuredUsername = getClaim(claims, OIDC_USERNAME_CLAIM);
+	const username = String(configuredUsername || email || claims.sub).trim();
+	const groups = getGroups(claims);
+	const role = getRoleForGroups(groups);
+	if (!role) {
+		throw new OidcError(`No dashboard role is mapped to the groups of ${username}`, 'sso_denied');
+	}
+	const name = [claims.name, [claims.given_name, claims.family_name].filter(Boolean).join(' '), username]
+		.find(value => typeof value === 'string' && value.trim()).trim();
+	return {
+		externalSubject: `${claims.iss}|${claims.sub}`,
+		username,
+		email,
+		name,
+		groups,
+		role
+	};
+}
+
+/**
+ * Complete a login from the provider's callback
+ * @param {object} query - Callback query string (code, state, or error)
+ * @param {object|undefined} pending - State stored by createAuthorizationRequest
+ * @returns {Promise<object>} Profile, see getProfileFromClaims
+ */
+async function handleCallback(query, pending) {
+	if (!pending || !query.state || query.state !== pending.state) {
+		throw new OidcError('SSO login state does not match, start the login again');
+	}
+	if (query.error) {
+		throw new OidcError(`Identity provider returned ${query.error}${query.error_description ? `: ${query.error_description}` : ''}`, query.error === 'access_denied' ? 'sso_denied' : 'sso_failed');
+	}
+	if (!query.code) {
+		throw new OidcError('Identity provider returned no authorization code');
+	}
+
+	const metadata = await getProviderMetadata();
+	const tokens = await exchangeCode(metadata, query.code, pending);
+	let claims = await verifyIdToken(tokens.id_token, pending.nonce);
+
+	// Some providers only put profile and group claims in userinfo
+	if (metadata.userinfo_endpoint && tokens.access_token && getClaim(claims, OIDC_GROUPS_CLAIM) === undefined) {
+		const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+			headers: {Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json'}
+		});
+		if (userinfo.sub !== claims.sub) {
+			throw new OidcError('Userinfo subject does not match the ID token');
+		}
+		claims = {...userinfo, ...claims, [OIDC_GROUPS_CLAIM]: getClaim(userinfo, OIDC_GROUPS_CLAIM)};
+	}
+
+	return getProfileFromClaims(claims);
+}
+
+export {
+	OidcError,
+	OIDC_LINK_LOCAL_USERS,
+	isEnabled,
+	getLoginOption,
+	hasRoleMapping,
+	getRedirectUri,
+	createAuthorizationRequest,
+	handleCallback
+};
@@ -0,0 +1,189 @@
+/**
+ * Personal API tokens
+ *
+ * Lets scripts and BI tools call the /api routes with `Authorization: Bearer <token>` instead of a
+ * cookie session. Each token belongs to a user, expires, and has scopes:
+ * - events:read  GET the event log (/api/events, /api/sessions, /api/event-types...)
+ * - stats:read   GET the dashboard statistics (/api/stats, /api/daily-stats...)
+ * - export       GET /api/export/logs
+ * - admin        Every other /api route, reads and writes
+ *
+ * A token request runs as its owner with the owner's current role, so the role checks of each route
+ * still apply and a token never does more than its owner could. Token requests skip the CSRF check:
+ * the token is sent explicitly and is never an ambient cookie.
+ */
+
+import {ROLE_HIERARCHY, normalizeRole} from './auth.js';
+
+const BEARER_PREFIX = 'Bearer ';
+const TOKEN_SCOPES = ['events:read', 'stats:read', 'export', 'admin'];
+// Lowest role that can use the routes of each scope
+const SCOPE_MIN_ROLES = {
+	'events:read': 'advanced',
+	'stats:read': 'basic',
+	export: 'advanced',
+	admin: 'administrator'
+};
+// GET routes opened by each read scope, anything else needs the admin scope
+const SCOPE_ROUTES = {
+	'events:read': [
+		/^\/api\/events(?:\/[^/]+)?$/,
+		/^\/api\/(?:sessions|event-types|event-users|error-groups)$/
+	],
+	'stats:read': [
+		/^\/api\/(?:stats|daily-stats|team-stats|tool-usage-stats|tool-performance-stats)$/,
+		/^\/api\/top-(?:users|teams)-today$/
+	],
+	export: [/^\/api\/export\/(?:logs|formats)$/]
+};
+// Account settings (tokens, two-factor) need a signed-in session
+const SESSION_ONLY_ROUTES = /^\/api\/account\//;
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+
+// Database module (will be initialized later)
+let db = null;
+
+/**
+ * Initialize personal tokens module with database
+ * @param {object} databaseModule - Database module instance
+ */
+function init(databaseModule) {
+	db = databaseModule;
+}
+
+/**
+ * Scope a request needs
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @returns {string} One of TOKEN_SCOPES
+ */
+function getRequiredScope(method, path) {
+	if (method === 'GET' || method === 'HEAD') {
+		for (const [scope, routes] of Object.entries(SCOPE_ROUTES)) {
+			if (routes.some(route => route.test(path))) {
+				return scope;
+			}
+		}
+	}
+	return 'admin';
+}
+
+/**
+ * Scopes a role can grant to its tokens
+ * @param {string} role - Role of the token owner
+ * @returns {Array<string>}
+ */
+function getScopesForRole(role) {
+	const level = ROLE_HIERARCHY[normalizeRole(role)];
+	return TOKEN_SCOPES.filter(scope => level >= ROLE_HIERARCHY[SCOPE_MIN_ROLES[scope]]);
+}
+
+/**
+ * Validate a token creation request
+ * @param {object} body - name, scopes and expiresInDays (1 to 365, default 30)
+ * @param {string} role - Role of the token owner
+ * @returns {{token: {name: string, scopes: Array<string>, expiresAt: Date}, errors: Array<string>}}
+ */
+function validateTokenRequest(body = {}, role) {
+	const errors = [];
+	const name = typeof body.name === 'string' ? body.name.trim() : '';
+	if (!name) {
+		errors.push('Token name is required');
+	}
+
+	const scopes = Array.isArray(body.scopes) ? [...new Set(body.scopes)] : [];
+	const allowedScopes = getScopesForRole(role);
+	if (scopes.length === 0) {
+		errors.push('At least one scope is required');
+	}
+	for (const scope of scopes) {
+		if (!TOKEN_SCOPES.includes(scope)) {
+			errors.push(`Unknown scope: ${scope}`);
+		} else if (!allowedScopes.includes(scope)) {
+			errors.push(`Your role can't grant the ${scope} scope`);
+		}
+	}
+
+	const expiresInDays = body.expiresInDays === undefined ? DEFAULT_EXPIRY_DAYS : Number(body.expiresInDays);
+	if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+		errors.push(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`);
+	}
+
+	return {
+		token: {
+			name,
+			scopes: TOKEN_SCOPES.filter(scope => scopes.includes(scope)),
+			expiresAt: new Date(Date.now() + (expiresInDays * 24 * 60 * 60 * 1000))
+		},
+		errors
+	};
+}
+
+function sendTokenError(res, status, message) {
+	if (status === 401) {
+		res.set('WWW-Authenticate', 'Bearer');
+	}
+	return res.status(status).json({
+		status: 'error',
+		message
+	});
+}
+
+/**
+ * Middleware resolving `Authorization: Bearer` on /api requests
+ * Runs before the session middleware: a valid token gets a request-only session (never stored, no
+ * cookie) as its owner, so requireAuth, requireRole and req.session.username work unchanged.
+ * Requests without a bearer token continue to the cookie session.
+ */
+async function authenticateBearerRequest(req, res, next) {
+	const header = req.headers.authorization;
+	if (typeof header !== 'string' || !header.startsWith(BEARER_PREFIX) || !req.path.startsWith('/api/')) {
+		return next();
+	}
+
+	try {
+		const accessToken = db ? await db.findPersonalAccessToken(header.slice(BEARER_PREFIX.length).trim()) : null;
+		if (!accessToken) {
+			return sendTokenError(res, 401, 'Invalid API token');
+		}
+		if (accessToken.revoked_at) {
+			return sendTokenError(res, 401, 'API token has been revoked');
+		}
+		if (new Date(accessToken.expires_at).getTime() <= Date.now()) {
+			return sendTokenError(res, 401, 'API token has expired');
+		}
+		if (SESSION_ONLY_ROUTES.test(req.path)) {
+			return sendTokenError(res, 403, 'Account settings are not available to API tokens');
+		}
+		const requiredScope = getRequiredScope(req.method, req.path);
+		if (!accessToken.scopes.includes(requiredScope) && !accessToken.scopes.includes('admin')) {
+			return sendTokenError(res, 403, `API token lacks the ${requiredScope} scope`);
+		}
+
+		const ipAddress = req.ip || req.connection.remoteAddress || req.socket.remoteAddress || null;
+		// Don't await to avoid slowing down the request
+		db.touchPersonalAccessToken(accessToken.id, ipAddress).catch(err => {
+			console.error('Error updating personal access token usage:', err);
+		});
+
+		req.apiToken = {id: accessToken.id, scopes: accessToken.scopes};
+		req.session = {
+			authenticated: true,
+			username: accessToken.username,
+			role: normalizeRole(accessToken.role)
+		};
+		next();
+	} catch (error) {
+		console.error('Error authenticating API token:', error);
+		sendTokenError(res, 500, 'Internal server error');
+	}
+}
+
+export {
+	init,
+	TOKEN_SCOPES,
+	getScopesForRole,
+	validateTokenRequest,
+	authenticateBearerRequest
+};
@@ -0,0 +1,280 @@
+/**
+ * TOTP two-factor authentication
+ *
+ * Users enroll an authenticator app (RFC 6238: SHA-1, 6 digits, 30 second steps) and get one-time
+ * recovery codes. Once enabled, POST /login asks for a code before the session is authenticated.
+ * Administrators can require 2FA for whole roles; users of those roles enroll during their next login.
+ *
+ * Only database users can enroll: the ADMIN_USERNAME account from the environment has no user row,
+ * so it can't log in while 2FA is required for its role (administrator).
+ */
+
+import crypto from 'node:crypto';
+import {VALID_ROLES} from './auth.js';
+import {Cache} from '../utils/performance.js';
+
+const REQUIRED_ROLES_SETTING = 'two_factor_required_roles';
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'IBM Salesforce Context Telemetry';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+// Accept the previous and next step too, for clock drift
+const TOTP_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Settings are read on every login, keep them in memory for a short while
+const settingsCache = new Cache(30000);
+
+// Database module (will be initialized later)
+let db = null;
+
+/**
+ * Initialize two-factor module with database
+ * @param {object} databaseModule - Database module instance
+ */
+function init(databaseModule) {
+	db = databaseModule;
+}
+
+function base32Encode(buffer) {
+	let bits = '';
+	for (const byte of buffer) {
+		bits += byte.toString(2).padStart(8, '0');
+	}
+	let output = '';
+	for (let i = 0; i < bits.length; i += 5) {
+		output += BASE32_ALPHABET[Number.parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+	}
+	return output;
+}
+
+function base32Decode(text) {
+	let bits = '';
+	for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+		const value = BASE32_ALPHABET.indexOf(char);
+		if (value === -1) {
+			throw new Error('Invalid base32 secret');
+		}
+		bits += value.toString(2).padStart(5, '0');
+	}
+	const bytes = [];
+	for (let i = 0; i + 8 <= bits.length; i += 8) {
+		bytes.push(Number.parseInt(bits.slice(i, i + 8), 2));
+	}
+	return Buffer.from(bytes);
+}
+
+/**
+ * HOTP value (RFC 4226) of a counter
+ * @param {Buffer} key - Shared secret
+ * @param {number} counter - Time step
+ * @returns {string} Zero-padded code
+ */
+function generateHotp(key, counter) {
+	const message = Buffer.alloc(8);
+	message.writeBigUInt64BE(BigInt(counter));
+	const hmac = crypto.createHmac('sha1', key).update(message).digest();
+	// Dynamic truncation: the low 4 bits of the last byte pick 4 bytes, without their sign bit
+	const offset = hmac.at(-1) % 16;
+	const value = hmac.readUInt32BE(offset) % (2 ** 31);
+	return String(value % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+function generateSecret() {
+	return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Build the otpauth:// URI encoded in the enrollment QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} username - Account name shown by the authenticator app
+ * @returns {string}
+ */
+function getOtpAuthUri(secret, username) {
+	const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+	const params = new URLSearchParams({
+		secret,
+		issuer: TOTP_ISSUER,
+		algorithm: 'SHA1',
+		digits: String(TOTP_DIGITS),
+		period: String(TOTP_STEP_SECONDS)
+	});
+	return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Find the time step a TOTP code belongs to
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|null} The matching time step, or null if the code is not valid now
+ */
+function findTotpStep(secret, code, now = Date.now()) {
+	const normalized = String(code || '').replace(/\s/g, '');
+	if (!/^\d{6}$/.test(normalized)) {
+		return null;
+	}
+	const key = base32Decode(secret);
+	const currentStep = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+	for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+		const step = currentStep + drift;
+		if (crypto.timingSafeEqual(Buffer.from(generateHotp(key, step)), Buffer.from(normalized))) {
+			return step;
+		}
+	}
+	return null;
+}
+
+function normalizeRecoveryCode(code) {
+	return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+function hashRecoveryCode(code) {
+	return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * Generate a new set of one-time recovery codes
+ * @returns {{codes: Array<string>, hashes: Array<string>}} Codes to show once, and the hashes to store
+ */
+function generateRecoveryCodes() {
+	const codes = Array.from({length: RECOVERY_CODE_COUNT}, () => {
+		const hex = crypto.randomBytes(5).toString('hex');
+		return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+	});
+	return {codes, hashes: codes.map(hashRecoveryCode)};
+}
+
+/**
+ * Get the roles that must use two-factor authentication
+ * @returns {Promise<Array<string>>}
+ */
+async function getRequiredRoles() {
+	const cached = settingsCache.get(REQUIRED_ROLES_SETTING);
+	if (cached) {
+		return cached;
+	}
+
+	let roles = [];
+	const value = db ? await db.getSetting(REQUIRED_ROLES_SETTING) : null;
+	if (value) {
+		try {
+			const parsed = JSON.parse(value);
+			roles = Array.isArray(parsed) ? parsed.filter(role => VALID_ROLES.includes(role)) : [];
+		} catch {
+			roles = [];
+		}
+	}
+	settingsCache.set(REQUIRED_ROLES_SETTING, roles);
+	return roles;
+}
+
+/**
+ * Persist the roles that must use two-factor authentication
+ * @param {Array<string>} roles - Subset of VALID_ROLES
+ */
+async function setRequiredRoles(roles) {
+	const invalid = roles.filter(role => !VALID_ROLES.includes(role));
+	if (invalid.length > 0) {
+		throw new Error(`Invalid roles: ${invalid.join(', ')}`);
+	}
+	const ordered = VALID_ROLES.filter(role => roles.includes(role));
+	await db.saveSetting(REQUIRED_ROLES_SETTING, JSON.stringify(ordered));
+	settingsCache.clear();
+}
+
+/**
+ * Check whether a role must use two-factor authentication
+ * @param {string} role - Normalized role
+ * @returns {Promise<boolean>}
+ */
+async function isRequiredForRole(role) {
+	const roles = await getRequiredRoles();
+	return roles.includes(role);
+}
+
+/**
+ * Second factor a user has to complete after the password
+ * @param {object|null} user - User row with totp_enabled_at (null for the environment admin)
+ * @param {string} role - Normalized role of the user
+ * @returns {Promise<'verify'|'enroll'|'unavailable'|null>} verify: enter a code, enroll: set up 2FA
+ * first, unavailable: the role requires 2FA but the user can't enroll (refuse the login), null: none
+ */
+async function getLoginStep(user, role) {
+	if (user?.totp_enabled_at) {
+		return 'verify';
+	}
+	if (!await isRequiredForRole(role)) {
+		return null;
+	}
+	return user ? 'enroll' : 'unavailable';
+}
+
+/**
+ * Verify a TOTP code or an unused recovery code of a user
+ * TOTP codes are accepted once: the step is recorded so the same code can't be replayed.
+ * @param {object} user - User row with id and totp_secret
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<{valid: boolean, method?: string}>} method is 'totp' or 'recovery_code'
+ */
+async function verifySecondFactor(user, code) {
+	if (!user || !user.totp_secret) {
+		return {valid: false};
+	}
+
+	const step = findTotpStep(user.totp_secret, code);
+	if (step !== null) {
+		const accepted = await db.updateUserTotpLastStep(user.id, step);
+		return accepted ? {valid: true, method: 'totp'} : {valid: false};
+	}
+
+	const normalized = normalizeRecoveryCode(code);
+	if (normalized.length === 10 && await db.useUserRecoveryCode(user.id, hashRecoveryCode(normalized))) {
+		return {valid: true, method: 'recovery_code'};
+	}
+	return {valid: false};
+}
+
+/**
+ * Turn on two-factor authentication with a confirmed secret
+ * Remember-me tokens of the user are revoked, so no device skips the new second factor.
+ * @param {object} user - User row with id
+ * @param {string} secret - Base32 secret the user confirmed with a code
+ * @param {number} step - Time step of the confirmation code
+ * @returns {Promise<Array<string>>} Recovery codes to show once
+ */
+async function enableTwoFactor(user, secret, step) {
+	const {codes, hashes} = generateRecoveryCodes();
+	await db.enableUserTotp(user.id, secret, step, hashes);
+	await db.revokeAllRememberTokensForUser(user.id);
+	return codes;
+}
+
+/**
+ * Replace the recovery codes of a user
+ * @param {object} user - User row with id
+ * @returns {Promise<Array<string>>} Recovery codes to show once
+ */
+async function regenerateRecoveryCodes(user) {
+	const {codes, hashes} = generateRecoveryCodes();
+	await db.replaceUserRecoveryCodes(user.id, hashes);
+	return codes;
+}
+
+export {
+	init,
+	generateSecret,
+	getOtpAuthUri,
+	findTotpStep,
+	getRequiredRoles,
+	setRequiredRoles,
+	isRequiredForRole,
+	getLoginStep,
+	verifySecondFactor,
+	enableTwoFactor,
+	regenerateRecoveryCodes
+};
@@ -12,6 +12,8 @@
 const TELEMETRY_ENDPOINT = process.env.TELEMETRY_ENDPOINT ||
   'https://ibm-salesforce-context-telemetry.onrender.com/telemetry';
 
+const TELEMETRY_API_KEY = process.env.TELEMETRY_API_KEY || null;
+
 const DEFAULT_TIMEOUT = 2000; // 2 seconds
 
 /**
@@ -50,6 +52,7 @@ async function sendTelemetry(event, data = {}, metadata = {}) {
 			method: 'POST',
 			headers: {
 				'Content-Type': 'application/json',
+				...(TELEMETRY_API_KEY ? {'X-API-Key': TELEMETRY_API_KEY} : {})
 			},
 			body: JSON.stringify(telemetryPayload),
 			signal: controller.signal
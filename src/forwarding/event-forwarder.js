@@ -0,0 +1,351 @@
+/**
+ * Event forwarder
+ *
+ * Relays stored telemetry events to the enabled forwarders (see forwarder-sinks.js).
+ * Every FORWARDER_INTERVAL_MS (5 seconds by default, sooner after new events are stored) each
+ * forwarder reads the events after its cursor, keeps the ones matching its filters
+ * (areas, event types, teams) and delivers them in batches of up to batch_size events.
+ *
+ * - A failed batch is retried FORWARDER_MAX_ATTEMPTS times with exponential backoff. If the sink is
+ *   still failing the cursor stays put and the forwarder backs off (up to 5 minutes) before trying
+ *   again, so no events are lost while a sink is down. Batches the sink rejects as invalid
+ *   (e.g. HTTP 400) are dropped and counted.
+ * - Events are read in commit order (see db.getEventsAfter), so the events of a transaction that
+ *   commits late (with lower ids) aren't skipped.
+ * - Forwarders are claimed with a lease, so with several instances each one runs on a single instance.
+ */
+
+import os from 'node:os';
+import crypto from 'node:crypto';
+import * as db from '../storage/database.js';
+import {getSinkTypes, normalizeSinkConfig, deliverToSink} from './forwarder-sinks.js';
+
+const INTERVAL_MS = Number.parseInt(process.env.FORWARDER_INTERVAL_MS, 10) || 5000;
+const MAX_ATTEMPTS = Number.parseInt(process.env.FORWARDER_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const NOTIFY_DELAY_MS = 2000;
+const MAX_BATCHES_PER_RUN = 20;
+const LEASE_SECONDS = 300;
+const EVENT_AREAS = ['tool', 'session', 'general'];
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+let timer = null;
+let started = false;
+let running = false;
+let nextRunAt = 0;
+
+// Delivery counters per forwarder id since process start (cursor and last error are persisted)
+const forwarderStats = new Map();
+
+function getForwarderStats(id) {
+	if (!forwarderStats.has(id)) {
+		forwarderStats.set(id, {
+			deliveredEvents: 0,
+			deliveredBatches: 0,
+			failedAttempts: 0,
+			retries: 0,
+			droppedEvents: 0,
+			consecutiveFailures: 0,
+			nextAttemptAt: 0,
+			lastLatencyMs: null
+		});
+	}
+	return forwarderStats.get(id);
+}
+
+function toStringArray(value) {
+	if (Array.isArray(value)) {
+		return value.map(item => String(item).trim()).filter(Boolean);
+	}
+	return typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Validate and normalize a forwarder from an API request body
+ * @param {object} body - name, type, config, areas, eventTypes, teamIds, batchSize, enabled
+ * @returns {{forwarder: object, errors: Array<string>}}
+ */
+function validateForwarder(body = {}) {
+	const errors = [];
+	const name = typeof body.name === 'string' ? body.name.trim() : '';
+	if (!name) {
+		errors.push('Forwarder name is required');
+	}
+	const {config, errors: configErrors} = normalizeSinkConfig(body.type, body.config || {});
+	errors.push(...configErrors);
+
+	const areas = [...new Set(toStringArray(body.areas))];
+	const invalidAreas = areas.filter(area => !EVENT_AREAS.includes(area));
+	if (invalidAreas.length > 0) {
+		errors.push(`Areas must be among: ${EVENT_AREAS.join(', ')}`);
+	}
+	const teamIds = [...new Set(toStringArray(body.teamIds).map(id => Number.parseInt(id, 10)))];
+	if (teamIds.some(id => !Number.isFinite(id))) {
+		errors.push('Invalid team ID');
+	}
+	const batchSize = body.batchSize === undefined || body.batchSize === null || body.batchSize === '' ? 100 : Number.parseInt(body.batchSize, 10);
+	if (!Number.isFinite(batchSize) || batchSize < 1 || batchSize > 1000) {
+		errors.push('Batch size must be between 1 and 1000');
+	}
+
+	return {
+		forwarder: {
+			name,
+			type: body.type,
+			config,
+			areas,
+			eventTypes: [...new Set(toStringArray(body.eventTypes))],
+			teamIds,
+			batchSize,
+			enabled: body.enabled !== false
+		},
+		errors
+	};
+}
+
+function matchesFilters(forwarder, event) {
+	if (forwarder.areas?.length > 0 && !forwarder.areas.includes(event.area || 'general')) {
+		return false;
+	}
+	if (forwarder.event_types?.length > 0 && !forwarder.event_types.includes(event.event)) {
+		return false;
+	}
+	if (forwarder.team_ids?.length > 0 && !forwarder.team_ids.includes(event.team_id)) {
+		return false;
+	}
+	return true;
+}
+
+function sleep(ms) {
+	return new Promise(resolve => {
+		setTimeout(resolve, ms).unref?.();
+	});
+}
+
+/**
+ * Deliver one batch, retrying retryable failures with exponential backoff
+ * @returns {Promise<{delivered: boolean, dropped: boolean, error: Error|null}>}
+ */
+async function deliverBatch(forwarder, events, stats) {
+	let lastError = null;
+	for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+		if (attempt > 1 && !started) {
+			// Stopping: leave the batch for the next start
+			break;
+		}
+		const startedAt = Date.now();
+		try {
+			await deliverToSink(forwarder, events);
+			stats.lastLatencyMs = Date.now() - startedAt;
+			stats.deliveredEvents += events.length;
+			stats.deliveredBatches++;
+			return {delivered: true, dropped: false, error: null};
+		} catch (error) {
+			lastError = error;
+			stats.failedAttempts++;
+			if (error.retryable === false) {
+				console.error(`Forwarder "${forwarder.name}" dropped ${events.length} events:`, error.message);
+				stats.droppedEvents += events.length;
+				return {delivered: false, dropped: true, error};
+			}
+			if (attempt < MAX_ATTEMPTS) {
+				stats.retries++;
+				await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+			}
+		}
+	}
+	console.error(`Forwarder "${forwarder.name}" failed to deliver ${events.length} events:`, lastError?.message);
+	return {delivered: false, dropped: false, error: lastError};
+}
+
+/**
+ * Deliver the pending events of one forwarder
+ * @param {object} forwarder - Claimed forwarder row
+ */
+async function runForwarder(forwarder) {
+	const stats = getForwarderStats(forwarder.id);
+	if (Date.now() < stats.nextAttemptAt) {
+		return;
+	}
+
+	let position = {xactId: forwarder.last_xact_id, id: forwarder.last_event_id};
+	for (let batch = 0; batch < MAX_BATCHES_PER_RUN; batch++) {
+		if (!started) {
+			break;
+		}
+		const {events, position: nextPosition} = await db.getEventsAfter({after: position, limit: forwarder.batch_size, withData: true});
+		if (events.length === 0) {
+			break;
+		}
+		const matching = events.filter(event => matchesFilters(forwarder, event));
+		if (matching.length === 0) {
+			if (!await db.recordEventForwarderProgress(forwarder.id, INSTANCE_ID, {position: nextPosition})) {
+				break;
+			}
+			position = nextPosition;
+			continue;
+		}
+
+		const result = await deliverBatch(forwarder, matching, stats);
+		if (!result.delivered && !result.dropped) {
+			// Sink still down: keep the cursor and back off before the next try
+			stats.consecutiveFailures++;
+			stats.nextAttemptAt = Date.now() + Math.min(MAX_BACKOFF_MS, INTERVAL_MS * 2 ** stats.consecutiveFailures);
+			await db.recordEventForwarderProgress(forwarder.id, INSTANCE_ID, {
+				position,
+				error: result.error?.message || 'Delivery stopped'
+			});
+			break;
+		}
+
+		stats.consecutiveFailures = 0;
+		stats.nextAttemptAt = 0;
+		const kept = await db.recordEventForwarderProgress(forwarder.id, INSTANCE_ID, {
+			position: nextPosition,
+			delivered: result.delivered,
+			error: result.dropped ? `Dropped ${matching.length} events: ${result.error.message}` : null
+		});
+		if (!kept) {
+			// Forwarder deleted, disabled or claimed by another instance meanwhile
+			break;
+		}
+		position = nextPosition;
+	}
+}
+
+/**
+ * Run every enabled forwarder once
+ * @returns {Promise<boolean>} False if a run was already in progress
+ */
+async function runNow() {
+	if (running) {
+		return false;
+	}
+	running = true;
+
+	try {
+		const forwarders = await db.claimEventForwarders(INSTANCE_ID, LEASE_SECONDS);
+		await Promise.all(forwarders.map(forwarder => runForwarder(forwarder).catch(error => {
+			console.error(`Error running forwarder "${forwarder.name}":`, error);
+		})));
+		return true;
+	} finally {
+		running = false;
+	}
+}
+
+function scheduleNextRun(delayMs) {
+	if (!started) {
+		return;
+	}
+	clearTimeout(timer);
+	nextRunAt = Date.now() + delayMs;
+	timer = setTimeout(async () => {
+		try {
+			await runNow();
+		} catch (error) {
+			console.error('Error running event forwarders:', error);
+		}
+		scheduleNextRun(INTERVAL_MS);
+	}, delayMs);
+	timer.unref?.();
+}
+
+/**
+ * Bring the next run forward after events were stored
+ */
+function notify() {
+	if (started && nextRunAt - Date.now() > NOTIFY_DELAY_MS) {
+		scheduleNextRun(NOTIFY_DELAY_MS);
+	}
+}
+
+/**
+ * Send a sample event through a forwarder (doesn't move its cursor)
+ * @param {object} forwarder - Forwarder row
+ * @returns {Promise<{ok: boolean, error: string|null, latencyMs: number}>}
+ */
+async function sendTestEvent(forwarder) {
+	const now = new Date();
+	const sample = {
+		id: 0,
+		event: 'custom',
+		area: 'general',
+		success: true,
+		timestamp: now,
+		received_at: now,
+		created_at: now,
+		server_id: 'telemetry-server',
+		data: {test: true, message: `Test event from forwarder "${forwarder.name}"`}
+	};
+	const startedAt = Date.now();
+	try {
+		await deliverToSink(forwarder, [sample]);
+		return {ok: true, error: null, latencyMs: Date.now() - startedAt};
+	} catch (error) {
+		return {ok: false, error: error.message, latencyMs: Date.now() - startedAt};
+	}
+}
+
+/**
+ * Get delivery metrics per forwarder (for the public health page, so without sink URLs or headers)
+ * @returns {Promise<Array<object>>}
+ */
+async function getHealth() {
+	const forwarders = await db.getEventForwarders();
+	return forwarders.map(forwarder => {
+		const stats = getForwarderStats(forwarder.id);
+		return {
+			id: forwarder.id,
+			name: forwarder.name,
+			type: forwarder.type,
+			enabled: forwarder.enabled,
+			backlog: Math.max(0, Number(forwarder.latest_event_id) - forwarder.last_event_id),
+			deliveredEvents: stats.deliveredEvents,
+			deliveredBatches: stats.deliveredBatches,
+			failedAttempts: stats.failedAttempts,
+			retries: stats.retries,
+			droppedEvents: stats.droppedEvents,
+			lastLatencyMs: stats.lastLatencyMs,
+			retryingAt: stats.nextAttemptAt > Date.now() ? new Date(stats.nextAttemptAt).toISOString() : null,
+			lastDeliveredAt: forwarder.last_delivered_at,
+			lastError: forwarder.last_error,
+			lastErrorAt: forwarder.last_error_at
+		};
+	});
+}
+
+/**
+ * Start relaying events on an interval
+ */
+function start() {
+	started = true;
+	scheduleNextRun(INTERVAL_MS);
+}
+
+/**
+ * Stop relaying events and release this instance's forwarders to the other instances
+ * @returns {Promise<void>}
+ */
+async function stop() {
+	started = false;
+	clearTimeout(timer);
+	timer = null;
+	try {
+		await db.releaseEventForwarders(INSTANCE_ID);
+	} catch (error) {
+		console.error('Error releasing event forwarders:', error.message);
+	}
+}
+
+export {
+	start,
+	stop,
+	notify,
+	runNow,
+	validateForwarder,
+	sendTestEvent,
+	getSinkTypes,
+	getHealth
+};
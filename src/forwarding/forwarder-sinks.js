@@ -0,0 +1,170 @@
+/**
+ * Event forwarder sinks
+ *
+ * - webhook: POSTs {forwarder, events} as JSON to a URL, events in the normalized shape below
+ * - otlp: POSTs an OTLP/JSON ExportLogsServiceRequest to a collector's /v1/logs endpoint
+ * - file: appends JSON Lines (same format as /api/export/logs) to a file in FORWARDER_FILE_DIR
+ *
+ * Delivery errors carry retryable: false when sending the same batch again can't succeed
+ * (e.g. HTTP 400), so the forwarder drops the batch instead of retrying it forever.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import {formatAsJSONL, formatAsOtlpJson} from '../storage/log-formatter.js';
+
+const HTTP_TIMEOUT_MS = 15_000;
+const FILE_DIR = path.resolve(process.env.FORWARDER_FILE_DIR || 'logs/forwarders');
+const FILE_NAME_PATTERN = /^[\w.-]+$/;
+const RETRYABLE_HTTP_STATUSES = new Set([408, 425, 429]);
+const SINK_TYPES = {
+	webhook: {label: 'HTTP webhook'},
+	otlp: {label: 'OTLP collector (OTLP/HTTP JSON)'},
+	file: {label: 'File (JSON Lines)'}
+};
+
+function normalizeUrl(value) {
+	try {
+		const url = new URL(String(value || ''));
+		return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+	} catch {
+		return null;
+	}
+}
+
+function normalizeHeaders(headers, errors) {
+	if (headers === undefined || headers === null) {
+		return {};
+	}
+	if (typeof headers !== 'object' || Array.isArray(headers)) {
+		errors.push('headers must be an object of header names to values');
+		return {};
+	}
+	const normalized = {};
+	for (const [name, value] of Object.entries(headers)) {
+		if (!/^[\w-]+$/.test(name) || typeof value !== 'string') {
+			errors.push(`Invalid header: ${name}`);
+			continue;
+		}
+		normalized[name] = value;
+	}
+	return normalized;
+}
+
+/**
+ * Validate and normalize the sink settings of a forwarder
+ * @param {string} type - 'webhook', 'otlp' or 'file'
+ * @param {object} config - Raw settings (url and headers, or file)
+ * @returns {{config: object, errors: Array<string>}} Normalized settings and validation errors
+ */
+function normalizeSinkConfig(type, config = {}) {
+	const errors = [];
+	if (!Object.hasOwn(SINK_TYPES, type)) {
+		return {config: {}, errors: [`type must be one of: ${Object.keys(SINK_TYPES).join(', ')}`]};
+	}
+	if (type === 'file') {
+		const file = typeof config.file === 'string' ? config.file.trim() : '';
+		if (!FILE_NAME_PATTERN.test(file) || file.startsWith('.')) {
+			errors.push('file must be a plain file name (letters, digits, dots, dashes and underscores)');
+		}
+		return {config: {file}, errors};
+	}
+	const url = normalizeUrl(config.url);
+	if (!url) {
+		errors.push('url must be an http(s) URL');
+	}
+	return {config: {url, headers: normalizeHeaders(config.headers, errors)}, errors};
+}
+
+function getSinkTypes() {
+	return Object.entries(SINK_TYPES).map(([type, {label}]) => ({type, label}));
+}
+
+/**
+ * Normalized event sent to webhooks
+ * @param {object} event - Event row (as returned by getEventsAfter)
+ * @returns {object}
+ */
+function toForwardedEvent(event) {
+	return {
+		id: event.id,
+		event: event.event,
+		area: event.area,
+		success: event.success,
+		timestamp: event.timestamp,
+		receivedAt: event.received_at,
+		serverId: event.server_id,
+		version: event.version,
+		sessionId: event.session_id,
+		parentSessionId: event.parent_session_id,
+		userId: event.user_id,
+		userName: event.user_name,
+		orgId: event.org_id,
+		companyName: event.company_name,
+		teamId: event.team_id,
+		toolName: event.tool_name,
+		errorMessage: event.error_message,
+		data: event.data || {}
+	};
+}
+
+function deliveryError(message, retryable, cause = null) {
+	const error = new Error(message, cause ? {cause} : undefined);
+	error.retryable = retryable;
+	return error;
+}
+
+async function postJson(url, headers, body) {
+	let response;
+	try {
+		response = await fetch(url, {
+			method: 'POST',
+			headers: {...headers, 'Content-Type': 'application/json'},
+			body,
+			signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+		});
+	} catch (error) {
+		// Network errors and timeouts
+		throw deliveryError(error.name === 'TimeoutError' ? 'Request timed out' : `Request failed: ${error.cause?.code || error.message}`, true, error);
+	}
+	if (!response.ok) {
+		const retryable = response.status >= 500 || RETRYABLE_HTTP_STATUSES.has(response.status);
+		throw deliveryError(`Sink responded with HTTP ${response.status}`, retryable);
+	}
+	// Drain the body so the connection can be reused
+	await response.arrayBuffer().catch(() => null);
+}
+
+async function appendToFile(file, events) {
+	try {
+		await fs.promises.mkdir(FILE_DIR, {recursive: true});
+		await fs.promises.appendFile(path.join(FILE_DIR, file), events.map(event => `${formatAsJSONL(event)}\n`).join(''));
+	} catch (error) {
+		throw deliveryError(`Failed to write ${file}: ${error.code || error.message}`, true, error);
+	}
+}
+
+/**
+ * Deliver a batch of events to a forwarder's sink
+ * @param {object} forwarder - Forwarder row (id, name, type, config)
+ * @param {Array<object>} events - Event rows
+ * @throws {Error} With retryable set to false when the batch should be dropped
+ */
+async function deliverToSink(forwarder, events) {
+	const {config} = forwarder;
+	if (forwarder.type === 'webhook') {
+		const body = JSON.stringify({
+			forwarder: {id: forwarder.id, name: forwarder.name},
+			events: events.map(toForwardedEvent)
+		});
+		await postJson(config.url, config.headers || {}, body);
+	} else if (forwarder.type === 'otlp') {
+		await postJson(config.url, config.headers || {}, formatAsOtlpJson(events));
+	} else if (forwarder.type === 'file') {
+		await appendToFile(config.file, events);
+	} else {
+		throw deliveryError(`Unsupported forwarder type: ${forwarder.type}`, false);
+	}
+}
+
+export {getSinkTypes, normalizeSinkConfig, toForwardedEvent, deliverToSink};
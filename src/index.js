@@ -11,6 +11,7 @@ import rateLimit from 'express-rate-limit';
 import sharp from 'sharp';
 import compression from 'compression';
 import fs from 'node:fs';
+import net from 'node:net';
 import {fileURLToPath} from 'node:url';
 import {dirname} from 'node:path';
 import path from 'node:path';
@@ -96,18 +97,38 @@ async function processTeamLogo(buffer, mimeType) {
 import multer from 'multer';
 import * as db from './storage/database.js';
 import * as logFormatter from './storage/log-formatter.js';
+import * as otlpMapper from './storage/otlp-mapper.js';
 import * as auth from './auth/auth.js';
 import * as csrf from './auth/csrf.js';
+import * as apiKeys from './auth/api-keys.js';
+import * as loginThrottle from './auth/login-throttle.js';
+import * as twoFactor from './auth/two-factor.js';
+import * as oidc from './auth/oidc.js';
+import * as personalTokens from './auth/personal-tokens.js';
+import * as auditLog from './auth/audit-log.js';
+import * as ingestionWorker from './storage/ingestion-worker.js';
+import * as retentionJob from './storage/retention-job.js';
+import * as rollupJob from './storage/rollup-job.js';
+import * as eventStream from './storage/event-stream.js';
+import * as alertEngine from './alerts/alert-engine.js';
+import * as eventForwarder from './forwarding/event-forwarder.js';
 import {Cache} from './utils/performance.js';
-import {parseTelemetryEvent} from './storage/parsers/index.js';
+import {parseTelemetryEvent, buildTelemetrySchema} from './storage/parsers/index.js';
+import {parseEventSearch} from './storage/event-search.js';
+import {decodeCursor} from './storage/page-cursor.js';
+import {validateSavedView} from './storage/saved-views.js';
 const app = express();
 const port = process.env.PORT || 3100;
 
 // Performance constants
 const MAX_API_LIMIT = 1000; // Maximum events per API request
-const MAX_EXPORT_LIMIT = 50000; // Maximum events per export
+const EVENT_STREAM_HEARTBEAT_MS = 25_000; // Comment line keeping idle /api/events/stream connections open through proxies
+const EVENT_STREAM_RETRY_MS = 5000; // Reconnection delay sent to EventSource clients
 const HEALTH_CHECK_CACHE_TTL = Number.parseInt(process.env.HEALTH_CHECK_CACHE_TTL_MS, 10) || 5000; // 5 seconds default
 const STATS_CACHE_KEY_EMPTY = 'stats:::'; // Cache key for stats with no filters
+// Events must have a timestamp within this many days of the time they are received: each month needs
+// a telemetry_events partition, so arbitrary client clocks (or 1970 OTLP timestamps) are quarantined
+const EVENT_TIMESTAMP_WINDOW_DAYS = Number.parseInt(process.env.EVENT_TIMESTAMP_WINDOW_DAYS, 10) || 30;
 
 // Initialize caches for frequently accessed data
 const statsCache = new Cache(30000); // 30 seconds TTL for stats
@@ -126,14 +147,56 @@ setInterval(() => {
 // Trust reverse proxy headers so secure cookies work behind Render/Cloudflare
 app.set('trust proxy', 1);
 
-// Load and compile JSON schema for validation
-const schemaPath = path.join(__dirname, 'api', 'telemetry-schema.json');
-const schema = JSON.parse(fs.readFileSync(schemaPath));
+// Build (from the registered schema versions) and compile JSON schema for validation
+const schema = buildTelemetrySchema();
 // Only enable allErrors in development/debug mode to prevent resource exhaustion in production
 const ajv = new Ajv({allErrors: Boolean(process.env.REST_DEBUG), strict: false}); // strict: false allows additional properties in 'data'
 addFormats(ajv); // Add support for date-time and other formats
 const validate = ajv.compile(schema);
 
+/**
+ * Validate a raw event against the JSON schema and parse it to a TelemetryEvent
+ * @param {object} eventData - Raw event
+ * @param {string} receivedAt - When the event was received (ISO), the center of the accepted timestamp window
+ * @returns {{telemetryEvent: object|null, rejection: {stage: string, errors: Array<{field: string, message: string}>}|null}}
+ */
+function validateAndParseEvent(eventData, receivedAt) {
+	if (!validate(eventData)) {
+		return {
+			telemetryEvent: null,
+			rejection: {
+				stage: 'validation',
+				errors: validate.errors.map(err => ({
+					field: err.instancePath || err.params?.missingProperty || 'root',
+					message: err.message
+				}))
+			}
+		};
+	}
+
+	let telemetryEvent;
+	try {
+		telemetryEvent = parseTelemetryEvent(eventData);
+	} catch (parseError) {
+		return {
+			telemetryEvent: null,
+			rejection: {stage: 'parse', errors: [{field: 'root', message: parseError.message}]}
+		};
+	}
+
+	const skewMs = Math.abs(new Date(telemetryEvent.timestamp).getTime() - new Date(receivedAt).getTime());
+	if (!(skewMs <= EVENT_TIMESTAMP_WINDOW_DAYS * 24 * 60 * 60 * 1000)) {
+		return {
+			telemetryEvent: null,
+			rejection: {
+				stage: 'validation',
+				errors: [{field: '/timestamp', message: `must be within ${EVENT_TIMESTAMP_WINDOW_DAYS} days of the time the event is received`}]
+			}
+		};
+	}
+	return {telemetryEvent, rejection: null};
+}
+
 // Middleware
 app.use(cors()); // Allow requests from any origin
 app.use(cookieParser()); // Parse cookies
@@ -240,6 +303,10 @@ const tempSession = session({
 
 let sessionMiddleware = null;
 let redisSessionClient = null; // Track Redis client for graceful shutdown
+
+// Personal API tokens (Authorization: Bearer) get a request-only session, so they go first
+app.use(personalTokens.authenticateBearerRequest);
+
 app.use((req, res, next) => {
 	if (sessionMiddleware) {
 		return sessionMiddleware(req, res, next);
@@ -263,7 +330,13 @@ app.use(async (req, res, next) => {
 					// Get user info from database by ID
 					const user = await db.getUserById(tokenData.userId);
 
-					if (user) {
+					// Tokens are revoked when 2FA is enabled, so a valid one was issued after the second factor.
+					// Users whose role requires 2FA but haven't enrolled yet have to go through the login form.
+					const needsTwoFactorEnrollment = user && !user.totp_enabled_at && await twoFactor.isRequiredForRole(auth.normalizeRole(user.role));
+					if (needsTwoFactorEnrollment) {
+						await db.revokeRememberToken(tokenData.tokenId);
+						res.clearCookie(cookieName);
+					} else if (user) {
 						// Restore session
 						req.session.authenticated = true;
 						req.session.username = user.username;
@@ -317,6 +390,9 @@ app.use(csrf.setCsrfToken);
 // Apply CSRF validation to state-changing requests
 app.use(csrf.csrfProtection);
 
+// Record successful changes made through the API (read by god users in Settings > Audit log)
+app.use(auditLog.auditMiddleware);
+
 // Serve static files from public directory with caching
 const LONG_CACHE_ASSETS = /\.(?<temp1>woff2?|ttf|svg|jpg|jpeg|png|gif|ico)$/;
 const SHORT_CACHE_ASSETS = /\.(?<temp1>css|js)$/;
@@ -376,8 +452,271 @@ app.use((req, res, next) => {
 	next();
 });
 
-app.post('/telemetry', (req, res) => {
+/**
+ * Validate raw telemetry payloads and durably queue the accepted ones for the ingestion worker
+ * Shared by /telemetry and the OTLP receiver (/v1/logs, /v1/traces).
+ * @param {Array} events - Raw payloads
+ * @param {object} context
+ * @param {object|null} context.apiKey - Ingestion API key of the request
+ * @param {string|null} context.apiKeyError - Why the request has no valid key
+ * @param {string} context.ingestionAuthMode - 'off', 'discard' or 'reject'
+ * @param {string|null} context.clientIp - Client IP address
+ * @returns {Promise<{receivedAt: string, queued: boolean, results?: Array, successCount?: number, ignoredCount?: number, errorCount?: number, duplicateCount?: number}>}
+ *   queued is false when the queue could not be written (clients should retry)
+ */
+async function queueTelemetryPayloads(events, {apiKey, apiKeyError, ingestionAuthMode, clientIp}) {
+	const receivedAt = new Date().toISOString();
+	const results = [];
+	let successCount = 0;
+	let ignoredCount = 0;
+	let errorCount = 0;
+	let duplicateCount = 0;
+	const queueItems = []; // Accepted events, acknowledged only once durably queued
+	const rejectedItems = []; // Payloads that failed validation or parsing, kept for inspection
+	const resultIndexByEventId = new Map(); // Client eventId -> position in results
+
+	// Process each event
+	for (let i = 0; i < events.length; i++) {
+		const eventData = events[i];
+		const eventIndex = i;
+
+		try {
+			// Validate individual event
+			if (!eventData || typeof eventData !== 'object' || Array.isArray(eventData)) {
+				rejectedItems.push({
+					payload: eventData,
+					stage: 'validation',
+					errors: [{field: 'root', message: 'expected JSON object'}],
+					clientIp,
+					receivedAt,
+					apiKeyId: apiKey?.id
+				});
+				results.push({
+					index: eventIndex,
+					status: 'error',
+					message: 'Invalid event: expected JSON object'
+				});
+				errorCount++;
+				continue;
+			}
+
+			// Validate against unified JSON schema (all registered schema versions) and parse
+			// to TelemetryEvent (schema version detected by the parser registry)
+			const {telemetryEvent, rejection} = validateAndParseEvent(eventData, receivedAt);
+			if (rejection) {
+				rejectedItems.push({
+					payload: eventData,
+					stage: rejection.stage,
+					errors: rejection.errors,
+					clientIp,
+					receivedAt,
+					apiKeyId: apiKey?.id
+				});
+				results.push(rejection.stage === 'validation' ? {
+					index: eventIndex,
+					status: 'error',
+					message: 'Validation failed',
+					errors: rejection.errors
+				} : {
+					index: eventIndex,
+					status: 'error',
+					message: 'Failed to parse telemetry event',
+					details: rejection.errors[0].message
+				});
+				errorCount++;
+				continue;
+			}
+
+			// Set received timestamp
+			telemetryEvent.receivedAt = receivedAt;
+
+			// Same eventId twice in one request: keep the first one
+			const clientEventId = telemetryEvent.eventId || null;
+			if (clientEventId && resultIndexByEventId.has(clientEventId)) {
+				results.push({
+					index: eventIndex,
+					status: 'duplicate',
+					eventId: clientEventId,
+					receivedAt: receivedAt
+				});
+				duplicateCount++;
+				continue;
+			}
+
+			// Enforce ingestion API key scope (server_ids / orgs)
+			let apiKeyId = null;
+			if (apiKey && apiKeys.isEventInKeyScope(apiKey, telemetryEvent)) {
+				apiKeyId = apiKey.id;
+			} else if (ingestionAuthMode !== 'off') {
+				const keyReason = apiKeyError || 'api_key_out_of_scope';
+				if (ingestionAuthMode === 'reject') {
+					results.push({
+						index: eventIndex,
+						status: 'error',
+						message: 'API key is not authorized for this server or org',
+						reason: keyReason
+					});
+					errorCount++;
+					continue;
+				}
+				queueItems.push({
+					payload: eventData,
+					receivedAt: receivedAt,
+					apiKeyId: apiKey?.id,
+					discardReason: `Event discarded: ${keyReason}`,
+					clientEventId: clientEventId,
+					clientIp: clientIp
+				});
+				if (clientEventId) {
+					resultIndexByEventId.set(clientEventId, results.length);
+				}
+				results.push({
+					index: eventIndex,
+					status: 'ignored',
+					reason: keyReason,
+					receivedAt: receivedAt
+				});
+				ignoredCount++;
+				continue;
+			}
+
+			// Skip storing events that do not include a username/userId
+			// Exception: For area 'session', only 'session_start' requires username
+			// (server_boot and client_connect happen before authentication)
+			const userId = telemetryEvent.getUserId();
+			const allowMissingUser = telemetryEvent.data?.allowMissingUser === true;
+			const isSessionEventWithoutStart = telemetryEvent.area === 'session' && telemetryEvent.event !== 'session_start';
+
+			// Debug logging
+			if (process.env.REST_DEBUG) {
+				console.log('[DEBUG] Username validation:', {
+					index: eventIndex,
+					area: telemetryEvent.area,
+					event: telemetryEvent.event,
+					userId: userId,
+					allowMissingUser: allowMissingUser,
+					isSessionEventWithoutStart: isSessionEventWithoutStart,
+					willReject: !userId && !allowMissingUser && !isSessionEventWithoutStart
+				});
+			}
+
+			if (!userId
+				&& !['server_boot', 'client_connect'].includes(telemetryEvent.event)
+				&& !allowMissingUser
+				&& !isSessionEventWithoutStart) {
+				console.warn(`Dropping telemetry event ${eventIndex} without username/userId`);
+				// Store discarded event as general error
+				queueItems.push({
+					payload: eventData,
+					receivedAt: receivedAt,
+					apiKeyId: apiKeyId,
+					discardReason: 'Event discarded: missing username/userId',
+					clientEventId: clientEventId,
+					clientIp: clientIp
+				});
+				if (clientEventId) {
+					resultIndexByEventId.set(clientEventId, results.length);
+				}
+				results.push({
+					index: eventIndex,
+					status: 'ignored',
+					reason: 'missing_username',
+					receivedAt: receivedAt
+				});
+				ignoredCount++;
+				continue;
+			}
+
+			// Queue for the ingestion worker, which stores it in telemetry_events
+			queueItems.push({
+				payload: eventData,
+				receivedAt: receivedAt,
+				apiKeyId: apiKeyId,
+				discardReason: null,
+				clientEventId: clientEventId,
+				clientIp: clientIp
+			});
+
+			if (clientEventId) {
+				resultIndexByEventId.set(clientEventId, results.length);
+			}
+			results.push({
+				index: eventIndex,
+				status: 'ok',
+				receivedAt: receivedAt
+			});
+			successCount++;
+
+		} catch (error) {
+			console.error(`Error processing telemetry event ${eventIndex}:`, error);
+			results.push({
+				index: eventIndex,
+				status: 'error',
+				message: 'Internal server error',
+				details: error.message
+			});
+			errorCount++;
+		}
+	}
+
+	// Quarantine rejected payloads (don't await to avoid delaying the response)
+	if (rejectedItems.length > 0) {
+		db.storeRejectedEvents(rejectedItems).catch(err => {
+			console.error('Error storing rejected telemetry payloads:', err);
+		});
+	}
+
+	// Report an event as duplicate (its eventId was already received in an earlier request)
+	const markDuplicate = clientEventId => {
+		const resultIndex = resultIndexByEventId.get(clientEventId);
+		const previous = results[resultIndex];
+		if (previous.status === 'ok') {
+			successCount--;
+		} else if (previous.status === 'ignored') {
+			ignoredCount--;
+		}
+		results[resultIndex] = {
+			index: previous.index,
+			status: 'duplicate',
+			eventId: clientEventId,
+			receivedAt: receivedAt
+		};
+		duplicateCount++;
+	};
+
+	// Acknowledge only after the events are durably queued, so clients retry on failure
+	if (queueItems.length > 0) {
+		try {
+			// Skip events already stored, then let the queue skip the ones still waiting to be stored
+			const storedEventIds = await db.getExistingClientEventIds([...resultIndexByEventId.keys()]);
+			const newQueueItems = queueItems.filter(item => !item.clientEventId || !storedEventIds.has(item.clientEventId));
+			const {duplicateEventIds} = await db.enqueueEvents(newQueueItems);
+			for (const clientEventId of [...storedEventIds, ...duplicateEventIds]) {
+				markDuplicate(clientEventId);
+			}
+		} catch (error) {
+			console.error('Error queueing telemetry events:', error);
+			return {receivedAt, queued: false};
+		}
+		ingestionWorker.notify();
+	}
+
+	return {receivedAt, queued: true, results, successCount, ignoredCount, errorCount, duplicateCount};
+}
+
+app.post('/telemetry', async (req, res) => {
 	try {
+		// Resolve the ingestion API key before looking at the payload
+		const ingestionAuthMode = await apiKeys.getIngestionAuthMode();
+		const {apiKey, reason: apiKeyError} = await apiKeys.authenticateIngestionRequest(req);
+		if (apiKeyError && ingestionAuthMode === 'reject') {
+			return res.status(401).json({
+				status: 'error',
+				message: 'A valid API key is required in the X-API-Key header',
+				reason: apiKeyError
+			});
+		}
+
 		const rawTelemetryData = req.body;
 
 		// Basic validation
@@ -410,136 +749,19 @@ app.post('/telemetry', (req, res) => {
 			});
 		}
 
-		const receivedAt = new Date().toISOString();
-		const results = [];
-		let successCount = 0;
-		let ignoredCount = 0;
-		let errorCount = 0;
-		const cacheState = {cleared: false}; // Use object to avoid closure issues
-
-		// Process each event
-		for (let i = 0; i < events.length; i++) {
-			const eventData = events[i];
-			const eventIndex = i;
-
-			try {
-				// Validate individual event
-				if (!eventData || typeof eventData !== 'object' || Array.isArray(eventData)) {
-					results.push({
-						index: eventIndex,
-						status: 'error',
-						message: 'Invalid event: expected JSON object'
-					});
-					errorCount++;
-					continue;
-				}
-
-				// Validate against unified JSON schema (v1 or v2)
-				const valid = validate(eventData);
-				if (!valid) {
-					const validationErrors = validate.errors.map(err => ({
-						field: err.instancePath || err.params?.missingProperty || 'root',
-						message: err.message
-					}));
-					results.push({
-						index: eventIndex,
-						status: 'error',
-						message: 'Validation failed',
-						errors: validationErrors
-					});
-					errorCount++;
-					continue;
-				}
-
-				// Parse raw event to TelemetryEvent (handles both v1 and v2 automatically)
-				let telemetryEvent;
-				try {
-					telemetryEvent = parseTelemetryEvent(eventData);
-				} catch (parseError) {
-					results.push({
-						index: eventIndex,
-						status: 'error',
-						message: 'Failed to parse telemetry event',
-						details: parseError.message
-					});
-					errorCount++;
-					continue;
-				}
-
-				// Set received timestamp
-				telemetryEvent.receivedAt = receivedAt;
-
-				// Skip storing events that do not include a username/userId
-				// Exception: For area 'session', only 'session_start' requires username
-				// (server_boot and client_connect happen before authentication)
-				const userId = telemetryEvent.getUserId();
-				const allowMissingUser = telemetryEvent.data?.allowMissingUser === true;
-				const isSessionEventWithoutStart = telemetryEvent.area === 'session' && telemetryEvent.event !== 'session_start';
-
-				// Debug logging
-				if (process.env.REST_DEBUG) {
-					console.log('[DEBUG] Username validation:', {
-						index: eventIndex,
-						area: telemetryEvent.area,
-						event: telemetryEvent.event,
-						userId: userId,
-						allowMissingUser: allowMissingUser,
-						isSessionEventWithoutStart: isSessionEventWithoutStart,
-						willReject: !userId && !allowMissingUser && !isSessionEventWithoutStart
-					});
-				}
-
-				if (!userId
-					&& !['server_boot', 'client_connect'].includes(telemetryEvent.event)
-					&& !allowMissingUser
-					&& !isSessionEventWithoutStart) {
-					console.warn(`Dropping telemetry event ${eventIndex} without username/userId`);
-					// Store discarded event as general error
-					db.storeDiscardedEvent(eventData, 'Event discarded: missing username/userId', receivedAt).catch(err => {
-						console.error('Error storing discarded event:', err);
-					});
-					results.push({
-						index: eventIndex,
-						status: 'ignored',
-						reason: 'missing_username',
-						receivedAt: receivedAt
-					});
-					ignoredCount++;
-					continue;
-				}
-
-				// Store in database (non-blocking - don't await to avoid blocking response)
-				db.storeEvent(telemetryEvent, receivedAt).then((stored) => {
-					if (stored && !cacheState.cleared) {
-						// Clear relevant caches when new data arrives (only once per batch)
-						statsCache.clear();
-						sessionsCache.clear();
-						userIdsCache.clear();
-						cacheState.cleared = true;
-					}
-				}).catch(err => {
-					console.error(`Error storing telemetry event ${eventIndex}:`, err);
-					// Don't fail the request if storage fails - telemetry is non-critical
-				});
-
-				results.push({
-					index: eventIndex,
-					status: 'ok',
-					receivedAt: receivedAt
-				});
-				successCount++;
-
-			} catch (error) {
-				console.error(`Error processing telemetry event ${eventIndex}:`, error);
-				results.push({
-					index: eventIndex,
-					status: 'error',
-					message: 'Internal server error',
-					details: error.message
-				});
-				errorCount++;
-			}
+		const summary = await queueTelemetryPayloads(events, {
+			apiKey,
+			apiKeyError,
+			ingestionAuthMode,
+			clientIp: req.ip || req.socket.remoteAddress || null
+		});
+		if (!summary.queued) {
+			return res.status(503).json({
+				status: 'error',
+				message: 'Failed to queue telemetry events. Please retry later'
+			});
 		}
+		const {receivedAt, results, successCount, ignoredCount, errorCount, duplicateCount} = summary;
 
 		// Return response based on batch size
 		// For single event (backward compatibility), return simple response
@@ -551,17 +773,19 @@ app.post('/telemetry', (req, res) => {
 			if (singleResult.status === 'error') {
 				return res.status(400).json(singleResult);
 			}
+			// Duplicates are acknowledged like the original event so clients stop retrying
 			return res.status(200).json(singleResult);
 		}
 
 		// For batch requests, return summary
-		const statusCode = errorCount === events.length ? 400 : (successCount > 0 ? 200 : 202);
+		const statusCode = errorCount === events.length ? 400 : (successCount + duplicateCount > 0 ? 200 : 202);
 		res.status(statusCode).json({
 			status: 'ok',
 			receivedAt: receivedAt,
 			total: events.length,
 			successful: successCount,
 			ignored: ignoredCount,
+			duplicates: duplicateCount,
 			errors: errorCount,
 			results: results
 		});
@@ -575,6 +799,81 @@ app.post('/telemetry', (req, res) => {
 	}
 });
 
+/**
+ * Handle an OTLP/HTTP export request (JSON encoding)
+ * Spans and log records are mapped to schema v3 payloads and queued like /telemetry events.
+ * Responses follow the OTLP/HTTP spec: Export*ServiceResponse with partialSuccess on 200,
+ * google.rpc.Status bodies on errors (503 tells exporters to retry).
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {object} options
+ * @param {Function} options.mapRequest - Maps the request body to raw payloads
+ * @param {string} options.rejectedField - partialSuccess counter (rejectedLogRecords / rejectedSpans)
+ */
+async function handleOtlpExport(req, res, {mapRequest, rejectedField}) {
+	try {
+		if (!req.is('application/json')) {
+			return res.status(415).json({code: 3, message: 'Only the OTLP/HTTP JSON encoding is supported (Content-Type: application/json)'});
+		}
+
+		const ingestionAuthMode = await apiKeys.getIngestionAuthMode();
+		const {apiKey, reason: apiKeyError} = await apiKeys.authenticateIngestionRequest(req);
+		if (apiKeyError && ingestionAuthMode === 'reject') {
+			return res.status(401).json({code: 16, message: `A valid API key is required in the X-API-Key header (${apiKeyError})`});
+		}
+
+		let payloads;
+		try {
+			payloads = mapRequest(req.body);
+		} catch (error) {
+			return res.status(400).json({code: 3, message: error.message});
+		}
+		if (payloads.length > MAX_API_LIMIT) {
+			return res.status(400).json({code: 3, message: `Too many records. Maximum ${MAX_API_LIMIT} per request`});
+		}
+		if (payloads.length === 0) {
+			return res.status(200).json({});
+		}
+
+		const summary = await queueTelemetryPayloads(payloads, {
+			apiKey,
+			apiKeyError,
+			ingestionAuthMode,
+			clientIp: req.ip || req.socket.remoteAddress || null
+		});
+		if (!summary.queued) {
+			return res.status(503).json({code: 14, message: 'Failed to queue telemetry events. Please retry later'});
+		}
+
+		// Ignored events are stored as discarded, so they won't show up in the Event Log either
+		const rejected = summary.results.filter(result => result.status === 'error' || result.status === 'ignored');
+		if (rejected.length === 0) {
+			return res.status(200).json({});
+		}
+		const reasons = [...new Set(rejected.map(result => result.reason || result.details || result.message))];
+		res.status(200).json({
+			partialSuccess: {
+				[rejectedField]: rejected.length,
+				errorMessage: reasons.slice(0, 5).join('; ')
+			}
+		});
+	} catch (error) {
+		console.error('Error processing OTLP export:', error);
+		res.status(500).json({code: 13, message: 'Internal server error'});
+	}
+}
+
+// OpenTelemetry OTLP/HTTP receiver: point an exporter's endpoint at this server (JSON encoding)
+app.post('/v1/logs', (req, res) => handleOtlpExport(req, res, {
+	mapRequest: otlpMapper.mapLogsRequest,
+	rejectedField: 'rejectedLogRecords'
+}));
+
+app.post('/v1/traces', (req, res) => handleOtlpExport(req, res, {
+	mapRequest: otlpMapper.mapTracesRequest,
+	rejectedField: 'rejectedSpans'
+}));
+
 // Track server start time for uptime calculation
 const serverStartTime = Date.now();
 
@@ -629,6 +928,22 @@ app.get('/health', async (req, res) => {
 				console.error('Database health check failed:', error);
 			}
 
+			// Ingestion queue depth, lag and failures
+			let ingestionQueue = null;
+			try {
+				ingestionQueue = await ingestionWorker.getQueueHealth();
+			} catch (error) {
+				console.error('Ingestion queue health check failed:', error);
+			}
+
+			// Delivery metrics of the event forwarders
+			let forwarders = null;
+			try {
+				forwarders = await eventForwarder.getHealth();
+			} catch (error) {
+				console.error('Event forwarders health check failed:', error);
+			}
+
 			// Determine overall health status
 			const isHealthy = dbStatus === 'connected';
 
@@ -646,7 +961,9 @@ app.get('/health', async (req, res) => {
 				},
 				stats: {
 					totalEvents: totalEvents
-				}
+				},
+				ingestionQueue: ingestionQueue,
+				forwarders: forwarders
 			};
 
 			// Cache the health data using Cache class
@@ -726,6 +1043,22 @@ app.get('/healthz', async (req, res) => {
 				console.error('Database health check failed:', error);
 			}
 
+			// Ingestion queue depth, lag and failures
+			let ingestionQueue = null;
+			try {
+				ingestionQueue = await ingestionWorker.getQueueHealth();
+			} catch (error) {
+				console.error('Ingestion queue health check failed:', error);
+			}
+
+			// Delivery metrics of the event forwarders
+			let forwarders = null;
+			try {
+				forwarders = await eventForwarder.getHealth();
+			} catch (error) {
+				console.error('Event forwarders health check failed:', error);
+			}
+
 			// Determine overall health status
 			const isHealthy = dbStatus === 'connected';
 
@@ -743,7 +1076,9 @@ app.get('/healthz', async (req, res) => {
 				},
 				stats: {
 					totalEvents: totalEvents
-				}
+				},
+				ingestionQueue: ingestionQueue,
+				forwarders: forwarders
 			};
 
 			// Cache the health data using Cache class
@@ -781,6 +1116,101 @@ app.get('/login', auth.requireGuest, (req, res) => {
 	}
 });
 
+const PENDING_LOGIN_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Authenticate the session of a user that completed every login step
+ * Also issues the remember-me token when requested and records the login.
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @param {{username: string, role: string}} userInfo - Authenticated user
+ * @param {boolean} rememberMe - Whether to issue a remember-me token
+ * @param {string|null} ipAddress - IP address of the login
+ */
+async function completeLogin(req, res, userInfo, rememberMe, ipAddress) {
+	req.session.authenticated = true;
+	req.session.username = userInfo.username;
+	req.session.role = userInfo.role;
+
+	// Handle remember me token
+	if (rememberMe) {
+		try {
+			// Get user ID from database
+			const user = await db.getUserByUsername(userInfo.username);
+			if (user && user.id) {
+				// Check active tokens limit (max 3 per user)
+				const activeCount = await db.getActiveRememberTokensCount(user.id);
+				if (activeCount >= 3) {
+					// Revoke all existing tokens for this user to enforce limit
+					await db.revokeAllRememberTokensForUser(user.id);
+				}
+
+				// Calculate expiration (default 30 days, configurable)
+				const rememberTokenDays = Number.parseInt(process.env.REMEMBER_TOKEN_DAYS, 10) || 30;
+				const expiresAt = new Date();
+				expiresAt.setDate(expiresAt.getDate() + rememberTokenDays);
+				const expiresAtISO = expiresAt.toISOString();
+
+				// Get user agent for tracking
+				const userAgent = req.headers['user-agent'] || null;
+
+				// Create remember token
+				const {token} = await db.createRememberToken(user.id, expiresAtISO, userAgent, ipAddress);
+
+				// Set remember token cookie
+				const cookieName = process.env.REMEMBER_COOKIE_NAME || 'remember_token';
+				const isProduction = process.env.NODE_ENV === 'production';
+				const maxAge = rememberTokenDays * 24 * 60 * 60 * 1000; // Convert days to milliseconds
+
+				res.cookie(cookieName, token, {
+					httpOnly: true,
+					secure: isProduction,
+					sameSite: 'lax',
+					maxAge: maxAge
+				});
+			}
+		} catch (error) {
+			console.error('Error creating remember token:', error);
+			// Don't fail login if remember token creation fails
+		}
+	}
+
+	// Log successful login
+	try {
+		const userAgent = req.headers['user-agent'] || null;
+		await db.logUserLogin(userInfo.username, ipAddress, userAgent);
+	} catch (logError) {
+		console.error('Error logging user login:', logError);
+		// Don't fail login if logging fails
+	}
+}
+
+/**
+ * Respond to a completed login: form submissions are redirected home, JSON requests get a status
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @param {object} [extra] - Additional fields of the JSON response
+ */
+function sendLoginSuccess(req, res, extra = {}) {
+	// If it's a form submission, save session and redirect to home
+	if (req.headers['content-type']?.includes('application/x-www-form-urlencoded')) {
+		req.session.save((err) => {
+			if (err) {
+				console.error('Error saving session:', err);
+				return res.redirect('/login?error=server_error');
+			}
+			return res.redirect('/');
+		});
+		return;
+	}
+
+	res.json({
+		status: 'ok',
+		message: 'Login successful',
+		...extra
+	});
+}
+
 app.post('/login', auth.requireGuest, async (req, res) => {
 	try {
 		// Support both JSON and form-urlencoded
@@ -799,94 +1229,80 @@ app.post('/login', auth.requireGuest, async (req, res) => {
 			});
 		}
 
+		const ipAddress = req.ip || req.connection.remoteAddress || req.socket.remoteAddress || null;
+		const throttle = await loginThrottle.checkLoginAllowed(username, ipAddress);
+		if (!throttle.allowed) {
+			res.set('Retry-After', String(throttle.retryAfterSeconds));
+			if (req.headers['content-type']?.includes('application/x-www-form-urlencoded')) {
+				return res.redirect(`/login?error=${throttle.reason}&retry_after=${throttle.retryAfterSeconds}`);
+			}
+			return res.status(429).json({
+				status: 'error',
+				message: throttle.message,
+				retryAfter: throttle.retryAfterSeconds
+			});
+		}
+
 		const authResult = await auth.authenticate(username, password);
 
 		if (authResult && authResult.success) {
 			const userInfo = authResult.user || {username, role: 'basic'};
-			req.session.authenticated = true;
-			req.session.username = userInfo.username;
-			req.session.role = userInfo.role;
-
-			// Handle remember me token
-			if (rememberMe) {
-				try {
-					// Get user ID from database
-					const user = await db.getUserByUsername(userInfo.username);
-					if (user && user.id) {
-						// Check active tokens limit (max 3 per user)
-						const activeCount = await db.getActiveRememberTokensCount(user.id);
-						if (activeCount >= 3) {
-							// Revoke all existing tokens for this user to enforce limit
-							await db.revokeAllRememberTokensForUser(user.id);
-						}
 
-						// Calculate expiration (default 30 days, configurable)
-						const rememberTokenDays = Number.parseInt(process.env.REMEMBER_TOKEN_DAYS, 10) || 30;
-						const expiresAt = new Date();
-						expiresAt.setDate(expiresAt.getDate() + rememberTokenDays);
-						const expiresAtISO = expiresAt.toISOString();
-
-						// Get user agent and IP for tracking
-						const userAgent = req.headers['user-agent'] || null;
-						const ipAddress = req.ip || req.connection.remoteAddress || null;
-
-						// Create remember token
-						const {token} = await db.createRememberToken(user.id, expiresAtISO, userAgent, ipAddress);
-
-						// Set remember token cookie
-						const cookieName = process.env.REMEMBER_COOKIE_NAME || 'remember_token';
-						const isProduction = process.env.NODE_ENV === 'production';
-						const maxAge = rememberTokenDays * 24 * 60 * 60 * 1000; // Convert days to milliseconds
-
-						res.cookie(cookieName, token, {
-							httpOnly: true,
-							secure: isProduction,
-							sameSite: 'lax',
-							maxAge: maxAge
-						});
-					}
-				} catch (error) {
-					console.error('Error creating remember token:', error);
-					// Don't fail login if remember token creation fails
+			// Users with two-factor authentication, or whose role requires it, complete a second step first
+			const twoFactorUser = await db.getUserTwoFactor(userInfo.username);
+			const twoFactorStep = await twoFactor.getLoginStep(twoFactorUser, auth.normalizeRole(userInfo.role));
+			if (twoFactorStep === 'unavailable') {
+				// The ADMIN_USERNAME account from the environment can't enroll, so its role's requirement can't be met
+				await loginThrottle.recordLoginFailure(username, ipAddress, req.headers['user-agent'] || null, 'Two-factor authentication required but not available for this account');
+				if (req.headers['content-type']?.includes('application/x-www-form-urlencoded')) {
+					return res.redirect('/login?error=two_factor_unavailable');
 				}
+				return res.status(403).json({
+					status: 'error',
+					message: 'Two-factor authentication is required for your role, and this account can\'t set it up. Log in with a database user.'
+				});
 			}
-
-			// Log successful login
-			try {
-				const ipAddress = req.ip || req.connection.remoteAddress || req.socket.remoteAddress || null;
-				const userAgent = req.headers['user-agent'] || null;
-				await db.logUserLogin(username, ipAddress, userAgent);
-			} catch (logError) {
-				console.error('Error logging user login:', logError);
-				// Don't fail login if logging fails
+			if (twoFactorStep) {
+				req.session.pendingLogin = {
+					username: userInfo.username,
+					role: userInfo.role,
+					rememberMe,
+					step: twoFactorStep,
+					expiresAt: Date.now() + PENDING_LOGIN_TTL_MS
+				};
+				if (req.headers['content-type']?.includes('application/x-www-form-urlencoded')) {
+					req.session.save((err) => {
+						if (err) {
+							console.error('Error saving session:', err);
+							return res.redirect('/login?error=server_error');
+						}
+						return res.redirect('/login?step=two_factor');
+					});
+					return;
+				}
+				return res.json({
+					status: 'two_factor_required',
+					step: twoFactorStep
+				});
 			}
 
-			// If it's a form submission, save session and redirect to home
+			await completeLogin(req, res, userInfo, rememberMe, ipAddress);
+			return sendLoginSuccess(req, res);
+		}
+		// Log failed login attempt, locking the account or the address once it reaches its limit
+		const userAgent = req.headers['user-agent'] || null;
+		const failure = await loginThrottle.recordLoginFailure(username, ipAddress, userAgent, 'Invalid username or password');
+		if (failure.locked) {
+			res.set('Retry-After', String(failure.retryAfterSeconds));
 			if (req.headers['content-type']?.includes('application/x-www-form-urlencoded')) {
-				req.session.save((err) => {
-					if (err) {
-						console.error('Error saving session:', err);
-						return res.redirect('/login?error=server_error');
-					}
-					return res.redirect('/');
-				});
-				return;
+				return res.redirect(`/login?error=locked&retry_after=${failure.retryAfterSeconds}`);
 			}
-
-			return res.json({
-				status: 'ok',
-				message: 'Login successful'
+			return res.status(429).json({
+				status: 'error',
+				message: failure.message,
+				retryAfter: failure.retryAfterSeconds
 			});
 		}
-		// Log failed login attempt
-		try {
-			const ipAddress = req.ip || req.connection.remoteAddress || req.socket.remoteAddress || null;
-			const userAgent = req.headers['user-agent'] || null;
-			await db.logUserLoginAttempt(username, ipAddress, userAgent, 'Invalid username or password');
-		} catch (logError) {
-			console.error('Error logging failed login attempt:', logError);
-			// Don't fail the error response if logging fails
-		}
 
 		// If it's a form submission, redirect back with error
 		if (req.headers['content-type']?.includes('application/x-www-form-urlencoded')) {
@@ -915,6 +1331,210 @@ app.post('/login', auth.requireGuest, async (req, res) => {
 	}
 });
 
+/**
+ * Get the login waiting for its second factor, if it hasn't expired
+ * @param {import('express').Request} req - Express request
+ * @returns {object|null} username, role, rememberMe, step ('verify' or 'enroll') and, while enrolling, totpSecret
+ */
+function getPendingLogin(req) {
+	const pending = req.session?.pendingLogin;
+	if (!pending) {
+		return null;
+	}
+	if (pending.expiresAt < Date.now()) {
+		delete req.session.pendingLogin;
+		return null;
+	}
+	return pending;
+}
+
+app.get('/login/2fa', auth.requireGuest, (req, res) => {
+	const pending = getPendingLogin(req);
+	if (!pending) {
+		return res.status(404).json({
+			status: 'error',
+			message: 'No login in progress'
+		});
+	}
+	res.json({
+		status: 'ok',
+		step: pending.step,
+		username: pending.username
+	});
+});
+
+app.post('/login/2fa/setup', auth.requireGuest, (req, res) => {
+	const pending = getPendingLogin(req);
+	if (!pending || pending.step !== 'enroll') {
+		return res.status(400).json({
+			status: 'error',
+			message: 'No two-factor enrollment in progress'
+		});
+	}
+
+	pending.totpSecret ||= twoFactor.generateSecret();
+	res.json({
+		status: 'ok',
+		secret: pending.totpSecret,
+		otpauthUri: twoFactor.getOtpAuthUri(pending.totpSecret, pending.username)
+	});
+});
+
+app.post('/login/2fa', auth.requireGuest, async (req, res) => {
+	try {
+		const pending = getPendingLogin(req);
+		if (!pending) {
+			return res.status(401).json({
+				status: 'error',
+				message: 'Your login has expired. Sign in again.'
+			});
+		}
+
+		const ipAddress = req.ip || req.connection.remoteAddress || req.socket.remoteAddress || null;
+		const throttle = await loginThrottle.checkLoginAllowed(pending.username, ipAddress);
+		if (!throttle.allowed) {
+			res.set('Retry-After', String(throttle.retryAfterSeconds));
+			return res.status(429).json({
+				status: 'error',
+				message: throttle.message,
+				retryAfter: throttle.retryAfterSeconds
+			});
+		}
+
+		const code = typeof req.body.code === 'string' ? req.body.code.trim() : '';
+		if (!code) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Code is required'
+			});
+		}
+
+		const user = await db.getUserTwoFactor(pending.username);
+		if (!user) {
+			delete req.session.pendingLogin;
+			return res.status(401).json({
+				status: 'error',
+				message: 'Your login has expired. Sign in again.'
+			});
+		}
+
+		let valid = false;
+		let recoveryCodes = null;
+		if (pending.step === 'enroll') {
+			const step = pending.totpSecret ? twoFactor.findTotpStep(pending.totpSecret, code) : null;
+			if (step !== null) {
+				recoveryCodes = await twoFactor.enableTwoFactor(user, pending.totpSecret, step);
+				valid = true;
+			}
+		} else {
+			({valid} = await twoFactor.verifySecondFactor(user, code));
+		}
+
+		if (!valid) {
+			const userAgent = req.headers['user-agent'] || null;
+			const failure = await loginThrottle.recordLoginFailure(pending.username, ipAddress, userAgent, 'Invalid two-factor code');
+			if (failure.locked) {
+				delete req.session.pendingLogin;
+				res.set('Retry-After', String(failure.retryAfterSeconds));
+				return res.status(429).json({
+					status: 'error',
+					message: failure.message,
+					retryAfter: failure.retryAfterSeconds
+				});
+			}
+			return res.status(400).json({
+				status: 'error',
+				message: 'Invalid code'
+			});
+		}
+
+		delete req.session.pendingLogin;
+		await completeLogin(req, res, {username: pending.username, role: pending.role}, pending.rememberMe, ipAddress);
+		return sendLoginSuccess(req, res, recoveryCodes ? {recoveryCodes} : {});
+	} catch (error) {
+		console.error('Two-factor login error:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Internal server error'
+		});
+	}
+});
+
+/**
+ * Redirect once the session is saved, so the next request sees it
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @param {string} location - Redirect target
+ */
+function redirectAfterSessionSave(req, res, location) {
+	req.session.save((err) => {
+		if (err) {
+			console.error('Error saving session:', err);
+			return res.redirect('/login?error=server_error');
+		}
+		return res.redirect(location);
+	});
+}
+
+// Single sign-on (OpenID Connect), see src/auth/oidc.js
+app.get('/auth/oidc/login', auth.requireGuest, async (req, res) => {
+	if (!oidc.isEnabled()) {
+		return res.redirect('/login?error=sso_disabled');
+	}
+	try {
+		const {url, state} = await oidc.createAuthorizationRequest(oidc.getRedirectUri(req));
+		req.session.oidc = {...state, rememberMe: req.query.remember === 'true'};
+		redirectAfterSessionSave(req, res, url);
+	} catch (error) {
+		console.error('Error starting SSO login:', error.message);
+		res.redirect('/login?error=sso_failed');
+	}
+});
+
+app.get('/auth/oidc/callback', auth.requireGuest, async (req, res) => {
+	if (!oidc.isEnabled()) {
+		return res.redirect('/login?error=sso_disabled');
+	}
+	const pending = req.session.oidc;
+	delete req.session.oidc;
+
+	try {
+		const isFresh = pending && Date.now() - pending.createdAt < PENDING_LOGIN_TTL_MS;
+		const profile = await oidc.handleCallback(req.query, isFresh ? pending : null);
+		const result = await db.provisionSsoUser(
+			{...profile, initials: deriveInitialsFromName(profile.name)},
+			{syncRole: oidc.hasRoleMapping(), linkLocalUsers: oidc.OIDC_LINK_LOCAL_USERS}
+		);
+		if (result.conflict) {
+			console.warn(`SSO login of ${profile.username} refused: the username belongs to another account`);
+			return res.redirect('/login?error=sso_conflict');
+		}
+
+		const userInfo = {username: result.user.username, role: result.user.role};
+		const twoFactorStep = await twoFactor.getLoginStep(result.user, userInfo.role);
+		if (twoFactorStep) {
+			req.session.pendingLogin = {
+				...userInfo,
+				rememberMe: pending.rememberMe,
+				step: twoFactorStep,
+				expiresAt: Date.now() + PENDING_LOGIN_TTL_MS
+			};
+			return redirectAfterSessionSave(req, res, '/login?step=two_factor');
+		}
+
+		const ipAddress = req.ip || req.connection.remoteAddress || req.socket.remoteAddress || null;
+		await completeLogin(req, res, userInfo, pending.rememberMe, ipAddress);
+		redirectAfterSessionSave(req, res, '/');
+	} catch (error) {
+		if (error instanceof oidc.OidcError) {
+			console.warn('SSO login failed:', error.message);
+			return res.redirect(`/login?error=${error.code}`);
+		}
+		console.error('SSO login error:', error);
+		res.redirect('/login?error=sso_failed');
+	}
+});
+
 app.post('/logout', async (req, res) => {
 	// Revoke remember token if present
 	const cookieName = process.env.REMEMBER_COOKIE_NAME || 'remember_token';
@@ -954,17 +1574,21 @@ app.get('/api/auth/status', (req, res) => {
 		authenticated: isAuthenticated,
 		username: req.session && req.session.username || null,
 		role: isAuthenticated && req.session?.role? auth.normalizeRole(req.session.role): null,
-		csrfToken: csrf.getToken(req)
+		csrfToken: csrf.getToken(req),
+		sso: {oidc: oidc.getLoginOption()}
 	});
 });
 
 // User management API endpoints
 app.get('/api/users', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
 	try {
-		const users = await db.getAllUsers();
+		const [users, lockedUsernames] = await Promise.all([
+			db.getAllUsers(),
+			db.getLockedUsernames()
+		]);
 		res.json({
 			status: 'ok',
-			users: users
+			users: users.map(user => ({...user, locked_until: lockedUsernames.get(user.username.toLowerCase()) || null}))
 		});
 	} catch (error) {
 		console.error('Error fetching users:', error);
@@ -1014,120 +1638,1679 @@ app.post('/api/users', auth.requireAuth, auth.requireRole('administrator'), asyn
 			}
 		});
 	} catch (error) {
-		console.error('Error creating user:', error);
+		console.error('Error creating user:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to create user'
+		});
+	}
+});
+
+app.delete('/api/users/:username', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const {username} = req.params;
+
+		// Prevent deleting the current user
+		if (req.session && req.session.username === username) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Cannot delete your own user account'
+			});
+		}
+
+		const user = await db.getUserByUsername(username);
+		const deleted = await db.deleteUser(username);
+		if (!deleted) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'User not found'
+			});
+		}
+
+		auditLog.setAuditContext(req, {
+			before: user ? {username: user.username, role: user.role, team_id: user.team_id} : null
+		});
+		res.json({
+			status: 'ok',
+			message: 'User deleted successfully'
+		});
+	} catch (error) {
+		console.error('Error deleting user:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to delete user'
+		});
+	}
+});
+
+app.put('/api/users/:username/password', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const {username} = req.params;
+		const {password} = req.body;
+
+		if (!password) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Password is required'
+			});
+		}
+
+		// Hash password
+		const passwordHash = await auth.hashPassword(password);
+
+		// Update password
+		const updated = await db.updateUserPassword(username, passwordHash);
+		if (!updated) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'User not found'
+			});
+		}
+
+		res.json({
+			status: 'ok',
+			message: 'Password updated successfully'
+		});
+	} catch (error) {
+		console.error('Error updating password:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to update password'
+		});
+	}
+});
+
+app.put('/api/users/:username/role', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const {username} = req.params;
+		const {role} = req.body;
+
+		if (!role) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Role is required'
+			});
+		}
+
+		const normalizedRole = auth.normalizeRole(role);
+		const user = await db.getUserByUsername(username);
+		const updated = await db.updateUserRole(username, normalizedRole);
+		if (!updated) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'User not found'
+			});
+		}
+		auditLog.setAuditContext(req, {before: {role: user?.role ?? null}, after: {role: normalizedRole}});
+
+		// If the authenticated user updated their own role, refresh session value
+		if (req.session && req.session.username === username) {
+			req.session.role = normalizedRole;
+		}
+
+		res.json({
+			status: 'ok',
+			message: 'Role updated successfully',
+			role: normalizedRole
+		});
+	} catch (error) {
+		console.error('Error updating user role:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to update role'
+		});
+	}
+});
+
+app.post('/api/users/:username/unlock', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const {username} = req.params;
+
+		const user = await db.getUserByUsername(username);
+		if (!user) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'User not found'
+			});
+		}
+
+		await loginThrottle.unlockAccount(username, req.session.username);
+
+		res.json({
+			status: 'ok',
+			message: 'User unlocked successfully'
+		});
+	} catch (error) {
+		console.error('Error unlocking user:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to unlock user'
+		});
+	}
+});
+
+app.post('/api/ip-addresses/:ipAddress/unlock', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const {ipAddress} = req.params;
+
+		if (!net.isIP(ipAddress)) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'ipAddress must be a valid IPv4 or IPv6 address'
+			});
+		}
+
+		await loginThrottle.unlockIpAddress(ipAddress, req.session.username);
+
+		res.json({
+			status: 'ok',
+			message: 'IP address unlocked successfully'
+		});
+	} catch (error) {
+		console.error('Error unlocking IP address:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to unlock IP address'
+		});
+	}
+});
+
+app.delete('/api/users/:username/2fa', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const user = await db.getUserTwoFactor(req.params.username);
+		if (!user) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'User not found'
+			});
+		}
+
+		await db.disableUserTotp(user.id);
+
+		res.json({
+			status: 'ok',
+			message: 'Two-factor authentication reset successfully'
+		});
+	} catch (error) {
+		console.error('Error resetting two-factor authentication:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to reset two-factor authentication'
+		});
+	}
+});
+
+app.get('/api/settings/two-factor', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const requiredRoles = await twoFactor.getRequiredRoles();
+		res.json({
+			status: 'ok',
+			requiredRoles
+		});
+	} catch (error) {
+		console.error('Error fetching two-factor settings:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to fetch two-factor settings'
+		});
+	}
+});
+
+app.put('/api/settings/two-factor', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const {requiredRoles} = req.body;
+		if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !auth.VALID_ROLES.includes(role))) {
+			return res.status(400).json({
+				status: 'error',
+				message: `requiredRoles must be a list of: ${auth.VALID_ROLES.join(', ')}`
+			});
+		}
+
+		const currentRoles = await twoFactor.getRequiredRoles();
+		if (req.session.role !== 'god' && currentRoles.includes('god') !== requiredRoles.includes('god')) {
+			return res.status(403).json({
+				status: 'error',
+				message: 'Only god users can change the requirement for the god role'
+			});
+		}
+
+		await twoFactor.setRequiredRoles(requiredRoles);
+
+		res.json({
+			status: 'ok',
+			message: 'Two-factor settings updated successfully',
+			requiredRoles: await twoFactor.getRequiredRoles()
+		});
+	} catch (error) {
+		console.error('Error updating two-factor settings:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to update two-factor settings'
+		});
+	}
+});
+
+// Two-factor authentication of the current user
+app.get('/api/account/2fa', auth.requireAuth, async (req, res) => {
+	try {
+		const user = await db.getUserTwoFactor(req.session.username);
+		const required = await twoFactor.isRequiredForRole(req.session.role);
+		res.json({
+			status: 'ok',
+			available: Boolean(user),
+			enabled: Boolean(user?.totp_enabled_at),
+			enabledAt: user?.totp_enabled_at || null,
+			recoveryCodesLeft: user?.totp_enabled_at ? user.recovery_codes_left : 0,
+			required
+		});
+	} catch (error) {
+		console.error('Error fetching two-factor status:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to fetch two-factor status'
+		});
+	}
+});
+
+app.post('/api/account/2fa/setup', auth.requireAuth, async (req, res) => {
+	try {
+		const user = await db.getUserTwoFactor(req.session.username);
+		if (!user) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Two-factor authentication is only available for database users'
+			});
+		}
+		if (user.totp_enabled_at) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Two-factor authentication is already enabled'
+			});
+		}
+
+		const secret = twoFactor.generateSecret();
+		req.session.totpEnrollmentSecret = secret;
+		res.json({
+			status: 'ok',
+			secret,
+			otpauthUri: twoFactor.getOtpAuthUri(secret, user.username)
+		});
+	} catch (error) {
+		console.error('Error starting two-factor setup:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to start two-factor setup'
+		});
+	}
+});
+
+app.post('/api/account/2fa/enable', auth.requireAuth, async (req, res) => {
+	try {
+		const secret = req.session.totpEnrollmentSecret;
+		const user = await db.getUserTwoFactor(req.session.username);
+		if (!user || !secret || user.totp_enabled_at) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'No two-factor setup in progress'
+			});
+		}
+
+		const step = twoFactor.findTotpStep(secret, req.body.code);
+		if (step === null) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Invalid code'
+			});
+		}
+
+		const recoveryCodes = await twoFactor.enableTwoFactor(user, secret, step);
+		delete req.session.totpEnrollmentSecret;
+
+		res.json({
+			status: 'ok',
+			message: 'Two-factor authentication enabled',
+			recoveryCodes
+		});
+	} catch (error) {
+		console.error('Error enabling two-factor authentication:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to enable two-factor authentication'
+		});
+	}
+});
+
+app.post('/api/account/2fa/recovery-codes', auth.requireAuth, async (req, res) => {
+	try {
+		const user = await db.getUserTwoFactor(req.session.username);
+		if (!user || !user.totp_enabled_at) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Two-factor authentication is not enabled'
+			});
+		}
+
+		const {valid} = await twoFactor.verifySecondFactor(user, req.body.code);
+		if (!valid) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Invalid code'
+			});
+		}
+
+		const recoveryCodes = await twoFactor.regenerateRecoveryCodes(user);
+		res.json({
+			status: 'ok',
+			message: 'Recovery codes regenerated',
+			recoveryCodes
+		});
+	} catch (error) {
+		console.error('Error regenerating recovery codes:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to regenerate recovery codes'
+		});
+	}
+});
+
+app.post('/api/account/2fa/disable', auth.requireAuth, async (req, res) => {
+	try {
+		const user = await db.getUserTwoFactor(req.session.username);
+		if (!user || !user.totp_enabled_at) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Two-factor authentication is not enabled'
+			});
+		}
+		if (await twoFactor.isRequiredForRole(req.session.role)) {
+			return res.status(403).json({
+				status: 'error',
+				message: 'Two-factor authentication is required for your role'
+			});
+		}
+
+		const {valid} = await twoFactor.verifySecondFactor(user, req.body.code);
+		if (!valid) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Invalid code'
+			});
+		}
+
+		await db.disableUserTotp(user.id);
+		res.json({
+			status: 'ok',
+			message: 'Two-factor authentication disabled'
+		});
+	} catch (error) {
+		console.error('Error disabling two-factor authentication:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to disable two-factor authentication'
+		});
+	}
+});
+
+// Personal API tokens of the signed-in user, see src/auth/personal-tokens.js
+app.get('/api/account/tokens', auth.requireAuth, async (req, res) => {
+	try {
+		const user = await db.getUserByUsername(req.session.username);
+		res.json({
+			status: 'ok',
+			available: Boolean(user),
+			scopes: personalTokens.getScopesForRole(req.session.role),
+			tokens: user ? await db.getPersonalAccessTokens(user.id) : []
+		});
+	} catch (error) {
+		console.error('Error fetching personal access tokens:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to fetch API tokens'
+		});
+	}
+});
+
+app.post('/api/account/tokens', auth.requireAuth, async (req, res) => {
+	try {
+		const user = await db.getUserByUsername(req.session.username);
+		if (!user) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'API tokens are only available for database users'
+			});
+		}
+
+		const {token: tokenRequest, errors} = personalTokens.validateTokenRequest(req.body, req.session.role);
+		if (errors.length > 0) {
+			return res.status(400).json({
+				status: 'error',
+				message: errors.join('; ')
+			});
+		}
+
+		const {token, accessToken} = await db.createPersonalAccessToken({userId: user.id, ...tokenRequest});
+		res.status(201).json({
+			status: 'ok',
+			message: 'API token created successfully',
+			token: token,
+			accessToken: accessToken
+		});
+	} catch (error) {
+		console.error('Error creating personal access token:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to create API token'
+		});
+	}
+});
+
+app.delete('/api/account/tokens/:id', auth.requireAuth, async (req, res) => {
+	try {
+		const tokenId = Number.parseInt(req.params.id, 10);
+		if (Number.isNaN(tokenId)) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Invalid token ID'
+			});
+		}
+
+		const user = await db.getUserByUsername(req.session.username);
+		const revoked = user ? await db.revokePersonalAccessToken(tokenId, user.id) : false;
+		if (!revoked) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'API token not found or already revoked'
+			});
+		}
+
+		res.json({
+			status: 'ok',
+			message: 'API token revoked successfully'
+		});
+	} catch (error) {
+		console.error('Error revoking personal access token:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to revoke API token'
+		});
+	}
+});
+
+// Ingestion API keys endpoints
+app.get('/api/ingestion-keys', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const [keys, mode] = await Promise.all([
+			db.getIngestionApiKeys(),
+			apiKeys.getIngestionAuthMode()
+		]);
+		res.json({
+			status: 'ok',
+			mode: mode,
+			modes: apiKeys.INGESTION_AUTH_MODES,
+			keys: keys
+		});
+	} catch (error) {
+		console.error('Error fetching ingestion API keys:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to fetch ingestion API keys'
+		});
+	}
+});
+
+app.post('/api/ingestion-keys', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const {name, serverIds, orgIds} = req.body;
+
+		if (!name || typeof name !== 'string' || !name.trim()) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Key name is required'
+			});
+		}
+
+		const {key, apiKey} = await db.createIngestionApiKey({
+			name: name.trim(),
+			serverIds: serverIds,
+			orgIds: orgIds,
+			createdBy: req.session?.username || null
+		});
+
+		res.status(201).json({
+			status: 'ok',
+			message: 'Ingestion API key created successfully',
+			key: key,
+			apiKey: apiKey
+		});
+	} catch (error) {
+		console.error('Error creating ingestion API key:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to create ingestion API key'
+		});
+	}
+});
+
+app.put('/api/ingestion-keys/mode', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const {mode} = req.body;
+
+		if (!apiKeys.INGESTION_AUTH_MODES.includes(mode)) {
+			return res.status(400).json({
+				status: 'error',
+				message: `Mode must be one of: ${apiKeys.INGESTION_AUTH_MODES.join(', ')}`
+			});
+		}
+
+		await apiKeys.setIngestionAuthMode(mode);
+
+		res.json({
+			status: 'ok',
+			message: 'Ingestion auth mode updated successfully',
+			mode: mode
+		});
+	} catch (error) {
+		console.error('Error updating ingestion auth mode:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to update ingestion auth mode'
+		});
+	}
+});
+
+app.put('/api/ingestion-keys/:id', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const keyId = Number.parseInt(req.params.id, 10);
+		if (Number.isNaN(keyId)) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Invalid key ID'
+			});
+		}
+
+		const {name, serverIds, orgIds} = req.body;
+		const apiKey = await db.updateIngestionApiKey(keyId, {
+			name: typeof name === 'string' ? name.trim() : null,
+			serverIds: serverIds,
+			orgIds: orgIds
+		});
+		if (!apiKey) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'Ingestion API key not found'
+			});
+		}
+
+		res.json({
+			status: 'ok',
+			message: 'Ingestion API key updated successfully',
+			apiKey: apiKey
+		});
+	} catch (error) {
+		console.error('Error updating ingestion API key:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to update ingestion API key'
+		});
+	}
+});
+
+app.post('/api/ingestion-keys/:id/rotate', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const keyId = Number.parseInt(req.params.id, 10);
+		if (Number.isNaN(keyId)) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Invalid key ID'
+			});
+		}
+
+		const rotated = await db.rotateIngestionApiKey(keyId, req.session?.username || null);
+		if (!rotated) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'Active ingestion API key not found'
+			});
+		}
+
+		res.json({
+			status: 'ok',
+			message: 'Ingestion API key rotated successfully',
+			key: rotated.key,
+			apiKey: rotated.apiKey
+		});
+	} catch (error) {
+		console.error('Error rotating ingestion API key:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to rotate ingestion API key'
+		});
+	}
+});
+
+app.delete('/api/ingestion-keys/:id', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const keyId = Number.parseInt(req.params.id, 10);
+		if (Number.isNaN(keyId)) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Invalid key ID'
+			});
+		}
+
+		const revoked = await db.revokeIngestionApiKey(keyId);
+		if (!revoked) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'Active ingestion API key not found'
+			});
+		}
+
+		res.json({
+			status: 'ok',
+			message: 'Ingestion API key revoked successfully'
+		});
+	} catch (error) {
+		console.error('Error revoking ingestion API key:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to revoke ingestion API key'
+		});
+	}
+});
+
+// Retention policies endpoints
+const RETENTION_POLICY_AREAS = ['tool', 'session', 'general'];
+
+/**
+ * Validate a retention policy request body
+ * @param {object} body - Request body (name, area, eventType, teamId, retentionDays, enabled)
+ * @returns {{policy: object|null, error: string|null}}
+ */
+function parseRetentionPolicyBody(body = {}) {
+	const name = typeof body.name === 'string' ? body.name.trim() : '';
+	if (!name) {
+		return {policy: null, error: 'Policy name is required'};
+	}
+	const retentionDays = Number.parseInt(body.retentionDays, 10);
+	if (!Number.isFinite(retentionDays) || retentionDays < 1 || retentionDays > 3650) {
+		return {policy: null, error: 'Retention must be between 1 and 3650 days'};
+	}
+	const area = body.area || null;
+	if (area && !RETENTION_POLICY_AREAS.includes(area)) {
+		return {policy: null, error: `Area must be one of: ${RETENTION_POLICY_AREAS.join(', ')}`};
+	}
+	const teamId = body.teamId ? Number.parseInt(body.teamId, 10) : null;
+	if (body.teamId && !Number.isFinite(teamId)) {
+		return {policy: null, error: 'Invalid team ID'};
+	}
+	const eventType = typeof body.eventType === 'string' && body.eventType.trim() ? body.eventType.trim() : null;
+
+	return {
+		policy: {name, area, eventType, teamId, retentionDays, enabled: body.enabled !== false},
+		error: null
+	};
+}
+
+app.get('/api/retention-policies', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const [policies, preview] = await Promise.all([
+			db.getRetentionPolicies(),
+			db.previewRetentionPolicies()
+		]);
+		const pendingRows = new Map(preview.map(item => [item.id, item.rows]));
+		res.json({
+			status: 'ok',
+			policies: policies.map(policy => ({...policy, pending_rows: pendingRows.get(policy.id) ?? 0})),
+			job: retentionJob.getStatus()
+		});
+	} catch (error) {
+		console.error('Error fetching retention policies:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to fetch retention policies'
+		});
+	}
+});
+
+app.post('/api/retention-policies/preview', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	const {policy, error} = parseRetentionPolicyBody(req.body);
+	if (error) {
+		return res.status(400).json({
+			status: 'error',
+			message: error
+		});
+	}
+
+	try {
+		const policyId = Number.parseInt(req.body.id, 10);
+		const draft = {
+			id: Number.isFinite(policyId) ? policyId : null,
+			name: policy.name,
+			area: policy.area,
+			event_type: policy.eventType,
+			team_id: policy.teamId,
+			retention_days: policy.retentionDays,
+			enabled: true
+		};
+		const preview = await db.previewRetentionPolicies(draft);
+		res.json({
+			status: 'ok',
+			rows: preview.find(item => item.id === draft.id)?.rows ?? 0
+		});
+	} catch (error) {
+		console.error('Error previewing retention policy:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to preview retention policy'
+		});
+	}
+});
+
+app.post('/api/retention-policies', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	const {policy, error} = parseRetentionPolicyBody(req.body);
+	if (error) {
+		return res.status(400).json({
+			status: 'error',
+			message: error
+		});
+	}
+
+	try {
+		const created = await db.createRetentionPolicy(policy, req.session?.username || null);
+		res.status(201).json({
+			status: 'ok',
+			message: 'Retention policy created successfully',
+			policy: created
+		});
+	} catch (error) {
+		console.error('Error creating retention policy:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to create retention policy'
+		});
+	}
+});
+
+app.put('/api/retention-policies/:id', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	const policyId = Number.parseInt(req.params.id, 10);
+	if (Number.isNaN(policyId)) {
+		return res.status(400).json({
+			status: 'error',
+			message: 'Invalid policy ID'
+		});
+	}
+	const {policy, error} = parseRetentionPolicyBody(req.body);
+	if (error) {
+		return res.status(400).json({
+			status: 'error',
+			message: error
+		});
+	}
+
+	try {
+		const updated = await db.updateRetentionPolicy(policyId, policy);
+		if (!updated) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'Retention policy not found'
+			});
+		}
+		res.json({
+			status: 'ok',
+			message: 'Retention policy updated successfully',
+			policy: updated
+		});
+	} catch (error) {
+		console.error('Error updating retention policy:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to update retention policy'
+		});
+	}
+});
+
+app.delete('/api/retention-policies/:id', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const policyId = Number.parseInt(req.params.id, 10);
+		if (Number.isNaN(policyId)) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'Invalid policy ID'
+			});
+		}
+
+		const deleted = await db.deleteRetentionPolicy(policyId);
+		if (!deleted) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'Retention policy not found'
+			});
+		}
+		res.json({
+			status: 'ok',
+			message: 'Retention policy deleted successfully'
+		});
+	} catch (error) {
+		console.error('Error deleting retention policy:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to delete retention policy'
+		});
+	}
+});
+
+app.post('/api/retention-policies/run', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const result = await retentionJob.runNow();
+		if (!result) {
+			return res.status(409).json({
+				status: 'error',
+				message: 'A retention purge is already running'
+			});
+		}
+		res.json({
+			status: 'ok',
+			message: `Purged ${result.deleted} expired events`,
+			deleted: result.deleted,
+			policies: result.policies
+		});
+	} catch (error) {
+		console.error('Error running retention policies:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to run retention policies'
+		});
+	}
+});
+
+// Ingestion queue endpoints
+app.get('/api/ingestion-queue', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const queue = await ingestionWorker.getQueueHealth({includeLastError: true});
+		res.json({
+			status: 'ok',
+			queue: queue
+		});
+	} catch (error) {
+		console.error('Error fetching ingestion queue status:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to fetch ingestion queue status'
+		});
+	}
+});
+
+app.post('/api/ingestion-queue/requeue-dead', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const requeuedCount = await db.requeueDeadQueuedEvents();
+		ingestionWorker.notify();
+		res.json({
+			status: 'ok',
+			message: `Requeued ${requeuedCount} dead-lettered events`,
+			requeuedCount: requeuedCount
+		});
+	} catch (error) {
+		console.error('Error requeueing dead-lettered events:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to requeue dead-lettered events'
+		});
+	}
+});
+
+/**
+ * Re-run a quarantined payload through validation and the parser registry and, unless
+ * dryRun is set, store it in telemetry_events and mark it as promoted
+ * @param {object} rejectedEvent - rejected_events row
+ * @param {object} options - Promotion options
+ * @param {boolean} options.dryRun - Only report whether the payload parses now
+ * @param {string|null} options.promotedBy - Username of the administrator
+ * @returns {Promise<{status: string, message: string, errors?: Array, event?: object}>}
+ */
+async function promoteRejectedEvent(rejectedEvent, {dryRun = false, promotedBy = null} = {}) {
+	if (rejectedEvent.promoted_at) {
+		return {status: 'already_promoted', message: 'Payload was already promoted'};
+	}
+
+	const receivedAt = new Date(rejectedEvent.received_at).toISOString();
+	const {telemetryEvent, rejection} = validateAndParseEvent(rejectedEvent.payload, receivedAt);
+	if (rejection) {
+		return {status: 'rejected', message: `Payload still fails ${rejection.stage}`, errors: rejection.errors};
+	}
+
+	telemetryEvent.receivedAt = receivedAt;
+
+	const eventTypeId = await db.getEventTypeId(telemetryEvent.eventType);
+	if (!eventTypeId) {
+		return {
+			status: 'rejected',
+			message: 'Payload still has an unknown event type',
+			errors: [{field: 'eventType', message: `unknown event type '${telemetryEvent.eventType}'`}]
+		};
+	}
+
+	if (dryRun) {
+		return {status: 'ok', message: 'Payload parses successfully', event: telemetryEvent.toSummary()};
+	}
+
+	const stored = await db.storeEvent(telemetryEvent, receivedAt, rejectedEvent.api_key_id);
+	if (!stored) {
+		return {status: 'not_stored', message: 'Payload was not stored (duplicate eventId or missing user)'};
+	}
+	await db.markRejectedEventPromoted(rejectedEvent.id, promotedBy);
+	return {status: 'ok', message: 'Payload promoted', event: telemetryEvent.toSummary()};
+}
+
+// Rejected payloads (quarantine) API endpoints
+app.get('/api/rejected-events/groups', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const groups = await db.getRejectedEventGroups({includePromoted: req.query.includePromoted === 'true'});
+		res.json({
+			status: 'ok',
+			groups: groups
+		});
+	} catch (error) {
+		console.error('Error fetching rejected event groups:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to fetch rejected event groups'
+		});
+	}
+});
+
+app.get('/api/rejected-events', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const limit = Math.min(Number.parseInt(req.query.limit, 10) || 50, MAX_API_LIMIT);
+		const offset = Math.max(Number.parseInt(req.query.offset, 10) || 0, 0);
+		const events = await db.getRejectedEvents({
+			signature: req.query.signature || null,
+			includePromoted: req.query.includePromoted === 'true',
+			limit,
+			offset
+		});
+		res.json({
+			status: 'ok',
+			events: events,
+			limit: limit,
+			offset: offset
+		});
+	} catch (error) {
+		console.error('Error fetching rejected events:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to fetch rejected events'
+		});
+	}
+});
+
+app.post('/api/rejected-events/:id/promote', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const rejectedEvent = await db.getRejectedEventById(req.params.id);
+		if (!rejectedEvent) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'Rejected event not found'
+			});
+		}
+
+		const dryRun = req.body?.dryRun === true;
+		const result = await promoteRejectedEvent(rejectedEvent, {dryRun, promotedBy: req.session?.username || null});
+		if (result.status !== 'ok') {
+			return res.status(422).json({
+				status: 'error',
+				reason: result.status,
+				message: result.message,
+				errors: result.errors || []
+			});
+		}
+
+		if (!dryRun) {
+			statsCache.clear();
+			sessionsCache.clear();
+			userIdsCache.clear();
+		}
+		res.json({
+			status: 'ok',
+			dryRun: dryRun,
+			message: result.message,
+			event: result.event
+		});
+	} catch (error) {
+		console.error('Error promoting rejected event:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to promote rejected event'
+		});
+	}
+});
+
+app.post('/api/rejected-events/groups/promote', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	const signature = req.body?.signature;
+	if (!signature || typeof signature !== 'string') {
+		return res.status(400).json({
+			status: 'error',
+			message: 'signature is required'
+		});
+	}
+
+	try {
+		const rejectedEvents = await db.getRejectedEvents({signature, limit: MAX_API_LIMIT});
+		const promotedBy = req.session?.username || null;
+		let promoted = 0;
+		let failed = 0;
+		let lastError = null;
+		for (const rejectedEvent of rejectedEvents) {
+			const result = await promoteRejectedEvent(rejectedEvent, {promotedBy});
+			if (result.status === 'ok') {
+				promoted++;
+			} else {
+				failed++;
+				lastError = result.errors?.[0]?.message || result.message;
+			}
+		}
+
+		if (promoted > 0) {
+			statsCache.clear();
+			sessionsCache.clear();
+			userIdsCache.clear();
+		}
+		res.json({
+			status: 'ok',
+			message: `Promoted ${promoted} of ${rejectedEvents.length} payloads`,
+			promoted: promoted,
+			failed: failed,
+			lastError: lastError
+		});
+	} catch (error) {
+		console.error('Error promoting rejected event group:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to promote rejected events'
+		});
+	}
+});
+
+app.delete('/api/rejected-events/groups', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	const signature = req.body?.signature;
+	if (!signature || typeof signature !== 'string') {
+		return res.status(400).json({
+			status: 'error',
+			message: 'signature is required'
+		});
+	}
+
+	try {
+		const deletedCount = await db.deleteRejectedEventGroup(signature);
+		res.json({
+			status: 'ok',
+			message: `Deleted ${deletedCount} rejected payloads`,
+			deletedCount: deletedCount
+		});
+	} catch (error) {
+		console.error('Error deleting rejected event group:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to delete rejected events'
+		});
+	}
+});
+
+// Error groups (tool errors grouped by normalized message fingerprint)
+app.get('/api/error-groups', auth.requireAuth, auth.requireRole('advanced'), async (req, res) => {
+	try {
+		const limit = Math.min(Number.parseInt(req.query.limit, 10) || 50, MAX_API_LIMIT);
+		const offset = Math.max(Number.parseInt(req.query.offset, 10) || 0, 0);
+		const trendDays = Number.parseInt(req.query.trendDays, 10);
+		const status = ['open', 'resolved'].includes(req.query.status) ? req.query.status : null;
+		const {groups, total} = await db.getErrorGroups({
+			status,
+			tool: req.query.tool || null,
+			search: req.query.search || null,
+			trendDays: Number.isFinite(trendDays) ? trendDays : 14,
+			limit,
+			offset
+		});
+		res.json({
+			status: 'ok',
+			groups: groups,
+			total: total,
+			limit: limit,
+			offset: offset
+		});
+	} catch (error) {
+		console.error('Error fetching error groups:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to fetch error groups'
+		});
+	}
+});
+
+app.post('/api/error-groups/:id/resolve', auth.requireAuth, auth.requireRole('advanced'), async (req, res) => {
+	const groupId = Number.parseInt(req.params.id, 10);
+	if (!Number.isFinite(groupId)) {
+		return res.status(400).json({
+			status: 'error',
+			message: 'Invalid error group ID'
+		});
+	}
+
+	try {
+		const group = await db.resolveErrorGroup(groupId, req.session?.username || null);
+		if (!group) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'Error group not found'
+			});
+		}
+		res.json({
+			status: 'ok',
+			group: group
+		});
+	} catch (error) {
+		console.error('Error resolving error group:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to resolve error group'
+		});
+	}
+});
+
+app.post('/api/error-groups/:id/reopen', auth.requireAuth, auth.requireRole('advanced'), async (req, res) => {
+	const groupId = Number.parseInt(req.params.id, 10);
+	if (!Number.isFinite(groupId)) {
+		return res.status(400).json({
+			status: 'error',
+			message: 'Invalid error group ID'
+		});
+	}
+
+	try {
+		const group = await db.reopenErrorGroup(groupId);
+		if (!group) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'Error group not found'
+			});
+		}
+		res.json({
+			status: 'ok',
+			group: group
+		});
+	} catch (error) {
+		console.error('Error reopening error group:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to reopen error group'
+		});
+	}
+});
+
+// Alert rules (evaluated by the alert engine, see src/alerts/)
+app.get('/api/alert-rules', auth.requireAuth, auth.requireRole('administrator'), async (_req, res) => {
+	try {
+		const rules = await db.getAlertRules();
+		res.json({
+			status: 'ok',
+			rules: rules,
+			types: alertEngine.getRuleTypes()
+		});
+	} catch (error) {
+		console.error('Error fetching alert rules:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to fetch alert rules'
+		});
+	}
+});
+
+app.post('/api/alert-rules', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	const {rule, errors} = alertEngine.validateAlertRule(req.body || {});
+	if (errors.length > 0) {
+		return res.status(400).json({
+			status: 'error',
+			message: errors.join('; '),
+			errors: errors
+		});
+	}
+
+	try {
+		const created = await db.createAlertRule(rule, req.session?.username || null);
+		res.status(201).json({
+			status: 'ok',
+			rule: created
+		});
+	} catch (error) {
+		console.error('Error creating alert rule:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to create alert rule'
+		});
+	}
+});
+
+app.put('/api/alert-rules/:id', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	const ruleId = Number.parseInt(req.params.id, 10);
+	if (!Number.isFinite(ruleId)) {
+		return res.status(400).json({
+			status: 'error',
+			message: 'Invalid alert rule ID'
+		});
+	}
+
+	const {rule, errors} = alertEngine.validateAlertRule(req.body || {});
+	if (errors.length > 0) {
+		return res.status(400).json({
+			status: 'error',
+			message: errors.join('; '),
+			errors: errors
+		});
+	}
+
+	try {
+		const updated = await db.updateAlertRule(ruleId, rule);
+		if (!updated) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'Alert rule not found'
+			});
+		}
+		res.json({
+			status: 'ok',
+			rule: updated
+		});
+	} catch (error) {
+		console.error('Error updating alert rule:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to update alert rule'
+		});
+	}
+});
+
+app.delete('/api/alert-rules/:id', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	const ruleId = Number.parseInt(req.params.id, 10);
+	if (!Number.isFinite(ruleId)) {
+		return res.status(400).json({
+			status: 'error',
+			message: 'Invalid alert rule ID'
+		});
+	}
+
+	try {
+		const deleted = await db.deleteAlertRule(ruleId);
+		if (!deleted) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'Alert rule not found'
+			});
+		}
+		res.json({
+			status: 'ok'
+		});
+	} catch (error) {
+		console.error('Error deleting alert rule:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to delete alert rule'
+		});
+	}
+});
+
+app.post('/api/alert-rules/:id/test', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	const ruleId = Number.parseInt(req.params.id, 10);
+	if (!Number.isFinite(ruleId)) {
+		return res.status(400).json({
+			status: 'error',
+			message: 'Invalid alert rule ID'
+		});
+	}
+
+	try {
+		const rule = await db.getAlertRuleById(ruleId);
+		if (!rule) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'Alert rule not found'
+			});
+		}
+		const deliveries = await alertEngine.sendTestAlert(rule);
+		res.json({
+			status: 'ok',
+			deliveries: deliveries
+		});
+	} catch (error) {
+		console.error('Error sending test alert:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to send test alert'
+		});
+	}
+});
+
+app.get('/api/alert-history', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	try {
+		const limit = Math.min(Number.parseInt(req.query.limit, 10) || 50, MAX_API_LIMIT);
+		const offset = Math.max(Number.parseInt(req.query.offset, 10) || 0, 0);
+		const ruleId = Number.parseInt(req.query.ruleId, 10);
+		const {entries, total} = await db.getAlertHistory({
+			ruleId: Number.isFinite(ruleId) ? ruleId : null,
+			limit,
+			offset
+		});
+		res.json({
+			status: 'ok',
+			entries: entries,
+			total: total,
+			limit: limit,
+			offset: offset
+		});
+	} catch (error) {
+		console.error('Error fetching alert history:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to fetch alert history'
+		});
+	}
+});
+
+// Event forwarders (relay stored events to external sinks, see src/forwarding/)
+app.get('/api/event-forwarders', auth.requireAuth, auth.requireRole('administrator'), async (_req, res) => {
+	try {
+		const forwarders = await db.getEventForwarders();
+		res.json({
+			status: 'ok',
+			forwarders: forwarders,
+			types: eventForwarder.getSinkTypes()
+		});
+	} catch (error) {
+		console.error('Error fetching event forwarders:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to fetch event forwarders'
+		});
+	}
+});
+
+app.post('/api/event-forwarders', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	const {forwarder, errors} = eventForwarder.validateForwarder(req.body || {});
+	if (errors.length > 0) {
+		return res.status(400).json({
+			status: 'error',
+			message: errors.join('; '),
+			errors: errors
+		});
+	}
+
+	try {
+		const created = await db.createEventForwarder(forwarder, req.session?.username || null);
+		res.status(201).json({
+			status: 'ok',
+			forwarder: created
+		});
+	} catch (error) {
+		console.error('Error creating event forwarder:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to create event forwarder'
+		});
+	}
+});
+
+app.put('/api/event-forwarders/:id', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	const forwarderId = Number.parseInt(req.params.id, 10);
+	if (!Number.isFinite(forwarderId)) {
+		return res.status(400).json({
+			status: 'error',
+			message: 'Invalid forwarder ID'
+		});
+	}
+
+	const {forwarder, errors} = eventForwarder.validateForwarder(req.body || {});
+	if (errors.length > 0) {
+		return res.status(400).json({
+			status: 'error',
+			message: errors.join('; '),
+			errors: errors
+		});
+	}
+
+	try {
+		const updated = await db.updateEventForwarder(forwarderId, forwarder);
+		if (!updated) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'Forwarder not found'
+			});
+		}
+		res.json({
+			status: 'ok',
+			forwarder: updated
+		});
+	} catch (error) {
+		console.error('Error updating event forwarder:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to update event forwarder'
+		});
+	}
+});
+
+app.delete('/api/event-forwarders/:id', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	const forwarderId = Number.parseInt(req.params.id, 10);
+	if (!Number.isFinite(forwarderId)) {
+		return res.status(400).json({
+			status: 'error',
+			message: 'Invalid forwarder ID'
+		});
+	}
+
+	try {
+		const deleted = await db.deleteEventForwarder(forwarderId);
+		if (!deleted) {
+			return res.status(404).json({
+				status: 'error',
+				message: 'Forwarder not found'
+			});
+		}
+		res.json({
+			status: 'ok'
+		});
+	} catch (error) {
+		console.error('Error deleting event forwarder:', error);
 		res.status(500).json({
 			status: 'error',
-			message: 'Failed to create user'
+			message: 'Failed to delete event forwarder'
 		});
 	}
 });
 
-app.delete('/api/users/:username', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
-	try {
-		const {username} = req.params;
-
-		// Prevent deleting the current user
-		if (req.session && req.session.username === username) {
-			return res.status(400).json({
-				status: 'error',
-				message: 'Cannot delete your own user account'
-			});
-		}
+app.post('/api/event-forwarders/:id/test', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+	const forwarderId = Number.parseInt(req.params.id, 10);
+	if (!Number.isFinite(forwarderId)) {
+		return res.status(400).json({
+			status: 'error',
+			message: 'Invalid forwarder ID'
+		});
+	}
 
-		const deleted = await db.deleteUser(username);
-		if (!deleted) {
+	try {
+		const forwarder = await db.getEventForwarderById(forwarderId);
+		if (!forwarder) {
 			return res.status(404).json({
 				status: 'error',
-				message: 'User not found'
+				message: 'Forwarder not found'
 			});
 		}
-
+		const delivery = await eventForwarder.sendTestEvent(forwarder);
 		res.json({
 			status: 'ok',
-			message: 'User deleted successfully'
+			delivery: delivery
 		});
 	} catch (error) {
-		console.error('Error deleting user:', error);
+		console.error('Error sending test event:', error);
 		res.status(500).json({
 			status: 'error',
-			message: 'Failed to delete user'
+			message: 'Failed to send test event'
 		});
 	}
 });
 
-app.put('/api/users/:username/password', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
+// Saved views of the Event Log (name + /logs filter query, private or shared with the owner's team)
+async function getSavedViewOwner(req) {
+	const username = req.session?.username;
+	const user = username ? await db.getUserByUsername(username) : null;
+	return {username, teamId: user?.team_id ?? null};
+}
+
+app.get('/api/saved-views', auth.requireAuth, auth.requireRole('advanced'), async (req, res) => {
 	try {
-		const {username} = req.params;
-		const {password} = req.body;
+		const {username, teamId} = await getSavedViewOwner(req);
+		const views = await db.getSavedViews(username, teamId);
+		res.json({
+			status: 'ok',
+			views: views.map(view => ({...view, owned: view.username === username})),
+			canShare: teamId !== null
+		});
+	} catch (error) {
+		console.error('Error fetching saved views:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to fetch saved views'
+		});
+	}
+});
 
-		if (!password) {
+app.post('/api/saved-views', auth.requireAuth, auth.requireRole('advanced'), async (req, res) => {
+	const {view, errors} = validateSavedView(req.body || {});
+	if (errors.length > 0) {
+		return res.status(400).json({
+			status: 'error',
+			message: errors.join('; '),
+			errors: errors
+		});
+	}
+
+	try {
+		const {username, teamId} = await getSavedViewOwner(req);
+		if (view.shared && teamId === null) {
 			return res.status(400).json({
 				status: 'error',
-				message: 'Password is required'
+				message: 'You are not in a team, so the view can only be private'
+			});
+		}
+		const created = await db.createSavedView(view, username, view.shared ? teamId : null);
+		res.status(201).json({
+			status: 'ok',
+			view: {...created, owned: true}
+		});
+	} catch (error) {
+		if (error.code === '23505') {
+			return res.status(409).json({
+				status: 'error',
+				message: 'You already have a view with that name'
 			});
 		}
+		console.error('Error creating saved view:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to create saved view'
+		});
+	}
+});
 
-		// Hash password
-		const passwordHash = await auth.hashPassword(password);
+app.put('/api/saved-views/:id', auth.requireAuth, auth.requireRole('advanced'), async (req, res) => {
+	const viewId = Number.parseInt(req.params.id, 10);
+	if (!Number.isFinite(viewId)) {
+		return res.status(400).json({
+			status: 'error',
+			message: 'Invalid view ID'
+		});
+	}
 
-		// Update password
-		const updated = await db.updateUserPassword(username, passwordHash);
-		if (!updated) {
+	const {view, errors} = validateSavedView(req.body || {});
+	if (errors.length > 0) {
+		return res.status(400).json({
+			status: 'error',
+			message: errors.join('; '),
+			errors: errors
+		});
+	}
+
+	try {
+		const {username, teamId} = await getSavedViewOwner(req);
+		const existing = await db.getSavedViewById(viewId);
+		if (!existing) {
 			return res.status(404).json({
 				status: 'error',
-				message: 'User not found'
+				message: 'View not found'
 			});
 		}
-
+		if (existing.username !== username) {
+			return res.status(403).json({
+				status: 'error',
+				message: 'Only the owner can change this view'
+			});
+		}
+		if (view.shared && teamId === null) {
+			return res.status(400).json({
+				status: 'error',
+				message: 'You are not in a team, so the view can only be private'
+			});
+		}
+		const updated = await db.updateSavedView(viewId, view, view.shared ? teamId : null);
 		res.json({
 			status: 'ok',
-			message: 'Password updated successfully'
+			view: {...updated, owned: true}
 		});
 	} catch (error) {
-		console.error('Error updating password:', error);
+		if (error.code === '23505') {
+			return res.status(409).json({
+				status: 'error',
+				message: 'You already have a view with that name'
+			});
+		}
+		console.error('Error updating saved view:', error);
 		res.status(500).json({
 			status: 'error',
-			message: 'Failed to update password'
+			message: 'Failed to update saved view'
 		});
 	}
 });
 
-app.put('/api/users/:username/role', auth.requireAuth, auth.requireRole('administrator'), async (req, res) => {
-	try {
-		const {username} = req.params;
-		const {role} = req.body;
+app.delete('/api/saved-views/:id', auth.requireAuth, auth.requireRole('advanced'), async (req, res) => {
+	const viewId = Number.parseInt(req.params.id, 10);
+	if (!Number.isFinite(viewId)) {
+		return res.status(400).json({
+			status: 'error',
+			message: 'Invalid view ID'
+		});
+	}
 
-		if (!role) {
-			return res.status(400).json({
+	try {
+		const existing = await db.getSavedViewById(viewId);
+		if (!existing) {
+			return res.status(404).json({
 				status: 'error',
-				message: 'Role is required'
+				message: 'View not found'
 			});
 		}
-
-		const normalizedRole = auth.normalizeRole(role);
-		const updated = await db.updateUserRole(username, normalizedRole);
-		if (!updated) {
-			return res.status(404).json({
+		if (existing.username !== req.session?.username) {
+			return res.status(403).json({
 				status: 'error',
-				message: 'User not found'
+				message: 'Only the owner can delete this view'
 			});
 		}
-
-		// If the authenticated user updated their own role, refresh session value
-		if (req.session && req.session.username === username) {
-			req.session.role = normalizedRole;
-		}
-
+		await db.deleteSavedView(viewId);
 		res.json({
-			status: 'ok',
-			message: 'Role updated successfully',
-			role: normalizedRole
+			status: 'ok'
 		});
 	} catch (error) {
-		console.error('Error updating user role:', error);
+		console.error('Error deleting saved view:', error);
 		res.status(500).json({
 			status: 'error',
-			message: 'Failed to update role'
+			message: 'Failed to delete saved view'
 		});
 	}
 });
@@ -1264,6 +3447,10 @@ app.put('/api/people/:id', auth.requireAuth, auth.requireRole('administrator'),
 		const resolvedInitials = normalizedInitials || deriveInitialsFromName(normalizedName);
 
 		const updatedPerson = await db.updatePerson(personId, normalizedName, resolvedInitials || null);
+		auditLog.setAuditContext(req, {
+			before: {name: existingPerson.name, initials: existingPerson.initials},
+			after: {name: normalizedName, initials: resolvedInitials || null}
+		});
 
 		res.json({
 			status: 'ok',
@@ -1300,6 +3487,7 @@ app.delete('/api/people/:id', auth.requireAuth, auth.requireRole('administrator'
 		}
 
 		await db.deletePerson(personId);
+		auditLog.setAuditContext(req, {before: {name: existingPerson.name, initials: existingPerson.initials}});
 
 		res.json({
 			status: 'ok',
@@ -1486,10 +3674,24 @@ app.get('/api/events', auth.requireAuth, auth.requireRole('advanced'), async (re
 			startDate,
 			endDate,
 			userId,
+			search: searchQuery,
+			cursor,
 			orderBy = 'created_at',
 			order = 'DESC'
 		} = req.query;
 
+		// nextCursor of the previous page (keyset pagination, replaces offset)
+		const after = cursor ? decodeCursor(cursor, {createdAt: 'timestamp', id: 'integer'}) : null;
+		if (cursor && !after) {
+			return res.status(400).json({status: 'error', message: 'Invalid cursor'});
+		}
+
+		// Search syntax: free text, field:value and data.path=value (see storage/event-search.js)
+		const {search, errors: searchErrors} = parseEventSearch(searchQuery);
+		if (searchErrors.length > 0) {
+			return res.status(400).json({status: 'error', message: searchErrors.join('; '), errors: searchErrors});
+		}
+
 		// Enforce maximum limit to prevent performance issues
 		const effectiveLimit = Math.min(Number.parseInt(limit, 10), MAX_API_LIMIT);
 
@@ -1506,7 +3708,9 @@ app.get('/api/events', auth.requireAuth, auth.requireRole('advanced'), async (re
 				events: [],
 				total: 0,
 				limit: Number.parseInt(limit, 10),
-				offset: Number.parseInt(offset, 10)
+				offset: Number.parseInt(offset, 10),
+				hasMore: false,
+				nextCursor: null
 			});
 		}
 
@@ -1520,12 +3724,14 @@ app.get('/api/events', auth.requireAuth, auth.requireRole('advanced'), async (re
 			startDate,
 			endDate,
 			userIds: userIds.length > 0 ? userIds : undefined,
+			search,
+			after,
 			orderBy,
 			order
 		});
 
 		const isUnfiltered =
-      !startDate && !endDate && !eventType && !serverId && !sessionId && !userId;
+      !startDate && !endDate && !eventType && !serverId && !sessionId && !userId && !search;
 		res.setHeader(
 			'Cache-Control',
 			isUnfiltered ? 'private, max-age=10' : 'private, max-age=5'
@@ -1541,6 +3747,74 @@ app.get('/api/events', auth.requireAuth, auth.requireRole('advanced'), async (re
 	}
 });
 
+// Live tail: pushes the events stored from now on that match the /api/events filters (Server-Sent Events)
+app.get('/api/events/stream', auth.requireAuth, auth.requireRole('advanced'), async (req, res) => {
+	const {eventType, area, serverId, sessionId, startDate, endDate, userId} = req.query;
+	const {search, errors: searchErrors} = parseEventSearch(req.query.search);
+	if (searchErrors.length > 0) {
+		return res.status(400).json({status: 'error', message: searchErrors.join('; '), errors: searchErrors});
+	}
+	const toList = value => [value].flat().filter(Boolean).map(String).sort();
+	const areas = toList(area);
+	const eventTypes = toList(eventType);
+	const userIds = toList(userId);
+
+	// No people selected in the Event Log: nothing will ever match (204 stops EventSource reconnecting)
+	if (userIds.includes('__none__')) {
+		return res.status(204).end();
+	}
+
+	const filters = {
+		areas: areas.length > 0 ? areas : undefined,
+		eventTypes: eventTypes.length > 0 ? eventTypes : undefined,
+		serverId: serverId || undefined,
+		sessionId: sessionId || undefined,
+		startDate: startDate || undefined,
+		endDate: endDate || undefined,
+		userIds: userIds.length > 0 ? userIds : undefined,
+		search: search || undefined
+	};
+
+	// no-transform keeps the compression middleware from buffering the stream
+	res.writeHead(200, {
+		'Content-Type': 'text/event-stream; charset=utf-8',
+		'Cache-Control': 'no-cache, no-transform',
+		Connection: 'keep-alive',
+		'X-Accel-Buffering': 'no'
+	});
+	res.write(`retry: ${EVENT_STREAM_RETRY_MS}\n\n`);
+
+	const sendEvent = (name, data) => {
+		res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+	};
+	const heartbeat = setInterval(() => {
+		res.write(': keep-alive\n\n');
+	}, EVENT_STREAM_HEARTBEAT_MS);
+
+	let unsubscribe = null;
+	let closed = false;
+	req.on('close', () => {
+		closed = true;
+		clearInterval(heartbeat);
+		unsubscribe?.();
+	});
+
+	try {
+		unsubscribe = await eventStream.subscribe(filters, events => {
+			sendEvent('events', {events});
+		});
+		if (closed) {
+			unsubscribe();
+			return;
+		}
+		sendEvent('ready', {connectedAt: new Date().toISOString()});
+	} catch (error) {
+		console.error('Error opening event stream:', error);
+		sendEvent('failure', {message: 'Failed to open event stream'});
+		res.end();
+	}
+});
+
 app.get('/api/events/:id', auth.requireAuth, auth.requireRole('advanced'), async (req, res, next) => {
 	try {
 		if (req.params.id === 'deleted') {
@@ -1633,7 +3907,7 @@ app.get('/api/sessions', auth.requireAuth, auth.requireRole('advanced'), async (
 	try {
 		// Clear sessions cache to avoid corrupted cached data
 		sessionsCache.clear();
-		const {userId, limit, offset, includeUsersWithoutSessions} = req.query;
+		const {userId, limit, offset, cursor, includeUsersWithoutSessions} = req.query;
 		// Handle multiple userId values (Express converts them to an array)
 		const userIds = Array.isArray(userId) ? userId : (userId ? [userId] : []);
 
@@ -1646,6 +3920,25 @@ app.get('/api/sessions', auth.requireAuth, auth.requireRole('advanced'), async (
 		const limitNum = limit ? Math.min(Number.parseInt(limit, 10), 1000) : undefined; // Max 1000 to prevent abuse
 		const offsetNum = offset ? Number.parseInt(offset, 10) : 0;
 		const includeUsersWithoutSessionsBool = includeUsersWithoutSessions === 'true' || includeUsersWithoutSessions === '1';
+		const after = cursor ? decodeCursor(cursor, {lastEvent: 'timestamp', sessionId: 'string'}) : null;
+		if (cursor && !after) {
+			return res.status(400).json({status: 'error', message: 'Invalid cursor'});
+		}
+
+		// Paged requests: the next page's cursor goes in X-Next-Cursor (the body stays an array).
+		// Requests with an offset keep the old OFFSET paging.
+		if (limitNum && offsetNum === 0) {
+			const {sessions, nextCursor} = await db.getSessionsPage({
+				userIds: userIds.length > 0 ? userIds : undefined,
+				limit: limitNum,
+				after,
+				includeUsersWithoutSessions: includeUsersWithoutSessionsBool
+			});
+			if (nextCursor) {
+				res.setHeader('X-Next-Cursor', nextCursor);
+			}
+			return res.json(sessions);
+		}
 
 		// Use cache for session queries (sanitize key to avoid cache pollution)
 		// Only cache when no pagination is applied and including users without sessions (new default behavior)
@@ -1731,9 +4024,17 @@ app.get('/api/check-user-logins-table', async (req, res) => {
 */
 
 // User login logs endpoint (god only)
+const LOGIN_LOG_EVENTS = ['attempt', 'lockout', 'ip_lockout', 'unlock', 'ip_unlock'];
 app.get('/api/user-login-logs', auth.requireAuth, auth.requireRole('god'), async (req, res) => {
 	try {
-		const {limit = 100, offset = 0, username, successful} = req.query;
+		const {limit = 100, offset = 0, username, successful, event} = req.query;
+
+		if (event && !LOGIN_LOG_EVENTS.includes(event)) {
+			return res.status(400).json({
+				status: 'error',
+				message: `event must be one of: ${LOGIN_LOG_EVENTS.join(', ')}`
+			});
+		}
 
 		const options = {
 			limit: Number.parseInt(limit, 10),
@@ -1748,6 +4049,10 @@ app.get('/api/user-login-logs', auth.requireAuth, auth.requireRole('god'), async
 			options.successful = successful === 'true' || successful === '1';
 		}
 
+		if (event) {
+			options.event = event;
+		}
+
 		const logs = await db.getUserLoginLogs(options);
 
 		res.json({
@@ -1765,6 +4070,74 @@ app.get('/api/user-login-logs', auth.requireAuth, auth.requireRole('god'), async
 	}
 });
 
+// Audit log of changes made through the API (god only)
+app.get('/api/audit-log', auth.requireAuth, auth.requireRole('god'), async (req, res) => {
+	try {
+		const {filters, errors} = auditLog.validateAuditLogFilters(req.query);
+		if (errors.length > 0) {
+			return res.status(400).json({status: 'error', message: errors.join('; '), errors});
+		}
+
+		// nextCursor of the previous page
+		const {cursor} = req.query;
+		const before = cursor ? decodeCursor(cursor, {id: 'integer'}) : null;
+		if (cursor && !before) {
+			return res.status(400).json({status: 'error', message: 'Invalid cursor'});
+		}
+
+		const [{entries, nextCursor}, filterOptions] = await Promise.all([
+			db.getAuditLogEntries({...filters, beforeId: before?.id}),
+			db.getAuditLogFilterOptions()
+		]);
+
+		res.json({
+			status: 'ok',
+			entries,
+			nextCursor,
+			actors: filterOptions.actors,
+			actions: filterOptions.actions
+		});
+	} catch (error) {
+		console.error('Error fetching audit log:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to fetch audit log'
+		});
+	}
+});
+
+// Export the audit log entries matching the filters as JSON Lines, oldest first
+app.get('/api/audit-log/export', auth.requireAuth, auth.requireRole('god'), async (req, res) => {
+	const {filters, errors} = auditLog.validateAuditLogFilters({...req.query, limit: undefined});
+	if (errors.length > 0) {
+		return res.status(400).json({status: 'error', message: errors.join('; '), errors});
+	}
+
+	const filename = `audit-log-${new Date().toISOString().split('T')[0]}.jsonl`;
+	res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+	res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+	res.setHeader('Cache-Control', 'no-cache');
+
+	try {
+		for await (const entries of db.iterateAuditLogEntries(filters)) {
+			res.write(entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+		}
+		res.end();
+	} catch (error) {
+		console.error('Error exporting audit log:', error);
+		if (res.headersSent) {
+			res.destroy(error);
+		} else {
+			res.removeHeader('Content-Disposition');
+			res.setHeader('Content-Type', 'application/json; charset=utf-8');
+			res.status(500).json({
+				status: 'error',
+				message: 'Failed to export audit log'
+			});
+		}
+	}
+});
+
 // Temporary user info endpoint (admin only) - REMOVE AFTER USE
 // OBSOLETE: No longer used - commented out
 /*
@@ -1917,6 +4290,24 @@ app.get('/api/tool-usage-stats', auth.requireAuth, async (req, res) => {
 	}
 });
 
+app.get('/api/tool-performance-stats', auth.requireAuth, async (req, res) => {
+	try {
+		const daysRaw = Number.parseInt(req.query.days, 10);
+		const limitRaw = Number.parseInt(req.query.limit, 10);
+		const days = Math.min(Math.max(1, Number.isFinite(daysRaw) ? daysRaw : 7), 365);
+		const limit = Math.min(Math.max(1, Number.isFinite(limitRaw) ? limitRaw : 20), 100);
+		const tool = typeof req.query.tool === 'string' && req.query.tool.trim() !== '' ? req.query.tool.trim() : null;
+		const {tools, versions} = await db.getToolPerformanceStats({days, tool, limit});
+		res.json({tools, versions, days});
+	} catch (error) {
+		console.error('Error fetching tool performance stats:', error);
+		res.status(500).json({
+			status: 'error',
+			message: 'Failed to fetch tool performance statistics'
+		});
+	}
+});
+
 app.get('/api/top-users-today', auth.requireAuth, async (req, res) => {
 	try {
 		const limitRaw = Number.parseInt(req.query.limit, 10);
@@ -2194,6 +4585,7 @@ app.put('/api/teams/:id', auth.requireAuth, auth.requireRole('administrator'), (
 			});
 		}
 
+		const previousTeam = await db.getTeamById(teamId);
 		const updated = await db.updateTeam(teamId, updates);
 		if (!updated) {
 			return res.status(404).json({
@@ -2203,6 +4595,11 @@ app.put('/api/teams/:id', auth.requireAuth, auth.requireRole('administrator'), (
 		}
 
 		const team = await db.getTeamById(teamId);
+		const teamSnapshot = ({name, color, logo_url, logo_mime}) => ({name, color, logo_url, logo_mime});
+		auditLog.setAuditContext(req, {
+			before: previousTeam ? teamSnapshot(previousTeam) : null,
+			after: team ? teamSnapshot(team) : null
+		});
 		res.json({
 			status: 'ok',
 			team
@@ -2262,6 +4659,7 @@ app.delete('/api/teams/:id', auth.requireAuth, auth.requireRole('administrator')
 			});
 		}
 
+		const team = await db.getTeamById(teamId);
 		const deleted = await db.deleteTeam(teamId);
 		if (!deleted) {
 			return res.status(404).json({
@@ -2269,6 +4667,7 @@ app.delete('/api/teams/:id', auth.requireAuth, auth.requireRole('administrator')
 				message: 'Team not found'
 			});
 		}
+		auditLog.setAuditContext(req, {before: team ? {name: team.name, color: team.color} : null});
 
 		res.json({
 			status: 'ok',
@@ -2311,6 +4710,7 @@ app.post('/api/orgs', auth.requireAuth, auth.requireRole('administrator'), async
 			});
 		}
 
+		const previousOrg = await db.getOrgById(id.trim());
 		const org = await db.upsertOrg(id.trim(), {
 			alias: alias || null,
 			color: color || null,
@@ -2318,6 +4718,7 @@ app.post('/api/orgs', auth.requireAuth, auth.requireRole('administrator'), async
 			company_name: company_name || null
 		});
 
+		auditLog.setAuditContext(req, {targetId: id.trim(), before: previousOrg, after: await db.getOrgById(id.trim())});
 		res.status(201).json({
 			status: 'ok',
 			org
@@ -2371,13 +4772,16 @@ app.post('/api/orgs/:id/move', auth.requireAuth, auth.requireRole('administrator
 			});
 		}
 
-		const moved = await db.moveOrgToTeam(orgId, team_id ? Number.parseInt(team_id, 10) : null);
+		const previousOrg = await db.getOrgById(orgId);
+		const newTeamId = team_id ? Number.parseInt(team_id, 10) : null;
+		const moved = await db.moveOrgToTeam(orgId, newTeamId);
 		if (!moved) {
 			return res.status(404).json({
 				status: 'error',
 				message: 'Org not found'
 			});
 		}
+		auditLog.setAuditContext(req, {before: {team_id: previousOrg.team_id}, after: {team_id: newTeamId}});
 
 		res.json({
 			status: 'ok',
@@ -2763,6 +5167,33 @@ app.get('/people', auth.requireAuth, auth.requireRole('administrator'), (_req, r
 	}
 });
 
+app.get('/errors', auth.requireAuth, auth.requireRole('advanced'), (_req, res) => {
+	const errorsPath = path.join(__dirname, '..', 'public', 'errors.html');
+	if (fs.existsSync(errorsPath)) {
+		res.sendFile(errorsPath);
+	} else {
+		res.status(404).send('Errors page not found');
+	}
+});
+
+app.get('/alerts', auth.requireAuth, auth.requireRole('administrator'), (_req, res) => {
+	const alertsPath = path.join(__dirname, '..', 'public', 'alerts.html');
+	if (fs.existsSync(alertsPath)) {
+		res.sendFile(alertsPath);
+	} else {
+		res.status(404).send('Alerts page not found');
+	}
+});
+
+app.get('/rejected', auth.requireAuth, auth.requireRole('administrator'), (_req, res) => {
+	const rejectedPath = path.join(__dirname, '..', 'public', 'rejected.html');
+	if (fs.existsSync(rejectedPath)) {
+		res.sendFile(rejectedPath);
+	} else {
+		res.status(404).send('Rejected payloads page not found');
+	}
+});
+
 app.get('/test', auth.requireAuth, auth.requireRole('administrator'), (_req, res) => {
 	const testPath = path.join(__dirname, '..', 'public', 'test.html');
 	if (fs.existsSync(testPath)) {
@@ -2801,47 +5232,95 @@ app.get('/schema', (_req, res) => {
 	res.json(schema);
 });
 
-// Export logs in JSON Lines (JSONL) format
+// List the export formats offered by /api/export/logs
+app.get('/api/export/formats', auth.requireAuth, auth.requireRole('advanced'), (_req, res) => {
+	res.json({status: 'ok', formats: logFormatter.listExportFormats()});
+});
+
+// Export logs as JSON Lines (default), CSV, OTLP/JSON or Apache Parquet (?format=)
+// Streams every matching event (no cap) in batches, honouring backpressure from the client
 app.get('/api/export/logs', auth.requireAuth, auth.requireRole('advanced'), async (req, res) => {
-	try {
-		const {
-			startDate,
-			endDate,
-			eventType,
-			serverId,
-			limit = 10000
-		} = req.query;
+	const {
+		startDate,
+		endDate,
+		eventType,
+		area,
+		serverId,
+		sessionId,
+		userId,
+		teamId,
+		team,
+		search: searchQuery,
+		limit,
+		format: formatId = 'jsonl',
+		columns
+	} = req.query;
+
+	const format = logFormatter.getExportFormat(formatId);
+	if (!format) {
+		return res.status(400).json({status: 'error', message: 'Invalid export format'});
+	}
+	const formatOptions = {};
+	if (format.columns) {
+		const resolved = logFormatter.resolveCsvColumns(columns);
+		if (resolved.invalid.length > 0) {
+			return res.status(400).json({status: 'error', message: `Invalid columns: ${resolved.invalid.join(', ')}`});
+		}
+		formatOptions.columns = resolved.columns;
+	}
+
+	// Same multi-value filters as /api/events (Express converts repeated params to arrays)
+	const areas = Array.isArray(area) ? area : (area ? [area] : []);
+	const eventTypes = Array.isArray(eventType) ? eventType : (eventType ? [eventType] : []);
+	const userIds = Array.isArray(userId) ? userId : (userId ? [userId] : []);
+	const parsedTeamId = teamId ? Number.parseInt(teamId, 10) : null;
+	if (teamId && Number.isNaN(parsedTeamId)) {
+		return res.status(400).json({status: 'error', message: 'Invalid team ID'});
+	}
+	const {search, errors: searchErrors} = parseEventSearch(searchQuery);
+	if (searchErrors.length > 0) {
+		return res.status(400).json({status: 'error', message: searchErrors.join('; '), errors: searchErrors});
+	}
+	const parsedLimit = limit ? Number.parseInt(limit, 10) : null;
 
-		// Enforce maximum export limit for performance
-		const effectiveLimit = Math.min(Number.parseInt(limit, 10), MAX_EXPORT_LIMIT);
+	const filename = `telemetry-logs-${new Date().toISOString().split('T')[0]}.${format.extension}`;
+	res.setHeader('Content-Type', format.contentType);
+	res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+	res.setHeader('Cache-Control', 'no-cache'); // Don't cache exports
 
-		// Get events from database
-		const result = await db.getEvents({
-			limit: effectiveLimit,
-			offset: 0,
-			eventType,
+	// __none__ means the Event Log has no people selected (the file only gets its header)
+	let batches = [];
+	if (!userIds.includes('__none__')) {
+		batches = db.iterateEvents({
+			areas: areas.length > 0 ? areas : undefined,
+			eventTypes: eventTypes.length > 0 ? eventTypes : undefined,
 			serverId,
+			sessionId,
 			startDate,
 			endDate,
-			orderBy: 'created_at',
-			order: 'ASC'
+			userIds: userIds.length > 0 ? userIds : undefined,
+			teamId: parsedTeamId,
+			teamName: team || null,
+			search,
+			limit: parsedLimit > 0 ? parsedLimit : null
 		});
+	}
 
-		// Format events as JSON Lines (JSONL)
-		const formattedLogs = logFormatter.formatEvents(result.events);
-
-		const filename = `telemetry-logs-${new Date().toISOString().split('T')[0]}.jsonl`;
-
-		res.setHeader('Content-Type', 'application/x-ndjson');
-		res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-		res.setHeader('Cache-Control', 'no-cache'); // Don't cache exports
-		res.send(formattedLogs);
+	try {
+		await logFormatter.streamExport(format, batches, res, formatOptions);
 	} catch (error) {
 		console.error('Error exporting logs:', error);
-		res.status(500).json({
-			status: 'error',
-			message: 'Failed to export logs'
-		});
+		if (res.headersSent) {
+			// Part of the file was already sent; abort so the client doesn't keep a truncated export
+			res.destroy(error);
+		} else {
+			res.removeHeader('Content-Disposition');
+			res.setHeader('Content-Type', 'application/json; charset=utf-8');
+			res.status(500).json({
+				status: 'error',
+				message: 'Failed to export logs'
+			});
+		}
 	}
 });
 
@@ -2859,8 +5338,14 @@ app.delete('/api/events/:id', auth.requireAuth, auth.requireRole('advanced'), as
 			});
 		}
 
+		const event = await db.getEventById(eventId);
 		const deleted = await db.deleteEvent(eventId);
 		if (deleted) {
+			if (event) {
+				auditLog.setAuditContext(req, {
+					before: {event: event.event, user_id: event.user_id, session_id: event.session_id, org_id: event.org_id, timestamp: event.timestamp}
+				});
+			}
 			statsCache.clear();
 			sessionsCache.clear();
 			userIdsCache.clear();
@@ -2890,6 +5375,7 @@ app.delete('/api/events', auth.requireAuth, auth.requireRole('advanced'), async
 
 		if (sessionId) {
 			const deletedCount = await db.deleteEventsBySession(sessionId);
+			auditLog.setAuditContext(req, {targetId: sessionId, details: {scope: 'session', deletedCount}});
 			statsCache.clear();
 			sessionsCache.clear();
 			userIdsCache.clear();
@@ -2902,6 +5388,7 @@ app.delete('/api/events', auth.requireAuth, auth.requireRole('advanced'), async
 		}
 
 		const deletedCount = await db.deleteAllEvents();
+		auditLog.setAuditContext(req, {details: {scope: 'all', deletedCount}});
 		statsCache.clear();
 		sessionsCache.clear();
 		userIdsCache.clear();
@@ -3032,6 +5519,7 @@ app.get('/api/events/deleted', auth.requireAuth, auth.requireRole('advanced'), a
 app.delete('/api/events/deleted', auth.requireAuth, auth.requireRole('advanced'), async (req, res) => {
 	try {
 		const deletedCount = await db.emptyTrash();
+		auditLog.setAuditContext(req, {details: {deletedCount}});
 		res.json({
 			status: 'ok',
 			message: `Successfully deleted ${deletedCount} events from trash`,
@@ -3112,6 +5600,14 @@ app.post('/api/database/import', auth.requireAuth, auth.requireRole('administrat
 		}
 
 		const results = await db.importDatabase(importData);
+		auditLog.setAuditContext(req, {
+			details: {
+				body: {truncated: true, fields: Object.keys(importData)},
+				tables: Object.keys(importData.tables),
+				imported: results.imported,
+				errorCount: results.errors.length
+			}
+		});
 
 		// Clear all caches after import
 		statsCache.clear();
@@ -3141,6 +5637,55 @@ async function startServer() {
 
 		// Initialize authentication with database
 		auth.init(db);
+		apiKeys.init(db);
+		loginThrottle.init(db);
+		twoFactor.init(db);
+		personalTokens.init(db);
+		auditLog.init(db);
+
+		// Group tool errors stored before error fingerprinting existed (runs in the background)
+		db.backfillErrorFingerprints().then(count => {
+			if (count > 0) {
+				console.log(`Fingerprinted ${count} existing tool errors into error groups`);
+			}
+		}).catch(error => {
+			console.error('Error backfilling error groups:', error);
+		});
+
+		// Start draining the durable ingestion queue into telemetry_events
+		ingestionWorker.start({
+			onStored: () => {
+				// Clear relevant caches when new data arrives (only once per drained batch)
+				statsCache.clear();
+				sessionsCache.clear();
+				userIdsCache.clear();
+				rollupJob.notify();
+				eventForwarder.notify();
+				eventStream.notify();
+			}
+		});
+
+		// Keep the hourly/daily rollups read by the dashboard charts up to date
+		rollupJob.start({
+			onRefreshed: () => {
+				statsCache.clear();
+			}
+		});
+
+		// Purge events expired by the retention policies in the background
+		retentionJob.start({
+			onPurged: () => {
+				statsCache.clear();
+				sessionsCache.clear();
+				userIdsCache.clear();
+			}
+		});
+
+		// Evaluate alert rules on an interval
+		alertEngine.start();
+
+		// Relay stored events to the configured forwarders (webhook, OTLP collector, file)
+		eventForwarder.start();
 
 		// Now that database is initialized, upgrade session middleware to use PostgreSQL store if available
 		const sessionResult = auth.initSessionMiddleware();
@@ -3186,6 +5731,14 @@ async function gracefulShutdown(signal) {
 		}
 	}
 
+	// Stop the ingestion worker (queued events are drained on next start)
+	ingestionWorker.stop();
+	alertEngine.stop();
+	retentionJob.stop();
+	rollupJob.stop();
+	eventStream.stop();
+	await eventForwarder.stop();
+
 	// Close database connection
 	try {
 		await db.close();
@@ -0,0 +1,123 @@
+/**
+ * Script to archive a past month of telemetry events
+ * Detaches the month's partition from telemetry_events (without blocking ingestion on PostgreSQL 14+),
+ * writes its rows to a gzipped JSON Lines file and drops it. Dashboard rollups keep the month's counts,
+ * and events that arrive later for the month are quarantined (stage archived_month).
+ * Usage:
+ *   node src/scripts/archive-telemetry-partition.js --list
+ *   node src/scripts/archive-telemetry-partition.js <YYYY-MM> [--output <dir>] [--keep]
+ *     --keep  Leave the detached table in the database after writing the archive
+ */
+
+// Load environment variables from .env file
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import {once} from 'node:events';
+import {
+	init,
+	getTelemetryEventPartitions,
+	detachTelemetryEventPartition,
+	getDetachedPartitionRows,
+	dropDetachedPartition,
+	close
+} from '../storage/database.js';
+
+const BATCH_SIZE = 5000;
+
+function getOption(name) {
+	const index = process.argv.indexOf(name);
+	return index === -1 ? null : process.argv[index + 1];
+}
+
+async function listPartitions() {
+	const partitions = await getTelemetryEventPartitions();
+	if (partitions.length === 0) {
+		console.log('No monthly partitions found (is telemetry_events partitioned?)');
+		return;
+	}
+	for (const partition of partitions) {
+		const sizeMb = (partition.sizeBytes / (1024 * 1024)).toFixed(1);
+		console.log(`   ${partition.month}  ${partition.attached ? 'attached' : 'detached'}  ~${partition.estimatedRows} rows  ${sizeMb} MB`);
+	}
+}
+
+async function writeArchive(name, filePath) {
+	const gzip = zlib.createGzip();
+	const output = fs.createWriteStream(filePath);
+	gzip.pipe(output);
+
+	let written = 0;
+	let afterId = 0;
+	let rows = [];
+	do {
+		rows = await getDetachedPartitionRows(name, {afterId, limit: BATCH_SIZE});
+		for (const row of rows) {
+			if (!gzip.write(`${JSON.stringify(row)}\n`)) {
+				await once(gzip, 'drain');
+			}
+		}
+		if (rows.length > 0) {
+			afterId = rows.at(-1).id;
+			written += rows.length;
+			process.stdout.write(`\r   Written: ${written}`);
+		}
+	} while (rows.length === BATCH_SIZE);
+
+	gzip.end();
+	await once(output, 'finish');
+	process.stdout.write('\n');
+	return written;
+}
+
+async function archivePartitionScript() {
+	const month = process.argv[2];
+	const list = process.argv.includes('--list');
+
+	if (!list && !/^\d{4}-\d{2}$/.test(month || '')) {
+		console.error('Usage: node src/scripts/archive-telemetry-partition.js --list | <YYYY-MM> [--output <dir>] [--keep]');
+		process.exit(1);
+	}
+
+	try {
+		await init();
+		console.log('Database initialized');
+
+		if (list) {
+			await listPartitions();
+			await close();
+			return;
+		}
+
+		const name = `telemetry_events_p${month.replace('-', '')}`;
+		const outputDir = getOption('--output') || process.cwd();
+		const filePath = path.join(outputDir, `${name}.jsonl.gz`);
+
+		if (await detachTelemetryEventPartition(name)) {
+			console.log(`Detached ${name}`);
+		} else {
+			console.log(`${name} was already detached`);
+		}
+
+		const written = await writeArchive(name, filePath);
+		console.log(`Archived ${written} events to ${filePath}`);
+
+		if (process.argv.includes('--keep')) {
+			console.log(`Kept the detached table ${name}`);
+		} else {
+			await dropDetachedPartition(name);
+			console.log(`Dropped ${name}`);
+		}
+
+		console.log('\n✅ Done\n');
+		await close();
+	} catch (error) {
+		console.error('Error archiving partition:', error.message);
+		process.exit(1);
+	}
+}
+
+archivePartitionScript();
@@ -0,0 +1,97 @@
+/**
+ * Script to check the data.<path> search examples of the docs against the database
+ * Stores one event with a data payload, runs the documented queries (README.md, Search syntax) and
+ * checks each finds it while a query for another value doesn't. The event is then deleted for good.
+ * Meant for a development database: the event goes through the same storage path as /telemetry.
+ * Usage:
+ *   node src/scripts/check-event-search.js
+ */
+
+// Load environment variables from .env file
+import dotenv from 'dotenv';
+dotenv.config();
+
+import crypto from 'node:crypto';
+import {init, storeEvent, getEvents, deleteEvent, permanentlyDeleteEvent, close} from '../storage/database.js';
+import {parseTelemetryEvent} from '../storage/parsers/index.js';
+import {parseEventSearch} from '../storage/event-search.js';
+
+// Query -> whether it should find the seeded event
+const CHECKS = [
+	['data.orgType=sandbox', true],
+	['data.org.edition="Developer Edition"', true],
+	['data.orgType=sandbox data.org.edition="Developer Edition"', true],
+	['data.orgType=production', false]
+];
+
+function buildSeedEvent(serverId) {
+	return {
+		schemaVersion: 3,
+		eventId: `search-check-${crypto.randomUUID()}`,
+		area: 'tool',
+		event: 'tool_call',
+		success: true,
+		timestamp: new Date().toISOString(),
+		server: {id: serverId},
+		user: {id: 'search-check', name: 'search-check'},
+		data: {
+			toolName: 'search_check',
+			orgType: 'sandbox',
+			org: {edition: 'Developer Edition'}
+		}
+	};
+}
+
+async function checkEventSearchScript() {
+	const serverId = `search-check-${Date.now()}`;
+	let seededId = null;
+	let failures = 0;
+
+	try {
+		await init();
+		console.log('Database initialized');
+
+		if (!await storeEvent(parseTelemetryEvent(buildSeedEvent(serverId)), new Date().toISOString())) {
+			throw new Error('The seeded event was not stored');
+		}
+		const {events} = await getEvents({serverId, limit: 1});
+		seededId = events[0]?.id ?? null;
+		if (!seededId) {
+			throw new Error('The seeded event was stored but could not be read back');
+		}
+
+		for (const [query, shouldMatch] of CHECKS) {
+			const {search, errors} = parseEventSearch(query);
+			if (errors.length > 0) {
+				failures++;
+				console.log(`❌ ${query}: ${errors.join('; ')}`);
+				continue;
+			}
+			const result = await getEvents({serverId, search, limit: 1});
+			const matched = result.events.some(event => event.id === seededId);
+			if (matched === shouldMatch) {
+				console.log(`✅ ${query}: ${shouldMatch ? 'found' : 'not found'}`);
+			} else {
+				failures++;
+				console.log(`❌ ${query}: expected it ${shouldMatch ? 'to find' : 'not to find'} the seeded event`);
+			}
+		}
+	} catch (error) {
+		failures++;
+		console.error('Error checking event search:', error.message);
+	} finally {
+		if (seededId) {
+			await deleteEvent(seededId);
+			await permanentlyDeleteEvent(seededId);
+		}
+		await close();
+	}
+
+	if (failures > 0) {
+		console.log(`\n${failures} check(s) failed\n`);
+		process.exit(1);
+	}
+	console.log('\n✅ Done\n');
+}
+
+checkEventSearchScript();
@@ -0,0 +1,85 @@
+/**
+ * Local stand-in for an event forwarder sink (webhook or OTLP collector)
+ * Accepts the JSON POSTs sent by the forwarders and prints a line per batch, so forwarding
+ * can be tried without a real collector. Point a webhook forwarder at http://localhost:<port>/webhook
+ * or an OTLP forwarder at http://localhost:<port>/v1/logs.
+ * Usage:
+ *   node src/scripts/forwarder-test-sink.js [--port <port>] [--fail-rate <0-1>] [--status <code>] [--verbose]
+ *
+ *   --fail-rate  Fraction of requests answered with HTTP 503 (exercises the retries)
+ *   --status     Answer every request with this status (e.g. 400 to see batches dropped)
+ *   --verbose    Print the request bodies
+ */
+
+import http from 'node:http';
+
+function getOption(name, fallback) {
+	const index = process.argv.indexOf(name);
+	return index === -1 ? fallback : process.argv[index + 1];
+}
+
+const port = Number.parseInt(getOption('--port', '4318'), 10);
+const failRate = Number.parseFloat(getOption('--fail-rate', '0'));
+const forcedStatus = Number.parseInt(getOption('--status', ''), 10);
+const verbose = process.argv.includes('--verbose');
+
+let received = 0;
+
+function countEvents(body) {
+	if (Array.isArray(body.events)) {
+		return body.events.length;
+	}
+	// OTLP/JSON ExportLogsServiceRequest
+	return (body.resourceLogs || []).reduce((total, resourceLogs) => total + (resourceLogs.scopeLogs || [])
+		.reduce((scopeTotal, scopeLogs) => scopeTotal + (scopeLogs.logRecords || []).length, 0), 0);
+}
+
+const server = http.createServer((req, res) => {
+	const chunks = [];
+	req.on('data', chunk => chunks.push(chunk));
+	req.on('end', () => {
+		const time = new Date().toISOString();
+		if (req.method !== 'POST') {
+			res.writeHead(405).end();
+			return;
+		}
+
+		let body;
+		try {
+			body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+		} catch {
+			console.log(`${time} ${req.url} ✗ invalid JSON`);
+			res.writeHead(400, {'Content-Type': 'application/json'}).end('{"error":"Invalid JSON"}');
+			return;
+		}
+
+		const count = countEvents(body);
+		let status = 200;
+		if (Number.isFinite(forcedStatus)) {
+			status = forcedStatus;
+		} else if (Math.random() < failRate) {
+			status = 503;
+		}
+		if (status < 300) {
+			received += count;
+		}
+		console.log(`${time} ${req.url} ${status < 300 ? '✓' : '✗'} HTTP ${status}, ${count} events (${received} received in total)`);
+		if (verbose) {
+			console.log(JSON.stringify(body, null, 2));
+		}
+		res.writeHead(status, {'Content-Type': 'application/json'}).end('{}');
+	});
+});
+
+server.listen(port, () => {
+	console.log(`Forwarder test sink listening on http://localhost:${port}`);
+	console.log(`  Webhook forwarders: http://localhost:${port}/webhook`);
+	console.log(`  OTLP forwarders:    http://localhost:${port}/v1/logs`);
+	if (failRate > 0) {
+		console.log(`  Failing ${Math.round(failRate * 100)}% of requests with HTTP 503`);
+	}
+});
+
+process.on('SIGINT', () => {
+	server.close(() => process.exit(0));
+});
@@ -0,0 +1,73 @@
+/**
+ * Script to manage the database schema migrations (src/storage/migrations)
+ * The server also applies pending migrations automatically at boot.
+ * Usage:
+ *   node src/scripts/migrate.js status
+ *   node src/scripts/migrate.js up [--to <version>]
+ *   node src/scripts/migrate.js down [--steps <n>]
+ */
+
+// Load environment variables from .env file
+import dotenv from 'dotenv';
+dotenv.config();
+
+import {createPool} from '../storage/database.js';
+import {migrateUp, migrateDown, getMigrationStatus} from '../storage/migrator.js';
+
+function getNumberOption(name) {
+	const index = process.argv.indexOf(name);
+	if (index === -1) {
+		return null;
+	}
+	const value = Number.parseInt(process.argv[index + 1], 10);
+	if (!Number.isFinite(value)) {
+		console.error(`${name} must be a number`);
+		process.exit(1);
+	}
+	return value;
+}
+
+async function migrateScript() {
+	const command = process.argv[2];
+	if (!['status', 'up', 'down'].includes(command)) {
+		console.error('Usage: node src/scripts/migrate.js status | up [--to <version>] | down [--steps <n>]');
+		process.exit(1);
+	}
+
+	let pool = null;
+	try {
+		pool = await createPool();
+
+		if (command === 'status') {
+			const status = await getMigrationStatus(pool);
+			for (const migration of status) {
+				const version = String(migration.version).padStart(4, '0');
+				let state = 'pending';
+				if (migration.missing) {
+					state = `applied ${migration.appliedAt} (file missing)`;
+				} else if (migration.applied) {
+					state = `applied ${migration.appliedAt}`;
+				}
+				console.log(`   ${version}_${migration.name}  ${state}`);
+			}
+			const pendingCount = status.filter(migration => !migration.applied).length;
+			console.log(`\n${pendingCount} pending migration${pendingCount === 1 ? '' : 's'}\n`);
+		} else if (command === 'up') {
+			const applied = await migrateUp(pool, {to: getNumberOption('--to')});
+			console.log(`\n✅ Applied ${applied.length} migration${applied.length === 1 ? '' : 's'}\n`);
+		} else {
+			const reverted = await migrateDown(pool, {steps: getNumberOption('--steps') ?? 1});
+			console.log(`\n✅ Reverted ${reverted.length} migration${reverted.length === 1 ? '' : 's'}\n`);
+		}
+
+		await pool.end();
+	} catch (error) {
+		console.error('Error running migrations:', error.message);
+		if (pool) {
+			await pool.end();
+		}
+		process.exit(1);
+	}
+}
+
+migrateScript();
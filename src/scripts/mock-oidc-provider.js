@@ -0,0 +1,224 @@
+/**
+ * Local stand-in for an OpenID Connect identity provider
+ * Implements discovery, the authorization code flow with PKCE, userinfo and a JWKS with a key
+ * generated at startup, so single sign-on can be tried without a real identity provider.
+ * The authorization page asks who to sign in as (username, email, name and groups); with --auto
+ * it signs in the --user right away.
+ * Usage:
+ *   node src/scripts/mock-oidc-provider.js [--port <port>] [--client-id <id>] [--client-secret <secret>]
+ *     [--user <username>] [--groups <group,group>] [--auto]
+ *
+ * Then start the dashboard with:
+ *   OIDC_ISSUER_URL=http://localhost:<port> OIDC_CLIENT_ID=<id> OIDC_CLIENT_SECRET=<secret>
+ *   OIDC_ROLE_MAPPING=dashboard-admins=administrator,dashboard-users=basic
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+function getOption(name, fallback) {
+	const index = process.argv.indexOf(name);
+	return index === -1 ? fallback : process.argv[index + 1];
+}
+
+const port = Number.parseInt(getOption('--port', '9400'), 10);
+const clientId = getOption('--client-id', 'telemetry-dashboard');
+const clientSecret = getOption('--client-secret', 'mock-secret');
+const defaultUser = getOption('--user', 'jane.doe');
+const defaultGroups = getOption('--groups', 'dashboard-users');
+const autoApprove = process.argv.includes('--auto');
+const defaultName = defaultUser.split(/[._-]/).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' ');
+
+const issuer = `http://localhost:${port}`;
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 3600;
+
+const {privateKey, publicKey} = crypto.generateKeyPairSync('rsa', {modulusLength: 2048});
+const keyId = crypto.randomBytes(8).toString('hex');
+const jwks = {keys: [{...publicKey.export({format: 'jwk'}), kid: keyId, use: 'sig', alg: 'RS256'}]};
+
+// Authorization codes and access tokens waiting to be used
+const codes = new Map();
+const accessTokens = new Map();
+
+function escapeHtml(value) {
+	return String(value).replace(/["&'<>]/g, char => `&#${char.codePointAt(0)};`);
+}
+
+function signJwt(claims) {
+	const header = Buffer.from(JSON.stringify({alg: 'RS256', typ: 'JWT', kid: keyId})).toString('base64url');
+	const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+	const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+	return `${header}.${payload}.${signature}`;
+}
+
+function sendJson(res, status, body) {
+	res.writeHead(status, {'Content-Type': 'application/json', 'Cache-Control': 'no-store'}).end(JSON.stringify(body));
+}
+
+function buildClaims(user) {
+	return {
+		sub: crypto.createHash('sha256').update(user.username).digest('hex').slice(0, 24),
+		preferred_username: user.username,
+		email: user.email,
+		email_verified: true,
+		name: user.name,
+		groups: user.groups
+	};
+}
+
+function renderAuthorizePage(params) {
+	const hidden = [...params].map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join('');
+	const field = (name, label, value) => `<p><label>${label}<br><input name="${name}" value="${escapeHtml(value)}" size="40"></label></p>`;
+	return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Mock OIDC provider</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto;">
+<h1>Mock OIDC provider</h1>
+<p>Sign in to <code>${escapeHtml(params.get('client_id'))}</code> as:</p>
+<form method="post" action="/authorize">
+${hidden}
+${field('username', 'Username', defaultUser)}
+${field('email', 'Email', `${defaultUser}@example.com`)}
+${field('name', 'Name', defaultName)}
+${field('groups', 'Groups (comma separated)', defaultGroups)}
+<p><button type="submit">Sign in</button> <button type="submit" name="deny" value="1">Deny</button></p>
+</form>
+</body></html>`;
+}
+
+function handleAuthorize(params, res) {
+	const redirectUri = params.get('redirect_uri');
+	if (params.get('client_id') !== clientId || !redirectUri) {
+		res.writeHead(400, {'Content-Type': 'text/plain'}).end('Unknown client_id or missing redirect_uri');
+		return;
+	}
+	const redirect = new URL(redirectUri);
+	redirect.searchParams.set('state', params.get('state') || '');
+
+	if (params.get('deny')) {
+		redirect.searchParams.set('error', 'access_denied');
+	} else if (params.get('response_type') !== 'code' || params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+		redirect.searchParams.set('error', 'invalid_request');
+		redirect.searchParams.set('error_description', 'Expected response_type=code with an S256 code_challenge');
+	} else {
+		const username = params.get('username') || defaultUser;
+		const name = params.get('name') || (username === defaultUser ? defaultName : username);
+		const code = crypto.randomBytes(16).toString('base64url');
+		codes.set(code, {
+			redirectUri,
+			nonce: params.get('nonce'),
+			codeChallenge: params.get('code_challenge'),
+			expiresAt: Date.now() + CODE_TTL_MS,
+			user: {
+				username,
+				email: params.get('email') || `${username}@example.com`,
+				name,
+				groups: (params.get('groups') ?? defaultGroups).split(',').map(group => group.trim()).filter(Boolean)
+			}
+		});
+		redirect.searchParams.set('code', code);
+		console.log(`${new Date().toISOString()} /authorize ✓ ${username}`);
+	}
+	res.writeHead(302, {Location: redirect.toString()}).end();
+}
+
+function getClientCredentials(req, params) {
+	const header = req.headers.authorization || '';
+	if (header.startsWith('Basic ')) {
+		const [id, secret] = Buffer.from(header.slice(6), 'base64').toString('utf8').split(':').map(decodeURIComponent);
+		return {id, secret};
+	}
+	return {id: params.get('client_id'), secret: params.get('client_secret')};
+}
+
+function handleToken(req, params, res) {
+	const client = getClientCredentials(req, params);
+	if (client.id !== clientId || client.secret !== clientSecret) {
+		sendJson(res, 401, {error: 'invalid_client'});
+		return;
+	}
+	const grant = codes.get(params.get('code'));
+	codes.delete(params.get('code'));
+	const verifier = params.get('code_verifier') || '';
+	const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+	if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== params.get('redirect_uri') || challenge !== grant.codeChallenge) {
+		sendJson(res, 400, {error: 'invalid_grant'});
+		return;
+	}
+
+	const now = Math.floor(Date.now() / 1000);
+	const claims = buildClaims(grant.user);
+	const accessToken = crypto.randomBytes(24).toString('base64url');
+	accessTokens.set(accessToken, claims);
+	console.log(`${new Date().toISOString()} /token ✓ ${grant.user.username} (${grant.user.groups.join(', ') || 'no groups'})`);
+	sendJson(res, 200, {
+		access_token: accessToken,
+		token_type: 'Bearer',
+		expires_in: TOKEN_TTL_SECONDS,
+		id_token: signJwt({
+			...claims,
+			iss: issuer,
+			aud: clientId,
+			iat: now,
+			exp: now + TOKEN_TTL_SECONDS,
+			nonce: grant.nonce
+		})
+	});
+}
+
+const server = http.createServer((req, res) => {
+	const url = new URL(req.url, issuer);
+	const chunks = [];
+	req.on('data', chunk => chunks.push(chunk));
+	req.on('end', () => {
+		const form = new URLSearchParams(Buffer.concat(chunks).toString('utf8'));
+
+		if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+			sendJson(res, 200, {
+				issuer,
+				authorization_endpoint: `${issuer}/authorize`,
+				token_endpoint: `${issuer}/token`,
+				userinfo_endpoint: `${issuer}/userinfo`,
+				jwks_uri: `${issuer}/jwks`,
+				response_types_supported: ['code'],
+				subject_types_supported: ['public'],
+				id_token_signing_alg_values_supported: ['RS256'],
+				token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+				code_challenge_methods_supported: ['S256'],
+				scopes_supported: ['openid', 'profile', 'email', 'groups']
+			});
+		} else if (req.method === 'GET' && url.pathname === '/jwks') {
+			sendJson(res, 200, jwks);
+		} else if (req.method === 'GET' && url.pathname === '/authorize') {
+			if (autoApprove) {
+				handleAuthorize(url.searchParams, res);
+			} else {
+				res.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'}).end(renderAuthorizePage(url.searchParams));
+			}
+		} else if (req.method === 'POST' && url.pathname === '/authorize') {
+			handleAuthorize(form, res);
+		} else if (req.method === 'POST' && url.pathname === '/token') {
+			handleToken(req, form, res);
+		} else if (url.pathname === '/userinfo') {
+			const claims = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+			if (claims) {
+				sendJson(res, 200, claims);
+			} else {
+				sendJson(res, 401, {error: 'invalid_token'});
+			}
+		} else {
+			sendJson(res, 404, {error: 'not_found'});
+		}
+	});
+});
+
+server.listen(port, () => {
+	console.log(`Mock OIDC provider listening on ${issuer}`);
+	console.log(`  Client: ${clientId} / ${clientSecret}`);
+	console.log(`  Signs in as: ${autoApprove ? `${defaultUser} (--auto)` : 'chosen on the authorization page'}`);
+	console.log(`  Dashboard: OIDC_ISSUER_URL=${issuer} OIDC_CLIENT_ID=${clientId} OIDC_CLIENT_SECRET=${clientSecret}`);
+});
+
+process.on('SIGINT', () => {
+	server.close(() => process.exit(0));
+});
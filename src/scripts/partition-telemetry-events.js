@@ -0,0 +1,36 @@
+/**
+ * Script to convert telemetry_events into a table partitioned by month
+ * Only needed for databases created before partitioning; new databases are partitioned from the start.
+ * Inserts wait while the conversion runs (events keep queuing in ingestion_queue), reads keep working.
+ * Usage: node src/scripts/partition-telemetry-events.js
+ */
+
+// Load environment variables from .env file
+import dotenv from 'dotenv';
+dotenv.config();
+
+import {init, partitionTelemetryEvents, close} from '../storage/database.js';
+
+async function partitionTelemetryEventsScript() {
+	try {
+		await init();
+		console.log('Database initialized');
+
+		const result = await partitionTelemetryEvents({
+			onProgress: message => console.log(`   ${message}`)
+		});
+
+		if (result.converted) {
+			console.log(`\n✅ telemetry_events partitioned: ${result.rows} events in ${result.partitions} monthly partitions\n`);
+		} else {
+			console.log('\n✅ telemetry_events is already partitioned, nothing to do\n');
+		}
+
+		await close();
+	} catch (error) {
+		console.error('Error partitioning telemetry_events:', error.message);
+		process.exit(1);
+	}
+}
+
+partitionTelemetryEventsScript();
@@ -6,13 +6,70 @@
 
 import crypto from 'node:crypto';
 import {TelemetryEvent} from './telemetry-event.js';
+import {computeErrorFingerprint, compareVersions} from './error-fingerprint.js';
+import {migrateUp} from './migrator.js';
+import {encodeCursor} from './page-cursor.js';
 
 // Database configuration constants
 const DEFAULT_MAX_DB_SIZE = 1024 * 1024 * 1024; // 1 GB in bytes
 const VALID_ROLES = ['basic', 'advanced', 'administrator', 'god'];
 const MAX_LIMIT_FOR_TOTAL_COMPUTATION = 100; // Skip expensive COUNT queries for large limits
+// Pagination cursors keep timestamps as UTC ISO text with microseconds (a JS Date would drop them)
+const CURSOR_TIMESTAMP_FORMAT = `'YYYY-MM-DD"T"HH24:MI:SS.US"Z"'`;
 
 let db = null;
+let telemetryEventsPartitioned = false;
+
+// Current indexes of telemetry_events, rebuilt by partitionTelemetryEvents() on the partitioned table.
+// Keep in sync with the migrations that change telemetry_events indexes (see migrations/).
+// On a partitioned table every unique index has to include timestamp (client_event_ids keeps eventIds unique).
+const TELEMETRY_EVENTS_INDEXES_SQL = `
+	CREATE INDEX IF NOT EXISTS idx_timestamp ON telemetry_events(timestamp);
+	CREATE INDEX IF NOT EXISTS idx_server_id ON telemetry_events(server_id);
+	CREATE INDEX IF NOT EXISTS idx_event_id_created_at ON telemetry_events(event_id, created_at);
+	CREATE INDEX IF NOT EXISTS idx_user_created_at ON telemetry_events(user_id, created_at);
+	CREATE INDEX IF NOT EXISTS idx_session_timestamp ON telemetry_events(session_id, timestamp);
+	CREATE INDEX IF NOT EXISTS idx_parent_session_timestamp ON telemetry_events(parent_session_id, timestamp);
+	CREATE INDEX IF NOT EXISTS idx_api_key_id_created_at ON telemetry_events(api_key_id, created_at);
+	CREATE INDEX IF NOT EXISTS idx_commit_order ON telemetry_events((COALESCE(xact_id, '0'::xid8)), id);
+	CREATE UNIQUE INDEX IF NOT EXISTS idx_client_event_id_timestamp ON telemetry_events(client_event_id, timestamp) WHERE client_event_id IS NOT NULL;
+	DROP INDEX IF EXISTS idx_client_event_id;
+	CREATE INDEX IF NOT EXISTS idx_error_fingerprint_timestamp ON telemetry_events(error_fingerprint, timestamp) WHERE error_fingerprint IS NOT NULL;
+	CREATE INDEX IF NOT EXISTS idx_error_message ON telemetry_events(error_message);
+	CREATE INDEX IF NOT EXISTS idx_team_id_created_at ON telemetry_events(team_id, created_at);
+	CREATE INDEX IF NOT EXISTS idx_user_name_created_at ON telemetry_events(user_name, created_at);
+	CREATE INDEX IF NOT EXISTS idx_org_id_created_at ON telemetry_events(org_id, created_at);
+	CREATE INDEX IF NOT EXISTS idx_tool_name_created_at ON telemetry_events(tool_name, created_at);
+	CREATE INDEX IF NOT EXISTS idx_company_name_created_at ON telemetry_events(company_name, created_at);
+	CREATE INDEX IF NOT EXISTS idx_user_name_tool_name_created_at ON telemetry_events(user_name, tool_name, created_at);
+	CREATE INDEX IF NOT EXISTS idx_org_id_tool_name_created_at ON telemetry_events(org_id, tool_name, created_at);
+	CREATE INDEX IF NOT EXISTS idx_event_created_at ON telemetry_events(event, created_at);
+	CREATE INDEX IF NOT EXISTS idx_deleted_at_created_at ON telemetry_events(deleted_at, created_at);
+	CREATE INDEX IF NOT EXISTS idx_data_gin ON telemetry_events USING GIN (data);
+	CREATE INDEX IF NOT EXISTS idx_area ON telemetry_events(area);
+	CREATE INDEX IF NOT EXISTS idx_success ON telemetry_events(success);
+	CREATE INDEX IF NOT EXISTS idx_telemetry_schema_version ON telemetry_events(telemetry_schema_version);
+	CREATE INDEX IF NOT EXISTS idx_created_at_id ON telemetry_events(created_at, id);
+`;
+
+// Rollup triggers of telemetry_events (see 0001_baseline.js), recreated by partitionTelemetryEvents().
+// Only changes to columns the rollups aggregate fire the UPDATE trigger (soft deletes, team reassignment...)
+const TELEMETRY_EVENTS_TRIGGERS_SQL = `
+	DO $do$
+	BEGIN
+		IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'telemetry_events_rollup_insert_delete' AND tgrelid = 'telemetry_events'::regclass) THEN
+			CREATE TRIGGER telemetry_events_rollup_insert_delete
+			AFTER INSERT OR DELETE ON telemetry_events
+			FOR EACH ROW EXECUTE FUNCTION mark_telemetry_rollup_dirty();
+		END IF;
+		IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'telemetry_events_rollup_update' AND tgrelid = 'telemetry_events'::regclass) THEN
+			CREATE TRIGGER telemetry_events_rollup_update
+			AFTER UPDATE OF timestamp, deleted_at, event_id, event, area, tool_name, org_id, team_id, user_id, success, duration_ms ON telemetry_events
+			FOR EACH ROW EXECUTE FUNCTION mark_telemetry_rollup_dirty();
+		END IF;
+	END
+	$do$;
+`;
 
 function normalizeRole(role) {
 	const value = typeof role === 'string' ? role.toLowerCase() : '';
@@ -20,9 +77,10 @@ function normalizeRole(role) {
 }
 
 /**
- * Initialize database connection
+ * Create a connection pool from DATABASE_INTERNAL_URL / DATABASE_URL and check it can connect
+ * @returns {Promise<import('pg').Pool>} Connection pool
  */
-async function init() {
+async function createPool() {
 	const {Pool} = await import('pg');
 
 	// Prefer internal database URL if available (for Render.com internal networking)
@@ -52,184 +110,28 @@ async function init() {
 
 	// Test connection
 	await pool.query('SELECT NOW()');
+	return pool;
+}
 
-	// Create tables if they don't exist
-	await pool.query(`
-		CREATE TABLE IF NOT EXISTS event_types (
-			id SERIAL PRIMARY KEY,
-			name TEXT NOT NULL UNIQUE,
-			description TEXT,
-			created_at TIMESTAMPTZ DEFAULT NOW()
-		);
-
-		CREATE TABLE IF NOT EXISTS teams (
-			id SERIAL PRIMARY KEY,
-			name TEXT NOT NULL UNIQUE,
-			color TEXT,
-			logo_url TEXT,
-			logo_data BYTEA,
-			logo_mime TEXT,
-			created_at TIMESTAMPTZ DEFAULT NOW(),
-			updated_at TIMESTAMPTZ DEFAULT NOW()
-		);
-
-		CREATE TABLE IF NOT EXISTS telemetry_events (
-			id SERIAL PRIMARY KEY,
-			timestamp TIMESTAMPTZ NOT NULL,
-			server_id TEXT,
-			version TEXT,
-			session_id TEXT,
-			parent_session_id TEXT,
-			user_id TEXT,
-			event_id INTEGER NOT NULL REFERENCES event_types(id),
-			data JSONB NOT NULL,
-			received_at TIMESTAMPTZ NOT NULL,
-			created_at TIMESTAMPTZ DEFAULT NOW(),
-			error_message TEXT,
-			org_id TEXT,
-			user_name TEXT,
-			tool_name TEXT,
-			company_name TEXT,
-			deleted_at TIMESTAMPTZ,
-			team_id INTEGER REFERENCES teams(id),
-			event TEXT,
-			area TEXT,
-			success BOOLEAN,
-			telemetry_schema_version INTEGER
-		);
-
-		CREATE TABLE IF NOT EXISTS users (
-			id SERIAL PRIMARY KEY,
-			username TEXT NOT NULL UNIQUE,
-			password_hash TEXT NOT NULL,
-			role TEXT NOT NULL DEFAULT 'basic',
-			created_at TIMESTAMPTZ DEFAULT NOW(),
-			last_login TIMESTAMPTZ,
-			team_id INTEGER REFERENCES teams(id)
-		);
-
-		CREATE TABLE IF NOT EXISTS orgs (
-			server_id TEXT PRIMARY KEY,
-			company_name TEXT,
-			updated_at TIMESTAMPTZ DEFAULT NOW(),
-			created_at TIMESTAMPTZ DEFAULT NOW(),
-			team_id INTEGER REFERENCES teams(id),
-			alias TEXT
-		);
-
-		CREATE TABLE IF NOT EXISTS settings (
-			key TEXT PRIMARY KEY,
-			value TEXT NOT NULL,
-			updated_at TIMESTAMPTZ DEFAULT NOW(),
-			created_at TIMESTAMPTZ DEFAULT NOW()
-		);
-
-		CREATE TABLE IF NOT EXISTS people (
-			id SERIAL PRIMARY KEY,
-			name TEXT,
-			initials TEXT,
-			created_at TIMESTAMPTZ DEFAULT NOW()
-		);
-
-		ALTER TABLE people ADD COLUMN IF NOT EXISTS name TEXT;
-		ALTER TABLE people DROP COLUMN IF EXISTS email;
-
-		CREATE TABLE IF NOT EXISTS person_usernames (
-			id SERIAL PRIMARY KEY,
-			person_id INTEGER NOT NULL REFERENCES people(id) ON DELETE CASCADE,
-			username TEXT NOT NULL,
-			org_id TEXT,
-			is_primary BOOLEAN DEFAULT FALSE,
-			created_at TIMESTAMPTZ DEFAULT NOW(),
-			UNIQUE(person_id, username)
-		);
-
-		CREATE TABLE IF NOT EXISTS user_logins (
-			id SERIAL PRIMARY KEY,
-			username TEXT NOT NULL,
-			ip_address INET,
-			user_agent TEXT,
-			successful BOOLEAN NOT NULL DEFAULT true,
-			error_message TEXT,
-			created_at TIMESTAMPTZ DEFAULT NOW()
-		);
-
-		-- Removed duplicate indexes that are covered by composite indexes:
-		-- - idx_event_id (covered by idx_event_id_created_at)
-		-- - idx_created_at (covered by multiple composite indexes with created_at)
-		-- - idx_session_id (covered by idx_session_timestamp)
-		-- - idx_parent_session_id (covered by idx_parent_session_timestamp)
-		CREATE INDEX IF NOT EXISTS idx_timestamp ON telemetry_events(timestamp);
-		CREATE INDEX IF NOT EXISTS idx_server_id ON telemetry_events(server_id);
-		CREATE INDEX IF NOT EXISTS idx_event_id_created_at ON telemetry_events(event_id, created_at);
-		CREATE INDEX IF NOT EXISTS idx_user_created_at ON telemetry_events(user_id, created_at);
-		-- Composite indexes that cover the removed simple indexes:
-		CREATE INDEX IF NOT EXISTS idx_session_timestamp ON telemetry_events(session_id, timestamp);
-		CREATE INDEX IF NOT EXISTS idx_parent_session_timestamp ON telemetry_events(parent_session_id, timestamp);
-		CREATE INDEX IF NOT EXISTS idx_user_logins_username ON user_logins(username);
-		CREATE INDEX IF NOT EXISTS idx_user_logins_created_at ON user_logins(created_at);
-		CREATE INDEX IF NOT EXISTS idx_user_logins_successful ON user_logins(successful);
-
-		CREATE TABLE IF NOT EXISTS team_event_users (
-			id SERIAL PRIMARY KEY,
-			team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
-			user_name TEXT NOT NULL,
-			created_at TIMESTAMPTZ DEFAULT NOW(),
-			UNIQUE(team_id, user_name)
-		);
-
-		CREATE TABLE IF NOT EXISTS user_event_stats (
-			user_id TEXT PRIMARY KEY,
-			event_count INTEGER NOT NULL DEFAULT 0,
-			last_event TIMESTAMPTZ,
-			display_name TEXT
-		);
-		CREATE INDEX IF NOT EXISTS idx_user_event_stats_last_event ON user_event_stats(last_event);
+/**
+ * Initialize database connection and apply pending schema migrations
+ */
+async function init() {
+	const pool = await createPool();
 
-		CREATE TABLE IF NOT EXISTS org_event_stats (
-			org_id TEXT PRIMARY KEY,
-			event_count INTEGER NOT NULL DEFAULT 0,
-			last_event TIMESTAMPTZ
-		);
-		CREATE INDEX IF NOT EXISTS idx_org_event_stats_last_event ON org_event_stats(last_event);
-
-		CREATE TABLE IF NOT EXISTS remember_tokens (
-			id SERIAL PRIMARY KEY,
-			user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-			token_hash TEXT NOT NULL UNIQUE,
-			expires_at TIMESTAMPTZ NOT NULL,
-			revoked_at TIMESTAMPTZ,
-			user_agent TEXT,
-			ip_address TEXT,
-			created_at TIMESTAMPTZ DEFAULT NOW()
-		);
-		CREATE INDEX IF NOT EXISTS idx_remember_user_id ON remember_tokens(user_id);
-		CREATE INDEX IF NOT EXISTS idx_remember_expires_at ON remember_tokens(expires_at);
-
-		CREATE INDEX IF NOT EXISTS idx_error_message ON telemetry_events(error_message);
-		CREATE INDEX IF NOT EXISTS idx_team_id_created_at ON telemetry_events(team_id, created_at);
-		CREATE INDEX IF NOT EXISTS idx_user_name_created_at ON telemetry_events(user_name, created_at);
-		CREATE INDEX IF NOT EXISTS idx_org_id_created_at ON telemetry_events(org_id, created_at);
-		CREATE INDEX IF NOT EXISTS idx_tool_name_created_at ON telemetry_events(tool_name, created_at);
-		CREATE INDEX IF NOT EXISTS idx_company_name_created_at ON telemetry_events(company_name, created_at);
-		CREATE INDEX IF NOT EXISTS idx_user_name_tool_name_created_at ON telemetry_events(user_name, tool_name, created_at);
-		CREATE INDEX IF NOT EXISTS idx_org_id_tool_name_created_at ON telemetry_events(org_id, tool_name, created_at);
-		CREATE INDEX IF NOT EXISTS idx_event_created_at ON telemetry_events(event, created_at);
-		CREATE INDEX IF NOT EXISTS idx_deleted_at_created_at ON telemetry_events(deleted_at, created_at);
-		CREATE INDEX IF NOT EXISTS idx_data_gin ON telemetry_events USING GIN (data);
-		CREATE INDEX IF NOT EXISTS idx_area ON telemetry_events(area);
-		CREATE INDEX IF NOT EXISTS idx_success ON telemetry_events(success);
-		CREATE INDEX IF NOT EXISTS idx_telemetry_schema_version ON telemetry_events(telemetry_schema_version);
-		CREATE INDEX IF NOT EXISTS idx_orgs_team_id ON orgs(team_id);
-		CREATE INDEX IF NOT EXISTS idx_orgs_alias ON orgs(alias);
-		CREATE INDEX IF NOT EXISTS idx_users_team_id ON users(team_id);
-	`);
+	// Bring the schema up to date (see migrator.js). Instances booting at the same time
+	// wait for each other on an advisory lock, so each migration is applied once
+	await migrateUp(pool);
 
 	db = pool;
 
-		await ensureEventTypesInitialized();
-		await ensureCopilotUser();
-		await ensurePgStatStatements();
+	await ensureTelemetryEventPartitions();
+	if (!telemetryEventsPartitioned) {
+		console.log('ℹ️  telemetry_events is not partitioned yet (run: npm run partition-events)');
+	}
+	await ensureEventTypesInitialized();
+	await ensureCopilotUser();
+	await ensurePgStatStatements();
 }
 
 async function getEventTypeId(eventName) {
@@ -771,13 +673,172 @@ async function computeParentSessionId(eventData, normalizedSessionId, normalized
 	return normalizedSessionId;
 }
 
+/**
+ * Build the error group occurrence of a tool error event
+ * @param {import('./telemetry-event.js').TelemetryEvent} telemetryEvent - The parsed telemetry event
+ * @param {string} receivedAt - ISO timestamp when event was received (fallback for invalid timestamps)
+ * @returns {object|null} Occurrence (fingerprint, normalized message, tool, timestamp, version) or null if not a tool error
+ */
+function buildErrorOccurrence(telemetryEvent, receivedAt) {
+	if (telemetryEvent.eventType !== 'tool_error') {
+		return null;
+	}
+
+	const {fingerprint, normalizedMessage} = computeErrorFingerprint(telemetryEvent.toolName, telemetryEvent.errorMessage);
+	return {
+		fingerprint,
+		normalizedMessage,
+		toolName: telemetryEvent.toolName || null,
+		message: telemetryEvent.errorMessage || null,
+		timestamp: normalizeStatsTimestamp(telemetryEvent.timestamp) || receivedAt || new Date().toISOString(),
+		version: telemetryEvent.getVersion() || null
+	};
+}
+
+/**
+ * Add tool error occurrences to their error groups
+ * Creates missing groups, updates counters and affected users/orgs, and reopens resolved
+ * groups when the error recurs in a newer server version than the one it was resolved in.
+ * @param {Array<object>} occurrences - Occurrences built by buildErrorOccurrence()
+ * @returns {Promise<void>}
+ */
+async function updateErrorGroups(occurrences) {
+	const byFingerprint = new Map();
+	for (const occurrence of occurrences) {
+		const group = byFingerprint.get(occurrence.fingerprint);
+		if (!group) {
+			byFingerprint.set(occurrence.fingerprint, {...occurrence, firstSeen: occurrence.timestamp, lastSeen: occurrence.timestamp, count: 1});
+			continue;
+		}
+		group.count++;
+		if (occurrence.timestamp < group.firstSeen) {
+			group.firstSeen = occurrence.timestamp;
+		}
+		if (occurrence.timestamp >= group.lastSeen) {
+			group.lastSeen = occurrence.timestamp;
+			group.message = occurrence.message || group.message;
+		}
+		if (compareVersions(occurrence.version, group.version) > 0 || !group.version) {
+			group.version = occurrence.version || group.version;
+		}
+	}
+
+	const groups = [...byFingerprint.values()];
+	const fingerprints = groups.map(group => group.fingerprint);
+	const result = await db.query(
+		`
+		INSERT INTO error_groups (fingerprint, tool_name, normalized_message, sample_message, first_seen, last_seen, event_count, last_version)
+		SELECT * FROM UNNEST($1::text[], $2::text[], $3::text[], $4::text[], $5::timestamptz[], $6::timestamptz[], $7::bigint[], $8::text[])
+		ON CONFLICT (fingerprint) DO UPDATE SET
+			first_seen = LEAST(error_groups.first_seen, EXCLUDED.first_seen),
+			last_seen = GREATEST(error_groups.last_seen, EXCLUDED.last_seen),
+			event_count = error_groups.event_count + EXCLUDED.event_count,
+			sample_message = COALESCE(EXCLUDED.sample_message, error_groups.sample_message),
+			last_version = COALESCE(EXCLUDED.last_version, error_groups.last_version)
+		RETURNING id, fingerprint, status, resolved_in_version
+		`,
+		[
+			fingerprints,
+			groups.map(group => group.toolName),
+			groups.map(group => group.normalizedMessage),
+			groups.map(group => group.message),
+			groups.map(group => group.firstSeen),
+			groups.map(group => group.lastSeen),
+			groups.map(group => group.count),
+			groups.map(group => group.version)
+		]
+	);
+
+	// A resolved group only reopens when it shows up again in a newer server version
+	const reopenIds = result.rows
+		.filter(row => {
+			if (row.status !== 'resolved') {
+				return false;
+			}
+			const version = byFingerprint.get(row.fingerprint)?.version;
+			if (!row.resolved_in_version) {
+				return Boolean(version);
+			}
+			return compareVersions(version, row.resolved_in_version) > 0;
+		})
+		.map(row => row.id);
+	if (reopenIds.length > 0) {
+		await db.query(
+			`UPDATE error_groups
+			SET status = 'open', resolved_at = NULL, resolved_by = NULL, reopened_at = NOW(), reopen_count = reopen_count + 1
+			WHERE id = ANY($1::int[])`,
+			[reopenIds]
+		);
+	}
+
+	await db.query(
+		`
+		UPDATE error_groups g
+		SET affected_users = s.affected_users, affected_orgs = s.affected_orgs
+		FROM (
+			SELECT error_fingerprint, COUNT(DISTINCT user_id) AS affected_users, COUNT(DISTINCT org_id) AS affected_orgs
+			FROM telemetry_events
+			WHERE error_fingerprint = ANY($1::text[]) AND deleted_at IS NULL
+			GROUP BY error_fingerprint
+		) s
+		WHERE g.fingerprint = s.error_fingerprint
+		`,
+		[fingerprints]
+	);
+}
+
+/**
+ * Claim the eventIds of events about to be stored (see migrations/0011_client_event_ids.js)
+ * Must run in the transaction that inserts the events: a concurrent claim of the same eventId
+ * waits for it and only succeeds if it rolls back.
+ * @param {object} client - Client with an open transaction
+ * @param {Array<string>} clientEventIds - eventIds of the events
+ * @returns {Promise<Set<string>>} eventIds claimed; the others were already stored
+ */
+async function claimClientEventIds(client, clientEventIds) {
+	if (clientEventIds.length === 0) {
+		return new Set();
+	}
+	// Sorted, so that batches claiming the same eventIds lock them in the same order
+	const result = await client.query(
+		`INSERT INTO client_event_ids (client_event_id)
+		SELECT * FROM unnest($1::text[])
+		ON CONFLICT (client_event_id) DO NOTHING
+		RETURNING client_event_id`,
+		[[...clientEventIds].sort()]
+	);
+	return new Set(result.rows.map(row => row.client_event_id));
+}
+
+/**
+ * Build the quarantine entry of an event whose month has been archived
+ * (its partition was detached, see detachTelemetryEventPartition)
+ * @param {TelemetryEvent} telemetryEvent - The parsed telemetry event
+ * @param {object} context - clientIp, receivedAt and apiKeyId of the event
+ * @returns {object} Item for storeRejectedEvents()
+ */
+function buildArchivedMonthRejection(telemetryEvent, {clientIp, receivedAt, apiKeyId}) {
+	const monthKey = getPartitionMonthKey(new Date(telemetryEvent.timestamp));
+	return {
+		payload: telemetryEvent.payload || telemetryEvent.toJSON(),
+		stage: 'archived_month',
+		errors: [{field: 'timestamp', message: `month ${monthKey.slice(0, 4)}-${monthKey.slice(4)} has been archived`}],
+		clientIp: clientIp || null,
+		receivedAt,
+		apiKeyId: apiKeyId || null
+	};
+}
+
 /**
  * Store a telemetry event
  * @param {import('./telemetry-event.js').TelemetryEvent} telemetryEvent - The parsed telemetry event
  * @param {string} receivedAt - ISO timestamp when event was received
- * @returns {Promise<boolean>} Success status
+ * @param {number|null} apiKeyId - ID of the ingestion API key the event was sent with (optional)
+ * @param {string|null} clientIp - IP address the event was sent from (optional, kept if the event is rejected)
+ * @param {number|null} queueId - ingestion_queue row of the event, deleted in the transaction that stores it (optional)
+ * @returns {Promise<boolean>} True if stored, false if discarded, rejected or its eventId was already stored
  */
-async function storeEvent(telemetryEvent, receivedAt) {
+async function storeEvent(telemetryEvent, receivedAt, apiKeyId = null, clientIp = null, queueId = null) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
@@ -796,22 +857,28 @@ async function storeEvent(telemetryEvent, receivedAt) {
 
 		if (!userId && !allowMissingUser && !isSessionEventWithoutStart && !isExemptEvent) {
 			console.warn('Dropping telemetry event without username/userId');
-			// Store discarded event as general error
+			// Store discarded event as general error (a failure is retried like any other)
 			const timestamp = receivedAt || new Date().toISOString();
-			storeDiscardedEvent(telemetryEvent.payload || telemetryEvent, 'Event discarded: missing username/userId', timestamp).catch(err => {
-				console.error('Error storing discarded event:', err);
-			});
+			if (!await storeDiscardedEvent(telemetryEvent.payload || telemetryEvent, 'Event discarded: missing username/userId', timestamp, apiKeyId, queueId)) {
+				throw new Error('Failed to store discarded event');
+			}
 			return false;
 		}
 
 		// Get event type ID from TelemetryEvent's calculated eventType
 		const eventTypeId = await getEventTypeId(telemetryEvent.eventType);
 		if (!eventTypeId) {
-			console.warn(`Unknown event type: ${telemetryEvent.eventType}, dropping event`);
-			// Store discarded event as general error
-			const timestamp = receivedAt || new Date().toISOString();
-			storeDiscardedEvent(telemetryEvent.payload || telemetryEvent, `Event discarded: unknown event type '${telemetryEvent.eventType}'`, timestamp).catch(err => {
-				console.error('Error storing discarded event:', err);
+			console.warn(`Unknown event type: ${telemetryEvent.eventType}, rejecting event`);
+			// Quarantine so it can be promoted once the event type exists
+			storeRejectedEvents([{
+				payload: telemetryEvent.payload || telemetryEvent.toJSON(),
+				stage: 'unknown_event_type',
+				errors: [{field: 'eventType', message: `unknown event type '${telemetryEvent.eventType}'`}],
+				clientIp,
+				receivedAt: receivedAt || new Date().toISOString(),
+				apiKeyId
+			}]).catch(err => {
+				console.error('Error storing rejected event:', err);
 			});
 			return false;
 		}
@@ -824,6 +891,7 @@ async function storeEvent(telemetryEvent, receivedAt) {
 
 		// Use denormalized fields from TelemetryEvent
 		const {orgId, userName, toolName, companyName, errorMessage} = telemetryEvent;
+		const errorOccurrence = buildErrorOccurrence(telemetryEvent, receivedAt);
 
 		// Resolve team_id for pre-calculated team association
 		let teamId = null;
@@ -854,32 +922,78 @@ async function storeEvent(telemetryEvent, receivedAt) {
 			payloadForPostgreSQL = payloadToStore;
 		}
 
-		await db.query(
-			`INSERT INTO telemetry_events
-			(event_id, timestamp, server_id, version, session_id, parent_session_id, user_id, data, received_at, org_id, user_name, tool_name, company_name, error_message, team_id, event, area, success, telemetry_schema_version)
-			VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)`,
-			[
-				eventTypeId,
-				telemetryEvent.timestamp,
-				telemetryEvent.getServerId() || null,
-				telemetryEvent.getVersion() || null,
-				sessionId || null,
-				parentSessionId || null,
-				userId || null,
-				payloadForPostgreSQL,
-				receivedAt,
-				orgId,
-				userName,
-				toolName,
-				companyName,
-				errorMessage,
-				teamId,
-				telemetryEvent.eventType || null,
-				telemetryEvent.area || null,
-				telemetryEvent.success ?? null,
-				telemetryEvent.telemetrySchemaVersion || null
-			]
-		);
+		const archivedMonths = await ensureTelemetryEventPartitionsFor([telemetryEvent.timestamp]);
+		if (archivedMonths.size > 0) {
+			console.warn(`Event for archived month ${[...archivedMonths][0]}, rejecting event`);
+			storeRejectedEvents([buildArchivedMonthRejection(telemetryEvent, {
+				clientIp,
+				receivedAt: receivedAt || new Date().toISOString(),
+				apiKeyId
+			})]).catch(err => {
+				console.error('Error storing rejected event:', err);
+			});
+			return false;
+		}
+
+		// The eventId is claimed in the same transaction: a retry is a duplicate even with another timestamp
+		const clientEventId = telemetryEvent.eventId || null;
+		let stored = false;
+		const client = await db.connect();
+		try {
+			await client.query('BEGIN');
+			if (!clientEventId || (await claimClientEventIds(client, [clientEventId])).has(clientEventId)) {
+				const insertResult = await client.query(
+					`INSERT INTO telemetry_events
+					(event_id, timestamp, server_id, version, session_id, parent_session_id, user_id, data, received_at, org_id, user_name, tool_name, company_name, error_message, team_id, event, area, success, telemetry_schema_version, api_key_id, client_event_id, duration_ms, error_fingerprint)
+					VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)
+					ON CONFLICT (client_event_id, timestamp) WHERE client_event_id IS NOT NULL DO NOTHING`,
+					[
+						eventTypeId,
+						telemetryEvent.timestamp,
+						telemetryEvent.getServerId() || null,
+						telemetryEvent.getVersion() || null,
+						sessionId || null,
+						parentSessionId || null,
+						userId || null,
+						payloadForPostgreSQL,
+						receivedAt,
+						orgId,
+						userName,
+						toolName,
+						companyName,
+						errorMessage,
+						teamId,
+						telemetryEvent.eventType || null,
+						telemetryEvent.area || null,
+						telemetryEvent.success ?? null,
+						telemetryEvent.telemetrySchemaVersion || null,
+						apiKeyId || null,
+						clientEventId,
+						telemetryEvent.getDurationMs(),
+						errorOccurrence?.fingerprint || null
+					]
+				);
+				stored = insertResult.rowCount > 0;
+			}
+			// Update aggregated counters so UI lists stay accurate without pagination
+			if (stored) {
+				await updateAggregatedStatsForEvent(userId, orgId, telemetryEvent.timestamp, userName, client);
+			}
+			if (queueId) {
+				await completeQueuedEvents([queueId], client);
+			}
+			await client.query('COMMIT');
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw error;
+		} finally {
+			client.release();
+		}
+
+		// Same eventId already stored (client retry)
+		if (!stored) {
+			return false;
+		}
 
 		// Extract and store company name if available
 		const serverId = telemetryEvent.getServerId();
@@ -893,8 +1007,12 @@ async function storeEvent(telemetryEvent, receivedAt) {
 			}
 		}
 
-		// Update aggregated counters so UI lists stay accurate without pagination
-		await updateAggregatedStatsForEvent(userId, orgId, telemetryEvent.timestamp, userName);
+		// Group tool errors by fingerprint (failures don't affect the stored event)
+		if (errorOccurrence) {
+			await updateErrorGroups([errorOccurrence]).catch(err => {
+				console.error('Error updating error groups:', err);
+			});
+		}
 
 		return true;
 	} catch (error) {
@@ -904,3232 +1022,6794 @@ async function storeEvent(telemetryEvent, receivedAt) {
 }
 
 /**
- * Store a discarded telemetry event as a general error
- * This function stores events that were discarded for any reason (missing userId, unknown event type, etc.)
- * without any validation requirements - it stores everything that was discarded
- * @param {object} rawPayload - Original raw payload that was discarded
- * @param {string} reason - Reason why the event was discarded (optional)
- * @param {string} receivedAt - ISO timestamp when event was received
- * @returns {Promise<boolean>} Success status
+ * Resolve parent session IDs for a whole batch of events in memory
+ * Applies the same rules as computeParentSessionId() with up to three lookup queries for
+ * the entire batch instead of up to two per event. Events are resolved in batch order, so
+ * later events see the sessions started by earlier events of the same batch.
+ * @param {Array<{telemetryEvent: TelemetryEvent, sessionId: string|null, userId: string|null}>} entries - Batch entries
+ * @param {number|null} sessionStartTypeId - event_types.id of 'session_start'
+ * @returns {Promise<Array<string|null>>} Parent session IDs, aligned with entries
  */
-async function storeDiscardedEvent(rawPayload, reason = 'discarded', receivedAt = null) {
-	if (!db) {
-		throw new Error('Database not initialized. Call init() first.');
-	}
-
-	try {
-		// Use current timestamp if not provided
-		const timestamp = receivedAt || new Date().toISOString();
+async function computeParentSessionIds(entries, sessionStartTypeId) {
+	const FOUR_HOURS_MS = 4 * 60 * 60 * 1000;
 
-		// Get or create "error" event type (used for discarded events)
-		let eventTypeId = await getEventTypeId('error');
-		if (!eventTypeId) {
-			// If "error" type doesn't exist, create it
-			const result = await db.query(
-				'INSERT INTO event_types (name, description) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING RETURNING id',
-				['error', 'General error event']
-			);
-			if (result.rows.length > 0) {
-				eventTypeId = result.rows[0].id;
-			} else {
-				// Type already exists, fetch it
-				eventTypeId = await getEventTypeId('error');
-			}
+	const continuedSessionIds = new Set();
+	const startServerIds = new Set();
+	const startUserIds = new Set();
+	for (const {telemetryEvent, sessionId, userId} of entries) {
+		if (!sessionId) {
+			continue;
 		}
-
-		// Store the discarded payload as-is in the data field
-		// For PostgreSQL, convert to object for JSONB column
-		// If it's already an object, use it directly; if it's a string, parse it
-		let payloadForPostgreSQL;
-		if (typeof rawPayload === 'string') {
-			try {
-				payloadForPostgreSQL = JSON.parse(rawPayload);
-			} catch {
-				// If parsing fails, wrap it as an object with the raw string
-				payloadForPostgreSQL = {_raw: rawPayload};
-			}
-		} else {
-			payloadForPostgreSQL = rawPayload;
+		if (telemetryEvent.event !== 'session_start') {
+			continuedSessionIds.add(sessionId);
+		} else if (userId && telemetryEvent.serverId) {
+			startServerIds.add(telemetryEvent.serverId);
+			startUserIds.add(userId);
 		}
+	}
 
-		// Extract any available metadata from the payload if it exists
-		let serverId = null;
-		let version = null;
-		let sessionId = null;
-		let userId = null;
-		let orgId = null;
-		let userName = null;
-		let toolName = null;
-		let companyName = null;
-		const errorMessage = reason;
-
-		// Try to extract metadata from payload if it's an object
-		if (typeof rawPayload === 'object' && rawPayload !== null) {
-			// Try to get server info
-			if (rawPayload.server?.id) {
-				serverId = rawPayload.server.id;
-			}
-			if (rawPayload.server?.version) {
-				version = rawPayload.server.version;
-			}
-
-			// Try to get session info
-			if (rawPayload.session?.id) {
-				sessionId = rawPayload.session.id;
-			}
+	// Latest known parent for sessions that already have stored events
+	const parentBySession = new Map();
+	if (continuedSessionIds.size > 0) {
+		const result = await db.query(
+			`SELECT DISTINCT ON (session_id) session_id, parent_session_id
+			 FROM telemetry_events
+			 WHERE session_id = ANY($1::text[]) AND parent_session_id IS NOT NULL
+			 ORDER BY session_id, timestamp DESC`,
+			[[...continuedSessionIds]]
+		);
+		for (const row of result.rows) {
+			parentBySession.set(row.session_id, row.parent_session_id);
+		}
+	}
 
-			// Try to get user info
-			if (rawPayload.user?.id) {
-				userId = rawPayload.user.id;
-			}
-			if (rawPayload.data?.userName || rawPayload.data?.user_name) {
-				userName = rawPayload.data.userName || rawPayload.data.user_name;
-			}
+	// Sessions without a parent yet: base it on their first stored session_start
+	const sessionsWithoutParent = [...continuedSessionIds].filter(sessionId => !parentBySession.has(sessionId));
+	if (sessionsWithoutParent.length > 0 && sessionStartTypeId) {
+		const result = await db.query(
+			`SELECT DISTINCT ON (session_id) session_id, parent_session_id
+			 FROM telemetry_events
+			 WHERE session_id = ANY($1::text[]) AND event_id = $2
+			 ORDER BY session_id, timestamp ASC`,
+			[sessionsWithoutParent, sessionStartTypeId]
+		);
+		for (const row of result.rows) {
+			parentBySession.set(row.session_id, row.parent_session_id || row.session_id);
+		}
+	}
 
-			// Try to get org info
-			if (rawPayload.server?.id) {
-				orgId = rawPayload.server.id;
-			}
+	// Latest session_start per server + user
+	const lastStartByKey = new Map();
+	if (startServerIds.size > 0 && sessionStartTypeId) {
+		const result = await db.query(
+			`SELECT DISTINCT ON (server_id, user_id) server_id, user_id, timestamp, parent_session_id, session_id
+			 FROM telemetry_events
+			 WHERE event_id = $1
+			   AND server_id = ANY($2::text[])
+			   AND user_id = ANY($3::text[])
+			 ORDER BY server_id, user_id, timestamp DESC`,
+			[sessionStartTypeId, [...startServerIds], [...startUserIds]]
+		);
+		for (const row of result.rows) {
+			lastStartByKey.set(`${row.server_id}|${row.user_id}`, {
+				timestamp: new Date(row.timestamp),
+				parentSessionId: row.parent_session_id || row.session_id
+			});
+		}
+	}
 
-			// Try to get tool name
-			if (rawPayload.data?.toolName || rawPayload.data?.tool_name) {
-				toolName = rawPayload.data.toolName || rawPayload.data.tool_name;
-			}
+	return entries.map(({telemetryEvent, sessionId, userId}) => {
+		if (!sessionId) {
+			return null;
+		}
 
-			// Try to get company name
-			if (rawPayload.data?.companyName || rawPayload.data?.company_name) {
-				companyName = rawPayload.data.companyName || rawPayload.data.company_name;
-			}
+		if (telemetryEvent.event !== 'session_start') {
+			const parentSessionId = parentBySession.get(sessionId) || sessionId;
+			parentBySession.set(sessionId, parentSessionId);
+			return parentSessionId;
 		}
 
-		// Resolve team_id if orgId is available
-		let teamId = null;
-		if (orgId) {
-			try {
-				const result = await db.query('SELECT team_id FROM orgs WHERE server_id = $1', [orgId]);
-				teamId = result.rows.length > 0 ? result.rows[0].team_id : null;
-			} catch (error) {
-				// Log error but don't fail event insertion
-				console.warn('Could not resolve team_id for org_id %s:', orgId, error.message);
-			}
+		const serverId = telemetryEvent.serverId || null;
+		const currentTs = telemetryEvent.timestamp ? new Date(telemetryEvent.timestamp) : new Date();
+		if (!userId || !serverId || Number.isNaN(currentTs.getTime())) {
+			parentBySession.set(sessionId, sessionId);
+			return sessionId;
 		}
 
-		// Insert the discarded event with area='general' and success=false
-		await db.query(
-			`INSERT INTO telemetry_events
-			(event_id, timestamp, server_id, version, session_id, parent_session_id, user_id, data, received_at, org_id, user_name, tool_name, company_name, error_message, team_id, event, area, success, telemetry_schema_version)
-			VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)`,
-			[
-				eventTypeId,
-				timestamp,
-				serverId,
-				version,
-				sessionId,
-				null, // parent_session_id
-				userId,
-				payloadForPostgreSQL,
-				receivedAt || timestamp,
-				orgId,
-				userName,
-				toolName,
-				companyName,
-				errorMessage,
-				teamId,
-				'error', // event type name for compatibility
-				'general', // area
-				false, // success
-				null // telemetry_schema_version
-			]
-		);
+		const key = `${serverId}|${userId}`;
+		const lastStart = lastStartByKey.get(key);
+		let parentSessionId = sessionId;
+		if (lastStart && !Number.isNaN(lastStart.timestamp.getTime()) && currentTs - lastStart.timestamp <= FOUR_HOURS_MS) {
+			parentSessionId = lastStart.parentSessionId || sessionId;
+		}
 
-		return true;
-	} catch (error) {
-		// Log error but don't throw - we don't want discarded event storage to fail the main flow
-		console.error('Error storing discarded event:', error);
-		return false;
-	}
+		if (!lastStart || currentTs >= lastStart.timestamp) {
+			lastStartByKey.set(key, {timestamp: currentTs, parentSessionId});
+		}
+		parentBySession.set(sessionId, parentSessionId);
+		return parentSessionId;
+	});
 }
 
 /**
- * Get event statistics
- * @param {object} options - Query options
- * @returns {object} Statistics
+ * Store a batch of telemetry events
+ * Resolves event types, team IDs and parent sessions for the whole batch in memory, writes
+ * the events with multi-row INSERTs and updates user_event_stats / org_event_stats with one
+ * statement each, all inside a single transaction (so a failed batch can be retried safely).
+ * Events that storeEvent() would discard (missing user) or reject (unknown event type, archived month) are handled the same way here.
+ * Events whose eventId is already stored, with any timestamp (or repeated within the batch), are skipped and don't count in stats.
+ * Discarded events that can't be stored are returned in failed (item indexes) for the caller to retry, as storeEvent() throws for them.
+ * The ingestion_queue rows of stored and discarded events (queueId) are deleted in the transaction that stores them.
+ * @param {Array<{telemetryEvent: TelemetryEvent, receivedAt: string, apiKeyId: number|null, clientIp: string|null, queueId?: number}>} items - Parsed events
+ * @returns {Promise<{stored: number, discarded: number, rejected: number, duplicates: number, failed: Array<number>}>} Counts of stored, discarded, rejected and duplicate events, and indexes of the failed items
  */
-async function getStats(options = {}) {
+async function storeEvents(items) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const {startDate, endDate, eventType} = options;
+	if (!Array.isArray(items) || items.length === 0) {
+		return {stored: 0, discarded: 0, rejected: 0, duplicates: 0, failed: []};
+	}
 
-	let query = 'SELECT COUNT(*) as total FROM telemetry_events WHERE deleted_at IS NULL';
-	const params = [];
-	let paramIndex = 1;
+	const MAX_ROWS_PER_INSERT = 1000; // 23 params per row stays well below the 65535 parameter limit
 
-	if (startDate) {
-		query += ` AND created_at >= $${paramIndex++}`;
-		params.push(startDate);
+	// Resolve event types for the whole batch with one query
+	if (!global.eventTypeCache) {
+		global.eventTypeCache = new Map();
 	}
-	if (endDate) {
-		query += ` AND created_at <= $${paramIndex++}`;
-		params.push(endDate);
-	}
-	if (eventType) {
-		query += ` AND event = $${paramIndex++}`;
-		params.push(eventType);
+	const eventTypeNames = [...new Set(items.map(item => item.telemetryEvent.eventType).filter(Boolean)), 'session_start'];
+	const missingTypeNames = eventTypeNames.filter(name => !global.eventTypeCache.has(name));
+	if (missingTypeNames.length > 0) {
+		const result = await db.query('SELECT id, name FROM event_types WHERE name = ANY($1::text[])', [missingTypeNames]);
+		for (const row of result.rows) {
+			global.eventTypeCache.set(row.name, row.id);
+		}
 	}
 
-	const result = await db.query(query, params);
-	return {total: Number.parseInt(result.rows[0].total, 10)};
-}
+	const candidates = [];
+	const entries = [];
+	const discarded = [];
+	const rejected = [];
+	const batchEventIds = new Set();
+	let duplicates = 0;
+	for (const [index, item] of items.entries()) {
+		if (!(item.telemetryEvent instanceof TelemetryEvent)) {
+			throw new Error('storeEvents() requires TelemetryEvent instances');
+		}
 
-/**
- * Get telemetry events with pagination and filters
- * @param {object} options - Query options
- * @returns {object} Events and pagination info
- */
-async function getEvents(options = {}) {
-	if (!db) {
-		throw new Error('Database not initialized. Call init() first.');
-	}
+		const {telemetryEvent, receivedAt} = item;
+		const apiKeyId = item.apiKeyId || null;
+		const clientEventId = telemetryEvent.eventId || null;
+		if (clientEventId) {
+			if (batchEventIds.has(clientEventId)) {
+				duplicates++;
+				continue;
+			}
+			batchEventIds.add(clientEventId);
+		}
 
-	const {
-		limit = 50,
-		offset = 0,
-		eventTypes,
-		areas,
-		serverId,
-		sessionId,
-		startDate,
-		endDate,
-		orderBy = 'created_at',
-		order = 'DESC',
-		includeDeleted = false
-	} = options;
+		const sessionId = telemetryEvent.getSessionId();
+		const userId = telemetryEvent.getUserId();
+		const allowMissingUser = telemetryEvent.data?.allowMissingUser === true;
+		const isSessionEventWithoutStart = telemetryEvent.area === 'session' && telemetryEvent.event !== 'session_start';
+		const isExemptEvent = ['server_boot', 'client_connect'].includes(telemetryEvent.event);
+		const timestamp = receivedAt || new Date().toISOString();
 
-	let whereClause = 'WHERE 1=1';
-	const params = [];
-	let paramIndex = 1;
+		if (!userId && !allowMissingUser && !isSessionEventWithoutStart && !isExemptEvent) {
+			discarded.push({index, payload: telemetryEvent.payload || telemetryEvent, reason: 'Event discarded: missing username/userId', timestamp, apiKeyId, queueId: item.queueId || null});
+			continue;
+		}
 
-	// Exclude soft deleted events by default unless explicitly requested
-	if (!includeDeleted) {
-		whereClause += ' AND deleted_at IS NULL';
+		const eventTypeId = global.eventTypeCache.get(telemetryEvent.eventType);
+		if (!eventTypeId) {
+			rejected.push({
+				payload: telemetryEvent.payload || telemetryEvent.toJSON(),
+				stage: 'unknown_event_type',
+				errors: [{field: 'eventType', message: `unknown event type '${telemetryEvent.eventType}'`}],
+				clientIp: item.clientIp || null,
+				receivedAt: timestamp,
+				apiKeyId
+			});
+			continue;
+		}
+
+		const errorOccurrence = buildErrorOccurrence(telemetryEvent, timestamp);
+		candidates.push({telemetryEvent, receivedAt, apiKeyId, clientIp: item.clientIp || null, queueId: item.queueId || null, sessionId, userId, eventTypeId, clientEventId, errorOccurrence});
 	}
 
-	if (areas && Array.isArray(areas) && areas.length > 0) {
-		// Filter by area (preferred over eventTypes for area-based filtering)
-		if (areas.length === 1) {
-			whereClause += ` AND COALESCE(e.area, 'general') = $${paramIndex++}`;
-			params.push(areas[0]);
-		} else {
-			const placeholders = areas.map(() => {
-				return `$${paramIndex++}`;
-			}).join(', ');
-			whereClause += ` AND COALESCE(e.area, 'general') IN (${placeholders})`;
-			params.push(...areas);
-		}
-	} else if (eventTypes && Array.isArray(eventTypes) && eventTypes.length > 0) {
-		// Fallback to eventTypes for backward compatibility
-		if (eventTypes.length === 1) {
-			whereClause += ` AND et.name = $${paramIndex++}`;
-			params.push(eventTypes[0]);
+	// Events for archived months must not recreate their partition
+	const archivedMonths = await ensureTelemetryEventPartitionsFor(candidates.map(entry => entry.telemetryEvent.timestamp));
+	for (const entry of candidates) {
+		if (archivedMonths.has(getPartitionMonthKey(new Date(entry.telemetryEvent.timestamp)))) {
+			const {telemetryEvent, clientIp, receivedAt, apiKeyId} = entry;
+			rejected.push(buildArchivedMonthRejection(telemetryEvent, {clientIp, receivedAt: receivedAt || new Date().toISOString(), apiKeyId}));
 		} else {
-			const placeholders = eventTypes.map(() => {
-				return `$${paramIndex++}`;
-			}).join(', ');
-			whereClause += ` AND et.name IN (${placeholders})`;
-			params.push(...eventTypes);
+			entries.push(entry);
 		}
 	}
-	if (serverId) {
-		whereClause += ` AND e.server_id = $${paramIndex++}`;
-		params.push(serverId);
-	}
-	if (sessionId) {
-		// Filter by logical session: parent_session_id when set, otherwise raw session_id
-		whereClause += ` AND (e.parent_session_id = $${paramIndex} OR (e.parent_session_id IS NULL AND e.session_id = $${paramIndex + 1}))`;
-		params.push(sessionId, sessionId);
-		paramIndex += 2;
-	}
-	if (startDate) {
-		whereClause += ` AND e.created_at >= $${paramIndex++}`;
-		params.push(startDate);
-	}
-	if (endDate) {
-		whereClause += ` AND e.created_at <= $${paramIndex++}`;
-		params.push(endDate);
-	}
-	if (options.userIds && Array.isArray(options.userIds) && options.userIds.length > 0) {
-		const placeholders = options.userIds.map(() => {
-			return `$${paramIndex++}`;
-		}).join(', ');
-		whereClause += ` AND e.user_id IN (${placeholders})`;
-		params.push(...options.userIds);
+
+	// Store discarded events as general errors and quarantine rejected ones
+	// Returns the indexes of the items whose discarded event couldn't be stored
+	const storeDiscarded = async () => {
+		let failed = [];
+		if (discarded.length > 0) {
+			console.warn(`Discarding ${discarded.length} telemetry events from batch`);
+			const results = await Promise.all(discarded.map(({payload, reason, timestamp, apiKeyId, queueId}) => storeDiscardedEvent(payload, reason, timestamp, apiKeyId, queueId)));
+			failed = discarded.filter((_, position) => !results[position]).map(({index}) => index);
+		}
+		if (rejected.length > 0) {
+			console.warn(`Rejecting ${rejected.length} telemetry events with unknown event types or archived months from batch`);
+			await storeRejectedEvents(rejected);
+		}
+		return failed;
+	};
+
+	if (entries.length === 0) {
+		const failed = await storeDiscarded();
+		return {stored: 0, discarded: discarded.length - failed.length, rejected: rejected.length, duplicates, failed};
 	}
 
-	// Get total count (optimize by skipping if not needed)
-	let total = 0;
-	// Only compute total if it's a reasonable query (not too expensive)
-	// We compute total when:
-	// 1. offset === 0: First page, total is useful for pagination UI
-	// 2. limit <= MAX_LIMIT_FOR_TOTAL_COMPUTATION: Small result set, COUNT is fast
-	const shouldComputeTotal = offset === 0 || limit <= MAX_LIMIT_FOR_TOTAL_COMPUTATION;
+	const parentSessionIds = await computeParentSessionIds(entries, global.eventTypeCache.get('session_start') || null);
 
-	if (shouldComputeTotal) {
-		const countQuery = `SELECT COUNT(*) as total FROM telemetry_events e JOIN event_types et ON e.event_id = et.id ${whereClause}`;
-		const countResult = await db.query(countQuery, params);
-		total = Number.parseInt(countResult.rows[0].total, 10);
+	// Resolve team_id for every org in the batch with one query
+	const teamIdByOrg = new Map();
+	const orgIds = [...new Set(entries.map(entry => entry.telemetryEvent.orgId).filter(Boolean))];
+	if (orgIds.length > 0) {
+		try {
+			const result = await db.query('SELECT server_id, team_id FROM orgs WHERE server_id = ANY($1::text[])', [orgIds]);
+			for (const row of result.rows) {
+				teamIdByOrg.set(row.server_id, row.team_id);
+			}
+		} catch (error) {
+			// Log error but don't fail event insertion
+			console.warn('Could not resolve team_id for batch orgs:', error.message);
+		}
 	}
 
-	// Get events
-	const validOrderBy = ['id', 'event', 'timestamp', 'created_at', 'server_id'];
-	const validOrder = ['ASC', 'DESC'];
-	// Only select orderBy and order values from predefined lists without using user data directly
-	let safeOrderBy = 'e.created_at';
-	if (validOrderBy.includes(orderBy)) {
-		if (orderBy === 'created_at') {
-			safeOrderBy = 'e.created_at';
-		} else if (orderBy === 'timestamp') {
-			safeOrderBy = 'e.timestamp';
-		} else if (orderBy === 'id') {
-			safeOrderBy = 'e.id';
-		} else if (orderBy === 'server_id') {
-			safeOrderBy = 'e.server_id';
+	// Build rows in memory
+	const rows = entries.map((entry, index) => {
+		const {telemetryEvent, receivedAt, apiKeyId, sessionId, userId, eventTypeId, clientEventId, errorOccurrence} = entry;
+		const {orgId, userName, toolName, companyName, errorMessage} = telemetryEvent;
+
+		// Store original payload exactly as received (same conversion as storeEvent)
+		const payloadToStore = telemetryEvent.payload || JSON.stringify(telemetryEvent.toJSON());
+		let payloadForPostgreSQL;
+		if (typeof payloadToStore === 'string') {
+			try {
+				payloadForPostgreSQL = JSON.parse(payloadToStore);
+			} catch {
+				payloadForPostgreSQL = {_raw: payloadToStore};
+			}
 		} else {
-			safeOrderBy = orderBy;
+			payloadForPostgreSQL = payloadToStore;
 		}
-	}
-	let safeOrder = 'DESC';
-	if (typeof order === 'string' && validOrder.includes(order.toUpperCase())) {
-		safeOrder = order.toUpperCase();
-	}
 
-	const eventsQuery = `
-		SELECT
-			e.id, et.name as event, e.timestamp, e.server_id, e.version, e.session_id, e.parent_session_id,
-			e.user_id, e.received_at, e.created_at, e.user_name, e.tool_name, e.company_name,
-			e.error_message, e.area, e.success, e.telemetry_schema_version
-		FROM telemetry_events e
-		JOIN event_types et ON e.event_id = et.id
-		${whereClause}
-		ORDER BY ${safeOrderBy} ${safeOrder}
-		LIMIT $${paramIndex++}
-		OFFSET $${paramIndex++}
-	`;
+		return [
+			eventTypeId,
+			telemetryEvent.timestamp,
+			telemetryEvent.getServerId() || null,
+			telemetryEvent.getVersion() || null,
+			sessionId || null,
+			parentSessionIds[index] || null,
+			userId || null,
+			payloadForPostgreSQL,
+			receivedAt,
+			orgId,
+			userName,
+			toolName,
+			companyName,
+			errorMessage,
+			orgId ? (teamIdByOrg.get(orgId) ?? null) : null,
+			telemetryEvent.eventType || null,
+			telemetryEvent.area || null,
+			telemetryEvent.success ?? null,
+			telemetryEvent.telemetrySchemaVersion || null,
+			apiKeyId,
+			clientEventId,
+			telemetryEvent.getDurationMs(),
+			errorOccurrence?.fingerprint || null
+		];
+	});
 
-	const queryParams = [...params, limit, offset];
-	const result = await db.query(eventsQuery, queryParams);
-	const events = result.rows;
+	// Aggregate stats for the events that were actually inserted
+	const userStats = new Map();
+	const orgStats = new Map();
+	const companyNames = new Map();
+	const errorOccurrences = [];
+	const addEntryStats = ({telemetryEvent, userId, errorOccurrence}) => {
+		if (errorOccurrence) {
+			errorOccurrences.push(errorOccurrence);
+		}
+		const {orgId, userName} = telemetryEvent;
+		const eventTimestamp = normalizeStatsTimestamp(telemetryEvent.timestamp) || new Date().toISOString();
+		if (userId) {
+			const stats = userStats.get(userId) || {count: 0, lastEvent: null, displayName: null, displayNameAt: null};
+			stats.count++;
+			if (!stats.lastEvent || eventTimestamp > stats.lastEvent) {
+				stats.lastEvent = eventTimestamp;
+			}
+			if (userName && (!stats.displayNameAt || eventTimestamp >= stats.displayNameAt)) {
+				stats.displayName = userName;
+				stats.displayNameAt = eventTimestamp;
+			}
+			userStats.set(userId, stats);
+		}
+		if (orgId) {
+			const stats = orgStats.get(orgId) || {count: 0, lastEvent: null};
+			stats.count++;
+			if (!stats.lastEvent || eventTimestamp > stats.lastEvent) {
+				stats.lastEvent = eventTimestamp;
+			}
+			orgStats.set(orgId, stats);
+		}
 
-	return {
-		events,
-		total,
-		limit,
-		offset,
-		hasMore: offset + limit < total
+		const serverId = telemetryEvent.getServerId();
+		const extractedCompanyName = serverId ? extractCompanyName(telemetryEvent) : null;
+		if (extractedCompanyName) {
+			companyNames.set(serverId, extractedCompanyName);
+		}
 	};
-}
 
-/**
- * Get a single event by ID
- * @param {number} id - Event ID
- * @returns {Object|null} Event object or null if not found
- */
-async function getEventById(id) {
-	if (!db) {
-		throw new Error('Database not initialized. Call init() first.');
+	let stored = 0;
+	const client = await db.connect();
+	try {
+		await client.query('BEGIN');
+
+		// Events whose eventId was stored before (even with another timestamp) are duplicates
+		const claimedEventIds = await claimClientEventIds(client, entries.map(entry => entry.clientEventId).filter(Boolean));
+		const insertEntries = [];
+		const insertRows = [];
+		for (const [index, entry] of entries.entries()) {
+			if (!entry.clientEventId || claimedEventIds.has(entry.clientEventId)) {
+				insertEntries.push(entry);
+				insertRows.push(rows[index]);
+			} else {
+				duplicates++;
+			}
+		}
+
+		for (let start = 0; start < insertRows.length; start += MAX_ROWS_PER_INSERT) {
+			const chunk = insertRows.slice(start, start + MAX_ROWS_PER_INSERT);
+			const values = [];
+			const placeholders = chunk.map((row, rowIndex) => {
+				const base = rowIndex * row.length;
+				values.push(...row);
+				return `(${row.map((_, colIndex) => `$${base + colIndex + 1}`).join(', ')})`;
+			});
+			const result = await client.query(
+				`INSERT INTO telemetry_events
+				(event_id, timestamp, server_id, version, session_id, parent_session_id, user_id, data, received_at, org_id, user_name, tool_name, company_name, error_message, team_id, event, area, success, telemetry_schema_version, api_key_id, client_event_id, duration_ms, error_fingerprint)
+				VALUES ${placeholders.join(', ')}
+				ON CONFLICT (client_event_id, timestamp) WHERE client_event_id IS NOT NULL DO NOTHING
+				RETURNING client_event_id`,
+				values
+			);
+
+			// Rows without an eventId always insert; the others only when they were not stored before
+			const insertedEventIds = new Set(result.rows.map(row => row.client_event_id).filter(Boolean));
+			for (const entry of insertEntries.slice(start, start + MAX_ROWS_PER_INSERT)) {
+				if (!entry.clientEventId || insertedEventIds.has(entry.clientEventId)) {
+					addEntryStats(entry);
+					stored++;
+				} else {
+					duplicates++;
+				}
+			}
+		}
+
+		// Update aggregated counters so UI lists stay accurate without pagination
+		if (userStats.size > 0) {
+			const userIds = [...userStats.keys()];
+			await client.query(
+				`
+				INSERT INTO user_event_stats (user_id, event_count, last_event, display_name)
+				SELECT * FROM UNNEST($1::text[], $2::int[], $3::timestamptz[], $4::text[])
+				ON CONFLICT (user_id) DO UPDATE SET
+					event_count = user_event_stats.event_count + EXCLUDED.event_count,
+					last_event = CASE
+						WHEN EXCLUDED.last_event IS NOT NULL
+							AND (user_event_stats.last_event IS NULL OR EXCLUDED.last_event > user_event_stats.last_event)
+						THEN EXCLUDED.last_event
+						ELSE user_event_stats.last_event
+					END,
+					display_name = COALESCE(EXCLUDED.display_name, user_event_stats.display_name)
+				`,
+				[
+					userIds,
+					userIds.map(id => userStats.get(id).count),
+					userIds.map(id => userStats.get(id).lastEvent),
+					userIds.map(id => userStats.get(id).displayName)
+				]
+			);
+		}
+		if (orgStats.size > 0) {
+			const statsOrgIds = [...orgStats.keys()];
+			await client.query(
+				`
+				INSERT INTO org_event_stats (org_id, event_count, last_event)
+				SELECT * FROM UNNEST($1::text[], $2::int[], $3::timestamptz[])
+				ON CONFLICT (org_id) DO UPDATE SET
+					event_count = org_event_stats.event_count + EXCLUDED.event_count,
+					last_event = CASE
+						WHEN EXCLUDED.last_event IS NOT NULL
+							AND (org_event_stats.last_event IS NULL OR EXCLUDED.last_event > org_event_stats.last_event)
+						THEN EXCLUDED.last_event
+						ELSE org_event_stats.last_event
+					END
+				`,
+				[
+					statsOrgIds,
+					statsOrgIds.map(id => orgStats.get(id).count),
+					statsOrgIds.map(id => orgStats.get(id).lastEvent)
+				]
+			);
+		}
+
+		// Duplicates included: their queue rows are done too
+		await completeQueuedEvents(entries.map(entry => entry.queueId).filter(Boolean), client);
+
+		await client.query('COMMIT');
+	} catch (error) {
+		await client.query('ROLLBACK');
+		throw new Error(`Failed to store telemetry batch: ${error.message}`);
+	} finally {
+		client.release();
 	}
 
-	const result = await db.query('SELECT e.id, et.name as event, e.timestamp, e.server_id, e.version, e.session_id, e.user_id, e.data, e.received_at, e.created_at, e.org_id, e.user_name, e.tool_name, e.company_name, e.error_message, e.area FROM telemetry_events e JOIN event_types et ON e.event_id = et.id WHERE e.id = $1 AND e.deleted_at IS NULL', [id]);
-	if (result.rows.length === 0) {
-		return null;
+	// Extract and store company names (don't await to avoid blocking event storage)
+	if (companyNames.size > 0) {
+		db.query(`
+			INSERT INTO orgs (server_id, company_name, updated_at, created_at)
+			SELECT server_id, company_name, NOW(), NOW() FROM UNNEST($1::text[], $2::text[]) AS t(server_id, company_name)
+			ON CONFLICT (server_id) DO UPDATE SET
+				company_name = EXCLUDED.company_name,
+				updated_at = EXCLUDED.updated_at
+		`, [[...companyNames.keys()], [...companyNames.values()]]).catch(err => {
+			console.error('Error storing company names:', err);
+		});
 	}
-	return result.rows[0];
 
+	// Group tool errors by fingerprint (failures don't affect the stored batch)
+	if (errorOccurrences.length > 0) {
+		await updateErrorGroups(errorOccurrences).catch(err => {
+			console.error('Error updating error groups:', err);
+		});
+	}
+
+	// Only after the batch committed, so a retried batch doesn't discard twice
+	const failed = await storeDiscarded();
+
+	return {stored, discarded: discarded.length - failed.length, rejected: rejected.length, duplicates, failed};
 }
 
 /**
- * Get event type statistics
- * @returns {Array} Statistics by event type
+ * Store a discarded telemetry event as a general error
+ * This function stores events that were discarded for any reason (missing userId, unknown event type, etc.)
+ * without any validation requirements - it stores everything that was discarded
+ * @param {object} rawPayload - Original raw payload that was discarded
+ * @param {string} reason - Reason why the event was discarded (optional)
+ * @param {string} receivedAt - ISO timestamp when event was received
+ * @param {number|null} apiKeyId - ID of the ingestion API key the event was sent with (optional)
+ * @param {number|null} queueId - ingestion_queue row of the event, deleted in the transaction that stores it (optional)
+ * @returns {Promise<boolean>} Success status
  */
-async function getEventTypeStats(options = {}) {
-	const {sessionId, userIds} = options || {};
+async function storeDiscardedEvent(rawPayload, reason = 'discarded', receivedAt = null, apiKeyId = null, queueId = null) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	let query = `
-			SELECT COALESCE(area, 'general') as event, COUNT(*) as count
-			FROM telemetry_events
-		`;
-	const params = [];
-	const conditions = [];
-	let paramIndex = 1;
-
-	// Always exclude soft deleted events
-	conditions.push('deleted_at IS NULL');
+	try {
+		// Use current timestamp if not provided
+		const timestamp = receivedAt || new Date().toISOString();
 
-	if (sessionId) {
-		conditions.push(`(parent_session_id = $${paramIndex} OR (parent_session_id IS NULL AND session_id = $${paramIndex + 1}))`);
-		params.push(sessionId, sessionId);
-		paramIndex += 2;
-	}
-	if (userIds && Array.isArray(userIds) && userIds.length > 0) {
-		const placeholders = userIds.map(() => `$${paramIndex++}`).join(', ');
-		conditions.push(`user_id IN (${placeholders})`);
-		params.push(...userIds);
+		// Get or create "error" event type (used for discarded events)
+		let eventTypeId = await getEventTypeId('error');
+		if (!eventTypeId) {
+			// If "error" type doesn't exist, create it
+			const result = await db.query(
+				'INSERT INTO event_types (name, description) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING RETURNING id',
+				['error', 'General error event']
+			);
+			if (result.rows.length > 0) {
+				eventTypeId = result.rows[0].id;
+			} else {
+				// Type already exists, fetch it
+				eventTypeId = await getEventTypeId('error');
+			}
+		}
+
+		// Store the discarded payload as-is in the data field
+		// For PostgreSQL, convert to object for JSONB column
+		// If it's already an object, use it directly; if it's a string, parse it
+		let payloadForPostgreSQL;
+		if (typeof rawPayload === 'string') {
+			try {
+				payloadForPostgreSQL = JSON.parse(rawPayload);
+			} catch {
+				// If parsing fails, wrap it as an object with the raw string
+				payloadForPostgreSQL = {_raw: rawPayload};
+			}
+		} else {
+			payloadForPostgreSQL = rawPayload;
+		}
+
+		// Extract any available metadata from the payload if it exists
+		let serverId = null;
+		let version = null;
+		let sessionId = null;
+		let userId = null;
+		let orgId = null;
+		let userName = null;
+		let toolName = null;
+		let companyName = null;
+		let clientEventId = null;
+		const errorMessage = reason;
+
+		// Try to extract metadata from payload if it's an object
+		if (typeof rawPayload === 'object' && rawPayload !== null) {
+			// Keep the idempotency key so retried discarded events are not stored twice
+			if (typeof rawPayload.eventId === 'string' && rawPayload.eventId.trim() !== '') {
+				clientEventId = rawPayload.eventId.trim();
+			}
+
+			// Try to get server info
+			if (rawPayload.server?.id) {
+				serverId = rawPayload.server.id;
+			}
+			if (rawPayload.server?.version) {
+				version = rawPayload.server.version;
+			}
+
+			// Try to get session info
+			if (rawPayload.session?.id) {
+				sessionId = rawPayload.session.id;
+			}
+
+			// Try to get user info
+			if (rawPayload.user?.id) {
+				userId = rawPayload.user.id;
+			}
+			if (rawPayload.data?.userName || rawPayload.data?.user_name) {
+				userName = rawPayload.data.userName || rawPayload.data.user_name;
+			}
+
+			// Try to get org info
+			if (rawPayload.server?.id) {
+				orgId = rawPayload.server.id;
+			}
+
+			// Try to get tool name
+			if (rawPayload.data?.toolName || rawPayload.data?.tool_name) {
+				toolName = rawPayload.data.toolName || rawPayload.data.tool_name;
+			}
+
+			// Try to get company name
+			if (rawPayload.data?.companyName || rawPayload.data?.company_name) {
+				companyName = rawPayload.data.companyName || rawPayload.data.company_name;
+			}
+		}
+
+		// Resolve team_id if orgId is available
+		let teamId = null;
+		if (orgId) {
+			try {
+				const result = await db.query('SELECT team_id FROM orgs WHERE server_id = $1', [orgId]);
+				teamId = result.rows.length > 0 ? result.rows[0].team_id : null;
+			} catch (error) {
+				// Log error but don't fail event insertion
+				console.warn('Could not resolve team_id for org_id %s:', orgId, error.message);
+			}
+		}
+
+		// Insert the discarded event with area='general' and success=false
+		await ensureTelemetryEventPartitionsFor([timestamp]);
+		const client = await db.connect();
+		try {
+			await client.query('BEGIN');
+			// Already stored if its eventId was claimed before (client retry)
+			if (!clientEventId || (await claimClientEventIds(client, [clientEventId])).has(clientEventId)) {
+				await client.query(
+					`INSERT INTO telemetry_events
+					(event_id, timestamp, server_id, version, session_id, parent_session_id, user_id, data, received_at, org_id, user_name, tool_name, company_name, error_message, team_id, event, area, success, telemetry_schema_version, api_key_id, client_event_id)
+					VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+					ON CONFLICT (client_event_id, timestamp) WHERE client_event_id IS NOT NULL DO NOTHING`,
+					[
+						eventTypeId,
+						timestamp,
+						serverId,
+						version,
+						sessionId,
+						null, // parent_session_id
+						userId,
+						payloadForPostgreSQL,
+						receivedAt || timestamp,
+						orgId,
+						userName,
+						toolName,
+						companyName,
+						errorMessage,
+						teamId,
+						'error', // event type name for compatibility
+						'general', // area
+						false, // success
+						null, // telemetry_schema_version
+						apiKeyId || null,
+						clientEventId
+					]
+				);
+			}
+			if (queueId) {
+				await completeQueuedEvents([queueId], client);
+			}
+			await client.query('COMMIT');
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw error;
+		} finally {
+			client.release();
+		}
+
+		return true;
+	} catch (error) {
+		// Log error but don't throw - we don't want discarded event storage to fail the main flow
+		console.error('Error storing discarded event:', error);
+		return false;
 	}
-	if (conditions.length > 0) {
-		query += ` WHERE ${conditions.join(' AND ')}`;
+}
+
+/**
+ * Get which client-supplied event IDs are already stored (claimed in client_event_ids)
+ * @param {Array<string>} clientEventIds - Idempotency keys sent by clients (eventId)
+ * @returns {Promise<Set<string>>} IDs that already exist
+ */
+async function getExistingClientEventIds(clientEventIds) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const ids = [...new Set((clientEventIds || []).filter(Boolean))];
+	if (ids.length === 0) {
+		return new Set();
 	}
-	query += `
-			GROUP BY COALESCE(area, 'general')
-			ORDER BY count DESC
-		`;
-	const result = await db.query(query, params);
-	return result.rows.map(row => ({
-		event: row.event,
-		count: Number.parseInt(row.count, 10)
-	}));
 
+	try {
+		const result = await db.query(
+			'SELECT client_event_id FROM client_event_ids WHERE client_event_id = ANY($1::text[])',
+			[ids]
+		);
+		return new Set(result.rows.map(row => row.client_event_id));
+	} catch (error) {
+		console.error('Error checking existing client event IDs:', error);
+		throw error;
+	}
 }
 
 /**
- * Get unique sessions with event counts
- * @param {object} options - Query options
- * @returns {Array} Sessions with count and latest timestamp
+ * Durably queue raw telemetry events for the ingestion worker
+ * All items are written in a single statement, so either the whole batch is queued or none of it is.
+ * Items whose clientEventId is already waiting in the queue are skipped and reported as duplicates.
+ * @param {Array<{payload: object, receivedAt: string, apiKeyId: number|null, discardReason: string|null, clientEventId: string|null, clientIp: string|null}>} items - Events to queue
+ * @returns {Promise<{queued: number, duplicateEventIds: Set<string>}>} Number of queued events and the skipped event IDs
  */
-async function getSessions(options = {}) {
-	const {userIds, limit, offset, includeUsersWithoutSessions = true} = options || {};
+async function enqueueEvents(items) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	// PostgreSQL implementation
-	let whereClause = `WHERE deleted_at IS NULL AND (`;
-	const params = [];
-	let paramIndex = 1;
+	if (!Array.isArray(items) || items.length === 0) {
+		return {queued: 0, duplicateEventIds: new Set()};
+	}
 
-	if (includeUsersWithoutSessions) {
-		whereClause += `(session_id IS NOT NULL OR parent_session_id IS NOT NULL) OR user_id IS NOT NULL`;
-	} else {
-		whereClause += `(session_id IS NOT NULL OR parent_session_id IS NOT NULL)`;
+	const values = [];
+	const placeholders = items.map((item, index) => {
+		const base = index * 6;
+		values.push(item.payload, item.receivedAt, item.apiKeyId || null, item.discardReason || null, item.clientEventId || null, item.clientIp || null);
+		return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6})`;
+	});
+
+	try {
+		const result = await db.query(
+			`INSERT INTO ingestion_queue (payload, received_at, api_key_id, discard_reason, client_event_id, client_ip)
+			VALUES ${placeholders.join(', ')}
+			ON CONFLICT (client_event_id) WHERE client_event_id IS NOT NULL DO NOTHING
+			RETURNING client_event_id`,
+			values
+		);
+		const queuedEventIds = new Set(result.rows.map(row => row.client_event_id).filter(Boolean));
+		const duplicateEventIds = new Set(items
+			.map(item => item.clientEventId)
+			.filter(clientEventId => clientEventId && !queuedEventIds.has(clientEventId)));
+		return {queued: result.rowCount, duplicateEventIds};
+	} catch (error) {
+		console.error('Error queueing telemetry events:', error);
+		throw error;
 	}
-	whereClause += `)`;
+}
 
-	if (userIds && Array.isArray(userIds) && userIds.length > 0) {
-		const placeholders = userIds.map(() => `$${paramIndex++}`).join(', ');
-		whereClause += ` AND user_id IN (${placeholders})`;
-		params.push(...userIds);
+/**
+ * Claim a batch of queued events for processing
+ * Rows stuck in 'processing' longer than staleLockSeconds (e.g. after a crash) are claimed again,
+ * which counts as a new attempt. Stuck rows that already used maxAttempts are dead-lettered
+ * instead, so an event that keeps crashing the worker doesn't block the queue forever.
+ * @param {number} limit - Maximum number of events to claim
+ * @param {number} staleLockSeconds - Age after which a 'processing' lock is considered abandoned
+ * @param {number} maxAttempts - Attempts after which a stuck row is dead-lettered (default: 5)
+ * @returns {Promise<Array>} Claimed queue rows ordered by id
+ */
+async function claimQueuedEvents(limit = 100, staleLockSeconds = 300, maxAttempts = 5) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	let query;
-	const queryParams = params.slice(); // Copy params array
+	try {
+		const abandoned = await db.query(
+			`UPDATE ingestion_queue
+			SET status = 'dead',
+				locked_at = NULL,
+				last_error = 'Processing never finished (worker crashed or stopped) after ' || attempts || ' attempts'
+			WHERE status = 'processing'
+				AND locked_at < NOW() - make_interval(secs => $1)
+				AND attempts >= $2`,
+			[staleLockSeconds, maxAttempts]
+		);
+		if (abandoned.rowCount > 0) {
+			console.warn(`Moved ${abandoned.rowCount} queued telemetry events stuck in processing to dead-letter`);
+		}
 
-	if (includeUsersWithoutSessions) {
-		// Precompute filter strings and placeholders using only array lengths and indices
-		// This separates placeholder construction from the query template to avoid taint flow
-		const userIdsLength = userIds && Array.isArray(userIds) ? userIds.length : 0;
-		const hasUserFilter = userIdsLength > 0;
+		const result = await db.query(
+			`UPDATE ingestion_queue
+			SET status = 'processing', locked_at = NOW(), attempts = attempts + 1
+			WHERE id IN (
+				SELECT id FROM ingestion_queue
+				WHERE (status = 'pending' AND next_attempt_at <= NOW())
+					OR (status = 'processing' AND locked_at < NOW() - make_interval(secs => $2) AND attempts < $3)
+				ORDER BY id
+				LIMIT $1
+				FOR UPDATE SKIP LOCKED
+			)
+			RETURNING id, payload, received_at, api_key_id, discard_reason, client_ip, attempts`,
+			[limit, staleLockSeconds, maxAttempts]
+		);
+		return result.rows.sort((a, b) => Number(a.id) - Number(b.id));
+	} catch (error) {
+		console.error('Error claiming queued events:', error);
+		throw error;
+	}
+}
 
-		// Compute session filter placeholders using only length and indices
-		const sessionUserFilter = hasUserFilter? `AND user_id IN (${Array.from({length: userIdsLength}, (_, i) => `$${paramIndex + i}`).join(', ')})`: '';
+/**
+ * Remove queued events that were stored successfully
+ * Pass the client of the transaction that stored them, so a crash in between can't store them twice.
+ * @param {Array<number>} ids - Queue row IDs
+ * @param {object} client - Client of an open transaction (default: the pool)
+ * @returns {Promise<number>} Number of removed rows
+ */
+async function completeQueuedEvents(ids, client = db) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
 
-		// Compute user aggregates filter placeholders using only length and indices
-		const userAggregatesFilter = hasUserFilter? `AND user_id IN (${Array.from({length: userIdsLength}, (_, i) => `$${paramIndex + userIdsLength + i}`).join(', ')})`: '';
+	if (!Array.isArray(ids) || ids.length === 0) {
+		return 0;
+	}
 
-		// Compute LIMIT/OFFSET placeholder indices using only counts
-		const limitOffsetBaseIndex = paramIndex + (userIdsLength * 2);
-		const limitPlaceholder = limit ? `LIMIT $${limitOffsetBaseIndex}` : '';
-		const offsetPlaceholder = offset ? `OFFSET $${limitOffsetBaseIndex + (limit ? 1 : 0)}` : '';
+	try {
+		const result = await client.query('DELETE FROM ingestion_queue WHERE id = ANY($1::bigint[])', [ids]);
+		return result.rowCount;
+	} catch (error) {
+		console.error('Error completing queued events:', error);
+		throw error;
+	}
+}
 
-		// When including users without sessions, use UNION of sessions and user-only events
-		query = `
-				WITH session_aggregates AS (
-					SELECT
-						COALESCE(parent_session_id, session_id) AS logical_session_id,
-						COUNT(*) as count,
-						MIN(timestamp) as first_event,
-						MAX(timestamp) as last_event,
-						SUM(CASE WHEN event = 'session_start' THEN 1 ELSE 0 END) as has_start,
-						SUM(CASE WHEN event = 'session_end' THEN 1 ELSE 0 END) as has_end
-					FROM telemetry_events sa
-					WHERE (session_id IS NOT NULL OR parent_session_id IS NOT NULL) AND deleted_at IS NULL
-					${sessionUserFilter}
-					GROUP BY COALESCE(parent_session_id, session_id)
-				),
-				user_aggregates AS (
-					SELECT
-						'user_' || user_id || '_' || DATE(timestamp) AS logical_session_id,
-						COUNT(*) as count,
-						MIN(timestamp) as first_event,
-						MAX(timestamp) as last_event,
-						0 as has_start,
-						0 as has_end,
-						user_id,
-						NULL::jsonb as session_start_data
-					FROM telemetry_events
-					WHERE session_id IS NULL AND parent_session_id IS NULL AND user_id IS NOT NULL AND deleted_at IS NULL
-					${userAggregatesFilter}
-					GROUP BY user_id, DATE(timestamp)
-				)
-				SELECT
-					sa.logical_session_id,
-					sa.count,
-					sa.first_event,
-					sa.last_event,
-					sa.has_start,
-					sa.has_end,
-					(SELECT user_id FROM telemetry_events
-					 WHERE COALESCE(parent_session_id, session_id) = sa.logical_session_id
-					   AND deleted_at IS NULL
-					 ORDER BY timestamp ASC LIMIT 1) as user_id,
-					(SELECT data FROM telemetry_events
-					 WHERE COALESCE(parent_session_id, session_id) = sa.logical_session_id
-					   AND event = 'session_start'
-					   AND deleted_at IS NULL
-					 ORDER BY timestamp ASC LIMIT 1) as session_start_data
-				FROM session_aggregates sa
-				UNION ALL
-				SELECT * FROM user_aggregates
-				ORDER BY last_event DESC
-				${limitPlaceholder}
-				${offsetPlaceholder}
-			`;
-		// Add userIds for both parts of the union
-		if (hasUserFilter) {
-			queryParams.push(...userIds, ...userIds);
-		}
-		if (limit) { queryParams.push(limit); }
-		if (offset) { queryParams.push(offset); }
-	} else {
-		// Original query for sessions only
-		query = `
-				WITH session_aggregates AS (
-					SELECT
-						COALESCE(parent_session_id, session_id) AS logical_session_id,
-						COUNT(*) as count,
-						MIN(timestamp) as first_event,
-						MAX(timestamp) as last_event,
-						SUM(CASE WHEN event = 'session_start' THEN 1 ELSE 0 END) as has_start,
-						SUM(CASE WHEN event = 'session_end' THEN 1 ELSE 0 END) as has_end
-					FROM telemetry_events
-					${whereClause}
-					GROUP BY COALESCE(parent_session_id, session_id)
-				)
-				SELECT
-					sa.logical_session_id,
-					sa.count,
-					sa.first_event,
-					sa.last_event,
-					(SELECT user_id FROM telemetry_events
-					 WHERE COALESCE(parent_session_id, session_id) = sa.logical_session_id
-					   AND deleted_at IS NULL
-					 ORDER BY timestamp ASC LIMIT 1) as user_id,
-					(SELECT data FROM telemetry_events
-					 WHERE COALESCE(parent_session_id, session_id) = sa.logical_session_id
-					   AND event = 'session_start'
-					   AND deleted_at IS NULL
-					 ORDER BY timestamp ASC LIMIT 1) as session_start_data,
-					sa.has_start,
-					sa.has_end
-				FROM session_aggregates sa
-				WHERE sa.count > 0
-				ORDER BY sa.last_event DESC
-				${limit ? `LIMIT $${paramIndex++}` : ''}
-				${offset ? `OFFSET $${paramIndex++}` : ''}
-			`;
-		if (limit) { queryParams.push(limit); }
-		if (offset) { queryParams.push(offset); }
+/**
+ * Record a failed processing attempt
+ * The event is retried with exponential backoff (capped at 5 minutes) until maxAttempts,
+ * after which it is moved to the 'dead' (dead-letter) state.
+ * @param {number} id - Queue row ID
+ * @param {string} errorMessage - Failure reason
+ * @param {number} maxAttempts - Attempts before dead-lettering
+ * @returns {Promise<string|null>} New status ('pending' or 'dead'), or null if the row no longer exists
+ */
+async function failQueuedEvent(id, errorMessage, maxAttempts = 5) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const result = await db.query(query, queryParams);
-	return result.rows.map(row => {
-		let user_name = null;
-		if (row.session_start_data) {
-			try {
-				const data = typeof row.session_start_data === 'string' ? JSON.parse(row.session_start_data) : row.session_start_data;
-				// Try multiple paths: userName (camelCase), user_name (snake_case), or data.user.name (nested)
-				if (data) {
-					user_name = data.userName || data.user_name || (data.user && data.user.name) || null;
-				}
-			} catch {
-				// If parsing fails, ignore and use user_id
-			}
-		}
-
-		// Determine if session is active
-		const hasStart = Number.parseInt(row.has_start, 10) > 0;
-		const hasEnd = Number.parseInt(row.has_end, 10) > 0;
-		const lastEvent = new Date(row.last_event);
-		const now = new Date();
-		const hoursSinceLastEvent = (now - lastEvent) / (1000 * 60 * 60);
-		const isActive = hasStart && !hasEnd && hoursSinceLastEvent < 2;
-
-		return {
-			session_id: row.logical_session_id,
-			count: Number.parseInt(row.count, 10),
-			first_event: row.first_event,
-			last_event: row.last_event,
-			user_id: row.user_id,
-			user_name: user_name,
-			is_active: isActive
-		};
-	});
-
+	try {
+		const result = await db.query(
+			`UPDATE ingestion_queue
+			SET status = CASE WHEN attempts >= $3 THEN 'dead' ELSE 'pending' END,
+				last_error = $2,
+				locked_at = NULL,
+				next_attempt_at = NOW() + make_interval(secs => LEAST(POWER(2, attempts), 300))
+			WHERE id = $1
+			RETURNING status`,
+			[id, errorMessage, maxAttempts]
+		);
+		return result.rows.length > 0 ? result.rows[0].status : null;
+	} catch (error) {
+		console.error('Error recording queued event failure:', error);
+		throw error;
+	}
 }
 
 /**
- * Delete a single event by ID
- * @param {number} id - Event ID
- * @returns {Promise<boolean>} True if event was deleted, false if not found
+ * Move dead-lettered events back to the queue for another round of attempts
+ * @returns {Promise<number>} Number of requeued events
  */
-async function deleteEvent(id) {
+async function requeueDeadQueuedEvents() {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	// Check if event exists and is not already deleted
-	const checkResult = await db.query('SELECT id FROM telemetry_events WHERE id = $1 AND deleted_at IS NULL', [id]);
-	const existingEvent = checkResult.rows[0];
-
-	if (!existingEvent) {
-		return false; // Event not found or already deleted
+	try {
+		const result = await db.query(
+			`UPDATE ingestion_queue
+			SET status = 'pending', attempts = 0, next_attempt_at = NOW(), locked_at = NULL
+			WHERE status = 'dead'`
+		);
+		return result.rowCount;
+	} catch (error) {
+		console.error('Error requeueing dead queued events:', error);
+		throw error;
 	}
-
-	const result = await db.query('UPDATE telemetry_events SET deleted_at = NOW() WHERE id = $1', [id]);
-	return result.rowCount > 0;
 }
 
 /**
- * Soft delete all events from the database (move to trash)
- * @returns {Promise<number>} Number of soft deleted events
+ * Get ingestion queue depth and lag
+ * @returns {Promise<{pending: number, processing: number, dead: number, oldestReceivedAt: string|null, lagSeconds: number}>}
  */
-async function deleteAllEvents() {
+async function getIngestionQueueStats() {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const result = await db.query('UPDATE telemetry_events SET deleted_at = NOW() WHERE deleted_at IS NULL');
-	return result.rowCount;
+	try {
+		const result = await db.query(`
+			SELECT
+				COUNT(*) FILTER (WHERE status = 'pending') AS pending,
+				COUNT(*) FILTER (WHERE status = 'processing') AS processing,
+				COUNT(*) FILTER (WHERE status = 'dead') AS dead,
+				MIN(received_at) FILTER (WHERE status IN ('pending', 'processing')) AS oldest_received_at
+			FROM ingestion_queue
+		`);
+		const row = result.rows[0];
+		const oldestReceivedAt = row.oldest_received_at ? new Date(row.oldest_received_at) : null;
+		return {
+			pending: Number.parseInt(row.pending, 10) || 0,
+			processing: Number.parseInt(row.processing, 10) || 0,
+			dead: Number.parseInt(row.dead, 10) || 0,
+			oldestReceivedAt: oldestReceivedAt ? oldestReceivedAt.toISOString() : null,
+			lagSeconds: oldestReceivedAt ? Math.max(0, Math.floor((Date.now() - oldestReceivedAt.getTime()) / 1000)) : 0
+		};
+	} catch (error) {
+		console.error('Error getting ingestion queue stats:', error);
+		throw error;
+	}
 }
 
 /**
- * Soft delete all events for a specific session (move to trash)
- * @param {string} sessionId - Session identifier
- * @returns {Promise<number>} Number of soft deleted events
+ * Build the signature used to group rejected payloads that failed for the same reason
+ * Array indexes in field paths and the payload excerpt appended to parse errors are left out,
+ * so the same defect sent by many clients ends up in a single group.
+ * @param {string} stage - 'validation' | 'parse' | 'unknown_event_type' | 'archived_month'
+ * @param {Array<{field: string, message: string}>} errors - Rejection errors
+ * @returns {string} Error signature
  */
-async function deleteEventsBySession(sessionId) {
+function buildRejectionSignature(stage, errors) {
+	const parts = [...new Set((errors || []).map(error => {
+		const field = String(error.field || '').replace(/\/\d+(?=\/|$)/g, '/*');
+		const message = String(error.message || '').replace(/\. Event: [\S\s]*$/, '');
+		return field ? `${field} ${message}` : message;
+	}))].sort();
+	return `${stage}: ${parts.join('; ') || 'unknown error'}`.substring(0, 500);
+}
+
+/**
+ * Store payloads rejected by /telemetry in the quarantine table
+ * @param {Array<{payload: object, stage: string, errors: Array, clientIp: string|null, receivedAt: string, apiKeyId: number|null}>} items - Rejected payloads
+ * @returns {Promise<number>} Number of stored rows
+ */
+async function storeRejectedEvents(items) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	if (!sessionId) {
-		throw new Error('Session ID is required to delete events by session');
+	if (!Array.isArray(items) || items.length === 0) {
+		return 0;
 	}
 
-	// Detect pseudo-session: user-only session (format: user_<userId>_<date>)
-	const userSessionMatch = /^user_(?<userId>.+)_(?<date>\d{4}-\d{2}-\d{2})$/.exec(sessionId);
-	if (userSessionMatch) {
-		const userId = userSessionMatch.groups.userId;
-		const date = userSessionMatch.groups.date;
-		const result = await db.query('UPDATE telemetry_events SET deleted_at = NOW() WHERE user_id = $1 AND DATE(timestamp) = $2 AND session_id IS NULL AND parent_session_id IS NULL AND deleted_at IS NULL', [userId, date]);
+	const values = [];
+	const placeholders = items.map((item, index) => {
+		const base = index * 8;
+		const payload = item.payload && typeof item.payload === 'object' ? item.payload : {_raw: item.payload ?? null};
+		// Version of the sending server (v2/v3: server.version, v1: version)
+		const clientVersion = payload.server?.version || payload.version || null;
+		values.push(
+			payload,
+			item.stage,
+			buildRejectionSignature(item.stage, item.errors),
+			JSON.stringify(item.errors || []),
+			item.clientIp || null,
+			typeof clientVersion === 'string' ? clientVersion : null,
+			item.apiKeyId || null,
+			item.receivedAt || new Date().toISOString()
+		);
+		return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7}, $${base + 8})`;
+	});
+
+	try {
+		const result = await db.query(
+			`INSERT INTO rejected_events (payload, stage, error_signature, errors, client_ip, client_version, api_key_id, received_at)
+			VALUES ${placeholders.join(', ')}`,
+			values
+		);
 		return result.rowCount;
+	} catch (error) {
+		console.error('Error storing rejected events:', error);
+		throw error;
 	}
-
-	// Normal session logic
-	const result = await db.query('UPDATE telemetry_events SET deleted_at = NOW() WHERE (parent_session_id = $1 OR (parent_session_id IS NULL AND session_id = $1)) AND deleted_at IS NULL', [sessionId]);
-	return result.rowCount;
 }
 
 /**
- * Get daily event counts for the last N days
- * @param {number} days - Number of days to retrieve (default: 30)
- * @returns {Array} Array of {date, count} objects
+ * Get rejected payloads grouped by error signature
+ * @param {object} options - Query options
+ * @param {boolean} options.includePromoted - Also count payloads already promoted
+ * @returns {Promise<Array>} Groups ordered by most recent rejection
  */
-async function getDailyStats(days = 30) {
+async function getRejectedEventGroups({includePromoted = false} = {}) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	// Always include today's data by building the range backwards from today (UTC)
-	const rangeDays = Math.max(1, Number.isFinite(days) ? Math.floor(days) : 30);
-	const now = new Date();
-	const startDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
-	startDate.setUTCDate(startDate.getUTCDate() - (rangeDays - 1));
-	const startDateISO = startDate.toISOString();
-
-	// PostgreSQL: use DATE with UTC timezone to group by date using the event timestamp
-	const result = await db.query(`
+	try {
+		const result = await db.query(`
 			SELECT
-				DATE(timestamp AT TIME ZONE 'UTC') as date,
-				COUNT(*) as count
-			FROM telemetry_events
-			WHERE timestamp >= $1
-				AND deleted_at IS NULL
-			GROUP BY DATE(timestamp AT TIME ZONE 'UTC')
-			ORDER BY date ASC
-		`, [startDateISO]);
-
-	// Fill in missing days with 0 counts
-	const dateMap = new Map();
-	result.rows.forEach(row => {
-		// Handle both Date objects and string dates from PostgreSQL
-		const dateValue = row.date instanceof Date ? row.date.toISOString().split('T')[0] : row.date.split('T')[0];
-		dateMap.set(dateValue, Number.parseInt(row.count, 10));
-	});
-
-	const filledResults = [];
-	for (let i = 0; i < rangeDays; i++) {
-		const date = new Date(startDate);
-		date.setUTCDate(date.getUTCDate() + i);
-		const dateStr = date.toISOString().split('T')[0];
-		filledResults.push({
-			date: dateStr,
-			count: dateMap.get(dateStr) || 0
-		});
+				error_signature,
+				MIN(stage) AS stage,
+				COUNT(*) AS count,
+				COUNT(*) FILTER (WHERE promoted_at IS NOT NULL) AS promoted_count,
+				MIN(received_at) AS first_seen,
+				MAX(received_at) AS last_seen,
+				COUNT(DISTINCT client_ip) AS client_count,
+				ARRAY_REMOVE(ARRAY_AGG(DISTINCT client_version), NULL) AS client_versions,
+				MAX(id) AS latest_id
+			FROM rejected_events
+			${includePromoted ? '' : 'WHERE promoted_at IS NULL'}
+			GROUP BY error_signature
+			ORDER BY MAX(received_at) DESC
+		`);
+		return result.rows.map(row => ({
+			signature: row.error_signature,
+			stage: row.stage,
+			count: Number.parseInt(row.count, 10) || 0,
+			promotedCount: Number.parseInt(row.promoted_count, 10) || 0,
+			firstSeen: row.first_seen,
+			lastSeen: row.last_seen,
+			clientCount: Number.parseInt(row.client_count, 10) || 0,
+			clientVersions: row.client_versions || [],
+			latestId: Number(row.latest_id)
+		}));
+	} catch (error) {
+		console.error('Error getting rejected event groups:', error);
+		throw error;
 	}
-
-	return filledResults;
-
 }
 
 /**
- * Get daily event counts separated by event type for the last N days
- * Returns two series: start sessions without end, and tool events
- * @param {number} days - Number of days to retrieve (default: 30)
- * @returns {Array} Array of {date, startSessionsWithoutEnd, toolEvents} objects
+ * Get rejected payloads, optionally filtered by error signature
+ * @param {object} options - Query options
+ * @param {string} options.signature - Error signature to filter by
+ * @param {boolean} options.includePromoted - Also return payloads already promoted
+ * @param {number} options.limit - Maximum rows
+ * @param {number} options.offset - Rows to skip
+ * @returns {Promise<Array>} Rejected payloads, most recent first
  */
-async function getDailyStatsByEventType(days = 30) {
+async function getRejectedEvents({signature = null, includePromoted = false, limit = 50, offset = 0} = {}) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	// Always include today's data by building the range backwards from today (UTC)
-	const rangeDays = Math.max(1, Number.isFinite(days) ? Math.floor(days) : 30);
-	const now = new Date();
-	const startDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
-	startDate.setUTCDate(startDate.getUTCDate() - (rangeDays - 1));
-	const startDateISO = startDate.toISOString();
-
-	// PostgreSQL
-	// Get all session_start events
-	const sessionStartsResult = await db.query(`
-			SELECT
-				DATE(timestamp AT TIME ZONE 'UTC') as date,
-				session_id,
-				id
-			FROM telemetry_events
-			WHERE timestamp >= $1 AND event_id = (SELECT id FROM event_types WHERE name = 'session_start')
-				AND deleted_at IS NULL
-		`, [startDateISO]);
-
-	// Count all session_starts by date (regardless of whether they have an end)
-	const startSessionsMap = new Map();
-	sessionStartsResult.rows.forEach(row => {
-		const dateValue = row.date instanceof Date ? row.date.toISOString().split('T')[0] : row.date.split('T')[0];
-		startSessionsMap.set(dateValue, (startSessionsMap.get(dateValue) || 0) + 1);
-	});
-
-	// Get tool events (tool_call and tool_error)
-	const toolEventsResult = await db.query(`
-			SELECT
-				DATE(timestamp AT TIME ZONE 'UTC') as date,
-				COUNT(*) as count
-			FROM telemetry_events
-			WHERE timestamp >= $1 AND event_id IN (SELECT id FROM event_types WHERE name IN ('tool_call', 'tool_error'))
-				AND deleted_at IS NULL
-			GROUP BY DATE(timestamp AT TIME ZONE 'UTC')
-		`, [startDateISO]);
-
-	const toolEventsMap = new Map();
-	toolEventsResult.rows.forEach(row => {
-		const dateValue = row.date instanceof Date ? row.date.toISOString().split('T')[0] : row.date.split('T')[0];
-		toolEventsMap.set(dateValue, Number.parseInt(row.count, 10));
-	});
-
-	// Get error events (tool_error only)
-	const errorEventsResult = await db.query(`
-			SELECT
-				DATE(timestamp AT TIME ZONE 'UTC') as date,
-				COUNT(*) as count
-			FROM telemetry_events
-			WHERE timestamp >= $1 AND event_id = (SELECT id FROM event_types WHERE name = 'tool_error')
-				AND deleted_at IS NULL
-			GROUP BY DATE(timestamp AT TIME ZONE 'UTC')
-		`, [startDateISO]);
-
-	const errorEventsMap = new Map();
-	errorEventsResult.rows.forEach(row => {
-		const dateValue = row.date instanceof Date ? row.date.toISOString().split('T')[0] : row.date.split('T')[0];
-		errorEventsMap.set(dateValue, Number.parseInt(row.count, 10));
-	});
-
-	// Fill in missing days with 0 counts
-	const filledResults = [];
-	for (let i = 0; i < rangeDays; i++) {
-		const date = new Date(startDate);
-		date.setUTCDate(date.getUTCDate() + i);
-		const dateStr = date.toISOString().split('T')[0];
-		filledResults.push({
-			date: dateStr,
-			startSessionsWithoutEnd: startSessionsMap.get(dateStr) || 0,
-			toolEvents: toolEventsMap.get(dateStr) || 0,
-			errorEvents: errorEventsMap.get(dateStr) || 0
-		});
+	const conditions = [];
+	const params = [];
+	if (signature) {
+		params.push(signature);
+		conditions.push(`error_signature = $${params.length}`);
 	}
+	if (!includePromoted) {
+		conditions.push('promoted_at IS NULL');
+	}
+	params.push(limit, offset);
 
-	return filledResults;
-
+	try {
+		const result = await db.query(
+			`SELECT id, payload, stage, error_signature, errors, client_ip, client_version, api_key_id, received_at, promoted_at, promoted_by
+			FROM rejected_events
+			${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+			ORDER BY received_at DESC, id DESC
+			LIMIT $${params.length - 1} OFFSET $${params.length}`,
+			params
+		);
+		return result.rows;
+	} catch (error) {
+		console.error('Error getting rejected events:', error);
+		throw error;
+	}
 }
 
 /**
- * Get database size in bytes
- * @returns {Promise<{size: number, maxSize: number|null}|null>} Database size info, or null if not available
+ * Get a rejected payload by ID
+ * @param {number} id - Rejected event ID
+ * @returns {Promise<object|null>}
  */
-async function getDatabaseSize() {
+async function getRejectedEventById(id) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
 	try {
-		let size = null;
-		// PostgreSQL: use pg_database_size function
-		const result = await db.query(
-			'SELECT pg_database_size(current_database()) as size'
-		);
-		size = result.rows[0]?.size || null;
-
-		if (size === null) {
-			return null;
-		}
-
-		// Get max size from environment variable (in bytes) if set, otherwise use default
-		const maxSize = process.env.DB_MAX_SIZE ? Number.parseInt(process.env.DB_MAX_SIZE, 10) : DEFAULT_MAX_DB_SIZE;
-
-		return {
-			size: size,
-			maxSize: maxSize
-		};
+		const result = await db.query('SELECT * FROM rejected_events WHERE id = $1', [id]);
+		return result.rows[0] || null;
 	} catch (error) {
-		console.error('Error getting database size:', error);
-		return null;
+		console.error('Error getting rejected event:', error);
+		throw error;
 	}
 }
 
-async function deleteAllDeletedEvents() {
+/**
+ * Mark a rejected payload as promoted into telemetry_events
+ * @param {number} id - Rejected event ID
+ * @param {string|null} promotedBy - Username of the administrator
+ * @returns {Promise<boolean>} True if the row was updated
+ */
+async function markRejectedEventPromoted(id, promotedBy = null) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
 	try {
-		const result = await db.query('DELETE FROM telemetry_events WHERE deleted_at IS NOT NULL RETURNING id');
-		return result.rowCount;
+		const result = await db.query(
+			'UPDATE rejected_events SET promoted_at = NOW(), promoted_by = $2 WHERE id = $1 AND promoted_at IS NULL',
+			[id, promotedBy]
+		);
+		return result.rowCount > 0;
 	} catch (error) {
-		console.error('Error deleting all deleted events:', error);
+		console.error('Error marking rejected event as promoted:', error);
 		throw error;
 	}
 }
 
-async function deleteAllTeams() {
+/**
+ * Delete every rejected payload of a group
+ * @param {string} signature - Error signature
+ * @returns {Promise<number>} Number of deleted rows
+ */
+async function deleteRejectedEventGroup(signature) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
 	try {
-		const result = await db.query('DELETE FROM teams RETURNING id');
+		const result = await db.query('DELETE FROM rejected_events WHERE error_signature = $1', [signature]);
 		return result.rowCount;
 	} catch (error) {
-		console.error('Error deleting all teams:', error);
+		console.error('Error deleting rejected events:', error);
 		throw error;
 	}
 }
 
-async function deleteAllOrgs() {
+/**
+ * Get event statistics
+ * @param {object} options - Query options
+ * @returns {object} Statistics
+ */
+async function getStats(options = {}) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	try {
-		const result = await db.query('DELETE FROM orgs RETURNING server_id');
-		return result.rowCount;
-	} catch (error) {
-		console.error('Error deleting all orgs:', error);
-		throw error;
-	}
-}
+	const {startDate, endDate, eventType} = options;
 
-async function deleteAllUserEventStats() {
-	if (!db) {
-		throw new Error('Database not initialized. Call init() first.');
-	}
+	let query = 'SELECT COUNT(*) as total FROM telemetry_events WHERE deleted_at IS NULL';
+	const params = [];
+	let paramIndex = 1;
 
-	try {
-		const result = await db.query('DELETE FROM user_event_stats RETURNING user_id');
-		return result.rowCount;
-	} catch (error) {
-		console.error('Error deleting all user event stats:', error);
-		throw error;
+	if (startDate) {
+		query += ` AND created_at >= $${paramIndex++}`;
+		params.push(startDate);
+	}
+	if (endDate) {
+		query += ` AND created_at <= $${paramIndex++}`;
+		params.push(endDate);
+	}
+	if (eventType) {
+		query += ` AND event = $${paramIndex++}`;
+		params.push(eventType);
 	}
+
+	const result = await db.query(query, params);
+	return {total: Number.parseInt(result.rows[0].total, 10)};
 }
 
-async function deleteAllOrgEventStats() {
-	if (!db) {
-		throw new Error('Database not initialized. Call init() first.');
+// Columns matched by free-text search terms and by field filters (see event-search.js)
+const EVENT_SEARCH_TEXT_COLUMNS = ['e.error_message', 'e.tool_name', 'e.user_name', 'e.company_name'];
+const EVENT_SEARCH_FIELD_COLUMNS = {
+	tool: 'e.tool_name',
+	event: 'et.name',
+	error: 'e.error_message',
+	user: 'e.user_name',
+	company: 'e.company_name'
+};
+
+/**
+ * Build the WHERE clause for the Event Log filters (telemetry_events e JOIN event_types et)
+ * @param {object} options - Filters: eventTypes, areas, serverId, sessionId, startDate, endDate, userIds, teamId, teamName,
+ *   search (parsed by parseEventSearch), includeDeleted
+ * @returns {{whereClause: string, params: Array}} WHERE clause and its parameters
+ */
+function buildEventFilterConditions(options = {}) {
+	const {
+		eventTypes,
+		areas,
+		serverId,
+		sessionId,
+		startDate,
+		endDate,
+		teamId,
+		teamName,
+		includeDeleted = false
+	} = options;
+
+	let whereClause = 'WHERE 1=1';
+	const params = [];
+	let paramIndex = 1;
+
+	// Exclude soft deleted events by default unless explicitly requested
+	if (!includeDeleted) {
+		whereClause += ' AND deleted_at IS NULL';
 	}
 
-	try {
-		const result = await db.query('DELETE FROM org_event_stats RETURNING org_id');
-		return result.rowCount;
-	} catch (error) {
-		console.error('Error deleting all org event stats:', error);
-		throw error;
+	if (areas && Array.isArray(areas) && areas.length > 0) {
+		// Filter by area (preferred over eventTypes for area-based filtering)
+		if (areas.length === 1) {
+			whereClause += ` AND COALESCE(e.area, 'general') = $${paramIndex++}`;
+			params.push(areas[0]);
+		} else {
+			const placeholders = areas.map(() => {
+				return `$${paramIndex++}`;
+			}).join(', ');
+			whereClause += ` AND COALESCE(e.area, 'general') IN (${placeholders})`;
+			params.push(...areas);
+		}
+	} else if (eventTypes && Array.isArray(eventTypes) && eventTypes.length > 0) {
+		// Fallback to eventTypes for backward compatibility
+		if (eventTypes.length === 1) {
+			whereClause += ` AND et.name = $${paramIndex++}`;
+			params.push(eventTypes[0]);
+		} else {
+			const placeholders = eventTypes.map(() => {
+				return `$${paramIndex++}`;
+			}).join(', ');
+			whereClause += ` AND et.name IN (${placeholders})`;
+			params.push(...eventTypes);
+		}
+	}
+	if (serverId) {
+		whereClause += ` AND e.server_id = $${paramIndex++}`;
+		params.push(serverId);
+	}
+	if (sessionId) {
+		// Filter by logical session: parent_session_id when set, otherwise raw session_id
+		whereClause += ` AND (e.parent_session_id = $${paramIndex} OR (e.parent_session_id IS NULL AND e.session_id = $${paramIndex + 1}))`;
+		params.push(sessionId, sessionId);
+		paramIndex += 2;
+	}
+	if (startDate) {
+		whereClause += ` AND e.created_at >= $${paramIndex++}`;
+		params.push(startDate);
+	}
+	if (endDate) {
+		whereClause += ` AND e.created_at <= $${paramIndex++}`;
+		params.push(endDate);
+	}
+	if (options.userIds && Array.isArray(options.userIds) && options.userIds.length > 0) {
+		const placeholders = options.userIds.map(() => {
+			return `$${paramIndex++}`;
+		}).join(', ');
+		whereClause += ` AND e.user_id IN (${placeholders})`;
+		params.push(...options.userIds);
+	}
+	if (teamId) {
+		whereClause += ` AND e.team_id = $${paramIndex++}`;
+		params.push(teamId);
+	} else if (teamName) {
+		// Team keys in the Event Log are lowercased team names
+		whereClause += ` AND e.team_id IN (SELECT id FROM teams WHERE LOWER(name) = LOWER($${paramIndex++}))`;
+		params.push(teamName);
+	}
+	if (options.search) {
+		const {text = [], fields = [], data = []} = options.search;
+		for (const pattern of text) {
+			const placeholder = `$${paramIndex++}`;
+			whereClause += ` AND (${EVENT_SEARCH_TEXT_COLUMNS.map(column => `${column} ILIKE ${placeholder}`).join(' OR ')})`;
+			params.push(pattern);
+		}
+		for (const {field, pattern} of fields) {
+			const column = EVENT_SEARCH_FIELD_COLUMNS[field];
+			if (column) {
+				whereClause += ` AND ${column} ILIKE $${paramIndex++}`;
+				params.push(pattern);
+			}
+		}
+		for (const documents of data) {
+			// Containment (@>) is answered by the idx_data_gin index
+			const firstIndex = paramIndex;
+			const conditions = documents.map((_, index) => `e.data @> $${firstIndex + index}::jsonb`);
+			whereClause += ` AND (${conditions.join(' OR ')})`;
+			params.push(...documents.map(document => JSON.stringify(document)));
+			paramIndex += documents.length;
+		}
 	}
+
+	return {whereClause, params};
 }
 
-async function deleteAllPeople() {
+/**
+ * Get telemetry events with pagination and filters
+ * When sorting by created_at (the default) pages are keyed on (created_at, id): pass the nextCursor
+ * of the previous page, decoded, as `after` instead of an offset.
+ * @param {object} options - Query options
+ * @param {{createdAt: string, id: number}} [options.after] - Sort key of the last event of the previous page
+ * @returns {object} Events and pagination info (nextCursor is null on the last page)
+ */
+async function getEvents(options = {}) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	try {
-		const result = await db.query('DELETE FROM people RETURNING id');
-		return result.rowCount;
-	} catch (error) {
-		console.error('Error deleting all people:', error);
-		throw error;
+	const {
+		limit = 50,
+		offset = 0,
+		orderBy = 'created_at',
+		order = 'DESC',
+		after = null
+	} = options;
+
+	const {whereClause, params} = buildEventFilterConditions(options);
+	let paramIndex = params.length + 1;
+
+	// Get total count (optimize by skipping if not needed)
+	let total = 0;
+	// Only compute total if it's a reasonable query (not too expensive)
+	// We compute total when:
+	// 1. offset === 0: First page, total is useful for pagination UI
+	// 2. limit <= MAX_LIMIT_FOR_TOTAL_COMPUTATION: Small result set, COUNT is fast
+	// Later keyset pages (after) never count.
+	const shouldComputeTotal = !after && (offset === 0 || limit <= MAX_LIMIT_FOR_TOTAL_COMPUTATION);
+
+	if (shouldComputeTotal) {
+		const countQuery = `SELECT COUNT(*) as total FROM telemetry_events e JOIN event_types et ON e.event_id = et.id ${whereClause}`;
+		const countResult = await db.query(countQuery, params);
+		total = Number.parseInt(countResult.rows[0].total, 10);
 	}
-}
 
-async function deleteAllTeamEventUsers() {
-	if (!db) {
-		throw new Error('Database not initialized. Call init() first.');
+	// Get events
+	const validOrderBy = ['id', 'event', 'timestamp', 'created_at', 'server_id'];
+	const validOrder = ['ASC', 'DESC'];
+	// Only select orderBy and order values from predefined lists without using user data directly
+	let safeOrderBy = 'e.created_at';
+	if (validOrderBy.includes(orderBy)) {
+		if (orderBy === 'created_at') {
+			safeOrderBy = 'e.created_at';
+		} else if (orderBy === 'timestamp') {
+			safeOrderBy = 'e.timestamp';
+		} else if (orderBy === 'id') {
+			safeOrderBy = 'e.id';
+		} else if (orderBy === 'server_id') {
+			safeOrderBy = 'e.server_id';
+		} else {
+			safeOrderBy = orderBy;
+		}
+	}
+	let safeOrder = 'DESC';
+	if (typeof order === 'string' && validOrder.includes(order.toUpperCase())) {
+		safeOrder = order.toUpperCase();
 	}
 
-	try {
-		const result = await db.query('DELETE FROM team_event_users RETURNING id');
-		return result.rowCount;
-	} catch (error) {
-		console.error('Error deleting all team event users:', error);
-		throw error;
+	const keyset = safeOrderBy === 'e.created_at';
+	const queryParams = [...params];
+	let keysetCondition = '';
+	if (keyset && after) {
+		keysetCondition = `AND (e.created_at, e.id) ${safeOrder === 'DESC' ? '<' : '>'} ($${paramIndex++}::timestamptz, $${paramIndex++})`;
+		queryParams.push(after.createdAt, after.id);
 	}
-}
 
+	// One extra row tells whether there is a next page without counting
+	const eventsQuery = `
+		SELECT
+			e.id, et.name as event, e.timestamp, e.server_id, e.version, e.session_id, e.parent_session_id,
+			e.user_id, e.received_at, e.created_at, e.user_name, e.tool_name, e.company_name,
+			e.error_message, e.area, e.success, e.telemetry_schema_version, to_char(e.created_at AT TIME ZONE 'UTC', ${CURSOR_TIMESTAMP_FORMAT}) AS created_at_key
+		FROM telemetry_events e
+		JOIN event_types et ON e.event_id = et.id
+		${whereClause}
+		${keysetCondition}
+		ORDER BY ${safeOrderBy} ${safeOrder}${keyset ? `, e.id ${safeOrder}` : ''}
+		LIMIT $${paramIndex++}
+		OFFSET $${paramIndex++}
+	`;
 
-/**
- * Close database connection
- */
-async function close() {
-	if (db) {
-		await db.end();
-		db = null;
+	queryParams.push(limit + 1, after ? 0 : offset);
+	const result = await db.query(eventsQuery, queryParams);
+	const hasMore = result.rows.length > limit;
+	const events = hasMore ? result.rows.slice(0, limit) : result.rows;
+
+	const lastEvent = events.at(-1);
+	const nextCursor = keyset && hasMore ? encodeCursor({createdAt: lastEvent.created_at_key, id: lastEvent.id}) : null;
+	for (const event of events) {
+		delete event.created_at_key;
 	}
+
+	return {
+		events,
+		total,
+		limit,
+		offset,
+		hasMore,
+		nextCursor
+	};
 }
 
 /**
- * Get tool usage statistics
- * @param {number} days - Number of days to look back (default: 30)
- * @returns {Promise<Array>} Array of tool usage statistics with successful calls and errors
+ * Iterate the events matching the Event Log filters in id order, one batch at a time
+ * Uses keyset pagination on id, so memory use doesn't grow with the number of matching events.
+ * @param {object} options - Same filters as getEvents (areas, eventTypes, serverId, sessionId, userIds, startDate, endDate, teamId, teamName, search)
+ * @param {number} options.batchSize - Rows per query (default: 1000)
+ * @param {number|null} options.limit - Maximum events to return (default: no limit)
+ * @param {number} options.afterId - Only events with a greater id (default: 0)
+ * @yields {Array<object>} Batches of events, including the data payload
  */
-async function getToolUsageStats(days = 30) {
+async function* iterateEvents(options = {}) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const rangeDays = Math.min(Math.max(1, Number.isFinite(days) ? days : 30), 365);
-	const startDate = new Date();
-	startDate.setUTCDate(startDate.getUTCDate() - (rangeDays - 1));
-	const startDateISO = startDate.toISOString();
-
-	try {
-		// Try to use the tool_name column first (more efficient)
-		const result = await db.query(`
-			SELECT
-				tool_name as tool,
-				SUM(CASE WHEN event = 'tool_call' THEN 1 ELSE 0 END) as successful,
-				SUM(CASE WHEN event = 'tool_error' THEN 1 ELSE 0 END) as errors
-			FROM telemetry_events
-			WHERE timestamp >= $1
-				AND event IN ('tool_call', 'tool_error')
-				AND tool_name IS NOT NULL
-				AND tool_name != ''
-				AND deleted_at IS NULL
-			GROUP BY tool_name
-			ORDER BY SUM(CASE WHEN event = 'tool_call' THEN 1 ELSE 0 END) + SUM(CASE WHEN event = 'tool_error' THEN 1 ELSE 0 END) DESC
-			LIMIT 6
-		`, [startDateISO]);
-
-		return result.rows.map(row => ({
-			tool: row.tool,
-			successful: Number.parseInt(row.successful, 10) || 0,
-			errors: Number.parseInt(row.errors, 10) || 0
-		}));
-	} catch (error) {
-		console.warn('Error querying tool_name column, falling back to JSON extraction:', error.message);
+	const {batchSize = 1000, limit = null, afterId = 0} = options;
+	const {whereClause, params} = buildEventFilterConditions(options);
 
-		// Fallback: extract tool names from JSON data
+	let lastId = afterId;
+	let remaining = limit ?? Infinity;
+	let rows = [];
+	do {
+		const pageSize = Math.min(batchSize, remaining);
 		const result = await db.query(`
 			SELECT
-				COALESCE(data->>'toolName', data->>'tool') as tool_name,
-				event,
-				COUNT(*) as count
-			FROM telemetry_events
-			WHERE timestamp >= $1 AND event IN ('tool_call', 'tool_error')
-				AND (data->>'toolName' IS NOT NULL OR data->>'tool' IS NOT NULL)
-				AND (data->>'toolName' != '' OR data->>'tool' != '')
-			GROUP BY COALESCE(data->>'toolName', data->>'tool'), event
-		`, [startDateISO]);
-
-		// Aggregate by tool name
-		const toolStats = new Map();
-		result.rows.forEach(row => {
-			const toolName = String(row.tool_name).trim();
-			if (!toolName) { return; }
-
-			if (!toolStats.has(toolName)) {
-				toolStats.set(toolName, {
-					tool: toolName,
-					successful: 0,
-					errors: 0
-				});
-			}
-
-			const stat = toolStats.get(toolName);
-			const count = Number.parseInt(row.count, 10) || 0;
-
-			if (row.event === 'tool_call') {
-				stat.successful += count;
-			} else if (row.event === 'tool_error') {
-				stat.errors += count;
-			}
-		});
-
-		// Convert to array and sort by total usage
-		return Array.from(toolStats.values())
-			.sort((a, b) => (b.successful + b.errors) - (a.successful + a.errors))
-			.slice(0, 6);
-	}
+				e.id, et.name as event, e.timestamp, e.server_id, e.version, e.session_id, e.parent_session_id,
+				e.user_id, e.data, e.received_at, e.created_at, e.org_id, e.team_id, e.user_name, e.tool_name,
+				e.company_name, e.error_message, e.area, e.success, e.telemetry_schema_version
+			FROM telemetry_events e
+			JOIN event_types et ON e.event_id = et.id
+			${whereClause} AND e.id > $${params.length + 1}
+			ORDER BY e.id ASC
+			LIMIT $${params.length + 2}
+		`, [...params, lastId, pageSize]);
+		rows = result.rows;
+		if (rows.length > 0) {
+			lastId = rows.at(-1).id;
+			remaining -= rows.length;
+			yield rows;
+		}
+	} while (rows.length === batchSize && remaining > 0);
 }
 
-/**
- * User management functions
- */
+// Commit order of telemetry_events: by the transaction that stored each event, then by id
+// (events stored before migrations/0012_event_commit_order.js have no xact_id and come first)
+const EVENT_COMMIT_ORDER = 'COALESCE(e.xact_id, \'0\'::xid8)';
 
 /**
- * Get a user by username
- * @param {string} username - Username to look up
- * @returns {Promise<object|null>} User object or null if not found
+ * Get the events committed after a position, in commit order (live event stream, event forwarders)
+ * Only transactions older than every transaction still running are read, so an event committed
+ * later always sorts after the returned position. An id cursor would skip the lower ids of
+ * transactions that commit late.
+ * @param {object} options - Same filters as getEvents (areas, eventTypes, serverId, sessionId, userIds, startDate, endDate, teamId, teamName, search)
+ * @param {{xactId: string, id: number}} options.after - Position to read after (see getLatestEventPosition)
+ * @param {number} options.limit - Maximum events to return (default: 200)
+ * @param {boolean} options.withData - Also return data and org_id (default: false)
+ * @returns {Promise<{events: Array<object>, position: {xactId: string, id: number}}>} Events with the same columns as getEvents, and the position of the last one
  */
-async function getUserByUsername(username) {
+async function getEventsAfter(options = {}) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const result = await db.query(
-		'SELECT id, username, password_hash, role, created_at, last_login FROM users WHERE username = $1',
-		[username]
-	);
-	return result.rows[0] || null;
+	const {after, limit = 200, withData = false} = options;
+	const {whereClause, params} = buildEventFilterConditions(options);
+	const result = await db.query(`
+		SELECT
+			e.id, et.name as event, e.timestamp, e.server_id, e.version, e.session_id, e.parent_session_id,
+			e.user_id, e.received_at, e.created_at, e.user_name, e.tool_name, e.company_name,
+			e.error_message, e.area, e.success, e.telemetry_schema_version, e.team_id,
+			${withData ? 'e.data, e.org_id,' : ''}
+			${EVENT_COMMIT_ORDER}::text AS commit_xact_id
+		FROM telemetry_events e
+		JOIN event_types et ON e.event_id = et.id
+		${whereClause}
+			AND (${EVENT_COMMIT_ORDER}, e.id) > ($${params.length + 1}::xid8, $${params.length + 2}::integer)
+			AND ${EVENT_COMMIT_ORDER} < pg_snapshot_xmin(pg_current_snapshot())
+		ORDER BY ${EVENT_COMMIT_ORDER} ASC, e.id ASC
+		LIMIT $${params.length + 3}
+	`, [...params, after.xactId, after.id, limit]);
+
+	const last = result.rows.at(-1);
+	const position = last ? {xactId: last.commit_xact_id, id: last.id} : after;
+	for (const row of result.rows) {
+		delete row.commit_xact_id;
+	}
+	return {events: result.rows, position};
 }
 
 /**
- * Create a new user
- * @param {string} username - Username
- * @param {string} passwordHash - Bcrypt password hash
- * @returns {Promise<object>} Created user object
+ * Get the position of the latest committed event, to follow the events stored from now on
+ * @returns {Promise<{xactId: string, id: number}>} Position for getEventsAfter
  */
-async function createUser(username, passwordHash, role = 'basic') {
+async function getLatestEventPosition() {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const normalized = normalizeRole(role);
-
-	const result = await db.query(
-		'INSERT INTO users (username, password_hash, role) VALUES ($1, $2, $3) RETURNING id, username, password_hash, role, created_at',
-		[username, passwordHash, normalized]
-	);
-	return result.rows[0];
+	const result = await db.query(`
+		SELECT ${EVENT_COMMIT_ORDER}::text AS xact_id, e.id
+		FROM telemetry_events e
+		WHERE ${EVENT_COMMIT_ORDER} < pg_snapshot_xmin(pg_current_snapshot())
+		ORDER BY ${EVENT_COMMIT_ORDER} DESC, e.id DESC
+		LIMIT 1
+	`);
+	const row = result.rows[0];
+	return row ? {xactId: row.xact_id, id: row.id} : {xactId: '0', id: 0};
 }
 
 /**
- * Update user's last login timestamp
- * @param {string} username - Username
- * @returns {Promise<void>}
+ * Get a single event by ID
+ * @param {number} id - Event ID
+ * @returns {Object|null} Event object or null if not found
  */
-async function updateLastLogin(username) {
+async function getEventById(id) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const now = new Date().toISOString();
-	await db.query('UPDATE users SET last_login = $1 WHERE username = $2', [now, username]);
-}
-
-/**
- * Get user by ID
- * @param {number} userId - User ID
- * @returns {Promise<object|null>} User object or null
- */
-async function getUserById(userId) {
-	if (!db) {
-		throw new Error('Database not initialized. Call init() first.');
+	const result = await db.query('SELECT e.id, et.name as event, e.timestamp, e.server_id, e.version, e.session_id, e.user_id, e.data, e.received_at, e.created_at, e.org_id, e.user_name, e.tool_name, e.company_name, e.error_message, e.area FROM telemetry_events e JOIN event_types et ON e.event_id = et.id WHERE e.id = $1 AND e.deleted_at IS NULL', [id]);
+	if (result.rows.length === 0) {
+		return null;
 	}
+	return result.rows[0];
 
-	const result = await db.query(
-		'SELECT id, username, password_hash, role, created_at, last_login FROM users WHERE id = $1',
-		[userId]
-	);
-	return result.rows[0] || null;
 }
 
 /**
- * Get all users
- * @returns {Promise<Array>} Array of user objects (without password hashes)
+ * Get event type statistics
+ * @returns {Array} Statistics by event type
  */
-async function getAllUsers() {
+async function getEventTypeStats(options = {}) {
+	const {sessionId, userIds} = options || {};
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const result = await db.query('SELECT id, username, role, created_at, last_login FROM users ORDER BY username');
-	return result.rows;
-}
-
-/**
- * Delete a user by username
- * @param {string} username - Username to delete
- * @returns {Promise<boolean>} True if user was deleted, false if not found
- */
-async function deleteUser(username) {
-	if (!db) {
-		throw new Error('Database not initialized. Call init() first.');
-	}
+	let query = `
+			SELECT COALESCE(area, 'general') as event, COUNT(*) as count
+			FROM telemetry_events
+		`;
+	const params = [];
+	const conditions = [];
+	let paramIndex = 1;
 
-	const result = await db.query('DELETE FROM users WHERE username = $1', [username]);
-	return result.rowCount > 0;
-}
+	// Always exclude soft deleted events
+	conditions.push('deleted_at IS NULL');
 
-/**
- * Update user password
- * @param {string} username - Username
- * @param {string} passwordHash - New bcrypt password hash
- * @returns {Promise<boolean>} True if password was updated, false if user not found
- */
-async function updateUserPassword(username, passwordHash) {
-	if (!db) {
-		throw new Error('Database not initialized. Call init() first.');
+	if (sessionId) {
+		conditions.push(`(parent_session_id = $${paramIndex} OR (parent_session_id IS NULL AND session_id = $${paramIndex + 1}))`);
+		params.push(sessionId, sessionId);
+		paramIndex += 2;
+	}
+	if (userIds && Array.isArray(userIds) && userIds.length > 0) {
+		const placeholders = userIds.map(() => `$${paramIndex++}`).join(', ');
+		conditions.push(`user_id IN (${placeholders})`);
+		params.push(...userIds);
+	}
+	if (conditions.length > 0) {
+		query += ` WHERE ${conditions.join(' AND ')}`;
 	}
+	query += `
+			GROUP BY COALESCE(area, 'general')
+			ORDER BY count DESC
+		`;
+	const result = await db.query(query, params);
+	return result.rows.map(row => ({
+		event: row.event,
+		count: Number.parseInt(row.count, 10)
+	}));
 
-	const result = await db.query('UPDATE users SET password_hash = $1 WHERE username = $2', [passwordHash, username]);
-	return result.rowCount > 0;
 }
 
-/**
- * Update user role
- * @param {string} username - Username
- * @param {string} role - New role (basic|advanced)
- * @returns {Promise<boolean>} True if updated, false otherwise
- */
-async function updateUserRole(username, role) {
-	if (!db) {
-		throw new Error('Database not initialized. Call init() first.');
-	}
-
-	const normalized = normalizeRole(role);
+// Sessions ordered by last activity; `after` is the (last_event, session id) key of the previous page's last row
+async function querySessions(options = {}) {
+	const {userIds, limit, offset, after, includeUsersWithoutSessions = true} = options || {};
 
-	const result = await db.query('UPDATE users SET role = $1 WHERE username = $2', [normalized, username]);
-	return result.rowCount > 0;
-}
+	// PostgreSQL implementation
+	let whereClause = `WHERE deleted_at IS NULL AND (`;
+	const params = [];
+	let paramIndex = 1;
 
-/**
- * Get company name for a server/org
- * @param {string} serverId - Server ID
- * @returns {Promise<string|null>} Company name or null if not found
- */
-async function getOrgCompanyName(serverId) {
-	if (!db || !serverId) {
-		return null;
+	if (includeUsersWithoutSessions) {
+		whereClause += `(session_id IS NOT NULL OR parent_session_id IS NOT NULL) OR user_id IS NOT NULL`;
+	} else {
+		whereClause += `(session_id IS NOT NULL OR parent_session_id IS NOT NULL)`;
 	}
+	whereClause += `)`;
 
-	try {
-		const result = await db.query('SELECT company_name FROM orgs WHERE server_id = $1', [serverId]);
-		return result.rows.length > 0 ? result.rows[0].company_name : null;
-	} catch (error) {
-		console.error('Error getting org company name:', error);
-		return null;
+	if (userIds && Array.isArray(userIds) && userIds.length > 0) {
+		const placeholders = userIds.map(() => `$${paramIndex++}`).join(', ');
+		whereClause += ` AND user_id IN (${placeholders})`;
+		params.push(...userIds);
 	}
-}
 
-/**
- * Get all organizations with their company names
- * @returns {Promise<Array>} Array of org objects with server_id and company_name
- */
-async function getAllOrgs() {
-	if (!db) {
-		throw new Error('Database not initialized. Call init() first.');
-	}
+	let query;
+	const queryParams = params.slice(); // Copy params array
 
-	try {
-		const result = await db.query('SELECT server_id, company_name, created_at, updated_at FROM orgs ORDER BY updated_at DESC');
-		return result.rows;
-	} catch (error) {
-		console.error('Error getting all orgs:', error);
-		return [];
-	}
-}
+	if (includeUsersWithoutSessions) {
+		// Precompute filter strings and placeholders using only array lengths and indices
+		// This separates placeholder construction from the query template to avoid taint flow
+		const userIdsLength = userIds && Array.isArray(userIds) ? userIds.length : 0;
+		const hasUserFilter = userIdsLength > 0;
 
-/**
- * Update event data by ID
- * @param {number} id - Event ID
- * @param {object} data - New data object
- * @returns {Promise<boolean>} True if updated, false otherwise
- */
-async function updateEventData(id, data) {
-	if (!db) {
-		throw new Error('Database not initialized. Call init() first.');
-	}
-
-	try {
-		const result = await db.query('UPDATE telemetry_events SET data = $1 WHERE id = $2', [data, id]);
-		return result.rowCount > 0;
-	} catch (error) {
-		console.error('Error updating event data:', error);
-		return false;
-	}
-}
+		// Compute session filter placeholders using only length and indices
+		const sessionUserFilter = hasUserFilter? `AND user_id IN (${Array.from({length: userIdsLength}, (_, i) => `$${paramIndex + i}`).join(', ')})`: '';
 
-/**
- * Get unique user IDs from all events
- * Returns both the identifier used for filtering and a human readable label
- * @returns {Array<{id: string, label: string}>} Sorted array of unique users
- */
-async function getUniqueUserIds() {
-	if (!db) {
-		throw new Error('Database not initialized. Call init() first.');
-	}
+		// Compute user aggregates filter placeholders using only length and indices
+		const userAggregatesFilter = hasUserFilter? `AND user_id IN (${Array.from({length: userIdsLength}, (_, i) => `$${paramIndex + userIdsLength + i}`).join(', ')})`: '';
 
-	const result = await db.query(`
-		SELECT user_id, data
-		FROM telemetry_events
-		WHERE user_id IS NOT NULL OR (data IS NOT NULL AND data != '')
-	`);
-	const rows = result.rows;
+		// Compute keyset and LIMIT/OFFSET placeholder indices using only counts
+		const keysetBaseIndex = paramIndex + (userIdsLength * 2);
+		const keysetFilter = after ? `WHERE (s.last_event, s.logical_session_id) < ($${keysetBaseIndex}::timestamptz, $${keysetBaseIndex + 1})` : '';
+		const limitOffsetBaseIndex = keysetBaseIndex + (after ? 2 : 0);
+		const limitPlaceholder = limit ? `LIMIT $${limitOffsetBaseIndex}` : '';
+		const offsetPlaceholder = offset ? `OFFSET $${limitOffsetBaseIndex + (limit ? 1 : 0)}` : '';
 
-	const userMap = new Map();
+		// When including users without sessions, use UNION of sessions and user-only events
+		query = `
+				WITH session_aggregates AS (
+					SELECT
+						COALESCE(parent_session_id, session_id) AS logical_session_id,
+						COUNT(*) as count,
+						MIN(timestamp) as first_event,
+						MAX(timestamp) as last_event,
+						SUM(CASE WHEN event = 'session_start' THEN 1 ELSE 0 END) as has_start,
+						SUM(CASE WHEN event = 'session_end' THEN 1 ELSE 0 END) as has_end
+					FROM telemetry_events sa
+					WHERE (session_id IS NOT NULL OR parent_session_id IS NOT NULL) AND deleted_at IS NULL
+					${sessionUserFilter}
+					GROUP BY COALESCE(parent_session_id, session_id)
+				),
+				user_aggregates AS (
+					SELECT
+						'user_' || user_id || '_' || DATE(timestamp) AS logical_session_id,
+						COUNT(*) as count,
+						MIN(timestamp) as first_event,
+						MAX(timestamp) as last_event,
+						0 as has_start,
+						0 as has_end,
+						user_id,
+						NULL::jsonb as session_start_data
+					FROM telemetry_events
+					WHERE session_id IS NULL AND parent_session_id IS NULL AND user_id IS NOT NULL AND deleted_at IS NULL
+					${userAggregatesFilter}
+					GROUP BY user_id, DATE(timestamp)
+				)
+				SELECT s.*, to_char(s.last_event AT TIME ZONE 'UTC', ${CURSOR_TIMESTAMP_FORMAT}) AS last_event_key
+				FROM (
+					SELECT
+						sa.logical_session_id,
+						sa.count,
+						sa.first_event,
+						sa.last_event,
+						sa.has_start,
+						sa.has_end,
+						(SELECT user_id FROM telemetry_events
+						 WHERE COALESCE(parent_session_id, session_id) = sa.logical_session_id
+						   AND deleted_at IS NULL
+						 ORDER BY timestamp ASC LIMIT 1) as user_id,
+						(SELECT data FROM telemetry_events
+						 WHERE COALESCE(parent_session_id, session_id) = sa.logical_session_id
+						   AND event = 'session_start'
+						   AND deleted_at IS NULL
+						 ORDER BY timestamp ASC LIMIT 1) as session_start_data
+					FROM session_aggregates sa
+					UNION ALL
+					SELECT * FROM user_aggregates
+				) s
+				${keysetFilter}
+				ORDER BY s.last_event DESC, s.logical_session_id DESC
+				${limitPlaceholder}
+				${offsetPlaceholder}
+			`;
+		// Add userIds for both parts of the union
+		if (hasUserFilter) {
+			queryParams.push(...userIds, ...userIds);
+		}
+		if (after) { queryParams.push(after.lastEvent, after.sessionId); }
+		if (limit) { queryParams.push(limit); }
+		if (offset) { queryParams.push(offset); }
+	} else {
+		// Original query for sessions only
+		query = `
+				WITH session_aggregates AS (
+					SELECT
+						COALESCE(parent_session_id, session_id) AS logical_session_id,
+						COUNT(*) as count,
+						MIN(timestamp) as first_event,
+						MAX(timestamp) as last_event,
+						SUM(CASE WHEN event = 'session_start' THEN 1 ELSE 0 END) as has_start,
+						SUM(CASE WHEN event = 'session_end' THEN 1 ELSE 0 END) as has_end
+					FROM telemetry_events
+					${whereClause}
+					GROUP BY COALESCE(parent_session_id, session_id)
+				)
+				SELECT
+					sa.logical_session_id,
+					sa.count,
+					sa.first_event,
+					sa.last_event,
+					(SELECT user_id FROM telemetry_events
+					 WHERE COALESCE(parent_session_id, session_id) = sa.logical_session_id
+					   AND deleted_at IS NULL
+					 ORDER BY timestamp ASC LIMIT 1) as user_id,
+					(SELECT data FROM telemetry_events
+					 WHERE COALESCE(parent_session_id, session_id) = sa.logical_session_id
+					   AND event = 'session_start'
+					   AND deleted_at IS NULL
+					 ORDER BY timestamp ASC LIMIT 1) as session_start_data,
+					sa.has_start,
+					sa.has_end,
+					to_char(sa.last_event AT TIME ZONE 'UTC', ${CURSOR_TIMESTAMP_FORMAT}) AS last_event_key
+				FROM session_aggregates sa
+				WHERE sa.count > 0
+				${after ? `AND (sa.last_event, sa.logical_session_id) < ($${paramIndex++}::timestamptz, $${paramIndex++})` : ''}
+				ORDER BY sa.last_event DESC, sa.logical_session_id DESC
+				${limit ? `LIMIT $${paramIndex++}` : ''}
+				${offset ? `OFFSET $${paramIndex++}` : ''}
+			`;
+		if (after) { queryParams.push(after.lastEvent, after.sessionId); }
+		if (limit) { queryParams.push(limit); }
+		if (offset) { queryParams.push(offset); }
+	}
 
-	rows.forEach(row => {
-		let parsedData = null;
-		if (row.data) {
+	const result = await db.query(query, queryParams);
+	const sessions = result.rows.map(row => {
+		let user_name = null;
+		if (row.session_start_data) {
 			try {
-				parsedData = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
+				const data = typeof row.session_start_data === 'string' ? JSON.parse(row.session_start_data) : row.session_start_data;
+				// Try multiple paths: userName (camelCase), user_name (snake_case), or data.user.name (nested)
+				if (data) {
+					user_name = data.userName || data.user_name || (data.user && data.user.name) || null;
+				}
 			} catch {
-				parsedData = null;
+				// If parsing fails, ignore and use user_id
 			}
 		}
 
-		const normalizedId = getNormalizedUserId({
-			userId: row.user_id,
-			data: parsedData
-		});
-
-		if (!normalizedId) {
-			return;
-		}
-
-		const displayName = extractUserDisplayName(parsedData);
-		const label = displayName && displayName.toLowerCase() !== normalizedId.toLowerCase() ? `${displayName} (${normalizedId})` : normalizedId;
+		// Determine if session is active
+		const hasStart = Number.parseInt(row.has_start, 10) > 0;
+		const hasEnd = Number.parseInt(row.has_end, 10) > 0;
+		const lastEvent = new Date(row.last_event);
+		const now = new Date();
+		const hoursSinceLastEvent = (now - lastEvent) / (1000 * 60 * 60);
+		const isActive = hasStart && !hasEnd && hoursSinceLastEvent < 2;
 
-		const existing = userMap.get(normalizedId);
-		if (!existing || (existing.label === normalizedId && label !== normalizedId)) {
-			userMap.set(normalizedId, {
-				id: normalizedId,
-				label
-			});
-		}
+		return {
+			session_id: row.logical_session_id,
+			count: Number.parseInt(row.count, 10),
+			first_event: row.first_event,
+			last_event: row.last_event,
+			user_id: row.user_id,
+			user_name: user_name,
+			is_active: isActive
+		};
 	});
-
-	return Array.from(userMap.values()).sort((a, b) => a.label.localeCompare(b.label));
+	return {sessions, rows: result.rows};
 }
 
 /**
- * Get PostgreSQL pool if using PostgreSQL, null otherwise
- * Used for session store configuration
+ * Get unique sessions with event counts
+ * @param {object} options - Query options
+ * @returns {Array} Sessions with count and latest timestamp
  */
-function getPostgresPool() {
-	if (db) {
-		return db;
+async function getSessions(options = {}) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
 	}
-	return null;
+	const {sessions} = await querySessions(options);
+	return sessions;
 }
 
 /**
- * Get SQLite database instance (deprecated - no longer supported)
- * @deprecated This function is no longer supported as the project only uses PostgreSQL
+ * Get a page of sessions, most recently active first (keyset pagination on last activity)
+ * @param {object} options - Same options as getSessions plus limit
+ * @param {{lastEvent: string, sessionId: string}} [options.after] - Decoded nextCursor of the previous page
+ * @returns {Promise<{sessions: Array, nextCursor: string|null}>}
  */
-function getSqliteDb() {
-	console.warn('getSqliteDb() is deprecated - this project only uses PostgreSQL');
-	return null;
+async function getSessionsPage(options = {}) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+	const {limit = 50} = options;
+	const {sessions, rows} = await querySessions({...options, offset: 0, limit: limit + 1});
+	if (sessions.length <= limit) {
+		return {sessions, nextCursor: null};
+	}
+	const lastRow = rows[limit - 1];
+	return {
+		sessions: sessions.slice(0, limit),
+		nextCursor: encodeCursor({lastEvent: lastRow.last_event_key, sessionId: lastRow.logical_session_id})
+	};
 }
 
 /**
- * Get top users by event volume for the last N days (rolling window)
- * @param {number} limit - Maximum number of users to return (default 50)
- * @param {number} days - Number of days to look back (default 3)
- * @returns {Promise<Array<{id: string, label: string, eventCount: number}>>}
+ * Delete a single event by ID
+ * @param {number} id - Event ID
+ * @returns {Promise<boolean>} True if event was deleted, false if not found
  */
-async function getTopUsersLastDays(limit = 50, days = 3) {
+async function deleteEvent(id) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const safeLimit = Math.min(Math.max(1, Number.isFinite(limit) ? Math.floor(limit) : 50), 500);
-	const safeDays = Math.min(Math.max(1, Number.isFinite(days) ? Math.floor(days) : 3), 365);
-	const results = [];
-
-	const aggregated = await db.query(
-		`
-			WITH aggregated AS (
-				SELECT user_id, COUNT(*) AS event_count
-				FROM telemetry_events
-				WHERE created_at >= (NOW() - ($2 || ' days')::interval)
-					AND user_id IS NOT NULL
-					AND TRIM(user_id) != ''
-					AND deleted_at IS NULL
-				GROUP BY user_id
-				ORDER BY event_count DESC, user_id ASC
-				LIMIT $1
-			)
-			SELECT a.user_id,
-			       a.event_count,
-			       (
-			         SELECT data
-			         FROM telemetry_events e
-			         WHERE e.user_id = a.user_id
-			           AND e.created_at >= (NOW() - ($2 || ' days')::interval)
-			           AND e.deleted_at IS NULL
-			         ORDER BY e.created_at DESC
-			         LIMIT 1
-			       ) AS data
-			FROM aggregated a
-			ORDER BY a.event_count DESC, a.user_id ASC
-		`,
-		[safeLimit, String(safeDays)]
-	);
+	// Check if event exists and is not already deleted
+	const checkResult = await db.query('SELECT id FROM telemetry_events WHERE id = $1 AND deleted_at IS NULL', [id]);
+	const existingEvent = checkResult.rows[0];
 
-	aggregated.rows.forEach(row => {
-		results.push({
-			id: row.user_id,
-			label: buildUserLabel(row.user_id, row.data),
-			eventCount: Number(row.event_count) || 0
-		});
-	});
+	if (!existingEvent) {
+		return false; // Event not found or already deleted
+	}
 
-	return results;
+	const result = await db.query('UPDATE telemetry_events SET deleted_at = NOW() WHERE id = $1', [id]);
+	return result.rowCount > 0;
 }
 
 /**
- * Get top teams by event count in the last N days based on org-team mapping
- * @param {Array} orgTeamMappings - Array of {orgIdentifier, clientName, teamName, color, active}
- * @param {number} limit - Maximum number of teams to return (default: 50)
- * @param {number} days - Number of days to look back (default: 3)
- * @returns {Promise<Array>} Array of {id, label, eventCount, clientName, color} objects
+ * Soft delete all events from the database (move to trash)
+ * @returns {Promise<number>} Number of soft deleted events
  */
-async function getTopTeamsLastDays(orgTeamMappings = [], limit = 50, days = 3) {
+async function deleteAllEvents() {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const mappingsFromRequest = Array.isArray(orgTeamMappings) ? orgTeamMappings : [];
-	const effectiveMappings = mappingsFromRequest.length > 0 ? mappingsFromRequest : await getOrgTeamMappingsFromTeamsTable();
+	const result = await db.query('UPDATE telemetry_events SET deleted_at = NOW() WHERE deleted_at IS NULL');
+	return result.rowCount;
+}
 
-	if (!effectiveMappings || effectiveMappings.length === 0) {
-		return [];
+/**
+ * Soft delete all events for a specific session (move to trash)
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<number>} Number of soft deleted events
+ */
+async function deleteEventsBySession(sessionId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const safeLimit = Math.min(Math.max(1, Number.isFinite(limit) ? Math.floor(limit) : 50), 500);
-	const safeDays = Math.min(Math.max(1, Number.isFinite(days) ? Math.floor(days) : 3), 365);
-
-	const normalizeOrgId = (orgId) => String(orgId || '').trim().toLowerCase();
-	const normalizeTeamKey = (teamName) => String(teamName || '').trim().toLowerCase();
+	if (!sessionId) {
+		throw new Error('Session ID is required to delete events by session');
+	}
 
-	// Build lookups so multiple orgs that point to the same team name are grouped
-	const orgToTeamKey = new Map(); // normalized org id -> normalized team key
-	const teamAggregates = new Map(); // normalized team key -> aggregate info
-	if (Array.isArray(effectiveMappings)) {
-		effectiveMappings.forEach(mapping => {
-			const isActive = mapping?.active !== false;
-			const rawTeamName = String(mapping?.teamName || '').trim();
-			const originalOrgId = String(mapping?.orgIdentifier || '').trim();
-			const normalizedOrgId = normalizeOrgId(originalOrgId);
-			if (!isActive || !rawTeamName || !normalizedOrgId) {
-				return;
-			}
+	// Detect pseudo-session: user-only session (format: user_<userId>_<date>)
+	const userSessionMatch = /^user_(?<userId>.+)_(?<date>\d{4}-\d{2}-\d{2})$/.exec(sessionId);
+	if (userSessionMatch) {
+		const userId = userSessionMatch.groups.userId;
+		const date = userSessionMatch.groups.date;
+		const result = await db.query('UPDATE telemetry_events SET deleted_at = NOW() WHERE user_id = $1 AND DATE(timestamp) = $2 AND session_id IS NULL AND parent_session_id IS NULL AND deleted_at IS NULL', [userId, date]);
+		return result.rowCount;
+	}
 
-			const teamKey = normalizeTeamKey(rawTeamName);
-			if (!teamAggregates.has(teamKey)) {
-				teamAggregates.set(teamKey, {
-					key: teamKey,
-					teamName: rawTeamName,
-					color: String(mapping?.color || '').trim(),
-					teamId: mapping?.teamId || null,
-					hasLogo: Boolean(mapping?.hasLogo),
-					logoUrl: String(mapping?.logoUrl || '').trim(),
-					clients: new Set(),
-					orgIds: new Set(),
-					orgDisplayNames: new Map(),
-					activeOrgDisplayNames: new Set(),
-					eventCount: 0
-				});
-			}
+	// Normal session logic
+	const result = await db.query('UPDATE telemetry_events SET deleted_at = NOW() WHERE (parent_session_id = $1 OR (parent_session_id IS NULL AND session_id = $1)) AND deleted_at IS NULL', [sessionId]);
+	return result.rowCount;
+}
 
-			const entry = teamAggregates.get(teamKey);
-			entry.orgIds.add(normalizedOrgId);
-			orgToTeamKey.set(normalizedOrgId, teamKey);
+/**
+ * Get daily event counts for the last N days
+ * @param {number} days - Number of days to retrieve (default: 30)
+ * @returns {Array} Array of {date, count} objects
+ */
+async function getDailyStats(days = 30) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
 
-			if (!entry.teamId && mapping?.teamId) {
-				entry.teamId = mapping.teamId;
-			}
-			const mappingHasLogo = Boolean(mapping?.hasLogo);
-			if (mappingHasLogo && !entry.hasLogo) {
-				entry.hasLogo = true;
-			}
-			if (mapping?.logoUrl && !entry.logoUrl) {
-				entry.logoUrl = String(mapping.logoUrl).trim();
-			}
+	// Always include today's data by building the range backwards from today (UTC)
+	const rangeDays = Math.max(1, Number.isFinite(days) ? Math.floor(days) : 30);
+	const now = new Date();
+	const startDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+	startDate.setUTCDate(startDate.getUTCDate() - (rangeDays - 1));
+	const startDay = startDate.toISOString().split('T')[0];
 
-			const clientName = String(mapping?.clientName || '').trim();
-			if (clientName) {
-				entry.clients.add(clientName);
-			}
+	// Read from the daily rollup (UTC days of the event timestamp, soft deleted events excluded)
+	const result = await db.query(`
+			SELECT
+				to_char(day, 'YYYY-MM-DD') as date,
+				SUM(event_count) as count
+			FROM telemetry_rollup_daily
+			WHERE day >= $1::date
+			GROUP BY day
+			ORDER BY day ASC
+		`, [startDay]);
 
-			const displayLabel = clientName || originalOrgId || normalizedOrgId;
-			if (displayLabel && !entry.orgDisplayNames.has(normalizedOrgId)) {
-				entry.orgDisplayNames.set(normalizedOrgId, displayLabel);
-			}
+	// Fill in missing days with 0 counts
+	const dateMap = new Map();
+	result.rows.forEach(row => {
+		dateMap.set(row.date, Number.parseInt(row.count, 10));
+	});
 
-			if (!entry.color && mapping?.color) {
-				entry.color = String(mapping.color).trim();
-			}
+	const filledResults = [];
+	for (let i = 0; i < rangeDays; i++) {
+		const date = new Date(startDate);
+		date.setUTCDate(date.getUTCDate() + i);
+		const dateStr = date.toISOString().split('T')[0];
+		filledResults.push({
+			date: dateStr,
+			count: dateMap.get(dateStr) || 0
 		});
 	}
 
-	// If there are no active mappings we can return early and avoid a full scan
-	if (teamAggregates.size === 0 || orgToTeamKey.size === 0) {
-		return [];
-	}
-
-	const results = [];
-	const orgIdCounts = new Map();
+	return filledResults;
 
-	// Use denormalized org_id column for faster queries
-	const aggregated = await db.query(
-		`
-			SELECT org_id, COUNT(*) AS event_count
-			FROM telemetry_events
-			WHERE created_at >= (NOW() - ($1 || ' days')::interval)
-				AND org_id IS NOT NULL
-				AND org_id != ''
-				AND deleted_at IS NULL
-			GROUP BY org_id
-			ORDER BY event_count DESC, org_id ASC
-		`,
-		[String(safeDays)]
-	);
+}
 
-	aggregated.rows.forEach(row => {
-		const orgId = row.org_id;
-		if (orgId) {
-			orgIdCounts.set(orgId, Number.parseInt(row.event_count, 10) || 0);
-		}
-	});
+/**
+ * Get daily event counts separated by event type for the last N days
+ * Returns two series: start sessions without end, and tool events
+ * @param {number} days - Number of days to retrieve (default: 30)
+ * @returns {Array} Array of {date, startSessionsWithoutEnd, toolEvents} objects
+ */
+async function getDailyStatsByEventType(days = 30) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
 
-	// Convert to array and sort by count
-	const sortedOrgs = Array.from(orgIdCounts.entries())
-		.map(([orgId, count]) => ({orgId, count}))
-		.sort((a, b) => {
-			if (b.count !== a.count) {
-				return b.count - a.count;
-			}
-			return a.orgId.localeCompare(b.orgId);
-		});
+	// Always include today's data by building the range backwards from today (UTC)
+	const rangeDays = Math.max(1, Number.isFinite(days) ? Math.floor(days) : 30);
+	const now = new Date();
+	const startDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+	startDate.setUTCDate(startDate.getUTCDate() - (rangeDays - 1));
+	const startDay = startDate.toISOString().split('T')[0];
 
-	// Map to team info and add to results
-	sortedOrgs.forEach(({orgId, count}) => {
-		const normalizedOrgId = normalizeOrgId(orgId);
-		const teamKey = orgToTeamKey.get(normalizedOrgId);
-		if (!teamKey) {
-			return;
-		}
-		const teamEntry = teamAggregates.get(teamKey);
-		if (teamEntry) {
-			teamEntry.eventCount += count;
-			const orgDisplayValue = teamEntry.orgDisplayNames.get(normalizedOrgId) || orgId;
-			if (orgDisplayValue) {
-				teamEntry.activeOrgDisplayNames.add(orgDisplayValue);
-			}
-		}
+	// Session starts, tool events (tool_call and tool_error) and error events (tool_error only) per day, from the daily rollup
+	const result = await db.query(`
+			SELECT
+				to_char(day, 'YYYY-MM-DD') as date,
+				SUM(event_count) FILTER (WHERE event = 'session_start') as session_starts,
+				SUM(event_count) FILTER (WHERE event IN ('tool_call', 'tool_error')) as tool_events,
+				SUM(event_count) FILTER (WHERE event = 'tool_error') as error_events
+			FROM telemetry_rollup_daily
+			WHERE day >= $1::date
+				AND event IN ('session_start', 'tool_call', 'tool_error')
+			GROUP BY day
+		`, [startDay]);
+
+	// Session starts are counted regardless of whether the session has an end
+	const startSessionsMap = new Map();
+	const toolEventsMap = new Map();
+	const errorEventsMap = new Map();
+	result.rows.forEach(row => {
+		startSessionsMap.set(row.date, Number.parseInt(row.session_starts, 10) || 0);
+		toolEventsMap.set(row.date, Number.parseInt(row.tool_events, 10) || 0);
+		errorEventsMap.set(row.date, Number.parseInt(row.error_events, 10) || 0);
 	});
 
-	// Convert aggregates to sorted array and apply limit
-	Array.from(teamAggregates.values()).forEach(teamEntry => {
-		if (teamEntry.eventCount <= 0) {
-			return;
-		}
-		const clients = Array.from(teamEntry.clients);
-		const orgNames = Array.from(teamEntry.activeOrgDisplayNames)
-			.map(name => String(name || '').trim())
-			.filter(name => name.length > 0);
-		results.push({
-			id: teamEntry.key,
-			label: teamEntry.teamName,
-			clientName: clients.join(' · '),
-			orgs: orgNames,
-			color: teamEntry.color,
-			eventCount: teamEntry.eventCount,
-			teamId: teamEntry.teamId,
-			hasLogo: Boolean(teamEntry.hasLogo),
-			logoUrl: teamEntry.logoUrl || ''
+	// Fill in missing days with 0 counts
+	const filledResults = [];
+	for (let i = 0; i < rangeDays; i++) {
+		const date = new Date(startDate);
+		date.setUTCDate(date.getUTCDate() + i);
+		const dateStr = date.toISOString().split('T')[0];
+		filledResults.push({
+			date: dateStr,
+			startSessionsWithoutEnd: startSessionsMap.get(dateStr) || 0,
+			toolEvents: toolEventsMap.get(dateStr) || 0,
+			errorEvents: errorEventsMap.get(dateStr) || 0
 		});
-	});
+	}
+
+	return filledResults;
 
-	return results
-		.sort((a, b) => {
-			if (b.eventCount !== a.eventCount) {
-				return b.eventCount - a.eventCount;
-			}
-			return a.label.localeCompare(b.label);
-		})
-		.slice(0, safeLimit);
 }
 
 /**
- * Build org -> team mappings from the teams/orgs tables as a fallback when
- * no explicit mappings are provided by the client.
+ * Get database size in bytes
+ * @returns {Promise<{size: number, maxSize: number|null}|null>} Database size info, or null if not available
  */
-async function getOrgTeamMappingsFromTeamsTable() {
+async function getDatabaseSize() {
 	if (!db) {
-		return [];
+		throw new Error('Database not initialized. Call init() first.');
 	}
 
 	try {
-		const {rows} = await db.query(`
-        SELECT
-          o.server_id AS org_id,
-          COALESCE(o.company_name, o.alias, '') AS client_name,
-          t.id AS team_id,
-          t.name AS team_name,
-          t.color AS team_color,
-          t.logo_mime AS team_logo_mime
-        FROM orgs o
-        JOIN teams t ON t.id = o.team_id
-        WHERE o.server_id IS NOT NULL
-          AND btrim(o.server_id) <> ''
-      `);
-
-		return rows
-			.filter(row => row.org_id && row.team_name)
-			.map(row => ({
-				orgIdentifier: row.org_id,
-				clientName: row.client_name || '',
-				teamId: row.team_id || null,
-				teamName: row.team_name,
-				color: row.team_color || '',
-				hasLogo: Boolean(row.team_logo_mime && String(row.team_logo_mime).trim() !== ''),
-				logoUrl: row.team_id && row.team_logo_mime ? `/api/teams/${row.team_id}/logo` : '',
-				active: true
-			}));
-	} catch (error) {
-		console.error('Error building org-team mappings from teams table:', error);
-	}
+		let size = null;
+		// PostgreSQL: use pg_database_size function
+		const result = await db.query(
+			'SELECT pg_database_size(current_database()) as size'
+		);
+		size = result.rows[0]?.size || null;
 
-	return [];
-}
+		if (size === null) {
+			return null;
+		}
 
-/**
- * Convert any timestamp-ish input to ISO string for consistent ordering
- */
-function normalizeStatsTimestamp(value) {
-	if (!value) {
-		return null;
-	}
-	if (value instanceof Date) {
-		return value.toISOString();
-	}
-	try {
-		const date = new Date(value);
-		return Number.isNaN(date.getTime()) ? null : date.toISOString();
-	} catch {
+		// Get max size from environment variable (in bytes) if set, otherwise use default
+		const maxSize = process.env.DB_MAX_SIZE ? Number.parseInt(process.env.DB_MAX_SIZE, 10) : DEFAULT_MAX_DB_SIZE;
+
+		return {
+			size: size,
+			maxSize: maxSize
+		};
+	} catch (error) {
+		console.error('Error getting database size:', error);
 		return null;
 	}
 }
 
-async function upsertUserEventStats(userId, eventTimestamp, displayName = null) {
-	if (!db || !userId) {
-		return;
+async function deleteAllDeletedEvents() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
 	}
-	const normalizedTimestamp = normalizeStatsTimestamp(eventTimestamp) || new Date().toISOString();
 
-	await db.query(
-		`
-        INSERT INTO user_event_stats (user_id, event_count, last_event, display_name)
-        VALUES ($1, 1, $2, $3)
-        ON CONFLICT (user_id) DO UPDATE SET
-          event_count = user_event_stats.event_count + 1,
-          last_event = CASE
-            WHEN EXCLUDED.last_event IS NOT NULL
-                 AND (user_event_stats.last_event IS NULL OR EXCLUDED.last_event > user_event_stats.last_event)
-            THEN EXCLUDED.last_event
-            ELSE user_event_stats.last_event
-          END,
-          display_name = COALESCE(EXCLUDED.display_name, user_event_stats.display_name)
-      `,
-		[userId, normalizedTimestamp, displayName || null]
-	);
+	try {
+		const result = await db.query('DELETE FROM telemetry_events WHERE deleted_at IS NOT NULL RETURNING id');
+		return result.rowCount;
+	} catch (error) {
+		console.error('Error deleting all deleted events:', error);
+		throw error;
+	}
 }
 
-async function upsertOrgEventStats(orgId, eventTimestamp) {
-	if (!db || !orgId) {
-		return;
+async function deleteAllTeams() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
 	}
-	const normalizedTimestamp = normalizeStatsTimestamp(eventTimestamp) || new Date().toISOString();
 
-	await db.query(
-		`
-        INSERT INTO org_event_stats (org_id, event_count, last_event)
-        VALUES ($1, 1, $2)
-        ON CONFLICT (org_id) DO UPDATE SET
-          event_count = org_event_stats.event_count + 1,
-          last_event = CASE
-            WHEN EXCLUDED.last_event IS NOT NULL
-                 AND (org_event_stats.last_event IS NULL OR EXCLUDED.last_event > org_event_stats.last_event)
-            THEN EXCLUDED.last_event
-            ELSE org_event_stats.last_event
-          END
-      `,
-		[orgId, normalizedTimestamp]
-	);
+	try {
+		const result = await db.query('DELETE FROM teams RETURNING id');
+		return result.rowCount;
+	} catch (error) {
+		console.error('Error deleting all teams:', error);
+		throw error;
+	}
 }
 
-async function updateAggregatedStatsForEvent(userId, orgId, eventTimestamp, displayName = null) {
-	const tasks = [];
-	if (userId) {
-		tasks.push(upsertUserEventStats(userId, eventTimestamp, displayName));
-	}
-	if (orgId) {
-		tasks.push(upsertOrgEventStats(orgId, eventTimestamp));
+async function deleteAllOrgs() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
 	}
-	if (tasks.length > 0) {
-		await Promise.all(tasks);
+
+	try {
+		const result = await db.query('DELETE FROM orgs RETURNING server_id');
+		return result.rowCount;
+	} catch (error) {
+		console.error('Error deleting all orgs:', error);
+		throw error;
 	}
 }
 
-async function recomputeUserEventStats(userIds = []) {
+async function deleteAllUserEventStats() {
 	if (!db) {
-		return;
-	}
-	const uniqueIds = Array.from(new Set((userIds || []).filter(id => typeof id === 'string' && id.trim() !== '')));
-	if (uniqueIds.length === 0) {
-		return;
+		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	for (const userId of uniqueIds) {
-		const {rows} = await db.query(
-			`
-				SELECT
-					COUNT(*) AS event_count,
-					MAX(timestamp) AS last_event,
-					(
-						SELECT user_name
-						FROM telemetry_events te2
-						WHERE te2.user_id = $1
-							AND te2.user_name IS NOT NULL
-							AND TRIM(te2.user_name) != ''
-						ORDER BY te2.timestamp DESC
-						LIMIT 1
-					) AS display_name
-				FROM telemetry_events
-				WHERE user_id = $1
-			`,
-			[userId]
-		);
-		const stats = rows[0] || {};
-		const count = Number.parseInt(stats.event_count, 10) || 0;
-		if (count === 0) {
-			await db.query('DELETE FROM user_event_stats WHERE user_id = $1', [userId]);
-			continue;
-		}
-		await db.query(
-			`
-				INSERT INTO user_event_stats (user_id, event_count, last_event, display_name)
-				VALUES ($1, $2, $3, $4)
-				ON CONFLICT (user_id) DO UPDATE SET
-					event_count = EXCLUDED.event_count,
-					last_event = EXCLUDED.last_event,
-					display_name = COALESCE(EXCLUDED.display_name, user_event_stats.display_name)
-			`,
-			[userId, count, stats.last_event || null, stats.display_name || null]
-		);
+	try {
+		const result = await db.query('DELETE FROM user_event_stats RETURNING user_id');
+		return result.rowCount;
+	} catch (error) {
+		console.error('Error deleting all user event stats:', error);
+		throw error;
 	}
 }
 
-async function recomputeOrgEventStats(orgIds = []) {
+async function deleteAllOrgEventStats() {
 	if (!db) {
-		return;
-	}
-	const uniqueIds = Array.from(new Set((orgIds || []).filter(id => typeof id === 'string' && id.trim() !== '')));
-	if (uniqueIds.length === 0) {
-		return;
+		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	for (const orgId of uniqueIds) {
-			const {rows} = await db.query(
-				`
-          SELECT
-            COUNT(*) AS event_count,
-            MAX(timestamp) AS last_event
-          FROM telemetry_events
-          WHERE org_id = $1
-        `,
-				[orgId]
-			);
-			const stats = rows[0] || {};
-			const count = Number.parseInt(stats.event_count, 10) || 0;
-			if (count === 0) {
-				await db.query('DELETE FROM org_event_stats WHERE org_id = $1', [orgId]);
-				continue;
-			}
-			await db.query(
-				`
-          INSERT INTO org_event_stats (org_id, event_count, last_event)
-          VALUES ($1, $2, $3)
-          ON CONFLICT (org_id) DO UPDATE SET
-            event_count = EXCLUDED.event_count,
-            last_event = EXCLUDED.last_event
-        `,
-				[orgId, count, stats.last_event || null]
-			);
-		}
+	try {
+		const result = await db.query('DELETE FROM org_event_stats RETURNING org_id');
+		return result.rowCount;
+	} catch (error) {
+		console.error('Error deleting all org event stats:', error);
+		throw error;
 	}
+}
 
-
-async function getUserEventStats(options = {}) {
-	const {limit, offset} = options;
+async function deleteAllPeople() {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	let query = `
-    SELECT user_id, display_name, event_count, last_event
-    FROM user_event_stats
-    ORDER BY
-      CASE WHEN last_event IS NULL THEN 1 ELSE 0 END,
-      last_event DESC,
-      user_id ASC
-  `;
-	const params = [];
-	if (limit) {
-		query += ' LIMIT $1';
-		params.push(limit);
-	}
-	if (offset) {
-		query += ` OFFSET $${params.length + 1}`;
-		params.push(offset);
+	try {
+		const result = await db.query('DELETE FROM people RETURNING id');
+		return result.rowCount;
+	} catch (error) {
+		console.error('Error deleting all people:', error);
+		throw error;
 	}
-	const {rows} = await db.query(query, params);
-	return rows.map(row => ({
-		id: row.user_id,
-		label: (row.display_name || row.user_id || '').trim() || row.user_id || '',
-		eventCount: Number(row.event_count) || 0,
-		lastEvent: row.last_event || null
-	})).filter(entry => entry.id);
 }
 
-async function getOrgStatsMap() {
+async function deleteAllTeamEventUsers() {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const statsMap = new Map();
-	const {rows} = await db.query('SELECT org_id, event_count, last_event FROM org_event_stats');
-	rows.forEach(row => {
-		if (row.org_id) {
-			statsMap.set(String(row.org_id).trim().toLowerCase(), {
-				orgId: row.org_id,
-				eventCount: Number(row.event_count) || 0,
-				lastEvent: row.last_event || null
-			});
-		}
-	});
-	return statsMap;
+	try {
+		const result = await db.query('DELETE FROM team_event_users RETURNING id');
+		return result.rowCount;
+	} catch (error) {
+		console.error('Error deleting all team event users:', error);
+		throw error;
+	}
 }
 
+
 /**
- * Aggregate team stats using org -> team mappings and org_event_stats totals.
- * Only active mappings contribute to event counts.
+ * Close database connection
  */
-async function getTeamStats(orgTeamMappings = []) {
-	const normalizeTeamKey = (value) => String(value || '').trim().toLowerCase();
-	const normalizeOrgId = (value) => String(value || '').trim().toLowerCase();
-
-	const mappingsFromRequest = Array.isArray(orgTeamMappings) ? orgTeamMappings : [];
-	const effectiveMappings = mappingsFromRequest.length > 0 ? mappingsFromRequest : await getOrgTeamMappingsFromTeamsTable();
+async function close() {
+	if (db) {
+		await db.end();
+		db = null;
+	}
+}
 
-	if (!effectiveMappings || effectiveMappings.length === 0) {
-		return [];
+/**
+ * Get tool usage statistics
+ * @param {number} days - Number of days to look back (default: 30)
+ * @returns {Promise<Array>} Array of tool usage statistics with successful calls and errors
+ */
+async function getToolUsageStats(days = 30) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const orgStats = await getOrgStatsMap();
-	const teamsMap = new Map();
+	const rangeDays = Math.min(Math.max(1, Number.isFinite(days) ? days : 30), 365);
+	const startDate = new Date();
+	startDate.setUTCDate(startDate.getUTCDate() - (rangeDays - 1));
+	const startDateISO = startDate.toISOString();
 
-	if (Array.isArray(effectiveMappings)) {
-		effectiveMappings.forEach(mapping => {
-			const rawTeamName = String(mapping?.teamName || '').trim();
-			const rawOrgId = normalizeOrgId(mapping?.orgIdentifier);
-			const clientName = String(mapping?.clientName || '').trim();
-			const color = String(mapping?.color || '').trim();
-			const isActive = mapping?.active !== false;
+	try {
+		// Read from the daily rollup (whole UTC days, starting with the first day of the range)
+		const result = await db.query(`
+			SELECT
+				tool_name as tool,
+				SUM(event_count) FILTER (WHERE event = 'tool_call') as successful,
+				SUM(event_count) FILTER (WHERE event = 'tool_error') as errors
+			FROM telemetry_rollup_daily
+			WHERE day >= $1::date
+				AND event IN ('tool_call', 'tool_error')
+				AND tool_name IS NOT NULL
+				AND tool_name != ''
+			GROUP BY tool_name
+			ORDER BY SUM(event_count) DESC
+			LIMIT 6
+		`, [startDateISO.split('T')[0]]);
 
-			if (!rawTeamName || !rawOrgId) {
-				return;
-			}
+		return result.rows.map(row => ({
+			tool: row.tool,
+			successful: Number.parseInt(row.successful, 10) || 0,
+			errors: Number.parseInt(row.errors, 10) || 0
+		}));
+	} catch (error) {
+		console.warn('Error querying telemetry_rollup_daily, falling back to JSON extraction:', error.message);
 
-			const teamKey = normalizeTeamKey(rawTeamName);
-			if (!teamsMap.has(teamKey)) {
-				teamsMap.set(teamKey, {
-					key: teamKey,
-					teamName: rawTeamName,
-					color: color,
-					teamId: mapping?.teamId || null,
-					hasLogo: Boolean(mapping?.hasLogo),
-					logoUrl: String(mapping?.logoUrl || '').trim(),
-					clients: new Set(),
-					orgs: new Set(),
-					activeCount: 0,
-					inactiveCount: 0,
-					eventCount: 0
+		// Fallback: extract tool names from JSON data
+		const result = await db.query(`
+			SELECT
+				COALESCE(data->>'toolName', data->>'tool') as tool_name,
+				event,
+				COUNT(*) as count
+			FROM telemetry_events
+			WHERE timestamp >= $1 AND event IN ('tool_call', 'tool_error')
+				AND (data->>'toolName' IS NOT NULL OR data->>'tool' IS NOT NULL)
+				AND (data->>'toolName' != '' OR data->>'tool' != '')
+			GROUP BY COALESCE(data->>'toolName', data->>'tool'), event
+		`, [startDateISO]);
+
+		// Aggregate by tool name
+		const toolStats = new Map();
+		result.rows.forEach(row => {
+			const toolName = String(row.tool_name).trim();
+			if (!toolName) { return; }
+
+			if (!toolStats.has(toolName)) {
+				toolStats.set(toolName, {
+					tool: toolName,
+					successful: 0,
+					errors: 0
 				});
 			}
 
-			const entry = teamsMap.get(teamKey);
-			entry.orgs.add(rawOrgId);
-			if (clientName) {
-				entry.clients.add(clientName);
-			}
-			if (!entry.color && color) {
-				entry.color = color;
-			}
-			if (!entry.teamId && mapping?.teamId) {
-				entry.teamId = mapping.teamId;
-			}
-			if (mapping?.hasLogo && !entry.hasLogo) {
-				entry.hasLogo = true;
-			}
-			if (mapping?.logoUrl && !entry.logoUrl) {
-				entry.logoUrl = String(mapping.logoUrl).trim();
-			}
-			if (isActive) {
-				entry.activeCount += 1;
-			} else {
-				entry.inactiveCount += 1;
+			const stat = toolStats.get(toolName);
+			const count = Number.parseInt(row.count, 10) || 0;
+
+			if (row.event === 'tool_call') {
+				stat.successful += count;
+			} else if (row.event === 'tool_error') {
+				stat.errors += count;
 			}
 		});
-	}
-
-	// Apply event counts based on org stats and only active mappings
-	orgStats.forEach((stats, orgKey) => {
-		effectiveMappings
-			.filter(mapping => mapping?.active !== false && normalizeOrgId(mapping?.orgIdentifier) === orgKey)
-			.forEach(mapping => {
-				const teamKey = normalizeTeamKey(mapping.teamName);
-				const entry = teamsMap.get(teamKey);
-				if (entry) {
-					entry.eventCount += stats.eventCount;
-				}
-			});
-	});
 
-	return Array.from(teamsMap.values())
-		.map(entry => ({
-			...entry,
-			clients: Array.from(entry.clients),
-			orgs: Array.from(entry.orgs),
-			totalMappings: entry.activeCount + entry.inactiveCount
-		}))
-		.sort((a, b) => a.teamName.localeCompare(b.teamName));
+		// Convert to array and sort by total usage
+		return Array.from(toolStats.values())
+			.sort((a, b) => (b.successful + b.errors) - (a.successful + a.errors))
+			.slice(0, 6);
+	}
 }
 
 /**
- * Get a setting value by key
- * @param {string} key - The setting key
- * @returns {string|null} - The setting value or null if not found
+ * Get latency percentiles, call volume and error rate per tool, broken down by server version
+ * Durations come from the duration_ms column; rows stored before it existed fall back to the payload
+ * (v3 durationMs or v1/v2 data.duration)
+ * @param {object} options - Query options
+ * @param {number} options.days - Window in days (1-365)
+ * @param {string|null} options.tool - Restrict to a single tool name
+ * @param {number} options.limit - Maximum number of tools (sorted by call volume)
+ * @returns {Promise<{tools: Array<object>, versions: Array<object>}>} Per-tool totals and per-tool/version breakdown
  */
-async function getSetting(key) {
+async function getToolPerformanceStats({days = 7, tool = null, limit = 20} = {}) {
 	if (!db) {
-		return null;
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const rangeDays = Math.min(Math.max(1, Number.isFinite(days) ? days : 7), 365);
+	const maxTools = Math.min(Math.max(1, Number.isFinite(limit) ? limit : 20), 100);
+	const startDate = new Date();
+	startDate.setUTCDate(startDate.getUTCDate() - (rangeDays - 1));
+
+	const params = [startDate.toISOString()];
+	let toolFilter = '';
+	if (tool) {
+		params.push(tool);
+		toolFilter = `AND tool_name = $${params.length}`;
 	}
 
 	try {
-		const result = await db.query('SELECT value FROM settings WHERE key = $1', [key]);
-		return result.rows.length > 0 ? result.rows[0].value : null;
+		const result = await db.query(`
+			WITH calls AS (
+				SELECT
+					tool_name AS tool,
+					version,
+					(event = 'tool_error' OR success IS FALSE) AS is_error,
+					COALESCE(
+						duration_ms::numeric,
+						CASE
+							WHEN jsonb_typeof(data->'durationMs') = 'number' THEN (data->>'durationMs')::numeric
+							WHEN jsonb_typeof(data->'data'->'duration') = 'number' THEN (data->'data'->>'duration')::numeric
+						END
+					) AS duration
+				FROM telemetry_events
+				WHERE timestamp >= $1
+					AND event IN ('tool_call', 'tool_error')
+					AND tool_name IS NOT NULL
+					AND tool_name != ''
+					AND deleted_at IS NULL
+					${toolFilter}
+			)
+			SELECT
+				tool,
+				version,
+				GROUPING(version) AS is_total,
+				COUNT(*) AS calls,
+				COUNT(*) FILTER (WHERE is_error) AS errors,
+				COUNT(duration) AS timed_calls,
+				percentile_cont(0.5) WITHIN GROUP (ORDER BY duration) AS p50,
+				percentile_cont(0.9) WITHIN GROUP (ORDER BY duration) AS p90,
+				percentile_cont(0.99) WITHIN GROUP (ORDER BY duration) AS p99
+			FROM calls
+			GROUP BY GROUPING SETS ((tool), (tool, version))
+		`, params);
+
+		const toStats = row => {
+			const calls = Number.parseInt(row.calls, 10) || 0;
+			const errors = Number.parseInt(row.errors, 10) || 0;
+			const percentile = value => (value === null || value === undefined ? null : Math.round(Number(value)));
+			return {
+				tool: row.tool,
+				calls,
+				errors,
+				errorRate: calls > 0 ? errors / calls : 0,
+				timedCalls: Number.parseInt(row.timed_calls, 10) || 0,
+				p50: percentile(row.p50),
+				p90: percentile(row.p90),
+				p99: percentile(row.p99)
+			};
+		};
+
+		const tools = result.rows
+			.filter(row => Number(row.is_total) === 1)
+			.map(toStats)
+			.sort((a, b) => b.calls - a.calls)
+			.slice(0, maxTools);
+		const includedTools = new Set(tools.map(stat => stat.tool));
+
+		// Newest server version first within each tool
+		const versions = result.rows
+			.filter(row => Number(row.is_total) === 0 && includedTools.has(row.tool))
+			.map(row => ({...toStats(row), version: row.version || null}))
+			.sort((a, b) => {
+				if (a.tool !== b.tool) {
+					return a.tool.localeCompare(b.tool);
+				}
+				if (!a.version || !b.version) {
+					return a.version ? -1 : (b.version ? 1 : 0);
+				}
+				return b.version.localeCompare(a.version, undefined, {numeric: true});
+			});
+
+		return {tools, versions};
 	} catch (error) {
-		console.error(`Error getting setting ${key}:`, error);
-		return null;
+		console.error('Error getting tool performance stats:', error);
+		throw error;
 	}
 }
 
 /**
- * Save a setting value by key
- * @param {string} key - The setting key
- * @param {string} value - The setting value
+ * Error group functions
  */
-async function saveSetting(key, value) {
+
+/**
+ * Map an error_groups row to the API representation
+ * @param {object} row - error_groups row
+ * @returns {object} Error group
+ */
+function mapErrorGroupRow(row) {
+	return {
+		id: row.id,
+		fingerprint: row.fingerprint,
+		toolName: row.tool_name,
+		normalizedMessage: row.normalized_message,
+		sampleMessage: row.sample_message,
+		firstSeen: row.first_seen,
+		lastSeen: row.last_seen,
+		count: Number.parseInt(row.event_count, 10) || 0,
+		affectedUsers: row.affected_users,
+		affectedOrgs: row.affected_orgs,
+		lastVersion: row.last_version,
+		status: row.status,
+		resolvedAt: row.resolved_at,
+		resolvedBy: row.resolved_by,
+		resolvedInVersion: row.resolved_in_version,
+		reopenedAt: row.reopened_at,
+		reopenCount: row.reopen_count
+	};
+}
+
+/**
+ * Fingerprint tool errors stored before error grouping existed and add them to their groups
+ * Processes rows in batches; safe to run repeatedly (only rows without a fingerprint are read)
+ * @param {number} batchSize - Rows per batch
+ * @returns {Promise<number>} Number of events fingerprinted
+ */
+async function backfillErrorFingerprints(batchSize = 1000) {
 	if (!db) {
-		return;
+		throw new Error('Database not initialized. Call init() first.');
 	}
 
+	let processed = 0;
 	try {
-		await db.query(`
-			INSERT INTO settings (key, value, updated_at)
-			VALUES ($1, $2, NOW())
-			ON CONFLICT (key)
-			DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
-		`, [key, value]);
+		for (;;) {
+			const result = await db.query(
+				`SELECT id, tool_name, error_message, timestamp, version
+				FROM telemetry_events
+				WHERE event = 'tool_error' AND error_fingerprint IS NULL AND deleted_at IS NULL
+				ORDER BY id
+				LIMIT $1`,
+				[batchSize]
+			);
+			if (result.rows.length === 0) {
+				break;
+			}
+
+			const occurrences = result.rows.map(row => {
+				const {fingerprint, normalizedMessage} = computeErrorFingerprint(row.tool_name, row.error_message);
+				return {
+					id: row.id,
+					fingerprint,
+					normalizedMessage,
+					toolName: row.tool_name || null,
+					message: row.error_message || null,
+					timestamp: new Date(row.timestamp).toISOString(),
+					version: row.version || null
+				};
+			});
+			await db.query(
+				`UPDATE telemetry_events t
+				SET error_fingerprint = u.fingerprint
+				FROM UNNEST($1::int[], $2::text[]) AS u(id, fingerprint)
+				WHERE t.id = u.id`,
+				[occurrences.map(occurrence => occurrence.id), occurrences.map(occurrence => occurrence.fingerprint)]
+			);
+			await updateErrorGroups(occurrences);
+			processed += occurrences.length;
+		}
+		return processed;
 	} catch (error) {
-		console.error(`Error saving setting ${key}:`, error);
+		console.error('Error backfilling error fingerprints:', error);
+		throw error;
 	}
 }
 
 /**
- * Ensure teams table exists and orgs/users tables have team_id foreign key
- * Creates teams table with id, name (unique), color, logo_url, timestamps
- * Adds team_id column to orgs and users tables
- */
-/**
- * Team management functions
- */
-
-/**
- * Get all teams with their orgs and users count
- * @returns {Promise<Array>} Array of team objects with orgs and users count
+ * Get error groups with a daily trend per group
+ * @param {object} options - Query options
+ * @param {string|null} options.status - 'open', 'resolved' or null for all
+ * @param {string|null} options.tool - Restrict to a tool name
+ * @param {string|null} options.search - Case-insensitive match on the normalized message
+ * @param {number} options.trendDays - Days in the trend series (1-90)
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Page offset
+ * @returns {Promise<{groups: Array<object>, total: number}>} Groups sorted by last seen
  */
-async function getAllTeams() {
+async function getErrorGroups({status = null, tool = null, search = null, trendDays = 14, limit = 50, offset = 0} = {}) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
+	const conditions = [];
+	const params = [];
+	if (status) {
+		params.push(status);
+		conditions.push(`status = $${params.length}`);
+	}
+	if (tool) {
+		params.push(tool);
+		conditions.push(`tool_name = $${params.length}`);
+	}
+	if (search) {
+		params.push(`%${search}%`);
+		conditions.push(`(normalized_message ILIKE $${params.length} OR sample_message ILIKE $${params.length})`);
+	}
+	const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
 	try {
-		const teamsResult = await db.query(`
-			SELECT
-				t.id,
-				t.name,
-				t.color,
-				t.logo_url,
-				t.logo_mime,
-				t.created_at,
-				t.updated_at,
-				COUNT(DISTINCT o.server_id) as org_count,
-				COUNT(DISTINCT teu.user_name) as user_count
-			FROM teams t
-			LEFT JOIN orgs o ON o.team_id = t.id
-			LEFT JOIN team_event_users teu ON teu.team_id = t.id
-			GROUP BY t.id
-			ORDER BY t.name ASC
-		`);
+		const countResult = await db.query(`SELECT COUNT(*) AS total FROM error_groups ${whereClause}`, params);
+		const result = await db.query(
+			`SELECT * FROM error_groups ${whereClause}
+			ORDER BY last_seen DESC
+			LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+			[...params, limit, offset]
+		);
+		const groups = result.rows.map(mapErrorGroupRow);
+
+		// Daily counts for the listed groups, oldest day first
+		const days = Math.min(Math.max(1, Number.isFinite(trendDays) ? trendDays : 14), 90);
+		const startDate = new Date();
+		startDate.setUTCHours(0, 0, 0, 0);
+		startDate.setUTCDate(startDate.getUTCDate() - (days - 1));
+		const dayKeys = Array.from({length: days}, (_, index) => {
+			const day = new Date(startDate);
+			day.setUTCDate(day.getUTCDate() + index);
+			return day.toISOString().slice(0, 10);
+		});
+		const trendByFingerprint = new Map(groups.map(group => [group.fingerprint, new Map()]));
+		if (groups.length > 0) {
+			const trendResult = await db.query(
+				`SELECT error_fingerprint, to_char(date_trunc('day', timestamp AT TIME ZONE 'UTC'), 'YYYY-MM-DD') AS day, COUNT(*) AS count
+				FROM telemetry_events
+				WHERE error_fingerprint = ANY($1::text[]) AND timestamp >= $2 AND deleted_at IS NULL
+				GROUP BY error_fingerprint, day`,
+				[groups.map(group => group.fingerprint), startDate.toISOString()]
+			);
+			for (const row of trendResult.rows) {
+				trendByFingerprint.get(row.error_fingerprint)?.set(row.day, Number.parseInt(row.count, 10) || 0);
+			}
+		}
+		for (const group of groups) {
+			const counts = trendByFingerprint.get(group.fingerprint);
+			group.trend = dayKeys.map(day => counts.get(day) || 0);
+		}
 
-		return teamsResult.rows.map(team => ({
-			id: team.id,
-			name: team.name,
-			color: team.color || null,
-			logo_url: team.logo_url || null,
-			has_logo: Boolean(team.logo_mime && team.logo_mime.trim() !== ''),
-			created_at: team.created_at,
-			updated_at: team.updated_at,
-			org_count: Number.parseInt(team.org_count, 10) || 0,
-			user_count: Number.parseInt(team.user_count, 10) || 0
-		}));
+		return {groups, total: Number.parseInt(countResult.rows[0].total, 10) || 0};
 	} catch (error) {
-		console.error('Error getting all teams:', error);
+		console.error('Error getting error groups:', error);
 		throw error;
 	}
 }
 
 /**
- * Get a team by ID with its orgs and users
- * @param {number} teamId - Team ID
- * @returns {Promise<object|null>} Team object with orgs and users, or null if not found
+ * Mark an error group as resolved in its latest seen server version
+ * @param {number} id - Error group ID
+ * @param {string|null} resolvedBy - Username resolving the group
+ * @returns {Promise<object|null>} Updated group or null if not found
  */
-async function getTeamById(teamId) {
+async function resolveErrorGroup(id, resolvedBy = null) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
 	try {
-		const teamResult = await db.query(`
-        SELECT
-          id,
-          name,
-          color,
-          logo_url,
-          logo_mime,
-          created_at,
-          updated_at
-        FROM teams
-        WHERE id = $1
-      `, [teamId]);
-
-			if (teamResult.rows.length === 0) {
-				return null;
-			}
-
-			const team = teamResult.rows[0];
-
-			const orgsResult = await db.query(`
-        SELECT
-          server_id,
-          company_name,
-          alias,
-          team_id,
-          created_at,
-          updated_at
-        FROM orgs
-        WHERE team_id = $1
-        ORDER BY alias ASC, server_id ASC
-      `, [teamId]);
-
-			// Get event log users assigned to this team
-			const eventUsersResult = await db.query(`
-        SELECT
-          user_name,
-          created_at
-        FROM team_event_users
-        WHERE team_id = $1
-        ORDER BY user_name ASC
-      `, [teamId]);
-
-		return {
-			id: team.id,
-			name: team.name,
-			color: team.color || null,
-			logo_url: team.logo_url || null,
-			has_logo: Boolean(team.logo_mime && team.logo_mime.trim() !== ''),
-			created_at: team.created_at,
-			updated_at: team.updated_at,
-			orgs: orgsResult.rows.map(org => ({
-				id: org.server_id,
-				alias: org.alias || null,
-				company_name: org.company_name || null,
-				team_id: org.team_id || null,
-				created_at: org.created_at,
-				updated_at: org.updated_at
-			})),
-			users: eventUsersResult.rows.map(user => ({
-				user_name: user.user_name,
-				created_at: user.created_at
-			}))
-		};
+		const result = await db.query(
+			`UPDATE error_groups
+			SET status = 'resolved', resolved_at = NOW(), resolved_by = $2, resolved_in_version = last_version
+			WHERE id = $1
+			RETURNING *`,
+			[id, resolvedBy]
+		);
+		return result.rows.length > 0 ? mapErrorGroupRow(result.rows[0]) : null;
 	} catch (error) {
-		console.error('Error getting team by ID:', error);
+		console.error('Error resolving error group:', error);
 		throw error;
 	}
 }
 
 /**
- * Add an event log user to a team
- * @param {number} teamId - Team ID
- * @param {string} userName - Event log user name
- * @returns {Promise<object>} Result object
+ * Reopen a resolved error group
+ * @param {number} id - Error group ID
+ * @returns {Promise<object|null>} Updated group or null if not found
  */
-async function addEventUserToTeam(teamId, userName) {
+async function reopenErrorGroup(id) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
 	try {
-		await db.query(`
-			INSERT INTO team_event_users (team_id, user_name)
-			VALUES ($1, $2)
-			ON CONFLICT (team_id, user_name) DO NOTHING
-		`, [teamId, userName]);
-
-		return {status: 'ok', message: 'Event user added to team successfully'};
+		const result = await db.query(
+			`UPDATE error_groups
+			SET status = 'open', resolved_at = NULL, resolved_by = NULL, reopened_at = NOW(), reopen_count = reopen_count + 1
+			WHERE id = $1 AND status = 'resolved'
+			RETURNING *`,
+			[id]
+		);
+		if (result.rows.length > 0) {
+			return mapErrorGroupRow(result.rows[0]);
+		}
+		const existing = await db.query('SELECT * FROM error_groups WHERE id = $1', [id]);
+		return existing.rows.length > 0 ? mapErrorGroupRow(existing.rows[0]) : null;
 	} catch (error) {
-		console.error('Error adding event user to team:', error);
+		console.error('Error reopening error group:', error);
 		throw error;
 	}
 }
 
 /**
- * Remove an event log user from a team
- * @param {number} teamId - Team ID
- * @param {string} userName - Event log user name
- * @returns {Promise<object>} Result object
+ * Get error groups created or reopened after a point in time
+ * @param {string|Date} since - Exclusive lower bound
+ * @returns {Promise<Array<object>>} Error groups (with isNew flag), newest first
  */
-async function removeEventUserFromTeam(teamId, userName) {
+async function getErrorGroupsChangedSince(since) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
 	try {
-		await db.query(`
-			DELETE FROM team_event_users
-			WHERE team_id = $1 AND user_name = $2
-		`, [teamId, userName]);
-
-		return {status: 'ok', message: 'Event user removed from team successfully'};
+		const result = await db.query(
+			`SELECT *, created_at > $1 AS is_new
+			FROM error_groups
+			WHERE created_at > $1 OR reopened_at > $1
+			ORDER BY GREATEST(created_at, COALESCE(reopened_at, created_at)) DESC
+			LIMIT 100`,
+			[since]
+		);
+		return result.rows.map(row => ({...mapErrorGroupRow(row), isNew: row.is_new}));
 	} catch (error) {
-		console.error('Error removing event user from team:', error);
+		console.error('Error getting changed error groups:', error);
 		throw error;
 	}
 }
 
 /**
- * Get all unique event log user names from telemetry data
- * @param {number} limit - Maximum number of users to return
- * @returns {Promise<Array>} Array of user names
+ * Alert functions
  */
-async function getEventUserNames(limit = 1000) {
+
+/**
+ * Map an alert_rules row to the API representation
+ * @param {object} row - alert_rules row
+ * @returns {object} Alert rule
+ */
+function mapAlertRuleRow(row) {
+	return {
+		id: row.id,
+		name: row.name,
+		type: row.type,
+		params: row.params || {},
+		channels: row.channels || [],
+		cooldownMinutes: row.cooldown_minutes,
+		enabled: row.enabled,
+		lastEvaluatedAt: row.last_evaluated_at,
+		lastTriggeredAt: row.last_triggered_at,
+		createdBy: row.created_by,
+		createdAt: row.created_at,
+		updatedAt: row.updated_at
+	};
+}
+
+/**
+ * Get alert rules
+ * @param {object} options - Query options
+ * @param {boolean} options.enabledOnly - Only return enabled rules
+ * @returns {Promise<Array<object>>} Alert rules
+ */
+async function getAlertRules({enabledOnly = false} = {}) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
 	try {
-		const result = await db.query(`
-			SELECT DISTINCT user_label
-			FROM (
-				SELECT COALESCE(
-					NULLIF(TRIM(user_name), ''),
-					NULLIF(TRIM(user_id), '')
-				) AS user_label
-				FROM telemetry_events
-			) AS labels
-			WHERE user_label IS NOT NULL
-			ORDER BY user_label ASC
-			LIMIT $1
-		`, [limit]);
-
-		return result.rows.map(u => u.user_label);
+		const result = await db.query(
+			`SELECT * FROM alert_rules ${enabledOnly ? 'WHERE enabled = TRUE' : ''} ORDER BY name ASC, id ASC`
+		);
+		return result.rows.map(mapAlertRuleRow);
 	} catch (error) {
-		console.error('Error getting event user names:', error);
+		console.error('Error getting alert rules:', error);
 		throw error;
 	}
 }
 
 /**
- * Get a person by ID
- * @param {number} personId - Person ID
- * @returns {Promise<Object|null>} Person object or null if not found
+ * Get an alert rule by ID
+ * @param {number} id - Alert rule ID
+ * @returns {Promise<object|null>} Alert rule or null if not found
  */
-async function getPersonById(personId) {
+async function getAlertRuleById(id) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
 	try {
-		const result = await db.query('SELECT id, name, initials, created_at FROM people WHERE id = $1', [personId]);
-		return result.rows[0] || null;
+		const result = await db.query('SELECT * FROM alert_rules WHERE id = $1', [id]);
+		return result.rows.length > 0 ? mapAlertRuleRow(result.rows[0]) : null;
 	} catch (error) {
-		console.error('Error getting person by ID:', error);
+		console.error('Error getting alert rule:', error);
 		throw error;
 	}
 }
 
 /**
- * Get all people
- * @returns {Promise<Array>} Array of people
+ * Create an alert rule
+ * @param {object} rule - Validated rule (name, type, params, channels, cooldownMinutes, enabled)
+ * @param {string|null} createdBy - Username creating the rule
+ * @returns {Promise<object>} Created alert rule
  */
-async function getAllPeople() {
+async function createAlertRule({name, type, params, channels, cooldownMinutes, enabled = true}, createdBy = null) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
 	try {
-		const result = await db.query(`
-			SELECT p.id, p.name, p.initials, p.created_at, COUNT(pu.username) as username_count
-			FROM people p
-			LEFT JOIN person_usernames pu ON p.id = pu.person_id
-			GROUP BY p.id, p.name, p.initials, p.created_at
-			ORDER BY p.id ASC
-		`);
-		return result.rows;
+		const result = await db.query(
+			`INSERT INTO alert_rules (name, type, params, channels, cooldown_minutes, enabled, created_by)
+			VALUES ($1, $2, $3, $4, $5, $6, $7)
+			RETURNING *`,
+			[name, type, JSON.stringify(params), JSON.stringify(channels), cooldownMinutes, enabled, createdBy]
+		);
+		return mapAlertRuleRow(result.rows[0]);
 	} catch (error) {
-		console.error('Error getting all people:', error);
+		console.error('Error creating alert rule:', error);
 		throw error;
 	}
 }
 
 /**
- * Create a new person
- * @returns {Promise<object>} Created person object
+ * Update an alert rule
+ * @param {number} id - Alert rule ID
+ * @param {object} rule - Validated rule (name, type, params, channels, cooldownMinutes, enabled)
+ * @returns {Promise<object|null>} Updated alert rule or null if not found
  */
-async function createPerson(name, initials = null) {
+async function updateAlertRule(id, {name, type, params, channels, cooldownMinutes, enabled = true}) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
 	try {
 		const result = await db.query(
-			'INSERT INTO people (name, initials) VALUES ($1, $2) RETURNING id, name, initials, created_at',
-			[name, initials]
+			`UPDATE alert_rules
+			SET name = $2, type = $3, params = $4, channels = $5, cooldown_minutes = $6, enabled = $7, updated_at = NOW()
+			WHERE id = $1
+			RETURNING *`,
+			[id, name, type, JSON.stringify(params), JSON.stringify(channels), cooldownMinutes, enabled]
 		);
-		return result.rows[0];
+		return result.rows.length > 0 ? mapAlertRuleRow(result.rows[0]) : null;
 	} catch (error) {
-		console.error('Error creating person:', error);
+		console.error('Error updating alert rule:', error);
 		throw error;
 	}
 }
 
 /**
- * Update a person's information
- * @param {number} personId - Person ID
- * @returns {Promise<object>} Updated person object
+ * Delete an alert rule (its history is kept)
+ * @param {number} id - Alert rule ID
+ * @returns {Promise<boolean>} True if deleted
  */
-async function updatePerson(personId, name, initials = null) {
+async function deleteAlertRule(id) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	if (!personId || Number.isNaN(personId)) {
-		throw new Error('Valid person ID is required');
-	}
-
 	try {
-		const result = await db.query(
-			'UPDATE people SET name = $1, initials = $2 WHERE id = $3 RETURNING id, name, initials, created_at',
-			[name, initials, personId]
-		);
-
-		if (result.rows.length === 0) {
-			throw new Error('Person not found');
-		}
-
-		return result.rows[0];
+		const result = await db.query('DELETE FROM alert_rules WHERE id = $1', [id]);
+		return result.rowCount > 0;
 	} catch (error) {
-		console.error('Error updating person:', error);
+		console.error('Error deleting alert rule:', error);
 		throw error;
 	}
 }
 
 /**
- * Delete a person and all associated usernames
- * @param {number} personId - Person ID
- * @returns {Promise<void>}
+ * Record that an alert rule was evaluated and, if it fired, claim the trigger
+ * The claim is atomic, so only one server instance delivers a triggered rule per cooldown period.
+ * @param {number} id - Alert rule ID
+ * @param {boolean} triggered - Whether the rule condition was met
+ * @returns {Promise<boolean>} True if the trigger was claimed (outside the cooldown)
  */
-async function deletePerson(personId) {
+async function markAlertRuleEvaluated(id, triggered = false) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	if (!personId || Number.isNaN(personId)) {
-		throw new Error('Valid person ID is required');
-	}
-
 	try {
-		// Check if person exists and delete in one query
-		const result = await db.query('DELETE FROM people WHERE id = $1 RETURNING id', [personId]);
-
+		if (!triggered) {
+			await db.query('UPDATE alert_rules SET last_evaluated_at = NOW() WHERE id = $1', [id]);
+			return false;
+		}
+		const result = await db.query(
+			`UPDATE alert_rules
+			SET last_evaluated_at = NOW(), last_triggered_at = NOW()
+			WHERE id = $1
+				AND (last_triggered_at IS NULL OR last_triggered_at <= NOW() - make_interval(mins => cooldown_minutes))
+			RETURNING id`,
+			[id]
+		);
 		if (result.rows.length === 0) {
-			throw new Error('Person not found');
+			await db.query('UPDATE alert_rules SET last_evaluated_at = NOW() WHERE id = $1', [id]);
+			return false;
 		}
+		return true;
 	} catch (error) {
-		console.error('Error deleting person:', error);
+		console.error('Error updating alert rule evaluation:', error);
 		throw error;
 	}
 }
 
 /**
- * Get usernames associated with a person
- * @param {number} personId - Person ID
- * @returns {Promise<Array>} Array of usernames for the person
+ * Store an alert history entry
+ * @param {object} entry - History entry
+ * @param {object} entry.rule - Alert rule that fired
+ * @param {string} entry.summary - One-line summary
+ * @param {object|null} entry.details - Evaluation details
+ * @param {Array<object>} entry.deliveries - Delivery result per channel
+ * @param {boolean} entry.isTest - Whether this was a test notification
+ * @returns {Promise<object>} Stored entry
  */
-async function getPersonUsernames(personId) {
+async function storeAlertHistory({rule, summary, details = null, deliveries = [], isTest = false}) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	if (!personId || Number.isNaN(personId)) {
-		throw new Error('Valid person ID is required');
+	const failedCount = deliveries.filter(delivery => !delivery.ok).length;
+	let status = 'sent';
+	if (deliveries.length === 0 || failedCount === deliveries.length) {
+		status = 'failed';
+	} else if (failedCount > 0) {
+		status = 'partial';
 	}
 
 	try {
-		const result = await db.query(`
-			SELECT id, person_id, username, org_id, is_primary, created_at
-			FROM person_usernames
-			WHERE person_id = $1
-			ORDER BY is_primary DESC, username ASC
-		`, [personId]);
-		return result.rows;
+		const result = await db.query(
+			`INSERT INTO alert_history (rule_id, rule_name, rule_type, summary, details, deliveries, status, is_test)
+			VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+			RETURNING *`,
+			[rule.id || null, rule.name, rule.type, summary, details ? JSON.stringify(details) : null, JSON.stringify(deliveries), status, isTest]
+		);
+		return result.rows[0];
 	} catch (error) {
-		console.error('Error getting person usernames:', error);
+		console.error('Error storing alert history:', error);
 		throw error;
 	}
 }
 
 /**
- * Add a username to a person
- * @param {number} personId - Person ID
- * @param {string} username - Username to add
- * @param {string|null} orgId - Optional organization ID
- * @returns {Promise<object>} Created username association object
+ * Get alert history, newest first
+ * @param {object} options - Query options
+ * @param {number|null} options.ruleId - Restrict to one rule
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Page offset
+ * @returns {Promise<{entries: Array<object>, total: number}>} History entries and total count
  */
-async function addUsernameToPerson(personId, username, orgId = null) {
+async function getAlertHistory({ruleId = null, limit = 50, offset = 0} = {}) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	if (!personId || Number.isNaN(personId)) {
-		throw new Error('Valid person ID is required');
-	}
-
-	if (!username || username.trim() === '') {
-		throw new Error('Username is required');
+	const params = [];
+	let whereClause = '';
+	if (ruleId) {
+		params.push(ruleId);
+		whereClause = 'WHERE rule_id = $1';
 	}
 
 	try {
-		const result = await db.query(`
-			INSERT INTO person_usernames (person_id, username, org_id, is_primary)
-			VALUES ($1, $2, $3, FALSE)
-			RETURNING id, person_id, username, org_id, is_primary, created_at
-		`, [personId, username.trim(), orgId]);
-		return result.rows[0];
+		const countResult = await db.query(`SELECT COUNT(*) AS total FROM alert_history ${whereClause}`, params);
+		const result = await db.query(
+			`SELECT * FROM alert_history ${whereClause}
+			ORDER BY triggered_at DESC, id DESC
+			LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+			[...params, limit, offset]
+		);
+		return {
+			entries: result.rows.map(row => ({
+				id: Number(row.id),
+				ruleId: row.rule_id,
+				ruleName: row.rule_name,
+				ruleType: row.rule_type,
+				summary: row.summary,
+				details: row.details,
+				deliveries: row.deliveries || [],
+				status: row.status,
+				isTest: row.is_test,
+				triggeredAt: row.triggered_at
+			})),
+			total: Number.parseInt(countResult.rows[0].total, 10) || 0
+		};
 	} catch (error) {
-		// Check if it's a unique constraint violation
-		if (error.message && error.message.includes('UNIQUE constraint failed')) {
-			throw new Error('This username is already associated with this person');
-		}
-		console.error('Error adding username to person:', error);
+		console.error('Error getting alert history:', error);
 		throw error;
 	}
 }
 
 /**
- * Remove a username from a person
- * @param {number} personId - Person ID
- * @param {string} username - Username to remove
- * @returns {Promise<boolean>} True if username was removed, false if not found
+ * Get tool call volume and errors over the last minutes, per tool
+ * @param {object} options - Query options
+ * @param {string|null} options.tool - Restrict to one tool
+ * @param {number} options.windowMinutes - Window size in minutes
+ * @returns {Promise<Array<{tool: string, calls: number, errors: number}>>} Counts per tool
  */
-async function removeUsernameFromPerson(personId, username) {
+async function getToolErrorCounts({tool = null, windowMinutes = 15} = {}) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	if (!personId || Number.isNaN(personId)) {
-		throw new Error('Valid person ID is required');
-	}
-
-	if (!username || username.trim() === '') {
-		throw new Error('Username is required');
+	const params = [windowMinutes];
+	let toolFilter = '';
+	if (tool) {
+		params.push(tool);
+		toolFilter = 'AND tool_name = $2';
 	}
 
 	try {
-		const result = await db.query(`
-			DELETE FROM person_usernames
-			WHERE person_id = $1 AND username = $2
-		`, [personId, username.trim()]);
-		return result.rowCount > 0;
+		const result = await db.query(
+			`SELECT
+				tool_name AS tool,
+				COUNT(*) AS calls,
+				COUNT(*) FILTER (WHERE event = 'tool_error' OR success IS FALSE) AS errors
+			FROM telemetry_events
+			WHERE timestamp >= NOW() - make_interval(mins => $1)
+				AND event IN ('tool_call', 'tool_error')
+				AND tool_name IS NOT NULL
+				AND tool_name != ''
+				AND deleted_at IS NULL
+				${toolFilter}
+			GROUP BY tool_name`,
+			params
+		);
+		return result.rows.map(row => ({
+			tool: row.tool,
+			calls: Number.parseInt(row.calls, 10) || 0,
+			errors: Number.parseInt(row.errors, 10) || 0
+		}));
 	} catch (error) {
-		console.error('Error removing username from person:', error);
+		console.error('Error getting tool error counts:', error);
 		throw error;
 	}
 }
 
 /**
- * Create a new team
- * @param {string} name - Team name (must be unique)
- * @param {string} color - Team color (hex or CSS color)
- * @param {string} logoUrl - Optional logo URL
- * @param {Buffer} logoData - Optional logo binary data
- * @param {string} logoMime - Optional logo MIME type
- * @returns {Promise<object>} Created team object
+ * Get the timestamp of the last event received from an org
+ * @param {string} orgId - Org ID (server_id)
+ * @returns {Promise<Date|null>} Last event timestamp or null if the org never sent events
  */
-async function createTeam(name, color = null, logoUrl = null, logoData = null, logoMime = null) {
+async function getOrgLastEventAt(orgId) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	if (!name || typeof name !== 'string' || name.trim() === '') {
-		throw new Error('Team name is required');
-	}
-
-	const now = new Date().toISOString();
-
 	try {
-		const result = await db.query(`
-			INSERT INTO teams (name, color, logo_url, logo_data, logo_mime, created_at, updated_at)
-			VALUES ($1, $2, $3, $4, $5, $6, $7)
-			RETURNING id, name, color, logo_url, created_at, updated_at
-		`, [name.trim(), color || null, logoUrl || null, logoData || null, logoMime || null, now, now]);
-		return result.rows[0];
+		const result = await db.query('SELECT last_event FROM org_event_stats WHERE org_id = $1', [orgId]);
+		return result.rows[0]?.last_event ? new Date(result.rows[0].last_event) : null;
 	} catch (error) {
-		if (error.message.includes('UNIQUE constraint') || error.message.includes('duplicate key')) {
-			throw new Error('Team name already exists');
-		}
-		console.error('Error creating team:', error);
+		console.error('Error getting org last event:', error);
 		throw error;
 	}
 }
 
 /**
- * Update a team
- * @param {number} teamId - Team ID
- * @param {object} updates - Object with name, color, logo_url, logo_data, logo_mime to update
- * @returns {Promise<boolean>} True if updated, false if not found
+ * User management functions
  */
-async function updateTeam(teamId, updates) {
+
+/**
+ * Get a user by username
+ * @param {string} username - Username to look up
+ * @returns {Promise<object|null>} User object or null if not found
+ */
+async function getUserByUsername(username) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const {name, color, logo_url, logo_data, logo_mime} = updates || {};
-	const now = new Date().toISOString();
-	const updatesList = [];
-	const params = [];
+	const result = await db.query(
+		'SELECT id, username, password_hash, role, created_at, last_login, team_id FROM users WHERE username = $1',
+		[username]
+	);
+	return result.rows[0] || null;
+}
 
-	if (name !== undefined) {
-		if (typeof name !== 'string' || name.trim() === '') {
-			throw new Error('Team name cannot be empty');
-		}
-		updatesList.push(`name = $${params.length + 1}`);
-		params.push(name.trim());
+/**
+ * Create a new user
+ * @param {string} username - Username
+ * @param {string} passwordHash - Bcrypt password hash
+ * @returns {Promise<object>} Created user object
+ */
+async function createUser(username, passwordHash, role = 'basic') {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	if (color !== undefined) {
-		updatesList.push(`color = $${params.length + 1}`);
-		params.push(color || null);
-	}
+	const normalized = normalizeRole(role);
 
-	if (logo_url !== undefined) {
-		updatesList.push(`logo_url = $${params.length + 1}`);
-		params.push(logo_url || null);
-	}
+	const result = await db.query(
+		'INSERT INTO users (username, password_hash, role) VALUES ($1, $2, $3) RETURNING id, username, password_hash, role, created_at',
+		[username, passwordHash, normalized]
+	);
+	return result.rows[0];
+}
 
-	if (logo_data !== undefined) {
-		updatesList.push(`logo_data = $${params.length + 1}`);
-		params.push(logo_data || null);
+/**
+ * Update user's last login timestamp
+ * @param {string} username - Username
+ * @returns {Promise<void>}
+ */
+async function updateLastLogin(username) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	if (logo_mime !== undefined) {
-		updatesList.push(`logo_mime = $${params.length + 1}`);
-		params.push(logo_mime || null);
-	}
+	const now = new Date().toISOString();
+	await db.query('UPDATE users SET last_login = $1 WHERE username = $2', [now, username]);
+}
 
-	if (updatesList.length === 0) {
-		return false;
+/**
+ * Get user by ID
+ * @param {number} userId - User ID
+ * @returns {Promise<object|null>} User object or null
+ */
+async function getUserById(userId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	updatesList.push(`updated_at = $${params.length + 1}`);
-	params.push(now);
-
-	params.push(teamId);
-
-	try {
-		const result = await db.query(`
-			UPDATE teams
-			SET ${updatesList.join(', ')}
-			WHERE id = $${params.length}
-		`, params);
-		return result.rowCount > 0;
-	} catch (error) {
-		if (error.message.includes('UNIQUE constraint') || error.message.includes('duplicate key')) {
-			throw new Error('Team name already exists');
-		}
-		console.error('Error updating team:', error);
-		throw error;
-	}
+	const result = await db.query(
+		'SELECT id, username, password_hash, role, created_at, last_login, totp_enabled_at FROM users WHERE id = $1',
+		[userId]
+	);
+	return result.rows[0] || null;
 }
 
 /**
- * Get team logo data
- * @param {number} teamId - Team ID
- * @returns {Promise<{data: Buffer, mime: string}|null>} Logo data and MIME type, or null if not found
+ * Get all users
+ * @returns {Promise<Array>} Array of user objects (without password hashes)
  */
-async function getTeamLogo(teamId) {
+async function getAllUsers() {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	try {
-		const result = await db.query(`
-			SELECT logo_data, logo_mime
-			FROM teams
-			WHERE id = $1 AND logo_data IS NOT NULL AND logo_mime IS NOT NULL
-		`, [teamId]);
-
-		if (result.rows.length === 0 || !result.rows[0].logo_data || !result.rows[0].logo_mime) {
-			return null;
-		}
-
-		return {
-			data: result.rows[0].logo_data,
-			mime: result.rows[0].logo_mime
-		};
-	} catch (error) {
-		console.error('Error getting team logo:', error);
-		throw error;
-	}
+	const result = await db.query('SELECT id, username, role, created_at, last_login, totp_enabled_at IS NOT NULL AS two_factor_enabled, auth_provider, email FROM users ORDER BY username');
+	return result.rows;
 }
 
 /**
- * Delete a team
- * @param {number} teamId - Team ID
- * @returns {Promise<boolean>} True if deleted, false if not found
+ * Delete a user by username
+ * @param {string} username - Username to delete
+ * @returns {Promise<boolean>} True if user was deleted, false if not found
  */
-async function deleteTeam(teamId) {
+async function deleteUser(username) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	try {
-		// First, unassign orgs and users from this team
-		await db.query('UPDATE orgs SET team_id = NULL WHERE team_id = $1', [teamId]);
-		await db.query('UPDATE users SET team_id = NULL WHERE team_id = $1', [teamId]);
+	const result = await db.query('DELETE FROM users WHERE username = $1', [username]);
+	await db.query('DELETE FROM saved_views WHERE username = $1', [username]);
+	return result.rowCount > 0;
+}
 
-		const result = await db.query('DELETE FROM teams WHERE id = $1', [teamId]);
-		return result.rowCount > 0;
-	} catch (error) {
-		console.error('Error deleting team:', error);
-		throw error;
+/**
+ * Update user password
+ * @param {string} username - Username
+ * @param {string} passwordHash - New bcrypt password hash
+ * @returns {Promise<boolean>} True if password was updated, false if user not found
+ */
+async function updateUserPassword(username, passwordHash) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
 	}
+
+	const result = await db.query('UPDATE users SET password_hash = $1 WHERE username = $2', [passwordHash, username]);
+	return result.rowCount > 0;
 }
 
 /**
- * Org management functions (extended)
+ * Update user role
+ * @param {string} username - Username
+ * @param {string} role - New role (basic|advanced)
+ * @returns {Promise<boolean>} True if updated, false otherwise
  */
+async function updateUserRole(username, role) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const normalized = normalizeRole(role);
+
+	const result = await db.query('UPDATE users SET role = $1 WHERE username = $2', [normalized, username]);
+	return result.rowCount > 0;
+}
 
 /**
- * Get all orgs with their team information
- * @returns {Promise<Array>} Array of org objects with team info
+ * Create or update the user of a single sign-on login (just-in-time provisioning)
+ * The user is found by the issuer and subject of the ID token, else by username. A local user with
+ * the same username is only linked when linkLocalUsers is set. Users without a person are linked to the
+ * person that has their username or email among its usernames, or to a new person.
+ * @param {object} profile - externalSubject, username, email, name, initials, role
+ * @param {object} options - syncRole: apply profile.role to existing users too, linkLocalUsers
+ * @returns {Promise<{conflict: boolean, created?: boolean, user?: object}>} user: id, username, role, person_id, totp_enabled_at
  */
-async function getAllOrgsWithTeams() {
+async function provisionSsoUser(profile, {syncRole = false, linkLocalUsers = false} = {}) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
+	const role = normalizeRole(profile.role);
+	const client = await db.connect();
 	try {
-		const result = await db.query(`
-			SELECT
-				o.server_id,
-				o.company_name,
-				o.alias,
-				o.team_id,
-				o.created_at,
-				o.updated_at,
-				t.name as team_name,
-				t.color as team_color
-			FROM orgs o
-			LEFT JOIN teams t ON t.id = o.team_id
-			ORDER BY o.alias ASC, o.server_id ASC
-		`);
+		await client.query('BEGIN');
+		const columns = 'id, username, role, auth_provider, external_subject, person_id, totp_enabled_at';
+		let user = (await client.query(`SELECT ${columns} FROM users WHERE external_subject = $1 FOR UPDATE`, [profile.externalSubject])).rows[0];
+		let created = false;
+
+		if (!user) {
+			user = (await client.query(`SELECT ${columns} FROM users WHERE username = $1 FOR UPDATE`, [profile.username])).rows[0];
+			if (user && (user.external_subject || (user.auth_provider === 'local' && !linkLocalUsers))) {
+				await client.query('ROLLBACK');
+				return {conflict: true};
+			}
+			if (user) {
+				await client.query(
+					'UPDATE users SET auth_provider = $2, external_subject = $3 WHERE id = $1',
+					[user.id, 'oidc', profile.externalSubject]
+				);
+			} else {
+				user = (await client.query(
+					`INSERT INTO users (username, password_hash, role, auth_provider, external_subject)
+					VALUES ($1, NULL, $2, 'oidc', $3)
+					RETURNING ${columns}`,
+					[profile.username, role, profile.externalSubject]
+				)).rows[0];
+				created = true;
+			}
+		}
 
-		return result.rows.map(org => ({
-			id: org.server_id,
-			alias: org.alias || null,
-			company_name: org.company_name || null,
-			team_id: org.team_id || null,
-			team_name: org.team_name || null,
-			team_color: org.team_color || null,
-			created_at: org.created_at,
-			updated_at: org.updated_at
-		}));
+		const nextRole = created || syncRole ? role : normalizeRole(user.role);
+		await client.query(
+			'UPDATE users SET role = $2, email = $3, last_login = NOW() WHERE id = $1',
+			[user.id, nextRole, profile.email]
+		);
+
+		let personId = user.person_id;
+		if (!personId) {
+			const identifiers = [profile.username, profile.email].filter(Boolean).map(value => value.toLowerCase());
+			const match = await client.query(
+				`SELECT person_id FROM person_usernames
+				WHERE LOWER(username) = ANY($1::text[])
+				ORDER BY is_primary DESC, id ASC
+				LIMIT 1`,
+				[identifiers]
+			);
+			personId = match.rows[0]?.person_id;
+			if (!personId) {
+				const person = await client.query(
+					'INSERT INTO people (name, initials) VALUES ($1, $2) RETURNING id',
+					[profile.name, profile.initials || null]
+				);
+				personId = person.rows[0].id;
+			}
+			await client.query('UPDATE users SET person_id = $2 WHERE id = $1', [user.id, personId]);
+		}
+
+		await client.query('COMMIT');
+		return {
+			conflict: false,
+			created,
+			user: {
+				id: user.id,
+				username: user.username,
+				role: nextRole,
+				person_id: personId,
+				totp_enabled_at: user.totp_enabled_at
+			}
+		};
 	} catch (error) {
-		console.error('Error getting all orgs with teams:', error);
+		await client.query('ROLLBACK');
+		console.error('Error provisioning single sign-on user:', error);
 		throw error;
+	} finally {
+		client.release();
 	}
 }
 
 /**
- * Create or update an org
- * @param {string} orgId - Org identifier (server_id)
- * @param {object} orgData - Object with alias, team_id, company_name
- * @returns {Promise<object>} Created or updated org object
+ * Get the two-factor state of a user
+ * @param {string} username - Username
+ * @returns {Promise<object|null>} id, username, role, totp_secret, totp_enabled_at and recovery_codes_left, or null if not found
  */
-async function upsertOrg(orgId, orgData = {}) {
+async function getUserTwoFactor(username) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	if (!orgId || typeof orgId !== 'string' || orgId.trim() === '') {
-		throw new Error('Org ID is required');
-	}
-
-	const {alias, team_id, company_name} = orgData;
-	const now = new Date().toISOString();
-
-	try {
-		const result = await db.query(`
-			INSERT INTO orgs (server_id, alias, team_id, company_name, created_at, updated_at)
-			VALUES ($1, $2, $3, $4, $5, $6)
-			ON CONFLICT (server_id) DO UPDATE SET
-				alias = COALESCE(EXCLUDED.alias, orgs.alias),
-				team_id = COALESCE(EXCLUDED.team_id, orgs.team_id),
-				company_name = COALESCE(EXCLUDED.company_name, orgs.company_name),
-				updated_at = EXCLUDED.updated_at
-			RETURNING server_id, alias, team_id, company_name, created_at, updated_at
-		`, [orgId, alias || null, team_id || null, company_name || null, now, now]);
-
-		return result.rows[0];
-	} catch (error) {
-		console.error('Error upserting org:', error);
-		throw error;
-	}
+	const result = await db.query(
+		`SELECT u.id, u.username, u.role, u.totp_secret, u.totp_enabled_at,
+			(SELECT COUNT(*)::int FROM user_recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL) AS recovery_codes_left
+		FROM users u WHERE u.username = $1`,
+		[username]
+	);
+	return result.rows[0] || null;
 }
 
 /**
- * Move an org to a different team
- * @param {string} orgId - Org identifier
- * @param {number|null} teamId - New team ID (null to unassign)
- * @returns {Promise<boolean>} True if moved, false if org not found
+ * Enable TOTP for a user, replacing any previous recovery codes
+ * @param {number} userId - User ID
+ * @param {string} secret - Confirmed base32 secret
+ * @param {number} step - Time step of the code that confirmed it (can't be reused)
+ * @param {Array<string>} recoveryCodeHashes - SHA-256 hashes of the new recovery codes
+ * @returns {Promise<void>}
  */
-async function moveOrgToTeam(orgId, teamId) {
+async function enableUserTotp(userId, secret, step, recoveryCodeHashes) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
+	const client = await db.connect();
 	try {
-		const result = await db.query(
-			'UPDATE orgs SET team_id = $1, updated_at = NOW() WHERE server_id = $2',
-			[teamId || null, orgId]
+		await client.query('BEGIN');
+		await client.query(
+			'UPDATE users SET totp_secret = $2, totp_enabled_at = NOW(), totp_last_step = $3 WHERE id = $1',
+			[userId, secret, step]
 		);
-		if (result.rowCount > 0) {
-			// Recalculate team_id for all existing events of this org
-			await recalculateTeamIdsForOrg(orgId);
-		}
-		return result.rowCount > 0;
+		await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+		await client.query(
+			'INSERT INTO user_recovery_codes (user_id, code_hash) SELECT $1, UNNEST($2::text[])',
+			[userId, recoveryCodeHashes]
+		);
+		await client.query('COMMIT');
 	} catch (error) {
-		console.error('Error moving org to team:', error);
+		await client.query('ROLLBACK');
+		console.error('Error enabling two-factor authentication:', error);
 		throw error;
+	} finally {
+		client.release();
 	}
 }
 
 /**
- * Assign a user to a team
+ * Disable TOTP for a user and delete its recovery codes
  * @param {number} userId - User ID
- * @param {number|null} teamId - Team ID (null to unassign)
- * @returns {Promise<boolean>} True if assigned, false if user not found
+ * @returns {Promise<boolean>} True if the user had two-factor authentication enabled
  */
-async function assignUserToTeam(userId, teamId) {
+async function disableUserTotp(userId) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	try {
-		const result = await db.query('UPDATE users SET team_id = $1 WHERE id = $2', [teamId || null, userId]);
-		return result.rowCount > 0;
-	} catch (error) {
-		console.error('Error assigning user to team:', error);
-		throw error;
-	}
+	const result = await db.query(
+		'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1 AND totp_enabled_at IS NOT NULL',
+		[userId]
+	);
+	await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+	return result.rowCount > 0;
 }
 
 /**
- * Ensure remember_tokens table exists
- */
-/**
- * Ensure Copilot user exists if COPILOT_USERNAME and COPILOT_PASSWORD are set
- * This is useful for GitHub Copilot environments where the database needs to be initialized
- * with a default user for testing and development.
+ * Record the time step of an accepted TOTP code
+ * Only moves forward, so a code (or an older one) is accepted once even with concurrent logins.
+ * @param {number} userId - User ID
+ * @param {number} step - Time step of the code
+ * @returns {Promise<boolean>} False if a code of this step or a later one was already used
  */
-async function ensureCopilotUser() {
+async function updateUserTotpLastStep(userId, step) {
 	if (!db) {
-		return;
+		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const copilotUsername = process.env.COPILOT_USERNAME;
-	const copilotPassword = process.env.COPILOT_PASSWORD;
-	const copilotRole = process.env.COPILOT_ROLE || 'god';
+	const result = await db.query(
+		'UPDATE users SET totp_last_step = $2 WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)',
+		[userId, step]
+	);
+	return result.rowCount > 0;
+}
 
-	// Only create user if both username and password are provided
-	if (!copilotUsername || !copilotPassword) {
-		return;
+/**
+ * Use an unused recovery code of a user
+ * @param {number} userId - User ID
+ * @param {string} codeHash - SHA-256 hash of the code
+ * @returns {Promise<boolean>} True if the code was valid and is now used
+ */
+async function useUserRecoveryCode(userId, codeHash) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	try {
-		// Check if user already exists
-		const existingUser = await getUserByUsername(copilotUsername);
-		if (existingUser) {
-			// User exists, optionally update role if needed
-			if (copilotRole && existingUser.role !== copilotRole) {
-				await updateUserRole(copilotUsername, copilotRole);
-				console.log(`✅ Updated Copilot user "${copilotUsername}" role to "${copilotRole}"`);
-			}
-			return;
-		}
-
-		// Import hashPassword from auth module
-		const {hashPassword} = await import('../auth/auth.js');
-		const passwordHash = await hashPassword(copilotPassword);
-		await createUser(copilotUsername, passwordHash, copilotRole);
-		console.log(`✅ Created Copilot user "${copilotUsername}" with role "${copilotRole}"`);
-	} catch (error) {
-		console.error('Error ensuring Copilot user:', error);
-		// Don't throw - this is a convenience feature, not critical
-	}
+	const result = await db.query(
+		'UPDATE user_recovery_codes SET used_at = NOW() WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL',
+		[userId, codeHash]
+	);
+	return result.rowCount > 0;
 }
 
 /**
- * Create a remember token for a user
+ * Replace the recovery codes of a user
  * @param {number} userId - User ID
- * @param {string} expiresAt - ISO timestamp when token expires
- * @param {string} userAgent - Optional user agent string
- * @param {string} ipAddress - Optional IP address
- * @returns {Promise<{token: string, id: number}>} - Returns the plain token and token ID
+ * @param {Array<string>} recoveryCodeHashes - SHA-256 hashes of the new codes
+ * @returns {Promise<void>}
  */
-async function createRememberToken(userId, expiresAt, userAgent = null, ipAddress = null) {
+async function replaceUserRecoveryCodes(userId, recoveryCodeHashes) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	// Generate a random token (32 bytes = 64 hex characters)
-	const token = crypto.randomBytes(32).toString('hex');
-	// Hash the token before storing
-	const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-
+	const client = await db.connect();
 	try {
-		const result = await db.query(
-			`INSERT INTO remember_tokens (user_id, token_hash, expires_at, user_agent, ip_address)
-			VALUES ($1, $2, $3, $4, $5)
-			RETURNING id`,
-			[userId, tokenHash, expiresAt, userAgent, ipAddress]
+		await client.query('BEGIN');
+		await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+		await client.query(
+			'INSERT INTO user_recovery_codes (user_id, code_hash) SELECT $1, UNNEST($2::text[])',
+			[userId, recoveryCodeHashes]
 		);
-		return {token, id: result.rows[0].id};
+		await client.query('COMMIT');
 	} catch (error) {
-		console.error('Error creating remember token:', error);
+		await client.query('ROLLBACK');
+		console.error('Error replacing recovery codes:', error);
 		throw error;
+	} finally {
+		client.release();
 	}
 }
 
 /**
- * Validate and get user ID from a remember token
- * @param {string} token - Plain token string
- * @returns {Promise<{userId: number, tokenId: number} | null>} - Returns user ID and token ID if valid, null otherwise
+ * Get company name for a server/org
+ * @param {string} serverId - Server ID
+ * @returns {Promise<string|null>} Company name or null if not found
  */
-async function validateRememberToken(token) {
-	if (!db) {
-		throw new Error('Database not initialized. Call init() first.');
+async function getOrgCompanyName(serverId) {
+	if (!db || !serverId) {
+		return null;
 	}
 
-	const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-
 	try {
-		const result = await db.query(
-			`SELECT id, user_id
-			FROM remember_tokens
-			WHERE token_hash = $1
-				AND expires_at > NOW()
-				AND revoked_at IS NULL`,
-			[tokenHash]
-		);
-		return result.rows.length > 0 ? {userId: result.rows[0].user_id, tokenId: result.rows[0].id} : null;
+		const result = await db.query('SELECT company_name FROM orgs WHERE server_id = $1', [serverId]);
+		return result.rows.length > 0 ? result.rows[0].company_name : null;
 	} catch (error) {
-		console.error('Error validating remember token:', error);
+		console.error('Error getting org company name:', error);
 		return null;
 	}
 }
 
 /**
- * Revoke a remember token by ID
- * @param {number} tokenId - Token ID to revoke
- * @returns {Promise<boolean>} - Returns true if token was revoked
+ * Get an organization by its server ID
+ * @param {string} serverId - Server ID
+ * @returns {Promise<object|null>} Org with server_id, alias, color, company_name and team_id, or null if not found
  */
-async function revokeRememberToken(tokenId) {
+async function getOrgById(serverId) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
 	try {
-		const result = await db.query('UPDATE remember_tokens SET revoked_at = NOW() WHERE id = $1', [tokenId]);
-		return result.rowCount > 0;
+		const result = await db.query('SELECT server_id, alias, color, company_name, team_id FROM orgs WHERE server_id = $1', [serverId]);
+		return result.rows[0] || null;
 	} catch (error) {
-		console.error('Error revoking remember token:', error);
-		return false;
+		console.error('Error getting org:', error);
+		throw error;
 	}
 }
 
 /**
- * Revoke all remember tokens for a user
- * @param {number} userId - User ID
- * @returns {Promise<number>} - Returns number of tokens revoked
+ * Get all organizations with their company names
+ * @returns {Promise<Array>} Array of org objects with server_id and company_name
  */
-async function revokeAllRememberTokensForUser(userId) {
+async function getAllOrgs() {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
 	try {
-		const result = await db.query('UPDATE remember_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL', [userId]);
-		return result.rowCount;
+		const result = await db.query('SELECT server_id, company_name, created_at, updated_at FROM orgs ORDER BY updated_at DESC');
+		return result.rows;
 	} catch (error) {
-		console.error('Error revoking all remember tokens for user:', error);
-		return 0;
+		console.error('Error getting all orgs:', error);
+		return [];
 	}
 }
 
 /**
- * Rotate a remember token (create new, revoke old)
- * @param {number} oldTokenId - Old token ID to revoke
- * @param {number} userId - User ID
- * @param {string} expiresAt - New expiration timestamp
- * @param {string} userAgent - Optional user agent string
- * @param {string} ipAddress - Optional IP address
- * @returns {Promise<{token: string, id: number}>} - Returns the new plain token and token ID
+ * Update event data by ID
+ * @param {number} id - Event ID
+ * @param {object} data - New data object
+ * @returns {Promise<boolean>} True if updated, false otherwise
  */
-async function rotateRememberToken(oldTokenId, userId, expiresAt, userAgent = null, ipAddress = null) {
+async function updateEventData(id, data) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	// Revoke old token
-	await revokeRememberToken(oldTokenId);
-
-	// Create new token
-	return createRememberToken(userId, expiresAt, userAgent, ipAddress);
+	try {
+		const result = await db.query('UPDATE telemetry_events SET data = $1 WHERE id = $2', [data, id]);
+		return result.rowCount > 0;
+	} catch (error) {
+		console.error('Error updating event data:', error);
+		return false;
+	}
 }
 
 /**
- * Clean up expired remember tokens (optional maintenance)
- * @returns {Promise<number>} - Returns number of tokens deleted
+ * Get unique user IDs from all events
+ * Returns both the identifier used for filtering and a human readable label
+ * @returns {Array<{id: string, label: string}>} Sorted array of unique users
  */
-async function cleanupExpiredRememberTokens() {
+async function getUniqueUserIds() {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	try {
-		const result = await db.query('DELETE FROM remember_tokens WHERE expires_at < NOW()');
-		return result.rowCount;
-	} catch (error) {
-		console.error('Error cleaning up expired remember tokens:', error);
-		return 0;
-	}
+	const result = await db.query(`
+		SELECT user_id, data
+		FROM telemetry_events
+		WHERE user_id IS NOT NULL OR (data IS NOT NULL AND data != '')
+	`);
+	const rows = result.rows;
+
+	const userMap = new Map();
+
+	rows.forEach(row => {
+		let parsedData = null;
+		if (row.data) {
+			try {
+				parsedData = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
+			} catch {
+				parsedData = null;
+			}
+		}
+
+		const normalizedId = getNormalizedUserId({
+			userId: row.user_id,
+			data: parsedData
+		});
+
+		if (!normalizedId) {
+			return;
+		}
+
+		const displayName = extractUserDisplayName(parsedData);
+		const label = displayName && displayName.toLowerCase() !== normalizedId.toLowerCase() ? `${displayName} (${normalizedId})` : normalizedId;
+
+		const existing = userMap.get(normalizedId);
+		if (!existing || (existing.label === normalizedId && label !== normalizedId)) {
+			userMap.set(normalizedId, {
+				id: normalizedId,
+				label
+			});
+		}
+	});
+
+	return Array.from(userMap.values()).sort((a, b) => a.label.localeCompare(b.label));
 }
 
 /**
- * Get active remember tokens count for a user (to enforce limits)
- * @param {number} userId - User ID
- * @returns {Promise<number>} - Returns count of active tokens
+ * Get PostgreSQL pool if using PostgreSQL, null otherwise
+ * Used for session store configuration
  */
-async function getActiveRememberTokensCount(userId) {
-	if (!db) {
-		throw new Error('Database not initialized. Call init() first.');
+function getPostgresPool() {
+	if (db) {
+		return db;
 	}
+	return null;
+}
 
-	try {
-		const result = await db.query(
-			`SELECT COUNT(*) as count
-			FROM remember_tokens
-			WHERE user_id = $1
-				AND expires_at > NOW()
-				AND revoked_at IS NULL`,
-			[userId]
-		);
-		return result.rows.length > 0 ? Number.parseInt(result.rows[0].count, 10) : 0;
-	} catch (error) {
-		console.error('Error getting active remember tokens count:', error);
-		return 0;
-	}
+/**
+ * Get SQLite database instance (deprecated - no longer supported)
+ * @deprecated This function is no longer supported as the project only uses PostgreSQL
+ */
+function getSqliteDb() {
+	console.warn('getSqliteDb() is deprecated - this project only uses PostgreSQL');
+	return null;
 }
 
 /**
- * Export entire database to a JSON format
- * Compatible with both SQLite and PostgreSQL
- * @returns {Promise<Object>} Database dump with all tables
+ * Get top users by event volume for the last N days (rolling window)
+ * @param {number} limit - Maximum number of users to return (default 50)
+ * @param {number} days - Number of days to look back (default 3)
+ * @returns {Promise<Array<{id: string, label: string, eventCount: number}>>}
  */
-async function exportDatabase() {
+async function getTopUsersLastDays(limit = 50, days = 3) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const exportData = {
-		version: '1.0',
-		exportedAt: new Date().toISOString(),
-		dbType: 'postgresql',
-		tables: {}
-	};
+	const safeLimit = Math.min(Math.max(1, Number.isFinite(limit) ? Math.floor(limit) : 50), 500);
+	const safeDays = Math.min(Math.max(1, Number.isFinite(days) ? Math.floor(days) : 3), 365);
+	const results = [];
 
-	// Helper function to safely export a table (PostgreSQL)
-	const exportTable = async (tableName, orderBy) => {
-		try {
-			const result = await db.query(`SELECT * FROM ${tableName} ORDER BY ${orderBy}`);
-			exportData.tables[tableName] = result.rows;
-		} catch (error) {
-			// Table doesn't exist or other error - skip it
-			console.warn(`Skipping table ${tableName}:`, error.message);
-		}
-	};
+	const aggregated = await db.query(
+		`
+			WITH aggregated AS (
+				SELECT user_id, COUNT(*) AS event_count
+				FROM telemetry_events
+				WHERE created_at >= (NOW() - ($2 || ' days')::interval)
+					AND user_id IS NOT NULL
+					AND TRIM(user_id) != ''
+					AND deleted_at IS NULL
+				GROUP BY user_id
+				ORDER BY event_count DESC, user_id ASC
+				LIMIT $1
+			)
+			SELECT a.user_id,
+			       a.event_count,
+			       (
+			         SELECT data
+			         FROM telemetry_events e
+			         WHERE e.user_id = a.user_id
+			           AND e.created_at >= (NOW() - ($2 || ' days')::interval)
+			           AND e.deleted_at IS NULL
+			         ORDER BY e.created_at DESC
+			         LIMIT 1
+			       ) AS data
+			FROM aggregated a
+			ORDER BY a.event_count DESC, a.user_id ASC
+		`,
+		[safeLimit, String(safeDays)]
+	);
 
-	try {
-		// Export all tables (skip if they don't exist)
-		await exportTable('telemetry_events', 'id');
-		await exportTable('users', 'id');
-		await exportTable('orgs', 'server_id');
-		await exportTable('teams', 'id');
-		await exportTable('settings', 'key');
-		await exportTable('remember_tokens', 'id');
-		await exportTable('event_user_teams', 'id');
+	aggregated.rows.forEach(row => {
+		results.push({
+			id: row.user_id,
+			label: buildUserLabel(row.user_id, row.data),
+			eventCount: Number(row.event_count) || 0
+		});
+	});
 
-		return exportData;
-	} catch (error) {
-		console.error('Error exporting database:', error);
-		throw new Error(`Failed to export database: ${error.message}`);
-	}
+	return results;
 }
 
 /**
- * Import database from JSON format
- * Compatible with both SQLite and PostgreSQL
- * @param {Object} importData - Database dump to import
- * @returns {Promise<{imported: number, errors: Array}>} Import results
+ * Get top teams by event count in the last N days based on org-team mapping
+ * @param {Array} orgTeamMappings - Array of {orgIdentifier, clientName, teamName, color, active}
+ * @param {number} limit - Maximum number of teams to return (default: 50)
+ * @param {number} days - Number of days to look back (default: 3)
+ * @returns {Promise<Array>} Array of {id, label, eventCount, clientName, color} objects
  */
-async function importDatabase(importData) {
+async function getTopTeamsLastDays(orgTeamMappings = [], limit = 50, days = 3) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	if (!importData || !importData.tables) {
-		throw new Error('Invalid import data format');
+	const mappingsFromRequest = Array.isArray(orgTeamMappings) ? orgTeamMappings : [];
+	const effectiveMappings = mappingsFromRequest.length > 0 ? mappingsFromRequest : await getOrgTeamMappingsFromTeamsTable();
+
+	if (!effectiveMappings || effectiveMappings.length === 0) {
+		return [];
 	}
 
-	const results = {
-		imported: 0,
-		errors: []
-	};
+	const safeLimit = Math.min(Math.max(1, Number.isFinite(limit) ? Math.floor(limit) : 50), 500);
+	const safeDays = Math.min(Math.max(1, Number.isFinite(days) ? Math.floor(days) : 3), 365);
 
-	try {
-		// Use transaction for atomic import
-		const client = await db.connect();
-		try {
-			await client.query('BEGIN');
+	const normalizeOrgId = (orgId) => String(orgId || '').trim().toLowerCase();
+	const normalizeTeamKey = (teamName) => String(teamName || '').trim().toLowerCase();
 
-				// Import users first
-				if (importData.tables.users && Array.isArray(importData.tables.users)) {
-					for (const user of importData.tables.users) {
-						try {
-							await client.query(`
-								INSERT INTO users (id, username, password_hash, role, created_at, last_login, team_id)
-								VALUES ($1, $2, $3, $4, $5, $6, $7)
-								ON CONFLICT (id) DO UPDATE SET
-									username = EXCLUDED.username,
-									password_hash = EXCLUDED.password_hash,
-									role = EXCLUDED.role,
-									created_at = EXCLUDED.created_at,
-									last_login = EXCLUDED.last_login,
-									team_id = EXCLUDED.team_id
-							`, [
-								user.id,
-								user.username,
-								user.password_hash,
-								user.role || 'basic',
-								user.created_at,
-								user.last_login,
-								user.team_id || null
-							]);
-							results.imported++;
-						} catch (err) {
-							results.errors.push({table: 'users', id: user.id, error: err.message});
-						}
-					}
-				}
+	// Build lookups so multiple orgs that point to the same team name are grouped
+	const orgToTeamKey = new Map(); // normalized org id -> normalized team key
+	const teamAggregates = new Map(); // normalized team key -> aggregate info
+	if (Array.isArray(effectiveMappings)) {
+		effectiveMappings.forEach(mapping => {
+			const isActive = mapping?.active !== false;
+			const rawTeamName = String(mapping?.teamName || '').trim();
+			const originalOrgId = String(mapping?.orgIdentifier || '').trim();
+			const normalizedOrgId = normalizeOrgId(originalOrgId);
+			if (!isActive || !rawTeamName || !normalizedOrgId) {
+				return;
+			}
 
-				// Import teams
-				if (importData.tables.teams && Array.isArray(importData.tables.teams)) {
-					for (const team of importData.tables.teams) {
-						try {
-							await client.query(`
-								INSERT INTO teams (id, name, color, logo_url, logo_data, logo_mime, created_at, updated_at)
-								VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-								ON CONFLICT (id) DO UPDATE SET
-									name = EXCLUDED.name,
-									color = EXCLUDED.color,
-									logo_url = EXCLUDED.logo_url,
-									logo_data = EXCLUDED.logo_data,
-									logo_mime = EXCLUDED.logo_mime,
-									created_at = EXCLUDED.created_at,
-									updated_at = EXCLUDED.updated_at
-							`, [
-								team.id,
-								team.name,
-								team.color,
-								team.logo_url,
-								team.logo_data ? Buffer.from(team.logo_data) : null,
-								team.logo_mime,
-								team.created_at,
-								team.updated_at
+			const teamKey = normalizeTeamKey(rawTeamName);
+			if (!teamAggregates.has(teamKey)) {
+				teamAggregates.set(teamKey, {
+					key: teamKey,
+					teamName: rawTeamName,
+					color: String(mapping?.color || '').trim(),
+					teamId: mapping?.teamId || null,
+					hasLogo: Boolean(mapping?.hasLogo),
+					logoUrl: String(mapping?.logoUrl || '').trim(),
+					clients: new Set(),
+					orgIds: new Set(),
+					orgDisplayNames: new Map(),
+					activeOrgDisplayNames: new Set(),
+					eventCount: 0
+				});
+			}
+
+			const entry = teamAggregates.get(teamKey);
+			entry.orgIds.add(normalizedOrgId);
+			orgToTeamKey.set(normalizedOrgId, teamKey);
+
+			if (!entry.teamId && mapping?.teamId) {
+				entry.teamId = mapping.teamId;
+			}
+			const mappingHasLogo = Boolean(mapping?.hasLogo);
+			if (mappingHasLogo && !entry.hasLogo) {
+				entry.hasLogo = true;
+			}
+			if (mapping?.logoUrl && !entry.logoUrl) {
+				entry.logoUrl = String(mapping.logoUrl).trim();
+			}
+
+			const clientName = String(mapping?.clientName || '').trim();
+			if (clientName) {
+				entry.clients.add(clientName);
+			}
+
+			const displayLabel = clientName || originalOrgId || normalizedOrgId;
+			if (displayLabel && !entry.orgDisplayNames.has(normalizedOrgId)) {
+				entry.orgDisplayNames.set(normalizedOrgId, displayLabel);
+			}
+
+			if (!entry.color && mapping?.color) {
+				entry.color = String(mapping.color).trim();
+			}
+		});
+	}
+
+	// If there are no active mappings we can return early and avoid a full scan
+	if (teamAggregates.size === 0 || orgToTeamKey.size === 0) {
+		return [];
+	}
+
+	const results = [];
+	const orgIdCounts = new Map();
+
+	// Use denormalized org_id column for faster queries
+	const aggregated = await db.query(
+		`
+			SELECT org_id, COUNT(*) AS event_count
+			FROM telemetry_events
+			WHERE created_at >= (NOW() - ($1 || ' days')::interval)
+				AND org_id IS NOT NULL
+				AND org_id != ''
+				AND deleted_at IS NULL
+			GROUP BY org_id
+			ORDER BY event_count DESC, org_id ASC
+		`,
+		[String(safeDays)]
+	);
+
+	aggregated.rows.forEach(row => {
+		const orgId = row.org_id;
+		if (orgId) {
+			orgIdCounts.set(orgId, Number.parseInt(row.event_count, 10) || 0);
+		}
+	});
+
+	// Convert to array and sort by count
+	const sortedOrgs = Array.from(orgIdCounts.entries())
+		.map(([orgId, count]) => ({orgId, count}))
+		.sort((a, b) => {
+			if (b.count !== a.count) {
+				return b.count - a.count;
+			}
+			return a.orgId.localeCompare(b.orgId);
+		});
+
+	// Map to team info and add to results
+	sortedOrgs.forEach(({orgId, count}) => {
+		const normalizedOrgId = normalizeOrgId(orgId);
+		const teamKey = orgToTeamKey.get(normalizedOrgId);
+		if (!teamKey) {
+			return;
+		}
+		const teamEntry = teamAggregates.get(teamKey);
+		if (teamEntry) {
+			teamEntry.eventCount += count;
+			const orgDisplayValue = teamEntry.orgDisplayNames.get(normalizedOrgId) || orgId;
+			if (orgDisplayValue) {
+				teamEntry.activeOrgDisplayNames.add(orgDisplayValue);
+			}
+		}
+	});
+
+	// Convert aggregates to sorted array and apply limit
+	Array.from(teamAggregates.values()).forEach(teamEntry => {
+		if (teamEntry.eventCount <= 0) {
+			return;
+		}
+		const clients = Array.from(teamEntry.clients);
+		const orgNames = Array.from(teamEntry.activeOrgDisplayNames)
+			.map(name => String(name || '').trim())
+			.filter(name => name.length > 0);
+		results.push({
+			id: teamEntry.key,
+			label: teamEntry.teamName,
+			clientName: clients.join(' · '),
+			orgs: orgNames,
+			color: teamEntry.color,
+			eventCount: teamEntry.eventCount,
+			teamId: teamEntry.teamId,
+			hasLogo: Boolean(teamEntry.hasLogo),
+			logoUrl: teamEntry.logoUrl || ''
+		});
+	});
+
+	return results
+		.sort((a, b) => {
+			if (b.eventCount !== a.eventCount) {
+				return b.eventCount - a.eventCount;
+			}
+			return a.label.localeCompare(b.label);
+		})
+		.slice(0, safeLimit);
+}
+
+/**
+ * Build org -> team mappings from the teams/orgs tables as a fallback when
+ * no explicit mappings are provided by the client.
+ */
+async function getOrgTeamMappingsFromTeamsTable() {
+	if (!db) {
+		return [];
+	}
+
+	try {
+		const {rows} = await db.query(`
+        SELECT
+          o.server_id AS org_id,
+          COALESCE(o.company_name, o.alias, '') AS client_name,
+          t.id AS team_id,
+          t.name AS team_name,
+          t.color AS team_color,
+          t.logo_mime AS team_logo_mime
+        FROM orgs o
+        JOIN teams t ON t.id = o.team_id
+        WHERE o.server_id IS NOT NULL
+          AND btrim(o.server_id) <> ''
+      `);
+
+		return rows
+			.filter(row => row.org_id && row.team_name)
+			.map(row => ({
+				orgIdentifier: row.org_id,
+				clientName: row.client_name || '',
+				teamId: row.team_id || null,
+				teamName: row.team_name,
+				color: row.team_color || '',
+				hasLogo: Boolean(row.team_logo_mime && String(row.team_logo_mime).trim() !== ''),
+				logoUrl: row.team_id && row.team_logo_mime ? `/api/teams/${row.team_id}/logo` : '',
+				active: true
+			}));
+	} catch (error) {
+		console.error('Error building org-team mappings from teams table:', error);
+	}
+
+	return [];
+}
+
+/**
+ * Convert any timestamp-ish input to ISO string for consistent ordering
+ */
+function normalizeStatsTimestamp(value) {
+	if (!value) {
+		return null;
+	}
+	if (value instanceof Date) {
+		return value.toISOString();
+	}
+	try {
+		const date = new Date(value);
+		return Number.isNaN(date.getTime()) ? null : date.toISOString();
+	} catch {
+		return null;
+	}
+}
+
+async function upsertUserEventStats(userId, eventTimestamp, displayName = null, client = db) {
+	if (!db || !userId) {
+		return;
+	}
+	const normalizedTimestamp = normalizeStatsTimestamp(eventTimestamp) || new Date().toISOString();
+
+	await client.query(
+		`
+        INSERT INTO user_event_stats (user_id, event_count, last_event, display_name)
+        VALUES ($1, 1, $2, $3)
+        ON CONFLICT (user_id) DO UPDATE SET
+          event_count = user_event_stats.event_count + 1,
+          last_event = CASE
+            WHEN EXCLUDED.last_event IS NOT NULL
+                 AND (user_event_stats.last_event IS NULL OR EXCLUDED.last_event > user_event_stats.last_event)
+            THEN EXCLUDED.last_event
+            ELSE user_event_stats.last_event
+          END,
+          display_name = COALESCE(EXCLUDED.display_name, user_event_stats.display_name)
+      `,
+		[userId, normalizedTimestamp, displayName || null]
+	);
+}
+
+async function upsertOrgEventStats(orgId, eventTimestamp, client = db) {
+	if (!db || !orgId) {
+		return;
+	}
+	const normalizedTimestamp = normalizeStatsTimestamp(eventTimestamp) || new Date().toISOString();
+
+	await client.query(
+		`
+        INSERT INTO org_event_stats (org_id, event_count, last_event)
+        VALUES ($1, 1, $2)
+        ON CONFLICT (org_id) DO UPDATE SET
+          event_count = org_event_stats.event_count + 1,
+          last_event = CASE
+            WHEN EXCLUDED.last_event IS NOT NULL
+                 AND (org_event_stats.last_event IS NULL OR EXCLUDED.last_event > org_event_stats.last_event)
+            THEN EXCLUDED.last_event
+            ELSE org_event_stats.last_event
+          END
+      `,
+		[orgId, normalizedTimestamp]
+	);
+}
+
+/**
+ * Count one stored event in user_event_stats and org_event_stats
+ * Pass the client of the transaction that stored it, so the counters and the event commit together.
+ */
+async function updateAggregatedStatsForEvent(userId, orgId, eventTimestamp, displayName = null, client = db) {
+	const tasks = [];
+	if (userId) {
+		tasks.push(upsertUserEventStats(userId, eventTimestamp, displayName, client));
+	}
+	if (orgId) {
+		tasks.push(upsertOrgEventStats(orgId, eventTimestamp, client));
+	}
+	if (tasks.length > 0) {
+		await Promise.all(tasks);
+	}
+}
+
+async function recomputeUserEventStats(userIds = []) {
+	if (!db) {
+		return;
+	}
+	const uniqueIds = Array.from(new Set((userIds || []).filter(id => typeof id === 'string' && id.trim() !== '')));
+	if (uniqueIds.length === 0) {
+		return;
+	}
+
+	for (const userId of uniqueIds) {
+		const {rows} = await db.query(
+			`
+				SELECT
+					COUNT(*) AS event_count,
+					MAX(timestamp) AS last_event,
+					(
+						SELECT user_name
+						FROM telemetry_events te2
+						WHERE te2.user_id = $1
+							AND te2.user_name IS NOT NULL
+							AND TRIM(te2.user_name) != ''
+						ORDER BY te2.timestamp DESC
+						LIMIT 1
+					) AS display_name
+				FROM telemetry_events
+				WHERE user_id = $1
+			`,
+			[userId]
+		);
+		const stats = rows[0] || {};
+		const count = Number.parseInt(stats.event_count, 10) || 0;
+		if (count === 0) {
+			await db.query('DELETE FROM user_event_stats WHERE user_id = $1', [userId]);
+			continue;
+		}
+		await db.query(
+			`
+				INSERT INTO user_event_stats (user_id, event_count, last_event, display_name)
+				VALUES ($1, $2, $3, $4)
+				ON CONFLICT (user_id) DO UPDATE SET
+					event_count = EXCLUDED.event_count,
+					last_event = EXCLUDED.last_event,
+					display_name = COALESCE(EXCLUDED.display_name, user_event_stats.display_name)
+			`,
+			[userId, count, stats.last_event || null, stats.display_name || null]
+		);
+	}
+}
+
+async function recomputeOrgEventStats(orgIds = []) {
+	if (!db) {
+		return;
+	}
+	const uniqueIds = Array.from(new Set((orgIds || []).filter(id => typeof id === 'string' && id.trim() !== '')));
+	if (uniqueIds.length === 0) {
+		return;
+	}
+
+	for (const orgId of uniqueIds) {
+			const {rows} = await db.query(
+				`
+          SELECT
+            COUNT(*) AS event_count,
+            MAX(timestamp) AS last_event
+          FROM telemetry_events
+          WHERE org_id = $1
+        `,
+				[orgId]
+			);
+			const stats = rows[0] || {};
+			const count = Number.parseInt(stats.event_count, 10) || 0;
+			if (count === 0) {
+				await db.query('DELETE FROM org_event_stats WHERE org_id = $1', [orgId]);
+				continue;
+			}
+			await db.query(
+				`
+          INSERT INTO org_event_stats (org_id, event_count, last_event)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (org_id) DO UPDATE SET
+            event_count = EXCLUDED.event_count,
+            last_event = EXCLUDED.last_event
+        `,
+				[orgId, count, stats.last_event || null]
+			);
+		}
+	}
+
+
+async function getUserEventStats(options = {}) {
+	const {limit, offset} = options;
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	let query = `
+    SELECT user_id, display_name, event_count, last_event
+    FROM user_event_stats
+    ORDER BY
+      CASE WHEN last_event IS NULL THEN 1 ELSE 0 END,
+      last_event DESC,
+      user_id ASC
+  `;
+	const params = [];
+	if (limit) {
+		query += ' LIMIT $1';
+		params.push(limit);
+	}
+	if (offset) {
+		query += ` OFFSET $${params.length + 1}`;
+		params.push(offset);
+	}
+	const {rows} = await db.query(query, params);
+	return rows.map(row => ({
+		id: row.user_id,
+		label: (row.display_name || row.user_id || '').trim() || row.user_id || '',
+		eventCount: Number(row.event_count) || 0,
+		lastEvent: row.last_event || null
+	})).filter(entry => entry.id);
+}
+
+async function getOrgStatsMap() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const statsMap = new Map();
+	const {rows} = await db.query('SELECT org_id, event_count, last_event FROM org_event_stats');
+	rows.forEach(row => {
+		if (row.org_id) {
+			statsMap.set(String(row.org_id).trim().toLowerCase(), {
+				orgId: row.org_id,
+				eventCount: Number(row.event_count) || 0,
+				lastEvent: row.last_event || null
+			});
+		}
+	});
+	return statsMap;
+}
+
+/**
+ * Aggregate team stats using org -> team mappings and org_event_stats totals.
+ * Only active mappings contribute to event counts.
+ */
+async function getTeamStats(orgTeamMappings = []) {
+	const normalizeTeamKey = (value) => String(value || '').trim().toLowerCase();
+	const normalizeOrgId = (value) => String(value || '').trim().toLowerCase();
+
+	const mappingsFromRequest = Array.isArray(orgTeamMappings) ? orgTeamMappings : [];
+	const effectiveMappings = mappingsFromRequest.length > 0 ? mappingsFromRequest : await getOrgTeamMappingsFromTeamsTable();
+
+	if (!effectiveMappings || effectiveMappings.length === 0) {
+		return [];
+	}
+
+	const orgStats = await getOrgStatsMap();
+	const teamsMap = new Map();
+
+	if (Array.isArray(effectiveMappings)) {
+		effectiveMappings.forEach(mapping => {
+			const rawTeamName = String(mapping?.teamName || '').trim();
+			const rawOrgId = normalizeOrgId(mapping?.orgIdentifier);
+			const clientName = String(mapping?.clientName || '').trim();
+			const color = String(mapping?.color || '').trim();
+			const isActive = mapping?.active !== false;
+
+			if (!rawTeamName || !rawOrgId) {
+				return;
+			}
+
+			const teamKey = normalizeTeamKey(rawTeamName);
+			if (!teamsMap.has(teamKey)) {
+				teamsMap.set(teamKey, {
+					key: teamKey,
+					teamName: rawTeamName,
+					color: color,
+					teamId: mapping?.teamId || null,
+					hasLogo: Boolean(mapping?.hasLogo),
+					logoUrl: String(mapping?.logoUrl || '').trim(),
+					clients: new Set(),
+					orgs: new Set(),
+					activeCount: 0,
+					inactiveCount: 0,
+					eventCount: 0
+				});
+			}
+
+			const entry = teamsMap.get(teamKey);
+			entry.orgs.add(rawOrgId);
+			if (clientName) {
+				entry.clients.add(clientName);
+			}
+			if (!entry.color && color) {
+				entry.color = color;
+			}
+			if (!entry.teamId && mapping?.teamId) {
+				entry.teamId = mapping.teamId;
+			}
+			if (mapping?.hasLogo && !entry.hasLogo) {
+				entry.hasLogo = true;
+			}
+			if (mapping?.logoUrl && !entry.logoUrl) {
+				entry.logoUrl = String(mapping.logoUrl).trim();
+			}
+			if (isActive) {
+				entry.activeCount += 1;
+			} else {
+				entry.inactiveCount += 1;
+			}
+		});
+	}
+
+	// Apply event counts based on org stats and only active mappings
+	orgStats.forEach((stats, orgKey) => {
+		effectiveMappings
+			.filter(mapping => mapping?.active !== false && normalizeOrgId(mapping?.orgIdentifier) === orgKey)
+			.forEach(mapping => {
+				const teamKey = normalizeTeamKey(mapping.teamName);
+				const entry = teamsMap.get(teamKey);
+				if (entry) {
+					entry.eventCount += stats.eventCount;
+				}
+			});
+	});
+
+	return Array.from(teamsMap.values())
+		.map(entry => ({
+			...entry,
+			clients: Array.from(entry.clients),
+			orgs: Array.from(entry.orgs),
+			totalMappings: entry.activeCount + entry.inactiveCount
+		}))
+		.sort((a, b) => a.teamName.localeCompare(b.teamName));
+}
+
+/**
+ * Get a setting value by key
+ * @param {string} key - The setting key
+ * @returns {string|null} - The setting value or null if not found
+ */
+async function getSetting(key) {
+	if (!db) {
+		return null;
+	}
+
+	try {
+		const result = await db.query('SELECT value FROM settings WHERE key = $1', [key]);
+		return result.rows.length > 0 ? result.rows[0].value : null;
+	} catch (error) {
+		console.error(`Error getting setting ${key}:`, error);
+		return null;
+	}
+}
+
+/**
+ * Save a setting value by key
+ * @param {string} key - The setting key
+ * @param {string} value - The setting value
+ */
+async function saveSetting(key, value) {
+	if (!db) {
+		return;
+	}
+
+	try {
+		await db.query(`
+			INSERT INTO settings (key, value, updated_at)
+			VALUES ($1, $2, NOW())
+			ON CONFLICT (key)
+			DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+		`, [key, value]);
+	} catch (error) {
+		console.error(`Error saving setting ${key}:`, error);
+	}
+}
+
+/**
+ * Ensure teams table exists and orgs/users tables have team_id foreign key
+ * Creates teams table with id, name (unique), color, logo_url, timestamps
+ * Adds team_id column to orgs and users tables
+ */
+/**
+ * Team management functions
+ */
+
+/**
+ * Get all teams with their orgs and users count
+ * @returns {Promise<Array>} Array of team objects with orgs and users count
+ */
+async function getAllTeams() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const teamsResult = await db.query(`
+			SELECT
+				t.id,
+				t.name,
+				t.color,
+				t.logo_url,
+				t.logo_mime,
+				t.created_at,
+				t.updated_at,
+				COUNT(DISTINCT o.server_id) as org_count,
+				COUNT(DISTINCT teu.user_name) as user_count
+			FROM teams t
+			LEFT JOIN orgs o ON o.team_id = t.id
+			LEFT JOIN team_event_users teu ON teu.team_id = t.id
+			GROUP BY t.id
+			ORDER BY t.name ASC
+		`);
+
+		return teamsResult.rows.map(team => ({
+			id: team.id,
+			name: team.name,
+			color: team.color || null,
+			logo_url: team.logo_url || null,
+			has_logo: Boolean(team.logo_mime && team.logo_mime.trim() !== ''),
+			created_at: team.created_at,
+			updated_at: team.updated_at,
+			org_count: Number.parseInt(team.org_count, 10) || 0,
+			user_count: Number.parseInt(team.user_count, 10) || 0
+		}));
+	} catch (error) {
+		console.error('Error getting all teams:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get a team by ID with its orgs and users
+ * @param {number} teamId - Team ID
+ * @returns {Promise<object|null>} Team object with orgs and users, or null if not found
+ */
+async function getTeamById(teamId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const teamResult = await db.query(`
+        SELECT
+          id,
+          name,
+          color,
+          logo_url,
+          logo_mime,
+          created_at,
+          updated_at
+        FROM teams
+        WHERE id = $1
+      `, [teamId]);
+
+			if (teamResult.rows.length === 0) {
+				return null;
+			}
+
+			const team = teamResult.rows[0];
+
+			const orgsResult = await db.query(`
+        SELECT
+          server_id,
+          company_name,
+          alias,
+          team_id,
+          created_at,
+          updated_at
+        FROM orgs
+        WHERE team_id = $1
+        ORDER BY alias ASC, server_id ASC
+      `, [teamId]);
+
+			// Get event log users assigned to this team
+			const eventUsersResult = await db.query(`
+        SELECT
+          user_name,
+          created_at
+        FROM team_event_users
+        WHERE team_id = $1
+        ORDER BY user_name ASC
+      `, [teamId]);
+
+		return {
+			id: team.id,
+			name: team.name,
+			color: team.color || null,
+			logo_url: team.logo_url || null,
+			has_logo: Boolean(team.logo_mime && team.logo_mime.trim() !== ''),
+			created_at: team.created_at,
+			updated_at: team.updated_at,
+			orgs: orgsResult.rows.map(org => ({
+				id: org.server_id,
+				alias: org.alias || null,
+				company_name: org.company_name || null,
+				team_id: org.team_id || null,
+				created_at: org.created_at,
+				updated_at: org.updated_at
+			})),
+			users: eventUsersResult.rows.map(user => ({
+				user_name: user.user_name,
+				created_at: user.created_at
+			}))
+		};
+	} catch (error) {
+		console.error('Error getting team by ID:', error);
+		throw error;
+	}
+}
+
+/**
+ * Add an event log user to a team
+ * @param {number} teamId - Team ID
+ * @param {string} userName - Event log user name
+ * @returns {Promise<object>} Result object
+ */
+async function addEventUserToTeam(teamId, userName) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		await db.query(`
+			INSERT INTO team_event_users (team_id, user_name)
+			VALUES ($1, $2)
+			ON CONFLICT (team_id, user_name) DO NOTHING
+		`, [teamId, userName]);
+
+		return {status: 'ok', message: 'Event user added to team successfully'};
+	} catch (error) {
+		console.error('Error adding event user to team:', error);
+		throw error;
+	}
+}
+
+/**
+ * Remove an event log user from a team
+ * @param {number} teamId - Team ID
+ * @param {string} userName - Event log user name
+ * @returns {Promise<object>} Result object
+ */
+async function removeEventUserFromTeam(teamId, userName) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		await db.query(`
+			DELETE FROM team_event_users
+			WHERE team_id = $1 AND user_name = $2
+		`, [teamId, userName]);
+
+		return {status: 'ok', message: 'Event user removed from team successfully'};
+	} catch (error) {
+		console.error('Error removing event user from team:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get all unique event log user names from telemetry data
+ * @param {number} limit - Maximum number of users to return
+ * @returns {Promise<Array>} Array of user names
+ */
+async function getEventUserNames(limit = 1000) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(`
+			SELECT DISTINCT user_label
+			FROM (
+				SELECT COALESCE(
+					NULLIF(TRIM(user_name), ''),
+					NULLIF(TRIM(user_id), '')
+				) AS user_label
+				FROM telemetry_events
+			) AS labels
+			WHERE user_label IS NOT NULL
+			ORDER BY user_label ASC
+			LIMIT $1
+		`, [limit]);
+
+		return result.rows.map(u => u.user_label);
+	} catch (error) {
+		console.error('Error getting event user names:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get a person by ID
+ * @param {number} personId - Person ID
+ * @returns {Promise<Object|null>} Person object or null if not found
+ */
+async function getPersonById(personId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query('SELECT id, name, initials, created_at FROM people WHERE id = $1', [personId]);
+		return result.rows[0] || null;
+	} catch (error) {
+		console.error('Error getting person by ID:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get all people
+ * @returns {Promise<Array>} Array of people
+ */
+async function getAllPeople() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(`
+			SELECT p.id, p.name, p.initials, p.created_at, COUNT(pu.username) as username_count
+			FROM people p
+			LEFT JOIN person_usernames pu ON p.id = pu.person_id
+			GROUP BY p.id, p.name, p.initials, p.created_at
+			ORDER BY p.id ASC
+		`);
+		return result.rows;
+	} catch (error) {
+		console.error('Error getting all people:', error);
+		throw error;
+	}
+}
+
+/**
+ * Create a new person
+ * @returns {Promise<object>} Created person object
+ */
+async function createPerson(name, initials = null) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(
+			'INSERT INTO people (name, initials) VALUES ($1, $2) RETURNING id, name, initials, created_at',
+			[name, initials]
+		);
+		return result.rows[0];
+	} catch (error) {
+		console.error('Error creating person:', error);
+		throw error;
+	}
+}
+
+/**
+ * Update a person's information
+ * @param {number} personId - Person ID
+ * @returns {Promise<object>} Updated person object
+ */
+async function updatePerson(personId, name, initials = null) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	if (!personId || Number.isNaN(personId)) {
+		throw new Error('Valid person ID is required');
+	}
+
+	try {
+		const result = await db.query(
+			'UPDATE people SET name = $1, initials = $2 WHERE id = $3 RETURNING id, name, initials, created_at',
+			[name, initials, personId]
+		);
+
+		if (result.rows.length === 0) {
+			throw new Error('Person not found');
+		}
+
+		return result.rows[0];
+	} catch (error) {
+		console.error('Error updating person:', error);
+		throw error;
+	}
+}
+
+/**
+ * Delete a person and all associated usernames
+ * @param {number} personId - Person ID
+ * @returns {Promise<void>}
+ */
+async function deletePerson(personId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	if (!personId || Number.isNaN(personId)) {
+		throw new Error('Valid person ID is required');
+	}
+
+	try {
+		// Check if person exists and delete in one query
+		const result = await db.query('DELETE FROM people WHERE id = $1 RETURNING id', [personId]);
+
+		if (result.rows.length === 0) {
+			throw new Error('Person not found');
+		}
+	} catch (error) {
+		console.error('Error deleting person:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get usernames associated with a person
+ * @param {number} personId - Person ID
+ * @returns {Promise<Array>} Array of usernames for the person
+ */
+async function getPersonUsernames(personId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	if (!personId || Number.isNaN(personId)) {
+		throw new Error('Valid person ID is required');
+	}
+
+	try {
+		const result = await db.query(`
+			SELECT id, person_id, username, org_id, is_primary, created_at
+			FROM person_usernames
+			WHERE person_id = $1
+			ORDER BY is_primary DESC, username ASC
+		`, [personId]);
+		return result.rows;
+	} catch (error) {
+		console.error('Error getting person usernames:', error);
+		throw error;
+	}
+}
+
+/**
+ * Add a username to a person
+ * @param {number} personId - Person ID
+ * @param {string} username - Username to add
+ * @param {string|null} orgId - Optional organization ID
+ * @returns {Promise<object>} Created username association object
+ */
+async function addUsernameToPerson(personId, username, orgId = null) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	if (!personId || Number.isNaN(personId)) {
+		throw new Error('Valid person ID is required');
+	}
+
+	if (!username || username.trim() === '') {
+		throw new Error('Username is required');
+	}
+
+	try {
+		const result = await db.query(`
+			INSERT INTO person_usernames (person_id, username, org_id, is_primary)
+			VALUES ($1, $2, $3, FALSE)
+			RETURNING id, person_id, username, org_id, is_primary, created_at
+		`, [personId, username.trim(), orgId]);
+		return result.rows[0];
+	} catch (error) {
+		// Check if it's a unique constraint violation
+		if (error.message && error.message.includes('UNIQUE constraint failed')) {
+			throw new Error('This username is already associated with this person');
+		}
+		console.error('Error adding username to person:', error);
+		throw error;
+	}
+}
+
+/**
+ * Remove a username from a person
+ * @param {number} personId - Person ID
+ * @param {string} username - Username to remove
+ * @returns {Promise<boolean>} True if username was removed, false if not found
+ */
+async function removeUsernameFromPerson(personId, username) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	if (!personId || Number.isNaN(personId)) {
+		throw new Error('Valid person ID is required');
+	}
+
+	if (!username || username.trim() === '') {
+		throw new Error('Username is required');
+	}
+
+	try {
+		const result = await db.query(`
+			DELETE FROM person_usernames
+			WHERE person_id = $1 AND username = $2
+		`, [personId, username.trim()]);
+		return result.rowCount > 0;
+	} catch (error) {
+		console.error('Error removing username from person:', error);
+		throw error;
+	}
+}
+
+/**
+ * Create a new team
+ * @param {string} name - Team name (must be unique)
+ * @param {string} color - Team color (hex or CSS color)
+ * @param {string} logoUrl - Optional logo URL
+ * @param {Buffer} logoData - Optional logo binary data
+ * @param {string} logoMime - Optional logo MIME type
+ * @returns {Promise<object>} Created team object
+ */
+async function createTeam(name, color = null, logoUrl = null, logoData = null, logoMime = null) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	if (!name || typeof name !== 'string' || name.trim() === '') {
+		throw new Error('Team name is required');
+	}
+
+	const now = new Date().toISOString();
+
+	try {
+		const result = await db.query(`
+			INSERT INTO teams (name, color, logo_url, logo_data, logo_mime, created_at, updated_at)
+			VALUES ($1, $2, $3, $4, $5, $6, $7)
+			RETURNING id, name, color, logo_url, created_at, updated_at
+		`, [name.trim(), color || null, logoUrl || null, logoData || null, logoMime || null, now, now]);
+		return result.rows[0];
+	} catch (error) {
+		if (error.message.includes('UNIQUE constraint') || error.message.includes('duplicate key')) {
+			throw new Error('Team name already exists');
+		}
+		console.error('Error creating team:', error);
+		throw error;
+	}
+}
+
+/**
+ * Update a team
+ * @param {number} teamId - Team ID
+ * @param {object} updates - Object with name, color, logo_url, logo_data, logo_mime to update
+ * @returns {Promise<boolean>} True if updated, false if not found
+ */
+async function updateTeam(teamId, updates) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const {name, color, logo_url, logo_data, logo_mime} = updates || {};
+	const now = new Date().toISOString();
+	const updatesList = [];
+	const params = [];
+
+	if (name !== undefined) {
+		if (typeof name !== 'string' || name.trim() === '') {
+			throw new Error('Team name cannot be empty');
+		}
+		updatesList.push(`name = $${params.length + 1}`);
+		params.push(name.trim());
+	}
+
+	if (color !== undefined) {
+		updatesList.push(`color = $${params.length + 1}`);
+		params.push(color || null);
+	}
+
+	if (logo_url !== undefined) {
+		updatesList.push(`logo_url = $${params.length + 1}`);
+		params.push(logo_url || null);
+	}
+
+	if (logo_data !== undefined) {
+		updatesList.push(`logo_data = $${params.length + 1}`);
+		params.push(logo_data || null);
+	}
+
+	if (logo_mime !== undefined) {
+		updatesList.push(`logo_mime = $${params.length + 1}`);
+		params.push(logo_mime || null);
+	}
+
+	if (updatesList.length === 0) {
+		return false;
+	}
+
+	updatesList.push(`updated_at = $${params.length + 1}`);
+	params.push(now);
+
+	params.push(teamId);
+
+	try {
+		const result = await db.query(`
+			UPDATE teams
+			SET ${updatesList.join(', ')}
+			WHERE id = $${params.length}
+		`, params);
+		return result.rowCount > 0;
+	} catch (error) {
+		if (error.message.includes('UNIQUE constraint') || error.message.includes('duplicate key')) {
+			throw new Error('Team name already exists');
+		}
+		console.error('Error updating team:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get team logo data
+ * @param {number} teamId - Team ID
+ * @returns {Promise<{data: Buffer, mime: string}|null>} Logo data and MIME type, or null if not found
+ */
+async function getTeamLogo(teamId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(`
+			SELECT logo_data, logo_mime
+			FROM teams
+			WHERE id = $1 AND logo_data IS NOT NULL AND logo_mime IS NOT NULL
+		`, [teamId]);
+
+		if (result.rows.length === 0 || !result.rows[0].logo_data || !result.rows[0].logo_mime) {
+			return null;
+		}
+
+		return {
+			data: result.rows[0].logo_data,
+			mime: result.rows[0].logo_mime
+		};
+	} catch (error) {
+		console.error('Error getting team logo:', error);
+		throw error;
+	}
+}
+
+/**
+ * Delete a team
+ * @param {number} teamId - Team ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+async function deleteTeam(teamId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		// First, unassign orgs and users from this team
+		await db.query('UPDATE orgs SET team_id = NULL WHERE team_id = $1', [teamId]);
+		await db.query('UPDATE users SET team_id = NULL WHERE team_id = $1', [teamId]);
+
+		const result = await db.query('DELETE FROM teams WHERE id = $1', [teamId]);
+		return result.rowCount > 0;
+	} catch (error) {
+		console.error('Error deleting team:', error);
+		throw error;
+	}
+}
+
+/**
+ * Org management functions (extended)
+ */
+
+/**
+ * Get all orgs with their team information
+ * @returns {Promise<Array>} Array of org objects with team info
+ */
+async function getAllOrgsWithTeams() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(`
+			SELECT
+				o.server_id,
+				o.company_name,
+				o.alias,
+				o.team_id,
+				o.created_at,
+				o.updated_at,
+				t.name as team_name,
+				t.color as team_color
+			FROM orgs o
+			LEFT JOIN teams t ON t.id = o.team_id
+			ORDER BY o.alias ASC, o.server_id ASC
+		`);
+
+		return result.rows.map(org => ({
+			id: org.server_id,
+			alias: org.alias || null,
+			company_name: org.company_name || null,
+			team_id: org.team_id || null,
+			team_name: org.team_name || null,
+			team_color: org.team_color || null,
+			created_at: org.created_at,
+			updated_at: org.updated_at
+		}));
+	} catch (error) {
+		console.error('Error getting all orgs with teams:', error);
+		throw error;
+	}
+}
+
+/**
+ * Create or update an org
+ * @param {string} orgId - Org identifier (server_id)
+ * @param {object} orgData - Object with alias, team_id, company_name
+ * @returns {Promise<object>} Created or updated org object
+ */
+async function upsertOrg(orgId, orgData = {}) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	if (!orgId || typeof orgId !== 'string' || orgId.trim() === '') {
+		throw new Error('Org ID is required');
+	}
+
+	const {alias, team_id, company_name} = orgData;
+	const now = new Date().toISOString();
+
+	try {
+		const result = await db.query(`
+			INSERT INTO orgs (server_id, alias, team_id, company_name, created_at, updated_at)
+			VALUES ($1, $2, $3, $4, $5, $6)
+			ON CONFLICT (server_id) DO UPDATE SET
+				alias = COALESCE(EXCLUDED.alias, orgs.alias),
+				team_id = COALESCE(EXCLUDED.team_id, orgs.team_id),
+				company_name = COALESCE(EXCLUDED.company_name, orgs.company_name),
+				updated_at = EXCLUDED.updated_at
+			RETURNING server_id, alias, team_id, company_name, created_at, updated_at
+		`, [orgId, alias || null, team_id || null, company_name || null, now, now]);
+
+		return result.rows[0];
+	} catch (error) {
+		console.error('Error upserting org:', error);
+		throw error;
+	}
+}
+
+/**
+ * Move an org to a different team
+ * @param {string} orgId - Org identifier
+ * @param {number|null} teamId - New team ID (null to unassign)
+ * @returns {Promise<boolean>} True if moved, false if org not found
+ */
+async function moveOrgToTeam(orgId, teamId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(
+			'UPDATE orgs SET team_id = $1, updated_at = NOW() WHERE server_id = $2',
+			[teamId || null, orgId]
+		);
+		if (result.rowCount > 0) {
+			// Recalculate team_id for all existing events of this org
+			await recalculateTeamIdsForOrg(orgId);
+		}
+		return result.rowCount > 0;
+	} catch (error) {
+		console.error('Error moving org to team:', error);
+		throw error;
+	}
+}
+
+/**
+ * Assign a user to a team
+ * @param {number} userId - User ID
+ * @param {number|null} teamId - Team ID (null to unassign)
+ * @returns {Promise<boolean>} True if assigned, false if user not found
+ */
+async function assignUserToTeam(userId, teamId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query('UPDATE users SET team_id = $1 WHERE id = $2', [teamId || null, userId]);
+		return result.rowCount > 0;
+	} catch (error) {
+		console.error('Error assigning user to team:', error);
+		throw error;
+	}
+}
+
+/**
+ * Ensure remember_tokens table exists
+ */
+/**
+ * Ensure Copilot user exists if COPILOT_USERNAME and COPILOT_PASSWORD are set
+ * This is useful for GitHub Copilot environments where the database needs to be initialized
+ * with a default user for testing and development.
+ */
+async function ensureCopilotUser() {
+	if (!db) {
+		return;
+	}
+
+	const copilotUsername = process.env.COPILOT_USERNAME;
+	const copilotPassword = process.env.COPILOT_PASSWORD;
+	const copilotRole = process.env.COPILOT_ROLE || 'god';
+
+	// Only create user if both username and password are provided
+	if (!copilotUsername || !copilotPassword) {
+		return;
+	}
+
+	try {
+		// Check if user already exists
+		const existingUser = await getUserByUsername(copilotUsername);
+		if (existingUser) {
+			// User exists, optionally update role if needed
+			if (copilotRole && existingUser.role !== copilotRole) {
+				await updateUserRole(copilotUsername, copilotRole);
+				console.log(`✅ Updated Copilot user "${copilotUsername}" role to "${copilotRole}"`);
+			}
+			return;
+		}
+
+		// Import hashPassword from auth module
+		const {hashPassword} = await import('../auth/auth.js');
+		const passwordHash = await hashPassword(copilotPassword);
+		await createUser(copilotUsername, passwordHash, copilotRole);
+		console.log(`✅ Created Copilot user "${copilotUsername}" with role "${copilotRole}"`);
+	} catch (error) {
+		console.error('Error ensuring Copilot user:', error);
+		// Don't throw - this is a convenience feature, not critical
+	}
+}
+
+/**
+ * Create a remember token for a user
+ * @param {number} userId - User ID
+ * @param {string} expiresAt - ISO timestamp when token expires
+ * @param {string} userAgent - Optional user agent string
+ * @param {string} ipAddress - Optional IP address
+ * @returns {Promise<{token: string, id: number}>} - Returns the plain token and token ID
+ */
+async function createRememberToken(userId, expiresAt, userAgent = null, ipAddress = null) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	// Generate a random token (32 bytes = 64 hex characters)
+	const token = crypto.randomBytes(32).toString('hex');
+	// Hash the token before storing
+	const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+	try {
+		const result = await db.query(
+			`INSERT INTO remember_tokens (user_id, token_hash, expires_at, user_agent, ip_address)
+			VALUES ($1, $2, $3, $4, $5)
+			RETURNING id`,
+			[userId, tokenHash, expiresAt, userAgent, ipAddress]
+		);
+		return {token, id: result.rows[0].id};
+	} catch (error) {
+		console.error('Error creating remember token:', error);
+		throw error;
+	}
+}
+
+/**
+ * Validate and get user ID from a remember token
+ * @param {string} token - Plain token string
+ * @returns {Promise<{userId: number, tokenId: number} | null>} - Returns user ID and token ID if valid, null otherwise
+ */
+async function validateRememberToken(token) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+	try {
+		const result = await db.query(
+			`SELECT id, user_id
+			FROM remember_tokens
+			WHERE token_hash = $1
+				AND expires_at > NOW()
+				AND revoked_at IS NULL`,
+			[tokenHash]
+		);
+		return result.rows.length > 0 ? {userId: result.rows[0].user_id, tokenId: result.rows[0].id} : null;
+	} catch (error) {
+		console.error('Error validating remember token:', error);
+		return null;
+	}
+}
+
+/**
+ * Revoke a remember token by ID
+ * @param {number} tokenId - Token ID to revoke
+ * @returns {Promise<boolean>} - Returns true if token was revoked
+ */
+async function revokeRememberToken(tokenId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query('UPDATE remember_tokens SET revoked_at = NOW() WHERE id = $1', [tokenId]);
+		return result.rowCount > 0;
+	} catch (error) {
+		console.error('Error revoking remember token:', error);
+		return false;
+	}
+}
+
+/**
+ * Revoke all remember tokens for a user
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} - Returns number of tokens revoked
+ */
+async function revokeAllRememberTokensForUser(userId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query('UPDATE remember_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL', [userId]);
+		return result.rowCount;
+	} catch (error) {
+		console.error('Error revoking all remember tokens for user:', error);
+		return 0;
+	}
+}
+
+/**
+ * Rotate a remember token (create new, revoke old)
+ * @param {number} oldTokenId - Old token ID to revoke
+ * @param {number} userId - User ID
+ * @param {string} expiresAt - New expiration timestamp
+ * @param {string} userAgent - Optional user agent string
+ * @param {string} ipAddress - Optional IP address
+ * @returns {Promise<{token: string, id: number}>} - Returns the new plain token and token ID
+ */
+async function rotateRememberToken(oldTokenId, userId, expiresAt, userAgent = null, ipAddress = null) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	// Revoke old token
+	await revokeRememberToken(oldTokenId);
+
+	// Create new token
+	return createRememberToken(userId, expiresAt, userAgent, ipAddress);
+}
+
+/**
+ * Clean up expired remember tokens (optional maintenance)
+ * @returns {Promise<number>} - Returns number of tokens deleted
+ */
+async function cleanupExpiredRememberTokens() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query('DELETE FROM remember_tokens WHERE expires_at < NOW()');
+		return result.rowCount;
+	} catch (error) {
+		console.error('Error cleaning up expired remember tokens:', error);
+		return 0;
+	}
+}
+
+/**
+ * Get active remember tokens count for a user (to enforce limits)
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} - Returns count of active tokens
+ */
+async function getActiveRememberTokensCount(userId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(
+			`SELECT COUNT(*) as count
+			FROM remember_tokens
+			WHERE user_id = $1
+				AND expires_at > NOW()
+				AND revoked_at IS NULL`,
+			[userId]
+		);
+		return result.rows.length > 0 ? Number.parseInt(result.rows[0].count, 10) : 0;
+	} catch (error) {
+		console.error('Error getting active remember tokens count:', error);
+		return 0;
+	}
+}
+
+/**
+ * Normalize a list of scope identifiers (server IDs or org IDs)
+ * @param {Array<string>|string|null} values - Raw list or comma-separated string
+ * @returns {Array<string>} - Trimmed, de-duplicated, non-empty identifiers
+ */
+function normalizeScopeList(values) {
+	const list = Array.isArray(values) ? values : String(values || '').split(',');
+	return [...new Set(list
+		.filter(value => typeof value === 'string')
+		.map(value => value.trim())
+		.filter(value => value !== ''))];
+}
+
+/**
+ * Create an ingestion API key for POST /telemetry
+ * @param {object} options - Key options
+ * @param {string} options.name - Human readable label
+ * @param {Array<string>} options.serverIds - server_id values the key may send events for (empty = any)
+ * @param {Array<string>} options.orgIds - org IDs the key may send events for (empty = any)
+ * @param {string} options.createdBy - Username of the administrator creating the key
+ * @param {number} options.rotatedFrom - ID of the key this one replaces (optional)
+ * @returns {Promise<{key: string, apiKey: object}>} - Returns the plain key (only shown once) and the stored record
+ */
+async function createIngestionApiKey({name, serverIds = [], orgIds = [], createdBy = null, rotatedFrom = null}) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	// Generate a random key (32 bytes = 64 hex characters) with a recognizable prefix
+	const key = `tlm_${crypto.randomBytes(32).toString('hex')}`;
+	// Hash the key before storing
+	const keyHash = crypto.createHash('sha256').update(key).digest('hex');
+	const keyPrefix = key.slice(0, 12);
+
+	try {
+		const result = await db.query(
+			`INSERT INTO ingestion_api_keys (name, key_hash, key_prefix, server_ids, org_ids, created_by, rotated_from)
+			VALUES ($1, $2, $3, $4, $5, $6, $7)
+			RETURNING id, name, key_prefix, server_ids, org_ids, created_by, rotated_from, last_used_at, revoked_at, created_at`,
+			[name, keyHash, keyPrefix, normalizeScopeList(serverIds), normalizeScopeList(orgIds), createdBy, rotatedFrom]
+		);
+		return {key, apiKey: result.rows[0]};
+	} catch (error) {
+		console.error('Error creating ingestion API key:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get all ingestion API keys (without hashes)
+ * @returns {Promise<Array>} - Keys ordered by creation date, newest first
+ */
+async function getIngestionApiKeys() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(
+			`SELECT id, name, key_prefix, server_ids, org_ids, created_by, rotated_from, last_used_at, revoked_at, created_at
+			FROM ingestion_api_keys
+			ORDER BY created_at DESC, id DESC`
+		);
+		return result.rows;
+	} catch (error) {
+		console.error('Error getting ingestion API keys:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get an ingestion API key by ID (without hash)
+ * @param {number} keyId - Key ID
+ * @returns {Promise<object|null>} - Key record or null if not found
+ */
+async function getIngestionApiKeyById(keyId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(
+			`SELECT id, name, key_prefix, server_ids, org_ids, created_by, rotated_from, last_used_at, revoked_at, created_at
+			FROM ingestion_api_keys
+			WHERE id = $1`,
+			[keyId]
+		);
+		return result.rows.length > 0 ? result.rows[0] : null;
+	} catch (error) {
+		console.error('Error getting ingestion API key:', error);
+		throw error;
+	}
+}
+
+/**
+ * Look up an ingestion API key from the plain key sent by a client
+ * Revoked keys are returned too so callers can tell "revoked" apart from "unknown".
+ * @param {string} key - Plain key string
+ * @returns {Promise<object|null>} - Key record or null if no key matches
+ */
+async function findIngestionApiKey(key) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const keyHash = crypto.createHash('sha256').update(key).digest('hex');
+
+	try {
+		const result = await db.query(
+			`SELECT id, name, key_prefix, server_ids, org_ids, last_used_at, revoked_at
+			FROM ingestion_api_keys
+			WHERE key_hash = $1`,
+			[keyHash]
+		);
+		return result.rows.length > 0 ? result.rows[0] : null;
+	} catch (error) {
+		console.error('Error finding ingestion API key:', error);
+		return null;
+	}
+}
+
+/**
+ * Update the last used timestamp of an ingestion API key
+ * @param {number} keyId - Key ID
+ * @returns {Promise<void>}
+ */
+async function touchIngestionApiKey(keyId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		await db.query('UPDATE ingestion_api_keys SET last_used_at = NOW() WHERE id = $1', [keyId]);
+	} catch (error) {
+		console.error('Error updating ingestion API key usage:', error);
+	}
+}
+
+/**
+ * Update the name and scope of an ingestion API key
+ * @param {number} keyId - Key ID
+ * @param {object} updates - Fields to update
+ * @param {string} updates.name - New label (optional)
+ * @param {Array<string>} updates.serverIds - New server_id scope (optional)
+ * @param {Array<string>} updates.orgIds - New org scope (optional)
+ * @returns {Promise<object|null>} - Updated key record or null if not found
+ */
+async function updateIngestionApiKey(keyId, {name, serverIds, orgIds}) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(
+			`UPDATE ingestion_api_keys
+			SET name = COALESCE($2, name),
+				server_ids = COALESCE($3, server_ids),
+				org_ids = COALESCE($4, org_ids)
+			WHERE id = $1
+			RETURNING id, name, key_prefix, server_ids, org_ids, created_by, rotated_from, last_used_at, revoked_at, created_at`,
+			[
+				keyId,
+				name || null,
+				serverIds === undefined ? null : normalizeScopeList(serverIds),
+				orgIds === undefined ? null : normalizeScopeList(orgIds)
+			]
+		);
+		return result.rows.length > 0 ? result.rows[0] : null;
+	} catch (error) {
+		console.error('Error updating ingestion API key:', error);
+		throw error;
+	}
+}
+
+/**
+ * Revoke an ingestion API key by ID
+ * @param {number} keyId - Key ID to revoke
+ * @returns {Promise<boolean>} - Returns true if key was revoked
+ */
+async function revokeIngestionApiKey(keyId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query('UPDATE ingestion_api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL', [keyId]);
+		return result.rowCount > 0;
+	} catch (error) {
+		console.error('Error revoking ingestion API key:', error);
+		throw error;
+	}
+}
+
+/**
+ * Rotate an ingestion API key (create new with the same name and scope, revoke old)
+ * @param {number} keyId - Key ID to rotate
+ * @param {string} rotatedBy - Username of the administrator rotating the key
+ * @returns {Promise<{key: string, apiKey: object}|null>} - New plain key and record, or null if the old key is missing or revoked
+ */
+async function rotateIngestionApiKey(keyId, rotatedBy = null) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const existing = await getIngestionApiKeyById(keyId);
+	if (!existing || existing.revoked_at) {
+		return null;
+	}
+
+	// Revoke old key
+	await revokeIngestionApiKey(keyId);
+
+	// Create new key
+	return createIngestionApiKey({
+		name: existing.name,
+		serverIds: existing.server_ids,
+		orgIds: existing.org_ids,
+		createdBy: rotatedBy,
+		rotatedFrom: existing.id
+	});
+}
+
+const PERSONAL_ACCESS_TOKEN_COLUMNS = 'id, user_id, name, token_prefix, scopes, expires_at, last_used_at, last_used_ip, revoked_at, created_at';
+
+/**
+ * Create a personal API token
+ * @param {object} options - Token options
+ * @param {number} options.userId - Owner of the token
+ * @param {string} options.name - Human readable label
+ * @param {Array<string>} options.scopes - Scopes granted to the token
+ * @param {Date} options.expiresAt - Expiry
+ * @returns {Promise<{token: string, accessToken: object}>} - Returns the plain token (only shown once) and the stored record
+ */
+async function createPersonalAccessToken({userId, name, scopes, expiresAt}) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	// Generate a random token with a recognizable prefix, distinct from ingestion keys
+	const token = `tlm_pat_${crypto.randomBytes(32).toString('hex')}`;
+	const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+	const tokenPrefix = token.slice(0, 16);
+
+	try {
+		const result = await db.query(
+			`INSERT INTO personal_access_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+			VALUES ($1, $2, $3, $4, $5, $6)
+			RETURNING ${PERSONAL_ACCESS_TOKEN_COLUMNS}`,
+			[userId, name, tokenHash, tokenPrefix, scopes, expiresAt]
+		);
+		return {token, accessToken: result.rows[0]};
+	} catch (error) {
+		console.error('Error creating personal access token:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get the personal API tokens of a user (without hashes)
+ * @param {number} userId - Owner of the tokens
+ * @returns {Promise<Array>} - Tokens ordered by creation date, newest first
+ */
+async function getPersonalAccessTokens(userId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(
+			`SELECT ${PERSONAL_ACCESS_TOKEN_COLUMNS}
+			FROM personal_access_tokens
+			WHERE user_id = $1
+			ORDER BY created_at DESC, id DESC`,
+			[userId]
+		);
+		return result.rows;
+	} catch (error) {
+		console.error('Error getting personal access tokens:', error);
+		throw error;
+	}
+}
+
+/**
+ * Look up a personal API token from the plain token sent by a client, with its owner
+ * Revoked and expired tokens are returned too so callers can tell them apart from unknown ones.
+ * @param {string} token - Plain token string
+ * @returns {Promise<object|null>} - Token record with username and role of the owner, or null if no token matches
+ */
+async function findPersonalAccessToken(token) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+	try {
+		const result = await db.query(
+			`SELECT t.id, t.user_id, t.name, t.scopes, t.expires_at, t.revoked_at, u.username, u.role
+			FROM personal_access_tokens t
+			JOIN users u ON u.id = t.user_id
+			WHERE t.token_hash = $1`,
+			[tokenHash]
+		);
+		return result.rows.length > 0 ? result.rows[0] : null;
+	} catch (error) {
+		console.error('Error finding personal access token:', error);
+		return null;
+	}
+}
+
+/**
+ * Record the last use of a personal API token
+ * @param {number} tokenId - Token ID
+ * @param {string|null} ipAddress - IP address of the request
+ * @returns {Promise<void>}
+ */
+async function touchPersonalAccessToken(tokenId, ipAddress) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		await db.query('UPDATE personal_access_tokens SET last_used_at = NOW(), last_used_ip = $2 WHERE id = $1', [tokenId, ipAddress]);
+	} catch (error) {
+		console.error('Error updating personal access token usage:', error);
+	}
+}
+
+/**
+ * Revoke a personal API token of a user
+ * @param {number} tokenId - Token ID to revoke
+ * @param {number} userId - Owner of the token
+ * @returns {Promise<boolean>} - Returns true if the token was revoked
+ */
+async function revokePersonalAccessToken(tokenId, userId) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(
+			'UPDATE personal_access_tokens SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+			[tokenId, userId]
+		);
+		return result.rowCount > 0;
+	} catch (error) {
+		console.error('Error revoking personal access token:', error);
+		throw error;
+	}
+}
+
+/**
+ * Export entire database to a JSON format
+ * Compatible with both SQLite and PostgreSQL
+ * @returns {Promise<Object>} Database dump with all tables
+ */
+async function exportDatabase() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const exportData = {
+		version: '1.0',
+		exportedAt: new Date().toISOString(),
+		dbType: 'postgresql',
+		tables: {}
+	};
+
+	// Helper function to safely export a table (PostgreSQL)
+	const exportTable = async (tableName, orderBy) => {
+		try {
+			const result = await db.query(`SELECT * FROM ${tableName} ORDER BY ${orderBy}`);
+			exportData.tables[tableName] = result.rows;
+		} catch (error) {
+			// Table doesn't exist or other error - skip it
+			console.warn(`Skipping table ${tableName}:`, error.message);
+		}
+	};
+
+	try {
+		// Export all tables (skip if they don't exist)
+		await exportTable('telemetry_events', 'id');
+		await exportTable('users', 'id');
+		await exportTable('orgs', 'server_id');
+		await exportTable('teams', 'id');
+		await exportTable('settings', 'key');
+		await exportTable('remember_tokens', 'id');
+		await exportTable('ingestion_api_keys', 'id');
+		await exportTable('event_user_teams', 'id');
+
+		return exportData;
+	} catch (error) {
+		console.error('Error exporting database:', error);
+		throw new Error(`Failed to export database: ${error.message}`);
+	}
+}
+
+/**
+ * Import database from JSON format
+ * Compatible with both SQLite and PostgreSQL
+ * @param {Object} importData - Database dump to import
+ * @returns {Promise<{imported: number, errors: Array}>} Import results
+ */
+async function importDatabase(importData) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	if (!importData || !importData.tables) {
+		throw new Error('Invalid import data format');
+	}
+
+	const results = {
+		imported: 0,
+		errors: []
+	};
+
+	try {
+		let archivedMonths = new Set();
+		if (Array.isArray(importData.tables.telemetry_events)) {
+			archivedMonths = await ensureTelemetryEventPartitionsFor(importData.tables.telemetry_events.map(event => event.timestamp));
+		}
+
+		// Use transaction for atomic import
+		const client = await db.connect();
+		try {
+			await client.query('BEGIN');
+
+				// Import users first
+				if (importData.tables.users && Array.isArray(importData.tables.users)) {
+					for (const user of importData.tables.users) {
+						try {
+							await client.query(`
+								INSERT INTO users (id, username, password_hash, role, created_at, last_login, team_id)
+								VALUES ($1, $2, $3, $4, $5, $6, $7)
+								ON CONFLICT (id) DO UPDATE SET
+									username = EXCLUDED.username,
+									password_hash = EXCLUDED.password_hash,
+									role = EXCLUDED.role,
+									created_at = EXCLUDED.created_at,
+									last_login = EXCLUDED.last_login,
+									team_id = EXCLUDED.team_id
+							`, [
+								user.id,
+								user.username,
+								user.password_hash,
+								user.role || 'basic',
+								user.created_at,
+								user.last_login,
+								user.team_id || null
+							]);
+							results.imported++;
+						} catch (err) {
+							results.errors.push({table: 'users', id: user.id, error: err.message});
+						}
+					}
+				}
+
+				// Import teams
+				if (importData.tables.teams && Array.isArray(importData.tables.teams)) {
+					for (const team of importData.tables.teams) {
+						try {
+							await client.query(`
+								INSERT INTO teams (id, name, color, logo_url, logo_data, logo_mime, created_at, updated_at)
+								VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+								ON CONFLICT (id) DO UPDATE SET
+									name = EXCLUDED.name,
+									color = EXCLUDED.color,
+									logo_url = EXCLUDED.logo_url,
+									logo_data = EXCLUDED.logo_data,
+									logo_mime = EXCLUDED.logo_mime,
+									created_at = EXCLUDED.created_at,
+									updated_at = EXCLUDED.updated_at
+							`, [
+								team.id,
+								team.name,
+								team.color,
+								team.logo_url,
+								team.logo_data ? Buffer.from(team.logo_data) : null,
+								team.logo_mime,
+								team.created_at,
+								team.updated_at
+							]);
+							results.imported++;
+						} catch (err) {
+							results.errors.push({table: 'teams', id: team.id, error: err.message});
+						}
+					}
+				}
+
+				// Import orgs
+				if (importData.tables.orgs && Array.isArray(importData.tables.orgs)) {
+					for (const org of importData.tables.orgs) {
+						try {
+							await client.query(`
+								INSERT INTO orgs (server_id, company_name, updated_at, created_at, alias, team_id)
+								VALUES ($1, $2, $3, $4, $5, $6)
+								ON CONFLICT (server_id) DO UPDATE SET
+									company_name = EXCLUDED.company_name,
+									updated_at = EXCLUDED.updated_at,
+									created_at = EXCLUDED.created_at,
+									alias = EXCLUDED.alias,
+									team_id = EXCLUDED.team_id
+							`, [
+								org.server_id,
+								org.company_name,
+								org.updated_at,
+								org.created_at,
+								org.alias || null,
+								org.team_id || null
+							]);
+							results.imported++;
+						} catch (err) {
+							results.errors.push({table: 'orgs', id: org.server_id, error: err.message});
+						}
+					}
+				}
+
+				// Import telemetry_events
+				if (importData.tables.telemetry_events && Array.isArray(importData.tables.telemetry_events)) {
+					for (const event of importData.tables.telemetry_events) {
+						const monthKey = getPartitionMonthKey(new Date(event.timestamp));
+						if (archivedMonths.has(monthKey)) {
+							results.errors.push({table: 'telemetry_events', id: event.id, error: `month ${monthKey.slice(0, 4)}-${monthKey.slice(4)} has been archived`});
+							continue;
+						}
+						try {
+							// For PostgreSQL, convert data string to JSONB if needed
+							const eventData = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
+							await client.query(`
+								INSERT INTO telemetry_events (id, event, timestamp, server_id, version, session_id, parent_session_id, user_id, data, received_at, created_at)
+								VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+								ON CONFLICT ${telemetryEventsPartitioned ? '(id, timestamp)' : '(id)'} DO UPDATE SET
+									event = EXCLUDED.event,
+									timestamp = EXCLUDED.timestamp,
+									server_id = EXCLUDED.server_id,
+									version = EXCLUDED.version,
+									session_id = EXCLUDED.session_id,
+									parent_session_id = EXCLUDED.parent_session_id,
+									user_id = EXCLUDED.user_id,
+									data = EXCLUDED.data,
+									received_at = EXCLUDED.received_at,
+									created_at = EXCLUDED.created_at
+							`, [
+								event.id,
+								event.event,
+								event.timestamp,
+								event.server_id,
+								event.version,
+								event.session_id,
+								event.parent_session_id,
+								event.user_id,
+								eventData,
+								event.received_at,
+								event.created_at
 							]);
 							results.imported++;
 						} catch (err) {
-							results.errors.push({table: 'teams', id: team.id, error: err.message});
+							results.errors.push({table: 'telemetry_events', id: event.id, error: err.message});
+						}
+					}
+				}
+
+				// Import settings
+				if (importData.tables.settings && Array.isArray(importData.tables.settings)) {
+					for (const setting of importData.tables.settings) {
+						try {
+							await client.query(`
+								INSERT INTO settings (key, value, updated_at, created_at)
+								VALUES ($1, $2, $3, $4)
+								ON CONFLICT (key) DO UPDATE SET
+									value = EXCLUDED.value,
+									updated_at = EXCLUDED.updated_at
+							`, [
+								setting.key,
+								setting.value,
+								setting.updated_at,
+								setting.created_at
+							]);
+							results.imported++;
+						} catch (err) {
+							results.errors.push({table: 'settings', key: setting.key, error: err.message});
+						}
+					}
+				}
+
+				// Import remember_tokens
+				if (importData.tables.remember_tokens && Array.isArray(importData.tables.remember_tokens)) {
+					for (const token of importData.tables.remember_tokens) {
+						try {
+							await client.query(`
+								INSERT INTO remember_tokens (id, user_id, token_hash, expires_at, created_at, last_used_at, user_agent, ip_address)
+								VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+								ON CONFLICT (id) DO UPDATE SET
+									user_id = EXCLUDED.user_id,
+									token_hash = EXCLUDED.token_hash,
+									expires_at = EXCLUDED.expires_at,
+									created_at = EXCLUDED.created_at,
+									last_used_at = EXCLUDED.last_used_at,
+									user_agent = EXCLUDED.user_agent,
+									ip_address = EXCLUDED.ip_address
+							`, [
+								token.id,
+								token.user_id,
+								token.token_hash,
+								token.expires_at,
+								token.created_at,
+								token.last_used_at,
+								token.user_agent,
+								token.ip_address
+							]);
+							results.imported++;
+						} catch (err) {
+							results.errors.push({table: 'remember_tokens', id: token.id, error: err.message});
+						}
+					}
+				}
+
+				// Import ingestion_api_keys
+				if (importData.tables.ingestion_api_keys && Array.isArray(importData.tables.ingestion_api_keys)) {
+					for (const apiKey of importData.tables.ingestion_api_keys) {
+						try {
+							await client.query(`
+								INSERT INTO ingestion_api_keys (id, name, key_hash, key_prefix, server_ids, org_ids, created_by, rotated_from, last_used_at, revoked_at, created_at)
+								VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+								ON CONFLICT (id) DO UPDATE SET
+									name = EXCLUDED.name,
+									key_hash = EXCLUDED.key_hash,
+									key_prefix = EXCLUDED.key_prefix,
+									server_ids = EXCLUDED.server_ids,
+									org_ids = EXCLUDED.org_ids,
+									created_by = EXCLUDED.created_by,
+									rotated_from = EXCLUDED.rotated_from,
+									last_used_at = EXCLUDED.last_used_at,
+									revoked_at = EXCLUDED.revoked_at,
+									created_at = EXCLUDED.created_at
+							`, [
+								apiKey.id,
+								apiKey.name,
+								apiKey.key_hash,
+								apiKey.key_prefix,
+								apiKey.server_ids || [],
+								apiKey.org_ids || [],
+								apiKey.created_by,
+								apiKey.rotated_from,
+								apiKey.last_used_at,
+								apiKey.revoked_at,
+								apiKey.created_at
+							]);
+							results.imported++;
+						} catch (err) {
+							results.errors.push({table: 'ingestion_api_keys', id: apiKey.id, error: err.message});
+						}
+					}
+				}
+
+				// Import event_user_teams
+				if (importData.tables.event_user_teams && Array.isArray(importData.tables.event_user_teams)) {
+					for (const eut of importData.tables.event_user_teams) {
+						try {
+							await client.query(`
+								INSERT INTO event_user_teams (id, team_id, user_name, created_at)
+								VALUES ($1, $2, $3, $4)
+								ON CONFLICT (id) DO UPDATE SET
+									team_id = EXCLUDED.team_id,
+									user_name = EXCLUDED.user_name,
+									created_at = EXCLUDED.created_at
+							`, [
+								eut.id,
+								eut.team_id,
+								eut.user_name,
+								eut.created_at
+							]);
+							results.imported++;
+						} catch (err) {
+							results.errors.push({table: 'event_user_teams', id: eut.id, error: err.message});
 						}
 					}
 				}
 
-				// Import orgs
-				if (importData.tables.orgs && Array.isArray(importData.tables.orgs)) {
-					for (const org of importData.tables.orgs) {
-						try {
-							await client.query(`
-								INSERT INTO orgs (server_id, company_name, updated_at, created_at, alias, team_id)
-								VALUES ($1, $2, $3, $4, $5, $6)
-								ON CONFLICT (server_id) DO UPDATE SET
-									company_name = EXCLUDED.company_name,
-									updated_at = EXCLUDED.updated_at,
-									created_at = EXCLUDED.created_at,
-									alias = EXCLUDED.alias,
-									team_id = EXCLUDED.team_id
-							`, [
-								org.server_id,
-								org.company_name,
-								org.updated_at,
-								org.created_at,
-								org.alias || null,
-								org.team_id || null
-							]);
-							results.imported++;
-						} catch (err) {
-							results.errors.push({table: 'orgs', id: org.server_id, error: err.message});
-						}
-					}
-				}
+				await client.query('COMMIT');
+			} catch (error) {
+				await client.query('ROLLBACK');
+				throw error;
+		} finally {
+			client.release();
+		}
+
+		return results;
+	} catch (error) {
+		console.error('Error importing database:', error);
+		throw new Error(`Failed to import database: ${error.message}`);
+	}
+}
+
+/**
+ * Recover a soft deleted event (restore from trash)
+ * @param {number} id - Event ID to recover
+ * @returns {Promise<boolean>} True if recovered successfully
+ */
+async function recoverEvent(id) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const result = await db.query('UPDATE telemetry_events SET deleted_at = NULL WHERE id = $1 AND deleted_at IS NOT NULL', [id]);
+	return result.rowCount > 0;
+}
+
+/**
+ * Permanently delete a soft deleted event
+ * @param {number} id - Event ID to permanently delete
+ * @returns {Promise<boolean>} True if permanently deleted successfully
+ */
+async function permanentlyDeleteEvent(id) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const result = await db.query('SELECT user_id, org_id FROM telemetry_events WHERE id = $1 AND deleted_at IS NOT NULL', [id]);
+	const eventInfo = result.rows[0] || null;
+
+	const deleteResult = await db.query('DELETE FROM telemetry_events WHERE id = $1 AND deleted_at IS NOT NULL', [id]);
+	const deleted = deleteResult.rowCount > 0;
+	if (deleted && eventInfo) {
+		await Promise.all([
+			eventInfo?.user_id ? recomputeUserEventStats([eventInfo.user_id]) : Promise.resolve(),
+			eventInfo?.org_id ? recomputeOrgEventStats([eventInfo.org_id]) : Promise.resolve()
+		]);
+	}
+	return deleted;
+}
+
+/**
+ * Permanently delete all events in the trash (all soft deleted events)
+ * @returns {Promise<number>} Number of permanently deleted events
+ */
+async function emptyTrash() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	let impactedUsers = [];
+	let impactedOrgs = [];
+
+	// First get affected users/orgs for stats recomputation
+	const result = await db.query(`
+		SELECT DISTINCT user_id, org_id
+		FROM telemetry_events
+		WHERE deleted_at IS NOT NULL
+	`);
+	impactedUsers = result.rows.map(row => row.user_id).filter(Boolean);
+	impactedOrgs = result.rows.map(row => row.org_id).filter(Boolean);
+
+	// Then delete all events in trash
+	const deleteResult = await db.query('DELETE FROM telemetry_events WHERE deleted_at IS NOT NULL');
+
+	if (deleteResult.rowCount > 0) {
+		await Promise.all([
+			impactedUsers.length ? recomputeUserEventStats(impactedUsers) : Promise.resolve(),
+			impactedOrgs.length ? recomputeOrgEventStats(impactedOrgs) : Promise.resolve()
+		]);
+	}
+	return deleteResult.rowCount;
+}
+
+/**
+ * Permanently delete all soft deleted events older than specified days
+ * @param {number} daysOld - Delete events soft deleted more than this many days ago (default: 30)
+ * @returns {Promise<number>} Number of permanently deleted events
+ */
+async function cleanupOldDeletedEvents(daysOld = 30) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const cutoffDate = new Date();
+	cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+
+	let impactedUsers = [];
+	let impactedOrgs = [];
+
+	// First get affected users/orgs for stats recomputation
+	const result = await db.query(`
+		SELECT DISTINCT user_id, org_id
+		FROM telemetry_events
+		WHERE deleted_at IS NOT NULL AND deleted_at < $1
+	`, [cutoffDate]);
+	impactedUsers = result.rows.map(row => row.user_id).filter(Boolean);
+	impactedOrgs = result.rows.map(row => row.org_id).filter(Boolean);
+
+	// Then delete the events
+	const deleteResult = await db.query('DELETE FROM telemetry_events WHERE deleted_at IS NOT NULL AND deleted_at < $1', [cutoffDate]);
+
+	if (deleteResult.rowCount > 0) {
+		await Promise.all([
+			impactedUsers.length ? recomputeUserEventStats(impactedUsers) : Promise.resolve(),
+			impactedOrgs.length ? recomputeOrgEventStats(impactedOrgs) : Promise.resolve()
+		]);
+	}
+	return deleteResult.rowCount;
+}
+
+/**
+ * Build the SQL condition matching the events a retention policy applies to
+ * @param {object} policy - Retention policy row
+ * @param {Array} params - Query parameters (appended to)
+ * @returns {string} SQL condition
+ */
+function buildRetentionScopeCondition(policy, params) {
+	const conditions = [];
+	if (policy.area) {
+		params.push(policy.area);
+		conditions.push(`COALESCE(area, 'general') = $${params.length}`);
+	}
+	if (policy.event_type) {
+		params.push(policy.event_type);
+		conditions.push(`event_id = (SELECT id FROM event_types WHERE name = $${params.length})`);
+	}
+	if (policy.team_id) {
+		params.push(policy.team_id);
+		conditions.push(`team_id = $${params.length}`);
+	}
+	return conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+}
+
+function getRetentionSpecificity(policy) {
+	return [policy.area, policy.event_type, policy.team_id].filter(Boolean).length;
+}
+
+/**
+ * Build the SQL condition for the events a retention policy would purge.
+ * Each event is governed by the most specific enabled policy that matches it
+ * (ties go to the longest retention), so a catch-all policy never removes events
+ * that a more specific policy keeps for longer, and vice versa.
+ * @param {object} policy - Retention policy row
+ * @param {Array<object>} policies - All retention policies
+ * @param {Array} params - Query parameters (appended to)
+ * @returns {string} SQL condition
+ */
+function buildRetentionPurgeCondition(policy, policies, params) {
+	const specificity = getRetentionSpecificity(policy);
+	params.push(policy.retention_days);
+	const conditions = [
+		buildRetentionScopeCondition(policy, params),
+		`timestamp < NOW() - make_interval(days => $${params.length})`
+	];
+
+	for (const other of policies) {
+		if (!other.enabled || other.id === policy.id) {
+			continue;
+		}
+		const otherSpecificity = getRetentionSpecificity(other);
+		const overrides = otherSpecificity > specificity ||
+			(otherSpecificity === specificity && other.retention_days > policy.retention_days);
+		if (overrides) {
+			conditions.push(`NOT (${buildRetentionScopeCondition(other, params)})`);
+		}
+	}
+	return conditions.join(' AND ');
+}
+
+/**
+ * Get all retention policies
+ * @returns {Promise<Array<object>>} Retention policies
+ */
+async function getRetentionPolicies() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(`
+			SELECT rp.id, rp.name, rp.area, rp.event_type, rp.team_id, t.name AS team_name, rp.retention_days,
+				rp.enabled, rp.last_run_at, rp.last_deleted_count, rp.created_by, rp.created_at, rp.updated_at
+			FROM retention_policies rp
+			LEFT JOIN teams t ON t.id = rp.team_id
+			ORDER BY rp.created_at ASC, rp.id ASC
+		`);
+		return result.rows;
+	} catch (error) {
+		console.error('Error getting retention policies:', error);
+		throw error;
+	}
+}
+
+/**
+ * Create a retention policy
+ * @param {object} policy - Policy (name, area, eventType, teamId, retentionDays, enabled)
+ * @param {string|null} createdBy - Username of the creator
+ * @returns {Promise<object>} Created policy
+ */
+async function createRetentionPolicy({name, area = null, eventType = null, teamId = null, retentionDays, enabled = true}, createdBy = null) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(
+			`INSERT INTO retention_policies (name, area, event_type, team_id, retention_days, enabled, created_by)
+			VALUES ($1, $2, $3, $4, $5, $6, $7)
+			RETURNING *`,
+			[name, area, eventType, teamId, retentionDays, enabled, createdBy]
+		);
+		return result.rows[0];
+	} catch (error) {
+		console.error('Error creating retention policy:', error);
+		throw error;
+	}
+}
+
+/**
+ * Update a retention policy
+ * @param {number} id - Policy ID
+ * @param {object} policy - Policy (name, area, eventType, teamId, retentionDays, enabled)
+ * @returns {Promise<object|null>} Updated policy or null if not found
+ */
+async function updateRetentionPolicy(id, {name, area = null, eventType = null, teamId = null, retentionDays, enabled = true}) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(
+			`UPDATE retention_policies
+			SET name = $2, area = $3, event_type = $4, team_id = $5, retention_days = $6, enabled = $7, updated_at = NOW()
+			WHERE id = $1
+			RETURNING *`,
+			[id, name, area, eventType, teamId, retentionDays, enabled]
+		);
+		return result.rows[0] || null;
+	} catch (error) {
+		console.error('Error updating retention policy:', error);
+		throw error;
+	}
+}
+
+/**
+ * Delete a retention policy
+ * @param {number} id - Policy ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteRetentionPolicy(id) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query('DELETE FROM retention_policies WHERE id = $1', [id]);
+		return result.rowCount > 0;
+	} catch (error) {
+		console.error('Error deleting retention policy:', error);
+		throw error;
+	}
+}
+
+/**
+ * Count the events each retention policy would purge right now
+ * @param {object|null} draft - Unsaved policy row (snake_case) to include in the preview; replaces the policy with the same id
+ * @returns {Promise<Array<{id: number|null, rows: number}>>} Rows per policy (the draft has id null when it is new)
+ */
+async function previewRetentionPolicies(draft = null) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		let policies = await getRetentionPolicies();
+		if (draft) {
+			policies = [...policies.filter(policy => policy.id !== draft.id), {...draft, id: draft.id ?? null}];
+		}
+
+		const preview = [];
+		for (const policy of policies) {
+			const params = [];
+			const condition = buildRetentionPurgeCondition(policy, policies, params);
+			const result = await db.query(`SELECT COUNT(*) AS count FROM telemetry_events WHERE ${condition}`, params);
+			preview.push({id: policy.id, rows: Number.parseInt(result.rows[0].count, 10) || 0});
+		}
+		return preview;
+	} catch (error) {
+		console.error('Error previewing retention policies:', error);
+		throw error;
+	}
+}
+
+/**
+ * Purge the events expired by the enabled retention policies, in batches,
+ * and recompute user_event_stats / org_event_stats for the affected users and orgs
+ * @param {object} options - Purge options
+ * @param {number} options.batchSize - Events deleted per statement (default: 5000)
+ * @returns {Promise<{deleted: number, policies: Array<{id: number, name: string, deleted: number}>}>}
+ */
+async function applyRetentionPolicies({batchSize = 5000} = {}) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const policies = await getRetentionPolicies();
+		const impactedUsers = new Set();
+		const impactedOrgs = new Set();
+		const summary = [];
+		let totalDeleted = 0;
+
+		for (const policy of policies.filter(item => item.enabled)) {
+			const params = [];
+			const condition = buildRetentionPurgeCondition(policy, policies, params);
+			params.push(batchSize);
+			const limitParam = `$${params.length}`;
+
+			let policyDeleted = 0;
+			let deletedInBatch = 0;
+			do {
+				const result = await db.query(`
+					DELETE FROM telemetry_events
+					WHERE id IN (
+						SELECT id FROM telemetry_events
+						WHERE ${condition}
+						ORDER BY timestamp ASC
+						LIMIT ${limitParam}
+					)
+					RETURNING user_id, org_id
+				`, params);
+				deletedInBatch = result.rowCount;
+				policyDeleted += deletedInBatch;
+				for (const row of result.rows) {
+					if (row.user_id) {
+						impactedUsers.add(row.user_id);
+					}
+					if (row.org_id) {
+						impactedOrgs.add(row.org_id);
+					}
+				}
+			} while (deletedInBatch === batchSize);
+
+			await db.query(
+				'UPDATE retention_policies SET last_run_at = NOW(), last_deleted_count = $2 WHERE id = $1',
+				[policy.id, policyDeleted]
+			);
+			summary.push({id: policy.id, name: policy.name, deleted: policyDeleted});
+			totalDeleted += policyDeleted;
+		}
+
+		if (totalDeleted > 0) {
+			await Promise.all([
+				recomputeUserEventStats([...impactedUsers]),
+				recomputeOrgEventStats([...impactedOrgs])
+			]);
+		}
+		return {deleted: totalDeleted, policies: summary};
+	} catch (error) {
+		console.error('Error applying retention policies:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get all event forwarders
+ * @returns {Promise<Array<object>>} Forwarders, with latest_event_id to work out their backlog
+ */
+async function getEventForwarders() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(`
+			SELECT ef.id, ef.name, ef.type, ef.config, ef.areas, ef.event_types, ef.team_ids, ef.batch_size, ef.enabled,
+				ef.last_event_id, ef.last_delivered_at, ef.last_error, ef.last_error_at, ef.created_by, ef.created_at, ef.updated_at,
+				(SELECT COALESCE(MAX(id), 0) FROM telemetry_events) AS latest_event_id
+			FROM event_forwarders ef
+			ORDER BY ef.created_at ASC, ef.id ASC
+		`);
+		return result.rows;
+	} catch (error) {
+		console.error('Error getting event forwarders:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get an event forwarder by ID
+ * @param {number} id - Forwarder ID
+ * @returns {Promise<object|null>} Forwarder or null if not found
+ */
+async function getEventForwarderById(id) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query('SELECT * FROM event_forwarders WHERE id = $1', [id]);
+		return result.rows[0] || null;
+	} catch (error) {
+		console.error('Error getting event forwarder:', error);
+		throw error;
+	}
+}
+
+/**
+ * Create an event forwarder
+ * New forwarders start after the latest stored event (existing events are not replayed).
+ * @param {object} forwarder - Forwarder (name, type, config, areas, eventTypes, teamIds, batchSize, enabled)
+ * @param {string|null} createdBy - Username of the creator
+ * @returns {Promise<object>} Created forwarder
+ */
+async function createEventForwarder({name, type, config = {}, areas = [], eventTypes = [], teamIds = [], batchSize = 100, enabled = true}, createdBy = null) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const position = await getLatestEventPosition();
+		const result = await db.query(
+			`INSERT INTO event_forwarders (name, type, config, areas, event_types, team_ids, batch_size, enabled, created_by, last_xact_id, last_event_id)
+			VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+			RETURNING *`,
+			[name, type, JSON.stringify(config), areas, eventTypes, teamIds, batchSize, enabled, createdBy, position.xactId, position.id]
+		);
+		return result.rows[0];
+	} catch (error) {
+		console.error('Error creating event forwarder:', error);
+		throw error;
+	}
+}
+
+/**
+ * Update an event forwarder (its cursor is kept)
+ * @param {number} id - Forwarder ID
+ * @param {object} forwarder - Forwarder (name, type, config, areas, eventTypes, teamIds, batchSize, enabled)
+ * @returns {Promise<object|null>} Updated forwarder or null if not found
+ */
+async function updateEventForwarder(id, {name, type, config = {}, areas = [], eventTypes = [], teamIds = [], batchSize = 100, enabled = true}) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(
+			`UPDATE event_forwarders
+			SET name = $2, type = $3, config = $4, areas = $5, event_types = $6, team_ids = $7, batch_size = $8, enabled = $9,
+				last_error = NULL, last_error_at = NULL, updated_at = NOW()
+			WHERE id = $1
+			RETURNING *`,
+			[id, name, type, JSON.stringify(config), areas, eventTypes, teamIds, batchSize, enabled]
+		);
+		return result.rows[0] || null;
+	} catch (error) {
+		console.error('Error updating event forwarder:', error);
+		throw error;
+	}
+}
+
+/**
+ * Delete an event forwarder
+ * @param {number} id - Forwarder ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteEventForwarder(id) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query('DELETE FROM event_forwarders WHERE id = $1', [id]);
+		return result.rowCount > 0;
+	} catch (error) {
+		console.error('Error deleting event forwarder:', error);
+		throw error;
+	}
+}
+
+/**
+ * Claim the enabled forwarders that no other instance is running
+ * @param {string} owner - Identifier of this instance
+ * @param {number} leaseSeconds - How long the claim lasts if this instance dies
+ * @returns {Promise<Array<object>>} Claimed forwarders
+ */
+async function claimEventForwarders(owner, leaseSeconds) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(`
+			UPDATE event_forwarders
+			SET locked_by = $1, locked_until = NOW() + make_interval(secs => $2)
+			WHERE enabled = TRUE AND (locked_until IS NULL OR locked_until < NOW() OR locked_by = $1)
+			RETURNING *
+		`, [owner, leaseSeconds]);
+		return result.rows;
+	} catch (error) {
+		console.error('Error claiming event forwarders:', error);
+		throw error;
+	}
+}
+
+/**
+ * Release the forwarders claimed by an instance
+ * @param {string} owner - Identifier of this instance
+ */
+async function releaseEventForwarders(owner) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		await db.query('UPDATE event_forwarders SET locked_by = NULL, locked_until = NULL WHERE locked_by = $1', [owner]);
+	} catch (error) {
+		console.error('Error releasing event forwarders:', error);
+		throw error;
+	}
+}
+
+/**
+ * Record a forwarder's progress after a batch
+ * Only the instance holding the claim can move the cursor.
+ * @param {number} id - Forwarder ID
+ * @param {string} owner - Identifier of this instance
+ * @param {object} progress
+ * @param {{xactId: string, id: number}} progress.position - Position of the last event handled (delivered, filtered out or dropped)
+ * @param {boolean} progress.delivered - True if events were delivered to the sink
+ * @param {string|null} progress.error - Delivery error, if any
+ * @returns {Promise<boolean>} False if the claim was lost (e.g. the forwarder was deleted or disabled)
+ */
+async function recordEventForwarderProgress(id, owner, {position, delivered = false, error: deliveryError = null}) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		// The cursor only moves forward (in commit order, see getEventsAfter)
+		const result = await db.query(`
+			UPDATE event_forwarders
+			SET last_xact_id = CASE WHEN ($3::xid8, $4::integer) > (last_xact_id, last_event_id) THEN $3::xid8 ELSE last_xact_id END,
+				last_event_id = CASE WHEN ($3::xid8, $4::integer) > (last_xact_id, last_event_id) THEN $4::integer ELSE last_event_id END,
+				last_delivered_at = CASE WHEN $5 THEN NOW() ELSE last_delivered_at END,
+				last_error = CASE WHEN $6::text IS NULL THEN (CASE WHEN $5 THEN NULL ELSE last_error END) ELSE $6 END,
+				last_error_at = CASE WHEN $6::text IS NULL THEN (CASE WHEN $5 THEN NULL ELSE last_error_at END) ELSE NOW() END
+			WHERE id = $1 AND locked_by = $2 AND enabled = TRUE
+		`, [id, owner, position.xactId, position.id, delivered, deliveryError]);
+		return result.rowCount > 0;
+	} catch (error) {
+		console.error('Error recording event forwarder progress:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get the saved views visible to a user: their own and the ones shared with their team
+ * @param {string} username - Username
+ * @param {number|null} teamId - Team of the user (null if not in a team)
+ * @returns {Promise<Array<object>>} Views sorted by name, with team_name for shared ones
+ */
+async function getSavedViews(username, teamId = null) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(`
+			SELECT sv.id, sv.username, sv.team_id, t.name AS team_name, sv.name, sv.query, sv.created_at, sv.updated_at
+			FROM saved_views sv
+			LEFT JOIN teams t ON t.id = sv.team_id
+			WHERE sv.username = $1 OR sv.team_id = $2::integer
+			ORDER BY LOWER(sv.name) ASC, sv.id ASC
+		`, [username, teamId]);
+		return result.rows;
+	} catch (error) {
+		console.error('Error getting saved views:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get a saved view by ID
+ * @param {number} id - View ID
+ * @returns {Promise<object|null>} View or null if not found
+ */
+async function getSavedViewById(id) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query('SELECT * FROM saved_views WHERE id = $1', [id]);
+		return result.rows[0] || null;
+	} catch (error) {
+		console.error('Error getting saved view:', error);
+		throw error;
+	}
+}
+
+/**
+ * Create a saved view
+ * @param {object} view - View (name, query)
+ * @param {string} username - Owner
+ * @param {number|null} teamId - Team to share it with (null keeps it private)
+ * @returns {Promise<object>} Created view (a name already used by the owner fails with code 23505)
+ */
+async function createSavedView({name, query = ''}, username, teamId = null) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(
+			'INSERT INTO saved_views (username, team_id, name, query) VALUES ($1, $2, $3, $4) RETURNING *',
+			[username, teamId, name, query]
+		);
+		return result.rows[0];
+	} catch (error) {
+		console.error('Error creating saved view:', error);
+		throw error;
+	}
+}
+
+/**
+ * Update a saved view
+ * @param {number} id - View ID
+ * @param {object} view - View (name, query)
+ * @param {number|null} teamId - Team to share it with (null keeps it private)
+ * @returns {Promise<object|null>} Updated view or null if not found
+ */
+async function updateSavedView(id, {name, query = ''}, teamId = null) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
 
-				// Import telemetry_events
-				if (importData.tables.telemetry_events && Array.isArray(importData.tables.telemetry_events)) {
-					for (const event of importData.tables.telemetry_events) {
-						try {
-							// For PostgreSQL, convert data string to JSONB if needed
-							const eventData = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
-							await client.query(`
-								INSERT INTO telemetry_events (id, event, timestamp, server_id, version, session_id, parent_session_id, user_id, data, received_at, created_at)
-								VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-								ON CONFLICT (id) DO UPDATE SET
-									event = EXCLUDED.event,
-									timestamp = EXCLUDED.timestamp,
-									server_id = EXCLUDED.server_id,
-									version = EXCLUDED.version,
-									session_id = EXCLUDED.session_id,
-									parent_session_id = EXCLUDED.parent_session_id,
-									user_id = EXCLUDED.user_id,
-									data = EXCLUDED.data,
-									received_at = EXCLUDED.received_at,
-									created_at = EXCLUDED.created_at
-							`, [
-								event.id,
-								event.event,
-								event.timestamp,
-								event.server_id,
-								event.version,
-								event.session_id,
-								event.parent_session_id,
-								event.user_id,
-								eventData,
-								event.received_at,
-								event.created_at
-							]);
-							results.imported++;
-						} catch (err) {
-							results.errors.push({table: 'telemetry_events', id: event.id, error: err.message});
-						}
-					}
-				}
+	try {
+		const result = await db.query(
+			'UPDATE saved_views SET name = $2, query = $3, team_id = $4, updated_at = NOW() WHERE id = $1 RETURNING *',
+			[id, name, query, teamId]
+		);
+		return result.rows[0] || null;
+	} catch (error) {
+		console.error('Error updating saved view:', error);
+		throw error;
+	}
+}
 
-				// Import settings
-				if (importData.tables.settings && Array.isArray(importData.tables.settings)) {
-					for (const setting of importData.tables.settings) {
-						try {
-							await client.query(`
-								INSERT INTO settings (key, value, updated_at, created_at)
-								VALUES ($1, $2, $3, $4)
-								ON CONFLICT (key) DO UPDATE SET
-									value = EXCLUDED.value,
-									updated_at = EXCLUDED.updated_at
-							`, [
-								setting.key,
-								setting.value,
-								setting.updated_at,
-								setting.created_at
-							]);
-							results.imported++;
-						} catch (err) {
-							results.errors.push({table: 'settings', key: setting.key, error: err.message});
-						}
-					}
-				}
+/**
+ * Delete a saved view
+ * @param {number} id - View ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteSavedView(id) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
 
-				// Import remember_tokens
-				if (importData.tables.remember_tokens && Array.isArray(importData.tables.remember_tokens)) {
-					for (const token of importData.tables.remember_tokens) {
-						try {
-							await client.query(`
-								INSERT INTO remember_tokens (id, user_id, token_hash, expires_at, created_at, last_used_at, user_agent, ip_address)
-								VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-								ON CONFLICT (id) DO UPDATE SET
-									user_id = EXCLUDED.user_id,
-									token_hash = EXCLUDED.token_hash,
-									expires_at = EXCLUDED.expires_at,
-									created_at = EXCLUDED.created_at,
-									last_used_at = EXCLUDED.last_used_at,
-									user_agent = EXCLUDED.user_agent,
-									ip_address = EXCLUDED.ip_address
-							`, [
-								token.id,
-								token.user_id,
-								token.token_hash,
-								token.expires_at,
-								token.created_at,
-								token.last_used_at,
-								token.user_agent,
-								token.ip_address
-							]);
-							results.imported++;
-						} catch (err) {
-							results.errors.push({table: 'remember_tokens', id: token.id, error: err.message});
-						}
-					}
-				}
+	try {
+		const result = await db.query('DELETE FROM saved_views WHERE id = $1', [id]);
+		return result.rowCount > 0;
+	} catch (error) {
+		console.error('Error deleting saved view:', error);
+		throw error;
+	}
+}
 
-				// Import event_user_teams
-				if (importData.tables.event_user_teams && Array.isArray(importData.tables.event_user_teams)) {
-					for (const eut of importData.tables.event_user_teams) {
-						try {
-							await client.query(`
-								INSERT INTO event_user_teams (id, team_id, user_name, created_at)
-								VALUES ($1, $2, $3, $4)
-								ON CONFLICT (id) DO UPDATE SET
-									team_id = EXCLUDED.team_id,
-									user_name = EXCLUDED.user_name,
-									created_at = EXCLUDED.created_at
-							`, [
-								eut.id,
-								eut.team_id,
-								eut.user_name,
-								eut.created_at
-							]);
-							results.imported++;
-						} catch (err) {
-							results.errors.push({table: 'event_user_teams', id: eut.id, error: err.message});
-						}
-					}
-				}
+const TELEMETRY_PARTITION_NAME_PATTERN = /^telemetry_events_p\d{6}$/;
+const ROLLUP_DIMENSIONS = 'event, area, tool_name, org_id, team_id, user_id';
+const ROLLUP_BACKFILL_SETTING = 'telemetry_rollups_backfilled_at';
+const ROLLUP_LOCK_KEY = 72_011; // pg_advisory_xact_lock key serializing rollup refreshes across instances
+
+function getPartitionMonthKey(date) {
+	return `${date.getUTCFullYear()}${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Check whether a partition is attached to telemetry_events
+ * (a table with the partition's name may also be a detached month waiting to be archived)
+ * @param {string} name - Partition name
+ * @param {object} queryable - Pool or client to run the query on
+ * @returns {Promise<boolean>}
+ */
+async function isTelemetryEventPartitionAttached(name, queryable = db) {
+	const result = await queryable.query(`
+		SELECT 1 FROM pg_inherits i
+		JOIN pg_class child ON child.oid = i.inhrelid
+		WHERE i.inhparent = 'telemetry_events'::regclass
+			AND child.relname = $1
+	`, [name]);
+	return result.rows.length > 0;
+}
+
+/**
+ * Create the monthly partition of telemetry_events for a YYYYMM month if it doesn't exist
+ * @param {string} monthKey - Month as YYYYMM
+ * @param {object} queryable - Pool or client to run the statement on
+ * @returns {Promise<string>} Partition name
+ */
+async function createTelemetryEventPartition(monthKey, queryable = db) {
+	const year = Number.parseInt(monthKey.slice(0, 4), 10);
+	const month = Number.parseInt(monthKey.slice(4), 10) - 1;
+	const name = `telemetry_events_p${monthKey}`;
+	const from = new Date(Date.UTC(year, month, 1)).toISOString();
+	const to = new Date(Date.UTC(year, month + 1, 1)).toISOString();
+	try {
+		await queryable.query(`CREATE TABLE ${name} PARTITION OF telemetry_events FOR VALUES FROM ('${from}') TO ('${to}')`);
+	} catch (error) {
+		if (error.code !== '42P07' && error.code !== '23505') {
+			throw error;
+		}
+		// Another instance created it at the same time, unless the name belongs to a detached month
+		if (!await isTelemetryEventPartitionAttached(name, queryable)) {
+			throw new Error(`${name} exists but is not attached to telemetry_events (detached for archiving)`);
+		}
+	}
+	return name;
+}
+
+/**
+ * Make sure every timestamp about to be inserted has a partition to land in
+ * (there is no default partition, so DETACH PARTITION CONCURRENTLY stays available).
+ * Archived months (see detachTelemetryEventPartition) get no new partition: callers must not
+ * insert their events.
+ * @param {Array<string|Date>} timestamps - Event timestamps
+ * @returns {Promise<Set<string>>} Archived months (YYYYMM) among the timestamps
+ */
+async function ensureTelemetryEventPartitionsFor(timestamps) {
+	const archivedMonths = new Set();
+	if (!telemetryEventsPartitioned) {
+		return archivedMonths;
+	}
+	const monthKeys = new Set();
+	for (const value of timestamps) {
+		const date = new Date(value);
+		if (!Number.isNaN(date.getTime())) {
+			monthKeys.add(getPartitionMonthKey(date));
+		}
+	}
+	if (monthKeys.size === 0) {
+		return archivedMonths;
+	}
+
+	const result = await db.query(`
+		SELECT
+			m.month_key,
+			a.month_key IS NOT NULL AS archived,
+			EXISTS (
+				SELECT 1 FROM pg_inherits i
+				JOIN pg_class child ON child.oid = i.inhrelid
+				WHERE i.inhparent = 'telemetry_events'::regclass
+					AND child.relname = 'telemetry_events_p' || m.month_key
+			) AS attached
+		FROM unnest($1::text[]) AS m(month_key)
+		LEFT JOIN telemetry_archived_months a ON a.month_key = m.month_key
+	`, [[...monthKeys]]);
+	for (const row of result.rows) {
+		if (row.archived) {
+			archivedMonths.add(row.month_key);
+		} else if (!row.attached) {
+			await createTelemetryEventPartition(row.month_key);
+		}
+	}
+	return archivedMonths;
+}
+
+/**
+ * Create the partitions of telemetry_events for the current month and the next ones
+ * Does nothing while telemetry_events is still a plain (not yet converted) table.
+ * @param {object} options
+ * @param {number} options.monthsAhead - Months after the current one to create (default: 3)
+ * @returns {Promise<Array<string>>} Names of the partitions created
+ */
+async function ensureTelemetryEventPartitions({monthsAhead = 3} = {}) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(`
+			SELECT
+				c.relkind,
+				-- As text[]: node-pg doesn't parse name[] and would return it as a string
+				ARRAY(
+					SELECT child.relname::text FROM pg_inherits i
+					JOIN pg_class child ON child.oid = i.inhrelid
+					WHERE i.inhparent = c.oid
+				) AS partitions
+			FROM pg_class c
+			WHERE c.oid = 'telemetry_events'::regclass
+		`);
+		telemetryEventsPartitioned = result.rows[0]?.relkind === 'p';
+		if (!telemetryEventsPartitioned) {
+			return [];
+		}
+
+		const attachedMonths = new Set(result.rows[0].partitions
+			.filter(name => TELEMETRY_PARTITION_NAME_PATTERN.test(name))
+			.map(name => name.slice(-6)));
+
+		const created = [];
+		const now = new Date();
+		for (let offset = 0; offset <= monthsAhead; offset++) {
+			const monthKey = getPartitionMonthKey(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, 1)));
+			if (!attachedMonths.has(monthKey)) {
+				created.push(await createTelemetryEventPartition(monthKey));
+			}
+		}
+		return created;
+	} catch (error) {
+		console.error('Error ensuring telemetry event partitions:', error);
+		throw error;
+	}
+}
+
+/**
+ * Check whether telemetry_events is partitioned
+ * @returns {boolean} False until partitionTelemetryEvents() converted a pre-partitioning database
+ */
+function isTelemetryEventsPartitioned() {
+	return telemetryEventsPartitioned;
+}
+
+/**
+ * List the monthly partitions of telemetry_events, attached or detached (waiting to be archived)
+ * @returns {Promise<Array<{name: string, month: string, attached: boolean, estimatedRows: number, sizeBytes: number}>>}
+ */
+async function getTelemetryEventPartitions() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query(`
+			SELECT
+				c.relname AS name,
+				c.relispartition AS attached,
+				GREATEST(c.reltuples, 0)::bigint AS estimated_rows,
+				pg_total_relation_size(c.oid) AS size_bytes
+			FROM pg_class c
+			WHERE c.relname ~ '^telemetry_events_p[0-9]{6}$'
+				AND c.relkind = 'r'
+				AND c.relnamespace = current_schema()::regnamespace
+			ORDER BY c.relname ASC
+		`);
+		return result.rows.map(row => ({
+			name: row.name,
+			month: `${row.name.slice(-6, -2)}-${row.name.slice(-2)}`,
+			attached: row.attached,
+			estimatedRows: Number.parseInt(row.estimated_rows, 10) || 0,
+			sizeBytes: Number.parseInt(row.size_bytes, 10) || 0
+		}));
+	} catch (error) {
+		console.error('Error getting telemetry event partitions:', error);
+		throw error;
+	}
+}
+
+async function getTelemetryEventPartitionState(name) {
+	if (!TELEMETRY_PARTITION_NAME_PATTERN.test(String(name))) {
+		throw new Error(`Invalid partition name: ${name}`);
+	}
+	const result = await db.query(
+		`SELECT relispartition AS attached FROM pg_class
+		WHERE relname = $1 AND relkind = 'r' AND relnamespace = current_schema()::regnamespace`,
+		[name]
+	);
+	if (result.rows.length === 0) {
+		throw new Error(`Partition ${name} does not exist`);
+	}
+	return {attached: result.rows[0].attached};
+}
+
+/**
+ * Detach a past month's partition from telemetry_events so it can be archived and dropped
+ * Uses DETACH PARTITION CONCURRENTLY on PostgreSQL 14+, which doesn't block reads or inserts.
+ * The month is recorded in telemetry_archived_months: rollups keep its counts, and late events
+ * for it are quarantined (stage archived_month) instead of recreating the partition.
+ * @param {string} name - Partition name (telemetry_events_pYYYYMM)
+ * @returns {Promise<boolean>} True if detached, false if it was already detached
+ */
+async function detachTelemetryEventPartition(name) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
 
-				await client.query('COMMIT');
-			} catch (error) {
-				await client.query('ROLLBACK');
-				throw error;
-		} finally {
-			client.release();
+	try {
+		const {attached} = await getTelemetryEventPartitionState(name);
+		if (!attached) {
+			return false;
+		}
+		const monthKey = name.slice(-6);
+		if (monthKey >= getPartitionMonthKey(new Date())) {
+			throw new Error('Only partitions of past months can be detached');
 		}
 
-		return results;
+		// Recorded first, so that from now on the month's events are quarantined and its rollups kept
+		await db.query(
+			'INSERT INTO telemetry_archived_months (month_key) VALUES ($1) ON CONFLICT (month_key) DO NOTHING',
+			[monthKey]
+		);
+		const versionResult = await db.query('SHOW server_version_num');
+		const concurrently = Number.parseInt(versionResult.rows[0].server_version_num, 10) >= 140000;
+		try {
+			await db.query(`ALTER TABLE telemetry_events DETACH PARTITION ${name}${concurrently ? ' CONCURRENTLY' : ''}`);
+		} catch (error) {
+			await db.query('DELETE FROM telemetry_archived_months WHERE month_key = $1', [monthKey]);
+			throw error;
+		}
+		return true;
 	} catch (error) {
-		console.error('Error importing database:', error);
-		throw new Error(`Failed to import database: ${error.message}`);
+		console.error(`Error detaching telemetry event partition ${name}:`, error);
+		throw error;
 	}
 }
 
 /**
- * Recover a soft deleted event (restore from trash)
- * @param {number} id - Event ID to recover
- * @returns {Promise<boolean>} True if recovered successfully
+ * Read rows of a detached partition in id order, for archiving
+ * @param {string} name - Detached partition name
+ * @param {object} options
+ * @param {number} options.afterId - Return rows with a greater id (keyset pagination)
+ * @param {number} options.limit - Maximum rows to return (default: 5000)
+ * @returns {Promise<Array<object>>} Raw telemetry_events rows
  */
-async function recoverEvent(id) {
+async function getDetachedPartitionRows(name, {afterId = 0, limit = 5000} = {}) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const result = await db.query('UPDATE telemetry_events SET deleted_at = NULL WHERE id = $1 AND deleted_at IS NOT NULL', [id]);
-	return result.rowCount > 0;
+	try {
+		const {attached} = await getTelemetryEventPartitionState(name);
+		if (attached) {
+			throw new Error(`Partition ${name} is still attached; detach it first`);
+		}
+		const result = await db.query(`SELECT * FROM ${name} WHERE id > $1 ORDER BY id ASC LIMIT $2`, [afterId, limit]);
+		return result.rows;
+	} catch (error) {
+		console.error(`Error reading detached partition ${name}:`, error);
+		throw error;
+	}
 }
 
 /**
- * Permanently delete a soft deleted event
- * @param {number} id - Event ID to permanently delete
- * @returns {Promise<boolean>} True if permanently deleted successfully
+ * Drop a detached (already archived) partition
+ * @param {string} name - Detached partition name
  */
-async function permanentlyDeleteEvent(id) {
+async function dropDetachedPartition(name) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const result = await db.query('SELECT user_id, org_id FROM telemetry_events WHERE id = $1 AND deleted_at IS NOT NULL', [id]);
-	const eventInfo = result.rows[0] || null;
-
-	const deleteResult = await db.query('DELETE FROM telemetry_events WHERE id = $1 AND deleted_at IS NOT NULL', [id]);
-	const deleted = deleteResult.rowCount > 0;
-	if (deleted && eventInfo) {
-		await Promise.all([
-			eventInfo?.user_id ? recomputeUserEventStats([eventInfo.user_id]) : Promise.resolve(),
-			eventInfo?.org_id ? recomputeOrgEventStats([eventInfo.org_id]) : Promise.resolve()
-		]);
+	try {
+		const {attached} = await getTelemetryEventPartitionState(name);
+		if (attached) {
+			throw new Error(`Partition ${name} is still attached; detach it first`);
+		}
+		await db.query(`DROP TABLE ${name}`);
+	} catch (error) {
+		console.error(`Error dropping detached partition ${name}:`, error);
+		throw error;
 	}
-	return deleted;
 }
 
 /**
- * Permanently delete all events in the trash (all soft deleted events)
- * @returns {Promise<number>} Number of permanently deleted events
+ * Convert a pre-partitioning telemetry_events table into a table partitioned by month
+ * Runs in a single transaction holding an EXCLUSIVE lock: reads keep working, inserts wait
+ * until it commits (the ingestion queue absorbs them). Rows are copied one month at a time.
+ * @param {object} options
+ * @param {Function} [options.onProgress] - Called with a message after each step
+ * @returns {Promise<{converted: boolean, rows: number, partitions: number}>} converted is false if already partitioned
  */
-async function emptyTrash() {
+async function partitionTelemetryEvents({onProgress = null} = {}) {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	let impactedUsers = [];
-	let impactedOrgs = [];
+	const report = message => {
+		if (onProgress) {
+			onProgress(message);
+		}
+	};
 
-	// First get affected users/orgs for stats recomputation
-	const result = await db.query(`
-		SELECT DISTINCT user_id, org_id
-		FROM telemetry_events
-		WHERE deleted_at IS NOT NULL
-	`);
-	impactedUsers = result.rows.map(row => row.user_id).filter(Boolean);
-	impactedOrgs = result.rows.map(row => row.org_id).filter(Boolean);
+	const client = await db.connect();
+	try {
+		await client.query('BEGIN');
+		await client.query('LOCK TABLE telemetry_events IN EXCLUSIVE MODE');
 
-	// Then delete all events in trash
-	const deleteResult = await db.query('DELETE FROM telemetry_events WHERE deleted_at IS NOT NULL');
+		const kindResult = await client.query('SELECT relkind FROM pg_class WHERE oid = \'telemetry_events\'::regclass');
+		if (kindResult.rows[0].relkind === 'p') {
+			await client.query('ROLLBACK');
+			return {converted: false, rows: 0, partitions: 0};
+		}
 
-	if (deleteResult.rowCount > 0) {
-		await Promise.all([
-			impactedUsers.length ? recomputeUserEventStats(impactedUsers) : Promise.resolve(),
-			impactedOrgs.length ? recomputeOrgEventStats(impactedOrgs) : Promise.resolve()
-		]);
+		const countResult = await client.query('SELECT COUNT(*) AS total FROM telemetry_events');
+		const total = Number.parseInt(countResult.rows[0].total, 10) || 0;
+		report(`Converting ${total} events`);
+
+		await client.query(`
+			CREATE TABLE telemetry_events_partitioned (LIKE telemetry_events INCLUDING DEFAULTS INCLUDING CONSTRAINTS INCLUDING STORAGE)
+			PARTITION BY RANGE (timestamp)
+		`);
+		await client.query(`
+			ALTER TABLE telemetry_events_partitioned
+				ADD CONSTRAINT telemetry_events_partitioned_pkey PRIMARY KEY (id, timestamp),
+				ADD FOREIGN KEY (event_id) REFERENCES event_types(id),
+				ADD FOREIGN KEY (team_id) REFERENCES teams(id),
+				ADD FOREIGN KEY (api_key_id) REFERENCES ingestion_api_keys(id) ON DELETE SET NULL
+		`);
+
+		const monthsResult = await client.query(`
+			SELECT DISTINCT to_char(date_trunc('month', timestamp AT TIME ZONE 'UTC'), 'YYYYMM') AS month_key
+			FROM telemetry_events
+			ORDER BY month_key ASC
+		`);
+		const now = new Date();
+		const monthKeys = new Set(monthsResult.rows.map(row => row.month_key));
+		for (let offset = 0; offset <= 3; offset++) {
+			monthKeys.add(getPartitionMonthKey(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, 1))));
+		}
+
+		// Partitions are created on the new table, then the tables swap names
+		let copied = 0;
+		for (const monthKey of [...monthKeys].sort()) {
+			const year = Number.parseInt(monthKey.slice(0, 4), 10);
+			const month = Number.parseInt(monthKey.slice(4), 10) - 1;
+			const from = new Date(Date.UTC(year, month, 1)).toISOString();
+			const to = new Date(Date.UTC(year, month + 1, 1)).toISOString();
+			await client.query(`CREATE TABLE telemetry_events_p${monthKey} PARTITION OF telemetry_events_partitioned FOR VALUES FROM ('${from}') TO ('${to}')`);
+			const copyResult = await client.query(
+				'INSERT INTO telemetry_events_partitioned SELECT * FROM telemetry_events WHERE timestamp >= $1 AND timestamp < $2',
+				[from, to]
+			);
+			copied += copyResult.rowCount;
+			report(`Copied ${copyResult.rowCount} events into telemetry_events_p${monthKey} (${copied}/${total})`);
+		}
+		if (copied !== total) {
+			throw new Error(`Copied ${copied} events but telemetry_events has ${total}; rolling back`);
+		}
+
+		const sequenceResult = await client.query('SELECT pg_get_serial_sequence(\'telemetry_events\', \'id\') AS sequence_name');
+		const sequenceName = sequenceResult.rows[0].sequence_name;
+
+		await client.query('ALTER TABLE telemetry_events RENAME TO telemetry_events_unpartitioned');
+		await client.query('ALTER TABLE telemetry_events_partitioned RENAME TO telemetry_events');
+		if (sequenceName) {
+			// Keep the id sequence alive when the old table (its owner) is dropped
+			await client.query(`ALTER SEQUENCE ${sequenceName} OWNED BY telemetry_events.id`);
+		}
+		await client.query('DROP TABLE telemetry_events_unpartitioned');
+		await client.query('ALTER TABLE telemetry_events RENAME CONSTRAINT telemetry_events_partitioned_pkey TO telemetry_events_pkey');
+
+		report('Rebuilding indexes');
+		await client.query(TELEMETRY_EVENTS_INDEXES_SQL);
+		await client.query(TELEMETRY_EVENTS_TRIGGERS_SQL);
+
+		await client.query('COMMIT');
+
+		telemetryEventsPartitioned = true;
+		return {converted: true, rows: copied, partitions: monthKeys.size};
+	} catch (error) {
+		await client.query('ROLLBACK');
+		console.error('Error partitioning telemetry_events:', error);
+		throw error;
+	} finally {
+		client.release();
 	}
-	return deleteResult.rowCount;
 }
 
 /**
- * Permanently delete all soft deleted events older than specified days
- * @param {number} daysOld - Delete events soft deleted more than this many days ago (default: 30)
- * @returns {Promise<number>} Number of permanently deleted events
+ * Queue every hour that has events for a rollup refresh, once per database
+ * Used the first time rollups run on a database that already had events.
+ * @returns {Promise<number>} Hours queued (0 if the backfill already ran)
  */
-async function cleanupOldDeletedEvents(daysOld = 30) {
+async function backfillTelemetryRollups() {
 	if (!db) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const cutoffDate = new Date();
-	cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+	try {
+		if (await getSetting(ROLLUP_BACKFILL_SETTING)) {
+			return 0;
+		}
+		const result = await db.query(`
+			INSERT INTO telemetry_rollup_dirty_hours (hour)
+			SELECT DISTINCT date_trunc('hour', timestamp AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+			FROM telemetry_events
+			ON CONFLICT (hour) DO NOTHING
+		`);
+		await saveSetting(ROLLUP_BACKFILL_SETTING, new Date().toISOString());
+		return result.rowCount;
+	} catch (error) {
+		console.error('Error backfilling telemetry rollups:', error);
+		throw error;
+	}
+}
 
-	let impactedUsers = [];
-	let impactedOrgs = [];
+/**
+ * Recompute the hourly and daily rollups of the hours marked dirty since the last refresh
+ * Each transaction claims a few dirty hours, rebuilds their hourly rows from telemetry_events
+ * and the daily rows of the days they belong to from the hourly rows. Hours of archived months
+ * are dropped from the queue without being recomputed.
+ * @param {object} options
+ * @param {number} options.maxHours - Maximum hours to refresh in this call (default: 720)
+ * @param {number} options.hoursPerTransaction - Hours claimed per transaction (default: 24)
+ * @returns {Promise<number>} Hours refreshed
+ */
+async function refreshTelemetryRollups({maxHours = 720, hoursPerTransaction = 24} = {}) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
 
-	// First get affected users/orgs for stats recomputation
-	const result = await db.query(`
-		SELECT DISTINCT user_id, org_id
-		FROM telemetry_events
-		WHERE deleted_at IS NOT NULL AND deleted_at < $1
-	`, [cutoffDate]);
-	impactedUsers = result.rows.map(row => row.user_id).filter(Boolean);
-	impactedOrgs = result.rows.map(row => row.org_id).filter(Boolean);
+	let refreshed = 0;
+	const client = await db.connect();
+	try {
+		while (refreshed < maxHours) {
+			await client.query('BEGIN');
+			await client.query('SELECT pg_advisory_xact_lock($1)', [ROLLUP_LOCK_KEY]);
+			const claimed = await client.query(`
+				WITH claimed AS (
+					DELETE FROM telemetry_rollup_dirty_hours
+					WHERE hour IN (
+						SELECT hour FROM telemetry_rollup_dirty_hours
+						ORDER BY hour ASC
+						LIMIT $1
+					)
+					RETURNING hour
+				)
+				SELECT
+					hour,
+					EXISTS (
+						SELECT 1 FROM telemetry_archived_months a
+						WHERE a.month_key = to_char(hour AT TIME ZONE 'UTC', 'YYYYMM')
+					) AS archived
+				FROM claimed
+			`, [Math.min(hoursPerTransaction, maxHours - refreshed)]);
+			if (claimed.rowCount === 0) {
+				await client.query('COMMIT');
+				break;
+			}
 
-	// Then delete the events
-	const deleteResult = await db.query('DELETE FROM telemetry_events WHERE deleted_at IS NOT NULL AND deleted_at < $1', [cutoffDate]);
+			// Hours of archived months keep their rollups: their events are no longer in telemetry_events
+			const hours = claimed.rows.filter(row => !row.archived).map(row => new Date(row.hour).toISOString());
+			if (hours.length === 0) {
+				await client.query('COMMIT');
+				continue;
+			}
+			const days = [...new Set(hours.map(hour => hour.slice(0, 10)))];
 
-	if (deleteResult.rowCount > 0) {
-		await Promise.all([
-			impactedUsers.length ? recomputeUserEventStats(impactedUsers) : Promise.resolve(),
-			impactedOrgs.length ? recomputeOrgEventStats(impactedOrgs) : Promise.resolve()
-		]);
+			await client.query('DELETE FROM telemetry_rollup_hourly WHERE hour = ANY($1::timestamptz[])', [hours]);
+			await client.query(`
+				INSERT INTO telemetry_rollup_hourly (hour, ${ROLLUP_DIMENSIONS}, event_count, error_count, duration_ms_sum, duration_count)
+				SELECT
+					h.hour,
+					COALESCE(et.name, te.event),
+					te.area,
+					te.tool_name,
+					te.org_id,
+					te.team_id,
+					te.user_id,
+					COUNT(*),
+					COUNT(*) FILTER (WHERE te.success = false),
+					COALESCE(SUM(te.duration_ms), 0),
+					COUNT(te.duration_ms)
+				FROM unnest($1::timestamptz[]) AS h(hour)
+				JOIN telemetry_events te ON te.timestamp >= h.hour AND te.timestamp < h.hour + INTERVAL '1 hour'
+				LEFT JOIN event_types et ON et.id = te.event_id
+				WHERE te.deleted_at IS NULL
+				GROUP BY h.hour, COALESCE(et.name, te.event), te.area, te.tool_name, te.org_id, te.team_id, te.user_id
+			`, [hours]);
+
+			await client.query('DELETE FROM telemetry_rollup_daily WHERE day = ANY($1::date[])', [days]);
+			await client.query(`
+				INSERT INTO telemetry_rollup_daily (day, ${ROLLUP_DIMENSIONS}, event_count, error_count, duration_ms_sum, duration_count)
+				SELECT d.day, ${ROLLUP_DIMENSIONS}, SUM(event_count), SUM(error_count), SUM(duration_ms_sum), SUM(duration_count)
+				FROM unnest($1::date[]) AS d(day)
+				JOIN telemetry_rollup_hourly r
+					ON r.hour >= d.day::timestamp AT TIME ZONE 'UTC'
+					AND r.hour < (d.day + 1)::timestamp AT TIME ZONE 'UTC'
+				GROUP BY d.day, ${ROLLUP_DIMENSIONS}
+			`, [days]);
+
+			await client.query('COMMIT');
+			refreshed += hours.length;
+		}
+		return refreshed;
+	} catch (error) {
+		await client.query('ROLLBACK');
+		console.error('Error refreshing telemetry rollups:', error);
+		throw error;
+	} finally {
+		client.release();
+	}
+}
+
+/**
+ * Get how far behind the rollups are
+ * @returns {Promise<{dirtyHours: number, oldestDirtyHour: string|null}>}
+ */
+async function getTelemetryRollupStatus() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	try {
+		const result = await db.query('SELECT COUNT(*) AS total, MIN(hour) AS oldest FROM telemetry_rollup_dirty_hours');
+		const row = result.rows[0];
+		return {
+			dirtyHours: Number.parseInt(row.total, 10) || 0,
+			oldestDirtyHour: row.oldest ? new Date(row.oldest).toISOString() : null
+		};
+	} catch (error) {
+		console.error('Error getting telemetry rollup status:', error);
+		throw error;
 	}
-	return deleteResult.rowCount;
 }
 
 /**
@@ -4254,6 +7934,7 @@ async function logUserLoginAttempt(username, ipAddress, userAgent, errorMessage)
  * @param {number} options.offset - Number of logs to skip (default: 0)
  * @param {string} options.username - Filter by username
  * @param {boolean} options.successful - Filter by success status
+ * @param {string} options.event - Filter by event ('attempt', 'lockout', 'ip_lockout' or 'unlock')
  * @returns {Promise<Array>} Array of login log objects
  */
 async function getUserLoginLogs(options = {}) {
@@ -4261,37 +7942,361 @@ async function getUserLoginLogs(options = {}) {
 		throw new Error('Database not initialized. Call init() first.');
 	}
 
-	const {limit = 100, offset = 0, username, successful} = options;
+	const {limit = 100, offset = 0, username, successful, event} = options;
 
-	let whereClause = '';
+	const conditions = [];
 	const params = [];
 
 	if (username) {
-		whereClause += ' WHERE username = ?';
 		params.push(username);
+		conditions.push(`username = $${params.length}`);
 	}
 
 	if (successful !== undefined) {
 		const successBool = successful === true || successful === 'true' || successful === '1';
-		whereClause += whereClause ? ' AND successful = ?' : ' WHERE successful = ?';
-		params.push(successBool ? 1 : 0);
+		params.push(successBool);
+		conditions.push(`successful = $${params.length}`);
+	}
+
+	if (event) {
+		params.push(event);
+		conditions.push(`event = $${params.length}`);
 	}
 
-	const query = `SELECT id, username, ip_address::text, user_agent, successful, error_message, created_at FROM user_logins${whereClause} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+	const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+	const query = `SELECT id, username, ip_address::text, user_agent, successful, error_message, event, locked_until, created_at FROM user_logins${whereClause} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
 	const queryParams = [...params, Number.parseInt(limit, 10), Number.parseInt(offset, 10)];
 	const result = await db.query(query, queryParams);
 	return result.rows;
 }
 
+/**
+ * Get the login throttling state of a username and an IP address
+ * Usernames are compared case-insensitively. Failures are counted within the window, and only since
+ * the last reset: a successful login, lockout or unlock for the username, or the last IP lockout or
+ * IP unlock for the address.
+ * @param {string} username - Username of the attempt
+ * @param {string|null} ipAddress - IP address of the attempt
+ * @param {number} windowMinutes - How far back failures are counted
+ * @returns {Promise<object>} userFailures, userLastFailure, userLockedUntil, userRecentLockouts and the same for the IP
+ */
+async function getLoginThrottleState(username, ipAddress, windowMinutes) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const result = await db.query(
+		`WITH user_reset AS (
+			SELECT COALESCE(MAX(created_at), '-infinity'::timestamptz) AS at FROM user_logins
+			WHERE LOWER(username) = LOWER($1) AND ((event = 'attempt' AND successful) OR event IN ('lockout', 'unlock'))
+		),
+		ip_reset AS (
+			SELECT COALESCE(MAX(created_at), '-infinity'::timestamptz) AS at FROM user_logins
+			WHERE ip_address = $2::inet AND event IN ('ip_lockout', 'ip_unlock')
+		),
+		failures AS (
+			SELECT LOWER(username) AS username, ip_address, created_at FROM user_logins
+			WHERE event = 'attempt' AND NOT successful
+				AND created_at > NOW() - make_interval(mins => $3)
+				AND (LOWER(username) = LOWER($1) OR ip_address = $2::inet)
+		)
+		SELECT
+			(SELECT COUNT(*)::int FROM failures WHERE username = LOWER($1) AND created_at > (SELECT at FROM user_reset)) AS user_failures,
+			(SELECT MAX(created_at) FROM failures WHERE username = LOWER($1) AND created_at > (SELECT at FROM user_reset)) AS user_last_failure,
+			(SELECT COUNT(*)::int FROM failures WHERE ip_address = $2::inet AND created_at > (SELECT at FROM ip_reset)) AS ip_failures,
+			(SELECT MAX(created_at) FROM failures WHERE ip_address = $2::inet AND created_at > (SELECT at FROM ip_reset)) AS ip_last_failure,
+			(SELECT CASE WHEN event = 'lockout' THEN locked_until END FROM user_logins
+				WHERE LOWER(username) = LOWER($1) AND event IN ('lockout', 'unlock') ORDER BY created_at DESC, id DESC LIMIT 1) AS user_locked_until,
+			(SELECT CASE WHEN event = 'ip_lockout' THEN locked_until END FROM user_logins
+				WHERE ip_address = $2::inet AND event IN ('ip_lockout', 'ip_unlock') ORDER BY created_at DESC, id DESC LIMIT 1) AS ip_locked_until,
+			(SELECT COUNT(*)::int FROM user_logins
+				WHERE LOWER(username) = LOWER($1) AND event = 'lockout' AND created_at > NOW() - INTERVAL '24 hours') AS user_recent_lockouts,
+			(SELECT COUNT(*)::int FROM user_logins
+				WHERE ip_address = $2::inet AND event = 'ip_lockout' AND created_at > NOW() - INTERVAL '24 hours') AS ip_recent_lockouts`,
+		[username, ipAddress || null, Number.parseInt(windowMinutes, 10)]
+	);
+
+	const row = result.rows[0];
+	return {
+		userFailures: row.user_failures,
+		userLastFailure: row.user_last_failure,
+		userLockedUntil: row.user_locked_until,
+		userRecentLockouts: row.user_recent_lockouts,
+		ipFailures: row.ip_failures,
+		ipLastFailure: row.ip_last_failure,
+		ipLockedUntil: row.ip_locked_until,
+		ipRecentLockouts: row.ip_recent_lockouts
+	};
+}
+
+/**
+ * Record a lockout, or an administrator unlock, in the login log
+ * These rows are never successful logins: only 'attempt' rows are.
+ * @param {object} entry - Log entry
+ * @param {string} entry.event - 'lockout' or 'unlock' (username), 'ip_lockout' or 'ip_unlock' (IP address)
+ * @param {string} entry.username - Username the entry applies to (for IP entries, the attempt's username or the administrator that unlocked it)
+ * @param {string|null} entry.ipAddress - IP address the entry applies to, or of the attempt that caused it
+ * @param {string|null} entry.userAgent - User agent of the attempt that caused it
+ * @param {Date|null} entry.lockedUntil - When the lockout expires
+ * @param {string} entry.message - Reason shown in the login log
+ * @returns {Promise<void>}
+ */
+async function logUserLoginEvent({event, username, ipAddress = null, userAgent = null, lockedUntil = null, message = null}) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	await db.query(
+		'INSERT INTO user_logins (username, ip_address, user_agent, successful, error_message, event, locked_until) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+		[username, ipAddress || null, userAgent || null, false, message, event, lockedUntil]
+	);
+}
+
+/**
+ * Get the usernames that are currently locked out, with the time their lockout expires
+ * @returns {Promise<Map<string, Date>>} Lowercased username -> locked_until
+ */
+async function getLockedUsernames() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const result = await db.query(`
+		SELECT username, locked_until FROM (
+			SELECT DISTINCT ON (LOWER(username)) LOWER(username) AS username, event, locked_until
+			FROM user_logins
+			WHERE event IN ('lockout', 'unlock')
+			ORDER BY LOWER(username), created_at DESC, id DESC
+		) latest
+		WHERE event = 'lockout' AND locked_until > NOW()
+	`);
+	return new Map(result.rows.map(row => [row.username, row.locked_until]));
+}
+
+/**
+ * Record a change made through the API (see auth/audit-log.js)
+ * @param {object} entry - Audit log entry
+ * @param {string|null} entry.actor - Username that made the change
+ * @param {string|null} entry.actorRole - Role of the user at the time
+ * @param {string} entry.via - 'session' or 'api_token'
+ * @param {string|null} entry.ipAddress - IP address of the request
+ * @param {string} entry.action - Method and route, e.g. 'PUT /api/users/:username/role'
+ * @param {string|null} entry.targetType - Kind of record changed (users, events, teams...)
+ * @param {string|null} entry.targetId - ID of the record changed
+ * @param {object|null} entry.before - Changed fields before the change
+ * @param {object|null} entry.after - Changed fields after the change
+ * @param {object|null} entry.details - Request parameters and route details
+ * @param {number} entry.statusCode - Response status
+ * @returns {Promise<void>}
+ */
+async function insertAuditLogEntry(entry) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	await db.query(
+		`INSERT INTO audit_log (actor, actor_role, via, ip_address, action, target_type, target_id, before, after, details, status_code)
+		VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+		[
+			entry.actor,
+			entry.actorRole,
+			entry.via,
+			entry.ipAddress,
+			entry.action,
+			entry.targetType,
+			entry.targetId,
+			entry.before ? JSON.stringify(entry.before) : null,
+			entry.after ? JSON.stringify(entry.after) : null,
+			entry.details ? JSON.stringify(entry.details) : null,
+			entry.statusCode
+		]
+	);
+}
+
+function buildAuditLogConditions(filters) {
+	const conditions = [];
+	const params = [];
+	const columns = {actor: 'actor', action: 'action', targetType: 'target_type', targetId: 'target_id'};
+	for (const [filter, column] of Object.entries(columns)) {
+		if (filters[filter]) {
+			params.push(filters[filter]);
+			conditions.push(`${column} = $${params.length}`);
+		}
+	}
+	if (filters.from) {
+		params.push(filters.from);
+		conditions.push(`created_at >= $${params.length}`);
+	}
+	if (filters.to) {
+		params.push(filters.to);
+		conditions.push(`created_at <= $${params.length}`);
+	}
+	return {conditions, params};
+}
+
+/**
+ * Get audit log entries, newest first
+ * Uses keyset pagination on id: pass nextCursor of the previous page as beforeId.
+ * @param {object} filters - actor, action, targetType, targetId, from and to (dates)
+ * @param {number} filters.limit - Maximum entries to return (default: 50)
+ * @param {number} filters.beforeId - Only entries with a lower id
+ * @returns {Promise<{entries: Array<object>, nextCursor: string|null}>}
+ */
+async function getAuditLogEntries(filters = {}) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const {limit = 50, beforeId} = filters;
+	const {conditions, params} = buildAuditLogConditions(filters);
+	if (beforeId) {
+		params.push(beforeId);
+		conditions.push(`id < $${params.length}`);
+	}
+	const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+	// One extra row tells whether there is a next page without counting
+	const result = await db.query(
+		`SELECT * FROM audit_log${whereClause} ORDER BY id DESC LIMIT $${params.length + 1}`,
+		[...params, limit + 1]
+	);
+	const hasMore = result.rows.length > limit;
+	const entries = hasMore ? result.rows.slice(0, limit) : result.rows;
+	return {
+		entries,
+		nextCursor: hasMore ? encodeCursor({id: Number(entries.at(-1).id)}) : null
+	};
+}
+
+/**
+ * Iterate the audit log entries matching the filters in id order, one batch at a time
+ * @param {object} filters - Same filters as getAuditLogEntries
+ * @param {number} batchSize - Rows per query (default: 1000)
+ * @yields {Array<object>} Batches of entries
+ */
+async function* iterateAuditLogEntries(filters = {}, batchSize = 1000) {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const {conditions, params} = buildAuditLogConditions(filters);
+	const whereClause = ['TRUE', ...conditions].join(' AND ');
+
+	let lastId = 0;
+	let rows = [];
+	do {
+		const result = await db.query(
+			`SELECT * FROM audit_log WHERE ${whereClause} AND id > $${params.length + 1} ORDER BY id ASC LIMIT $${params.length + 2}`,
+			[...params, lastId, batchSize]
+		);
+		rows = result.rows;
+		if (rows.length > 0) {
+			lastId = rows.at(-1).id;
+			yield rows;
+		}
+	} while (rows.length === batchSize);
+}
+
+/**
+ * Get the distinct actors and actions in the audit log (for the viewer filters)
+ * @returns {Promise<{actors: Array<string>, actions: Array<string>}>}
+ */
+async function getAuditLogFilterOptions() {
+	if (!db) {
+		throw new Error('Database not initialized. Call init() first.');
+	}
+
+	const [actors, actions] = await Promise.all([
+		db.query('SELECT DISTINCT actor FROM audit_log WHERE actor IS NOT NULL ORDER BY actor'),
+		db.query('SELECT DISTINCT action FROM audit_log ORDER BY action')
+	]);
+	return {
+		actors: actors.rows.map(row => row.actor),
+		actions: actions.rows.map(row => row.action)
+	};
+}
+
 export {
 	init,
+	createPool,
 	storeEvent,
+	getEventTypeId,
+	storeEvents,
 	storeDiscardedEvent,
+	// Ingestion queue
+	enqueueEvents,
+	getExistingClientEventIds,
+	claimQueuedEvents,
+	completeQueuedEvents,
+	failQueuedEvent,
+	requeueDeadQueuedEvents,
+	getIngestionQueueStats,
+	// Rejected events
+	storeRejectedEvents,
+	getRejectedEventGroups,
+	getRejectedEvents,
+	getRejectedEventById,
+	markRejectedEventPromoted,
+	deleteRejectedEventGroup,
+	// Error groups
+	backfillErrorFingerprints,
+	getErrorGroups,
+	resolveErrorGroup,
+	reopenErrorGroup,
+	getErrorGroupsChangedSince,
+	// Alerts
+	getAlertRules,
+	getAlertRuleById,
+	createAlertRule,
+	updateAlertRule,
+	deleteAlertRule,
+	markAlertRuleEvaluated,
+	storeAlertHistory,
+	getAlertHistory,
+	getToolErrorCounts,
+	getOrgLastEventAt,
+	// Retention policies
+	getRetentionPolicies,
+	createRetentionPolicy,
+	updateRetentionPolicy,
+	deleteRetentionPolicy,
+	previewRetentionPolicies,
+	applyRetentionPolicies,
+	// Event forwarders
+	getEventForwarders,
+	getEventForwarderById,
+	createEventForwarder,
+	updateEventForwarder,
+	deleteEventForwarder,
+	claimEventForwarders,
+	releaseEventForwarders,
+	recordEventForwarderProgress,
+	// Saved views
+	getSavedViews,
+	getSavedViewById,
+	createSavedView,
+	updateSavedView,
+	deleteSavedView,
+	// Partitions & rollups
+	ensureTelemetryEventPartitions,
+	isTelemetryEventsPartitioned,
+	getTelemetryEventPartitions,
+	detachTelemetryEventPartition,
+	getDetachedPartitionRows,
+	dropDetachedPartition,
+	partitionTelemetryEvents,
+	backfillTelemetryRollups,
+	refreshTelemetryRollups,
+	getTelemetryRollupStatus,
 	getStats,
 	getEvents,
+	iterateEvents,
+	getEventsAfter,
+	getLatestEventPosition,
 	getEventById,
 	getEventTypeStats,
 	getSessions,
+	getSessionsPage,
 	getDailyStats,
 	getDailyStatsByEventType,
 	getTopUsersLastDays,
@@ -4318,6 +8323,14 @@ export {
 	logUserLogin,
 	logUserLoginAttempt,
 	getUserLoginLogs,
+	getLoginThrottleState,
+	logUserLoginEvent,
+	getLockedUsernames,
+	// Audit log
+	insertAuditLogEntry,
+	getAuditLogEntries,
+	iterateAuditLogEntries,
+	getAuditLogFilterOptions,
 	// Utility functions
 	extractNormalizedFields,
 	DEFAULT_MAX_DB_SIZE,
@@ -4330,8 +8343,17 @@ export {
 	deleteUser,
 	updateUserPassword,
 	updateUserRole,
+	provisionSsoUser,
+	// Two-factor authentication
+	getUserTwoFactor,
+	enableUserTotp,
+	disableUserTotp,
+	updateUserTotpLastStep,
+	useUserRecoveryCode,
+	replaceUserRecoveryCodes,
 	// Organization management
 	getOrgCompanyName,
+	getOrgById,
 	getAllOrgs,
 	upsertOrgCompanyName,
 	getAllOrgsWithTeams,
@@ -4376,10 +8398,26 @@ export {
 	rotateRememberToken,
 	cleanupExpiredRememberTokens,
 	getActiveRememberTokensCount,
+	// Ingestion API keys
+	createIngestionApiKey,
+	getIngestionApiKeys,
+	getIngestionApiKeyById,
+	findIngestionApiKey,
+	touchIngestionApiKey,
+	updateIngestionApiKey,
+	revokeIngestionApiKey,
+	rotateIngestionApiKey,
+	// Personal API tokens
+	createPersonalAccessToken,
+	getPersonalAccessTokens,
+	findPersonalAccessToken,
+	touchPersonalAccessToken,
+	revokePersonalAccessToken,
 	// Utilities
 	getNormalizedUserId,
 	// Tool usage statistics
 	getToolUsageStats,
+	getToolPerformanceStats,
 	// Database export/import
 	exportDatabase,
 	importDatabase
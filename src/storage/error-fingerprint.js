@@ -0,0 +1,71 @@
+/**
+ * Error fingerprinting
+ *
+ * Normalizes tool error messages so that occurrences of the same error that only differ
+ * in ids, numbers, org ids or quoted values share a fingerprint (one row in error_groups).
+ */
+
+import crypto from 'node:crypto';
+
+const MAX_NORMALIZED_LENGTH = 500;
+
+// Applied in order: quoted values first so ids inside quotes don't leave partial tokens
+// (a single quote right after a letter is an apostrophe, not a quote)
+const NORMALIZATION_RULES = [
+	[/"[^"]*"|(?<!\w)'[^']*'|`[^`]*`/g, '"<value>"'],
+	[/\b[\w%+.-]+@[\d.A-Za-z-]+\.[A-Za-z]{2,}\b/g, '<email>'],
+	[/\b[\dA-Fa-f]{8}(?:-[\dA-Fa-f]{4}){3}-[\dA-Fa-f]{12}\b/g, '<uuid>'],
+	// Salesforce org ids (00D prefix) and other 15/18 character record ids
+	[/\b00D[\dA-Za-z]{12}(?:[\dA-Za-z]{3})?\b/g, '<org-id>'],
+	[/\b(?=[A-Za-z]*\d)[\dA-Za-z]{15}(?:[\dA-Za-z]{3})?\b/g, '<id>'],
+	[/\b(?=[A-Fa-f]*\d)[\dA-Fa-f]{8,}\b/g, '<hex>'],
+	[/\d+(?:\.\d+)*/g, '<n>'],
+	[/\s+/g, ' ']
+];
+
+/**
+ * Normalize an error message by replacing variable parts with placeholders
+ * @param {string|null} message - Raw error message
+ * @returns {string} Normalized message
+ */
+function normalizeErrorMessage(message) {
+	if (typeof message !== 'string' || message.trim() === '') {
+		return 'Unknown error';
+	}
+
+	let normalized = message;
+	for (const [pattern, replacement] of NORMALIZATION_RULES) {
+		normalized = normalized.replace(pattern, replacement);
+	}
+	return normalized.trim().substring(0, MAX_NORMALIZED_LENGTH);
+}
+
+/**
+ * Compute the fingerprint of a tool error
+ * @param {string|null} toolName - Tool that failed
+ * @param {string|null} message - Raw error message
+ * @returns {{fingerprint: string, normalizedMessage: string}} Fingerprint (sha1 hex) and normalized message
+ */
+function computeErrorFingerprint(toolName, message) {
+	const normalizedMessage = normalizeErrorMessage(message);
+	const fingerprint = crypto
+		.createHash('sha1')
+		.update(`${toolName || ''}\n${normalizedMessage}`)
+		.digest('hex');
+	return {fingerprint, normalizedMessage};
+}
+
+/**
+ * Compare two server versions (numeric aware, e.g. 1.10.0 > 1.9.2)
+ * @param {string|null} a - Version
+ * @param {string|null} b - Version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal or either is missing
+ */
+function compareVersions(a, b) {
+	if (!a || !b) {
+		return 0;
+	}
+	return String(a).localeCompare(String(b), undefined, {numeric: true});
+}
+
+export {normalizeErrorMessage, computeErrorFingerprint, compareVersions};
@@ -0,0 +1,151 @@
+/**
+ * Event Log search syntax
+ *
+ * Parses the `search` parameter of /api/events (the Event Log search box) into the filters
+ * buildEventFilterConditions turns into SQL. Every term must match:
+ *
+ *   timeout                      Text in the error message, tool, user or company name
+ *   "read timed out"             Quoted text is matched as a whole
+ *   tool:apex_run                Tool name (event:tool_call for the event type); * is a wildcard
+ *   error:"timeout"              Text in the error message (user: and company: work the same way)
+ *   data.orgType=sandbox         Value at a path of the event's data object, matched with the idx_data_gin index
+ *   data.org.edition="Developer Edition"
+ *
+ * Unquoted data values also match numbers, booleans and null (data.attempt=2 matches 2 and "2").
+ */
+
+const MAX_TERMS = 10;
+const DATA_PREFIX = 'data.';
+const DATA_PATH_SEGMENT_PATTERN = /^[\w$-]+$/;
+const NUMBER_PATTERN = /^-?\d+(?:\.\d+)?$/;
+
+// Field filters: exact fields match the whole value, the others any part of it
+const SEARCH_FIELDS = {
+	tool: {exact: true},
+	event: {exact: true},
+	error: {exact: false},
+	user: {exact: false},
+	company: {exact: false}
+};
+
+/**
+ * Split a query on whitespace outside double quotes
+ * @returns {Array<{text: string, quoteStart: number}>} Tokens without their quotes; quoteStart is where quoting began (-1 if unquoted)
+ */
+function tokenize(query) {
+	const tokens = [];
+	let text = '';
+	let quoteStart = -1;
+	let inQuotes = false;
+
+	const pushToken = () => {
+		if (text || quoteStart !== -1) {
+			tokens.push({text, quoteStart});
+		}
+		text = '';
+		quoteStart = -1;
+	};
+
+	for (const char of query) {
+		if (char === '"') {
+			inQuotes = !inQuotes;
+			if (quoteStart === -1) {
+				quoteStart = text.length;
+			}
+		} else if (!inQuotes && /\s/.test(char)) {
+			pushToken();
+		} else {
+			text += char;
+		}
+	}
+	pushToken();
+	return tokens;
+}
+
+// ILIKE pattern matching the value literally, except for * wildcards
+function toLikePattern(value, exact) {
+	const escaped = value.replaceAll(/[%\\_]/g, '\\$&').replaceAll('*', '%');
+	return exact ? escaped : `%${escaped}%`;
+}
+
+function toDataValues(value, quoted) {
+	const values = [value];
+	if (quoted) {
+		return values;
+	}
+	if (NUMBER_PATTERN.test(value)) {
+		values.push(Number(value));
+	} else if (value === 'true' || value === 'false') {
+		values.push(value === 'true');
+	} else if (value === 'null') {
+		values.push(null);
+	}
+	return values;
+}
+
+// The data column holds the whole payload, with the event's data object under its data key:
+// {data: {orgType: 'sandbox'}} for data.orgType=sandbox, {data: {org: {edition: 'x'}}} for data.org.edition=x
+function toContainment(path, value) {
+	return ['data', ...path].reduceRight((nested, segment) => ({[segment]: nested}), value);
+}
+
+/**
+ * Parse an Event Log search query
+ * @param {string} query - e.g. 'tool:apex_run error:"timeout" data.orgType=sandbox'
+ * @returns {{search: {text: Array<string>, fields: Array<object>, data: Array<object>}|null, errors: Array<string>}}
+ *   search is null when the query is empty. text holds ILIKE patterns, fields {field, pattern}
+ *   and data the JSON documents (one per accepted value type) the payload must contain.
+ */
+function parseEventSearch(query) {
+	const errors = [];
+	const tokens = typeof query === 'string' ? tokenize(query.trim()) : [];
+	if (tokens.length === 0) {
+		return {search: null, errors};
+	}
+	if (tokens.length > MAX_TERMS) {
+		return {search: null, errors: [`Search is limited to ${MAX_TERMS} terms`]};
+	}
+
+	const search = {text: [], fields: [], data: []};
+	for (const {text, quoteStart} of tokens) {
+		// Only an unquoted prefix can name a field
+		const head = quoteStart === -1 ? text : text.slice(0, quoteStart);
+		const quoted = quoteStart !== -1;
+
+		if (head.startsWith(DATA_PREFIX) && head.includes('=')) {
+			const separator = text.indexOf('=');
+			const path = text.slice(DATA_PREFIX.length, separator).split('.');
+			const value = text.slice(separator + 1);
+			if (!path.every(segment => DATA_PATH_SEGMENT_PATTERN.test(segment))) {
+				errors.push(`Invalid data path: ${text.slice(0, separator)}`);
+			} else if (!value && !quoted) {
+				errors.push(`Missing value for ${text.slice(0, separator)} (use ="" to match an empty string)`);
+			} else {
+				search.data.push(toDataValues(value, quoted).map(candidate => toContainment(path, candidate)));
+			}
+			continue;
+		}
+
+		const colon = head.indexOf(':');
+		const field = colon > 0 ? head.slice(0, colon).toLowerCase() : null;
+		if (field && Object.hasOwn(SEARCH_FIELDS, field)) {
+			const value = text.slice(colon + 1);
+			if (value) {
+				search.fields.push({field, pattern: toLikePattern(value, SEARCH_FIELDS[field].exact)});
+			} else {
+				errors.push(`Missing value for ${field}:`);
+			}
+			continue;
+		}
+
+		// Free text (including unknown prefixes such as URLs)
+		if (text) {
+			search.text.push(toLikePattern(text, false));
+		}
+	}
+
+	const isEmpty = search.text.length === 0 && search.fields.length === 0 && search.data.length === 0;
+	return {search: errors.length > 0 || isEmpty ? null : search, errors};
+}
+
+export {parseEventSearch};
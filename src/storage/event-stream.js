@@ -0,0 +1,125 @@
+/**
+ * Live event stream
+ *
+ * Pushes newly stored events to the clients following /api/events/stream (Server-Sent Events).
+ * Subscribers with the same filters share a group with a single cursor, so each distinct set of
+ * filters costs one query per check however many clients follow it. A check runs right after this
+ * instance stores events (notify) and every EVENT_STREAM_POLL_INTERVAL_MS (2 seconds by default),
+ * which picks up the events stored by other instances. Nothing runs while nobody is subscribed.
+ * Cursors follow commit order (see db.getEventsAfter), so events of transactions that commit late
+ * with lower ids still reach the subscribers.
+ */
+
+import * as db from './database.js';
+
+const POLL_INTERVAL_MS = Number.parseInt(process.env.EVENT_STREAM_POLL_INTERVAL_MS, 10) || 2000;
+const MAX_EVENTS_PER_CHECK = 200;
+
+// Filter key -> {filters, cursor, subscribers}
+const groups = new Map();
+let timer = null;
+let checking = false;
+let checkAgain = false;
+
+async function checkForEvents() {
+	if (checking) {
+		checkAgain = true;
+		return;
+	}
+	checking = true;
+
+	try {
+		for (const group of groups.values()) {
+			if (group.cursor === null) {
+				continue;
+			}
+			const {events, position} = await db.getEventsAfter({...group.filters, after: group.cursor, limit: MAX_EVENTS_PER_CHECK});
+			if (events.length === 0) {
+				continue;
+			}
+			group.cursor = position;
+			if (events.length === MAX_EVENTS_PER_CHECK) {
+				// Catch up without waiting for the next interval
+				checkAgain = true;
+			}
+			for (const subscriber of group.subscribers) {
+				subscriber(events);
+			}
+		}
+	} catch (error) {
+		console.error('Error checking for new events:', error);
+	} finally {
+		checking = false;
+	}
+
+	if (checkAgain && groups.size > 0) {
+		checkAgain = false;
+		await checkForEvents();
+	}
+}
+
+/**
+ * Follow the events stored from now on that match some filters
+ * @param {object} filters - Same filters as db.getEvents (areas, eventTypes, serverId, sessionId, userIds, startDate, endDate)
+ * @param {Function} onEvents - Called with each batch of new events (oldest first)
+ * @returns {Promise<Function>} Unsubscribe function
+ */
+async function subscribe(filters, onEvents) {
+	const key = JSON.stringify(filters);
+	let group = groups.get(key);
+	if (!group) {
+		group = {filters, cursor: null, subscribers: new Set()};
+		groups.set(key, group);
+	}
+	group.subscribers.add(onEvents);
+
+	if (!timer) {
+		timer = setInterval(checkForEvents, POLL_INTERVAL_MS);
+		timer.unref?.();
+	}
+
+	try {
+		if (group.cursor === null) {
+			group.cursor = await db.getLatestEventPosition();
+		}
+	} catch (error) {
+		unsubscribe(key, onEvents);
+		throw error;
+	}
+
+	return () => unsubscribe(key, onEvents);
+}
+
+function unsubscribe(key, onEvents) {
+	const group = groups.get(key);
+	if (group) {
+		group.subscribers.delete(onEvents);
+		if (group.subscribers.size === 0) {
+			groups.delete(key);
+		}
+	}
+	if (groups.size === 0) {
+		clearInterval(timer);
+		timer = null;
+	}
+}
+
+/**
+ * Check for new events now (called after this instance stores events)
+ */
+function notify() {
+	if (groups.size > 0) {
+		checkForEvents();
+	}
+}
+
+/**
+ * Stop checking for events and drop every subscriber
+ */
+function stop() {
+	clearInterval(timer);
+	timer = null;
+	groups.clear();
+}
+
+export {subscribe, notify, stop};
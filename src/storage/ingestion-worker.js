@@ -0,0 +1,257 @@
+/**
+ * Ingestion worker
+ *
+ * Drains the durable ingestion_queue table into telemetry_events.
+ * Failed events are retried with backoff and end up in the dead-letter state
+ * after INGESTION_QUEUE_MAX_ATTEMPTS attempts.
+ */
+
+import * as db from './database.js';
+import {parseTelemetryEvent} from './parsers/index.js';
+
+const BATCH_SIZE = Number.parseInt(process.env.INGESTION_QUEUE_BATCH_SIZE, 10) || 100;
+const MAX_ATTEMPTS = Number.parseInt(process.env.INGESTION_QUEUE_MAX_ATTEMPTS, 10) || 5;
+const POLL_INTERVAL_MS = Number.parseInt(process.env.INGESTION_QUEUE_POLL_MS, 10) || 1000;
+const STALE_LOCK_SECONDS = 300; // Reclaim rows left in 'processing' by a crashed worker
+
+let timer = null;
+let started = false;
+let draining = false;
+let drainRequested = false;
+let onStoredCallback = null;
+
+// Counters since process start (persistent depth/lag come from the queue table)
+const workerStats = {
+	processed: 0,
+	failedAttempts: 0,
+	deadLettered: 0,
+	lastError: null,
+	lastErrorAt: null,
+	lastDrainAt: null
+};
+
+/**
+ * Parse a queued payload back into a TelemetryEvent
+ * @param {object} item - Queue row
+ * @returns {import('./telemetry-event.js').TelemetryEvent}
+ */
+function parseQueuedEvent(item) {
+	const telemetryEvent = parseTelemetryEvent(item.payload);
+	telemetryEvent.receivedAt = new Date(item.received_at).toISOString();
+	return telemetryEvent;
+}
+
+/**
+ * Store a single queued event
+ * Its queue row is deleted in the transaction that stores it.
+ * @param {object} item - Queue row
+ * @returns {Promise<boolean>} True if a new telemetry event was stored
+ */
+async function processItem(item) {
+	const receivedAt = new Date(item.received_at).toISOString();
+
+	if (item.discard_reason) {
+		const stored = await db.storeDiscardedEvent(item.payload, item.discard_reason, receivedAt, item.api_key_id, item.id);
+		if (!stored) {
+			throw new Error('Failed to store discarded event');
+		}
+		return false;
+	}
+
+	return db.storeEvent(parseQueuedEvent(item), receivedAt, item.api_key_id, item.client_ip, item.id);
+}
+
+/**
+ * Record a failed attempt for a queued event (retried later or dead-lettered)
+ * @param {object} item - Queue row
+ * @param {Error} error - Failure
+ */
+async function recordFailure(item, error) {
+	workerStats.failedAttempts++;
+	workerStats.lastError = error.message;
+	workerStats.lastErrorAt = new Date().toISOString();
+	console.error(`Error storing queued telemetry event ${item.id} (attempt ${item.attempts}):`, error);
+	const status = await db.failQueuedEvent(item.id, error.message, MAX_ATTEMPTS);
+	if (status === 'dead') {
+		workerStats.deadLettered++;
+		console.warn(`Queued telemetry event ${item.id} moved to dead-letter after ${item.attempts} attempts`);
+	}
+}
+
+function scheduleNextDrain(delayMs) {
+	if (!started) {
+		return;
+	}
+	clearTimeout(timer);
+	timer = setTimeout(drain, delayMs);
+	timer.unref?.();
+}
+
+/**
+ * Process queued events until the queue is empty (or only holds events waiting for a retry)
+ */
+async function drain() {
+	if (draining) {
+		drainRequested = true;
+		return;
+	}
+	draining = true;
+
+	try {
+		let hasMore = true;
+		while (hasMore) {
+			drainRequested = false;
+			const batch = await db.claimQueuedEvents(BATCH_SIZE, STALE_LOCK_SECONDS, MAX_ATTEMPTS);
+
+			const completedIds = [];
+			let storedAny = false;
+
+			// Parse up front; discarded payloads are stored one by one
+			const batchItems = [];
+			const singleItems = [];
+			for (const item of batch) {
+				if (item.discard_reason) {
+					singleItems.push(item);
+					continue;
+				}
+				try {
+					batchItems.push({item, telemetryEvent: parseQueuedEvent(item)});
+				} catch (error) {
+					await recordFailure(item, error);
+				}
+			}
+
+			// Store parsed events with the batch path (one transaction for the whole batch)
+			if (batchItems.length > 0) {
+				let result = null;
+				try {
+					result = await db.storeEvents(batchItems.map(({item, telemetryEvent}) => ({
+						telemetryEvent,
+						receivedAt: telemetryEvent.receivedAt,
+						apiKeyId: item.api_key_id,
+						clientIp: item.client_ip,
+						queueId: item.id
+					})));
+				} catch (error) {
+					// Fall back to one event at a time so a single bad event doesn't hold back the rest
+					console.warn('Batch insert failed, storing queued events one by one:', error.message);
+					singleItems.push(...batchItems.map(({item}) => item));
+				}
+
+				if (result) {
+					storedAny = result.stored > 0;
+					// Events without a user whose discarded copy couldn't be stored are retried
+					const failed = new Set(result.failed);
+					for (const [index, {item}] of batchItems.entries()) {
+						if (failed.has(index)) {
+							await recordFailure(item, new Error('Failed to store discarded event'));
+						} else {
+							completedIds.push(item.id);
+						}
+					}
+				}
+			}
+
+			for (const item of singleItems) {
+				try {
+					const stored = await processItem(item);
+					storedAny = storedAny || stored;
+					completedIds.push(item.id);
+				} catch (error) {
+					await recordFailure(item, error);
+				}
+			}
+
+			// Rows of stored and discarded events went with them; this also removes the rejected ones
+			if (completedIds.length > 0) {
+				await db.completeQueuedEvents(completedIds);
+				workerStats.processed += completedIds.length;
+			}
+
+			if (storedAny && onStoredCallback) {
+				onStoredCallback();
+			}
+
+			// Keep going while full batches come back or new events were queued meanwhile
+			hasMore = started && (batch.length === BATCH_SIZE || drainRequested);
+		}
+
+		workerStats.lastDrainAt = new Date().toISOString();
+	} catch (error) {
+		workerStats.lastError = error.message;
+		workerStats.lastErrorAt = new Date().toISOString();
+		console.error('Error draining ingestion queue:', error);
+	} finally {
+		draining = false;
+		scheduleNextDrain(POLL_INTERVAL_MS);
+	}
+}
+
+/**
+ * Start polling the ingestion queue
+ * @param {object} options - Worker options
+ * @param {Function} options.onStored - Called after a batch stored at least one new event (e.g. to clear caches)
+ */
+function start({onStored = null} = {}) {
+	onStoredCallback = onStored;
+	started = true;
+	scheduleNextDrain(0);
+}
+
+/**
+ * Stop polling (events still queued are picked up on next start)
+ */
+function stop() {
+	started = false;
+	clearTimeout(timer);
+	timer = null;
+}
+
+/**
+ * Wake the worker up after new events were queued
+ */
+function notify() {
+	if (!started) {
+		return;
+	}
+	if (draining) {
+		drainRequested = true;
+		return;
+	}
+	scheduleNextDrain(0);
+}
+
+/**
+ * Get worker counters merged with queue depth and lag
+ * The public /health page only gets counts; the last error text is for administrators.
+ * @param {object} options
+ * @param {boolean} options.includeLastError - Add lastError and lastErrorAt (default: false)
+ * @returns {Promise<object>}
+ */
+async function getQueueHealth({includeLastError = false} = {}) {
+	const queueStats = await db.getIngestionQueueStats();
+	const health = {
+		depth: queueStats.pending + queueStats.processing,
+		pending: queueStats.pending,
+		processing: queueStats.processing,
+		deadLetter: queueStats.dead,
+		lagSeconds: queueStats.lagSeconds,
+		oldestReceivedAt: queueStats.oldestReceivedAt,
+		processed: workerStats.processed,
+		failedAttempts: workerStats.failedAttempts,
+		deadLettered: workerStats.deadLettered,
+		lastDrainAt: workerStats.lastDrainAt
+	};
+	if (includeLastError) {
+		health.lastError = workerStats.lastError;
+		health.lastErrorAt = workerStats.lastErrorAt;
+	}
+	return health;
+}
+
+export {
+	start,
+	stop,
+	notify,
+	getQueueHealth
+};
@@ -1,13 +1,22 @@
 /**
- * Log formatter module - JSON Lines (JSONL) format
+ * Log formatter module - export formats for telemetry events
  *
  * JSON Lines (JSONL) is the most widely adopted standard for structured logging.
  * Compatible with: ELK Stack, Splunk, Datadog, CloudWatch, Grafana Loki, BigQuery,
  * MongoDB, PostgreSQL, Elasticsearch, Kafka, and many other tools.
  *
  * Format specification: http://jsonlines.org/
+ *
+ * Other formats are registered in EXPORT_FORMATS:
+ * - csv: RFC 4180 CSV with selectable columns, for spreadsheets
+ * - otlp: OTLP/JSON log records (one ExportLogsServiceRequest per line), readable by the
+ *   OpenTelemetry Collector's otlpjsonfile receiver
+ * - parquet: Apache Parquet file for the data warehouse
  */
 
+import {PassThrough} from 'node:stream';
+import {pipeline} from 'node:stream/promises';
+
 /**
  * Format event as JSON Lines (JSONL) - one JSON object per line
  *
@@ -45,7 +54,371 @@ function formatEvents(events) {
 	return events.map(event => formatAsJSONL(event)).join('\n');
 }
 
+// CSV
+const CSV_COLUMNS = {
+	id: event => event.id,
+	timestamp: event => event.timestamp,
+	event: event => event.event,
+	area: event => event.area,
+	success: event => event.success,
+	user_id: event => event.user_id,
+	user_name: event => event.user_name,
+	session_id: event => event.session_id,
+	parent_session_id: event => event.parent_session_id,
+	server_id: event => event.server_id,
+	org_id: event => event.org_id,
+	company_name: event => event.company_name,
+	team_id: event => event.team_id,
+	tool_name: event => event.tool_name,
+	error_message: event => event.error_message,
+	version: event => event.version,
+	telemetry_schema_version: event => event.telemetry_schema_version,
+	received_at: event => event.received_at,
+	created_at: event => event.created_at,
+	data: event => (event.data ? JSON.stringify(event.data) : null)
+};
+const DEFAULT_CSV_COLUMNS = ['id', 'timestamp', 'event', 'area', 'success', 'user_name', 'session_id', 'tool_name', 'error_message'];
+
+/**
+ * Format a value as a CSV field (RFC 4180)
+ * Text starting with = + - @ is prefixed with ' so spreadsheets don't evaluate it as a formula.
+ *
+ * @param {*} value - Field value
+ * @returns {string} Quoted field when needed
+ */
+function toCsvField(value) {
+	if (value === null || value === undefined) {
+		return '';
+	}
+	let text = value instanceof Date ? value.toISOString() : String(value);
+	if (typeof value === 'string' && /^[\t\r+=@-]/.test(text)) {
+		text = `'${text}`;
+	}
+	if (/[\n\r",]/.test(text)) {
+		return `"${text.replaceAll('"', '""')}"`;
+	}
+	return text;
+}
+
+function formatCsvRow(values) {
+	return `${values.map(toCsvField).join(',')}\r\n`;
+}
+
+// OTLP/JSON
+const OTLP_SEVERITY_INFO = 9;
+const OTLP_SEVERITY_ERROR = 17;
+
+function toUnixNano(value) {
+	const time = value ? new Date(value).getTime() : Number.NaN;
+	return Number.isFinite(time) ? `${BigInt(time) * 1_000_000n}` : '0';
+}
+
+/**
+ * Convert a JSON value to an OTLP AnyValue
+ *
+ * @param {*} value - JSON value
+ * @returns {object} AnyValue
+ */
+function toAnyValue(value) {
+	if (value === null || value === undefined) {
+		return {};
+	}
+	if (Array.isArray(value)) {
+		return {arrayValue: {values: value.map(toAnyValue)}};
+	}
+	switch (typeof value) {
+		case 'boolean':
+			return {boolValue: value};
+		case 'number':
+			return Number.isInteger(value) ? {intValue: String(value)} : {doubleValue: value};
+		case 'object':
+			if (value instanceof Date) {
+				return {stringValue: value.toISOString()};
+			}
+			return {kvlistValue: {values: Object.entries(value).map(([key, item]) => ({key, value: toAnyValue(item)}))}};
+		default:
+			return {stringValue: String(value)};
+	}
+}
+
+function formatAsOtlpLogRecord(event) {
+	const attributes = [];
+	const addAttribute = (key, value) => {
+		if (value !== null && value !== undefined && value !== '') {
+			attributes.push({key, value: toAnyValue(value)});
+		}
+	};
+	addAttribute('event.name', event.event);
+	addAttribute('telemetry.area', event.area);
+	addAttribute('telemetry.event_id', event.id);
+	addAttribute('user.id', event.user_id);
+	addAttribute('user.name', event.user_name);
+	addAttribute('session.id', event.session_id);
+	addAttribute('session.parent_id', event.parent_session_id);
+	addAttribute('server.id', event.server_id);
+	addAttribute('org.id', event.org_id);
+	addAttribute('team.id', event.team_id);
+	addAttribute('tool.name', event.tool_name);
+	addAttribute('error.message', event.error_message);
+	addAttribute('service.version', event.version);
+
+	const failed = event.success === false || Boolean(event.error_message);
+	return {
+		timeUnixNano: toUnixNano(event.timestamp || event.created_at),
+		observedTimeUnixNano: toUnixNano(event.received_at || event.created_at),
+		severityNumber: failed ? OTLP_SEVERITY_ERROR : OTLP_SEVERITY_INFO,
+		severityText: failed ? 'ERROR' : 'INFO',
+		body: toAnyValue(event.data || {}),
+		attributes
+	};
+}
+
+/**
+ * Format events as a single OTLP/JSON ExportLogsServiceRequest line
+ *
+ * @param {Array} events - Array of telemetry events
+ * @returns {string} JSON line
+ */
+function formatAsOtlpJson(events) {
+	return JSON.stringify({
+		resourceLogs: [{
+			resource: {
+				attributes: [{key: 'service.name', value: {stringValue: 'ibm-salesforce-context'}}]
+			},
+			scopeLogs: [{
+				scope: {name: 'ibm-salesforce-context-telemetry'},
+				logRecords: events.map(formatAsOtlpLogRecord)
+			}]
+		}]
+	});
+}
+
+// Parquet
+let parquetModule = null;
+
+async function loadParquet() {
+	if (!parquetModule) {
+		const module = await import('@dsnp/parquetjs');
+		parquetModule = module.default || module;
+	}
+	return parquetModule;
+}
+
+function toParquetRow(event) {
+	const row = {};
+	const set = (key, value) => {
+		if (value !== null && value !== undefined) {
+			row[key] = value;
+		}
+	};
+	const toDate = value => (value ? new Date(value) : null);
+	// INT64 column: also takes ids that pg returns as strings (bigint)
+	set('id', event.id === null || event.id === undefined ? null : BigInt(event.id));
+	set('timestamp', toDate(event.timestamp));
+	set('event', event.event);
+	set('area', event.area);
+	set('success', event.success);
+	set('user_id', event.user_id);
+	set('user_name', event.user_name);
+	set('session_id', event.session_id);
+	set('parent_session_id', event.parent_session_id);
+	set('server_id', event.server_id);
+	set('org_id', event.org_id);
+	set('company_name', event.company_name);
+	set('team_id', event.team_id);
+	set('tool_name', event.tool_name);
+	set('error_message', event.error_message);
+	set('version', event.version);
+	set('telemetry_schema_version', event.telemetry_schema_version);
+	set('received_at', toDate(event.received_at));
+	set('created_at', toDate(event.created_at));
+	set('data', event.data ? JSON.stringify(event.data) : null);
+	return row;
+}
+
+async function writeParquet(batches, output) {
+	const {ParquetSchema, ParquetWriter} = await loadParquet();
+	const optional = type => ({type, optional: true, compression: 'GZIP'});
+	const schema = new ParquetSchema({
+		id: optional('INT64'),
+		timestamp: optional('TIMESTAMP_MILLIS'),
+		event: optional('UTF8'),
+		area: optional('UTF8'),
+		success: optional('BOOLEAN'),
+		user_id: optional('UTF8'),
+		user_name: optional('UTF8'),
+		session_id: optional('UTF8'),
+		parent_session_id: optional('UTF8'),
+		server_id: optional('UTF8'),
+		org_id: optional('UTF8'),
+		company_name: optional('UTF8'),
+		team_id: optional('INT32'),
+		tool_name: optional('UTF8'),
+		error_message: optional('UTF8'),
+		version: optional('UTF8'),
+		telemetry_schema_version: optional('INT32'),
+		received_at: optional('TIMESTAMP_MILLIS'),
+		created_at: optional('TIMESTAMP_MILLIS'),
+		data: optional('UTF8')
+	});
+
+	// The writer ends its stream with end(callback) when it is closed, and response wrappers (such as
+	// express-session's) take that callback for a body chunk. It writes to a PassThrough instead,
+	// piped to the output, which gets a plain end().
+	const file = new PassThrough();
+	// Resolves with the error instead of rejecting: it also fails when the client disconnects,
+	// which the loop below notices on its own
+	const sent = pipeline(file, output).then(() => null, error => error);
+	const writer = await ParquetWriter.openStream(schema, file);
+	for await (const events of batches) {
+		if (output.destroyed) {
+			file.destroy();
+			return;
+		}
+		for (const event of events) {
+			await writer.appendRow(toParquetRow(event));
+		}
+	}
+	await writer.close();
+	const sendError = await sent;
+	if (sendError) {
+		throw sendError;
+	}
+}
+
+/**
+ * Export formats
+ * Text formats implement formatBatch(events, options) (and optionally head(options));
+ * binary formats implement write(batches, output, options) and own the output stream.
+ */
+const EXPORT_FORMATS = {
+	jsonl: {
+		label: 'JSON Lines',
+		contentType: 'application/x-ndjson',
+		extension: 'jsonl',
+		formatBatch: events => events.map(event => `${formatAsJSONL(event)}\n`).join('')
+	},
+	csv: {
+		label: 'CSV',
+		contentType: 'text/csv; charset=utf-8',
+		extension: 'csv',
+		columns: Object.keys(CSV_COLUMNS),
+		defaultColumns: DEFAULT_CSV_COLUMNS,
+		head: ({columns}) => formatCsvRow(columns),
+		formatBatch: (events, {columns}) => events.map(event => formatCsvRow(columns.map(column => CSV_COLUMNS[column](event)))).join('')
+	},
+	otlp: {
+		label: 'OTLP/JSON',
+		contentType: 'application/x-ndjson',
+		extension: 'otlp.jsonl',
+		formatBatch: events => `${formatAsOtlpJson(events)}\n`
+	},
+	parquet: {
+		label: 'Apache Parquet',
+		contentType: 'application/vnd.apache.parquet',
+		extension: 'parquet',
+		write: writeParquet
+	}
+};
+
+/**
+ * Get an export format by ID
+ *
+ * @param {string} id - Format ID (jsonl, csv, otlp, parquet)
+ * @returns {object|null} Format definition or null if unknown
+ */
+function getExportFormat(id) {
+	return Object.hasOwn(EXPORT_FORMATS, id) ? EXPORT_FORMATS[id] : null;
+}
+
+/**
+ * List the available export formats (for the Event Log export dialog)
+ *
+ * @returns {Array<{id: string, label: string, extension: string, columns?: string[], defaultColumns?: string[]}>}
+ */
+function listExportFormats() {
+	return Object.entries(EXPORT_FORMATS).map(([id, format]) => ({
+		id,
+		label: format.label,
+		extension: format.extension,
+		...(format.columns ? {columns: format.columns, defaultColumns: format.defaultColumns} : {})
+	}));
+}
+
+/**
+ * Resolve the CSV columns requested in a comma separated list
+ *
+ * @param {string|string[]|undefined} value - Requested columns (empty for the defaults)
+ * @returns {{columns: string[], invalid: string[]}} Columns in the requested order and unknown names
+ */
+function resolveCsvColumns(value) {
+	const requested = (Array.isArray(value) ? value.join(',') : value || '')
+		.split(',')
+		.map(column => column.trim())
+		.filter(Boolean);
+	if (requested.length === 0) {
+		return {columns: DEFAULT_CSV_COLUMNS, invalid: []};
+	}
+	const invalid = requested.filter(column => !Object.hasOwn(CSV_COLUMNS, column));
+	return {columns: [...new Set(requested)], invalid};
+}
+
+/**
+ * Resolve when the output can take more data (or the client went away)
+ * @param {import('node:stream').Writable} output
+ * @returns {Promise<void>}
+ */
+function waitForDrain(output) {
+	return new Promise(resolve => {
+		const done = () => {
+			output.off('drain', done);
+			output.off('close', done);
+			resolve();
+		};
+		output.on('drain', done);
+		output.on('close', done);
+	});
+}
+
+/**
+ * Stream batches of events to the output in the given format, honouring backpressure
+ * Stops early when the output is closed (e.g. the client disconnected).
+ *
+ * @param {object} format - Format from getExportFormat()
+ * @param {AsyncIterable<Array>} batches - Batches of telemetry events
+ * @param {import('node:stream').Writable} output - Destination (e.g. the HTTP response)
+ * @param {object} options - Format options (e.g. {columns} for CSV)
+ * @returns {Promise<void>}
+ */
+async function streamExport(format, batches, output, options = {}) {
+	if (format.write) {
+		await format.write(batches, output, options);
+		return;
+	}
+
+	if (format.head && !output.write(format.head(options))) {
+		await waitForDrain(output);
+	}
+	for await (const events of batches) {
+		if (output.destroyed) {
+			return;
+		}
+		if (!output.write(format.formatBatch(events, options))) {
+			await waitForDrain(output);
+		}
+	}
+	if (!output.destroyed) {
+		output.end();
+	}
+}
+
 export {
 	formatAsJSONL,
-	formatEvents
+	formatEvents,
+	formatAsOtlpJson,
+	toCsvField,
+	getExportFormat,
+	listExportFormats,
+	resolveCsvColumns,
+	streamExport
 };
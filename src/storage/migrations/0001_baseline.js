@@ -0,0 +1,397 @@
+/**
+ * Baseline schema: everything init() created before versioned migrations existed
+ * Every statement is idempotent (IF NOT EXISTS), so it applies cleanly both to empty databases
+ * and to databases created by earlier versions of the server.
+ */
+
+async function up(client) {
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS event_types (
+			id SERIAL PRIMARY KEY,
+			name TEXT NOT NULL UNIQUE,
+			description TEXT,
+			created_at TIMESTAMPTZ DEFAULT NOW()
+		);
+
+		CREATE TABLE IF NOT EXISTS teams (
+			id SERIAL PRIMARY KEY,
+			name TEXT NOT NULL UNIQUE,
+			color TEXT,
+			logo_url TEXT,
+			logo_data BYTEA,
+			logo_mime TEXT,
+			created_at TIMESTAMPTZ DEFAULT NOW(),
+			updated_at TIMESTAMPTZ DEFAULT NOW()
+		);
+
+		-- Partitioned by month on timestamp (see ensureTelemetryEventPartitions). Databases created
+		-- before partitioning keep a plain table until converted with partitionTelemetryEvents()
+		CREATE TABLE IF NOT EXISTS telemetry_events (
+			id SERIAL,
+			timestamp TIMESTAMPTZ NOT NULL,
+			server_id TEXT,
+			version TEXT,
+			session_id TEXT,
+			parent_session_id TEXT,
+			user_id TEXT,
+			event_id INTEGER NOT NULL REFERENCES event_types(id),
+			data JSONB NOT NULL,
+			received_at TIMESTAMPTZ NOT NULL,
+			created_at TIMESTAMPTZ DEFAULT NOW(),
+			error_message TEXT,
+			org_id TEXT,
+			user_name TEXT,
+			tool_name TEXT,
+			company_name TEXT,
+			deleted_at TIMESTAMPTZ,
+			team_id INTEGER REFERENCES teams(id),
+			event TEXT,
+			area TEXT,
+			success BOOLEAN,
+			telemetry_schema_version INTEGER,
+			PRIMARY KEY (id, timestamp)
+		) PARTITION BY RANGE (timestamp);
+
+		CREATE TABLE IF NOT EXISTS users (
+			id SERIAL PRIMARY KEY,
+			username TEXT NOT NULL UNIQUE,
+			password_hash TEXT NOT NULL,
+			role TEXT NOT NULL DEFAULT 'basic',
+			created_at TIMESTAMPTZ DEFAULT NOW(),
+			last_login TIMESTAMPTZ,
+			team_id INTEGER REFERENCES teams(id)
+		);
+
+		CREATE TABLE IF NOT EXISTS orgs (
+			server_id TEXT PRIMARY KEY,
+			company_name TEXT,
+			updated_at TIMESTAMPTZ DEFAULT NOW(),
+			created_at TIMESTAMPTZ DEFAULT NOW(),
+			team_id INTEGER REFERENCES teams(id),
+			alias TEXT
+		);
+
+		CREATE TABLE IF NOT EXISTS settings (
+			key TEXT PRIMARY KEY,
+			value TEXT NOT NULL,
+			updated_at TIMESTAMPTZ DEFAULT NOW(),
+			created_at TIMESTAMPTZ DEFAULT NOW()
+		);
+
+		CREATE TABLE IF NOT EXISTS people (
+			id SERIAL PRIMARY KEY,
+			name TEXT,
+			initials TEXT,
+			created_at TIMESTAMPTZ DEFAULT NOW()
+		);
+
+		ALTER TABLE people ADD COLUMN IF NOT EXISTS name TEXT;
+		ALTER TABLE people DROP COLUMN IF EXISTS email;
+
+		CREATE TABLE IF NOT EXISTS person_usernames (
+			id SERIAL PRIMARY KEY,
+			person_id INTEGER NOT NULL REFERENCES people(id) ON DELETE CASCADE,
+			username TEXT NOT NULL,
+			org_id TEXT,
+			is_primary BOOLEAN DEFAULT FALSE,
+			created_at TIMESTAMPTZ DEFAULT NOW(),
+			UNIQUE(person_id, username)
+		);
+
+		CREATE TABLE IF NOT EXISTS user_logins (
+			id SERIAL PRIMARY KEY,
+			username TEXT NOT NULL,
+			ip_address INET,
+			user_agent TEXT,
+			successful BOOLEAN NOT NULL DEFAULT true,
+			error_message TEXT,
+			created_at TIMESTAMPTZ DEFAULT NOW()
+		);
+
+		CREATE INDEX IF NOT EXISTS idx_user_logins_username ON user_logins(username);
+		CREATE INDEX IF NOT EXISTS idx_user_logins_created_at ON user_logins(created_at);
+		CREATE INDEX IF NOT EXISTS idx_user_logins_successful ON user_logins(successful);
+
+		CREATE TABLE IF NOT EXISTS team_event_users (
+			id SERIAL PRIMARY KEY,
+			team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+			user_name TEXT NOT NULL,
+			created_at TIMESTAMPTZ DEFAULT NOW(),
+			UNIQUE(team_id, user_name)
+		);
+
+		CREATE TABLE IF NOT EXISTS user_event_stats (
+			user_id TEXT PRIMARY KEY,
+			event_count INTEGER NOT NULL DEFAULT 0,
+			last_event TIMESTAMPTZ,
+			display_name TEXT
+		);
+		CREATE INDEX IF NOT EXISTS idx_user_event_stats_last_event ON user_event_stats(last_event);
+
+		CREATE TABLE IF NOT EXISTS org_event_stats (
+			org_id TEXT PRIMARY KEY,
+			event_count INTEGER NOT NULL DEFAULT 0,
+			last_event TIMESTAMPTZ
+		);
+		CREATE INDEX IF NOT EXISTS idx_org_event_stats_last_event ON org_event_stats(last_event);
+
+		CREATE TABLE IF NOT EXISTS remember_tokens (
+			id SERIAL PRIMARY KEY,
+			user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+			token_hash TEXT NOT NULL UNIQUE,
+			expires_at TIMESTAMPTZ NOT NULL,
+			revoked_at TIMESTAMPTZ,
+			user_agent TEXT,
+			ip_address TEXT,
+			created_at TIMESTAMPTZ DEFAULT NOW()
+		);
+		CREATE INDEX IF NOT EXISTS idx_remember_user_id ON remember_tokens(user_id);
+		CREATE INDEX IF NOT EXISTS idx_remember_expires_at ON remember_tokens(expires_at);
+
+		CREATE TABLE IF NOT EXISTS ingestion_api_keys (
+			id SERIAL PRIMARY KEY,
+			name TEXT NOT NULL,
+			key_hash TEXT NOT NULL UNIQUE,
+			key_prefix TEXT NOT NULL,
+			server_ids TEXT[] NOT NULL DEFAULT '{}',
+			org_ids TEXT[] NOT NULL DEFAULT '{}',
+			created_by TEXT,
+			rotated_from INTEGER REFERENCES ingestion_api_keys(id) ON DELETE SET NULL,
+			last_used_at TIMESTAMPTZ,
+			revoked_at TIMESTAMPTZ,
+			created_at TIMESTAMPTZ DEFAULT NOW()
+		);
+		CREATE INDEX IF NOT EXISTS idx_ingestion_api_keys_revoked_at ON ingestion_api_keys(revoked_at);
+
+		ALTER TABLE telemetry_events ADD COLUMN IF NOT EXISTS api_key_id INTEGER REFERENCES ingestion_api_keys(id) ON DELETE SET NULL;
+
+		-- Client-supplied event IDs (schema v2 eventId) make retried events idempotent
+		ALTER TABLE telemetry_events ADD COLUMN IF NOT EXISTS client_event_id TEXT;
+
+		-- Tool call latency (v3 durationMs or v1/v2 data.duration) for per-tool performance stats
+		ALTER TABLE telemetry_events ADD COLUMN IF NOT EXISTS duration_ms INTEGER;
+
+		-- Tool errors grouped by normalized message fingerprint (see error-fingerprint.js)
+		ALTER TABLE telemetry_events ADD COLUMN IF NOT EXISTS error_fingerprint TEXT;
+		CREATE TABLE IF NOT EXISTS error_groups (
+			id SERIAL PRIMARY KEY,
+			fingerprint TEXT NOT NULL UNIQUE,
+			tool_name TEXT,
+			normalized_message TEXT NOT NULL,
+			sample_message TEXT,
+			first_seen TIMESTAMPTZ NOT NULL,
+			last_seen TIMESTAMPTZ NOT NULL,
+			event_count BIGINT NOT NULL DEFAULT 0,
+			affected_users INTEGER NOT NULL DEFAULT 0,
+			affected_orgs INTEGER NOT NULL DEFAULT 0,
+			last_version TEXT,
+			status TEXT NOT NULL DEFAULT 'open',
+			resolved_at TIMESTAMPTZ,
+			resolved_by TEXT,
+			resolved_in_version TEXT,
+			reopened_at TIMESTAMPTZ,
+			reopen_count INTEGER NOT NULL DEFAULT 0,
+			created_at TIMESTAMPTZ DEFAULT NOW()
+		);
+		CREATE INDEX IF NOT EXISTS idx_error_groups_status_last_seen ON error_groups(status, last_seen DESC);
+
+		-- Server-side alert rules evaluated by the alert scheduler (src/alerts)
+		CREATE TABLE IF NOT EXISTS alert_rules (
+			id SERIAL PRIMARY KEY,
+			name TEXT NOT NULL,
+			type TEXT NOT NULL,
+			params JSONB NOT NULL DEFAULT '{}',
+			channels JSONB NOT NULL DEFAULT '[]',
+			cooldown_minutes INTEGER NOT NULL DEFAULT 60,
+			enabled BOOLEAN NOT NULL DEFAULT TRUE,
+			last_evaluated_at TIMESTAMPTZ,
+			last_triggered_at TIMESTAMPTZ,
+			created_by TEXT,
+			created_at TIMESTAMPTZ DEFAULT NOW(),
+			updated_at TIMESTAMPTZ DEFAULT NOW()
+		);
+		CREATE TABLE IF NOT EXISTS alert_history (
+			id BIGSERIAL PRIMARY KEY,
+			rule_id INTEGER REFERENCES alert_rules(id) ON DELETE SET NULL,
+			rule_name TEXT NOT NULL,
+			rule_type TEXT NOT NULL,
+			summary TEXT NOT NULL,
+			details JSONB,
+			deliveries JSONB NOT NULL DEFAULT '[]',
+			status TEXT NOT NULL,
+			is_test BOOLEAN NOT NULL DEFAULT FALSE,
+			triggered_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+		CREATE INDEX IF NOT EXISTS idx_alert_history_triggered_at ON alert_history(triggered_at DESC);
+		CREATE INDEX IF NOT EXISTS idx_alert_history_rule_id_triggered_at ON alert_history(rule_id, triggered_at DESC);
+
+		-- Retention policies enforced in batches by the retention job (src/storage/retention-job.js)
+		-- Empty area / event_type / team_id match any value
+		CREATE TABLE IF NOT EXISTS retention_policies (
+			id SERIAL PRIMARY KEY,
+			name TEXT NOT NULL,
+			area TEXT,
+			event_type TEXT,
+			team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+			retention_days INTEGER NOT NULL CHECK (retention_days > 0),
+			enabled BOOLEAN NOT NULL DEFAULT TRUE,
+			last_run_at TIMESTAMPTZ,
+			last_deleted_count INTEGER NOT NULL DEFAULT 0,
+			created_by TEXT,
+			created_at TIMESTAMPTZ DEFAULT NOW(),
+			updated_at TIMESTAMPTZ DEFAULT NOW()
+		);
+
+		-- Durable staging area for /telemetry: events are acknowledged once queued here
+		-- and drained into telemetry_events by the ingestion worker
+		CREATE TABLE IF NOT EXISTS ingestion_queue (
+			id BIGSERIAL PRIMARY KEY,
+			payload JSONB NOT NULL,
+			received_at TIMESTAMPTZ NOT NULL,
+			api_key_id INTEGER,
+			discard_reason TEXT,
+			status TEXT NOT NULL DEFAULT 'pending',
+			attempts INTEGER NOT NULL DEFAULT 0,
+			last_error TEXT,
+			next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+			locked_at TIMESTAMPTZ,
+			created_at TIMESTAMPTZ DEFAULT NOW()
+		);
+		CREATE INDEX IF NOT EXISTS idx_ingestion_queue_status_next_attempt ON ingestion_queue(status, next_attempt_at);
+		ALTER TABLE ingestion_queue ADD COLUMN IF NOT EXISTS client_event_id TEXT;
+		CREATE UNIQUE INDEX IF NOT EXISTS idx_ingestion_queue_client_event_id ON ingestion_queue(client_event_id) WHERE client_event_id IS NOT NULL;
+		ALTER TABLE ingestion_queue ADD COLUMN IF NOT EXISTS client_ip TEXT;
+
+		-- Quarantine for payloads rejected by /telemetry (schema validation, parse errors, unknown event types)
+		-- so they can be inspected and promoted into telemetry_events after a parser fix
+		CREATE TABLE IF NOT EXISTS rejected_events (
+			id BIGSERIAL PRIMARY KEY,
+			payload JSONB,
+			stage TEXT NOT NULL,
+			error_signature TEXT NOT NULL,
+			errors JSONB,
+			client_ip TEXT,
+			client_version TEXT,
+			api_key_id INTEGER,
+			received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+			promoted_at TIMESTAMPTZ,
+			promoted_by TEXT,
+			created_at TIMESTAMPTZ DEFAULT NOW()
+		);
+		CREATE INDEX IF NOT EXISTS idx_rejected_events_signature ON rejected_events(error_signature, received_at);
+		CREATE INDEX IF NOT EXISTS idx_rejected_events_received_at ON rejected_events(received_at);
+
+		CREATE INDEX IF NOT EXISTS idx_orgs_team_id ON orgs(team_id);
+		CREATE INDEX IF NOT EXISTS idx_orgs_alias ON orgs(alias);
+		CREATE INDEX IF NOT EXISTS idx_users_team_id ON users(team_id);
+
+		-- Pre-aggregated counts per hour / UTC day and dimension, read by the dashboard instead of
+		-- scanning telemetry_events. Kept up to date by refreshTelemetryRollups() (rollup-job.js)
+		CREATE TABLE IF NOT EXISTS telemetry_rollup_hourly (
+			hour TIMESTAMPTZ NOT NULL,
+			event TEXT,
+			area TEXT,
+			tool_name TEXT,
+			org_id TEXT,
+			team_id INTEGER,
+			user_id TEXT,
+			event_count INTEGER NOT NULL,
+			error_count INTEGER NOT NULL DEFAULT 0,
+			duration_ms_sum BIGINT NOT NULL DEFAULT 0,
+			duration_count INTEGER NOT NULL DEFAULT 0
+		);
+		CREATE INDEX IF NOT EXISTS idx_telemetry_rollup_hourly_hour ON telemetry_rollup_hourly(hour);
+
+		CREATE TABLE IF NOT EXISTS telemetry_rollup_daily (
+			day DATE NOT NULL,
+			event TEXT,
+			area TEXT,
+			tool_name TEXT,
+			org_id TEXT,
+			team_id INTEGER,
+			user_id TEXT,
+			event_count INTEGER NOT NULL,
+			error_count INTEGER NOT NULL DEFAULT 0,
+			duration_ms_sum BIGINT NOT NULL DEFAULT 0,
+			duration_count INTEGER NOT NULL DEFAULT 0
+		);
+		CREATE INDEX IF NOT EXISTS idx_telemetry_rollup_daily_day_event ON telemetry_rollup_daily(day, event);
+
+		-- Hours whose rollups are stale, marked by the telemetry_events trigger below
+		CREATE TABLE IF NOT EXISTS telemetry_rollup_dirty_hours (
+			hour TIMESTAMPTZ PRIMARY KEY,
+			marked_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+
+		CREATE OR REPLACE FUNCTION mark_telemetry_rollup_dirty() RETURNS trigger AS $fn$
+		BEGIN
+			IF TG_OP IN ('UPDATE', 'DELETE') THEN
+				INSERT INTO telemetry_rollup_dirty_hours (hour)
+				VALUES (date_trunc('hour', OLD.timestamp AT TIME ZONE 'UTC') AT TIME ZONE 'UTC')
+				ON CONFLICT (hour) DO NOTHING;
+			END IF;
+			IF TG_OP IN ('INSERT', 'UPDATE') THEN
+				INSERT INTO telemetry_rollup_dirty_hours (hour)
+				VALUES (date_trunc('hour', NEW.timestamp AT TIME ZONE 'UTC') AT TIME ZONE 'UTC')
+				ON CONFLICT (hour) DO NOTHING;
+			END IF;
+			RETURN NULL;
+		END;
+		$fn$ LANGUAGE plpgsql;
+	`);
+
+	// Removed duplicate indexes that are covered by composite indexes:
+	// - idx_event_id (covered by idx_event_id_created_at)
+	// - idx_created_at (covered by multiple composite indexes with created_at)
+	// - idx_session_id (covered by idx_session_timestamp)
+	// - idx_parent_session_id (covered by idx_parent_session_timestamp)
+	await client.query(`
+		CREATE INDEX IF NOT EXISTS idx_timestamp ON telemetry_events(timestamp);
+		CREATE INDEX IF NOT EXISTS idx_server_id ON telemetry_events(server_id);
+		CREATE INDEX IF NOT EXISTS idx_event_id_created_at ON telemetry_events(event_id, created_at);
+		CREATE INDEX IF NOT EXISTS idx_user_created_at ON telemetry_events(user_id, created_at);
+		CREATE INDEX IF NOT EXISTS idx_session_timestamp ON telemetry_events(session_id, timestamp);
+		CREATE INDEX IF NOT EXISTS idx_parent_session_timestamp ON telemetry_events(parent_session_id, timestamp);
+		CREATE INDEX IF NOT EXISTS idx_api_key_id_created_at ON telemetry_events(api_key_id, created_at);
+		CREATE UNIQUE INDEX IF NOT EXISTS idx_client_event_id_timestamp ON telemetry_events(client_event_id, timestamp) WHERE client_event_id IS NOT NULL;
+		DROP INDEX IF EXISTS idx_client_event_id;
+		CREATE INDEX IF NOT EXISTS idx_error_fingerprint_timestamp ON telemetry_events(error_fingerprint, timestamp) WHERE error_fingerprint IS NOT NULL;
+		CREATE INDEX IF NOT EXISTS idx_error_message ON telemetry_events(error_message);
+		CREATE INDEX IF NOT EXISTS idx_team_id_created_at ON telemetry_events(team_id, created_at);
+		CREATE INDEX IF NOT EXISTS idx_user_name_created_at ON telemetry_events(user_name, created_at);
+		CREATE INDEX IF NOT EXISTS idx_org_id_created_at ON telemetry_events(org_id, created_at);
+		CREATE INDEX IF NOT EXISTS idx_tool_name_created_at ON telemetry_events(tool_name, created_at);
+		CREATE INDEX IF NOT EXISTS idx_company_name_created_at ON telemetry_events(company_name, created_at);
+		CREATE INDEX IF NOT EXISTS idx_user_name_tool_name_created_at ON telemetry_events(user_name, tool_name, created_at);
+		CREATE INDEX IF NOT EXISTS idx_org_id_tool_name_created_at ON telemetry_events(org_id, tool_name, created_at);
+		CREATE INDEX IF NOT EXISTS idx_event_created_at ON telemetry_events(event, created_at);
+		CREATE INDEX IF NOT EXISTS idx_deleted_at_created_at ON telemetry_events(deleted_at, created_at);
+		CREATE INDEX IF NOT EXISTS idx_data_gin ON telemetry_events USING GIN (data);
+		CREATE INDEX IF NOT EXISTS idx_area ON telemetry_events(area);
+		CREATE INDEX IF NOT EXISTS idx_success ON telemetry_events(success);
+		CREATE INDEX IF NOT EXISTS idx_telemetry_schema_version ON telemetry_events(telemetry_schema_version);
+	`);
+
+	await client.query(`
+		DO $do$
+		BEGIN
+			IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'telemetry_events_rollup_insert_delete' AND tgrelid = 'telemetry_events'::regclass) THEN
+				CREATE TRIGGER telemetry_events_rollup_insert_delete
+				AFTER INSERT OR DELETE ON telemetry_events
+				FOR EACH ROW EXECUTE FUNCTION mark_telemetry_rollup_dirty();
+			END IF;
+			IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'telemetry_events_rollup_update' AND tgrelid = 'telemetry_events'::regclass) THEN
+				CREATE TRIGGER telemetry_events_rollup_update
+				AFTER UPDATE OF timestamp, deleted_at, event_id, event, area, tool_name, org_id, team_id, user_id, success, duration_ms ON telemetry_events
+				FOR EACH ROW EXECUTE FUNCTION mark_telemetry_rollup_dirty();
+			END IF;
+		END
+		$do$;
+	`);
+}
+
+async function down() {
+	throw new Error('The baseline migration cannot be reverted');
+}
+
+export {up, down};
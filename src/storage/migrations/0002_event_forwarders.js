@@ -0,0 +1,36 @@
+/**
+ * Event forwarders: relay stored telemetry events to external sinks (webhook, OTLP collector, file)
+ * Each forwarder keeps a cursor (last_event_id) so deliveries resume where they stopped after a
+ * restart or an outage of the sink. locked_by / locked_until let a single instance run it at a time.
+ */
+
+async function up(client) {
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS event_forwarders (
+			id SERIAL PRIMARY KEY,
+			name TEXT NOT NULL,
+			type TEXT NOT NULL CHECK (type IN ('webhook', 'otlp', 'file')),
+			config JSONB NOT NULL DEFAULT '{}'::jsonb,
+			areas TEXT[] NOT NULL DEFAULT '{}',
+			event_types TEXT[] NOT NULL DEFAULT '{}',
+			team_ids INTEGER[] NOT NULL DEFAULT '{}',
+			batch_size INTEGER NOT NULL DEFAULT 100 CHECK (batch_size BETWEEN 1 AND 1000),
+			enabled BOOLEAN NOT NULL DEFAULT TRUE,
+			last_event_id INTEGER NOT NULL DEFAULT 0,
+			last_delivered_at TIMESTAMPTZ,
+			last_error TEXT,
+			last_error_at TIMESTAMPTZ,
+			locked_by TEXT,
+			locked_until TIMESTAMPTZ,
+			created_by TEXT,
+			created_at TIMESTAMPTZ DEFAULT NOW(),
+			updated_at TIMESTAMPTZ DEFAULT NOW()
+		);
+	`);
+}
+
+async function down(client) {
+	await client.query('DROP TABLE IF EXISTS event_forwarders');
+}
+
+export {up, down};
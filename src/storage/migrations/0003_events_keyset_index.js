@@ -0,0 +1,14 @@
+/**
+ * Keyset pagination of the Event Log: /api/events pages on (created_at, id) instead of OFFSET,
+ * so every page is an index range scan however deep the client has scrolled.
+ */
+
+async function up(client) {
+	await client.query('CREATE INDEX IF NOT EXISTS idx_created_at_id ON telemetry_events(created_at, id)');
+}
+
+async function down(client) {
+	await client.query('DROP INDEX IF EXISTS idx_created_at_id');
+}
+
+export {up, down};
@@ -0,0 +1,27 @@
+/**
+ * Saved views of the Event Log: a name plus the filter query string of /logs (see src/storage/saved-views.js)
+ * Views with a team_id are shared with the users of that team; the others are private to their owner.
+ */
+
+async function up(client) {
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS saved_views (
+			id SERIAL PRIMARY KEY,
+			username TEXT NOT NULL,
+			team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+			name TEXT NOT NULL,
+			query TEXT NOT NULL DEFAULT '',
+			created_at TIMESTAMPTZ DEFAULT NOW(),
+			updated_at TIMESTAMPTZ DEFAULT NOW(),
+			UNIQUE (username, name)
+		);
+
+		CREATE INDEX IF NOT EXISTS idx_saved_views_team_id ON saved_views(team_id);
+	`);
+}
+
+async function down(client) {
+	await client.query('DROP TABLE IF EXISTS saved_views');
+}
+
+export {up, down};
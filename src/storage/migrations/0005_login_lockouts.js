@@ -0,0 +1,26 @@
+/**
+ * Login throttling and lockout (see src/auth/login-throttle.js): user_logins rows get an event type
+ * ('attempt', 'lockout', 'ip_lockout' or 'unlock') and, for lockouts, the time they expire.
+ * Failures are counted per username and per IP over a short window, hence the composite indexes.
+ */
+
+async function up(client) {
+	await client.query(`
+		ALTER TABLE user_logins ADD COLUMN IF NOT EXISTS event TEXT NOT NULL DEFAULT 'attempt';
+		ALTER TABLE user_logins ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+		CREATE INDEX IF NOT EXISTS idx_user_logins_username_created_at ON user_logins(username, created_at);
+		CREATE INDEX IF NOT EXISTS idx_user_logins_ip_address_created_at ON user_logins(ip_address, created_at);
+	`);
+}
+
+async function down(client) {
+	await client.query(`
+		DROP INDEX IF EXISTS idx_user_logins_ip_address_created_at;
+		DROP INDEX IF EXISTS idx_user_logins_username_created_at;
+		ALTER TABLE user_logins DROP COLUMN IF EXISTS locked_until;
+		ALTER TABLE user_logins DROP COLUMN IF EXISTS event;
+	`);
+}
+
+export {up, down};
@@ -0,0 +1,33 @@
+/**
+ * TOTP two-factor authentication (see src/auth/two-factor.js): the confirmed secret of each user,
+ * the last time step accepted (so a code can't be replayed) and hashed one-time recovery codes.
+ */
+
+async function up(client) {
+	await client.query(`
+		ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+		ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ;
+		ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+		CREATE TABLE IF NOT EXISTS user_recovery_codes (
+			id SERIAL PRIMARY KEY,
+			user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+			code_hash TEXT NOT NULL,
+			used_at TIMESTAMPTZ,
+			created_at TIMESTAMPTZ DEFAULT NOW()
+		);
+
+		CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+	`);
+}
+
+async function down(client) {
+	await client.query(`
+		DROP TABLE IF EXISTS user_recovery_codes;
+		ALTER TABLE users DROP COLUMN IF EXISTS totp_last_step;
+		ALTER TABLE users DROP COLUMN IF EXISTS totp_enabled_at;
+		ALTER TABLE users DROP COLUMN IF EXISTS totp_secret;
+	`);
+}
+
+export {up, down};
@@ -0,0 +1,33 @@
+/**
+ * Single sign-on users (see src/auth/oidc.js): users provisioned from an identity provider have no
+ * local password, are matched by the issuer and subject of their ID token, and are linked to a
+ * people record.
+ */
+
+async function up(client) {
+	await client.query(`
+		ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+		ALTER TABLE users ADD COLUMN IF NOT EXISTS auth_provider TEXT NOT NULL DEFAULT 'local';
+		ALTER TABLE users ADD COLUMN IF NOT EXISTS external_subject TEXT;
+		ALTER TABLE users ADD COLUMN IF NOT EXISTS email TEXT;
+		ALTER TABLE users ADD COLUMN IF NOT EXISTS person_id INTEGER REFERENCES people(id) ON DELETE SET NULL;
+
+		CREATE UNIQUE INDEX IF NOT EXISTS idx_users_external_subject ON users(external_subject) WHERE external_subject IS NOT NULL;
+		CREATE INDEX IF NOT EXISTS idx_users_person_id ON users(person_id);
+	`);
+}
+
+async function down(client) {
+	await client.query(`
+		DROP INDEX IF EXISTS idx_users_person_id;
+		DROP INDEX IF EXISTS idx_users_external_subject;
+		ALTER TABLE users DROP COLUMN IF EXISTS person_id;
+		ALTER TABLE users DROP COLUMN IF EXISTS email;
+		ALTER TABLE users DROP COLUMN IF EXISTS external_subject;
+		ALTER TABLE users DROP COLUMN IF EXISTS auth_provider;
+		UPDATE users SET password_hash = '!' WHERE password_hash IS NULL;
+		ALTER TABLE users ALTER COLUMN password_hash SET NOT NULL;
+	`);
+}
+
+export {up, down};
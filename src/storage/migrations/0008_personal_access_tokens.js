@@ -0,0 +1,32 @@
+/**
+ * Personal API tokens (see src/auth/personal-tokens.js): hashed bearer tokens owned by a user, with
+ * their scopes, expiry and last use.
+ */
+
+async function up(client) {
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS personal_access_tokens (
+			id SERIAL PRIMARY KEY,
+			user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+			name TEXT NOT NULL,
+			token_hash TEXT NOT NULL UNIQUE,
+			token_prefix TEXT NOT NULL,
+			scopes TEXT[] NOT NULL DEFAULT '{}',
+			expires_at TIMESTAMPTZ NOT NULL,
+			last_used_at TIMESTAMPTZ,
+			last_used_ip TEXT,
+			revoked_at TIMESTAMPTZ,
+			created_at TIMESTAMPTZ DEFAULT NOW()
+		);
+
+		CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user_id ON personal_access_tokens(user_id);
+	`);
+}
+
+async function down(client) {
+	await client.query(`
+		DROP TABLE IF EXISTS personal_access_tokens;
+	`);
+}
+
+export {up, down};
@@ -0,0 +1,37 @@
+/**
+ * Audit log (see src/auth/audit-log.js): one row per successful change made through the /api
+ * routes, with who made it, what it touched and the values before and after.
+ */
+
+async function up(client) {
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS audit_log (
+			id BIGSERIAL PRIMARY KEY,
+			actor TEXT,
+			actor_role TEXT,
+			via TEXT NOT NULL DEFAULT 'session',
+			ip_address TEXT,
+			action TEXT NOT NULL,
+			target_type TEXT,
+			target_id TEXT,
+			before JSONB,
+			after JSONB,
+			details JSONB,
+			status_code INTEGER,
+			created_at TIMESTAMPTZ DEFAULT NOW()
+		);
+
+		CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor, id DESC);
+		CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, id DESC);
+		CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
+		CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+	`);
+}
+
+async function down(client) {
+	await client.query(`
+		DROP TABLE IF EXISTS audit_log;
+	`);
+}
+
+export {up, down};
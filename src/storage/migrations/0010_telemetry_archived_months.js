@@ -0,0 +1,32 @@
+/**
+ * Months of telemetry_events whose partition was detached for archiving
+ * (see src/scripts/archive-telemetry-partition.js). Events for these months are quarantined
+ * instead of inserted, and their rollups are never recomputed from the (now empty) raw table.
+ */
+
+async function up(client) {
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS telemetry_archived_months (
+			month_key TEXT PRIMARY KEY,
+			archived_at TIMESTAMPTZ DEFAULT NOW()
+		);
+
+		-- Partitions detached before this table existed
+		INSERT INTO telemetry_archived_months (month_key)
+		SELECT substring(c.relname from 19)
+		FROM pg_class c
+		WHERE c.relname ~ '^telemetry_events_p[0-9]{6}$'
+			AND c.relkind = 'r'
+			AND NOT c.relispartition
+			AND c.relnamespace = current_schema()::regnamespace
+		ON CONFLICT (month_key) DO NOTHING;
+	`);
+}
+
+async function down(client) {
+	await client.query(`
+		DROP TABLE IF EXISTS telemetry_archived_months;
+	`);
+}
+
+export {up, down};
@@ -0,0 +1,27 @@
+/**
+ * Client eventIds already stored, one row each. telemetry_events can only enforce
+ * (client_event_id, timestamp) as unique once partitioned, so storing an event first claims its
+ * eventId here in the same transaction: a retry with a different timestamp is still a duplicate.
+ */
+
+async function up(client) {
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS client_event_ids (
+			client_event_id TEXT PRIMARY KEY,
+			created_at TIMESTAMPTZ DEFAULT NOW()
+		);
+
+		INSERT INTO client_event_ids (client_event_id)
+		SELECT DISTINCT client_event_id FROM telemetry_events
+		WHERE client_event_id IS NOT NULL
+		ON CONFLICT (client_event_id) DO NOTHING;
+	`);
+}
+
+async function down(client) {
+	await client.query(`
+		DROP TABLE IF EXISTS client_event_ids;
+	`);
+}
+
+export {up, down};
@@ -0,0 +1,26 @@
+/**
+ * Commit order of telemetry_events, for the readers that follow new events (the live event
+ * stream). Ids are taken before a transaction commits, so a lower id can become visible after a
+ * higher one and an id cursor skips it. Each event now records the transaction that stored it
+ * (xact_id); readers order by (xact_id, id) and only read transactions older than every
+ * transaction still running. Events stored before this migration have no xact_id and sort first.
+ * Requires PostgreSQL 13+ (xid8).
+ */
+
+async function up(client) {
+	await client.query(`
+		ALTER TABLE telemetry_events ADD COLUMN IF NOT EXISTS xact_id xid8;
+		-- Set as a separate step so existing rows keep NULL instead of rewriting the table
+		ALTER TABLE telemetry_events ALTER COLUMN xact_id SET DEFAULT pg_current_xact_id();
+		CREATE INDEX IF NOT EXISTS idx_commit_order ON telemetry_events ((COALESCE(xact_id, '0'::xid8)), id);
+	`);
+}
+
+async function down(client) {
+	await client.query(`
+		DROP INDEX IF EXISTS idx_commit_order;
+		ALTER TABLE telemetry_events DROP COLUMN IF EXISTS xact_id;
+	`);
+}
+
+export {up, down};
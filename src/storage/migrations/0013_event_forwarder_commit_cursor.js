@@ -0,0 +1,19 @@
+/**
+ * Event forwarders follow telemetry_events in commit order (see 0012_event_commit_order.js):
+ * their cursor becomes (last_xact_id, last_event_id). Existing cursors keep their position, as
+ * the events stored before 0012 sort first.
+ */
+
+async function up(client) {
+	await client.query(`
+		ALTER TABLE event_forwarders ADD COLUMN IF NOT EXISTS last_xact_id xid8 NOT NULL DEFAULT '0';
+	`);
+}
+
+async function down(client) {
+	await client.query(`
+		ALTER TABLE event_forwarders DROP COLUMN IF EXISTS last_xact_id;
+	`);
+}
+
+export {up, down};
@@ -0,0 +1,21 @@
+/**
+ * Login throttling fixes (see src/auth/login-throttle.js): unlocks were stored as successful logins,
+ * so they are marked unsuccessful like lockouts and only 'attempt' rows count as logins. Failures
+ * are now counted per LOWER(username), which gets its own index.
+ */
+
+async function up(client) {
+	await client.query(`
+		UPDATE user_logins SET successful = false WHERE event <> 'attempt' AND successful;
+
+		CREATE INDEX IF NOT EXISTS idx_user_logins_lower_username_created_at ON user_logins(LOWER(username), created_at);
+	`);
+}
+
+async function down(client) {
+	await client.query(`
+		DROP INDEX IF EXISTS idx_user_logins_lower_username_created_at;
+	`);
+}
+
+export {up, down};
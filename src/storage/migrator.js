@@ -0,0 +1,181 @@
+/**
+ * Schema migrations
+ *
+ * Migrations are numbered modules in ./migrations named NNNN_description.js that export
+ * up(client) and down(client). Applied versions are recorded in schema_migrations.
+ * Every command holds a PostgreSQL advisory lock, so several instances booting at the same
+ * time apply each migration exactly once. Each migration runs in its own transaction unless
+ * the module exports `transaction = false` (e.g. for CREATE INDEX CONCURRENTLY).
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import {fileURLToPath, pathToFileURL} from 'node:url';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const MIGRATION_FILE_PATTERN = /^(?<version>\d{4})_(?<name>[\w-]+)\.js$/;
+const MIGRATION_LOCK_KEY = 72_012; // pg_advisory_lock key shared by every instance
+
+/**
+ * Load the migration modules in version order
+ * @returns {Promise<Array<{version: number, name: string, file: string, up: Function, down: Function, transaction: boolean}>>}
+ */
+async function loadMigrations() {
+	const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => MIGRATION_FILE_PATTERN.test(file)).sort();
+	const migrations = [];
+	const versions = new Set();
+	for (const file of files) {
+		const {version, name} = file.match(MIGRATION_FILE_PATTERN).groups;
+		const migration = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+		if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+			throw new Error(`Migration ${file} must export up() and down()`);
+		}
+		const versionNumber = Number.parseInt(version, 10);
+		if (versions.has(versionNumber)) {
+			throw new Error(`Duplicate migration version ${version} (${file})`);
+		}
+		versions.add(versionNumber);
+		migrations.push({
+			version: versionNumber,
+			name,
+			file,
+			up: migration.up,
+			down: migration.down,
+			transaction: migration.transaction !== false
+		});
+	}
+	return migrations;
+}
+
+async function withMigrationLock(pool, callback) {
+	const client = await pool.connect();
+	try {
+		await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+		try {
+			await client.query(`
+				CREATE TABLE IF NOT EXISTS schema_migrations (
+					version INTEGER PRIMARY KEY,
+					name TEXT NOT NULL,
+					applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+					duration_ms INTEGER
+				)
+			`);
+			return await callback(client);
+		} finally {
+			await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+		}
+	} finally {
+		client.release();
+	}
+}
+
+async function getAppliedMigrations(client) {
+	const result = await client.query('SELECT version, name, applied_at, duration_ms FROM schema_migrations ORDER BY version ASC');
+	return new Map(result.rows.map(row => [row.version, row]));
+}
+
+async function runMigration(client, migration, direction) {
+	const startedAt = Date.now();
+	if (migration.transaction) {
+		await client.query('BEGIN');
+	}
+	try {
+		await migration[direction](client);
+		if (direction === 'up') {
+			await client.query(
+				'INSERT INTO schema_migrations (version, name, duration_ms) VALUES ($1, $2, $3)',
+				[migration.version, migration.name, Date.now() - startedAt]
+			);
+		} else {
+			await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+		}
+		if (migration.transaction) {
+			await client.query('COMMIT');
+		}
+	} catch (error) {
+		if (migration.transaction) {
+			await client.query('ROLLBACK');
+		}
+		throw new Error(`Migration ${migration.file} (${direction}) failed: ${error.message}`, {cause: error});
+	}
+}
+
+/**
+ * Apply the pending migrations in version order
+ * @param {import('pg').Pool} pool - Connection pool
+ * @param {object} options
+ * @param {number|null} options.to - Last version to apply (default: all)
+ * @param {Function} options.log - Logger for progress messages (default: console.log)
+ * @returns {Promise<Array<{version: number, name: string}>>} Migrations applied
+ */
+async function migrateUp(pool, {to = null, log = console.log} = {}) {
+	const migrations = await loadMigrations();
+	return withMigrationLock(pool, async client => {
+		const applied = await getAppliedMigrations(client);
+		const pending = migrations.filter(migration => !applied.has(migration.version) && (to === null || migration.version <= to));
+		for (const migration of pending) {
+			await runMigration(client, migration, 'up');
+			log(`📦 Applied migration ${migration.file}`);
+		}
+		return pending.map(({version, name}) => ({version, name}));
+	});
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {import('pg').Pool} pool - Connection pool
+ * @param {object} options
+ * @param {number} options.steps - Number of migrations to revert (default: 1)
+ * @param {Function} options.log - Logger for progress messages (default: console.log)
+ * @returns {Promise<Array<{version: number, name: string}>>} Migrations reverted
+ */
+async function migrateDown(pool, {steps = 1, log = console.log} = {}) {
+	const migrations = await loadMigrations();
+	const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+	return withMigrationLock(pool, async client => {
+		const applied = await getAppliedMigrations(client);
+		const toRevert = [...applied.keys()].sort((a, b) => b - a).slice(0, Math.max(0, steps));
+		const reverted = [];
+		for (const version of toRevert) {
+			const migration = byVersion.get(version);
+			if (!migration) {
+				throw new Error(`Migration ${version} (${applied.get(version).name}) is applied but its file is missing`);
+			}
+			await runMigration(client, migration, 'down');
+			log(`↩️  Reverted migration ${migration.file}`);
+			reverted.push({version, name: migration.name});
+		}
+		return reverted;
+	});
+}
+
+/**
+ * Get every known migration with whether it is applied
+ * Versions recorded in schema_migrations without a file are reported with missing: true.
+ * @param {import('pg').Pool} pool - Connection pool
+ * @returns {Promise<Array<{version: number, name: string, applied: boolean, appliedAt: string|null, missing: boolean}>>}
+ */
+async function getMigrationStatus(pool) {
+	const migrations = await loadMigrations();
+	return withMigrationLock(pool, async client => {
+		const applied = await getAppliedMigrations(client);
+		const status = migrations.map(migration => {
+			const row = applied.get(migration.version);
+			return {
+				version: migration.version,
+				name: migration.name,
+				applied: Boolean(row),
+				appliedAt: row ? new Date(row.applied_at).toISOString() : null,
+				missing: false
+			};
+		});
+		for (const [version, row] of applied) {
+			if (!migrations.some(migration => migration.version === version)) {
+				status.push({version, name: row.name, applied: true, appliedAt: new Date(row.applied_at).toISOString(), missing: true});
+			}
+		}
+		return status.sort((a, b) => a.version - b.version);
+	});
+}
+
+export {migrateUp, migrateDown, getMigrationStatus};
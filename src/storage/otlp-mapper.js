@@ -0,0 +1,347 @@
+/**
+ * OTLP mapper module - OpenTelemetry logs and traces to telemetry events
+ *
+ * Converts OTLP/HTTP JSON requests (ExportLogsServiceRequest / ExportTraceServiceRequest)
+ * into schema v3 payloads, so they go through the same validation, queue and storage path
+ * as the events posted to /telemetry.
+ *
+ * - Spans of tool calls (gen_ai.tool.name, mcp.tool.name or tool.name attribute, or a
+ *   "tools/call <tool>" span name) become area 'tool' / event 'execution'. MCP initialize
+ *   spans become session_start events and any other span a 'general' event named after it.
+ * - Log records use their event.name (or eventName) and telemetry.area attributes when present,
+ *   so files written by the OTLP/JSON export can be replayed as they were.
+ * - Resource attributes (overridden by span / log record attributes) fill in the server, client,
+ *   session and user objects; everything else is kept in data.
+ *
+ * Specification: https://opentelemetry.io/docs/specs/otlp/#json-protobuf-encoding
+ */
+
+import crypto from 'node:crypto';
+
+const OTLP_STATUS_CODE_ERROR = 2;
+const OTLP_SEVERITY_ERROR = 17;
+const EVENT_AREAS = ['tool', 'session', 'general'];
+const SESSION_TRANSPORTS = ['stdio', 'http'];
+// Stored event types (as written by the OTLP/JSON export) back to their v3 event names
+const EVENT_TYPE_EVENTS = {tool_call: 'execution', tool_error: 'execution', error: 'error_occurred'};
+
+// Attributes mapped onto the event (first one present wins); the rest stay in data.attributes
+const MAPPED_ATTRIBUTES = {
+	serverId: ['service.instance.id', 'server.id', 'host.name', 'service.name'],
+	serverVersion: ['service.version'],
+	clientName: ['mcp.client.name', 'client.name'],
+	clientVersion: ['mcp.client.version', 'client.version'],
+	sessionId: ['mcp.session.id', 'session.id'],
+	sessionTransport: ['mcp.transport'],
+	protocolVersion: ['mcp.protocol.version'],
+	userId: ['user.id', 'enduser.id'],
+	userName: ['user.name'],
+	orgId: ['org.id', 'salesforce.org.id'],
+	toolName: ['gen_ai.tool.name', 'mcp.tool.name', 'tool.name'],
+	eventName: ['event.name'],
+	area: ['telemetry.area'],
+	errorMessage: ['error.message', 'exception.message'],
+	errorType: ['error.type', 'exception.type']
+};
+
+/**
+ * Convert an OTLP AnyValue to a JSON value
+ *
+ * @param {object} value - AnyValue ({stringValue}, {intValue}, {kvlistValue}…)
+ * @returns {*} JSON value
+ */
+function fromAnyValue(value) {
+	if (!value || typeof value !== 'object') {
+		return null;
+	}
+	if ('stringValue' in value) {
+		return value.stringValue;
+	}
+	if ('boolValue' in value) {
+		return value.boolValue;
+	}
+	if ('intValue' in value) {
+		// int64 is sent as a string in OTLP/JSON
+		const number = Number(value.intValue);
+		return Number.isSafeInteger(number) ? number : String(value.intValue);
+	}
+	if ('doubleValue' in value) {
+		return Number(value.doubleValue);
+	}
+	if ('bytesValue' in value) {
+		return value.bytesValue;
+	}
+	if ('arrayValue' in value) {
+		return (value.arrayValue?.values || []).map(fromAnyValue);
+	}
+	if ('kvlistValue' in value) {
+		return attributesToObject(value.kvlistValue?.values);
+	}
+	return null;
+}
+
+/**
+ * Convert a list of OTLP KeyValue attributes to an object
+ *
+ * @param {Array<{key: string, value: object}>} attributes - KeyValue list
+ * @returns {object} Attributes by key
+ */
+function attributesToObject(attributes) {
+	const result = {};
+	for (const attribute of Array.isArray(attributes) ? attributes : []) {
+		if (attribute && typeof attribute.key === 'string') {
+			result[attribute.key] = fromAnyValue(attribute.value);
+		}
+	}
+	return result;
+}
+
+function pickAttribute(attributes, field) {
+	for (const key of MAPPED_ATTRIBUTES[field]) {
+		const value = attributes[key];
+		if (value !== null && value !== undefined && value !== '') {
+			return String(value);
+		}
+	}
+	return null;
+}
+
+function unmappedAttributes(attributes) {
+	const mappedKeys = new Set(Object.values(MAPPED_ATTRIBUTES).flat());
+	return Object.fromEntries(Object.entries(attributes).filter(([key]) => !mappedKeys.has(key)));
+}
+
+/**
+ * Convert an OTLP unix nanosecond timestamp to an ISO 8601 string
+ *
+ * @param {string|number} value - Nanoseconds since the epoch
+ * @returns {string|null} ISO timestamp or null if missing / invalid
+ */
+function nanosToIso(value) {
+	if (value === null || value === undefined || value === '' || value === '0' || value === 0) {
+		return null;
+	}
+	try {
+		const date = new Date(Number(BigInt(value) / 1_000_000n));
+		return Number.isNaN(date.getTime()) ? null : date.toISOString();
+	} catch {
+		return null;
+	}
+}
+
+function nanosBetween(start, end) {
+	try {
+		const duration = Number((BigInt(end) - BigInt(start)) / 1_000_000n);
+		return duration >= 0 ? duration : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Build the schema v3 objects shared by spans and log records
+ */
+function buildEventBase(attributes) {
+	const transport = pickAttribute(attributes, 'sessionTransport');
+	const userId = pickAttribute(attributes, 'userId');
+	const userName = pickAttribute(attributes, 'userName');
+	const clientName = pickAttribute(attributes, 'clientName');
+	return {
+		schemaVersion: 3,
+		server: {
+			id: pickAttribute(attributes, 'serverId'),
+			version: pickAttribute(attributes, 'serverVersion')
+		},
+		client: clientName ? {name: clientName, version: pickAttribute(attributes, 'clientVersion')} : null,
+		session: {
+			id: pickAttribute(attributes, 'sessionId'),
+			transport: SESSION_TRANSPORTS.includes(transport) ? transport : null,
+			protocolVersion: pickAttribute(attributes, 'protocolVersion')
+		},
+		user: userId || userName ? {id: userId, ...(userName ? {name: userName} : {})} : null
+	};
+}
+
+function buildEventData(attributes, resourceAttributes, extra) {
+	const data = {...extra};
+	const toolName = pickAttribute(attributes, 'toolName');
+	const orgId = pickAttribute(attributes, 'orgId');
+	if (toolName) {
+		data.toolName = toolName;
+	}
+	if (orgId) {
+		data.orgId = orgId;
+	}
+	const otherAttributes = unmappedAttributes(attributes);
+	if (Object.keys(otherAttributes).length > 0) {
+		data.attributes = otherAttributes;
+	}
+	const resource = unmappedAttributes(resourceAttributes);
+	if (Object.keys(resource).length > 0) {
+		data.resource = resource;
+	}
+	return data;
+}
+
+function getToolName(span, attributes) {
+	const toolName = pickAttribute(attributes, 'toolName');
+	if (toolName) {
+		return toolName;
+	}
+	const match = /^tools\/call\s+(?<tool>\S+)/.exec(span.name || '');
+	return match ? match.groups.tool : null;
+}
+
+/**
+ * Map a span to a schema v3 payload
+ */
+function mapSpan(span, resourceAttributes, scope) {
+	const spanAttributes = attributesToObject(span.attributes);
+	const attributes = {...resourceAttributes, ...spanAttributes};
+	const toolName = getToolName(span, attributes);
+	const exception = (span.events || []).find(event => event?.name === 'exception');
+	const exceptionAttributes = exception ? attributesToObject(exception.attributes) : {};
+	const failed = span.status?.code === OTLP_STATUS_CODE_ERROR || span.status?.code === 'STATUS_CODE_ERROR';
+
+	let area = 'general';
+	let event = span.name || 'span';
+	if (toolName) {
+		area = 'tool';
+		event = 'execution';
+	} else if (attributes['mcp.method.name'] === 'initialize' || span.name === 'initialize') {
+		area = 'session';
+		event = 'session_start';
+	}
+
+	const errorMessage = exceptionAttributes['exception.message'] || span.status?.message || pickAttribute(attributes, 'errorMessage');
+	const traceId = span.traceId || 'unknown';
+	return {
+		...buildEventBase(attributes),
+		eventId: `otlp-span-${traceId}-${span.spanId || crypto.randomUUID()}`,
+		parentEventId: span.parentSpanId ? `otlp-span-${traceId}-${span.parentSpanId}` : null,
+		area,
+		event,
+		success: !failed,
+		timestamp: nanosToIso(span.startTimeUnixNano) || new Date().toISOString(),
+		durationMs: span.startTimeUnixNano && span.endTimeUnixNano ? nanosBetween(span.startTimeUnixNano, span.endTimeUnixNano) : null,
+		error: failed ? {
+			type: exceptionAttributes['exception.type'] || pickAttribute(attributes, 'errorType'),
+			message: String(errorMessage || 'Span failed'),
+			stack: exceptionAttributes['exception.stacktrace'] || null,
+			toolName
+		} : null,
+		data: buildEventData(spanAttributes, resourceAttributes, {
+			...(toolName ? {toolName} : {}),
+			spanName: span.name,
+			traceId: span.traceId,
+			spanId: span.spanId,
+			...(scope?.name ? {scope: scope.name} : {})
+		})
+	};
+}
+
+/**
+ * Map a log record to a schema v3 payload
+ */
+function mapLogRecord(record, resourceAttributes, scope) {
+	const recordAttributes = attributesToObject(record.attributes);
+	const attributes = {...resourceAttributes, ...recordAttributes};
+	const toolName = pickAttribute(attributes, 'toolName');
+	const errorMessage = pickAttribute(attributes, 'errorMessage');
+	const failed = (record.severityNumber ?? 0) >= OTLP_SEVERITY_ERROR || Boolean(errorMessage);
+
+	const requestedArea = pickAttribute(attributes, 'area');
+	let area = 'general';
+	if (EVENT_AREAS.includes(requestedArea)) {
+		area = requestedArea;
+	} else if (toolName) {
+		area = 'tool';
+	}
+	const eventName = record.eventName || pickAttribute(attributes, 'eventName') || (area === 'tool' ? 'execution' : 'log');
+	const event = Object.hasOwn(EVENT_TYPE_EVENTS, eventName) ? EVENT_TYPE_EVENTS[eventName] : eventName;
+
+	const body = fromAnyValue(record.body);
+	const bodyData = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+	if (body !== null && bodyData !== body) {
+		bodyData.message = body;
+	}
+
+	// Log records have no ID: hash the record so retried exports are stored once
+	const hash = crypto.createHash('sha256')
+		.update(JSON.stringify([resourceAttributes, record]))
+		.digest('hex')
+		.slice(0, 32);
+
+	return {
+		...buildEventBase(attributes),
+		eventId: `otlp-log-${hash}`,
+		parentEventId: record.spanId && record.traceId ? `otlp-span-${record.traceId}-${record.spanId}` : null,
+		area,
+		event,
+		success: !failed,
+		timestamp: nanosToIso(record.timeUnixNano) || nanosToIso(record.observedTimeUnixNano) || new Date().toISOString(),
+		error: failed ? {
+			type: pickAttribute(attributes, 'errorType'),
+			message: errorMessage || record.severityText || 'Error log record',
+			toolName
+		} : null,
+		data: buildEventData(recordAttributes, resourceAttributes, {
+			...bodyData,
+			...(record.severityText ? {severity: record.severityText} : {}),
+			...(scope?.name ? {scope: scope.name} : {})
+		})
+	};
+}
+
+/**
+ * Map an ExportTraceServiceRequest to schema v3 payloads (one per span)
+ *
+ * @param {object} request - OTLP/JSON traces request body
+ * @returns {Array<object>} Schema v3 telemetry payloads
+ * @throws {Error} If the request has no resourceSpans array
+ */
+function mapTracesRequest(request) {
+	if (!request || !Array.isArray(request.resourceSpans)) {
+		throw new Error('Expected an ExportTraceServiceRequest with a resourceSpans array');
+	}
+	const payloads = [];
+	for (const resourceSpans of request.resourceSpans) {
+		const resourceAttributes = attributesToObject(resourceSpans?.resource?.attributes);
+		for (const scopeSpans of resourceSpans?.scopeSpans || []) {
+			for (const span of scopeSpans?.spans || []) {
+				payloads.push(mapSpan(span || {}, resourceAttributes, scopeSpans.scope));
+			}
+		}
+	}
+	return payloads;
+}
+
+/**
+ * Map an ExportLogsServiceRequest to schema v3 payloads (one per log record)
+ *
+ * @param {object} request - OTLP/JSON logs request body
+ * @returns {Array<object>} Schema v3 telemetry payloads
+ * @throws {Error} If the request has no resourceLogs array
+ */
+function mapLogsRequest(request) {
+	if (!request || !Array.isArray(request.resourceLogs)) {
+		throw new Error('Expected an ExportLogsServiceRequest with a resourceLogs array');
+	}
+	const payloads = [];
+	for (const resourceLogs of request.resourceLogs) {
+		const resourceAttributes = attributesToObject(resourceLogs?.resource?.attributes);
+		for (const scopeLogs of resourceLogs?.scopeLogs || []) {
+			for (const record of scopeLogs?.logRecords || []) {
+				payloads.push(mapLogRecord(record || {}, resourceAttributes, scopeLogs.scope));
+			}
+		}
+	}
+	return payloads;
+}
+
+export {
+	fromAnyValue,
+	attributesToObject,
+	mapTracesRequest,
+	mapLogsRequest
+};
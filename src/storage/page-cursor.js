@@ -0,0 +1,50 @@
+/**
+ * Opaque pagination cursors
+ *
+ * Keyset-paginated endpoints (/api/events, /api/sessions) return the sort key of the last row of
+ * a page as a base64url token (nextCursor). Clients send it back as is to get the next page, so
+ * the key can change without breaking them.
+ */
+
+// ISO 8601 timestamps (with up to microseconds)
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(?:\.\d{1,6})?(?:Z|[+-]\d{2}(?::?\d{2})?)?$/;
+
+const VALUE_CHECKS = {
+	string: value => typeof value === 'string' && value.length > 0,
+	integer: value => Number.isSafeInteger(value),
+	timestamp: value => typeof value === 'string' && TIMESTAMP_PATTERN.test(value)
+};
+
+/**
+ * Encode the sort key of the last row of a page
+ * @param {object} key - e.g. {createdAt: '2025-01-31T10:00:00.123456Z', id: 42}
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(key) {
+	return Buffer.from(JSON.stringify(key), 'utf8').toString('base64url');
+}
+
+/**
+ * Decode a cursor received from a client
+ * @param {string} token - Cursor from a previous page
+ * @param {object} shape - Expected keys and their types ('string', 'integer' or 'timestamp')
+ * @returns {object|null} The sort key, or null if the cursor is malformed
+ */
+function decodeCursor(token, shape) {
+	if (typeof token !== 'string' || token === '') {
+		return null;
+	}
+	let key;
+	try {
+		key = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+	} catch {
+		return null;
+	}
+	if (!key || typeof key !== 'object') {
+		return null;
+	}
+	const valid = Object.entries(shape).every(([name, type]) => VALUE_CHECKS[type](key[name]));
+	return valid ? key : null;
+}
+
+export {encodeCursor, decodeCursor};
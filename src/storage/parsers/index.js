@@ -1,17 +1,53 @@
-import {parseV1Event} from './schema-v1-parser.js';
-import {parseV2Event} from './schema-v2-parser.js';
+import {v1SchemaParser, parseV1Event} from './schema-v1-parser.js';
+import {v2SchemaParser, parseV2Event} from './schema-v2-parser.js';
+import {v3SchemaParser, parseV3Event} from './schema-v3-parser.js';
 
 /**
  * Parse telemetry event from any supported schema version to TelemetryEvent
- * Factory function that detects schema version and delegates to appropriate parser
+ * Each schema version registers a parser entry with:
+ * - version: schema version number (value of schemaVersion in payloads)
+ * - detect(rawEvent): true if an event without explicit schemaVersion looks like this version
+ * - schema: JSON schema fragment used to validate events of this version
+ * - parse(rawEvent): returns a TelemetryEvent
  */
 
+const schemaParsers = new Map();
+
+/**
+ * Register a schema version parser
+ * @param {{version: number, detect: Function, schema: object, parse: Function}} entry - Parser entry
+ * @throws {Error} If the entry is incomplete or the version is already registered
+ */
+export function registerSchemaParser(entry) {
+  if (!entry || !Number.isInteger(entry.version)) {
+    throw new Error('Schema parser entry requires an integer version');
+  }
+  if (typeof entry.detect !== 'function' || typeof entry.parse !== 'function') {
+    throw new Error(`Schema parser v${entry.version} requires detect() and parse() functions`);
+  }
+  if (!entry.schema || typeof entry.schema !== 'object') {
+    throw new Error(`Schema parser v${entry.version} requires a JSON schema fragment`);
+  }
+  if (schemaParsers.has(entry.version)) {
+    throw new Error(`Schema parser v${entry.version} is already registered`);
+  }
+  schemaParsers.set(entry.version, entry);
+}
+
+/**
+ * Get registered schema parsers, newest version first
+ * @returns {Array<object>} Parser entries
+ */
+export function getSchemaParsers() {
+  return [...schemaParsers.values()].sort((a, b) => b.version - a.version);
+}
+
 /**
  * Detect telemetry schema version from raw event
  * @param {object} rawEvent - Raw telemetry event
- * @returns {number|null} Schema version (1, 2) or null if cannot determine
+ * @returns {number|null} Schema version or null if cannot determine
  */
-function detectSchemaVersion(rawEvent) {
+export function detectSchemaVersion(rawEvent) {
   if (!rawEvent || typeof rawEvent !== 'object') {
     return null;
   }
@@ -21,19 +57,54 @@ function detectSchemaVersion(rawEvent) {
     return rawEvent.schemaVersion;
   }
 
-  // V2 indicators
-  if (rawEvent.area && ['tool', 'session', 'general'].includes(rawEvent.area)) {
-    return 2;
+  // Ask each registered version (newest first)
+  const parser = getSchemaParsers().find(entry => entry.detect(rawEvent));
+
+  // Cannot determine version
+  return parser ? parser.version : null;
+}
+
+/**
+ * Build the JSON schema that validates events of every registered version
+ * Events are matched by their schemaVersion; events without one are validated
+ * against the oldest registered version (legacy payloads).
+ * @returns {object} JSON schema
+ */
+export function buildTelemetrySchema() {
+  const parsers = getSchemaParsers();
+  if (parsers.length === 0) {
+    throw new Error('No telemetry schema parsers registered');
   }
 
-  // V1 indicators (has event field with v1 event types)
-  const v1EventTypes = ['tool_call', 'tool_error', 'session_start', 'session_end', 'error', 'custom'];
-  if (rawEvent.event && v1EventTypes.includes(rawEvent.event)) {
-    return 1;
+  // Nested fragments don't carry their own $schema; examples are collected at the top level
+  const fragment = schema => {
+    const copy = {...schema};
+    delete copy.$schema;
+    delete copy.examples;
+    return copy;
+  };
+  const legacy = parsers.at(-1);
+  let combined = fragment(legacy.schema);
+  for (const parser of parsers.slice(0, -1).reverse()) {
+    combined = {
+      if: {
+        required: ['schemaVersion'],
+        properties: {
+          schemaVersion: {const: parser.version}
+        }
+      },
+      then: fragment(parser.schema),
+      else: combined
+    };
   }
 
-  // Cannot determine version
-  return null;
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: `Telemetry Event Schema ${parsers.map(parser => `v${parser.version}`).reverse().join('/')}`,
+    description: 'JSON schema for telemetry events sent to the telemetry server (supports every registered schema version)',
+    ...combined,
+    examples: parsers.flatMap(parser => parser.schema.examples || []).reverse()
+  };
 }
 
 /**
@@ -49,18 +120,20 @@ export function parseTelemetryEvent(rawEvent) {
 
   // Detect schema version
   const schemaVersion = detectSchemaVersion(rawEvent);
+  const parser = schemaParsers.get(schemaVersion);
 
-  if (schemaVersion === 1) {
-    // Parse as v1 event
-    return parseV1Event(rawEvent);
-  } else if (schemaVersion === 2) {
-    // Parse as v2 event
-    return parseV2Event(rawEvent);
-  }
+  if (!parser) {
     // Unknown or invalid schema
     throw new Error(`Unsupported or invalid telemetry schema. Detected version: ${schemaVersion}. Event: ${JSON.stringify(rawEvent).substring(0, 200)}...`);
+  }
 
+  return parser.parse(rawEvent);
 }
 
+// Built-in schema versions
+registerSchemaParser(v1SchemaParser);
+registerSchemaParser(v2SchemaParser);
+registerSchemaParser(v3SchemaParser);
+
 // Export individual parsers for testing or direct use
-export {parseV1Event, parseV2Event};
\ No newline at end of file
+export {parseV1Event, parseV2Event, parseV3Event};
@@ -1,3 +1,4 @@
+import fs from 'node:fs';
 import {TelemetryEvent} from '../telemetry-event.js';
 
 /**
@@ -5,6 +6,8 @@ import {TelemetryEvent} from '../telemetry-event.js';
  * Schema v1 has flat structure, so we need to transform it to v2 structure
  */
 
+const V1_EVENT_TYPES = ['tool_call', 'tool_error', 'session_start', 'session_end', 'error', 'custom'];
+
 /**
  * Map v1 event type to v2 area and event
  * @param {string} eventType - V1 event type ('tool_call', 'tool_error', etc.)
@@ -122,8 +125,7 @@ function validateV1Structure(rawEvent) {
   }
 
   // Validate event type
-  const validEvents = ['tool_call', 'tool_error', 'session_start', 'session_end', 'error', 'custom'];
-  if (!validEvents.includes(rawEvent.event)) {
+  if (!V1_EVENT_TYPES.includes(rawEvent.event)) {
     throw new Error(`Invalid v1 event type: ${rawEvent.event}`);
   }
 
@@ -192,4 +194,23 @@ export function parseV1Event(rawEvent) {
   }, rawEvent); // Pass original payload as second parameter
 
   return telemetryEvent;
-}
\ No newline at end of file
+}
+
+/**
+ * Detect v1 events sent without schemaVersion (has event field with v1 event types)
+ * @param {object} rawEvent - Raw event
+ * @returns {boolean}
+ */
+function detectV1Event(rawEvent) {
+  return Boolean(rawEvent.event && V1_EVENT_TYPES.includes(rawEvent.event));
+}
+
+/**
+ * Parser registry entry for schema v1
+ */
+export const v1SchemaParser = {
+  version: 1,
+  detect: detectV1Event,
+  schema: JSON.parse(fs.readFileSync(new URL('../../api/schemas/telemetry-v1.json', import.meta.url))),
+  parse: parseV1Event
+};
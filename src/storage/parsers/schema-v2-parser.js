@@ -1,3 +1,4 @@
+import fs from 'node:fs';
 import {TelemetryEvent} from '../telemetry-event.js';
 
 /**
@@ -61,6 +62,11 @@ function validateV2Structure(rawEvent) {
   if (rawEvent.data && typeof rawEvent.data !== 'object') {
     throw new Error('data must be an object if present');
   }
+
+  // Validate eventId (optional idempotency key)
+  if (rawEvent.eventId !== undefined && rawEvent.eventId !== null && typeof rawEvent.eventId !== 'string') {
+    throw new Error('eventId must be a string if present');
+  }
 }
 
 /**
@@ -81,6 +87,7 @@ export function parseV2Event(rawEvent) {
     success: rawEvent.success,
     timestamp: rawEvent.timestamp,
     telemetrySchemaVersion: rawEvent.schemaVersion, // Should be 2
+    eventId: rawEvent.eventId || null, // Optional idempotency key
 
     // Structured objects
     server: rawEvent.server || null,
@@ -96,4 +103,23 @@ export function parseV2Event(rawEvent) {
   }, rawEvent); // Pass original payload as second parameter
 
   return telemetryEvent;
-}
\ No newline at end of file
+}
+
+/**
+ * Detect v2 events sent without schemaVersion (has a v2 area)
+ * @param {object} rawEvent - Raw event
+ * @returns {boolean}
+ */
+function detectV2Event(rawEvent) {
+  return Boolean(rawEvent.area && ['tool', 'session', 'general'].includes(rawEvent.area));
+}
+
+/**
+ * Parser registry entry for schema v2
+ */
+export const v2SchemaParser = {
+  version: 2,
+  detect: detectV2Event,
+  schema: JSON.parse(fs.readFileSync(new URL('../../api/schemas/telemetry-v2.json', import.meta.url))),
+  parse: parseV2Event
+};
@@ -0,0 +1,146 @@
+import fs from 'node:fs';
+import {TelemetryEvent} from '../telemetry-event.js';
+
+/**
+ * Parse schema v3 telemetry events to TelemetryEvent instances
+ * Schema v3 extends v2 with an explicit eventId, durationMs, parentEventId (nested tool calls)
+ * and a structured error object
+ */
+
+/**
+ * Validate v3 event structure (basic validation)
+ * @param {object} rawEvent - Raw v3 event
+ * @throws {Error} If validation fails
+ */
+function validateV3Structure(rawEvent) {
+  if (!rawEvent || typeof rawEvent !== 'object') {
+    throw new Error('V3 event must be an object');
+  }
+
+  // Required fields
+  const required = ['schemaVersion', 'eventId', 'area', 'event', 'success', 'timestamp'];
+  for (const field of required) {
+    if (!(field in rawEvent)) {
+      throw new Error(`V3 event missing required field: ${field}`);
+    }
+  }
+
+  // Validate schemaVersion
+  if (rawEvent.schemaVersion !== 3) {
+    throw new Error(`Invalid schemaVersion: ${rawEvent.schemaVersion}. Expected 3`);
+  }
+
+  // Validate eventId
+  if (typeof rawEvent.eventId !== 'string' || rawEvent.eventId.trim() === '') {
+    throw new Error('eventId must be a non-empty string');
+  }
+
+  // Validate area
+  if (!['tool', 'session', 'general'].includes(rawEvent.area)) {
+    throw new Error(`Invalid area: ${rawEvent.area}. Must be 'tool', 'session', or 'general'`);
+  }
+
+  // Validate success
+  if (typeof rawEvent.success !== 'boolean') {
+    throw new Error('success must be a boolean');
+  }
+
+  // Validate timestamp
+  if (typeof rawEvent.timestamp !== 'string') {
+    throw new Error('timestamp must be a string');
+  }
+
+  // Validate optional v3 fields
+  if (rawEvent.durationMs !== undefined && rawEvent.durationMs !== null
+    && (!Number.isInteger(rawEvent.durationMs) || rawEvent.durationMs < 0)) {
+    throw new Error('durationMs must be a non-negative integer if present');
+  }
+  if (rawEvent.parentEventId !== undefined && rawEvent.parentEventId !== null && typeof rawEvent.parentEventId !== 'string') {
+    throw new Error('parentEventId must be a string if present');
+  }
+  if (rawEvent.error !== undefined && rawEvent.error !== null) {
+    if (typeof rawEvent.error !== 'object' || Array.isArray(rawEvent.error)) {
+      throw new Error('error must be an object if present');
+    }
+    if (typeof rawEvent.error.message !== 'string') {
+      throw new Error('error.message must be a string');
+    }
+  }
+
+  // Validate structured objects (if present)
+  if (rawEvent.server && typeof rawEvent.server !== 'object') {
+    throw new Error('server must be an object if present');
+  }
+  if (rawEvent.client && rawEvent.client !== null && typeof rawEvent.client !== 'object') {
+    throw new Error('client must be an object or null if present');
+  }
+  if (rawEvent.session && typeof rawEvent.session !== 'object') {
+    throw new Error('session must be an object if present');
+  }
+  if (rawEvent.user && rawEvent.user !== null && typeof rawEvent.user !== 'object') {
+    throw new Error('user must be an object or null if present');
+  }
+
+  // Validate data
+  if (rawEvent.data && typeof rawEvent.data !== 'object') {
+    throw new Error('data must be an object if present');
+  }
+}
+
+/**
+ * Parse a schema v3 event to TelemetryEvent
+ * @param {object} rawEvent - Raw v3 event data (original payload)
+ * @returns {TelemetryEvent} Parsed TelemetryEvent instance
+ * @throws {Error} If parsing fails
+ */
+export function parseV3Event(rawEvent) {
+  // Validate structure
+  validateV3Structure(rawEvent);
+
+  // Create TelemetryEvent
+  // Pass rawEvent as originalPayload to preserve the exact original JSON
+  const telemetryEvent = new TelemetryEvent({
+    area: rawEvent.area,
+    event: rawEvent.event,
+    success: rawEvent.success,
+    timestamp: rawEvent.timestamp,
+    telemetrySchemaVersion: rawEvent.schemaVersion, // Should be 3
+    eventId: rawEvent.eventId,
+    parentEventId: rawEvent.parentEventId || null,
+    durationMs: rawEvent.durationMs ?? null,
+    error: rawEvent.error || null,
+
+    // Structured objects
+    server: rawEvent.server || null,
+    client: rawEvent.client || null,
+    session: rawEvent.session || null,
+    user: rawEvent.user || null,
+
+    // Event data
+    data: rawEvent.data || {},
+
+    // Server info (will be set later)
+    receivedAt: null
+  }, rawEvent); // Pass original payload as second parameter
+
+  return telemetryEvent;
+}
+
+/**
+ * v3 events always carry an explicit schemaVersion, they are never detected from their shape
+ * @param {object} rawEvent - Raw event
+ * @returns {boolean}
+ */
+function detectV3Event(rawEvent) {
+  return rawEvent.schemaVersion === 3;
+}
+
+/**
+ * Parser registry entry for schema v3
+ */
+export const v3SchemaParser = {
+  version: 3,
+  detect: detectV3Event,
+  schema: JSON.parse(fs.readFileSync(new URL('../../api/schemas/telemetry-v3.json', import.meta.url))),
+  parse: parseV3Event
+};
@@ -0,0 +1,99 @@
+/**
+ * Retention job
+ *
+ * Periodically purges the telemetry events expired by the enabled retention policies
+ * (see applyRetentionPolicies in database.js). Runs every RETENTION_JOB_INTERVAL_MS
+ * (6 hours by default) and can also be triggered on demand from the API.
+ */
+
+import * as db from './database.js';
+
+const INTERVAL_MS = Number.parseInt(process.env.RETENTION_JOB_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000;
+const BATCH_SIZE = Number.parseInt(process.env.RETENTION_JOB_BATCH_SIZE, 10) || 5000;
+const INITIAL_DELAY_MS = 5 * 60 * 1000; // Let the server finish booting before the first purge
+
+let timer = null;
+let started = false;
+let running = false;
+let onPurgedCallback = null;
+let lastRun = null;
+
+/**
+ * Purge expired events now
+ * @returns {Promise<object|null>} Purge summary, or null if a purge is already running
+ */
+async function runNow() {
+	if (running) {
+		return null;
+	}
+	running = true;
+
+	const startedAt = new Date();
+	try {
+		const result = await db.applyRetentionPolicies({batchSize: BATCH_SIZE});
+		lastRun = {startedAt: startedAt.toISOString(), finishedAt: new Date().toISOString(), deleted: result.deleted, error: null};
+		if (result.deleted > 0) {
+			console.log(`Retention job purged ${result.deleted} expired events`);
+			if (onPurgedCallback) {
+				onPurgedCallback(result);
+			}
+		}
+		return result;
+	} catch (error) {
+		lastRun = {startedAt: startedAt.toISOString(), finishedAt: new Date().toISOString(), deleted: 0, error: error.message};
+		throw error;
+	} finally {
+		running = false;
+	}
+}
+
+function scheduleNextRun(delayMs) {
+	if (!started) {
+		return;
+	}
+	clearTimeout(timer);
+	timer = setTimeout(async () => {
+		try {
+			await runNow();
+		} catch (error) {
+			console.error('Error running retention job:', error);
+		}
+		scheduleNextRun(INTERVAL_MS);
+	}, delayMs);
+	timer.unref?.();
+}
+
+/**
+ * Start purging on an interval
+ * @param {object} options
+ * @param {Function} [options.onPurged] - Called with the purge summary after events were deleted
+ */
+function start({onPurged = null} = {}) {
+	onPurgedCallback = onPurged;
+	started = true;
+	scheduleNextRun(INITIAL_DELAY_MS);
+}
+
+/**
+ * Stop purging (an in-flight batch finishes on its own)
+ */
+function stop() {
+	started = false;
+	clearTimeout(timer);
+	timer = null;
+}
+
+/**
+ * Get the job status for the UI
+ * @returns {{running: boolean, intervalMs: number, lastRun: object|null}}
+ */
+function getStatus() {
+	return {running, intervalMs: INTERVAL_MS, lastRun};
+}
+
+export {
+	start,
+	stop,
+	runNow,
+	getStatus
+};
@@ -0,0 +1,112 @@
+/**
+ * Rollup job
+ *
+ * Keeps telemetry_rollup_hourly / telemetry_rollup_daily up to date by recomputing the hours
+ * marked dirty by the telemetry_events trigger (see refreshTelemetryRollups in database.js).
+ * Runs every ROLLUP_JOB_INTERVAL_MS (60 seconds by default) and shortly after new events are
+ * stored. Also creates the upcoming monthly partitions of telemetry_events once a day.
+ */
+
+import * as db from './database.js';
+
+const INTERVAL_MS = Number.parseInt(process.env.ROLLUP_JOB_INTERVAL_MS, 10) || 60_000;
+const NOTIFY_DELAY_MS = 5000; // Coalesce bursts of stored batches into a single refresh
+const PARTITION_CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let started = false;
+let running = false;
+let backfillChecked = false;
+let lastPartitionCheck = 0;
+let nextRunAt = 0;
+let onRefreshedCallback = null;
+
+/**
+ * Refresh the dirty rollup hours now
+ * @returns {Promise<number>} Hours refreshed (0 if a refresh is already running)
+ */
+async function runNow() {
+	if (running) {
+		return 0;
+	}
+	running = true;
+
+	try {
+		if (!backfillChecked) {
+			const queued = await db.backfillTelemetryRollups();
+			if (queued > 0) {
+				console.log(`Rollup job queued ${queued} hours of existing events for backfill`);
+			}
+			backfillChecked = true;
+		}
+
+		if (Date.now() - lastPartitionCheck >= PARTITION_CHECK_INTERVAL_MS) {
+			const created = await db.ensureTelemetryEventPartitions();
+			if (created.length > 0) {
+				console.log(`Created telemetry_events partitions: ${created.join(', ')}`);
+			}
+			lastPartitionCheck = Date.now();
+		}
+
+		const refreshed = await db.refreshTelemetryRollups();
+		if (refreshed > 0 && onRefreshedCallback) {
+			onRefreshedCallback(refreshed);
+		}
+		return refreshed;
+	} finally {
+		running = false;
+	}
+}
+
+function scheduleNextRun(delayMs) {
+	if (!started) {
+		return;
+	}
+	clearTimeout(timer);
+	nextRunAt = Date.now() + delayMs;
+	timer = setTimeout(async () => {
+		try {
+			await runNow();
+		} catch (error) {
+			console.error('Error running rollup job:', error);
+		}
+		scheduleNextRun(INTERVAL_MS);
+	}, delayMs);
+	timer.unref?.();
+}
+
+/**
+ * Bring the next refresh forward after events were stored
+ */
+function notify() {
+	if (started && nextRunAt - Date.now() > NOTIFY_DELAY_MS) {
+		scheduleNextRun(NOTIFY_DELAY_MS);
+	}
+}
+
+/**
+ * Start refreshing rollups on an interval
+ * @param {object} options
+ * @param {Function} [options.onRefreshed] - Called with the number of hours refreshed
+ */
+function start({onRefreshed = null} = {}) {
+	onRefreshedCallback = onRefreshed;
+	started = true;
+	scheduleNextRun(NOTIFY_DELAY_MS);
+}
+
+/**
+ * Stop refreshing rollups (an in-flight refresh finishes on its own)
+ */
+function stop() {
+	started = false;
+	clearTimeout(timer);
+	timer = null;
+}
+
+export {
+	start,
+	stop,
+	notify,
+	runNow
+};
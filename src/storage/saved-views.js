@@ -0,0 +1,57 @@
+/**
+ * Saved views of the Event Log
+ *
+ * The Event Log keeps its filters in the query string of /logs so a link reproduces the same view:
+ *
+ *   area=tool,session      Active area buttons (every area when missing)
+ *   person=jane&person=joe Selected people (everyone when missing)
+ *   team=acme              Selected team (lowercased team name)
+ *   session=<id>           Selected session
+ *   order=asc              Oldest first (newest first when missing)
+ *   q=tool:apex_run        Search box (see event-search.js)
+ *
+ * A saved view is a name plus that query string, private to its owner or shared with their team.
+ */
+
+const MAX_NAME_LENGTH = 80;
+const MAX_QUERY_LENGTH = 4000;
+const VIEW_QUERY_KEYS = ['area', 'person', 'team', 'session', 'order', 'q'];
+
+/**
+ * Validate and normalize a saved view from an API request body
+ * @param {object} body - name, query (the /logs query string, with or without '?') and shared
+ * @returns {{view: {name: string, query: string, shared: boolean}, errors: Array<string>}}
+ */
+function validateSavedView(body = {}) {
+	const errors = [];
+	const name = typeof body.name === 'string' ? body.name.trim() : '';
+	if (!name) {
+		errors.push('View name is required');
+	} else if (name.length > MAX_NAME_LENGTH) {
+		errors.push(`View name must be at most ${MAX_NAME_LENGTH} characters`);
+	}
+
+	const rawQuery = typeof body.query === 'string' ? body.query.replace(/^\?/, '') : '';
+	if (rawQuery.length > MAX_QUERY_LENGTH) {
+		errors.push(`View filters must be at most ${MAX_QUERY_LENGTH} characters`);
+	}
+	// Keep only the Event Log filters, in a stable order
+	const params = new URLSearchParams(rawQuery);
+	const query = new URLSearchParams();
+	for (const key of VIEW_QUERY_KEYS) {
+		for (const value of params.getAll(key)) {
+			query.append(key, value);
+		}
+	}
+
+	return {
+		view: {
+			name,
+			query: query.toString(),
+			shared: body.shared === true
+		},
+		errors
+	};
+}
+
+export {validateSavedView};
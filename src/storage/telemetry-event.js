@@ -10,7 +10,11 @@ export class TelemetryEvent {
   event;             // string (moment within area)
   success;           // boolean
   timestamp;         // ISO string
-  telemetrySchemaVersion; // 1 | 2 | null (from original request)
+  telemetrySchemaVersion; // 1 | 2 | 3 | null (from original request)
+  eventId;           // string | null (client-supplied idempotency key)
+  parentEventId;     // string | null (enclosing event, e.g. nested tool calls) - v3
+  durationMs;        // number | null - v3
+  error;             // { type, message, code, stack } | null - v3
 
   // Structured objects (v2 style)
   server;            // { id, version, capabilities }
@@ -53,6 +57,10 @@ export class TelemetryEvent {
     this.timestamp = raw.timestamp;
     // Support both telemetrySchemaVersion (internal) and schemaVersion (from payload)
     this.telemetrySchemaVersion = raw.telemetrySchemaVersion || raw.schemaVersion || null;
+    this.eventId = typeof raw.eventId === 'string' && raw.eventId.trim() !== '' ? raw.eventId.trim() : null;
+    this.parentEventId = typeof raw.parentEventId === 'string' && raw.parentEventId.trim() !== '' ? raw.parentEventId.trim() : null;
+    this.durationMs = Number.isFinite(raw.durationMs) ? raw.durationMs : null;
+    this.error = raw.error && typeof raw.error === 'object' ? raw.error : null;
 
     // Structured objects
     this.server = raw.server || null;
@@ -190,6 +198,11 @@ export class TelemetryEvent {
       }
     }
 
+    // For error events, also check the v3 error object
+    if (!result.toolName && typeof this.error?.toolName === 'string' && this.error.toolName.trim() !== '') {
+      result.toolName = this.error.toolName.trim();
+    }
+
     // For error events, also check data.error.toolName and data.error.tool
     if (!result.toolName && data.error && typeof data.error === 'object') {
       if (data.error.toolName && typeof data.error.toolName === 'string') {
@@ -218,8 +231,10 @@ export class TelemetryEvent {
       }
     }
 
-    // Extract errorMessage (for tool_error events: data.errorMessage, fallback: data.error.message)
-    if (data.errorMessage && typeof data.errorMessage === 'string') {
+    // Extract errorMessage (v3: error.message, for tool_error events: data.errorMessage, fallback: data.error.message)
+    if (typeof this.error?.message === 'string' && this.error.message.trim() !== '') {
+      result.errorMessage = this.error.message.trim();
+    } else if (data.errorMessage && typeof data.errorMessage === 'string') {
       const errorMessage = data.errorMessage.trim();
       if (errorMessage !== '') {
         result.errorMessage = errorMessage;
@@ -292,6 +307,18 @@ export class TelemetryEvent {
     return this.user?.id || null;
   }
 
+  /**
+   * Get call duration in milliseconds (v3: durationMs, v1/v2: data.duration)
+   * @returns {number|null} Rounded non-negative duration or null
+   */
+  getDurationMs() {
+    const duration = this.durationMs ?? this.data?.duration;
+    if (!Number.isFinite(duration) || duration < 0) {
+      return null;
+    }
+    return Math.round(duration);
+  }
+
   /**
    * Get a summary representation for logging/debugging
    * @returns {object} Summary object
@@ -320,6 +347,10 @@ export class TelemetryEvent {
       success: this.success,
       timestamp: this.timestamp,
       telemetrySchemaVersion: this.telemetrySchemaVersion,
+      eventId: this.eventId,
+      parentEventId: this.parentEventId,
+      durationMs: this.durationMs,
+      error: this.error,
       server: this.server,
       client: this.client,
       session: this.session,